@@ -7,21 +7,11 @@
  * @canon chittycanon://gov/governance#core-types
  */
 import { Agent } from 'agents';
-
-// Organization detection patterns
-const ORG_PATTERNS = [
-  { org: 'Furnished-Condos', domains: ['furnished-condos.com'], keywords: ['property', 'tenant', 'lease', 'maintenance', 'condo'] },
-  { org: 'ChittyCounsel', domains: ['chittycounsel.com'], keywords: ['case', 'court', 'filing', 'hearing', 'motion', 'counsel'] },
-  { org: 'ChittyFoundation', domains: ['chittyfoundation.org'], keywords: ['grant', 'donation', 'board', 'governance', 'foundation'] },
-  { org: 'ChittyOS', domains: ['chitty.cc'], keywords: ['service', 'deployment', 'incident', 'worker', 'api'] },
-  { org: 'ChittyApps', domains: ['chittyapps.com'], keywords: ['ticket', 'feature', 'support', 'app'] },
-  { org: 'ChicagoApps', domains: ['chicagoapps.com'], keywords: ['permit', 'inspection', 'violation', 'zoning'] },
-];
+import { InferenceClient, resolveManagedPrompt } from '../ai/inference-client.js';
+import { ORG_PATTERNS, detectOrg } from './org-detection.js';
+import { parseShard, planShardSplit, shardImportRow, shardOfInstance, summarizeShardPlan } from '../utils/agent-shards.js';
 
 export class ChittyRouterBaseAgent extends Agent {
-  // Circuit breaker for prompt registry lookups
-  static _promptFailures = 0;
-  static _promptCooldownUntil = 0;
   /**
    * Called when agent first starts or wakes from hibernation.
    * Subclasses should call super.onStart() then do their own init.
@@ -53,76 +43,39 @@ export class ChittyRouterBaseAgent extends Agent {
    * @returns {{ org: string, confidence: number, signals: string[] }}
    */
   detectOrg(ctx) {
-    let bestOrg = 'ChittyOS'; // default
-    let bestScore = 0;
-    let bestSignals = [];
-
-    for (const pattern of ORG_PATTERNS) {
-      let score = 0;
-      const patternSignals = [];
-
-      // Domain match (strongest signal)
-      if (ctx.sender) {
-        const senderDomain = ctx.sender.split('@')[1]?.toLowerCase() || '';
-        if (pattern.domains.some((d) => senderDomain.includes(d))) {
-          score += 3;
-          patternSignals.push(`domain:${senderDomain}`);
-        }
-      }
-
-      if (ctx.domain && pattern.domains.some((d) => ctx.domain.includes(d))) {
-        score += 3;
-        patternSignals.push(`explicit-domain:${ctx.domain}`);
-      }
-
-      // Keyword match
-      const text = ((ctx.content || '') + ' ' + (ctx.sender || '')).toLowerCase();
-      for (const kw of pattern.keywords) {
-        if (text.includes(kw)) {
-          score += 1;
-          patternSignals.push(`keyword:${kw}`);
-        }
-      }
-
-      // Metadata org hint
-      if (ctx.metadata?.org === pattern.org) {
-        score += 5;
-        patternSignals.push('metadata-hint');
-      }
-
-      if (score > bestScore) {
-        bestScore = score;
-        bestOrg = pattern.org;
-        bestSignals = patternSignals;
-      }
-    }
-
-    return {
-      org: bestOrg,
-      confidence: Math.min(1, bestScore / 5),
-      signals: bestSignals,
-    };
+    return detectOrg(ctx);
   }
 
   // -- AI Helpers --
 
   /**
-   * Run an AI inference call using the worker's AI binding.
+   * Shared inference client (fallback chain, tier-degrade, accounting).
    */
-  async runAI(prompt, opts = {}) {
-    const model = opts.model || this.env.AI_MODEL_PRIMARY || '@cf/meta/llama-4-scout-17b-16e-instruct';
-    const messages = [];
-    if (opts.systemPrompt) {
-      messages.push({ role: 'system', content: opts.systemPrompt });
-    }
-    messages.push({ role: 'user', content: prompt });
+  get inference() {
+    if (!this._inference) this._inference = new InferenceClient(this.env);
+    return this._inference;
+  }
 
-    const response = await this.env.AI.run(model, {
-      messages,
-      max_tokens: opts.maxTokens || 1024,
+  /**
+   * Run an AI inference call through the shared inference client.
+   * `opts.model` pins a single model; otherwise the task's fallback chain
+   * (honoring any cost-degrade override) is used.
+   *
+   * @param {string} prompt
+   * @param {{ model?: string, taskType?: string, systemPrompt?: string, maxTokens?: number, schema?: object }} [opts]
+   * @returns {Promise<string>}
+   */
+  async runAI(prompt, opts = {}) {
+    const result = await this.inference.complete({
+      prompt,
+      taskType: opts.taskType || 'general',
+      models: opts.model ? [opts.model] : null,
+      systemPrompt: opts.systemPrompt,
+      maxTokens: opts.maxTokens || 1024,
+      schema: opts.schema,
+      label: this.constructor.name,
     });
-
-    return response.response;
+    return result.response;
   }
 
   /**
@@ -134,74 +87,30 @@ export class ChittyRouterBaseAgent extends Agent {
    * @param {Record<string, string>} [variables] - template variables to substitute
    * @returns {Promise<{ systemPrompt: string, aiEnabled: boolean, version: number } | null>}
    */
-  async resolvePrompt(promptId, variables) {
-    const connectUrl = this.env.CHITTYCONNECT_URL;
-    if (!connectUrl) return null;
-
-    // Circuit breaker: skip if too many recent failures
-    if (Date.now() < this.constructor._promptCooldownUntil) return null;
-
-    try {
-      const environment = this.env.ENVIRONMENT || 'production';
-      const res = await fetch(`${connectUrl}/api/v1/context/prompts/resolve`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Source-Service': 'chittyrouter',
-          'Authorization': `Bearer ${this.env.CHITTYCONNECT_TOKEN || ''}`,
-        },
-        body: JSON.stringify({
-          promptId,
-          environment,
-          variables,
-          consumerService: 'chittyrouter',
-        }),
-        signal: AbortSignal.timeout(2000),
-      });
-
-      if (!res.ok) {
-        this.constructor._promptFailures++;
-        if (this.constructor._promptFailures >= 3) {
-          this.constructor._promptCooldownUntil = Date.now() + 30000; // 30s cooldown
-          this.constructor._promptFailures = 0;
-        }
-        return null;
-      }
-      this.constructor._promptFailures = 0; // Reset on success
-      return await res.json();
-    } catch (err) {
-      this.constructor._promptFailures++;
-      if (this.constructor._promptFailures >= 3) {
-        this.constructor._promptCooldownUntil = Date.now() + 30000; // 30s cooldown
-        this.constructor._promptFailures = 0;
-      }
-      return null;
-    }
+  resolvePrompt(promptId, variables) {
+    return resolveManagedPrompt(this.env, promptId, variables);
   }
 
   /**
    * Run AI with optional managed prompt resolution.
    * Tries to resolve the prompt from ChittyConnect first; falls back to the inline prompt.
+   * Returns null when the registry's environment gate disables AI for the prompt.
    *
    * @param {string} inlinePrompt - the fallback prompt text
-   * @param {{ promptId?: string, variables?: Record<string, string>, model?: string, maxTokens?: number, systemPrompt?: string }} opts
+   * @param {{ promptId?: string, variables?: Record<string, string>, model?: string, taskType?: string, maxTokens?: number, systemPrompt?: string }} opts
    */
   async runAIWithPrompt(inlinePrompt, opts = {}) {
-    let systemPrompt = opts.systemPrompt || null;
-
-    // Try managed prompt resolution
-    if (opts.promptId) {
-      const resolved = await this.resolvePrompt(opts.promptId, opts.variables);
-      if (resolved?.aiEnabled === false) {
-        // Environment gate says no AI — return null to signal passthrough
-        return null;
-      }
-      if (resolved?.systemPrompt) {
-        systemPrompt = resolved.systemPrompt;
-      }
-    }
-
-    return this.runAI(inlinePrompt, { ...opts, systemPrompt });
+    const result = await this.inference.complete({
+      prompt: inlinePrompt,
+      taskType: opts.taskType || 'general',
+      models: opts.model ? [opts.model] : null,
+      systemPrompt: opts.systemPrompt,
+      promptId: opts.promptId,
+      variables: opts.variables,
+      maxTokens: opts.maxTokens || 1024,
+      label: this.constructor.name,
+    });
+    return result.skipped ? null : result.response;
   }
 
   /**
@@ -268,6 +177,171 @@ export class ChittyRouterBaseAgent extends Agent {
     this.log('error', message, metadata);
   }
 
+  // -- Sharding --
+
+  /**
+   * Tenant tables split across org/case shards, parents first — see
+   * planShardSplit in src/utils/agent-shards.js. Empty means not sharded.
+   */
+  static SHARD_TABLES = [];
+
+  /** This instance's shard (`org:<slug>` / `case:<slug>`), null for the root. */
+  get shard() {
+    return shardOfInstance(this.name);
+  }
+
+  /**
+   * Hooks around migrateToShards moving rows, for state kept outside this
+   * instance's tables (search documents cite shard-local ids). Run inside
+   * the import/purge request; schedule slow work with ctx.waitUntil.
+   * @param {string} table
+   * @param {number[]} localIds - rows just inserted into this shard
+   */
+  onShardImport(table, localIds) {}
+
+  /**
+   * @param {string} table
+   * @param {object[]} rows - root rows about to be deleted
+   */
+  onShardPurge(table, rows) {}
+
+  ensureShardTables() {
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS agent_shards (
+        shard TEXT PRIMARY KEY,
+        registered_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )
+    `);
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS shard_imports (
+        source_table TEXT NOT NULL,
+        source_id TEXT NOT NULL,
+        local_id INTEGER NOT NULL,
+        imported_at TEXT NOT NULL DEFAULT (datetime('now')),
+        PRIMARY KEY (source_table, source_id)
+      )
+    `);
+  }
+
+  /**
+   * /shard/* — registry (root instance) and the export → import → purge
+   * steps of migrateToShards.
+   */
+  async handleShardRequest(request, url) {
+    const tables = this.constructor.SHARD_TABLES;
+    if (!tables.length) return this.jsonResponse({ error: 'Agent is not sharded' }, 404);
+    this.ensureShardTables();
+    const action = url.pathname.slice(url.pathname.lastIndexOf('/shard/') + '/shard/'.length);
+
+    if (request.method === 'GET' && action === 'registry') {
+      const shards = this.rawSql.exec('SELECT shard, registered_at FROM agent_shards ORDER BY shard').toArray();
+      return this.jsonResponse({ count: shards.length, shards });
+    }
+    if (request.method === 'GET' && action === 'plan') {
+      return this.jsonResponse(summarizeShardPlan(planShardSplit(this.readShardRows(), tables)));
+    }
+    if (request.method === 'GET' && action === 'export') {
+      const shard = parseShard(url.searchParams.get('shard') || '');
+      if (!shard) return this.jsonResponse({ error: 'shard query param (org:<slug> or case:<slug>) is required' }, 400);
+      const plan = planShardSplit(this.readShardRows(), tables);
+      return this.jsonResponse({ shard: shard.id, tables: plan.shards[shard.id] || {} });
+    }
+    if (request.method !== 'POST') return this.jsonResponse({ error: 'Unknown shard endpoint' }, 404);
+
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    if (action === 'register') {
+      const shard = parseShard(data.shard || '');
+      if (!shard) return this.jsonResponse({ error: 'shard (org:<slug> or case:<slug>) is required' }, 400);
+      this.rawSql.exec('INSERT OR IGNORE INTO agent_shards (shard) VALUES (?)', shard.id);
+      return this.jsonResponse({ shard: shard.id, status: 'registered' });
+    }
+    if (action === 'import') return this.jsonResponse(this.importShardRows(data.tables || {}));
+    if (action === 'purge') return this.jsonResponse({ purged: this.purgeShardRows(data.tables || {}) });
+    return this.jsonResponse({ error: 'Unknown shard endpoint' }, 404);
+  }
+
+  readShardRows() {
+    return Object.fromEntries(this.constructor.SHARD_TABLES.map(({ table }) => [
+      table,
+      this.rawSql.exec(`SELECT * FROM ${table} ORDER BY id`).toArray(),
+    ]));
+  }
+
+  /**
+   * Insert rows exported from the root under fresh local ids. shard_imports
+   * remembers each source row, so a retried import maps instead of
+   * duplicating; `mapped` lists the source ids the root may now purge.
+   */
+  importShardRows(rowsByTable) {
+    const idMaps = {};
+    const mapped = {};
+    const conflicts = [];
+    let imported = 0;
+    let skipped = 0;
+
+    for (const spec of this.constructor.SHARD_TABLES) {
+      const idMap = new Map();
+      const fresh = [];
+      idMaps[spec.table] = idMap;
+      for (const row of rowsByTable[spec.table] || []) {
+        const sourceId = String(row.id);
+        const [prior] = this.rawSql.exec(
+          'SELECT local_id FROM shard_imports WHERE source_table = ? AND source_id = ?', spec.table, sourceId,
+        ).toArray();
+        if (prior) {
+          idMap.set(sourceId, prior.local_id);
+          (mapped[spec.table] ??= []).push(row.id);
+          skipped++;
+          continue;
+        }
+        const insert = shardImportRow(row, spec, idMaps);
+        if (insert.error) {
+          conflicts.push({ table: spec.table, id: row.id, error: insert.error });
+          continue;
+        }
+        try {
+          this.rawSql.exec(
+            `INSERT INTO ${spec.table} (${insert.columns.join(', ')}) VALUES (${insert.columns.map(() => '?').join(', ')})`,
+            ...insert.values,
+          );
+        } catch (err) {
+          conflicts.push({ table: spec.table, id: row.id, error: err.message });
+          continue;
+        }
+        const [{ id }] = this.rawSql.exec('SELECT last_insert_rowid() as id').toArray();
+        this.rawSql.exec(
+          'INSERT INTO shard_imports (source_table, source_id, local_id) VALUES (?, ?, ?)', spec.table, sourceId, id,
+        );
+        idMap.set(sourceId, id);
+        (mapped[spec.table] ??= []).push(row.id);
+        fresh.push(id);
+        imported++;
+      }
+      if (fresh.length) this.onShardImport(spec.table, fresh);
+    }
+
+    if (imported || conflicts.length) this.info('Shard import', { imported, skipped, conflicts: conflicts.length });
+    return { imported, skipped, conflicts, mapped };
+  }
+
+  /** Delete rows that now live in a shard, children before parents. */
+  purgeShardRows(idsByTable) {
+    let purged = 0;
+    for (const { table } of [...this.constructor.SHARD_TABLES].reverse()) {
+      const ids = (idsByTable[table] || []).map(Number).filter(Number.isInteger);
+      if (!ids.length) continue;
+      const rows = ids.flatMap((id) => this.rawSql.exec(`SELECT * FROM ${table} WHERE id = ?`, id).toArray());
+      this.onShardPurge(table, rows);
+      for (const row of rows) {
+        this.rawSql.exec(`DELETE FROM ${table} WHERE id = ?`, row.id);
+        purged++;
+      }
+    }
+    if (purged) this.info('Shard purge', { purged });
+    return purged;
+  }
+
   // -- HTTP Helpers --
 
   jsonResponse(data, status = 200) {
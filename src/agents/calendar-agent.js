@@ -1,12 +1,24 @@
 /**
  * CalendarAgent — Deadlines, court dates, lease renewals, scheduled events.
  * Tracks critical dates across all 6 orgs with escalation on approaching deadlines.
+ * Reminders fire on a Durable Object alarm and go out through NotificationAgent,
+ * repeating and escalating until acknowledged (src/calendar/reminders.js).
  * Phase 7 of Agents SDK migration.
  *
  * @service chittycanon://core/services/chittyrouter
  * @canon chittycanon://gov/governance#core-types
  */
 import { ChittyRouterBaseAgent } from './base-agent.js';
+import { callAgent } from '../utils/agent-client.js';
+import {
+  MIN_REPEAT_MINUTES,
+  NOTIFICATION_BINDING,
+  parseReminderSpecs,
+  reminderMessage,
+  reminderStep,
+  urgencyCrossing,
+  urgencyThresholdDays,
+} from '../calendar/reminders.js';
 
 const EVENT_TYPES = [
   'court_date', 'filing_deadline', 'lease_renewal', 'lease_expiry',
@@ -14,19 +26,15 @@ const EVENT_TYPES = [
   'permit_deadline', 'grant_deadline', 'other',
 ];
 
-const URGENCY_THRESHOLDS = {
-  court_date: 7,
-  filing_deadline: 5,
-  lease_renewal: 30,
-  lease_expiry: 60,
-  payment_due: 3,
-  inspection: 7,
-  permit_deadline: 14,
-  grant_deadline: 14,
-  default: 7,
-};
+const DUE_BATCH = 50;
 
 export class CalendarAgent extends ChittyRouterBaseAgent {
+  static SHARD_TABLES = [
+    { table: 'calendar_events', org: 'org', caseSlug: 'case_id' },
+    { table: 'calendar_reminders', refs: { event_id: 'calendar_events' } },
+    { table: 'calendar_reminder_history', refs: { event_id: 'calendar_events', reminder_id: 'calendar_reminders' } },
+  ];
+
   // Note: all sql.exec calls below use the built-in SQLite API, not child_process
   async onStart() {
     await super.onStart();
@@ -62,63 +70,160 @@ export class CalendarAgent extends ChittyRouterBaseAgent {
         FOREIGN KEY (event_id) REFERENCES calendar_events(id)
       )
     `);
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS calendar_reminder_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL,
+        reminder_id INTEGER,
+        action TEXT NOT NULL,
+        recipient TEXT,
+        priority TEXT,
+        send_number INTEGER,
+        outcome TEXT,
+        error TEXT,
+        actor TEXT,
+        occurred_at TEXT NOT NULL,
+        FOREIGN KEY (event_id) REFERENCES calendar_events(id)
+      )
+    `);
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_calendar_reminder_history_event ON calendar_reminder_history(event_id, occurred_at)');
+    this.ensureReminderColumns();
+    this.backfillReminders();
+    await this.armReminderAlarm();
+  }
+
+  ensureReminderColumns() {
+    const add = (table, columns) => {
+      const existing = new Set(
+        this.rawSql.exec(`PRAGMA table_info(${table})`).toArray().map((c) => c.name),
+      );
+      for (const [column, type] of columns) {
+        if (!existing.has(column)) this.rawSql.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      }
+    };
+    add('calendar_events', [['recipient', 'TEXT'], ['escalate_to', 'TEXT']]);
+    add('calendar_reminders', [
+      ['kind', 'TEXT NOT NULL DEFAULT \'reminder\''],
+      ['status', 'TEXT NOT NULL DEFAULT \'pending\''],
+      ['recipient', 'TEXT'],
+      ['escalate_to', 'TEXT'],
+      ['repeat_minutes', 'INTEGER'],
+      ['escalate_after', 'INTEGER'],
+      ['sends', 'INTEGER NOT NULL DEFAULT 0'],
+      ['next_fire_at', 'TEXT'],
+      ['escalated_at', 'TEXT'],
+      ['acknowledged_at', 'TEXT'],
+      ['acknowledged_by', 'TEXT'],
+      ['last_error', 'TEXT'],
+    ]);
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_calendar_reminders_due ON calendar_reminders(status, next_fire_at)');
+  }
+
+  /**
+   * Give reminders stored before the scheduler a fire time, and every
+   * upcoming active event its urgency reminder.
+   */
+  backfillReminders() {
+    const unscheduled = this.rawSql.exec(
+      'SELECT id, remind_at FROM calendar_reminders WHERE status = \'pending\' AND next_fire_at IS NULL',
+    ).toArray();
+    for (const r of unscheduled) {
+      const time = Date.parse(r.remind_at);
+      if (Number.isNaN(time)) {
+        this.rawSql.exec('UPDATE calendar_reminders SET status = \'failed\', last_error = ? WHERE id = ?', 'remind_at is not a date', r.id);
+      } else {
+        this.rawSql.exec('UPDATE calendar_reminders SET next_fire_at = ? WHERE id = ?', new Date(time).toISOString(), r.id);
+      }
+    }
+    const events = this.rawSql.exec(
+      `SELECT * FROM calendar_events e WHERE e.status = 'active'
+         AND NOT EXISTS (SELECT 1 FROM calendar_reminders r WHERE r.event_id = e.id AND r.kind = 'urgency')`,
+    ).toArray();
+    for (const event of events) {
+      if (Date.parse(event.event_date) > Date.now()) this.scheduleUrgencyReminder(event);
+    }
+  }
+
+  /** The event's urgency reminder, due when it crosses its threshold (or now, if it already has). */
+  scheduleUrgencyReminder(event) {
+    const crossing = urgencyCrossing(event);
+    if (!crossing) return;
+    const fireAt = Date.parse(crossing) > Date.now() ? crossing : new Date().toISOString();
+    this.rawSql.exec(
+      'INSERT INTO calendar_reminders (event_id, remind_at, channel, kind, next_fire_at) VALUES (?, ?, ?, \'urgency\', ?)',
+      event.id, crossing, 'email', fireAt,
+    );
   }
 
   async onRequest(request) {
     const url = new URL(request.url);
 
+    if (url.pathname.includes('/shard/')) return this.handleShardRequest(request, url);
     if (request.method === 'POST' && url.pathname.endsWith('/create')) return this.handleCreate(request);
     if (request.method === 'POST' && url.pathname.endsWith('/update')) return this.handleUpdate(request);
     if (request.method === 'GET' && url.pathname.endsWith('/upcoming')) return this.handleUpcoming(url);
     if (request.method === 'GET' && url.pathname.endsWith('/urgent')) return this.handleUrgent(url);
+    const ack = url.pathname.match(/\/events\/(\d+)\/acknowledge$/);
+    if (request.method === 'POST' && ack) return this.handleAcknowledge(Number(ack[1]), request);
+    const history = url.pathname.match(/\/events\/(\d+)\/reminders$/);
+    if (request.method === 'GET' && history) return this.handleReminderHistory(Number(history[1]));
+    if (request.method === 'POST' && url.pathname.endsWith('/reminders/run')) return this.jsonResponse(await this.fireDueReminders());
     if (request.method === 'GET' && url.pathname.endsWith('/stats')) return this.handleStats();
     if (request.method === 'GET' && url.pathname.endsWith('/status')) return this.handleStatus();
 
     return this.jsonResponse({
       agent: 'CalendarAgent', status: 'active',
-      endpoints: ['/create', '/update', '/upcoming', '/urgent', '/stats', '/status'],
+      endpoints: ['/create', '/update', '/upcoming', '/urgent', '/events/:id/acknowledge', '/events/:id/reminders', '/reminders/run', '/stats', '/status'],
     });
   }
 
   async handleCreate(request) {
     const body = await request.json();
     const { title, event_type, event_date, event_end_date, org, case_id, entity_id,
-            description, location, is_recurring, recurrence_rule, reminders, metadata } = body;
+            description, location, is_recurring, recurrence_rule, reminders, metadata,
+            recipient, escalate_to } = body;
 
     if (!title || !event_date) return this.jsonResponse({ error: 'title and event_date are required' }, 400);
     if (event_type && !EVENT_TYPES.includes(event_type)) {
       return this.jsonResponse({ error: `event_type must be one of: ${EVENT_TYPES.join(', ')}` }, 400);
     }
+    const { reminders: specs, errors } = parseReminderSpecs(reminders);
+    if (errors.length) return this.jsonResponse({ error: 'invalid reminders', details: errors }, 400);
 
     this.rawSql.exec(
       `INSERT INTO calendar_events (title, event_type, event_date, event_end_date, org, case_id,
-       entity_id, description, location, is_recurring, recurrence_rule, metadata)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       entity_id, description, location, is_recurring, recurrence_rule, metadata, recipient, escalate_to)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       title, event_type || 'other', event_date, event_end_date || null,
       org || null, case_id || null, entity_id || null,
       description || null, location || null,
       is_recurring ? 1 : 0, recurrence_rule || null,
       metadata ? JSON.stringify(metadata) : null,
+      recipient || null, escalate_to || null,
     );
 
     const created = this.rawSql.exec('SELECT last_insert_rowid() as id').toArray();
     const eventId = created[0]?.id;
 
-    if (reminders && Array.isArray(reminders)) {
-      for (const r of reminders) {
-        this.rawSql.exec('INSERT INTO calendar_reminders (event_id, remind_at, channel) VALUES (?, ?, ?)', eventId, r.remind_at, r.channel || 'email');
-      }
+    for (const r of specs) {
+      this.rawSql.exec(
+        `INSERT INTO calendar_reminders (event_id, remind_at, channel, recipient, escalate_to, repeat_minutes, escalate_after, next_fire_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        eventId, r.remind_at, r.channel, r.recipient, r.escalate_to, r.repeat_minutes, r.escalate_after, r.remind_at,
+      );
     }
-
     const daysUntil = this.daysUntilEvent(event_date);
-    const urgencyThreshold = URGENCY_THRESHOLDS[event_type || 'default'] || URGENCY_THRESHOLDS.default;
+    if (daysUntil >= 0) this.scheduleUrgencyReminder({ id: eventId, event_type: event_type || 'other', event_date });
+    await this.armReminderAlarm();
+
+    const urgencyThreshold = urgencyThresholdDays(event_type);
     this.info('Calendar event created', { eventId, event_type, daysUntil });
 
-    return this.jsonResponse({ id: eventId, title, event_type: event_type || 'other', event_date, daysUntil, isUrgent: daysUntil >= 0 && daysUntil <= urgencyThreshold, org: org || null });
+    return this.jsonResponse({ id: eventId, title, event_type: event_type || 'other', event_date, daysUntil, isUrgent: daysUntil >= 0 && daysUntil <= urgencyThreshold, org: org || null, reminders: specs.length });
   }
 
   async handleUpdate(request) {
-    const { id, title, event_date, status, description } = await request.json();
+    const { id, title, event_date, status, description, recipient, escalate_to } = await request.json();
     if (!id) return this.jsonResponse({ error: 'id is required' }, 400);
 
     const rows = this.rawSql.exec('SELECT * FROM calendar_events WHERE id = ?', id).toArray();
@@ -128,9 +233,23 @@ export class CalendarAgent extends ChittyRouterBaseAgent {
     if (event_date) this.rawSql.exec('UPDATE calendar_events SET event_date = ?, updated_at = datetime(\'now\') WHERE id = ?', event_date, id);
     if (status) this.rawSql.exec('UPDATE calendar_events SET status = ?, updated_at = datetime(\'now\') WHERE id = ?', status, id);
     if (description) this.rawSql.exec('UPDATE calendar_events SET description = ?, updated_at = datetime(\'now\') WHERE id = ?', description, id);
+    if (recipient !== undefined) this.rawSql.exec('UPDATE calendar_events SET recipient = ?, updated_at = datetime(\'now\') WHERE id = ?', recipient || null, id);
+    if (escalate_to !== undefined) this.rawSql.exec('UPDATE calendar_events SET escalate_to = ?, updated_at = datetime(\'now\') WHERE id = ?', escalate_to || null, id);
 
     const updated = this.rawSql.exec('SELECT * FROM calendar_events WHERE id = ?', id).toArray();
-    return this.jsonResponse(updated[0]);
+    const event = updated[0];
+    if (status && status !== 'active') {
+      this.closeReminders(event.id, 'cancelled', `event is ${status}`);
+    } else if (event_date && event_date !== rows[0].event_date) {
+      // A moved event re-arms its urgency reminder for the new crossing.
+      this.rawSql.exec('DELETE FROM calendar_reminders WHERE event_id = ? AND kind = \'urgency\' AND sends = 0 AND status = \'pending\'', event.id);
+      const hasUrgency = this.rawSql.exec(
+        'SELECT 1 FROM calendar_reminders WHERE event_id = ? AND kind = \'urgency\' AND status = \'pending\'', event.id,
+      ).toArray().length > 0;
+      if (!hasUrgency && event.status === 'active' && Date.parse(event.event_date) > Date.now()) this.scheduleUrgencyReminder(event);
+    }
+    await this.armReminderAlarm();
+    return this.jsonResponse(event);
   }
 
   handleUpcoming(url) {
@@ -154,7 +273,7 @@ export class CalendarAgent extends ChittyRouterBaseAgent {
     const org = url.searchParams.get('org');
     const urgent = rows
       .filter((r) => (!org || r.org === org) && this.isUrgent(r))
-      .map((r) => ({ ...r, daysUntil: this.daysUntilEvent(r.event_date), urgencyThreshold: URGENCY_THRESHOLDS[r.event_type] || URGENCY_THRESHOLDS.default }));
+      .map((r) => ({ ...r, daysUntil: this.daysUntilEvent(r.event_date), urgencyThreshold: urgencyThresholdDays(r.event_type) }));
     return this.jsonResponse({ count: urgent.length, urgentEvents: urgent });
   }
 
@@ -164,7 +283,183 @@ export class CalendarAgent extends ChittyRouterBaseAgent {
 
   isUrgent(event) {
     const days = this.daysUntilEvent(event.event_date);
-    return days >= 0 && days <= (URGENCY_THRESHOLDS[event.event_type] || URGENCY_THRESHOLDS.default);
+    return days >= 0 && days <= urgencyThresholdDays(event.event_type);
+  }
+
+  logReminder(eventId, reminderId, action, fields = {}) {
+    this.rawSql.exec(
+      `INSERT INTO calendar_reminder_history (event_id, reminder_id, action, recipient, priority, send_number, outcome, error, actor, occurred_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      eventId, reminderId, action, fields.recipient || null, fields.priority || null, fields.send ?? null,
+      fields.outcome ? JSON.stringify(fields.outcome) : null, fields.error || null, fields.actor || null,
+      new Date().toISOString(),
+    );
+  }
+
+  /** End an event's pending reminders with `status` (cancelled/expired), logging each. */
+  closeReminders(eventId, status, reason) {
+    const pending = this.rawSql.exec(
+      'SELECT id FROM calendar_reminders WHERE event_id = ? AND status = \'pending\'', eventId,
+    ).toArray();
+    for (const r of pending) {
+      this.rawSql.exec('UPDATE calendar_reminders SET status = ?, next_fire_at = NULL WHERE id = ?', status, r.id);
+      this.logReminder(eventId, r.id, status, { error: reason });
+    }
+    return pending.length;
+  }
+
+  /**
+   * Acknowledge an event's reminders, stopping repeats and escalation.
+   * POST /events/:id/acknowledge  { by?, reminder_id? }
+   */
+  async handleAcknowledge(eventId, request) {
+    // The body is optional; an empty one acknowledges every pending reminder.
+    const raw = await request.text();
+    let data = {};
+    try {
+      data = raw ? JSON.parse(raw) : {};
+    } catch (err) {
+      return this.jsonResponse({ error: 'Invalid JSON body', detail: err.message }, 400);
+    }
+    const by = data?.by || 'unknown';
+    const [event] = this.rawSql.exec('SELECT id FROM calendar_events WHERE id = ?', eventId).toArray();
+    if (!event) return this.jsonResponse({ error: 'Event not found' }, 404);
+
+    let query = 'SELECT id FROM calendar_reminders WHERE event_id = ? AND status = \'pending\'';
+    const params = [eventId];
+    if (data?.reminder_id) { query += ' AND id = ?'; params.push(data.reminder_id); }
+    const pending = this.rawSql.exec(query, ...params).toArray();
+
+    const now = new Date().toISOString();
+    for (const r of pending) {
+      this.rawSql.exec(
+        'UPDATE calendar_reminders SET status = \'acknowledged\', acknowledged_at = ?, acknowledged_by = ?, next_fire_at = NULL WHERE id = ?',
+        now, by, r.id,
+      );
+      this.logReminder(eventId, r.id, 'acknowledged', { actor: by });
+    }
+    this.info('Calendar reminders acknowledged', { eventId, by, count: pending.length });
+    return this.jsonResponse({ event_id: eventId, acknowledged: pending.length, acknowledged_by: by, acknowledged_at: now });
+  }
+
+  /** GET /events/:id/reminders — the event's reminders and everything they did. */
+  handleReminderHistory(eventId) {
+    const [event] = this.rawSql.exec('SELECT id, title, event_type, event_date, status, recipient, escalate_to FROM calendar_events WHERE id = ?', eventId).toArray();
+    if (!event) return this.jsonResponse({ error: 'Event not found' }, 404);
+    const reminders = this.rawSql.exec('SELECT * FROM calendar_reminders WHERE event_id = ? ORDER BY remind_at, id', eventId).toArray();
+    const history = this.rawSql.exec(
+      'SELECT * FROM calendar_reminder_history WHERE event_id = ? ORDER BY occurred_at, id', eventId,
+    ).toArray().map((h) => ({ ...h, outcome: h.outcome ? JSON.parse(h.outcome) : null }));
+    return this.jsonResponse({ event, reminders, history });
+  }
+
+  /**
+   * Alarm callback: fire every due reminder through NotificationAgent, then
+   * re-arm for the next one. A reminder that could not be handed to
+   * NotificationAgent is retried after MIN_REPEAT_MINUTES without counting
+   * as a send.
+   */
+  async fireDueReminders() {
+    const now = Date.now();
+    const due = this.rawSql.exec(
+      `SELECT * FROM calendar_reminders WHERE status = 'pending' AND next_fire_at <= ?
+       ORDER BY next_fire_at LIMIT ?`,
+      new Date(now).toISOString(), DUE_BATCH,
+    ).toArray();
+
+    const results = [];
+    for (const reminder of due) {
+      const [event] = this.rawSql.exec('SELECT * FROM calendar_events WHERE id = ?', reminder.event_id).toArray();
+      const step = event
+        ? reminderStep(reminder, event, { now, defaultRecipient: this.env.CALENDAR_REMINDER_RECIPIENT || null })
+        : { action: 'cancel', reason: 'event deleted' };
+
+      if (step.action !== 'send') {
+        const status = { cancel: 'cancelled', expire: 'expired', fail: 'failed' }[step.action];
+        this.rawSql.exec(
+          'UPDATE calendar_reminders SET status = ?, next_fire_at = NULL, last_error = ? WHERE id = ?',
+          status, step.action === 'fail' ? step.reason : null, reminder.id,
+        );
+        this.logReminder(reminder.event_id, reminder.id, status, { error: step.reason });
+        results.push({ reminder_id: reminder.id, event_id: reminder.event_id, status });
+        continue;
+      }
+
+      const dispatched = [];
+      for (const notice of step.notices) {
+        const { subject, body } = reminderMessage(event, reminder, { sends: step.sends, escalation: notice.escalation, now });
+        const res = await callAgent(this.env, NOTIFICATION_BINDING, '/send', {
+          method: 'POST',
+          body: {
+            recipient: notice.recipient,
+            ...(notice.channel ? { channel: notice.channel } : {}),
+            priority: notice.priority,
+            subject,
+            body,
+            org: event.org,
+            source_agent: 'calendar',
+            reference_id: `calendar-event:${event.id}`,
+            metadata: { event_id: event.id, reminder_id: reminder.id, kind: reminder.kind, send: step.sends, escalation: notice.escalation },
+          },
+        }).catch((err) => ({ status: 0, data: { error: err.message } }));
+        const ok = !!res && res.status < 400;
+        const error = ok ? null : res ? `notification agent returned ${res.status}: ${res.data?.error || 'unknown error'}` : `${NOTIFICATION_BINDING} not bound`;
+        this.logReminder(event.id, reminder.id, notice.escalation ? 'escalated' : 'sent', {
+          recipient: notice.recipient,
+          priority: notice.priority,
+          send: step.sends,
+          outcome: ok ? res.data?.channels ?? null : null,
+          error,
+        });
+        dispatched.push({ ...notice, ok, error });
+      }
+
+      if (!dispatched[0].ok) {
+        const retryAt = new Date(now + MIN_REPEAT_MINUTES * 60_000).toISOString();
+        this.rawSql.exec('UPDATE calendar_reminders SET next_fire_at = ?, last_error = ? WHERE id = ?', retryAt, dispatched[0].error, reminder.id);
+        this.warn('Calendar reminder not dispatched', { reminderId: reminder.id, error: dispatched[0].error });
+        results.push({ reminder_id: reminder.id, event_id: event.id, status: 'pending', error: dispatched[0].error, next_fire_at: retryAt });
+        continue;
+      }
+
+      const nowIso = new Date(now).toISOString();
+      this.rawSql.exec(
+        `UPDATE calendar_reminders SET sends = ?, sent = 1, sent_at = COALESCE(sent_at, ?),
+           escalated_at = CASE WHEN ? THEN COALESCE(escalated_at, ?) ELSE escalated_at END,
+           status = ?, next_fire_at = ?, last_error = NULL WHERE id = ?`,
+        step.sends, nowIso, step.escalate ? 1 : 0, nowIso,
+        step.finalStatus || 'pending', step.nextFireAt, reminder.id,
+      );
+      this.rawSql.exec('UPDATE calendar_events SET reminder_sent = 1 WHERE id = ?', event.id);
+      results.push({
+        reminder_id: reminder.id,
+        event_id: event.id,
+        status: step.finalStatus || 'pending',
+        send: step.sends,
+        escalated: step.escalate,
+        next_fire_at: step.nextFireAt,
+      });
+    }
+
+    const next = await this.armReminderAlarm();
+    return { processed: results.length, results, next_fire_at: next };
+  }
+
+  /**
+   * Make sure a fireDueReminders alarm fires by the earliest pending
+   * next_fire_at. Returns that time, or null when nothing is pending.
+   */
+  async armReminderAlarm() {
+    const [row] = this.rawSql.exec(
+      'SELECT MIN(next_fire_at) AS next FROM calendar_reminders WHERE status = \'pending\'',
+    ).toArray();
+    if (!row?.next) return null;
+    const target = new Date(row.next);
+    const armed = this.getSchedules().some(
+      (s) => s.callback === 'fireDueReminders' && s.time * 1000 <= target.getTime(),
+    );
+    if (!armed) await this.schedule(target, 'fireDueReminders');
+    return row.next;
   }
 
   handleStats() {
@@ -0,0 +1,375 @@
+/**
+ * DisputeOutboxAgent — transactional outbox for chittydispute intake.
+ *
+ * One named instance (DISPUTE_OUTBOX_AGENT) records every dispute-worthy
+ * triage result before delivery is attempted, keyed by its idempotency key,
+ * so a message that is triaged again maps to its existing entry. Each item
+ * keeps the intake payload, the attempt count, the next attempt time, the
+ * last error and, once delivered, the acknowledgement from
+ * CHITTYDISPUTE_URL. Backoff and quarantine follow
+ * src/integration/dispute-outbox.js.
+ *
+ * The forwarder drives delivery: /record before the first attempt, /claim
+ * to lease due retries, and the outcome comes back as /ack or /fail.
+ *
+ * @service chittycanon://core/services/chittyrouter#dispute-forwarder
+ * @canon chittycanon://gov/governance#core-types
+ */
+import { ChittyRouterBaseAgent } from './base-agent.js';
+import {
+  OUTBOX_LEASE_MS,
+  OUTBOX_PAGE_MAX,
+  OUTBOX_STATUSES,
+  nextOutboxFailure,
+  outboxMaxAttempts,
+  parseOutboxFilters,
+  parseReplayRequest,
+} from '../integration/dispute-outbox.js';
+
+export class DisputeOutboxAgent extends ChittyRouterBaseAgent {
+  async onStart() {
+    await super.onStart();
+    this.ensureOutboxTables();
+  }
+
+  ensureOutboxTables() {
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS outbox_items (
+        key TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        source_ref TEXT,
+        category TEXT,
+        payload TEXT NOT NULL,
+        last_error TEXT,
+        last_status INTEGER,
+        ack_status INTEGER,
+        ack_id TEXT,
+        ack_url TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        delivered_at TEXT,
+        quarantined_at TEXT
+      )
+    `);
+    this.rawSql.exec(
+      'CREATE INDEX IF NOT EXISTS idx_outbox_status_next ON outbox_items(status, next_attempt_at)',
+    );
+    this.rawSql.exec(
+      'CREATE INDEX IF NOT EXISTS idx_outbox_created ON outbox_items(created_at)',
+    );
+  }
+
+  async onRequest(request) {
+    const url = new URL(request.url);
+    const path = url.pathname;
+
+    if (request.method === 'POST' && path.endsWith('/record')) {
+      return this.handleRecord(request);
+    }
+    if (request.method === 'POST' && path.endsWith('/claim')) {
+      return this.handleClaim(request);
+    }
+    if (request.method === 'POST' && path.endsWith('/ack')) {
+      return this.handleAck(request);
+    }
+    if (request.method === 'POST' && path.endsWith('/fail')) {
+      return this.handleFail(request);
+    }
+    if (request.method === 'POST' && path.endsWith('/replay')) {
+      return this.handleReplay(request);
+    }
+    if (request.method === 'GET' && path.endsWith('/items')) {
+      return this.handleList(url.searchParams);
+    }
+    if (request.method === 'GET' && path.endsWith('/undelivered')) {
+      const params = new URLSearchParams(url.searchParams);
+      params.set('status', 'undelivered');
+      return this.handleList(params);
+    }
+    const retry = path.match(/\/item\/([^/]+)\/retry$/);
+    if (request.method === 'POST' && retry) {
+      return this.handleRetry(decodeURIComponent(retry[1]));
+    }
+    const single = path.match(/\/item\/([^/]+)$/);
+    if (single && request.method === 'GET') {
+      return this.handleGet(decodeURIComponent(single[1]));
+    }
+    if (request.method === 'GET' && path.endsWith('/status')) {
+      return this.handleStatus();
+    }
+
+    return this.jsonResponse({
+      agent: 'DisputeOutboxAgent',
+      status: 'active',
+      endpoints: [
+        '/record',
+        '/claim',
+        '/ack',
+        '/fail',
+        '/replay',
+        '/items',
+        '/undelivered',
+        '/item/:key',
+        '/item/:key/retry',
+        '/status',
+      ],
+    });
+  }
+
+  // -- Handlers --
+
+  /**
+   * Record an intake before its first delivery attempt. A known key is left
+   * as it is, so re-triaging a message never resets a delivered item.
+   * The new item is leased to the caller, which reports /ack or /fail; if
+   * it never does, the item comes due when the lease runs out.
+   * Body: { key, payload }  Returns: { item, created }
+   */
+  async handleRecord(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const key = typeof data?.key === 'string' ? data.key : '';
+    const payload = data?.payload;
+    if (!key || !payload || typeof payload !== 'object') {
+      return this.jsonResponse({ error: 'key and payload required' }, 400);
+    }
+
+    const existing = this.readItem(key);
+    if (existing) return this.jsonResponse({ item: existing, created: false });
+
+    const now = Date.now();
+    const nowIso = new Date(now).toISOString();
+    this.rawSql.exec(
+      `INSERT INTO outbox_items
+         (key, status, attempts, next_attempt_at, source_ref, category, payload, created_at, updated_at)
+       VALUES (?, 'pending', 0, ?, ?, ?, ?, ?, ?)`,
+      key,
+      new Date(now + OUTBOX_LEASE_MS).toISOString(),
+      payload.source_ref ?? null,
+      payload.triage?.category ?? null,
+      JSON.stringify(payload),
+      nowIso,
+      nowIso,
+    );
+    return this.jsonResponse({ item: this.readItem(key), created: true });
+  }
+
+  /**
+   * Lease the pending items that are due, oldest first.
+   * Body: { limit? }  Returns: { items }
+   */
+  async handleClaim(request) {
+    const { data } = await this.safeParseBody(request);
+    const limit = Math.min(Math.max(Number.parseInt(data?.limit, 10) || 25, 1), OUTBOX_PAGE_MAX);
+    const now = Date.now();
+    const rows = this.rawSql.exec(
+      `SELECT * FROM outbox_items
+       WHERE status = 'pending' AND next_attempt_at <= ?
+       ORDER BY next_attempt_at ASC LIMIT ?`,
+      new Date(now).toISOString(),
+      limit,
+    ).toArray();
+
+    const leaseUntil = new Date(now + OUTBOX_LEASE_MS).toISOString();
+    for (const row of rows) {
+      this.rawSql.exec('UPDATE outbox_items SET next_attempt_at = ? WHERE key = ?', leaseUntil, row.key);
+    }
+    return this.jsonResponse({ items: rows.map((row) => this.rowToItem(row)) });
+  }
+
+  /**
+   * Mark an intake acknowledged by chittydispute.
+   * Body: { key, status, ackId?, url? }  Returns: { item }
+   */
+  async handleAck(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const key = String(data?.key || '');
+    const current = this.readItem(key);
+    if (!current) return this.jsonResponse({ error: 'not found' }, 404);
+
+    const now = new Date().toISOString();
+    this.rawSql.exec(
+      `UPDATE outbox_items
+       SET status = 'delivered', next_attempt_at = NULL, ack_status = ?, ack_id = ?, ack_url = ?,
+           delivered_at = ?, updated_at = ?, quarantined_at = NULL
+       WHERE key = ?`,
+      Number.isInteger(data.status) ? data.status : null,
+      data.ackId != null ? String(data.ackId) : null,
+      data.url ?? null,
+      now,
+      now,
+      key,
+    );
+    if (current.attempts > 0) this.info('dispute-outbox-delivered', { key, attempts: current.attempts });
+    return this.jsonResponse({ item: this.readItem(key) });
+  }
+
+  /**
+   * Record a failed delivery: back off, or quarantine when it is not
+   * retryable or out of attempts.
+   * Body: { key, error, status?, retryable? }  Returns: { item, quarantined }
+   */
+  async handleFail(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const key = String(data?.key || '');
+    const current = this.readItem(key);
+    if (!current) return this.jsonResponse({ error: 'not found' }, 404);
+    if (current.status === 'delivered') return this.jsonResponse({ item: current, quarantined: false });
+
+    const now = Date.now();
+    const nowIso = new Date(now).toISOString();
+    const next = nextOutboxFailure(current.attempts, outboxMaxAttempts(this.env), {
+      retryable: data.retryable !== false,
+      now,
+    });
+    const lastError = String(data.error || 'unknown error').slice(0, 2000);
+    this.rawSql.exec(
+      `UPDATE outbox_items
+       SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?, last_status = ?, updated_at = ?,
+           quarantined_at = ?
+       WHERE key = ?`,
+      next.status,
+      next.attempts,
+      next.nextAttemptAt ? new Date(next.nextAttemptAt).toISOString() : null,
+      lastError,
+      Number.isInteger(data.status) ? data.status : null,
+      nowIso,
+      next.status === 'quarantined' ? nowIso : null,
+      key,
+    );
+
+    const quarantined = next.status === 'quarantined';
+    if (quarantined) {
+      this.warn('dispute-outbox-quarantined', { key, attempts: next.attempts, status: data.status, error: lastError });
+    }
+    return this.jsonResponse({ item: this.readItem(key), quarantined });
+  }
+
+  /**
+   * Make every undelivered item recorded in a range due now with a fresh
+   * attempt budget — after a chittydispute outage. With includeDelivered,
+   * acknowledged items are sent again too (same idempotency keys).
+   * Body: { since, until?, includeDelivered? }  Returns: { requeued, since, until }
+   */
+  async handleReplay(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const { replay, errors } = parseReplayRequest(data);
+    if (!replay) return this.jsonResponse({ error: errors.join('; ') }, 400);
+
+    const statuses = replay.includeDelivered ? OUTBOX_STATUSES : ['pending', 'quarantined'];
+    const now = new Date().toISOString();
+    const { rowsWritten } = this.rawSql.exec(
+      `UPDATE outbox_items
+       SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ?, quarantined_at = NULL
+       WHERE created_at >= ? AND created_at < ? AND status IN (${statuses.map(() => '?').join(', ')})`,
+      now,
+      now,
+      replay.since,
+      replay.until,
+      ...statuses,
+    );
+    this.info('dispute-outbox-replayed', { ...replay, requeued: rowsWritten });
+    return this.jsonResponse({ requeued: rowsWritten, since: replay.since, until: replay.until });
+  }
+
+  handleList(searchParams) {
+    const { filters, errors } = parseOutboxFilters(searchParams);
+    if (errors.length) return this.jsonResponse({ error: errors.join('; ') }, 400);
+    const statuses = filters.status === 'undelivered' ? ['pending', 'quarantined'] : [filters.status];
+    const where = [`status IN (${statuses.map(() => '?').join(', ')})`];
+    const params = [...statuses];
+    if (filters.since) {
+      where.push('created_at >= ?');
+      params.push(filters.since);
+    }
+    if (filters.until) {
+      where.push('created_at < ?');
+      params.push(filters.until);
+    }
+    const rows = this.rawSql.exec(
+      `SELECT * FROM outbox_items WHERE ${where.join(' AND ')} ORDER BY created_at ASC LIMIT ?`,
+      ...params,
+      filters.limit,
+    ).toArray();
+    const items = rows.map((row) => this.rowToItem(row));
+    return this.jsonResponse({ count: items.length, items });
+  }
+
+  handleGet(key) {
+    const item = this.readItem(key);
+    if (!item) return this.jsonResponse({ error: 'not found' }, 404);
+    return this.jsonResponse({ item });
+  }
+
+  /** Make one undelivered item due now with a fresh attempt budget. */
+  handleRetry(key) {
+    const item = this.readItem(key);
+    if (!item) return this.jsonResponse({ error: 'not found' }, 404);
+    if (item.status === 'delivered') return this.jsonResponse({ error: 'already delivered', item }, 409);
+    const now = new Date().toISOString();
+    this.rawSql.exec(
+      `UPDATE outbox_items SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ?,
+         quarantined_at = NULL WHERE key = ?`,
+      now,
+      now,
+      key,
+    );
+    this.info('dispute-outbox-requeued', { key });
+    return this.jsonResponse({ item: this.readItem(key) });
+  }
+
+  handleStatus() {
+    const rows = this.rawSql.exec(
+      'SELECT status, COUNT(*) AS n FROM outbox_items GROUP BY status',
+    ).toArray();
+    const byStatus = Object.fromEntries(OUTBOX_STATUSES.map((s) => [s, 0]));
+    for (const row of rows) byStatus[row.status] = row.n;
+    const [oldest] = this.rawSql.exec(
+      "SELECT MIN(created_at) AS at FROM outbox_items WHERE status != 'delivered'",
+    ).toArray();
+    const [next] = this.rawSql.exec(
+      "SELECT MIN(next_attempt_at) AS at FROM outbox_items WHERE status = 'pending'",
+    ).toArray();
+    return this.jsonResponse({
+      agent: 'DisputeOutboxAgent',
+      byStatus,
+      undelivered: byStatus.pending + byStatus.quarantined,
+      oldestUndeliveredAt: oldest?.at ?? null,
+      nextAttemptAt: next?.at ?? null,
+      maxAttempts: outboxMaxAttempts(this.env),
+    });
+  }
+
+  // -- Storage helpers --
+
+  readItem(key) {
+    const rows = this.rawSql.exec('SELECT * FROM outbox_items WHERE key = ?', key).toArray();
+    return rows.length ? this.rowToItem(rows[0]) : null;
+  }
+
+  rowToItem(row) {
+    return {
+      key: row.key,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      sourceRef: row.source_ref,
+      category: row.category,
+      payload: JSON.parse(row.payload),
+      lastError: row.last_error,
+      lastStatus: row.last_status,
+      ack: row.delivered_at
+        ? { status: row.ack_status, id: row.ack_id, url: row.ack_url, at: row.delivered_at }
+        : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      deliveredAt: row.delivered_at,
+      quarantinedAt: row.quarantined_at,
+    };
+  }
+}
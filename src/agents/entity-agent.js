@@ -7,6 +7,7 @@
  * @canon chittycanon://gov/governance#core-types
  */
 import { ChittyRouterBaseAgent } from './base-agent.js';
+import { timelineSearchDocument, timelineDocId, scheduleIndexing, purgeIndexed } from '../search/search-index.js';
 
 // @canon: chittycanon://gov/governance#core-types
 // All five types MUST be present — never omit Authority (A).
@@ -37,6 +38,12 @@ const STATUS_TRANSITIONS = {
 };
 
 export class EntityAgent extends ChittyRouterBaseAgent {
+  static SHARD_TABLES = [
+    { table: 'entities', org: 'org' },
+    { table: 'entity_links', refs: { source_id: 'entities', target_id: 'entities' } },
+    { table: 'entity_timeline', refs: { entity_id: 'entities' } },
+  ];
+
   // Note: all sql.exec calls below use the built-in SQLite API, not child_process
   async onStart() {
     await super.onStart();
@@ -83,6 +90,7 @@ export class EntityAgent extends ChittyRouterBaseAgent {
   async onRequest(request) {
     const url = new URL(request.url);
 
+    if (url.pathname.includes('/shard/')) return this.handleShardRequest(request, url);
     if (request.method === 'POST' && url.pathname.endsWith('/create')) {
       return this.handleCreate(request);
     }
@@ -249,10 +257,35 @@ export class EntityAgent extends ChittyRouterBaseAgent {
       entity_id, event_type, description || null, actor || 'system',
       metadata ? JSON.stringify(metadata) : null,
     );
+    const [{ id: eventId }] = this.rawSql.exec('SELECT last_insert_rowid() as id').toArray();
+    this.indexTimelineEvent(eventId);
 
     return this.jsonResponse({ entity_id, event_type, status: 'recorded' });
   }
 
+  /** Hand a timeline event to the search index, off the request path. */
+  indexTimelineEvent(eventId) {
+    const [event] = this.rawSql.exec('SELECT * FROM entity_timeline WHERE id = ?', eventId).toArray();
+    const [entity] = event
+      ? this.rawSql.exec('SELECT * FROM entities WHERE id = ?', event.entity_id).toArray()
+      : [];
+    const parse = (row) => row && { ...row, metadata: row.metadata ? JSON.parse(row.metadata) : {} };
+    const doc = timelineSearchDocument(parse(entity), parse(event), { shard: this.shard });
+    if (doc) scheduleIndexing(this.env, this.ctx, [doc]);
+  }
+
+  // Migrated timeline events get new ids here, so they are indexed afresh
+  // and the root's documents for them are dropped.
+  onShardImport(table, localIds) {
+    if (table === 'entity_timeline') localIds.forEach((id) => this.indexTimelineEvent(id));
+  }
+
+  onShardPurge(table, rows) {
+    if (table !== 'entity_timeline') return;
+    const docIds = rows.map((row) => timelineDocId(row.entity_id, row.id, this.shard));
+    this.ctx.waitUntil(purgeIndexed(this.env, { docIds, reason: 'moved_to_shard' }));
+  }
+
   /**
    * Get an entity by ID, including links and timeline.
    * GET /get?id=N
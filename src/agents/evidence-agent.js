@@ -7,6 +7,33 @@
  * @canon chittycanon://gov/governance#core-types
  */
 import { ChittyRouterBaseAgent } from './base-agent.js';
+import { evidenceSearchDocument, indexDocuments } from '../search/search-index.js';
+import { readExtraction } from '../documents/extraction-pipeline.js';
+import {
+  EVIDENCE_INTAKE_ACTOR,
+  chainCustodyEntry,
+  chainLegacyEntries,
+  custodySigner,
+  custodySigningEnabled,
+  custodyTrustedKey,
+  hashStoredObject,
+  intakeCustodyDescription,
+  signCustodyHead,
+  verifyCustodyChain,
+} from '../crypto/custody-chain.js';
+import {
+  PACKET_MAX_BYTES,
+  batesRange,
+  buildExhibitPacket,
+  exhibitPageCount,
+  exportBlocker,
+  exportDownloadBase,
+  exportObjectKey,
+  newExportId,
+  parseExportRequest,
+  planBatesNumbers,
+} from '../documents/exhibit-packet.js';
+import { CloudflareR2Provider } from '../storage/providers/cloudflare-r2-provider.js';
 
 const EXHIBIT_CATEGORIES = [
   'financial', 'communication', 'identification',
@@ -14,6 +41,14 @@ const EXHIBIT_CATEGORIES = [
 ];
 
 export class EvidenceAgent extends ChittyRouterBaseAgent {
+  static SHARD_TABLES = [
+    { table: 'evidence_items', org: 'org', caseSlug: 'case_id' },
+    { table: 'custody_chain', refs: { evidence_id: 'evidence_items' } },
+    { table: 'verification_log', refs: { evidence_id: 'evidence_items' } },
+    { table: 'bates_assignments', refs: { evidence_id: 'evidence_items' } },
+    { table: 'export_jobs', caseSlug: 'case_id' },
+  ];
+
   // Note: all sql.exec calls below use the built-in SQLite API, not child_process
   async onStart() {
     await super.onStart();
@@ -46,6 +81,8 @@ export class EvidenceAgent extends ChittyRouterBaseAgent {
         FOREIGN KEY (evidence_id) REFERENCES evidence_items(id)
       )
     `);
+    this.ensureCustodyColumns();
+    await this.backfillCustodyChains();
     this.rawSql.exec(`
       CREATE TABLE IF NOT EXISTS verification_log (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -58,11 +95,95 @@ export class EvidenceAgent extends ChittyRouterBaseAgent {
         FOREIGN KEY (evidence_id) REFERENCES evidence_items(id)
       )
     `);
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS bates_assignments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        evidence_id INTEGER NOT NULL,
+        prefix TEXT NOT NULL,
+        first_number INTEGER NOT NULL,
+        last_number INTEGER NOT NULL,
+        export_id TEXT,
+        assigned_at TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE (evidence_id, prefix),
+        FOREIGN KEY (evidence_id) REFERENCES evidence_items(id)
+      )
+    `);
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS export_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        export_id TEXT NOT NULL UNIQUE,
+        case_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        exhibit_ids TEXT NOT NULL,
+        bates_prefix TEXT NOT NULL,
+        requested_by TEXT,
+        url_ttl_seconds INTEGER NOT NULL,
+        r2_path TEXT,
+        sha256 TEXT,
+        size INTEGER,
+        error TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        started_at TEXT,
+        completed_at TEXT
+      )
+    `);
+  }
+
+  /**
+   * custody_chain predates hash chaining. Add the link columns in place, and
+   * the head each exhibit's chain must end at.
+   */
+  ensureCustodyColumns() {
+    const add = (table, columns) => {
+      const existing = new Set(
+        this.rawSql.exec(`PRAGMA table_info(${table})`).toArray().map((c) => c.name),
+      );
+      for (const [column, type] of columns) {
+        if (!existing.has(column)) this.rawSql.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      }
+    };
+    add('custody_chain', [['seq', 'INTEGER'], ['prev_hash', 'TEXT'], ['entry_hash', 'TEXT'], ['head_signature', 'TEXT']]);
+    add('evidence_items', [['custody_seq', 'INTEGER'], ['custody_head', 'TEXT']]);
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_custody_chain_seq ON custody_chain(evidence_id, seq)');
+  }
+
+  /**
+   * Chain custody recorded before hashing existed, oldest first, so its
+   * history is provable from the upgrade on. Exhibits with any hashed entry
+   * are left alone; verify-chain reports their unhashed rows.
+   */
+  async backfillCustodyChains() {
+    const exhibits = this.rawSql.exec(
+      `SELECT e.id, e.exhibit_id FROM evidence_items e
+       WHERE e.custody_head IS NULL
+         AND EXISTS (SELECT 1 FROM custody_chain c WHERE c.evidence_id = e.id)
+         AND NOT EXISTS (SELECT 1 FROM custody_chain c WHERE c.evidence_id = e.id AND c.entry_hash IS NOT NULL)`,
+    ).toArray();
+    for (const exhibit of exhibits) {
+      const legacy = this.rawSql.exec(
+        'SELECT * FROM custody_chain WHERE evidence_id = ? ORDER BY occurred_at ASC, id ASC', exhibit.id,
+      ).toArray();
+      const { entries, head } = await chainLegacyEntries(exhibit.exhibit_id, legacy);
+      for (const entry of entries) {
+        this.rawSql.exec(
+          'UPDATE custody_chain SET seq = ?, prev_hash = ?, entry_hash = ? WHERE id = ?',
+          entry.seq, entry.prev_hash, entry.entry_hash, entry.id,
+        );
+      }
+      this.rawSql.exec(
+        'UPDATE evidence_items SET custody_seq = ?, custody_head = ? WHERE id = ?', head.seq, head.hash, exhibit.id,
+      );
+    }
+    if (exhibits.length) this.info('Custody chains backfilled', { exhibits: exhibits.length });
   }
 
   async onRequest(request) {
     const url = new URL(request.url);
 
+    if (url.pathname.includes('/shard/')) return this.handleShardRequest(request, url);
+    if (request.method === 'POST' && url.pathname === '/ingest/email') {
+      return this.handleIngest(request, { intake: true });
+    }
     if (request.method === 'POST' && url.pathname.endsWith('/ingest')) {
       return this.handleIngest(request);
     }
@@ -75,9 +196,25 @@ export class EvidenceAgent extends ChittyRouterBaseAgent {
     if (request.method === 'POST' && url.pathname.endsWith('/dispute')) {
       return this.handleDispute(request);
     }
+    if (request.method === 'GET' && url.pathname.endsWith('/custody/verify-chain')) {
+      return this.handleVerifyChain(url);
+    }
     if (request.method === 'GET' && url.pathname.endsWith('/custody')) {
       return this.handleCustody(url);
     }
+    if (request.method === 'POST' && url.pathname.endsWith('/export')) {
+      return this.handleExport(request);
+    }
+    const exportRoute = url.pathname.match(/\/export\/([^/]+)(\/retry)?$/);
+    if (exportRoute && request.method === 'POST' && exportRoute[2]) {
+      return this.handleExportRetry(decodeURIComponent(exportRoute[1]));
+    }
+    if (exportRoute && request.method === 'GET' && !exportRoute[2]) {
+      return this.handleExportStatus(decodeURIComponent(exportRoute[1]));
+    }
+    if (request.method === 'GET' && url.pathname.endsWith('/exports')) {
+      return this.handleExportList(url);
+    }
     if (request.method === 'GET' && url.pathname.endsWith('/search')) {
       return this.handleSearch(url);
     }
@@ -91,17 +228,29 @@ export class EvidenceAgent extends ChittyRouterBaseAgent {
     return this.jsonResponse({
       agent: 'EvidenceAgent',
       status: 'active',
-      endpoints: ['/ingest', '/verify', '/seal', '/dispute', '/custody', '/search', '/stats', '/status'],
+      endpoints: ['/ingest', '/ingest/email', '/verify', '/seal', '/dispute', '/custody', '/custody/verify-chain', '/export', '/export/:id', '/exports', '/search', '/stats', '/status'],
     });
   }
 
-  async handleIngest(request) {
+  /**
+   * POST /ingest, or POST /ingest/email for email intake
+   * (src/email/attachment-evidence.js). Only the intake route takes
+   * `provenance` and opens the chain as EVIDENCE_INTAKE_ACTOR; it is
+   * admin-scoped (src/utils/agent-scopes.js), so an evidence:write caller
+   * cannot have an entry attributed to the intake.
+   */
+  async handleIngest(request, { intake = false } = {}) {
     const body = await request.json();
-    const { exhibit_id, title, category, source, case_id, org, sha256, r2_path, metadata } = body;
+    const { exhibit_id, title, category, source, case_id, org, sha256, r2_path, metadata, provenance } = body;
 
     if (!exhibit_id || !title) {
       return this.jsonResponse({ error: 'exhibit_id and title are required' }, 400);
     }
+    if (intake ? !provenance : provenance) {
+      return this.jsonResponse({
+        error: intake ? 'provenance is required' : 'provenance is only accepted on /ingest/email',
+      }, 400);
+    }
     if (!EXHIBIT_CATEGORIES.includes(category || 'other')) {
       return this.jsonResponse({ error: `category must be one of: ${EXHIBIT_CATEGORIES.join(', ')}` }, 400);
     }
@@ -116,48 +265,108 @@ export class EvidenceAgent extends ChittyRouterBaseAgent {
        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       exhibit_id, title, category || 'other', source || null,
       case_id || null, org || null, sha256 || null, r2_path || null,
-      metadata ? JSON.stringify(metadata) : null,
+      metadata || provenance ? JSON.stringify({ ...metadata, ...(provenance ? { provenance } : {}) }) : null,
     );
 
     const created = this.rawSql.exec('SELECT last_insert_rowid() as id').toArray();
     const evidenceId = created[0]?.id;
 
-    this.recordCustody(evidenceId, 'ingested', 'system', `Evidence "${title}" ingested as ${exhibit_id}`, sha256);
+    // Intake exhibits open their chain with the message they arrived on.
+    const entry = intake
+      ? await this.recordCustody(evidenceId, 'ingested', EVIDENCE_INTAKE_ACTOR, intakeCustodyDescription({ ...provenance, sha256: sha256 || provenance.sha256 }), sha256)
+      : await this.recordCustody(evidenceId, 'ingested', 'system', `Evidence "${title}" ingested as ${exhibit_id}`, sha256);
     this.info('Evidence ingested', { evidenceId, exhibit_id, category });
+    this.indexForSearch(evidenceId);
 
     return this.jsonResponse({
       id: evidenceId, exhibit_id, title,
       category: category || 'other', status: 'ingested',
-      chain_of_custody: [{ action: 'ingested', actor: 'system', occurred_at: new Date().toISOString() }],
+      chain_of_custody: [entry],
     });
   }
 
+  /**
+   * Hand an exhibit (with its extracted text, when its R2 object has been
+   * through the extraction pipeline) to the search index, off the request path.
+   */
+  indexForSearch(evidenceId) {
+    const [row] = this.rawSql.exec('SELECT * FROM evidence_items WHERE id = ?', evidenceId).toArray();
+    if (!row) return;
+    const item = { ...row, metadata: row.metadata ? JSON.parse(row.metadata) : {} };
+    if (!evidenceSearchDocument(item)) return;
+    const shard = this.shard;
+    this.ctx.waitUntil((async () => {
+      const extraction = item.r2_path
+        ? await readExtraction(this.env, item.r2_path).catch(() => null)
+        : null;
+      await indexDocuments(this.env, [evidenceSearchDocument(item, extraction?.text, { shard })]);
+    })());
+  }
+
+  // Document ids are exhibit ids, so re-indexing a migrated exhibit replaces
+  // the root's document with one citing this shard.
+  onShardImport(table, localIds) {
+    if (table === 'evidence_items') localIds.forEach((id) => this.indexForSearch(id));
+  }
+
+  /**
+   * Re-hash the exhibit's stored object server-side: stream it out of
+   * DOCUMENT_STORAGE and compare against the SHA-256 recorded at ingest.
+   * `expected_sha256` is only an extra check against the recomputed hash.
+   * Exhibits ingested without a hash take the recomputed one as their baseline.
+   */
   async handleVerify(request) {
     const { exhibit_id, verification_type, verifier, expected_sha256, notes } = await request.json();
     if (!exhibit_id) return this.jsonResponse({ error: 'exhibit_id is required' }, 400);
 
     const rows = this.rawSql.exec('SELECT * FROM evidence_items WHERE exhibit_id = ?', exhibit_id).toArray();
     if (rows.length === 0) return this.jsonResponse({ error: 'Evidence not found' }, 404);
+    if (!this.env.DOCUMENT_STORAGE) return this.jsonResponse({ error: 'DOCUMENT_STORAGE not bound' }, 503);
 
     const evidence = rows[0];
-    let result = 'passed';
-    if (expected_sha256 && evidence.sha256 && expected_sha256 !== evidence.sha256) {
-      result = 'failed_integrity';
+    const actor = verifier || 'system';
+    let computed = null;
+    let result;
+    if (!evidence.r2_path) {
+      result = 'unverifiable';
+    } else {
+      computed = await hashStoredObject(this.env, evidence.r2_path);
+      if (!computed) result = 'missing_object';
+      else if (evidence.sha256 && computed.sha256 !== evidence.sha256) result = 'failed_integrity';
+      else if (expected_sha256 && computed.sha256 !== expected_sha256) result = 'failed_integrity';
+      else result = 'passed';
     }
 
     this.rawSql.exec(
       'INSERT INTO verification_log (evidence_id, verification_type, result, verifier, notes) VALUES (?, ?, ?, ?, ?)',
-      evidence.id, verification_type || 'manual', result, verifier || 'system', notes || null,
+      evidence.id, verification_type || 'hash', result, actor, notes || null,
     );
 
-    if (result === 'passed' && evidence.status === 'ingested') {
-      this.rawSql.exec('UPDATE evidence_items SET status = \'verified\', updated_at = datetime(\'now\') WHERE id = ?', evidence.id);
-      this.recordCustody(evidence.id, 'verified', verifier || 'system', 'Verification passed');
+    let status = evidence.status;
+    if (result === 'passed') {
+      if (!evidence.sha256) {
+        this.rawSql.exec('UPDATE evidence_items SET sha256 = ?, updated_at = datetime(\'now\') WHERE id = ?', computed.sha256, evidence.id);
+      }
+      if (evidence.status === 'ingested') {
+        this.rawSql.exec('UPDATE evidence_items SET status = \'verified\', updated_at = datetime(\'now\') WHERE id = ?', evidence.id);
+        await this.recordCustody(evidence.id, 'verified', actor, `Verification passed: SHA-256 recomputed from ${evidence.r2_path}`, computed.sha256);
+        status = 'verified';
+      }
     } else if (result === 'failed_integrity') {
-      this.recordCustody(evidence.id, 'integrity_failed', verifier || 'system', 'SHA-256 mismatch detected');
+      await this.recordCustody(evidence.id, 'integrity_failed', actor, 'SHA-256 mismatch detected', computed.sha256);
+    } else if (result === 'missing_object') {
+      await this.recordCustody(evidence.id, 'integrity_failed', actor, `Stored object ${evidence.r2_path} is missing`);
     }
 
-    return this.jsonResponse({ exhibit_id, verification_type: verification_type || 'manual', result, status: result === 'passed' ? 'verified' : evidence.status });
+    return this.jsonResponse({
+      exhibit_id,
+      verification_type: verification_type || 'hash',
+      result,
+      status,
+      sha256: computed?.sha256 ?? null,
+      recorded_sha256: evidence.sha256 || computed?.sha256 || null,
+      size: computed?.size ?? null,
+    });
   }
 
   async handleSeal(request) {
@@ -172,7 +381,7 @@ export class EvidenceAgent extends ChittyRouterBaseAgent {
     }
 
     this.rawSql.exec('UPDATE evidence_items SET status = \'sealed\', updated_at = datetime(\'now\') WHERE id = ?', rows[0].id);
-    this.recordCustody(rows[0].id, 'sealed', sealed_by || 'system', 'Evidence sealed');
+    await this.recordCustody(rows[0].id, 'sealed', sealed_by || 'system', 'Evidence sealed');
 
     return this.jsonResponse({ exhibit_id, status: 'sealed' });
   }
@@ -185,7 +394,7 @@ export class EvidenceAgent extends ChittyRouterBaseAgent {
     if (rows.length === 0) return this.jsonResponse({ error: 'Evidence not found' }, 404);
 
     this.rawSql.exec('UPDATE evidence_items SET status = \'disputed\', updated_at = datetime(\'now\') WHERE id = ?', rows[0].id);
-    this.recordCustody(rows[0].id, 'disputed', disputed_by || 'unknown', `Dispute filed: ${reason}`);
+    await this.recordCustody(rows[0].id, 'disputed', disputed_by || 'unknown', `Dispute filed: ${reason}`);
 
     return this.jsonResponse({ exhibit_id, status: 'disputed', reason });
   }
@@ -197,10 +406,238 @@ export class EvidenceAgent extends ChittyRouterBaseAgent {
     const evidence = this.rawSql.exec('SELECT * FROM evidence_items WHERE exhibit_id = ?', exhibit_id).toArray();
     if (evidence.length === 0) return this.jsonResponse({ error: 'Evidence not found' }, 404);
 
-    const chain = this.rawSql.exec('SELECT * FROM custody_chain WHERE evidence_id = ? ORDER BY occurred_at ASC', evidence[0].id).toArray();
+    const chain = this.readCustodyChain(evidence[0].id);
     const verifications = this.rawSql.exec('SELECT * FROM verification_log WHERE evidence_id = ? ORDER BY verified_at ASC', evidence[0].id).toArray();
 
-    return this.jsonResponse({ exhibit_id, title: evidence[0].title, status: evidence[0].status, chain_of_custody: chain, verifications });
+    return this.jsonResponse({
+      exhibit_id, title: evidence[0].title, status: evidence[0].status,
+      chain_head: evidence[0].custody_head ? { seq: evidence[0].custody_seq, hash: evidence[0].custody_head } : null,
+      chain_of_custody: chain, verifications,
+    });
+  }
+
+  /**
+   * GET /custody/verify-chain[?exhibit_id=] — re-walk one exhibit's chain,
+   * or every exhibit in this instance, reporting gaps, edits and truncation.
+   */
+  async handleVerifyChain(url) {
+    const exhibitId = url.searchParams.get('exhibit_id');
+    const evidence = exhibitId
+      ? this.rawSql.exec('SELECT * FROM evidence_items WHERE exhibit_id = ?', exhibitId).toArray()
+      : this.rawSql.exec('SELECT * FROM evidence_items ORDER BY id').toArray();
+    if (exhibitId && evidence.length === 0) return this.jsonResponse({ error: 'Evidence not found' }, 404);
+
+    const verifyOptions = await this.custodyVerifyOptions();
+    const reports = [];
+    for (const item of evidence) {
+      reports.push(await verifyCustodyChain(item.exhibit_id, this.readCustodyChain(item.id), {
+        ...verifyOptions,
+        head: { seq: item.custody_seq, hash: item.custody_head },
+      }));
+    }
+    const broken = reports.filter((r) => !r.valid);
+    if (broken.length) this.warn('Custody chain verification failed', { exhibits: broken.map((r) => r.exhibit_id) });
+
+    if (exhibitId) return this.jsonResponse(reports[0]);
+    return this.jsonResponse({ valid: broken.length === 0, checked: reports.length, broken: broken.length, chains: broken });
+  }
+
+  readCustodyChain(evidenceId) {
+    return this.rawSql.exec('SELECT * FROM custody_chain WHERE evidence_id = ? ORDER BY seq ASC, id ASC', evidenceId).toArray();
+  }
+
+  // -- Exhibit packet exports (src/documents/exhibit-packet.js) --
+
+  /**
+   * POST /export — queue a packet of a case's sealed exhibits. Bates ranges
+   * are assigned here, before the 202, so concurrent exports never share
+   * numbers; the packet itself is built off the request path.
+   */
+  async handleExport(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const { request: req, errors } = parseExportRequest(data);
+    if (errors.length) return this.jsonResponse({ error: errors.join('; ') }, 400);
+    if (!this.env.DOCUMENT_STORAGE) return this.jsonResponse({ error: 'DOCUMENT_STORAGE not bound' }, 503);
+
+    const items = req.exhibitIds
+      ? req.exhibitIds.map((id) => this.rawSql.exec('SELECT * FROM evidence_items WHERE exhibit_id = ?', id).toArray()[0])
+      : this.rawSql.exec(
+        'SELECT * FROM evidence_items WHERE case_id = ? AND status = \'sealed\' ORDER BY exhibit_id', req.caseId,
+      ).toArray();
+    const blocked = items
+      .map((item, i) => ({ exhibit_id: req.exhibitIds?.[i] ?? item.exhibit_id, problem: exportBlocker(item, req.caseId) }))
+      .filter((b) => b.problem);
+    if (blocked.length) return this.jsonResponse({ error: 'Only sealed exhibits of the case can be exported', exhibits: blocked }, 400);
+    if (!items.length) return this.jsonResponse({ error: `No sealed exhibits in case ${req.caseId}` }, 400);
+
+    const pages = await Promise.all(items.map(async (item) => exhibitPageCount(
+      (await readExtraction(this.env, item.r2_path, { text: false }).catch(() => null))?.manifest,
+    )));
+
+    // No awaits from here to the inserts: numbering is read and claimed in one turn.
+    const existing = new Map(this.rawSql.exec(
+      `SELECT e.exhibit_id, b.first_number AS first, b.last_number AS last
+       FROM bates_assignments b JOIN evidence_items e ON e.id = b.evidence_id WHERE b.prefix = ?`,
+      req.batesPrefix,
+    ).toArray().map((row) => [row.exhibit_id, row]));
+    const [{ last }] = this.rawSql.exec(
+      'SELECT MAX(last_number) AS last FROM bates_assignments WHERE prefix = ?', req.batesPrefix,
+    ).toArray();
+    const { assignments } = planBatesNumbers(
+      items.map((item, i) => ({ exhibit_id: item.exhibit_id, pages: pages[i] })),
+      { prefix: req.batesPrefix, next: (last || 0) + 1, existing },
+    );
+
+    const exportId = newExportId();
+    assignments.forEach((a, i) => {
+      if (a.reused) return;
+      this.rawSql.exec(
+        'INSERT INTO bates_assignments (evidence_id, prefix, first_number, last_number, export_id) VALUES (?, ?, ?, ?, ?)',
+        items[i].id, a.prefix, a.first, a.last, exportId,
+      );
+    });
+    this.rawSql.exec(
+      `INSERT INTO export_jobs (export_id, case_id, exhibit_ids, bates_prefix, requested_by, url_ttl_seconds)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      exportId, req.caseId, JSON.stringify(items.map((item) => item.exhibit_id)),
+      req.batesPrefix, req.requestedBy, req.urlTtlSeconds,
+    );
+    this.info('Exhibit export queued', { exportId, caseId: req.caseId, exhibits: items.length });
+    this.ctx.waitUntil(this.runExport(exportId));
+
+    return this.jsonResponse({
+      export_id: exportId,
+      case_id: req.caseId,
+      status: 'queued',
+      bates_prefix: req.batesPrefix,
+      exhibits: assignments.map((a) => ({ exhibit_id: a.exhibit_id, bates: batesRange(a.prefix, a.first, a.last), reused: a.reused })),
+    }, 202);
+  }
+
+  /**
+   * Build a queued packet: read the originals, verify their hashes, store
+   * the ZIP in R2 and record the export in each exhibit's custody chain.
+   */
+  async runExport(exportId) {
+    const [job] = this.rawSql.exec('SELECT * FROM export_jobs WHERE export_id = ?', exportId).toArray();
+    if (!job || job.status !== 'queued') return;
+    this.rawSql.exec(
+      'UPDATE export_jobs SET status = \'running\', started_at = datetime(\'now\'), error = NULL WHERE export_id = ?', exportId,
+    );
+
+    try {
+      const exhibits = [];
+      let total = 0;
+      for (const exhibitId of JSON.parse(job.exhibit_ids)) {
+        const [item] = this.rawSql.exec('SELECT * FROM evidence_items WHERE exhibit_id = ?', exhibitId).toArray();
+        const blocker = exportBlocker(item, job.case_id);
+        if (blocker) throw new Error(`${exhibitId} ${blocker}`);
+        const object = await this.env.DOCUMENT_STORAGE.get(item.r2_path);
+        if (!object) throw new Error(`${exhibitId}: stored file ${item.r2_path} is missing`);
+        total += object.size;
+        if (total > PACKET_MAX_BYTES) throw new Error(`packet exceeds ${PACKET_MAX_BYTES} bytes; export fewer exhibits`);
+        const [bates] = this.rawSql.exec(
+          'SELECT first_number, last_number FROM bates_assignments WHERE evidence_id = ? AND prefix = ?', item.id, job.bates_prefix,
+        ).toArray();
+        const chain = this.readCustodyChain(item.id);
+        exhibits.push({
+          item,
+          bytes: new Uint8Array(await object.arrayBuffer()),
+          bates: { prefix: job.bates_prefix, first: bates.first_number, last: bates.last_number },
+          chain,
+          verifications: this.rawSql.exec('SELECT * FROM verification_log WHERE evidence_id = ? ORDER BY verified_at ASC', item.id).toArray(),
+          chainReport: await verifyCustodyChain(item.exhibit_id, chain, {
+            ...(await this.custodyVerifyOptions()),
+            head: { seq: item.custody_seq, hash: item.custody_head },
+          }),
+        });
+      }
+
+      const packet = await buildExhibitPacket({
+        exportId,
+        caseId: job.case_id,
+        requestedBy: job.requested_by,
+        generatedAt: new Date().toISOString(),
+        exhibits,
+      });
+      const r2Path = exportObjectKey(job.case_id, exportId);
+      await this.env.DOCUMENT_STORAGE.put(r2Path, packet.bytes, {
+        httpMetadata: { contentType: 'application/zip', contentDisposition: `attachment; filename="${exportId}.zip"` },
+        customMetadata: { caseId: job.case_id, exportId, sha256: packet.sha256, exhibitCount: String(exhibits.length) },
+      });
+
+      for (const { item, bates } of exhibits) {
+        await this.recordCustody(
+          item.id, 'exported', job.requested_by || 'system',
+          `Produced as ${batesRange(bates.prefix, bates.first, bates.last)} in export ${exportId}`, packet.hashes[item.exhibit_id],
+        );
+      }
+      this.rawSql.exec(
+        `UPDATE export_jobs SET status = 'complete', r2_path = ?, sha256 = ?, size = ?, completed_at = datetime('now')
+         WHERE export_id = ?`,
+        r2Path, packet.sha256, packet.bytes.byteLength, exportId,
+      );
+      this.info('Exhibit export complete', { exportId, r2Path, exhibits: exhibits.length, size: packet.bytes.byteLength });
+    } catch (err) {
+      this.rawSql.exec(
+        'UPDATE export_jobs SET status = \'failed\', error = ?, completed_at = datetime(\'now\') WHERE export_id = ?',
+        err.message, exportId,
+      );
+      this.warn('Exhibit export failed', { exportId, error: err.message });
+    }
+  }
+
+  /** POST /export/:id/retry — re-run a failed export, or one stuck running for 15 minutes. */
+  handleExportRetry(exportId) {
+    const changed = this.rawSql.exec(
+      `UPDATE export_jobs SET status = 'queued'
+       WHERE export_id = ? AND (status = 'failed' OR (status = 'running' AND started_at < datetime('now', '-15 minutes')))`,
+      exportId,
+    ).rowsWritten;
+    if (!changed) {
+      const [job] = this.rawSql.exec('SELECT status FROM export_jobs WHERE export_id = ?', exportId).toArray();
+      if (!job) return this.jsonResponse({ error: 'Export not found' }, 404);
+      return this.jsonResponse({ error: `Export is ${job.status}; only failed or stalled exports can be retried` }, 409);
+    }
+    this.ctx.waitUntil(this.runExport(exportId));
+    return this.jsonResponse({ export_id: exportId, status: 'queued' }, 202);
+  }
+
+  /**
+   * GET /export/:id — job state; completed jobs get a fresh signed download
+   * URL on the router, or none while R2_URL_SIGNING_KEY is unset.
+   */
+  async handleExportStatus(exportId) {
+    const [job] = this.rawSql.exec('SELECT * FROM export_jobs WHERE export_id = ?', exportId).toArray();
+    if (!job) return this.jsonResponse({ error: 'Export not found' }, 404);
+    const view = this.exportJobView(job);
+    if (job.status === 'complete' && !this.env.R2_URL_SIGNING_KEY) {
+      view.download_unavailable = 'R2_URL_SIGNING_KEY is not configured';
+    } else if (job.status === 'complete') {
+      view.download_url = await new CloudflareR2Provider(this.env).createSignedUrl(job.r2_path, {
+        expiresIn: job.url_ttl_seconds,
+        baseUrl: exportDownloadBase(this.env),
+      });
+      view.download_expires_at = new Date(Date.now() + job.url_ttl_seconds * 1000).toISOString();
+    }
+    return this.jsonResponse(view);
+  }
+
+  handleExportList(url) {
+    let query = 'SELECT * FROM export_jobs WHERE 1=1';
+    const params = [];
+    const caseId = url.searchParams.get('case_id');
+    if (caseId) { query += ' AND case_id = ?'; params.push(caseId); }
+    const status = url.searchParams.get('status');
+    if (status) { query += ' AND status = ?'; params.push(status); }
+    query += ' ORDER BY id DESC LIMIT 100';
+    const exports = this.rawSql.exec(query, ...params).toArray().map((job) => this.exportJobView(job));
+    return this.jsonResponse({ count: exports.length, exports });
+  }
+
+  exportJobView(job) {
+    return { ...job, exhibit_ids: JSON.parse(job.exhibit_ids) };
   }
 
   handleSearch(url) {
@@ -221,11 +658,70 @@ export class EvidenceAgent extends ChittyRouterBaseAgent {
     return this.jsonResponse({ count: rows.length, evidence: rows });
   }
 
-  recordCustody(evidenceId, action, actor, description, integrityHash) {
-    this.rawSql.exec(
-      'INSERT INTO custody_chain (evidence_id, action, actor, description, integrity_hash) VALUES (?, ?, ?, ?, ?)',
-      evidenceId, action, actor, description || null, integrityHash || null,
-    );
+  /**
+   * Append a link to the exhibit's custody chain and move its head. The head
+   * update only lands if no other entry was appended while hashing; on a race
+   * the link is rebuilt on the new head. With CUSTODY_SIGNING_ENABLED the new
+   * head is signed after it is written.
+   */
+  async recordCustody(evidenceId, action, actor, description, integrityHash) {
+    for (;;) {
+      const [item] = this.rawSql.exec(
+        'SELECT exhibit_id, custody_seq, custody_head FROM evidence_items WHERE id = ?', evidenceId,
+      ).toArray();
+      const head = item.custody_head ? { seq: item.custody_seq, hash: item.custody_head } : null;
+      const entry = await chainCustodyEntry(item.exhibit_id, head, {
+        action, actor, description: description || null, integrity_hash: integrityHash || null,
+      });
+
+      const moved = this.rawSql.exec(
+        'UPDATE evidence_items SET custody_seq = ?, custody_head = ? WHERE id = ? AND custody_head IS ?',
+        entry.seq, entry.entry_hash, evidenceId, head?.hash ?? null,
+      ).rowsWritten;
+      if (!moved) continue;
+
+      this.rawSql.exec(
+        `INSERT INTO custody_chain (evidence_id, action, actor, description, integrity_hash, occurred_at, seq, prev_hash, entry_hash)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        evidenceId, entry.action, entry.actor, entry.description, entry.integrity_hash,
+        entry.occurred_at, entry.seq, entry.prev_hash, entry.entry_hash,
+      );
+      if (custodySigningEnabled(this.env)) await this.signCustodyHead(evidenceId, item.exhibit_id, entry);
+      return entry;
+    }
+  }
+
+  async signCustodyHead(evidenceId, exhibitId, entry) {
+    try {
+      const signature = await signCustodyHead(await this.custodySigner(), exhibitId, entry);
+      this.rawSql.exec(
+        'UPDATE custody_chain SET head_signature = ? WHERE evidence_id = ? AND seq = ?',
+        JSON.stringify(signature), evidenceId, entry.seq,
+      );
+      entry.head_signature = signature;
+    } catch (err) {
+      this.warn('Custody head signing failed', { exhibitId, seq: entry.seq, error: err.message });
+    }
+  }
+
+  /** P-256 signer, initialized once per instance (loads or creates the keypair). */
+  custodySigner() {
+    this.custodySignerReady ??= custodySigner(this.env).catch((err) => {
+      this.custodySignerReady = null;
+      throw err;
+    });
+    return this.custodySignerReady;
+  }
+
+  /**
+   * Head signatures verify against the deployment's pinned ChittyID public
+   * key; with signing on, an unsigned head is reported as well.
+   */
+  async custodyVerifyOptions() {
+    return {
+      trustedKey: await custodyTrustedKey(this.env),
+      requireSignedHead: custodySigningEnabled(this.env),
+    };
   }
 
   handleStats() {
@@ -14,6 +14,13 @@ const TRANSACTION_TYPES = [
 ];
 
 export class FinanceAgent extends ChittyRouterBaseAgent {
+  // Ledger entries follow their transaction; unlinked ones go by their own org.
+  static SHARD_TABLES = [
+    { table: 'transactions', org: 'org', caseSlug: 'case_id' },
+    { table: 'invoices', org: 'org' },
+    { table: 'ledger_entries', org: 'org', refs: { transaction_id: 'transactions' } },
+  ];
+
   // Note: all sql.exec calls below use the built-in SQLite API, not child_process
   async onStart() {
     await super.onStart();
@@ -72,6 +79,7 @@ export class FinanceAgent extends ChittyRouterBaseAgent {
   async onRequest(request) {
     const url = new URL(request.url);
 
+    if (url.pathname.includes('/shard/')) return this.handleShardRequest(request, url);
     if (request.method === 'POST' && url.pathname.endsWith('/transaction')) return this.handleTransaction(request);
     if (request.method === 'POST' && url.pathname.endsWith('/invoice')) return this.handleInvoice(request);
     if (request.method === 'GET' && url.pathname.endsWith('/ledger')) return this.handleLedger(url);
@@ -1,6 +1,11 @@
 /**
  * NotificationAgent — Multi-channel delivery (email, Slack, push, SMS).
  * Routes notifications to appropriate channels based on urgency and recipient preferences.
+ * Each channel sends through a real driver (src/notifications/channel-drivers.js);
+ * quiet hours defer delivery to a scheduled alarm (src/notifications/quiet-hours.js),
+ * which also runs retries.
+ * Registered emails are tracked in a ledger until their receipt is archived
+ * (src/email/registered-ledger.js).
  * Phase 9 of Agents SDK migration.
  *
  * @service chittycanon://core/services/chittyrouter
@@ -8,10 +13,22 @@
  */
 import { ChittyRouterBaseAgent } from './base-agent.js';
 import { createRegisteredDeliveryProvider } from '../email/registered-delivery-provider.js';
-
-const CHANNELS = ['email', 'slack', 'push', 'sms'];
+import { parseLedgerFilters, pollRegisteredEntry, registeredThreadMessage } from '../email/registered-ledger.js';
+import { callThreadStore } from '../email/threads.js';
+import {
+  CHANNEL_DRIVERS,
+  NOTIFICATION_CHANNELS as CHANNELS,
+  driverStatus,
+  nextDeliveryFailure,
+  sendThroughDriver,
+} from '../notifications/channel-drivers.js';
+import { DEFAULT_TIMEZONE, isValidTimeZone, parseClock, quietHoursDecision } from '../notifications/quiet-hours.js';
 const PRIORITY_LEVELS = ['critical', 'high', 'normal', 'low'];
 
+// Notifications waiting on the delivery alarm: held for quiet hours, or between retries.
+const PENDING_STATUSES = ['deferred', 'retrying'];
+const DUE_BATCH = 50;
+
 const DEFAULT_CHANNEL_RULES = {
   critical: ['email', 'slack', 'sms'],
   high: ['email', 'slack'],
@@ -53,6 +70,58 @@ export class NotificationAgent extends ChittyRouterBaseAgent {
         UNIQUE(recipient, channel, org)
       )
     `);
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS registered_ledger (
+        idempotency_key TEXT PRIMARY KEY,
+        provider TEXT NOT NULL,
+        account_id TEXT,
+        external_id TEXT,
+        recipient TEXT NOT NULL,
+        sender TEXT,
+        subject TEXT NOT NULL,
+        case_slug TEXT,
+        org TEXT,
+        expects_signature INTEGER NOT NULL DEFAULT 0,
+        attachment_count INTEGER NOT NULL DEFAULT 0,
+        state TEXT NOT NULL DEFAULT 'sent',
+        provider_status TEXT,
+        recipients TEXT NOT NULL DEFAULT '[]',
+        events TEXT NOT NULL DEFAULT '[]',
+        tracking TEXT NOT NULL DEFAULT 'active',
+        receipt TEXT,
+        timeline_message_id TEXT,
+        polls INTEGER NOT NULL DEFAULT 0,
+        next_poll_at TEXT,
+        last_polled_at TEXT,
+        last_error TEXT,
+        sent_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+    this.ensureDeliveryColumns();
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_registered_ledger_due ON registered_ledger(tracking, next_poll_at)');
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_registered_ledger_case ON registered_ledger(case_slug, sent_at)');
+  }
+
+  ensureDeliveryColumns() {
+    const add = (table, columns) => {
+      const existing = new Set(
+        this.rawSql.exec(`PRAGMA table_info(${table})`).toArray().map((c) => c.name),
+      );
+      for (const [column, type] of columns) {
+        if (!existing.has(column)) this.rawSql.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      }
+    };
+    add('notifications', [
+      ['attempts', 'INTEGER NOT NULL DEFAULT 0'],
+      ['next_attempt_at', 'TEXT'],
+      ['last_attempt_at', 'TEXT'],
+      ['provider_id', 'TEXT'],
+      ['provider_status', 'TEXT'],
+      ['bypass_quiet_hours', 'INTEGER NOT NULL DEFAULT 0'],
+    ]);
+    add('notification_preferences', [['address', 'TEXT'], ['timezone', 'TEXT']]);
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_notifications_due ON notifications(status, next_attempt_at)');
   }
 
   async onRequest(request) {
@@ -82,6 +151,22 @@ export class NotificationAgent extends ChittyRouterBaseAgent {
     if (request.method === 'GET' && url.pathname.endsWith('/registered-email/accounts')) {
       return this.handleRegisteredAccounts();
     }
+    if (request.method === 'GET' && url.pathname.endsWith('/registered-email/ledger')) {
+      return this.handleLedgerList(url.searchParams);
+    }
+    const ledgerItem = url.pathname.match(/\/registered-email\/ledger\/([^/]+)$/);
+    if (request.method === 'GET' && ledgerItem) {
+      return this.handleLedgerGet(decodeURIComponent(ledgerItem[1]));
+    }
+    if (request.method === 'POST' && url.pathname.endsWith('/registered-email/poll')) {
+      return this.handleLedgerPoll(request);
+    }
+    if (request.method === 'GET' && url.pathname.endsWith('/channels')) {
+      return this.jsonResponse({ channels: driverStatus(this.env) });
+    }
+    if (request.method === 'POST' && url.pathname.endsWith('/deliver-due')) {
+      return this.jsonResponse(await this.deliverDue());
+    }
     if (request.method === 'GET' && url.pathname.endsWith('/stats')) {
       return this.handleStats();
     }
@@ -92,7 +177,7 @@ export class NotificationAgent extends ChittyRouterBaseAgent {
     return this.jsonResponse({
       agent: 'NotificationAgent',
       status: 'active',
-      endpoints: ['/send', '/broadcast', '/preferences', '/history', '/registered-email/send', '/registered-email/status', '/registered-email/receipt', '/registered-email/accounts', '/stats', '/status'],
+      endpoints: ['/send', '/broadcast', '/preferences', '/history', '/channels', '/deliver-due', '/registered-email/send', '/registered-email/status', '/registered-email/receipt', '/registered-email/accounts', '/registered-email/ledger', '/registered-email/ledger/:key', '/registered-email/poll', '/stats', '/status'],
     });
   }
 
@@ -105,11 +190,15 @@ export class NotificationAgent extends ChittyRouterBaseAgent {
 
   /**
    * Send a notification.
-   * POST body: { recipient, channel?, priority?, subject?, body, org?, source_agent?, reference_id?, metadata? }
+   * POST body: { recipient, channel?, priority?, subject?, body, org?, source_agent?, reference_id?, metadata?, bypass_quiet_hours? }
+   *
+   * Each channel reports what happened: delivered (the provider accepted it),
+   * deferred (quiet hours; `deliver_at`), retrying, failed or suppressed.
+   * `bypass_quiet_hours` is only accepted on critical notifications.
    */
   async handleSend(request) {
     const body = await request.json();
-    const { recipient, channel, priority, subject, body: notifBody, org, source_agent, reference_id, metadata } = body;
+    const { recipient, channel, priority, subject, body: notifBody, org, source_agent, reference_id, metadata, bypass_quiet_hours } = body;
 
     if (!recipient || !notifBody) {
       return this.jsonResponse({ error: 'recipient and body are required' }, 400);
@@ -119,33 +208,56 @@ export class NotificationAgent extends ChittyRouterBaseAgent {
     if (!PRIORITY_LEVELS.includes(prio)) {
       return this.jsonResponse({ error: `priority must be one of: ${PRIORITY_LEVELS.join(', ')}` }, 400);
     }
+    if (bypass_quiet_hours && prio !== 'critical') {
+      return this.jsonResponse({ error: 'bypass_quiet_hours is only allowed on critical notifications' }, 400);
+    }
     const channels = channel ? [channel] : this.resolveChannels(prio);
     const results = [];
+    const now = new Date();
 
     for (const ch of channels) {
       if (!CHANNELS.includes(ch)) continue;
 
-      const prefEnabled = this.checkPreference(recipient, ch, org);
-      const status = prefEnabled ? 'queued' : 'suppressed';
+      const preference = this.getPreference(recipient, ch, org);
+      let status = 'queued';
+      let nextAttemptAt = null;
+      if (preference && preference.enabled !== 1) {
+        status = 'suppressed';
+      } else {
+        const decision = quietHoursDecision({
+          priority: prio,
+          bypassQuietHours: !!bypass_quiet_hours,
+          preference,
+          now,
+          defaultTimeZone: this.defaultTimeZone(),
+        });
+        if (decision.action === 'defer') {
+          status = 'deferred';
+          nextAttemptAt = decision.until.toISOString();
+        }
+      }
 
       this.rawSql.exec(
-        `INSERT INTO notifications (recipient, channel, priority, subject, body, org, source_agent, reference_id, status, metadata)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO notifications (recipient, channel, priority, subject, body, org, source_agent, reference_id, status, metadata, next_attempt_at, bypass_quiet_hours)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         recipient, ch, prio, subject || null, notifBody,
         org || null, source_agent || null, reference_id || null, status,
         metadata ? JSON.stringify(metadata) : null,
+        nextAttemptAt, bypass_quiet_hours ? 1 : 0,
       );
 
       const created = this.rawSql.exec('SELECT last_insert_rowid() as id').toArray();
       const notifId = created[0]?.id;
 
       if (status === 'queued') {
-        const delivered = await this.deliverNotification(notifId, ch, recipient, subject, notifBody);
-        results.push({ id: notifId, channel: ch, status: delivered ? 'delivered' : 'failed' });
+        results.push(await this.deliverNotification(notifId));
+      } else if (status === 'deferred') {
+        results.push({ id: notifId, channel: ch, status, deliver_at: nextAttemptAt });
       } else {
         results.push({ id: notifId, channel: ch, status: 'suppressed' });
       }
     }
+    if (results.some((r) => PENDING_STATUSES.includes(r.status))) await this.armDeliveryAlarm();
 
     return this.jsonResponse({
       recipient,
@@ -157,10 +269,10 @@ export class NotificationAgent extends ChittyRouterBaseAgent {
 
   /**
    * Broadcast to multiple recipients.
-   * POST body: { recipients: [string], channel?, priority?, subject?, body, org? }
+   * POST body: { recipients: [string], channel?, priority?, subject?, body, org?, bypass_quiet_hours? }
    */
   async handleBroadcast(request) {
-    const { recipients, channel, priority, subject, body: notifBody, org } = await request.json();
+    const { recipients, channel, priority, subject, body: notifBody, org, bypass_quiet_hours } = await request.json();
     if (!recipients?.length || !notifBody) {
       return this.jsonResponse({ error: 'recipients array and body are required' }, 400);
     }
@@ -168,7 +280,7 @@ export class NotificationAgent extends ChittyRouterBaseAgent {
     const results = [];
     for (const recipient of recipients) {
       const fakeReq = {
-        json: async () => ({ recipient, channel, priority, subject, body: notifBody, org }),
+        json: async () => ({ recipient, channel, priority, subject, body: notifBody, org, bypass_quiet_hours }),
       };
       const resp = await this.handleSend(fakeReq);
       results.push(await resp.json());
@@ -179,32 +291,56 @@ export class NotificationAgent extends ChittyRouterBaseAgent {
 
   /**
    * Set notification preferences.
-   * POST body: { recipient, channel, enabled, quiet_start?, quiet_end?, org? }
+   * POST body: { recipient, channel, enabled, quiet_start?, quiet_end?, timezone?, address?, org? }
+   *
+   * quiet_start/quiet_end are local `HH:MM` in `timezone` (IANA, default
+   * NOTIFICATION_DEFAULT_TIMEZONE or UTC). `address` is where the channel's
+   * driver sends: email address, Slack webhook URL, E.164 number or push
+   * subscription. Omitted address/timezone keep their stored values.
    */
   async handleSetPreference(request) {
-    const { recipient, channel, enabled, quiet_start, quiet_end, org } = await request.json();
+    const { recipient, channel, enabled, quiet_start, quiet_end, timezone, address, org } = await request.json();
     if (!recipient || !channel) {
       return this.jsonResponse({ error: 'recipient and channel are required' }, 400);
     }
+    const errors = [];
+    if (!CHANNELS.includes(channel)) errors.push(`channel must be one of: ${CHANNELS.join(', ')}`);
+    if (quiet_start && parseClock(quiet_start) === null) errors.push('quiet_start must be HH:MM');
+    if (quiet_end && parseClock(quiet_end) === null) errors.push('quiet_end must be HH:MM');
+    if (!quiet_start !== !quiet_end) errors.push('quiet_start and quiet_end must be set together');
+    if (timezone && !isValidTimeZone(timezone)) errors.push(`unknown timezone: ${timezone}`);
+    if (errors.length) return this.jsonResponse({ error: 'invalid preference', details: errors }, 400);
+    const storedAddress = address && typeof address === 'object' ? JSON.stringify(address) : address;
 
     const existing = this.rawSql.exec(
-      'SELECT id FROM notification_preferences WHERE recipient = ? AND channel = ? AND (org = ? OR (org IS NULL AND ? IS NULL))',
+      'SELECT id, address, timezone FROM notification_preferences WHERE recipient = ? AND channel = ? AND (org = ? OR (org IS NULL AND ? IS NULL))',
       recipient, channel, org || null, org || null,
     ).toArray();
 
     if (existing.length > 0) {
       this.rawSql.exec(
-        'UPDATE notification_preferences SET enabled = ?, quiet_start = ?, quiet_end = ? WHERE id = ?',
-        enabled ? 1 : 0, quiet_start || null, quiet_end || null, existing[0].id,
+        'UPDATE notification_preferences SET enabled = ?, quiet_start = ?, quiet_end = ?, timezone = ?, address = ? WHERE id = ?',
+        enabled ? 1 : 0, quiet_start || null, quiet_end || null,
+        timezone === undefined ? existing[0].timezone : timezone || null,
+        storedAddress === undefined ? existing[0].address : storedAddress || null,
+        existing[0].id,
       );
     } else {
       this.rawSql.exec(
-        'INSERT INTO notification_preferences (recipient, channel, enabled, quiet_start, quiet_end, org) VALUES (?, ?, ?, ?, ?, ?)',
-        recipient, channel, enabled ? 1 : 0, quiet_start || null, quiet_end || null, org || null,
+        'INSERT INTO notification_preferences (recipient, channel, enabled, quiet_start, quiet_end, timezone, address, org) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        recipient, channel, enabled ? 1 : 0, quiet_start || null, quiet_end || null,
+        timezone || null, storedAddress || null, org || null,
       );
     }
 
-    return this.jsonResponse({ recipient, channel, enabled: !!enabled, org: org || null });
+    return this.jsonResponse({
+      recipient,
+      channel,
+      enabled: !!enabled,
+      quiet_start: quiet_start || null,
+      quiet_end: quiet_end || null,
+      org: org || null,
+    });
   }
 
   /**
@@ -246,16 +382,31 @@ export class NotificationAgent extends ChittyRouterBaseAgent {
       attachments,
       features,
       options,
-      idempotencyKey,
       metadata,
       org,
       reference_id,
     } = body;
+    const caseSlug = body.caseSlug || body.case_slug || null;
 
     if (!to || !subject || (!bodyText && !bodyHtml)) {
       return this.jsonResponse({ error: 'to, subject, and bodyText or bodyHtml are required' }, 400);
     }
 
+    // The ledger is keyed by idempotencyKey: a key already sent is not sent again.
+    const idempotencyKey = body.idempotencyKey || crypto.randomUUID();
+    const existing = this.readLedgerEntry(idempotencyKey);
+    if (existing) {
+      return this.jsonResponse({
+        ok: true,
+        duplicate: true,
+        provider: existing.provider,
+        accountId: existing.accountId,
+        externalId: existing.externalId,
+        idempotencyKey,
+        ledger: existing,
+      });
+    }
+
     try {
       const provider = this.getRegisteredProvider();
       const result = await provider.sendRegisteredEmail({
@@ -294,12 +445,170 @@ export class NotificationAgent extends ChittyRouterBaseAgent {
         }),
       );
 
-      return this.jsonResponse(result);
+      const entry = this.recordLedgerEntry({
+        idempotencyKey,
+        provider: result.provider,
+        accountId: result.accountId,
+        externalId: result.externalId,
+        to,
+        from: from || null,
+        subject,
+        caseSlug,
+        org: org || null,
+        expectsSignature: Boolean(features?.esign),
+        attachmentCount: attachments?.length || 0,
+      });
+      if (caseSlug) await this.recordLedgerTimeline(entry);
+
+      return this.jsonResponse({ ...result, idempotencyKey, ledger: this.readLedgerEntry(idempotencyKey) });
     } catch (err) {
       return this.jsonResponse({ error: err.message }, 502);
     }
   }
 
+  // -- Registered-mail ledger --
+
+  recordLedgerEntry(send) {
+    const now = new Date().toISOString();
+    this.rawSql.exec(
+      `INSERT INTO registered_ledger
+         (idempotency_key, provider, account_id, external_id, recipient, sender, subject, case_slug, org,
+          expects_signature, attachment_count, state, events, tracking, next_poll_at, sent_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'sent', ?, 'active', ?, ?, ?)`,
+      send.idempotencyKey, send.provider, send.accountId ?? null, send.externalId ?? null,
+      send.to, send.from, send.subject, send.caseSlug, send.org,
+      send.expectsSignature ? 1 : 0, send.attachmentCount,
+      JSON.stringify([{ state: 'sent', at: now }]),
+      now, now, now,
+    );
+    return this.readLedgerEntry(send.idempotencyKey);
+  }
+
+  /** Put a case's registered send on its timeline (ThreadAgent). Best-effort. */
+  async recordLedgerTimeline(entry) {
+    const message = registeredThreadMessage(entry);
+    try {
+      const res = await callThreadStore(this.env, '/ingest', { method: 'POST', body: { message } });
+      if (res?.status === 200) {
+        this.rawSql.exec(
+          'UPDATE registered_ledger SET timeline_message_id = ? WHERE idempotency_key = ?',
+          message.messageId, entry.idempotencyKey,
+        );
+      } else if (res) {
+        this.warn('registered-timeline-failed', { key: entry.idempotencyKey, status: res.status });
+      }
+    } catch (err) {
+      this.warn('registered-timeline-failed', { key: entry.idempotencyKey, error: err.message });
+    }
+  }
+
+  handleLedgerList(searchParams) {
+    const { filters, errors } = parseLedgerFilters(searchParams);
+    if (errors.length) return this.jsonResponse({ error: errors.join('; ') }, 400);
+    let query = 'SELECT * FROM registered_ledger WHERE 1=1';
+    const params = [];
+    if (filters.state) { query += ' AND state = ?'; params.push(filters.state); }
+    if (filters.tracking) { query += ' AND tracking = ?'; params.push(filters.tracking); }
+    if (filters.caseSlug) { query += ' AND case_slug = ?'; params.push(filters.caseSlug); }
+    query += ' ORDER BY sent_at DESC LIMIT ?';
+    params.push(filters.limit);
+    const entries = this.rawSql.exec(query, ...params).toArray().map((row) => this.rowToLedgerEntry(row));
+    return this.jsonResponse({ count: entries.length, entries });
+  }
+
+  handleLedgerGet(key) {
+    const entry = this.readLedgerEntry(key);
+    if (!entry) return this.jsonResponse({ error: 'not found' }, 404);
+    return this.jsonResponse({ entry });
+  }
+
+  /**
+   * Poll the ledger entries that are due (or one entry by key, due or not).
+   * POST body: { limit?, key? }
+   */
+  async handleLedgerPoll(request) {
+    const { data } = await this.safeParseBody(request);
+    const limit = Math.min(Math.max(Number.parseInt(data?.limit, 10) || 25, 1), 100);
+    const now = Date.now();
+    const rows = data?.key
+      ? this.rawSql.exec('SELECT * FROM registered_ledger WHERE idempotency_key = ?', data.key).toArray()
+      : this.rawSql.exec(
+        `SELECT * FROM registered_ledger WHERE tracking = 'active' AND next_poll_at <= ?
+         ORDER BY next_poll_at ASC LIMIT ?`,
+        new Date(now).toISOString(), limit,
+      ).toArray();
+    if (data?.key && !rows.length) return this.jsonResponse({ error: 'not found' }, 404);
+
+    let provider;
+    try {
+      provider = this.getRegisteredProvider();
+    } catch (err) {
+      return this.jsonResponse({ error: err.message }, 500);
+    }
+
+    const summary = { polled: 0, advanced: 0, receiptsArchived: 0, completed: 0, errors: 0 };
+    for (const row of rows) {
+      const { entry, advanced, archived } = await pollRegisteredEntry(this.env, this.rowToLedgerEntry(row), provider, { now });
+      this.updateLedgerEntry(entry);
+      summary.polled++;
+      if (advanced) summary.advanced++;
+      if (archived) summary.receiptsArchived++;
+      if (entry.tracking !== 'active') summary.completed++;
+      if (entry.lastError) {
+        summary.errors++;
+        this.warn('registered-poll-failed', { key: entry.idempotencyKey, error: entry.lastError });
+      }
+    }
+    return this.jsonResponse(summary);
+  }
+
+  updateLedgerEntry(entry) {
+    this.rawSql.exec(
+      `UPDATE registered_ledger
+       SET state = ?, provider_status = ?, recipients = ?, events = ?, tracking = ?, receipt = ?, polls = ?,
+           next_poll_at = ?, last_polled_at = ?, last_error = ?, updated_at = ?
+       WHERE idempotency_key = ?`,
+      entry.state, entry.providerStatus ?? null, JSON.stringify(entry.recipients || []),
+      JSON.stringify(entry.events || []), entry.tracking, entry.receipt ? JSON.stringify(entry.receipt) : null,
+      entry.polls, entry.nextPollAt, entry.lastPolledAt, entry.lastError,
+      new Date().toISOString(), entry.idempotencyKey,
+    );
+  }
+
+  readLedgerEntry(key) {
+    const rows = this.rawSql.exec('SELECT * FROM registered_ledger WHERE idempotency_key = ?', key).toArray();
+    return rows.length ? this.rowToLedgerEntry(rows[0]) : null;
+  }
+
+  rowToLedgerEntry(row) {
+    return {
+      idempotencyKey: row.idempotency_key,
+      provider: row.provider,
+      accountId: row.account_id,
+      externalId: row.external_id,
+      to: row.recipient,
+      from: row.sender,
+      subject: row.subject,
+      caseSlug: row.case_slug,
+      org: row.org,
+      expectsSignature: row.expects_signature === 1,
+      attachmentCount: row.attachment_count,
+      state: row.state,
+      providerStatus: row.provider_status,
+      recipients: JSON.parse(row.recipients),
+      events: JSON.parse(row.events),
+      tracking: row.tracking,
+      receipt: row.receipt ? JSON.parse(row.receipt) : null,
+      timelineMessageId: row.timeline_message_id,
+      polls: row.polls,
+      nextPollAt: row.next_poll_at,
+      lastPolledAt: row.last_polled_at,
+      lastError: row.last_error,
+      sentAt: row.sent_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
   async handleRegisteredStatus(url) {
     const externalId = url.searchParams.get('externalId');
     const accountId = url.searchParams.get('accountId') || undefined;
@@ -350,35 +659,141 @@ export class NotificationAgent extends ChittyRouterBaseAgent {
     return DEFAULT_CHANNEL_RULES[priority] || DEFAULT_CHANNEL_RULES.normal;
   }
 
-  checkPreference(recipient, channel, org) {
+  /**
+   * The recipient's preference for a channel (org-specific first), or null.
+   * A row without a timezone takes the one set on any of the recipient's channels.
+   */
+  getPreference(recipient, channel, org) {
     const rows = this.rawSql.exec(
-      'SELECT enabled FROM notification_preferences WHERE recipient = ? AND channel = ? AND (org = ? OR org IS NULL) ORDER BY org DESC LIMIT 1',
+      `SELECT enabled, quiet_start, quiet_end, address,
+         COALESCE(timezone, (SELECT p.timezone FROM notification_preferences p
+                             WHERE p.recipient = notification_preferences.recipient AND p.timezone IS NOT NULL LIMIT 1)) AS timezone
+       FROM notification_preferences
+       WHERE recipient = ? AND channel = ? AND (org = ? OR org IS NULL) ORDER BY org DESC LIMIT 1`,
       recipient, channel, org || null,
     ).toArray();
-    return rows.length === 0 || rows[0].enabled === 1;
+    return rows[0] || null;
   }
 
-  async deliverNotification(notifId, channel, recipient, subject, body) {
-    try {
-      this.rawSql.exec(
-        'UPDATE notifications SET status = \'sending\' WHERE id = ?',
-        notifId,
-      );
-      // Delivery is delegated to external services via env bindings.
-      this.info('Delivering notification', { notifId, channel, recipient, subject: subject?.slice(0, 50) });
-      this.rawSql.exec(
-        'UPDATE notifications SET status = \'delivered\', delivered_at = datetime(\'now\') WHERE id = ?',
-        notifId,
-      );
-      return true;
-    } catch (err) {
+  defaultTimeZone() {
+    const configured = this.env.NOTIFICATION_DEFAULT_TIMEZONE;
+    return configured && isValidTimeZone(configured) ? configured : DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * One delivery attempt through the channel's driver. The row ends up
+   * delivered, retrying (with next_attempt_at) or failed.
+   * @returns {Promise<object>} the channel result for the /send response
+   */
+  async deliverNotification(notifId) {
+    const [notif] = this.rawSql.exec('SELECT * FROM notifications WHERE id = ?', notifId).toArray();
+    if (!notif) return { id: notifId, status: 'missing' };
+    const nowIso = new Date().toISOString();
+    this.rawSql.exec(
+      'UPDATE notifications SET status = \'sending\', last_attempt_at = ? WHERE id = ?',
+      nowIso, notifId,
+    );
+    const preference = this.getPreference(notif.recipient, notif.channel, notif.org);
+    const outcome = await sendThroughDriver(this.env, notif.channel, {
+      id: notif.id,
+      recipient: notif.recipient,
+      address: preference?.address || null,
+      subject: notif.subject,
+      body: notif.body,
+      priority: notif.priority,
+      metadata: notif.metadata ? JSON.parse(notif.metadata) : null,
+    });
+
+    if (outcome.ok) {
       this.rawSql.exec(
-        'UPDATE notifications SET status = \'failed\', error_message = ? WHERE id = ?',
-        err.message, notifId,
+        `UPDATE notifications SET status = 'delivered', delivered_at = datetime('now'), attempts = attempts + 1,
+           provider_id = ?, provider_status = ?, error_message = NULL, next_attempt_at = NULL WHERE id = ?`,
+        outcome.providerId, outcome.providerStatus, notifId,
       );
-      this.error('Notification delivery failed', { notifId, channel, error: err.message });
-      return false;
+      this.info('Notification delivered', { notifId, channel: notif.channel, providerStatus: outcome.providerStatus });
+      return { id: notifId, channel: notif.channel, status: 'delivered', provider_id: outcome.providerId };
+    }
+
+    const failure = nextDeliveryFailure(notif.attempts, CHANNEL_DRIVERS[notif.channel]?.maxAttempts ?? 1, {
+      retryable: outcome.retryable,
+    });
+    const nextAttemptAt = failure.nextAttemptAt ? new Date(failure.nextAttemptAt).toISOString() : null;
+    this.rawSql.exec(
+      'UPDATE notifications SET status = ?, attempts = ?, error_message = ?, provider_status = ?, next_attempt_at = ? WHERE id = ?',
+      failure.status, failure.attempts, outcome.error, outcome.status === null ? null : String(outcome.status), nextAttemptAt, notifId,
+    );
+    this.error('Notification delivery failed', {
+      notifId, channel: notif.channel, attempts: failure.attempts, status: failure.status, error: outcome.error,
+    });
+    return {
+      id: notifId,
+      channel: notif.channel,
+      status: failure.status,
+      error: outcome.error,
+      attempts: failure.attempts,
+      ...(nextAttemptAt ? { next_attempt_at: nextAttemptAt } : {}),
+    };
+  }
+
+  /**
+   * Alarm callback: deliver deferred notifications whose quiet hours are
+   * over and retries that are due, then re-arm for the next one. Quiet
+   * hours and the enabled flag are checked again, since the preference may
+   * have changed while the notification waited.
+   */
+  async deliverDue() {
+    const now = new Date();
+    const due = this.rawSql.exec(
+      `SELECT id, recipient, channel, priority, org, bypass_quiet_hours FROM notifications
+       WHERE status IN (${PENDING_STATUSES.map(() => '?').join(', ')}) AND next_attempt_at <= ?
+       ORDER BY next_attempt_at LIMIT ?`,
+      ...PENDING_STATUSES, now.toISOString(), DUE_BATCH,
+    ).toArray();
+
+    const results = [];
+    for (const notif of due) {
+      const preference = this.getPreference(notif.recipient, notif.channel, notif.org);
+      if (preference && preference.enabled !== 1) {
+        this.rawSql.exec('UPDATE notifications SET status = \'suppressed\', next_attempt_at = NULL WHERE id = ?', notif.id);
+        results.push({ id: notif.id, channel: notif.channel, status: 'suppressed' });
+        continue;
+      }
+      const decision = quietHoursDecision({
+        priority: notif.priority,
+        bypassQuietHours: notif.bypass_quiet_hours === 1,
+        preference,
+        now,
+        defaultTimeZone: this.defaultTimeZone(),
+      });
+      if (decision.action === 'defer') {
+        const deliverAt = decision.until.toISOString();
+        this.rawSql.exec('UPDATE notifications SET status = \'deferred\', next_attempt_at = ? WHERE id = ?', deliverAt, notif.id);
+        results.push({ id: notif.id, channel: notif.channel, status: 'deferred', deliver_at: deliverAt });
+        continue;
+      }
+      results.push(await this.deliverNotification(notif.id));
     }
+
+    const next = await this.armDeliveryAlarm();
+    return { processed: results.length, results, next_attempt_at: next };
+  }
+
+  /**
+   * Make sure a deliverDue alarm fires by the earliest pending
+   * next_attempt_at. Returns that time, or null when nothing is pending.
+   */
+  async armDeliveryAlarm() {
+    const [row] = this.rawSql.exec(
+      `SELECT MIN(next_attempt_at) AS next FROM notifications WHERE status IN (${PENDING_STATUSES.map(() => '?').join(', ')})`,
+      ...PENDING_STATUSES,
+    ).toArray();
+    if (!row?.next) return null;
+    const target = new Date(row.next);
+    const armed = this.getSchedules().some(
+      (s) => s.callback === 'deliverDue' && s.time * 1000 <= target.getTime(),
+    );
+    if (!armed) await this.schedule(target, 'deliverDue');
+    return row.next;
   }
 
   handleStats() {
@@ -393,10 +808,16 @@ export class NotificationAgent extends ChittyRouterBaseAgent {
     const recent = this.rawSql.exec(
       'SELECT COUNT(*) as count FROM notifications WHERE created_at > datetime(\'now\', \'-1 hour\')'
     ).toArray();
+    const pending = this.rawSql.exec(
+      `SELECT status, COUNT(*) as count FROM notifications WHERE status IN (${PENDING_STATUSES.map(() => '?').join(', ')}) GROUP BY status`,
+      ...PENDING_STATUSES,
+    ).toArray();
     return this.jsonResponse({
       agent: 'NotificationAgent', status: 'active',
       notificationsLastHour: recent[0]?.count || 0,
       channels: CHANNELS.length,
+      configuredChannels: driverStatus(this.env).filter((d) => d.configured).map((d) => d.channel),
+      pending: Object.fromEntries(pending.map((p) => [p.status, p.count])),
     });
   }
 }
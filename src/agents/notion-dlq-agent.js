@@ -0,0 +1,339 @@
+/**
+ * NotionDlqAgent — durable dead-letter queue for the AtomicFacts → Notion sync.
+ *
+ * One named instance (NOTION_DLQ_AGENT) owns every item, keyed by factId, so
+ * a fact that fails again updates its existing entry instead of queueing a
+ * duplicate. Each item keeps the original fact, the attempt count, the next
+ * attempt time and the last error. Backoff and quarantine follow
+ * src/sync/notion-dlq.js; quarantined items wait for an operator.
+ *
+ * The sync worker drives retries: /claim leases the due items, and the
+ * outcome comes back as /resolve (synced, removed) or /push (failed again).
+ *
+ * @service chittycanon://core/services/chittyrouter
+ * @canon chittycanon://gov/governance#core-types
+ */
+import { ChittyRouterBaseAgent } from './base-agent.js';
+import {
+  DLQ_LEASE_MS,
+  DLQ_PAGE_MAX,
+  DLQ_STATUSES,
+  dlqMaxAttempts,
+  nextFailureState,
+  parseDlqFilters,
+} from '../sync/notion-dlq.js';
+
+export class NotionDlqAgent extends ChittyRouterBaseAgent {
+  async onStart() {
+    await super.onStart();
+    this.ensureDlqTables();
+  }
+
+  ensureDlqTables() {
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS dlq_items (
+        fact_id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        last_error TEXT,
+        last_status INTEGER,
+        payload TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        quarantined_at TEXT
+      )
+    `);
+    this.rawSql.exec(
+      'CREATE INDEX IF NOT EXISTS idx_dlq_status_next ON dlq_items(status, next_attempt_at)',
+    );
+  }
+
+  async onRequest(request) {
+    const url = new URL(request.url);
+    const path = url.pathname;
+
+    if (request.method === 'POST' && path.endsWith('/push')) {
+      return this.handlePush(request);
+    }
+    if (request.method === 'POST' && path.endsWith('/claim')) {
+      return this.handleClaim(request);
+    }
+    if (request.method === 'POST' && path.endsWith('/resolve')) {
+      return this.handleResolve(request);
+    }
+    if (request.method === 'GET' && path.endsWith('/items')) {
+      return this.handleList(url.searchParams);
+    }
+    const itemAction = path.match(/\/item\/([^/]+)\/(requeue|edit)$/);
+    if (request.method === 'POST' && itemAction) {
+      const factId = decodeURIComponent(itemAction[1]);
+      return itemAction[2] === 'requeue' ? this.handleRequeue(factId) : this.handleEdit(factId, request);
+    }
+    const single = path.match(/\/item\/([^/]+)$/);
+    if (single && request.method === 'GET') {
+      return this.handleGet(decodeURIComponent(single[1]));
+    }
+    if (single && request.method === 'DELETE') {
+      return this.handleDiscard(decodeURIComponent(single[1]));
+    }
+    if (request.method === 'GET' && path.endsWith('/status')) {
+      return this.handleStatus();
+    }
+
+    return this.jsonResponse({
+      agent: 'NotionDlqAgent',
+      status: 'active',
+      endpoints: [
+        '/push',
+        '/claim',
+        '/resolve',
+        '/items',
+        '/item/:factId',
+        '/item/:factId/requeue',
+        '/item/:factId/edit',
+        '/status',
+      ],
+    });
+  }
+
+  // -- Handlers --
+
+  /**
+   * Record a failed attempt for each item. New facts are inserted; known
+   * ones keep their payload unless a new fact is given.
+   * Body: { items: [{ factId, fact?, error, status? }] }
+   * Returns: { pushed, quarantined: [factId], skipped }
+   */
+  async handlePush(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const items = Array.isArray(data?.items) ? data.items : [];
+    const maxAttempts = dlqMaxAttempts(this.env);
+    const now = Date.now();
+    const nowIso = new Date(now).toISOString();
+    const quarantined = [];
+    let pushed = 0;
+    let skipped = 0;
+
+    for (const entry of items) {
+      const factId = entry?.factId || entry?.fact?.factId;
+      const current = factId ? this.readItem(factId) : null;
+      const fact = entry?.fact || current?.fact;
+      if (!factId || !fact) {
+        skipped++;
+        continue;
+      }
+
+      const next = nextFailureState(current?.attempts, maxAttempts, now);
+      const nextAttemptAt = next.nextAttemptAt ? new Date(next.nextAttemptAt).toISOString() : null;
+      const lastError = String(entry.error || 'unknown error').slice(0, 2000);
+      const lastStatus = Number.isInteger(entry.status) ? entry.status : null;
+      // A quarantined fact that fails again (e.g. re-sent by a caller) stays
+      // quarantined; only an operator requeue resets it.
+      const status = current?.status === 'quarantined' ? 'quarantined' : next.status;
+
+      if (current) {
+        this.rawSql.exec(
+          `UPDATE dlq_items
+           SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?, last_status = ?,
+               payload = ?, updated_at = ?, quarantined_at = COALESCE(quarantined_at, ?)
+           WHERE fact_id = ?`,
+          status,
+          next.attempts,
+          status === 'quarantined' ? null : nextAttemptAt,
+          lastError,
+          lastStatus,
+          JSON.stringify(fact),
+          nowIso,
+          status === 'quarantined' ? nowIso : null,
+          factId,
+        );
+      } else {
+        this.rawSql.exec(
+          `INSERT INTO dlq_items
+             (fact_id, status, attempts, next_attempt_at, last_error, last_status, payload,
+              created_at, updated_at, quarantined_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          factId,
+          status,
+          next.attempts,
+          nextAttemptAt,
+          lastError,
+          lastStatus,
+          JSON.stringify(fact),
+          nowIso,
+          nowIso,
+          status === 'quarantined' ? nowIso : null,
+        );
+      }
+
+      pushed++;
+      if (status === 'quarantined' && current?.status !== 'quarantined') {
+        quarantined.push(factId);
+        this.warn('notion-dlq-quarantined', { factId, attempts: next.attempts, error: lastError });
+      }
+    }
+
+    return this.jsonResponse({ pushed, quarantined, skipped });
+  }
+
+  /**
+   * Lease the pending items that are due, oldest first.
+   * Body: { limit? }  Returns: { items }
+   */
+  async handleClaim(request) {
+    const { data } = await this.safeParseBody(request);
+    const limit = Math.min(Math.max(Number.parseInt(data?.limit, 10) || 25, 1), DLQ_PAGE_MAX);
+    const now = Date.now();
+    const rows = this.rawSql.exec(
+      `SELECT * FROM dlq_items
+       WHERE status = 'pending' AND next_attempt_at <= ?
+       ORDER BY next_attempt_at ASC LIMIT ?`,
+      new Date(now).toISOString(),
+      limit,
+    ).toArray();
+
+    const leaseUntil = new Date(now + DLQ_LEASE_MS).toISOString();
+    for (const row of rows) {
+      this.rawSql.exec('UPDATE dlq_items SET next_attempt_at = ? WHERE fact_id = ?', leaseUntil, row.fact_id);
+    }
+    return this.jsonResponse({ items: rows.map((row) => this.rowToItem(row)) });
+  }
+
+  /**
+   * Drop items that synced.
+   * Body: { factIds: [...] }  Returns: { resolved }
+   */
+  async handleResolve(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const factIds = Array.isArray(data?.factIds) ? data.factIds : [];
+    let resolved = 0;
+    for (const factId of factIds) {
+      resolved += this.rawSql.exec('DELETE FROM dlq_items WHERE fact_id = ?', String(factId)).rowsWritten;
+    }
+    if (resolved) this.info('notion-dlq-resolved', { resolved });
+    return this.jsonResponse({ resolved });
+  }
+
+  handleList(searchParams) {
+    const { filters, errors } = parseDlqFilters(searchParams);
+    if (errors.length) return this.jsonResponse({ error: errors.join('; ') }, 400);
+    const rows = filters.status
+      ? this.rawSql.exec(
+        'SELECT * FROM dlq_items WHERE status = ? ORDER BY updated_at DESC LIMIT ?',
+        filters.status,
+        filters.limit,
+      ).toArray()
+      : this.rawSql.exec('SELECT * FROM dlq_items ORDER BY updated_at DESC LIMIT ?', filters.limit).toArray();
+    const items = rows.map((row) => this.rowToItem(row));
+    return this.jsonResponse({ count: items.length, items });
+  }
+
+  handleGet(factId) {
+    const item = this.readItem(factId);
+    if (!item) return this.jsonResponse({ error: 'not found' }, 404);
+    return this.jsonResponse({ item });
+  }
+
+  /** Make an item due now with a fresh attempt budget. */
+  handleRequeue(factId) {
+    if (!this.readItem(factId)) return this.jsonResponse({ error: 'not found' }, 404);
+    this.requeue(factId);
+    this.info('notion-dlq-requeued', { factId });
+    return this.jsonResponse({ item: this.readItem(factId) });
+  }
+
+  /**
+   * Replace the stored fact and requeue it. The factId is the item's
+   * identity in Notion (External ID), so it cannot change.
+   * Body: { fact }  Returns: { item }
+   */
+  async handleEdit(factId, request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const fact = data?.fact;
+    if (!fact || typeof fact !== 'object' || Array.isArray(fact)) {
+      return this.jsonResponse({ error: 'fact object required' }, 400);
+    }
+    if (fact.factId !== undefined && fact.factId !== factId) {
+      return this.jsonResponse({ error: 'fact.factId cannot change' }, 400);
+    }
+    if (!this.readItem(factId)) return this.jsonResponse({ error: 'not found' }, 404);
+
+    this.requeue(factId, { ...fact, factId });
+    this.info('notion-dlq-edited', { factId });
+    return this.jsonResponse({ item: this.readItem(factId) });
+  }
+
+  handleDiscard(factId) {
+    const item = this.readItem(factId);
+    if (!item) return this.jsonResponse({ error: 'not found' }, 404);
+    this.rawSql.exec('DELETE FROM dlq_items WHERE fact_id = ?', factId);
+    this.warn('notion-dlq-discarded', { factId, attempts: item.attempts, lastError: item.lastError });
+    return this.jsonResponse({ discarded: factId });
+  }
+
+  handleStatus() {
+    const rows = this.rawSql.exec(
+      'SELECT status, COUNT(*) AS n FROM dlq_items GROUP BY status',
+    ).toArray();
+    const byStatus = Object.fromEntries(DLQ_STATUSES.map((s) => [s, 0]));
+    for (const row of rows) byStatus[row.status] = row.n;
+    const [next] = this.rawSql.exec(
+      "SELECT MIN(next_attempt_at) AS at FROM dlq_items WHERE status = 'pending'",
+    ).toArray();
+    return this.jsonResponse({
+      agent: 'NotionDlqAgent',
+      depth: rows.reduce((sum, r) => sum + r.n, 0),
+      byStatus,
+      nextAttemptAt: next?.at ?? null,
+      maxAttempts: dlqMaxAttempts(this.env),
+    });
+  }
+
+  // -- Storage helpers --
+
+  requeue(factId, fact) {
+    const now = new Date().toISOString();
+    if (fact) {
+      this.rawSql.exec(
+        `UPDATE dlq_items SET status = 'pending', attempts = 0, next_attempt_at = ?, payload = ?,
+           updated_at = ?, quarantined_at = NULL WHERE fact_id = ?`,
+        now,
+        JSON.stringify(fact),
+        now,
+        factId,
+      );
+      return;
+    }
+    this.rawSql.exec(
+      `UPDATE dlq_items SET status = 'pending', attempts = 0, next_attempt_at = ?,
+         updated_at = ?, quarantined_at = NULL WHERE fact_id = ?`,
+      now,
+      now,
+      factId,
+    );
+  }
+
+  readItem(factId) {
+    const rows = this.rawSql.exec('SELECT * FROM dlq_items WHERE fact_id = ?', factId).toArray();
+    return rows.length ? this.rowToItem(rows[0]) : null;
+  }
+
+  rowToItem(row) {
+    return {
+      factId: row.fact_id,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastError: row.last_error,
+      lastStatus: row.last_status,
+      fact: JSON.parse(row.payload),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      quarantinedAt: row.quarantined_at,
+    };
+  }
+}
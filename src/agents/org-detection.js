@@ -0,0 +1,74 @@
+/**
+ * Org Detection — score a communication against each org's domains and
+ * keywords. Pure, so the worker can pick an org shard without waking an agent
+ * (src/utils/agent-shards.js); ChittyRouterBaseAgent.detectOrg delegates here.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+// Organization detection patterns
+export const ORG_PATTERNS = [
+  { org: 'Furnished-Condos', domains: ['furnished-condos.com'], keywords: ['property', 'tenant', 'lease', 'maintenance', 'condo'] },
+  { org: 'ChittyCounsel', domains: ['chittycounsel.com'], keywords: ['case', 'court', 'filing', 'hearing', 'motion', 'counsel'] },
+  { org: 'ChittyFoundation', domains: ['chittyfoundation.org'], keywords: ['grant', 'donation', 'board', 'governance', 'foundation'] },
+  { org: 'ChittyOS', domains: ['chitty.cc'], keywords: ['service', 'deployment', 'incident', 'worker', 'api'] },
+  { org: 'ChittyApps', domains: ['chittyapps.com'], keywords: ['ticket', 'feature', 'support', 'app'] },
+  { org: 'ChicagoApps', domains: ['chicagoapps.com'], keywords: ['permit', 'inspection', 'violation', 'zoning'] },
+];
+
+/**
+ * Detect which organization a communication belongs to.
+ * @param {{ sender?: string, content?: string, domain?: string, metadata?: object }} ctx
+ * @returns {{ org: string, confidence: number, signals: string[] }}
+ */
+export function detectOrg(ctx) {
+  let bestOrg = 'ChittyOS'; // default
+  let bestScore = 0;
+  let bestSignals = [];
+
+  for (const pattern of ORG_PATTERNS) {
+    let score = 0;
+    const patternSignals = [];
+
+    // Domain match (strongest signal)
+    if (ctx.sender) {
+      const senderDomain = ctx.sender.split('@')[1]?.toLowerCase() || '';
+      if (pattern.domains.some((d) => senderDomain.includes(d))) {
+        score += 3;
+        patternSignals.push(`domain:${senderDomain}`);
+      }
+    }
+
+    if (ctx.domain && pattern.domains.some((d) => ctx.domain.includes(d))) {
+      score += 3;
+      patternSignals.push(`explicit-domain:${ctx.domain}`);
+    }
+
+    // Keyword match
+    const text = ((ctx.content || '') + ' ' + (ctx.sender || '')).toLowerCase();
+    for (const kw of pattern.keywords) {
+      if (text.includes(kw)) {
+        score += 1;
+        patternSignals.push(`keyword:${kw}`);
+      }
+    }
+
+    // Metadata org hint
+    if (ctx.metadata?.org === pattern.org) {
+      score += 5;
+      patternSignals.push('metadata-hint');
+    }
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestOrg = pattern.org;
+      bestSignals = patternSignals;
+    }
+  }
+
+  return {
+    org: bestOrg,
+    confidence: Math.min(1, bestScore / 5),
+    signals: bestSignals,
+  };
+}
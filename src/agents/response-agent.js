@@ -59,11 +59,33 @@ export class ResponseAgent extends ChittyRouterBaseAgent {
         created_at TEXT NOT NULL DEFAULT (datetime('now'))
       )
     `);
+    this.ensureDraftColumns();
+  }
+
+  /**
+   * Drafts predate outbound replies. Add the columns that tie a draft to its
+   * inbound queue item and to the message it was sent as.
+   */
+  ensureDraftColumns() {
+    const existing = new Set(
+      this.rawSql.exec('PRAGMA table_info(response_drafts)').toArray().map((c) => c.name),
+    );
+    for (const [column, type] of [['queue_id', 'TEXT'], ['sent_message_id', 'TEXT'], ['sent_at', 'TEXT']]) {
+      if (!existing.has(column)) {
+        this.rawSql.exec(`ALTER TABLE response_drafts ADD COLUMN ${column} ${type}`);
+      }
+    }
   }
 
   async onRequest(request) {
     const url = new URL(request.url);
 
+    if (request.method === 'GET' && /\/draft\/\d+$/.test(url.pathname)) {
+      return this.handleGetDraft(Number(url.pathname.split('/').pop()));
+    }
+    if (request.method === 'POST' && /\/draft\/\d+\/sent$/.test(url.pathname)) {
+      return this.handleMarkSent(Number(url.pathname.split('/').at(-2)), request);
+    }
     if (request.method === 'POST' && url.pathname.endsWith('/draft')) {
       return this.handleDraft(request);
     }
@@ -80,17 +102,19 @@ export class ResponseAgent extends ChittyRouterBaseAgent {
     return this.jsonResponse({
       agent: 'ResponseAgent',
       status: 'active',
-      endpoints: ['/draft', '/validate', '/stats', '/status'],
+      endpoints: ['/draft', '/draft/:id', '/draft/:id/sent', '/validate', '/stats', '/status'],
     });
   }
 
   /**
    * Draft a response for an email.
-   * POST body: { emailData: { subject, from, content }, triageResult: { category }, priorityResult: { level }, org? }
+   * POST body: { emailData: { subject, from, content }, triageResult: { category }, priorityResult: { level }, org?, queueId? }
+   * queueId names the inbound review-queue item, so the draft can later be
+   * sent as a threaded reply (CloudflareEmailHandler.stageReply).
    */
   async handleDraft(request) {
     const body = await request.json();
-    const { emailData, triageResult, priorityResult, org } = body;
+    const { emailData, triageResult, priorityResult, org, queueId } = body;
 
     if (!emailData?.subject || !triageResult?.category) {
       return this.jsonResponse({ error: 'emailData and triageResult required' }, 400);
@@ -112,8 +136,8 @@ export class ResponseAgent extends ChittyRouterBaseAgent {
 
     this.rawSql.exec(
       `INSERT INTO response_drafts (email_subject, email_from, category, priority, should_respond,
-       response_subject, response_body, response_type, org, validation_warnings, ai_model, fallback)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       response_subject, response_body, response_type, org, validation_warnings, ai_model, fallback, queue_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       emailData.subject,
       emailData.from || null,
       triageResult.category,
@@ -126,9 +150,13 @@ export class ResponseAgent extends ChittyRouterBaseAgent {
       JSON.stringify(validation.warnings),
       result.aiModel || null,
       result.fallback ? 1 : 0,
+      queueId || null,
     );
+    const [{ id: draftId }] = this.rawSql.exec('SELECT last_insert_rowid() AS id').toArray();
 
     return this.jsonResponse({
+      draftId,
+      queueId: queueId || null,
       shouldRespond,
       subject: responseSubject,
       body: finalBody,
@@ -141,6 +169,51 @@ export class ResponseAgent extends ChittyRouterBaseAgent {
     });
   }
 
+  /**
+   * GET /draft/:id — one stored draft, in the shape stageReply reads.
+   */
+  handleGetDraft(id) {
+    const rows = this.rawSql.exec(
+      `SELECT id, queue_id, response_subject, response_body, category, should_respond, sent, sent_message_id, sent_at, created_at
+       FROM response_drafts WHERE id = ?`,
+      id,
+    ).toArray();
+    if (!rows.length) return this.jsonResponse({ error: 'not found' }, 404);
+    const row = rows[0];
+    return this.jsonResponse({
+      draft: {
+        id: row.id,
+        queueId: row.queue_id,
+        subject: row.response_subject,
+        body: row.response_body,
+        category: row.category,
+        shouldRespond: row.should_respond === 1,
+        sent: row.sent === 1,
+        sentMessageId: row.sent_message_id,
+        sentAt: row.sent_at,
+        createdAt: row.created_at,
+      },
+    });
+  }
+
+  /**
+   * POST /draft/:id/sent — record that the draft went out.
+   * Body: { messageId, sentAt? }
+   */
+  async handleMarkSent(id, request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    if (!data?.messageId) return this.jsonResponse({ error: 'messageId required' }, 400);
+    const result = this.rawSql.exec(
+      'UPDATE response_drafts SET sent = 1, sent_message_id = ?, sent_at = ? WHERE id = ?',
+      data.messageId,
+      data.sentAt || new Date().toISOString(),
+      id,
+    );
+    if (result.rowsWritten === 0) return this.jsonResponse({ error: 'not found' }, 404);
+    return this.jsonResponse({ id, sent: true, messageId: data.messageId });
+  }
+
   /**
    * Validate response text for legal compliance.
    * POST body: { text, category? }
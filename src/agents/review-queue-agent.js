@@ -0,0 +1,511 @@
+/**
+ * ReviewQueueAgent — durable, indexed store for the email review queue.
+ *
+ * One named instance (REVIEW_QUEUE_AGENT) owns every queue item. Writes are
+ * serialized by the Durable Object, so concurrent deliveries no longer race on
+ * a shared KV blob, and there is no 500-entry cap.
+ *
+ * Queue items keep the shape CloudflareEmailHandler.enqueue builds (stored as
+ * JSON in `payload`) plus a `version` counter. Reviews may pass
+ * `expectedVersion`; a stale version is rejected with 409 so two reviewers
+ * cannot silently overwrite each other. Every state change appends a row to
+ * `queue_audit`.
+ *
+ * Items are either `inbound` mail awaiting classification review or
+ * `outbound` replies awaiting send approval (src/email/outbound.js). Each kind
+ * accepts its own review statuses, and approve-all only touches inbound
+ * items — a reply is never sent by a bulk action.
+ *
+ * Items are already F-L10-redacted by the handler before they get here.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ * @canon chittycanon://gov/governance#core-types
+ */
+import { ChittyRouterBaseAgent } from './base-agent.js';
+import {
+  QUEUE_STATUSES,
+  REVIEW_STATUSES_BY_KIND,
+  buildQueueQuery,
+  encodeCursor,
+  parseQueueFilters,
+  queueItemColumns,
+  queueItemKind,
+  senderAddress,
+} from '../email/review-queue.js';
+import { classificationMetrics } from '../email/corrections.js';
+
+// Reviewed items older than this are pruned (matches the old KV 30-day TTL).
+// Pending items are never pruned.
+const REVIEWED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const HISTORY_MAX = 200;
+
+export class ReviewQueueAgent extends ChittyRouterBaseAgent {
+  async onStart() {
+    await super.onStart();
+    this.ensureQueueTables();
+  }
+
+  ensureQueueTables() {
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS queue_items (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        urgency TEXT,
+        category TEXT,
+        sender TEXT,
+        sender_domain TEXT,
+        received_at TEXT NOT NULL,
+        reviewed_at TEXT,
+        version INTEGER NOT NULL DEFAULT 1,
+        payload TEXT NOT NULL
+      )
+    `);
+    this.rawSql.exec(`
+      CREATE INDEX IF NOT EXISTS idx_queue_status_received
+        ON queue_items(status, received_at DESC, id DESC)
+    `);
+    this.rawSql.exec(`
+      CREATE INDEX IF NOT EXISTS idx_queue_received
+        ON queue_items(received_at DESC, id DESC)
+    `);
+    this.ensureQueueColumns();
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_queue_kind_status ON queue_items(kind, status)');
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_queue_urgency ON queue_items(urgency)');
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_queue_category ON queue_items(category)');
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_queue_sender ON queue_items(sender)');
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_queue_sender_domain ON queue_items(sender_domain)');
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS queue_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        item_id TEXT NOT NULL,
+        at TEXT NOT NULL,
+        action TEXT NOT NULL,
+        actor TEXT,
+        from_status TEXT,
+        to_status TEXT,
+        version INTEGER NOT NULL,
+        detail TEXT
+      )
+    `);
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_queue_audit_item ON queue_audit(item_id, id)');
+  }
+
+  /**
+   * queue_items predates outbound replies. Add the kind column in place;
+   * existing rows are inbound mail.
+   */
+  ensureQueueColumns() {
+    const existing = new Set(
+      this.rawSql.exec('PRAGMA table_info(queue_items)').toArray().map((c) => c.name),
+    );
+    if (!existing.has('kind')) {
+      this.rawSql.exec("ALTER TABLE queue_items ADD COLUMN kind TEXT NOT NULL DEFAULT 'inbound'");
+    }
+  }
+
+  async onRequest(request) {
+    const url = new URL(request.url);
+    const path = url.pathname;
+
+    if (request.method === 'POST' && path.endsWith('/enqueue')) {
+      return this.handleEnqueue(request);
+    }
+    if (request.method === 'POST' && path.endsWith('/review')) {
+      return this.handleReview(request);
+    }
+    if (request.method === 'POST' && path.endsWith('/approve-all')) {
+      return this.handleApproveAll(request);
+    }
+    if (request.method === 'POST' && path.endsWith('/import')) {
+      return this.handleImport(request);
+    }
+    if (request.method === 'GET' && path.endsWith('/items')) {
+      return this.handleList(url.searchParams);
+    }
+    if (request.method === 'GET' && /\/item\/[^/]+\/history$/.test(path)) {
+      return this.handleHistory(decodeURIComponent(path.split('/').at(-2)));
+    }
+    if (request.method === 'GET' && /\/item\/[^/]+$/.test(path)) {
+      return this.handleGet(decodeURIComponent(path.split('/').pop()));
+    }
+    if (request.method === 'GET' && path.endsWith('/metrics')) {
+      return this.handleMetrics(url.searchParams);
+    }
+    if (request.method === 'GET' && path.endsWith('/sender-history')) {
+      return this.handleSenderHistory(url.searchParams);
+    }
+    if (request.method === 'GET' && path.endsWith('/routing-split')) {
+      return this.handleRoutingSplit(url.searchParams);
+    }
+    if (request.method === 'GET' && path.endsWith('/status')) {
+      return this.handleStatus();
+    }
+
+    return this.jsonResponse({
+      agent: 'ReviewQueueAgent',
+      status: 'active',
+      endpoints: [
+        '/enqueue',
+        '/review',
+        '/approve-all',
+        '/import',
+        '/items',
+        '/item/:id',
+        '/item/:id/history',
+        '/metrics',
+        '/sender-history',
+        '/routing-split',
+        '/status',
+      ],
+    });
+  }
+
+  // -- Handlers --
+
+  /**
+   * Body: { item } — a queue item as built by CloudflareEmailHandler.enqueue.
+   * Returns: { item } with version 1.
+   */
+  async handleEnqueue(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const item = data?.item;
+    if (!item?.id || !item.receivedAt || !QUEUE_STATUSES.includes(item.status)) {
+      return this.jsonResponse({ error: 'item with id, receivedAt and a valid status required' }, 400);
+    }
+
+    const stored = { ...item, version: 1 };
+    this.insertItem(stored);
+    this.audit(stored.id, 'enqueued', data.actor || 'email-worker', null, stored.status, 1, {
+      urgency: stored.aiClassification?.urgency ?? null,
+      category: stored.aiClassification?.category ?? null,
+    });
+    this.pruneReviewed();
+    return this.jsonResponse({ item: stored });
+  }
+
+  /**
+   * Body: { id, status, finalClassification, expectedVersion?, actor? }
+   * Returns: { item } | 404 | 409 { error, currentVersion, item }
+   */
+  async handleReview(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const { id, status, finalClassification, expectedVersion, actor } = data || {};
+    if (!id) return this.jsonResponse({ error: 'id required' }, 400);
+    if (!QUEUE_STATUSES.includes(status) || status === 'pending') {
+      return this.jsonResponse({ error: `status must be one of ${QUEUE_STATUSES.filter((s) => s !== 'pending').join(', ')}` }, 400);
+    }
+    if (expectedVersion !== undefined && expectedVersion !== null && !Number.isInteger(expectedVersion)) {
+      return this.jsonResponse({ error: 'expectedVersion must be an integer' }, 400);
+    }
+
+    const current = this.readItem(id);
+    if (!current) return this.jsonResponse({ error: 'not found' }, 404);
+    const allowed = REVIEW_STATUSES_BY_KIND[queueItemKind(current)];
+    if (!allowed.includes(status)) {
+      return this.jsonResponse({ error: `${queueItemKind(current)} items accept ${allowed.join(', ')}` }, 400);
+    }
+    if (expectedVersion != null && expectedVersion !== current.version) {
+      return this.jsonResponse({
+        error: 'version conflict',
+        currentVersion: current.version,
+        item: current,
+      }, 409);
+    }
+    // A reply is sent on approval, so it can only be reviewed once.
+    if (queueItemKind(current) === 'outbound' && current.status !== 'pending') {
+      return this.jsonResponse({ error: 'already reviewed', currentVersion: current.version, item: current }, 409);
+    }
+
+    const now = new Date().toISOString();
+    const next = {
+      ...current,
+      status,
+      reviewedAt: now,
+      finalClassification: finalClassification ?? current.aiClassification,
+      version: current.version + 1,
+    };
+    const cols = queueItemColumns(next);
+
+    // Compare-and-set on version: no await between read and write, but the
+    // WHERE clause keeps the guarantee explicit.
+    const result = this.rawSql.exec(
+      `UPDATE queue_items
+       SET status = ?, urgency = ?, category = ?, reviewed_at = ?, version = ?, payload = ?
+       WHERE id = ? AND version = ?`,
+      cols.status,
+      cols.urgency,
+      cols.category,
+      now,
+      next.version,
+      JSON.stringify(next),
+      id,
+      current.version,
+    );
+    if (result.rowsWritten === 0) {
+      const latest = this.readItem(id);
+      return this.jsonResponse({ error: 'version conflict', currentVersion: latest?.version ?? null, item: latest }, 409);
+    }
+
+    this.audit(id, status, actor || 'reviewer', current.status, status, next.version,
+      status === 'corrected' ? { finalClassification: next.finalClassification } : null);
+    return this.jsonResponse({ item: next });
+  }
+
+  /**
+   * Approve every pending inbound item with its AI classification.
+   * Body: { actor? }  Returns: { approved }
+   */
+  async handleApproveAll(request) {
+    const { data } = await this.safeParseBody(request);
+    const actor = data?.actor || 'reviewer';
+    const now = new Date().toISOString();
+    const pending = this.rawSql.exec(
+      "SELECT id, version, payload FROM queue_items WHERE status = 'pending' AND kind = 'inbound'",
+    ).toArray();
+
+    for (const row of pending) {
+      const item = this.rowToItem(row);
+      const next = {
+        ...item,
+        status: 'approved',
+        reviewedAt: now,
+        finalClassification: item.aiClassification,
+        version: item.version + 1,
+      };
+      this.rawSql.exec(
+        'UPDATE queue_items SET status = ?, reviewed_at = ?, version = ?, payload = ? WHERE id = ?',
+        'approved',
+        now,
+        next.version,
+        JSON.stringify(next),
+        item.id,
+      );
+      this.audit(item.id, 'bulk_approved', actor, 'pending', 'approved', next.version, null);
+    }
+
+    this.info('review-queue-approve-all', { approved: pending.length });
+    return this.jsonResponse({ approved: pending.length });
+  }
+
+  /**
+   * One-time import of items from the pre-DO KV queue. Existing ids are kept
+   * as-is so a repeated import is harmless.
+   * Body: { items: [...] }  Returns: { imported, skipped }
+   */
+  async handleImport(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const items = Array.isArray(data?.items) ? data.items : [];
+    let imported = 0;
+    let skipped = 0;
+    for (const item of items) {
+      if (!item?.id || !item.receivedAt || !QUEUE_STATUSES.includes(item.status) || this.readItem(item.id)) {
+        skipped++;
+        continue;
+      }
+      const stored = { ...item, version: 1 };
+      this.insertItem(stored);
+      this.audit(stored.id, 'imported', 'kv-migration', null, stored.status, 1, null);
+      imported++;
+    }
+    this.info('review-queue-import', { imported, skipped });
+    return this.jsonResponse({ imported, skipped });
+  }
+
+  handleList(searchParams) {
+    const { filters, errors } = parseQueueFilters(searchParams);
+    if (errors.length) return this.jsonResponse({ error: errors.join('; ') }, 400);
+
+    const { sql, params, limit } = buildQueueQuery(filters);
+    const rows = this.rawSql.exec(sql, ...params).toArray();
+    const page = rows.slice(0, limit).map((row) => this.rowToItem(row));
+    const last = page.at(-1);
+    const nextCursor = rows.length > limit && last
+      ? encodeCursor({ receivedAt: last.receivedAt, id: last.id })
+      : null;
+    return this.jsonResponse({ count: page.length, items: page, nextCursor });
+  }
+
+  handleGet(id) {
+    const item = this.readItem(id);
+    if (!item) return this.jsonResponse({ error: 'not found' }, 404);
+    return this.jsonResponse({ item });
+  }
+
+  handleHistory(id) {
+    if (!this.readItem(id)) return this.jsonResponse({ error: 'not found' }, 404);
+    const history = this.rawSql.exec(
+      `SELECT at, action, actor, from_status, to_status, version, detail
+       FROM queue_audit WHERE item_id = ? ORDER BY id ASC LIMIT ?`,
+      id,
+      HISTORY_MAX,
+    ).toArray().map((row) => ({
+      at: row.at,
+      action: row.action,
+      actor: row.actor,
+      fromStatus: row.from_status,
+      toStatus: row.to_status,
+      version: row.version,
+      detail: row.detail ? JSON.parse(row.detail) : null,
+    }));
+    return this.jsonResponse({ id, history });
+  }
+
+  /**
+   * Per-category precision and recall of the AI classification, from
+   * inbound items a reviewer approved or corrected since `since` (default:
+   * everything still retained).
+   */
+  handleMetrics(searchParams) {
+    const since = searchParams.get('since') || '';
+    if (since && Number.isNaN(Date.parse(since))) {
+      return this.jsonResponse({ error: 'since must be an ISO date' }, 400);
+    }
+    const rows = this.rawSql.exec(
+      `SELECT status, payload FROM queue_items
+       WHERE kind = 'inbound' AND status IN ('approved', 'corrected') AND reviewed_at >= ?`,
+      since,
+    ).toArray();
+    const reviews = rows.map((row) => {
+      const item = JSON.parse(row.payload);
+      const predicted = item.aiClassification?.category;
+      return {
+        status: row.status,
+        predicted,
+        actual: row.status === 'corrected' ? item.finalClassification?.category : predicted,
+      };
+    });
+    return this.jsonResponse({ since: since || null, ...classificationMetrics(reviews) });
+  }
+
+  /**
+   * Review history of one sender's inbound mail: how many items a reviewer
+   * approved or corrected. Auto-approved items were not looked at and are
+   * counted separately.
+   */
+  handleSenderHistory(searchParams) {
+    const sender = senderAddress(searchParams.get('sender'));
+    if (!sender) return this.jsonResponse({ error: 'sender required' }, 400);
+    const rows = this.rawSql.exec(
+      `SELECT status, COUNT(*) AS n FROM queue_items
+       WHERE kind = 'inbound' AND sender = ? GROUP BY status`,
+      sender,
+    ).toArray();
+    const byStatus = Object.fromEntries(rows.map((r) => [r.status, r.n]));
+    const approved = byStatus.approved || 0;
+    const corrected = byStatus.corrected || 0;
+    return this.jsonResponse({
+      sender,
+      reviewed: approved + corrected,
+      approved,
+      corrected,
+      autoApproved: byStatus.auto_approved || 0,
+      pending: byStatus.pending || 0,
+    });
+  }
+
+  /**
+   * Auto-versus-held counts of inbound items received since `since`, by the
+   * routing decision recorded on each item, plus how often each hold reason
+   * fired.
+   */
+  handleRoutingSplit(searchParams) {
+    const since = searchParams.get('since') || '';
+    if (since && Number.isNaN(Date.parse(since))) {
+      return this.jsonResponse({ error: 'since must be an ISO date' }, 400);
+    }
+    const rows = this.rawSql.exec(
+      `SELECT json_extract(payload, '$.routingDecision.mode') AS mode,
+              json_extract(payload, '$.routingDecision.route') AS route,
+              json_extract(payload, '$.aiClassification.category') AS category,
+              status, COUNT(*) AS n
+       FROM queue_items
+       WHERE kind = 'inbound' AND received_at >= ?
+       GROUP BY mode, route, category, status`,
+      since,
+    ).toArray();
+    const holds = this.rawSql.exec(
+      `SELECT h.value AS hold, COUNT(*) AS n
+       FROM queue_items, json_each(queue_items.payload, '$.routingDecision.holds') AS h
+       WHERE kind = 'inbound' AND received_at >= ?
+       GROUP BY h.value`,
+      since,
+    ).toArray();
+    return this.jsonResponse({ since: since || null, rows, holds });
+  }
+
+  handleStatus() {
+    const rows = this.rawSql.exec(
+      'SELECT status, COUNT(*) AS n FROM queue_items GROUP BY status',
+    ).toArray();
+    const byStatus = Object.fromEntries(rows.map((r) => [r.status, r.n]));
+    return this.jsonResponse({ agent: 'ReviewQueueAgent', byStatus });
+  }
+
+  // -- Storage helpers --
+
+  insertItem(item) {
+    const cols = queueItemColumns(item);
+    this.rawSql.exec(
+      `INSERT INTO queue_items
+         (id, status, kind, urgency, category, sender, sender_domain, received_at, reviewed_at, version, payload)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      cols.id,
+      cols.status,
+      cols.kind,
+      cols.urgency,
+      cols.category,
+      cols.sender,
+      cols.sender_domain,
+      cols.received_at,
+      item.reviewedAt || null,
+      item.version,
+      JSON.stringify(item),
+    );
+  }
+
+  readItem(id) {
+    const rows = this.rawSql.exec(
+      'SELECT id, version, payload FROM queue_items WHERE id = ?',
+      id,
+    ).toArray();
+    return rows.length ? this.rowToItem(rows[0]) : null;
+  }
+
+  rowToItem(row) {
+    // The version column is authoritative; payload carries the item shape.
+    return { ...JSON.parse(row.payload), version: row.version };
+  }
+
+  audit(itemId, action, actor, fromStatus, toStatus, version, detail) {
+    this.rawSql.exec(
+      `INSERT INTO queue_audit (item_id, at, action, actor, from_status, to_status, version, detail)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      itemId,
+      new Date().toISOString(),
+      action,
+      actor,
+      fromStatus,
+      toStatus,
+      version,
+      detail ? JSON.stringify(detail) : null,
+    );
+  }
+
+  pruneReviewed() {
+    const cutoff = new Date(Date.now() - REVIEWED_RETENTION_MS).toISOString();
+    this.rawSql.exec(
+      `DELETE FROM queue_audit WHERE item_id IN (
+         SELECT id FROM queue_items WHERE status != 'pending' AND received_at < ?
+       )`,
+      cutoff,
+    );
+    this.rawSql.exec(
+      "DELETE FROM queue_items WHERE status != 'pending' AND received_at < ?",
+      cutoff,
+    );
+  }
+}
@@ -7,6 +7,7 @@
  * @canon chittycanon://gov/governance#core-types
  */
 import { ChittyRouterBaseAgent } from "./base-agent.js";
+import { instanceName, isShardingEnabled, registerShard, resolveShard } from "../utils/agent-shards.js";
 
 const VALID_JOB_TYPES = ["court_docket", "cook_county_tax", "mr_cooper", "portal_scrape"];
 const VALID_STATUSES = ["queued", "running", "completed", "failed", "retrying", "dead_letter"];
@@ -327,8 +328,11 @@ export class ScrapeAgent extends ChittyRouterBaseAgent {
     if (ctx.jobType !== "court_docket") return;
     if (!ctx.result?.nextHearing && !ctx.result?.entries) return;
 
-    const stub = await this.getAgentStub("CALENDAR_AGENT");
+    // Docket dates belong to the case's calendar shard when sharding is on.
+    const shard = isShardingEnabled(this.env) ? resolveShard({ caseSlug: ctx.target?.case_number }) : null;
+    const stub = await this.getAgentStub("CALENDAR_AGENT", shard);
     if (!stub) return;
+    await registerShard(this.env, "CALENDAR_AGENT", shard);
 
     if (ctx.result.nextHearing) {
       await stub.fetch(new Request("https://agent/create", {
@@ -413,13 +417,14 @@ export class ScrapeAgent extends ChittyRouterBaseAgent {
 
   // ── DO-to-DO stub helper ───────────────────────────────────
 
-  async getAgentStub(bindingName) {
+  async getAgentStub(bindingName, shard = null) {
     const binding = this.env[bindingName];
     if (!binding) return null;
-    const id = binding.idFromName(bindingName);
+    const name = instanceName(bindingName, shard);
+    const id = binding.idFromName(name);
     const stub = binding.get(id);
     const setupReq = new Request("http://dummy-example.cloudflare.com/cdn-cgi/partyserver/set-name/");
-    setupReq.headers.set("x-partykit-room", bindingName);
+    setupReq.headers.set("x-partykit-room", name);
     await stub.fetch(setupReq).then((r) => r.text());
     return stub;
   }
@@ -0,0 +1,426 @@
+/**
+ * SearchAgent — hybrid keyword + vector index over mail, attachment text,
+ * evidence and entity timelines.
+ *
+ * One named instance (SEARCH_AGENT) owns the index. Documents arrive already
+ * shaped by src/search/search-index.js; this agent chunks them, keeps the
+ * chunks and an FTS5 index in its SQLite storage, and upserts chunk
+ * embeddings into Vectorize (VectorStore over env.VECTORIZE, Workers AI
+ * embeddings) when both are bound. Without them it serves keyword search only.
+ *
+ * Queries run bm25 over FTS5 and a Vectorize similarity query, fuse the two
+ * rankings (reciprocal rank fusion), and hydrate hits from SQLite with the
+ * filters re-applied — so a chunk that was purged, or that the vector
+ * metadata filter could not exclude, never reaches a result.
+ *
+ * Privileged material never enters: documents flagged privileged are
+ * rejected, and Message-IDs purged because their thread turned privileged
+ * are tombstoned in `search_blocked` so a late re-index is refused.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ * @canon chittycanon://gov/governance#core-types
+ */
+import { ChittyRouterBaseAgent } from './base-agent.js';
+import {
+  EMBEDDING_MODEL,
+  buildSearchResults,
+  chunkDocument,
+  chunkId,
+  embedTexts,
+  filterClauses,
+  ftsMatchExpression,
+  fuseRankings,
+  parseSearchRequest,
+  validateSearchDocument,
+  vectorFilter,
+} from '../search/search-index.js';
+import { parseMessageIds } from '../email/threads.js';
+import { VectorStore } from '../services.js';
+
+const INDEX_BATCH_MAX = 50;
+const PURGE_MAX = 500;
+/** Vectorize caps topK at 100 when returnMetadata is 'none'. */
+const VECTOR_TOP_K_MAX = 100;
+const CANDIDATE_FACTOR = 4;
+
+export class SearchAgent extends ChittyRouterBaseAgent {
+  async onStart() {
+    await super.onStart();
+    this.ensureSearchTables();
+  }
+
+  ensureSearchTables() {
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS search_docs (
+        id TEXT PRIMARY KEY,
+        source_type TEXT NOT NULL,
+        title TEXT,
+        case_slug TEXT,
+        org TEXT,
+        entity TEXT,
+        at TEXT NOT NULL,
+        chunk_count INTEGER NOT NULL DEFAULT 0,
+        embedded INTEGER NOT NULL DEFAULT 0,
+        indexed_at TEXT NOT NULL
+      )
+    `);
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS search_chunks (
+        id TEXT PRIMARY KEY,
+        doc_id TEXT NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        source_type TEXT NOT NULL,
+        title TEXT,
+        text TEXT NOT NULL,
+        page TEXT,
+        case_slug TEXT,
+        org TEXT,
+        entity TEXT,
+        at TEXT NOT NULL,
+        citation TEXT NOT NULL DEFAULT '{}'
+      )
+    `);
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_search_chunks_doc ON search_chunks(doc_id, chunk_index)');
+    this.rawSql.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS search_fts USING fts5(
+        title, text, tokenize = 'porter unicode61'
+      )
+    `);
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS search_doc_messages (
+        message_id TEXT NOT NULL,
+        doc_id TEXT NOT NULL,
+        PRIMARY KEY (message_id, doc_id)
+      )
+    `);
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_search_doc_messages_doc ON search_doc_messages(doc_id)');
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS search_blocked (
+        message_id TEXT PRIMARY KEY,
+        thread_id TEXT,
+        reason TEXT NOT NULL,
+        blocked_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  get vectors() {
+    if (!this._vectors) this._vectors = new VectorStore(this.env || {});
+    return this._vectors;
+  }
+
+  get vectorEnabled() {
+    return Boolean(this.env?.AI && this.vectors.available);
+  }
+
+  get embeddingModel() {
+    return this.env?.AI_MODEL_EMBEDDING || EMBEDDING_MODEL;
+  }
+
+  async onRequest(request) {
+    const url = new URL(request.url);
+    const path = url.pathname;
+
+    if (request.method === 'POST' && path.endsWith('/index')) {
+      return this.handleIndex(request);
+    }
+    if (request.method === 'POST' && path.endsWith('/search')) {
+      return this.handleSearch(request);
+    }
+    if (request.method === 'POST' && path.endsWith('/purge')) {
+      return this.handlePurge(request);
+    }
+    if (request.method === 'GET' && path.endsWith('/status')) {
+      return this.handleStatus();
+    }
+
+    return this.jsonResponse({
+      agent: 'SearchAgent',
+      status: 'active',
+      endpoints: ['/index', '/search', '/purge', '/status'],
+    });
+  }
+
+  // -- Handlers --
+
+  /**
+   * Body: { documents: SearchDocument[] }
+   * Returns: { results: [{ id, status: 'indexed'|'rejected'|'blocked', chunks?, embedded?, error? }] }
+   */
+  async handleIndex(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const documents = data?.documents;
+    if (!Array.isArray(documents) || !documents.length) {
+      return this.jsonResponse({ error: 'documents array required' }, 400);
+    }
+    if (documents.length > INDEX_BATCH_MAX) {
+      return this.jsonResponse({ error: `at most ${INDEX_BATCH_MAX} documents per request` }, 400);
+    }
+
+    const results = [];
+    for (const doc of documents) {
+      const invalid = validateSearchDocument(doc);
+      if (invalid) {
+        results.push({ id: doc?.id ?? null, status: 'rejected', error: invalid });
+        continue;
+      }
+      results.push(await this.indexDocument(doc, parseMessageIds(doc.messageIds || [])));
+    }
+    this.info('search-index', {
+      indexed: results.filter((r) => r.status === 'indexed').length,
+      refused: results.filter((r) => r.status !== 'indexed').length,
+    });
+    return this.jsonResponse({ results });
+  }
+
+  /**
+   * Body: { q, limit?, mode?, caseSlug?, org?, entity?, sourceTypes?, since?, until? }
+   * Returns: { query, mode, results, warnings }
+   */
+  async handleSearch(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const parsed = parseSearchRequest(data);
+    if (parsed.error) return this.jsonResponse({ error: parsed.error }, 400);
+    const { q, limit, mode, filters } = parsed.query;
+    if (mode === 'vector' && !this.vectorEnabled) {
+      return this.jsonResponse({ error: 'vector search unavailable: AI and VECTORIZE bindings required' }, 503);
+    }
+
+    const candidates = Math.min(limit * CANDIDATE_FACTOR, VECTOR_TOP_K_MAX);
+    const warnings = [];
+    const snippets = new Map();
+    let keyword = [];
+    let vector = [];
+
+    if (mode !== 'vector') {
+      const hits = this.keywordHits(q, filters, candidates);
+      keyword = hits.map((h) => h.id);
+      for (const hit of hits) snippets.set(hit.id, hit.snippet);
+    }
+    if (mode !== 'keyword') {
+      if (this.vectorEnabled) {
+        try {
+          vector = await this.vectorHits(q, filters, candidates);
+        } catch (err) {
+          if (mode === 'vector') return this.jsonResponse({ error: `vector search failed: ${err.message}` }, 502);
+          this.warn('search-vector-failed', { error: err.message });
+          warnings.push('vector search failed; keyword results only');
+        }
+      } else {
+        warnings.push('vector search unavailable; keyword results only');
+      }
+    }
+
+    const fused = fuseRankings({ keyword, vector });
+    const rows = this.hydrate(fused.map((f) => f.id), filters);
+    const results = buildSearchResults(fused, rows, { limit, snippets });
+    return this.jsonResponse({ query: { q, limit, filters }, mode, count: results.length, results, warnings });
+  }
+
+  /**
+   * Remove indexed content and tombstone its Message-IDs.
+   * Body: { messageIds?, docIds?, threadId?, reason }
+   * Returns: { purged, chunks, blocked }
+   */
+  async handlePurge(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const messageIds = parseMessageIds(Array.isArray(data?.messageIds) ? data.messageIds : []).slice(0, PURGE_MAX);
+    const docIds = (Array.isArray(data?.docIds) ? data.docIds : []).filter((id) => typeof id === 'string').slice(0, PURGE_MAX);
+    if (!messageIds.length && !docIds.length) {
+      return this.jsonResponse({ error: 'messageIds or docIds required' }, 400);
+    }
+    if (!data.reason) return this.jsonResponse({ error: 'reason required' }, 400);
+
+    const linked = messageIds.length
+      ? this.rawSql.exec(
+        `SELECT DISTINCT doc_id FROM search_doc_messages WHERE message_id IN (${messageIds.map(() => '?').join(', ')})`,
+        ...messageIds,
+      ).toArray().map((row) => row.doc_id)
+      : [];
+    const targets = [...new Set([...docIds, ...linked])];
+    const now = new Date().toISOString();
+    for (const messageId of messageIds) {
+      this.rawSql.exec(
+        'INSERT OR REPLACE INTO search_blocked (message_id, thread_id, reason, blocked_at) VALUES (?, ?, ?, ?)',
+        messageId,
+        data.threadId || null,
+        String(data.reason),
+        now,
+      );
+    }
+    const removed = targets.flatMap((id) => this.dropDocumentRows(id));
+    await this.deleteVectors(removed, targets.join(','));
+    const chunks = removed.length;
+
+    this.info('search-purge', { threadId: data.threadId || null, documents: targets.length, chunks, blocked: messageIds.length });
+    return this.jsonResponse({ purged: targets.length, chunks, blocked: messageIds.length });
+  }
+
+  handleStatus() {
+    const [{ documents }] = this.rawSql.exec('SELECT COUNT(*) AS documents FROM search_docs').toArray();
+    const [{ chunks }] = this.rawSql.exec('SELECT COUNT(*) AS chunks FROM search_chunks').toArray();
+    const [{ blocked }] = this.rawSql.exec('SELECT COUNT(*) AS blocked FROM search_blocked').toArray();
+    const bySource = this.rawSql.exec(
+      'SELECT source_type, COUNT(*) AS n FROM search_docs GROUP BY source_type',
+    ).toArray().reduce((acc, row) => ({ ...acc, [row.source_type]: row.n }), {});
+    return this.jsonResponse({
+      agent: 'SearchAgent',
+      documents,
+      chunks,
+      blocked,
+      bySource,
+      vector: { enabled: this.vectorEnabled, model: this.vectorEnabled ? this.embeddingModel : null },
+    });
+  }
+
+  // -- Index helpers --
+
+  blockedAmong(messageIds) {
+    if (!messageIds.length) return [];
+    return this.rawSql.exec(
+      `SELECT message_id FROM search_blocked WHERE message_id IN (${messageIds.map(() => '?').join(', ')})`,
+      ...messageIds,
+    ).toArray().map((row) => row.message_id);
+  }
+
+  /**
+   * Replace a document's chunks, then embed them if vectors are enabled.
+   *
+   * The blocked check and every row write run with no await in between, so
+   * a concurrent purge either sees this document's rows (and removes them)
+   * or has already tombstoned its Message-IDs (and the write is refused).
+   */
+  async indexDocument(doc, messageIds) {
+    const { chunks, truncated } = chunkDocument(doc);
+    const ids = await Promise.all(chunks.map((chunk) => chunkId(doc.id, chunk.index)));
+    const at = doc.at || new Date().toISOString();
+    const citation = JSON.stringify(doc.citation || {});
+
+    if (this.blockedAmong(messageIds).length) return { id: doc.id, status: 'blocked' };
+    const stale = this.dropDocumentRows(doc.id).filter((id) => !ids.includes(id));
+    chunks.forEach((chunk, i) => {
+      this.rawSql.exec(
+        `INSERT INTO search_chunks
+           (id, doc_id, chunk_index, source_type, title, text, page, case_slug, org, entity, at, citation)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        ids[i],
+        doc.id,
+        chunk.index,
+        doc.sourceType,
+        doc.title || null,
+        chunk.text,
+        chunk.page,
+        doc.caseSlug ?? null,
+        doc.org ?? null,
+        doc.entity ?? null,
+        at,
+        citation,
+      );
+      const [{ rowid }] = this.rawSql.exec('SELECT rowid FROM search_chunks WHERE id = ?', ids[i]).toArray();
+      this.rawSql.exec('INSERT INTO search_fts (rowid, title, text) VALUES (?, ?, ?)', rowid, doc.title || '', chunk.text);
+    });
+    for (const messageId of messageIds) {
+      this.rawSql.exec('INSERT OR IGNORE INTO search_doc_messages (message_id, doc_id) VALUES (?, ?)', messageId, doc.id);
+    }
+    this.rawSql.exec(
+      `INSERT INTO search_docs (id, source_type, title, case_slug, org, entity, at, chunk_count, indexed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      doc.id,
+      doc.sourceType,
+      doc.title || null,
+      doc.caseSlug ?? null,
+      doc.org ?? null,
+      doc.entity ?? null,
+      at,
+      chunks.length,
+      new Date().toISOString(),
+    );
+
+    await this.deleteVectors(stale, doc.id);
+    let embedded = false;
+    if (this.vectorEnabled && chunks.length) {
+      try {
+        const vectors = await embedTexts(this.env.AI, chunks.map((c) => c.text), this.embeddingModel);
+        await this.vectors.upsert(ids.map((id, i) => ({
+          id,
+          values: vectors[i],
+          metadata: {
+            docId: doc.id,
+            sourceType: doc.sourceType,
+            ...(doc.caseSlug ? { caseSlug: doc.caseSlug } : {}),
+            ...(doc.org ? { org: doc.org } : {}),
+            ...(doc.entity ? { entity: doc.entity } : {}),
+          },
+        })));
+        embedded = true;
+        this.rawSql.exec('UPDATE search_docs SET embedded = 1 WHERE id = ?', doc.id);
+      } catch (err) {
+        this.warn('search-embed-failed', { docId: doc.id, error: err.message });
+      }
+    }
+    return { id: doc.id, status: 'indexed', chunks: chunks.length, embedded, ...(truncated ? { truncated } : {}) };
+  }
+
+  /**
+   * Delete a document's chunks, FTS rows and Message-ID links.
+   * @returns {string[]} the removed chunk ids (their vectors are still live)
+   */
+  dropDocumentRows(docId) {
+    const ids = this.rawSql.exec('SELECT id FROM search_chunks WHERE doc_id = ?', docId).toArray().map((row) => row.id);
+    this.rawSql.exec('DELETE FROM search_fts WHERE rowid IN (SELECT rowid FROM search_chunks WHERE doc_id = ?)', docId);
+    this.rawSql.exec('DELETE FROM search_chunks WHERE doc_id = ?', docId);
+    this.rawSql.exec('DELETE FROM search_doc_messages WHERE doc_id = ?', docId);
+    this.rawSql.exec('DELETE FROM search_docs WHERE id = ?', docId);
+    return ids;
+  }
+
+  async deleteVectors(ids, docId) {
+    if (!ids.length || !this.vectors.available) return;
+    try {
+      await this.vectors.deleteByIds(ids);
+    } catch (err) {
+      // Hydration drops vector hits without a chunk row, so a stale vector
+      // can never surface; it only costs index space.
+      this.warn('search-vector-delete-failed', { docId, error: err.message });
+    }
+  }
+
+  // -- Query helpers --
+
+  keywordHits(q, filters, limit) {
+    const match = ftsMatchExpression(q);
+    if (!match) return [];
+    const { where, params } = filterClauses(filters);
+    return this.rawSql.exec(
+      `SELECT c.id, snippet(search_fts, 1, '[', ']', '…', 24) AS snippet
+       FROM search_fts JOIN search_chunks c ON c.rowid = search_fts.rowid
+       WHERE search_fts MATCH ?${where.length ? ` AND ${where.join(' AND ')}` : ''}
+       ORDER BY bm25(search_fts, 2.0, 1.0) LIMIT ?`,
+      match,
+      ...params,
+      limit,
+    ).toArray();
+  }
+
+  async vectorHits(q, filters, topK) {
+    const [vector] = await embedTexts(this.env.AI, [q], this.embeddingModel);
+    const matches = await this.vectors.search(vector, { topK, filter: vectorFilter(filters) });
+    return matches.map((m) => m.id);
+  }
+
+  /** Chunk rows for hit ids (at most 2 × VECTOR_TOP_K_MAX), with every filter re-applied. */
+  hydrate(ids, filters) {
+    if (!ids.length) return [];
+    const { where, params } = filterClauses(filters);
+    return this.rawSql.exec(
+      `SELECT * FROM search_chunks c
+       WHERE c.id IN (${ids.map(() => '?').join(', ')})
+       ${where.length ? `AND ${where.join(' AND ')}` : ''}`,
+      ...ids,
+      ...params,
+    ).toArray();
+  }
+}
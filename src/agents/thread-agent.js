@@ -0,0 +1,370 @@
+/**
+ * ThreadAgent — conversation store for email threads and case timelines.
+ *
+ * One named instance (THREAD_AGENT) owns every thread. Messages arrive from
+ * CloudflareEmailHandler already shaped (and F-L10-redacted) by
+ * src/email/threads.js; this agent only decides which thread each belongs to
+ * and keeps the thread-level fields in step:
+ *
+ *   - `thread_refs` maps every Message-ID seen (own ids, References,
+ *     In-Reply-To) to its thread, so a reply that arrives before its parent
+ *     still lands with its siblings, and a message linking two threads merges
+ *     them into the older one;
+ *   - with no graph link, the subject fallback (subjectCandidateMatches)
+ *     considers recent threads with the same subject key;
+ *   - after every change the thread's subject, attribution, participants and
+ *     counts are recomputed from its messages (summarizeThread). A thread
+ *     that contains one privileged message is scrubbed to metadata only.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ * @canon chittycanon://gov/governance#core-types
+ */
+import { ChittyRouterBaseAgent } from './base-agent.js';
+import {
+  SUBJECT_WINDOW_MS,
+  THREAD_LIST_MAX,
+  TIMELINE_PAGE_DEFAULT,
+  chooseThread,
+  messageRefs,
+  parseMessageIds,
+  parseThreadFilters,
+  redactThreadMessage,
+  subjectCandidateMatches,
+  summarizeThread,
+  toTimelineEntry,
+} from '../email/threads.js';
+
+const SUBJECT_CANDIDATES_MAX = 20;
+const LOOKUP_MAX = 200;
+
+export class ThreadAgent extends ChittyRouterBaseAgent {
+  async onStart() {
+    await super.onStart();
+    this.ensureThreadTables();
+  }
+
+  ensureThreadTables() {
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS threads (
+        id TEXT PRIMARY KEY,
+        subject TEXT,
+        subject_key TEXT,
+        case_slug TEXT,
+        entity TEXT,
+        privileged INTEGER NOT NULL DEFAULT 0,
+        participants TEXT NOT NULL DEFAULT '[]',
+        message_count INTEGER NOT NULL DEFAULT 0,
+        first_at TEXT NOT NULL,
+        last_at TEXT NOT NULL
+      )
+    `);
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_threads_subject_key ON threads(subject_key, last_at DESC)');
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_threads_case ON threads(case_slug, last_at DESC)');
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_threads_entity ON threads(entity, last_at DESC)');
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS thread_messages (
+        message_id TEXT PRIMARY KEY,
+        thread_id TEXT NOT NULL,
+        at TEXT NOT NULL,
+        direction TEXT NOT NULL,
+        payload TEXT NOT NULL
+      )
+    `);
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_thread_messages_thread ON thread_messages(thread_id, at, message_id)');
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS thread_refs (
+        ref_id TEXT PRIMARY KEY,
+        thread_id TEXT NOT NULL
+      )
+    `);
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_thread_refs_thread ON thread_refs(thread_id)');
+  }
+
+  async onRequest(request) {
+    const url = new URL(request.url);
+    const path = url.pathname;
+
+    if (request.method === 'POST' && path.endsWith('/ingest')) {
+      return this.handleIngest(request);
+    }
+    if (request.method === 'POST' && path.endsWith('/lookup')) {
+      return this.handleLookup(request);
+    }
+    if (request.method === 'GET' && /\/thread\/[^/]+$/.test(path)) {
+      return this.handleGet(decodeURIComponent(path.split('/').pop()));
+    }
+    if (request.method === 'GET' && path.endsWith('/message')) {
+      return this.handleGetByMessage(url.searchParams.get('id'));
+    }
+    if (request.method === 'GET' && path.endsWith('/threads')) {
+      return this.handleList(url.searchParams);
+    }
+    if (request.method === 'GET' && path.endsWith('/timeline')) {
+      return this.handleTimeline(url.searchParams);
+    }
+    if (request.method === 'GET' && path.endsWith('/status')) {
+      return this.handleStatus();
+    }
+
+    return this.jsonResponse({
+      agent: 'ThreadAgent',
+      status: 'active',
+      endpoints: ['/ingest', '/lookup', '/thread/:id', '/message', '/threads', '/timeline', '/status'],
+    });
+  }
+
+  // -- Handlers --
+
+  /**
+   * Body: { message } — a ThreadMessage (src/email/threads.js).
+   * Returns: { thread, matchedBy: 'graph'|'subject'|'new'|'duplicate', merged }
+   */
+  async handleIngest(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const message = data?.message;
+    const [messageId] = parseMessageIds(message?.messageId);
+    if (!messageId || !message.at || !['inbound', 'outbound'].includes(message.direction)) {
+      return this.jsonResponse({ error: 'message with messageId, at and direction required' }, 400);
+    }
+    const incoming = { ...message, messageId };
+
+    const existing = this.rawSql.exec(
+      'SELECT thread_id FROM thread_messages WHERE message_id = ?',
+      messageId,
+    ).toArray();
+    if (existing.length) {
+      return this.jsonResponse({ thread: this.readThread(existing[0].thread_id), matchedBy: 'duplicate', merged: [] });
+    }
+
+    const refs = messageRefs(incoming);
+    const graph = this.rawSql.exec(
+      `SELECT DISTINCT r.thread_id, t.first_at FROM thread_refs r JOIN threads t ON t.id = r.thread_id
+       WHERE r.ref_id IN (${refs.map(() => '?').join(', ')}) ORDER BY t.first_at ASC`,
+      ...refs,
+    ).toArray().map((row) => row.thread_id);
+    const candidates = graph.length ? [] : this.subjectCandidates(incoming);
+    const { threadId, merge, matchedBy } = chooseThread(graph, candidates);
+
+    const id = threadId || `th-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+    if (!threadId) {
+      this.rawSql.exec(
+        'INSERT INTO threads (id, first_at, last_at) VALUES (?, ?, ?)',
+        id,
+        incoming.at,
+        incoming.at,
+      );
+    }
+    for (const from of merge) {
+      this.rawSql.exec('UPDATE thread_messages SET thread_id = ? WHERE thread_id = ?', id, from);
+      this.rawSql.exec('UPDATE thread_refs SET thread_id = ? WHERE thread_id = ?', id, from);
+      this.rawSql.exec('DELETE FROM threads WHERE id = ?', from);
+    }
+
+    this.rawSql.exec(
+      'INSERT INTO thread_messages (message_id, thread_id, at, direction, payload) VALUES (?, ?, ?, ?, ?)',
+      messageId,
+      id,
+      incoming.at,
+      incoming.direction,
+      JSON.stringify(incoming),
+    );
+    for (const ref of refs) {
+      this.rawSql.exec('INSERT OR REPLACE INTO thread_refs (ref_id, thread_id) VALUES (?, ?)', ref, id);
+    }
+
+    const thread = this.refreshThread(id);
+    this.info('thread-ingest', { threadId: id, matchedBy, merged: merge.length, messages: thread.messageCount });
+    return this.jsonResponse({ thread, matchedBy, merged: merge });
+  }
+
+  /**
+   * "Thread of N" context for queue items and receipts.
+   * Body: { messageIds } Returns: { threads: { [messageId]: { threadId, messageCount, position, caseSlug, entity, privileged } } }
+   */
+  async handleLookup(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const ids = parseMessageIds(Array.isArray(data?.messageIds) ? data.messageIds : []).slice(0, LOOKUP_MAX);
+    if (!ids.length) return this.jsonResponse({ threads: {} });
+
+    const rows = this.rawSql.exec(
+      `SELECT m.message_id, m.thread_id, m.at, t.message_count, t.case_slug, t.entity, t.privileged
+       FROM thread_messages m JOIN threads t ON t.id = m.thread_id
+       WHERE m.message_id IN (${ids.map(() => '?').join(', ')})`,
+      ...ids,
+    ).toArray();
+
+    const threads = {};
+    for (const row of rows) {
+      const [{ n }] = this.rawSql.exec(
+        `SELECT COUNT(*) AS n FROM thread_messages
+         WHERE thread_id = ? AND (at < ? OR (at = ? AND message_id <= ?))`,
+        row.thread_id,
+        row.at,
+        row.at,
+        row.message_id,
+      ).toArray();
+      threads[row.message_id] = {
+        threadId: row.thread_id,
+        messageCount: row.message_count,
+        position: n,
+        caseSlug: row.case_slug,
+        entity: row.entity,
+        privileged: row.privileged === 1,
+      };
+    }
+    return this.jsonResponse({ threads });
+  }
+
+  handleGet(id) {
+    const thread = this.readThread(id);
+    if (!thread) return this.jsonResponse({ error: 'not found' }, 404);
+    return this.jsonResponse({ thread, messages: this.readMessages(id) });
+  }
+
+  handleGetByMessage(rawId) {
+    const [messageId] = parseMessageIds(rawId);
+    if (!messageId) return this.jsonResponse({ error: 'id required' }, 400);
+    const rows = this.rawSql.exec('SELECT thread_id FROM thread_messages WHERE message_id = ?', messageId).toArray();
+    if (!rows.length) return this.jsonResponse({ error: 'not found' }, 404);
+    return this.handleGet(rows[0].thread_id);
+  }
+
+  handleList(searchParams) {
+    const { filters, errors } = parseThreadFilters(searchParams, { maxLimit: THREAD_LIST_MAX });
+    if (!errors.length && !filters.caseSlug && !filters.entity) errors.push('case or entity required');
+    if (errors.length) return this.jsonResponse({ error: errors.join('; ') }, 400);
+
+    const [column, value] = filters.caseSlug ? ['case_slug', filters.caseSlug] : ['entity', filters.entity];
+    const rows = this.rawSql.exec(
+      `SELECT * FROM threads WHERE ${column} = ? ORDER BY last_at DESC LIMIT ?`,
+      value,
+      filters.limit ?? THREAD_LIST_MAX,
+    ).toArray();
+    const threads = rows.map((row) => this.rowToThread(row));
+    return this.jsonResponse({ count: threads.length, threads });
+  }
+
+  /**
+   * Messages of every thread attributed to a case (or entity), oldest first.
+   * Returns: { entries, threads }
+   */
+  handleTimeline(searchParams) {
+    const { filters, errors } = parseThreadFilters(searchParams);
+    if (!errors.length && !filters.caseSlug && !filters.entity) errors.push('case or entity required');
+    if (errors.length) return this.jsonResponse({ error: errors.join('; ') }, 400);
+
+    const [column, value] = filters.caseSlug ? ['t.case_slug', filters.caseSlug] : ['t.entity', filters.entity];
+    const where = [`${column} = ?`];
+    const params = [value];
+    if (filters.since) {
+      where.push('m.at >= ?');
+      params.push(filters.since);
+    }
+    if (filters.until) {
+      where.push('m.at <= ?');
+      params.push(filters.until);
+    }
+    const rows = this.rawSql.exec(
+      `SELECT m.thread_id, m.payload FROM thread_messages m JOIN threads t ON t.id = m.thread_id
+       WHERE ${where.join(' AND ')} ORDER BY m.at ASC, m.message_id ASC LIMIT ?`,
+      ...params,
+      filters.limit ?? TIMELINE_PAGE_DEFAULT,
+    ).toArray();
+
+    const entries = rows.map((row) => toTimelineEntry(JSON.parse(row.payload), row.thread_id));
+    const threadIds = [...new Set(entries.map((e) => e.threadId))];
+    const threads = threadIds.map((id) => this.readThread(id)).filter(Boolean);
+    return this.jsonResponse({ entries, threads });
+  }
+
+  handleStatus() {
+    const [{ threads, privileged }] = this.rawSql.exec(
+      'SELECT COUNT(*) AS threads, COALESCE(SUM(privileged), 0) AS privileged FROM threads',
+    ).toArray();
+    const [{ messages }] = this.rawSql.exec('SELECT COUNT(*) AS messages FROM thread_messages').toArray();
+    return this.jsonResponse({ agent: 'ThreadAgent', threads, messages, privileged });
+  }
+
+  // -- Storage helpers --
+
+  /** Recent threads the subject fallback may join, newest first. */
+  subjectCandidates(message) {
+    if (!message.subjectKey || message.metadataOnly) return [];
+    const since = new Date(Date.parse(message.at) - SUBJECT_WINDOW_MS).toISOString();
+    return this.rawSql.exec(
+      `SELECT * FROM threads WHERE subject_key = ? AND privileged = 0 AND last_at >= ?
+       ORDER BY last_at DESC LIMIT ?`,
+      message.subjectKey,
+      since,
+      SUBJECT_CANDIDATES_MAX,
+    ).toArray()
+      .map((row) => this.rowToThread(row))
+      .filter((thread) => subjectCandidateMatches(thread, message));
+  }
+
+  /**
+   * Recompute a thread's fields from its messages, scrubbing every message
+   * once the thread is privileged.
+   */
+  refreshThread(id) {
+    let messages = this.readMessages(id);
+    const summary = summarizeThread(messages);
+    if (summary.privileged) {
+      messages = messages.map((message) => {
+        if (message.metadataOnly) return message;
+        const redacted = redactThreadMessage(message);
+        this.rawSql.exec(
+          'UPDATE thread_messages SET payload = ? WHERE message_id = ?',
+          JSON.stringify(redacted),
+          message.messageId,
+        );
+        return redacted;
+      });
+    }
+    this.rawSql.exec(
+      `UPDATE threads SET subject = ?, subject_key = ?, case_slug = ?, entity = ?, privileged = ?,
+         participants = ?, message_count = ?, first_at = ?, last_at = ?
+       WHERE id = ?`,
+      summary.subject,
+      summary.subjectKey,
+      summary.caseSlug,
+      summary.entity,
+      summary.privileged ? 1 : 0,
+      JSON.stringify(summary.participants),
+      summary.messageCount,
+      summary.firstAt,
+      summary.lastAt,
+      id,
+    );
+    return { id, ...summary };
+  }
+
+  readThread(id) {
+    const rows = this.rawSql.exec('SELECT * FROM threads WHERE id = ?', id).toArray();
+    return rows.length ? this.rowToThread(rows[0]) : null;
+  }
+
+  readMessages(threadId) {
+    return this.rawSql.exec(
+      'SELECT payload FROM thread_messages WHERE thread_id = ? ORDER BY at ASC, message_id ASC',
+      threadId,
+    ).toArray().map((row) => JSON.parse(row.payload));
+  }
+
+  rowToThread(row) {
+    return {
+      id: row.id,
+      subject: row.subject,
+      subjectKey: row.subject_key,
+      caseSlug: row.case_slug,
+      entity: row.entity,
+      privileged: row.privileged === 1,
+      participants: JSON.parse(row.participants || '[]'),
+      messageCount: row.message_count,
+      firstAt: row.first_at,
+      lastAt: row.last_at,
+    };
+  }
+}
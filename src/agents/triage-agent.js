@@ -1,12 +1,29 @@
 /**
  * TriageAgent — Classifies inbound communications by org, type, and urgency.
  * Migrated from src/ai/triage-agent.js to Agents SDK stateful agent.
- * Provides multi-org classification with persistent pattern learning.
+ * Provides multi-org classification with persistent pattern learning, and
+ * stores the declarative email routing rules (org_routing_rules, see
+ * src/email/routing-rules.js) and the email triage corrections with the
+ * sender rules learned from them (see src/email/corrections.js).
  *
  * @service chittycanon://core/services/chittyrouter
  * @canon chittycanon://gov/governance#core-types
  */
 import { ChittyRouterBaseAgent } from './base-agent.js';
+import { validateRule, ruleFromRow } from '../email/routing-rules.js';
+import {
+  SIMILAR_DEFAULT_K,
+  SIMILAR_MAX_K,
+  learnRule,
+  rankCorrections,
+} from '../email/corrections.js';
+import { EMBEDDING_MODEL, embedTexts } from '../search/search-index.js';
+
+// Similar-correction lookups score every correction from the sender's
+// domain plus this many of the most recent others.
+const CORRECTION_CANDIDATE_WINDOW = 1000;
+const CORRECTION_DOMAIN_WINDOW = 200;
+const CORRECTION_PAGE_MAX = 200;
 
 // Classification categories (expanded from original for multi-org)
 const CATEGORIES = [
@@ -105,6 +122,89 @@ export class TriageAgent extends ChittyRouterBaseAgent {
         created_at TEXT NOT NULL DEFAULT (datetime('now'))
       )
     `);
+    this.ensureRoutingRuleColumns();
+    this.ensureCorrectionTables();
+  }
+
+  ensureCorrectionTables() {
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS triage_corrections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        profile TEXT NOT NULL,
+        sender TEXT NOT NULL,
+        sender_domain TEXT,
+        subject TEXT,
+        was_category TEXT,
+        category TEXT NOT NULL,
+        was_entity TEXT,
+        entity TEXT,
+        reason TEXT,
+        source TEXT,
+        queue_item_id TEXT,
+        embedding TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_corrections_sender ON triage_corrections(profile, sender)');
+    this.rawSql.exec('CREATE INDEX IF NOT EXISTS idx_corrections_domain ON triage_corrections(profile, sender_domain)');
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS learned_triage_rules (
+        profile TEXT NOT NULL,
+        key TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        value TEXT NOT NULL,
+        category TEXT NOT NULL,
+        entity TEXT,
+        support INTEGER NOT NULL,
+        agreement REAL NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (profile, key)
+      )
+    `);
+  }
+
+  /**
+   * org_routing_rules predates the rules engine (pattern → target_category
+   * only). Add the declarative columns in place so existing rows survive;
+   * rows with NULL conditions are read as legacy rules by ruleFromRow.
+   */
+  ensureRoutingRuleColumns() {
+    const existing = new Set(
+      this.rawSql.exec('PRAGMA table_info(org_routing_rules)').toArray().map((c) => c.name),
+    );
+    const added = [
+      ['name', 'TEXT'],
+      ['conditions', 'TEXT'],
+      ['actions', 'TEXT'],
+      ['stop', 'INTEGER NOT NULL DEFAULT 0'],
+      ['version', 'INTEGER NOT NULL DEFAULT 1'],
+      ['updated_at', 'TEXT'],
+    ];
+    for (const [column, type] of added) {
+      if (!existing.has(column)) {
+        this.rawSql.exec(`ALTER TABLE org_routing_rules ADD COLUMN ${column} ${type}`);
+      }
+    }
+    this.rawSql.exec(`
+      CREATE INDEX IF NOT EXISTS idx_routing_rules_org
+        ON org_routing_rules(org, active, priority DESC, id)
+    `);
+    // Every create/update/delete snapshots the rule; the row count doubles as
+    // the ruleset version handed to the email handler's cache.
+    this.rawSql.exec(`
+      CREATE TABLE IF NOT EXISTS org_routing_rule_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER NOT NULL,
+        version INTEGER NOT NULL,
+        change TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        changed_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )
+    `);
+    this.rawSql.exec(`
+      CREATE INDEX IF NOT EXISTS idx_routing_rule_versions_rule
+        ON org_routing_rule_versions(rule_id, version)
+    `);
   }
 
   async onRequest(request) {
@@ -122,11 +222,40 @@ export class TriageAgent extends ChittyRouterBaseAgent {
       return this.handleStatus();
     }
 
+    // Corrections: /corrections, /corrections/import, /corrections/similar,
+    // /corrections/rules (before /rules, which would match the last one)
+    const correctionsMatch = url.pathname.match(/\/corrections(?:\/(import|similar|rules))?$/);
+    if (correctionsMatch) {
+      const sub = correctionsMatch[1];
+      if (!sub && request.method === 'GET') return this.handleListCorrections(url.searchParams);
+      if (!sub && request.method === 'POST') return this.handleAddCorrection(request);
+      if (sub === 'import' && request.method === 'POST') return this.handleImportCorrections(request);
+      if (sub === 'similar' && request.method === 'POST') return this.handleSimilarCorrections(request);
+      if (sub === 'rules' && request.method === 'GET') return this.handleLearnedRules(url.searchParams);
+      return this.jsonResponse({ error: 'method not allowed' }, 405);
+    }
+
+    // Routing rules: /rules, /rules/:id, /rules/:id/history
+    const ruleMatch = url.pathname.match(/\/rules(?:\/(\d+))?(\/history)?$/);
+    if (ruleMatch) {
+      const id = ruleMatch[1] ? Number(ruleMatch[1]) : null;
+      if (id === null && request.method === 'GET') return this.handleListRules(url.searchParams);
+      if (id === null && request.method === 'POST') return this.handleCreateRule(request);
+      if (id !== null && ruleMatch[2] && request.method === 'GET') return this.handleRuleHistory(id);
+      if (id !== null && !ruleMatch[2] && request.method === 'GET') return this.handleGetRule(id);
+      if (id !== null && !ruleMatch[2] && request.method === 'PUT') return this.handleUpdateRule(id, request);
+      if (id !== null && !ruleMatch[2] && request.method === 'DELETE') return this.handleDeleteRule(id);
+      return this.jsonResponse({ error: 'method not allowed' }, 405);
+    }
+
     // Default: return agent info
     return this.jsonResponse({
       agent: 'TriageAgent',
       status: 'active',
-      endpoints: ['/classify', '/stats', '/status'],
+      endpoints: [
+        '/classify', '/stats', '/status', '/rules', '/rules/:id', '/rules/:id/history',
+        '/corrections', '/corrections/import', '/corrections/similar', '/corrections/rules',
+      ],
     });
   }
 
@@ -208,6 +337,7 @@ Respond with JSON only:
 
     const response = await this.runAIWithPrompt(prompt, {
       promptId: 'triage.classify',
+      taskType: 'triage',
       variables: { org: orgResult.org, categories: categoryList },
     });
 
@@ -282,6 +412,390 @@ Respond with JSON only:
     });
   }
 
+  // -- Routing rules --
+
+  rulesetVersion() {
+    return this.rawSql.exec('SELECT COUNT(*) AS n FROM org_routing_rule_versions').toArray()[0]?.n || 0;
+  }
+
+  readRule(id) {
+    const rows = this.rawSql.exec('SELECT * FROM org_routing_rules WHERE id = ?', id).toArray();
+    return rows.length ? ruleFromRow(rows[0]) : null;
+  }
+
+  snapshotRule(rule, change) {
+    this.rawSql.exec(
+      'INSERT INTO org_routing_rule_versions (rule_id, version, change, snapshot) VALUES (?, ?, ?, ?)',
+      rule.id,
+      rule.version,
+      change,
+      JSON.stringify(rule),
+    );
+  }
+
+  /**
+   * GET /rules?org=&active=1 — rules in evaluation order. `org` returns that
+   * org's rules plus the org-wide '*' rules.
+   */
+  handleListRules(searchParams) {
+    const org = searchParams.get('org');
+    const activeOnly = searchParams.get('active') === '1';
+    const where = [];
+    const params = [];
+    if (org) {
+      where.push("org IN (?, '*')");
+      params.push(org);
+    }
+    if (activeOnly) where.push('active = 1');
+    const rows = this.rawSql.exec(
+      `SELECT * FROM org_routing_rules${where.length ? ` WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY priority DESC, id ASC`,
+      ...params,
+    ).toArray();
+    return this.jsonResponse({ version: this.rulesetVersion(), rules: rows.map((r) => ruleFromRow(r)) });
+  }
+
+  handleGetRule(id) {
+    const rule = this.readRule(id);
+    if (!rule) return this.jsonResponse({ error: `rule ${id} not found` }, 404);
+    return this.jsonResponse({ rule });
+  }
+
+  async handleCreateRule(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const { valid, errors } = validateRule(data);
+    if (!valid) return this.jsonResponse({ error: 'invalid rule', errors }, 400);
+
+    const now = new Date().toISOString();
+    // pattern / target_category are NOT NULL legacy columns; declarative
+    // rules leave them empty.
+    const result = this.rawSql.exec(
+      `INSERT INTO org_routing_rules
+         (org, pattern, target_category, priority, active, name, conditions, actions, stop, version, updated_at)
+       VALUES (?, '', '', ?, ?, ?, ?, ?, ?, 1, ?)
+       RETURNING id`,
+      data.org || '*',
+      data.priority ?? 0,
+      data.enabled === false ? 0 : 1,
+      data.name.trim(),
+      JSON.stringify(data.match ?? {}),
+      JSON.stringify(data.actions),
+      data.stop ? 1 : 0,
+      now,
+    ).toArray();
+    const rule = this.readRule(result[0].id);
+    this.snapshotRule(rule, 'created');
+    this.info('routing-rule-created', { id: rule.id, org: rule.org });
+    return this.jsonResponse({ rule, rulesetVersion: this.rulesetVersion() }, 201);
+  }
+
+  /**
+   * PUT /rules/:id — full replacement. Optional `expectedVersion` guards
+   * against overwriting someone else's edit (409).
+   */
+  async handleUpdateRule(id, request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const current = this.readRule(id);
+    if (!current) return this.jsonResponse({ error: `rule ${id} not found` }, 404);
+    if (data?.expectedVersion != null && data.expectedVersion !== current.version) {
+      return this.jsonResponse({ error: 'version conflict', currentVersion: current.version, rule: current }, 409);
+    }
+    const { valid, errors } = validateRule(data);
+    if (!valid) return this.jsonResponse({ error: 'invalid rule', errors }, 400);
+
+    this.rawSql.exec(
+      `UPDATE org_routing_rules
+       SET org = ?, priority = ?, active = ?, name = ?, conditions = ?, actions = ?, stop = ?,
+           version = version + 1, updated_at = ?
+       WHERE id = ?`,
+      data.org || current.org,
+      data.priority ?? 0,
+      data.enabled === false ? 0 : 1,
+      data.name.trim(),
+      JSON.stringify(data.match ?? {}),
+      JSON.stringify(data.actions),
+      data.stop ? 1 : 0,
+      new Date().toISOString(),
+      id,
+    );
+    const rule = this.readRule(id);
+    this.snapshotRule(rule, 'updated');
+    this.info('routing-rule-updated', { id, version: rule.version });
+    return this.jsonResponse({ rule, rulesetVersion: this.rulesetVersion() });
+  }
+
+  handleDeleteRule(id) {
+    const current = this.readRule(id);
+    if (!current) return this.jsonResponse({ error: `rule ${id} not found` }, 404);
+    this.rawSql.exec('DELETE FROM org_routing_rules WHERE id = ?', id);
+    // History is kept: the final snapshot records what was removed.
+    this.snapshotRule({ ...current, version: current.version + 1 }, 'deleted');
+    this.info('routing-rule-deleted', { id });
+    return this.jsonResponse({ deleted: id, rulesetVersion: this.rulesetVersion() });
+  }
+
+  handleRuleHistory(id) {
+    const rows = this.rawSql.exec(
+      `SELECT version, change, snapshot, changed_at FROM org_routing_rule_versions
+       WHERE rule_id = ? ORDER BY id ASC`,
+      id,
+    ).toArray();
+    if (!rows.length) return this.jsonResponse({ error: `rule ${id} not found` }, 404);
+    return this.jsonResponse({
+      id,
+      history: rows.map((r) => ({
+        version: r.version,
+        change: r.change,
+        changedAt: r.changed_at,
+        rule: JSON.parse(r.snapshot),
+      })),
+    });
+  }
+
+  // -- Triage corrections --
+
+  get embeddingModel() {
+    return this.env?.AI_MODEL_EMBEDDING || EMBEDDING_MODEL;
+  }
+
+  /** Subject embeddings, or nulls when AI is unbound or the call fails. */
+  async embedSubjects(subjects) {
+    if (!this.env?.AI || subjects.every((s) => !s)) return subjects.map(() => null);
+    try {
+      return await embedTexts(this.env.AI, subjects.map((s) => s || ' '), this.embeddingModel);
+    } catch (err) {
+      this.warn('correction-embed-failed', { error: err.message });
+      return subjects.map(() => null);
+    }
+  }
+
+  insertCorrection(c, embedding, createdAt = new Date().toISOString()) {
+    this.rawSql.exec(
+      `INSERT INTO triage_corrections
+         (profile, sender, sender_domain, subject, was_category, category, was_entity, entity,
+          reason, source, queue_item_id, embedding, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      c.profile,
+      c.sender,
+      c.senderDomain ?? null,
+      c.subject ?? null,
+      c.wasCategory ?? null,
+      c.category,
+      c.wasEntity ?? null,
+      c.entity ?? null,
+      c.reason ?? null,
+      c.source ?? null,
+      c.queueItemId ?? null,
+      embedding ? JSON.stringify(embedding) : null,
+      createdAt,
+    );
+  }
+
+  correctionFromRow(row, { withEmbedding = false } = {}) {
+    const correction = {
+      id: row.id,
+      profile: row.profile,
+      sender: row.sender,
+      senderDomain: row.sender_domain,
+      subject: row.subject,
+      wasCategory: row.was_category,
+      category: row.category,
+      wasEntity: row.was_entity,
+      entity: row.entity,
+      reason: row.reason,
+      source: row.source,
+      queueItemId: row.queue_item_id,
+      createdAt: row.created_at,
+    };
+    if (withEmbedding) correction.embedding = row.embedding ? JSON.parse(row.embedding) : null;
+    return correction;
+  }
+
+  /**
+   * Recompute the learned rules for a sender and its domain from their full
+   * correction history. Returns the rules that now hold.
+   */
+  relearnRules(profile, sender, senderDomain) {
+    const held = [];
+    const targets = [['sender', sender, 'sender'], ['domain', senderDomain, 'sender_domain']];
+    for (const [kind, value, column] of targets) {
+      if (!value) continue;
+      const rows = this.rawSql.exec(
+        `SELECT sender, category, entity FROM triage_corrections WHERE profile = ? AND ${column} = ?`,
+        profile,
+        value,
+      ).toArray();
+      const rule = learnRule(kind, value, rows);
+      if (!rule) {
+        this.rawSql.exec('DELETE FROM learned_triage_rules WHERE profile = ? AND key = ?', profile, `${kind}:${value}`);
+        continue;
+      }
+      this.rawSql.exec(
+        `INSERT INTO learned_triage_rules (profile, key, kind, value, category, entity, support, agreement, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (profile, key) DO UPDATE SET
+           category = excluded.category, entity = excluded.entity, support = excluded.support,
+           agreement = excluded.agreement, updated_at = excluded.updated_at`,
+        profile,
+        rule.key,
+        rule.kind,
+        rule.value,
+        rule.category,
+        rule.entity,
+        rule.support,
+        rule.agreement,
+        new Date().toISOString(),
+      );
+      held.push(rule);
+    }
+    return held;
+  }
+
+  /**
+   * Body: { correction } — normalized by normalizeCorrection.
+   * Returns: { correction, rules, totalCorrections }
+   */
+  async handleAddCorrection(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const c = data?.correction;
+    if (!c?.profile || !c.sender || !c.category) {
+      return this.jsonResponse({ error: 'correction with profile, sender and category required' }, 400);
+    }
+    const [embedding] = await this.embedSubjects([c.subject]);
+    this.insertCorrection(c, embedding);
+    const [{ id }] = this.rawSql.exec('SELECT last_insert_rowid() AS id').toArray();
+    const rules = this.relearnRules(c.profile, c.sender, c.senderDomain);
+    const [{ n }] = this.rawSql.exec('SELECT COUNT(*) AS n FROM triage_corrections WHERE profile = ?', c.profile).toArray();
+
+    this.info('triage-correction', { profile: c.profile, category: c.category, rules: rules.map((r) => r.key) });
+    return this.jsonResponse({ correction: { id, ...c }, rules, totalCorrections: n });
+  }
+
+  /**
+   * One-time import of the pre-DO KV corrections.
+   * Body: { corrections: [...] } (normalized, with submittedAt)  Returns: { imported }
+   */
+  async handleImportCorrections(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const corrections = (Array.isArray(data?.corrections) ? data.corrections : [])
+      .filter((c) => c?.profile && c.sender && c.category);
+    const embeddings = await this.embedSubjects(corrections.map((c) => c.subject));
+    const touched = new Map();
+    corrections.forEach((c, i) => {
+      this.insertCorrection(c, embeddings[i], c.submittedAt || undefined);
+      touched.set(`${c.profile} ${c.sender}`, c);
+    });
+    for (const c of touched.values()) this.relearnRules(c.profile, c.sender, c.senderDomain);
+    this.info('triage-corrections-import', { imported: corrections.length });
+    return this.jsonResponse({ imported: corrections.length });
+  }
+
+  /**
+   * GET /corrections?profile=&sender=&category=&limit=&cursor= — newest
+   * first; pass nextCursor back as cursor.
+   */
+  handleListCorrections(searchParams) {
+    const where = [];
+    const params = [];
+    for (const [param, column] of [['profile', 'profile'], ['sender', 'sender'], ['category', 'category']]) {
+      const value = searchParams.get(param);
+      if (value) {
+        where.push(`${column} = ?`);
+        params.push(param === 'sender' ? value.toLowerCase() : value);
+      }
+    }
+    const cursor = Number.parseInt(searchParams.get('cursor'), 10);
+    if (cursor > 0) {
+      where.push('id < ?');
+      params.push(cursor);
+    }
+    const limit = Math.min(Math.max(Number.parseInt(searchParams.get('limit'), 10) || 50, 1), CORRECTION_PAGE_MAX);
+    const rows = this.rawSql.exec(
+      `SELECT * FROM triage_corrections${where.length ? ` WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY id DESC LIMIT ?`,
+      ...params,
+      limit + 1,
+    ).toArray();
+    const page = rows.slice(0, limit).map((r) => this.correctionFromRow(r));
+    return this.jsonResponse({
+      count: page.length,
+      corrections: page,
+      nextCursor: rows.length > limit ? String(page.at(-1).id) : null,
+    });
+  }
+
+  /**
+   * Body: { profile, sender, subject, k? }
+   * Returns: { examples: [correction + score], rules } — rules are the
+   * learned rules for the sender's address and domain.
+   */
+  async handleSimilarCorrections(request) {
+    const { data, error } = await this.safeParseBody(request);
+    if (error) return error;
+    const { profile, sender, subject } = data || {};
+    if (!profile || !sender) return this.jsonResponse({ error: 'profile and sender required' }, 400);
+    const k = Math.min(Math.max(Number.parseInt(data.k, 10) || SIMILAR_DEFAULT_K, 1), SIMILAR_MAX_K);
+    const address = String(sender).toLowerCase();
+    const domain = address.includes('@') ? address.split('@').pop() : null;
+
+    const rows = new Map();
+    const add = (list) => { for (const row of list) rows.set(row.id, row); };
+    if (domain) {
+      add(this.rawSql.exec(
+        'SELECT * FROM triage_corrections WHERE profile = ? AND sender_domain = ? ORDER BY id DESC LIMIT ?',
+        profile,
+        domain,
+        CORRECTION_DOMAIN_WINDOW,
+      ).toArray());
+    }
+    add(this.rawSql.exec(
+      'SELECT * FROM triage_corrections WHERE profile = ? ORDER BY id DESC LIMIT ?',
+      profile,
+      CORRECTION_CANDIDATE_WINDOW,
+    ).toArray());
+
+    let examples = [];
+    if (rows.size) {
+      const [embedding] = await this.embedSubjects([subject]);
+      const candidates = [...rows.values()].map((r) => this.correctionFromRow(r, { withEmbedding: true }));
+      examples = rankCorrections(candidates, { sender: address, subject, embedding }, { k })
+        .map(({ embedding: _vector, ...rest }) => rest);
+    }
+    const rules = this.rawSql.exec(
+      'SELECT * FROM learned_triage_rules WHERE profile = ? AND key IN (?, ?)',
+      profile,
+      `sender:${address}`,
+      `domain:${domain}`,
+    ).toArray().map((r) => this.learnedRuleFromRow(r));
+    return this.jsonResponse({ examples, rules });
+  }
+
+  handleLearnedRules(searchParams) {
+    const profile = searchParams.get('profile');
+    const rows = profile
+      ? this.rawSql.exec('SELECT * FROM learned_triage_rules WHERE profile = ? ORDER BY support DESC, key', profile).toArray()
+      : this.rawSql.exec('SELECT * FROM learned_triage_rules ORDER BY profile, support DESC, key').toArray();
+    return this.jsonResponse({ rules: rows.map((r) => this.learnedRuleFromRow(r)) });
+  }
+
+  learnedRuleFromRow(row) {
+    return {
+      profile: row.profile,
+      key: row.key,
+      kind: row.kind,
+      value: row.value,
+      category: row.category,
+      entity: row.entity,
+      support: row.support,
+      agreement: row.agreement,
+      updatedAt: row.updated_at,
+    };
+  }
+
   handleStatus() {
     const recent = this.rawSql.exec(
       'SELECT COUNT(*) as count FROM classifications WHERE created_at > datetime(\'now\', \'-1 hour\')'
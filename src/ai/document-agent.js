@@ -3,6 +3,8 @@
  * Analyzes legal documents, contracts, and evidence with AI
  */
 
+import { extractDocument } from '../documents/extraction.js';
+
 /**
  * AI-powered document analysis
  * Analyzes attachments and documents for legal relevance and classification
@@ -332,37 +334,35 @@ async function generateDocumentChittyID(attachment) {
 }
 
 /**
- * Extract text content from common document types
+ * Extract text content from an attachment's bytes (`data` or `content`:
+ * Uint8Array/ArrayBuffer) via src/documents/extraction.js. No OCR here —
+ * scanned pages are OCRed by the post-storage extraction pipeline.
  */
 export async function extractDocumentText(attachment) {
-  // This would integrate with document processing services
-  // For now, return a placeholder implementation
-
-  const fileType = attachment.type || '';
-
-  if (fileType.includes('text/plain')) {
-    // Handle plain text files
-    return {
-      success: true,
-      text: 'Text extraction would happen here',
-      wordCount: 0
-    };
+  const raw = attachment.data ?? attachment.content;
+  if (!raw) {
+    return { success: false, error: 'Attachment has no content to extract' };
   }
 
-  if (fileType.includes('application/pdf')) {
-    // Handle PDF files
+  const bytes = raw instanceof Uint8Array ? raw : new Uint8Array(raw);
+  const result = await extractDocument(bytes, { filename: attachment.name, contentType: attachment.type });
+
+  if (result.status !== 'ok') {
     return {
-      success: true,
-      text: 'PDF text extraction would happen here',
-      pages: 0,
-      wordCount: 0
+      success: false,
+      error: result.warnings[0] || `Extraction ${result.status}`,
+      format: result.format,
+      status: result.status
     };
   }
 
   return {
-    success: false,
-    error: 'Unsupported file type for text extraction',
-    supportedTypes: ['text/plain', 'application/pdf', 'application/msword']
+    success: true,
+    text: result.text,
+    format: result.format,
+    pages: result.pages.length,
+    wordCount: result.text.split(/\s+/).filter(Boolean).length,
+    truncated: result.truncated
   };
 }
 
@@ -4,17 +4,31 @@
  */
 
 import { ChittyRouterAI } from './intelligent-router.js';
+import { InferenceClient } from './inference-client.js';
 import { ChittyIDValidator } from '../chittyid/chittyid-validator.js';
 import { storeInChittyChain } from '../utils/storage.js';
 import { ServiceDiscovery } from '../utils/service-discovery.js';
 import { generateEmailChittyID } from '../utils/chittyid-generator.js';
 import { forwardToDisputeIntake } from '../integration/dispute-forwarder.js';
 
+const CASE_PATTERN_SCHEMA = {
+  type: 'object',
+  required: ['has_case_pattern'],
+  properties: {
+    has_case_pattern: { type: 'boolean' },
+    pattern_type: { type: 'string', enum: ['lawsuit', 'case_number', 'matter', 'none'] },
+    extracted_pattern: { type: ['string', 'null'] },
+    case_number: { type: ['string', 'null'] },
+    confidence: { type: 'number' },
+  },
+};
+
 export class EmailProcessor {
   constructor(ai, env) {
     this.ai = ai;
     this.env = env;
     this.router = new ChittyRouterAI(ai, env);
+    this.inference = new InferenceClient(env, { ai });
     this.serviceDiscovery = null;
     this.endpoints = {};
   }
@@ -344,12 +358,14 @@ export class EmailProcessor {
     `;
 
     try {
-      const response = await this.ai.run('@cf/meta/llama-3.1-8b-instruct-fast', {
-        messages: [{ role: 'user', content: prompt }]
+      const result = await this.inference.complete({
+        taskType: 'email_triage',
+        prompt,
+        schema: CASE_PATTERN_SCHEMA,
+        maxTokens: 200,
+        label: 'case-pattern',
       });
-
-      const parsed = this.parseAIResponse(response.response);
-      return parsed.has_case_pattern ? parsed : null;
+      return result.json?.has_case_pattern ? result.json : null;
 
     } catch (error) {
       console.error('Case pattern extraction failed:', error);
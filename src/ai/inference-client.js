@@ -0,0 +1,375 @@
+/**
+ * Inference Client — the one path inbound-mail AI calls take to Workers AI.
+ *
+ * Wraps AIModelConfig so every caller gets the same behavior:
+ *   - model fallback chain per task type (AIModelConfig.getFallbackChain)
+ *   - the Comptroller cost-degrade override written by /admin/tier-degrade
+ *   - managed prompts from the ChittyConnect prompt registry (resolveManagedPrompt)
+ *   - JSON-schema-constrained output: JSON mode where the model supports it,
+ *     local validation, a cheap syntactic repair, then a repair round-trip to
+ *     the same model before falling back to the next one
+ *   - per-call token and cost accounting, summed across every attempt
+ *   - a structured record of which model actually answered
+ *
+ * All models failing throws AIProcessingError with the attempt log in
+ * `context.attempts`; callers keep their own non-AI fallback.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import AIModelConfig from '../utils/ai-model-config.js';
+import { AIProcessingError } from '../utils/error-handling.js';
+
+const PROMPT_TIMEOUT_MS = 2000;
+const PROMPT_FAILURE_LIMIT = 3;
+const PROMPT_COOLDOWN_MS = 30000;
+
+// Per-isolate circuit breaker for prompt registry lookups, shared by the
+// email handler and every agent.
+const _promptBreaker = { failures: 0, cooldownUntil: 0 };
+
+/** Reset the prompt-registry circuit breaker (tests). */
+export function _resetPromptBreaker() {
+  _promptBreaker.failures = 0;
+  _promptBreaker.cooldownUntil = 0;
+}
+
+function notePromptFailure() {
+  _promptBreaker.failures++;
+  if (_promptBreaker.failures >= PROMPT_FAILURE_LIMIT) {
+    _promptBreaker.cooldownUntil = Date.now() + PROMPT_COOLDOWN_MS;
+    _promptBreaker.failures = 0;
+  }
+}
+
+/**
+ * Resolve a prompt from ChittyConnect's managed prompt registry.
+ * Returns null when the registry is not configured, unreachable, or cooling
+ * down after repeated failures — callers use their inline prompt.
+ *
+ * @param {object} env
+ * @param {string} promptId - e.g. "triage.classify", "email.triage"
+ * @param {Record<string, string>} [variables]
+ * @returns {Promise<{ systemPrompt: string, aiEnabled: boolean, version: number } | null>}
+ */
+export async function resolveManagedPrompt(env, promptId, variables) {
+  const connectUrl = env?.CHITTYCONNECT_URL;
+  if (!connectUrl || !promptId) return null;
+  if (Date.now() < _promptBreaker.cooldownUntil) return null;
+
+  try {
+    const res = await fetch(`${connectUrl}/api/v1/context/prompts/resolve`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Source-Service': 'chittyrouter',
+        'Authorization': `Bearer ${env.CHITTYCONNECT_TOKEN || ''}`,
+      },
+      body: JSON.stringify({
+        promptId,
+        environment: env.ENVIRONMENT || 'production',
+        variables,
+        consumerService: 'chittyrouter',
+      }),
+      signal: AbortSignal.timeout(PROMPT_TIMEOUT_MS),
+    });
+    if (!res.ok) {
+      notePromptFailure();
+      return null;
+    }
+    _promptBreaker.failures = 0;
+    return await res.json();
+  } catch {
+    notePromptFailure();
+    return null;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against the JSON Schema subset the client constrains
+ * output with: type (string or list), enum, required, properties, items.
+ *
+ * @returns {string[]} errors, empty when valid
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  if (!schema) return [];
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const ok = allowed.some((t) => t === actual || (t === 'number' && actual === 'integer'));
+    if (!ok) return [`${path} must be ${allowed.join(' or ')}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateAgainstSchema(value[key], sub, `${path}.${key}`));
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Pull a JSON object out of model text: strips code fences and prose around
+ * the outermost braces, and retries once without trailing commas.
+ *
+ * @returns {object|null}
+ */
+export function extractJson(text) {
+  if (text && typeof text === 'object') return text;
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  for (const candidate of [match[0], match[0].replace(/,\s*([}\]])/g, '$1')]) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // try the next candidate
+    }
+  }
+  return null;
+}
+
+function responseText(raw) {
+  const r = raw?.response;
+  if (r === undefined || r === null) return '';
+  return typeof r === 'string' ? r : JSON.stringify(r);
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Compact, content-free record of an inference for persisting alongside
+ * its result (queue items, receipts, agent logs).
+ */
+export function summarizeInference(result) {
+  return {
+    model: result.model,
+    taskType: result.taskType,
+    promptId: result.prompt.id,
+    promptSource: result.prompt.source,
+    promptVersion: result.prompt.version,
+    degradedTo: result.override?.toTier ?? null,
+    attempts: result.attempts.length,
+    repairs: result.attempts.filter((a) => a.repair).length,
+    inputTokens: result.usage.inputTokens,
+    outputTokens: result.usage.outputTokens,
+    costUsd: result.usage.costUsd,
+  };
+}
+
+export class InferenceClient {
+  /**
+   * @param {object} env - worker env (AI, AI_CACHE, CHITTYCONNECT_URL, AI_MODEL_*)
+   * @param {{ ai?: { run: Function }, config?: AIModelConfig }} [opts] - `ai`
+   *   overrides env.AI (callers holding their own binding, replay stubs)
+   */
+  constructor(env, { ai, config } = {}) {
+    this.env = env;
+    this.ai = ai || env?.AI;
+    this.config = config || new AIModelConfig(env || {});
+  }
+
+  /**
+   * Run one completion through the fallback chain.
+   *
+   * @param {{
+   *   prompt: string,
+   *   taskType?: string,
+   *   systemPrompt?: string,
+   *   promptId?: string,          // managed prompt; its systemPrompt wins over systemPrompt
+   *   variables?: Record<string, string>,
+   *   schema?: object,            // JSON Schema the answer must satisfy
+   *   models?: string[],          // explicit chain; bypasses task routing and tier-degrade
+   *   maxTokens?: number,
+   *   temperature?: number,
+   *   maxRepairs?: number,        // repair round-trips per model (schema only)
+   *   image?: Uint8Array,         // image input; only vision models accept it, so pass `models`
+   *   label?: string,             // caller name for the accounting log line
+   * }} request
+   * @returns {Promise<{
+   *   success: boolean, skipped?: string, response: string|null, json: object|null,
+   *   model: string|null, taskType: string, label: string|null,
+   *   prompt: { id: string|null, source: 'inline'|'registry', version: any },
+   *   override: { toTier: string, expiresAt: any } | null,
+   *   attempts: object[],
+   *   usage: { inputTokens: number, outputTokens: number, costUsd: number, estimated: boolean },
+   * }>}
+   */
+  async complete({
+    prompt,
+    taskType = 'general',
+    systemPrompt = null,
+    promptId = null,
+    variables,
+    schema = null,
+    models = null,
+    maxTokens = 1000,
+    temperature = 0.1,
+    maxRepairs = 1,
+    image = null,
+    label = null,
+  }) {
+    const result = {
+      success: false,
+      response: null,
+      json: null,
+      model: null,
+      taskType,
+      label,
+      prompt: { id: promptId, source: 'inline', version: null },
+      override: null,
+      attempts: [],
+      usage: { inputTokens: 0, outputTokens: 0, costUsd: 0, estimated: false },
+    };
+
+    if (promptId) {
+      const resolved = await resolveManagedPrompt(this.env, promptId, variables);
+      if (resolved?.aiEnabled === false) {
+        // Environment gate says no AI for this prompt — caller's non-AI path.
+        result.skipped = 'ai_disabled';
+        return result;
+      }
+      if (resolved?.systemPrompt) {
+        systemPrompt = resolved.systemPrompt;
+        result.prompt = { id: promptId, source: 'registry', version: resolved.version ?? null };
+      }
+    }
+
+    let chain;
+    if (models?.length) {
+      chain = [...new Set(models)];
+    } else {
+      const override = await this.config.getActiveOverride(this.env);
+      if (override) result.override = { toTier: override.to_tier, expiresAt: override.expires_at };
+      chain = this.config.getFallbackChain(taskType, override);
+    }
+    if (!this.ai) throw new AIProcessingError('AI binding not configured', chain[0], { taskType });
+
+    for (const model of chain) {
+      const messages = [];
+      if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+      messages.push({ role: 'user', content: prompt });
+      const jsonMode = schema && this.config.getModelCapabilities(model)?.features?.includes('json_mode');
+
+      for (let round = 0; round <= (schema ? maxRepairs : 0); round++) {
+        const started = Date.now();
+        const attempt = { model, repair: round > 0, ok: false };
+        result.attempts.push(attempt);
+
+        let raw;
+        try {
+          raw = await this.ai.run(model, {
+            messages,
+            max_tokens: maxTokens,
+            temperature,
+            ...(image ? { image: [...image] } : {}),
+            ...(jsonMode ? { response_format: { type: 'json_schema', json_schema: schema } } : {}),
+          });
+        } catch (err) {
+          attempt.error = err?.message ?? String(err);
+          attempt.latencyMs = Date.now() - started;
+          break; // next model
+        }
+        attempt.latencyMs = Date.now() - started;
+
+        const text = responseText(raw);
+        this.account(result, attempt, model, raw, messages, text);
+        if (!text) {
+          attempt.error = 'empty response';
+          break;
+        }
+        if (!schema) {
+          return this.finish(result, attempt, model, text, null);
+        }
+
+        const json = extractJson(raw.response);
+        const errors = json ? validateAgainstSchema(json, schema) : ['response is not a JSON object'];
+        if (!errors.length) {
+          return this.finish(result, attempt, model, text, json);
+        }
+        attempt.error = `schema: ${errors.slice(0, 3).join('; ')}`;
+        messages.push(
+          { role: 'assistant', content: text },
+          {
+            role: 'user',
+            content: `Your reply did not match the required JSON schema (${errors.slice(0, 5).join('; ')}). ` +
+              'Reply with ONLY the corrected JSON object.',
+          },
+        );
+      }
+    }
+
+    this.log(result);
+    throw new AIProcessingError(`All models failed for ${taskType}`, result.attempts.at(-1)?.model ?? chain[0], {
+      taskType,
+      attempts: result.attempts,
+    });
+  }
+
+  /**
+   * Add one attempt's tokens and cost. Workers AI reports `usage` for most
+   * text models; otherwise tokens are estimated at ~4 chars each.
+   * AIModelConfig.getModelCost rates are USD per 1K tokens.
+   */
+  account(result, attempt, model, raw, messages, text) {
+    const usage = raw?.usage;
+    let inputTokens = usage?.prompt_tokens;
+    let outputTokens = usage?.completion_tokens;
+    if (!Number.isFinite(inputTokens) || !Number.isFinite(outputTokens)) {
+      inputTokens = messages.reduce((n, m) => n + estimateTokens(m.content), 0);
+      outputTokens = estimateTokens(text);
+      result.usage.estimated = true;
+    }
+    const rate = this.config.getModelCost(model) || { input: 0, output: 0 };
+    const costUsd = (inputTokens * rate.input + outputTokens * rate.output) / 1000;
+
+    attempt.inputTokens = inputTokens;
+    attempt.outputTokens = outputTokens;
+    result.usage.inputTokens += inputTokens;
+    result.usage.outputTokens += outputTokens;
+    result.usage.costUsd = Number((result.usage.costUsd + costUsd).toFixed(8));
+  }
+
+  finish(result, attempt, model, text, json) {
+    attempt.ok = true;
+    result.success = true;
+    result.model = model;
+    result.response = text;
+    result.json = json;
+    this.log(result);
+    return result;
+  }
+
+  /** One structured accounting line per call — no prompt or response text. */
+  log(result) {
+    console.log('[inference]', JSON.stringify({
+      label: result.label,
+      taskType: result.taskType,
+      success: result.success,
+      model: result.model,
+      attempts: result.attempts.map((a) => `${a.model}${a.repair ? '+repair' : ''}:${a.ok ? 'ok' : 'fail'}`),
+      degradedTo: result.override?.toTier ?? null,
+      inputTokens: result.usage.inputTokens,
+      outputTokens: result.usage.outputTokens,
+      costUsd: result.usage.costUsd,
+    }));
+  }
+}
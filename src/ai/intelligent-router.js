@@ -9,6 +9,7 @@ import { storeInChittyChain } from '../utils/storage.js';
 import { validateEmailSchema, validateAIResponseSchema } from '../utils/schema-validation.js';
 import { ChittyChatProjectSync } from '../sync/chittychat-project-sync.js';
 import AIModelConfig from '../utils/ai-model-config.js';
+import { InferenceClient } from './inference-client.js';
 import { generateEmailChittyID } from '../utils/chittyid-generator.js';
 
 export class ChittyRouterAI {
@@ -17,6 +18,7 @@ export class ChittyRouterAI {
     this.env = env;
     this.chittyChat = new ChittyChatProjectSync(env);
     this.aiConfig = new AIModelConfig(env);
+    this.inference = new InferenceClient(env, { ai, config: this.aiConfig });
   }
 
   /**
@@ -120,7 +122,7 @@ export class ChittyRouterAI {
     `;
 
     try {
-      const response = await this.aiConfig.runWithFallback(this.ai, 'email_routing', prompt);
+      const response = await this.inference.complete({ taskType: 'email_routing', prompt, label: 'intelligent-router' });
 
       const analysisResult = this.parseAIAnalysis(response.response);
 
@@ -175,7 +177,7 @@ export class ChittyRouterAI {
     `;
 
     try {
-      const response = await this.aiConfig.runWithFallback(this.ai, 'email_routing', prompt);
+      const response = await this.inference.complete({ taskType: 'email_routing', prompt, label: 'intelligent-router' });
 
       return this.parseAIResponse(response.response);
 
@@ -215,7 +217,7 @@ export class ChittyRouterAI {
     `;
 
     try {
-      const response = await this.aiConfig.runWithFallback(this.ai, 'email_routing', prompt);
+      const response = await this.inference.complete({ taskType: 'email_routing', prompt, label: 'intelligent-router' });
 
       return {
         should_respond: true,
@@ -287,7 +289,7 @@ export class ChittyRouterAI {
     `;
 
     try {
-      const response = await this.aiConfig.runWithFallback(this.ai, 'email_routing', prompt);
+      const response = await this.inference.complete({ taskType: 'email_routing', prompt, label: 'intelligent-router' });
 
       return {
         filename: attachment.name,
@@ -0,0 +1,169 @@
+/**
+ * Calendar reminders — shared contract between CalendarAgent (which owns the
+ * reminder tables and the Durable Object alarm) and NotificationAgent (which
+ * delivers them).
+ *
+ * An event gets two kinds of reminder:
+ *   reminder  one per `reminders[]` entry at creation, firing at remind_at;
+ *   urgency   one per event, firing when the event crosses its
+ *             URGENCY_THRESHOLDS window (e.g. 7 days before a court date).
+ *
+ * A reminder repeats every `repeat_minutes` until someone acknowledges the
+ * event. Once `escalate_after` sends have gone unacknowledged, each later
+ * send also goes to the secondary recipient (`escalate_to`) at a higher
+ * priority. Reminders stop when the event happens, is no longer active, or
+ * after MAX_REMINDER_SENDS.
+ *
+ * Reminder lifecycle:
+ *   pending       → waiting for next_fire_at
+ *   acknowledged  → someone acknowledged the event (or this reminder)
+ *   expired       → the event passed, or the send budget ran out, unacknowledged
+ *   cancelled     → the event was cancelled or completed
+ *   failed        → nobody to notify
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+export const NOTIFICATION_BINDING = 'NOTIFICATION_AGENT';
+
+export const REMINDER_KINDS = ['reminder', 'urgency'];
+export const REMINDER_STATUSES = ['pending', 'acknowledged', 'expired', 'cancelled', 'failed'];
+
+/** Days before an event at which it becomes urgent. */
+export const URGENCY_THRESHOLDS = {
+  court_date: 7,
+  filing_deadline: 5,
+  lease_renewal: 30,
+  lease_expiry: 60,
+  payment_due: 3,
+  inspection: 7,
+  permit_deadline: 14,
+  grant_deadline: 14,
+  default: 7,
+};
+
+export const DEFAULT_REPEAT_MINUTES = 4 * 60;
+export const MIN_REPEAT_MINUTES = 15;
+export const DEFAULT_ESCALATE_AFTER = 3;
+export const MAX_REMINDER_SENDS = 12;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_CHANNELS = ['email', 'slack', 'push', 'sms'];
+
+export function urgencyThresholdDays(eventType) {
+  return URGENCY_THRESHOLDS[eventType] || URGENCY_THRESHOLDS.default;
+}
+
+const toIso = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+};
+
+/** When `event` crosses into its urgency window (ISO). */
+export function urgencyCrossing(event) {
+  const eventTime = Date.parse(event.event_date);
+  if (Number.isNaN(eventTime)) return null;
+  return new Date(eventTime - urgencyThresholdDays(event.event_type) * DAY_MS).toISOString();
+}
+
+/**
+ * Validate `reminders[]` from a create request.
+ *
+ * @returns {{ reminders: object[], errors: string[] }}
+ */
+export function parseReminderSpecs(specs) {
+  const reminders = [];
+  const errors = [];
+  if (specs === undefined || specs === null) return { reminders, errors };
+  if (!Array.isArray(specs)) return { reminders, errors: ['reminders must be an array'] };
+
+  specs.forEach((spec, i) => {
+    const remindAt = toIso(spec?.remind_at);
+    if (!remindAt) errors.push(`reminders[${i}].remind_at must be an ISO date`);
+    if (spec?.channel && !REMINDER_CHANNELS.includes(spec.channel)) {
+      errors.push(`reminders[${i}].channel must be one of: ${REMINDER_CHANNELS.join(', ')}`);
+    }
+    const repeat = spec?.repeat_minutes ?? DEFAULT_REPEAT_MINUTES;
+    if (!Number.isInteger(repeat) || repeat < MIN_REPEAT_MINUTES) {
+      errors.push(`reminders[${i}].repeat_minutes must be an integer of at least ${MIN_REPEAT_MINUTES}`);
+    }
+    const escalateAfter = spec?.escalate_after ?? DEFAULT_ESCALATE_AFTER;
+    if (!Number.isInteger(escalateAfter) || escalateAfter < 1) errors.push(`reminders[${i}].escalate_after must be a positive integer`);
+    reminders.push({
+      remind_at: remindAt,
+      channel: spec?.channel || 'email',
+      recipient: spec?.recipient || null,
+      escalate_to: spec?.escalate_to || null,
+      repeat_minutes: repeat,
+      escalate_after: escalateAfter,
+    });
+  });
+  return { reminders, errors };
+}
+
+/**
+ * What a due reminder does now.
+ *
+ * @param {object} reminder - calendar_reminders row
+ * @param {object} event    - calendar_events row
+ * @param {{ now?: number, defaultRecipient?: string|null }} [opts]
+ * @returns {{ action: 'cancel'|'expire'|'fail', reason: string }
+ *   | { action: 'send', sends: number, escalate: boolean,
+ *       notices: { recipient: string, priority: string, channel: string|null, escalation: boolean }[],
+ *       nextFireAt: string|null, finalStatus: string|null }}
+ */
+export function reminderStep(reminder, event, { now = Date.now(), defaultRecipient = null } = {}) {
+  if (event.status !== 'active') return { action: 'cancel', reason: `event is ${event.status}` };
+  const eventTime = Date.parse(event.event_date);
+  if (!Number.isNaN(eventTime) && eventTime <= now) return { action: 'expire', reason: 'event has passed' };
+
+  const recipient = reminder.recipient || event.recipient || defaultRecipient;
+  if (!recipient) return { action: 'fail', reason: 'no recipient for reminder' };
+
+  const sends = (reminder.sends || 0) + 1;
+  const escalateTo = reminder.escalate_to || event.escalate_to || null;
+  const escalate = !!escalateTo && sends > (reminder.escalate_after || DEFAULT_ESCALATE_AFTER);
+  const basePriority = reminder.kind === 'urgency' ? 'high' : 'normal';
+
+  const notices = [{
+    recipient,
+    priority: escalate ? 'high' : basePriority,
+    channel: reminder.channel || null,
+    escalation: false,
+  }];
+  if (escalate) {
+    // Escalations go out on the priority's default channels, not the primary's pick.
+    notices.push({ recipient: escalateTo, priority: 'critical', channel: null, escalation: true });
+  }
+
+  // Past the last repeat, wake once more at the event itself to expire the
+  // reminder; until then it can still be acknowledged.
+  const next = Math.min(now + (reminder.repeat_minutes || DEFAULT_REPEAT_MINUTES) * 60_000, eventTime || Infinity);
+  const exhausted = sends >= MAX_REMINDER_SENDS;
+  return {
+    action: 'send',
+    sends,
+    escalate,
+    notices,
+    nextFireAt: exhausted ? null : new Date(next).toISOString(),
+    finalStatus: exhausted ? 'expired' : null,
+  };
+}
+
+/** Subject and body for one reminder notice. */
+export function reminderMessage(event, reminder, { sends, escalation = false, now = Date.now() }) {
+  const days = Math.ceil((Date.parse(event.event_date) - now) / DAY_MS);
+  const when = days <= 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`;
+  const what = event.event_type ? event.event_type.replace(/_/g, ' ') : 'event';
+  const subject = `${escalation ? 'Unacknowledged: ' : ''}${event.title} — ${what} ${when}`;
+  const lines = [
+    `${event.title} (${what}) is ${when}: ${event.event_date}.`,
+    event.location ? `Location: ${event.location}` : null,
+    event.case_id ? `Case: ${event.case_id}` : null,
+    escalation
+      ? `The primary recipient has not acknowledged ${sends - 1} reminder${sends - 1 === 1 ? '' : 's'}.`
+      : reminder.kind === 'urgency' ? `This ${what} is now inside its ${urgencyThresholdDays(event.event_type)}-day urgency window.` : null,
+    `Acknowledge: POST /agents/calendar/events/${event.id}/acknowledge`,
+  ];
+  return { subject, body: lines.filter(Boolean).join('\n') };
+}
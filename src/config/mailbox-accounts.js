@@ -0,0 +1,219 @@
+/**
+ * Mailbox accounts — the Gmail, Microsoft 365 and IMAP inboxes the inbox
+ * monitor polls (src/email/mailbox-sources.js).
+ *
+ * Accounts used to be hardcoded in GmailTokenManager. They are now
+ * deployment configuration, selected by `env.MAILBOX_ACCOUNTS_SOURCE`:
+ *   - unset / 'kv' → JSON array at AI_CACHE key MAILBOX_ACCOUNTS_KV_KEY,
+ *                    written by POST /email/monitor/accounts.
+ *   - 'neon'       → `chittyops.mailbox_accounts.config` (jsonb), one row per
+ *                    account, via the HYPERDRIVE binding.
+ *
+ * An account record never holds a secret. `credentials` is a reference
+ * (`op://vault/item/field`) resolved through ChittyConnect at sync time, with
+ * a KV fallback at `credentials_<ref>`. What the reference holds depends on
+ * the provider: a refresh token and client secret (gmail), a client secret
+ * and optionally a refresh token (graph), a password (imap).
+ *
+ * Invalid records are skipped and logged, never half-used.
+ *
+ * @typedef {Object} MailboxAccount
+ * @property {string} id              - stable slug; keys the sync cursor
+ * @property {'gmail'|'graph'|'imap'} provider
+ * @property {string} address         - the mailbox address (triage `to`)
+ * @property {boolean} enabled
+ * @property {string} credentials     - secret reference, e.g. op://Private/gmail-x/credentials
+ * @property {string} [clientId]      - gmail, graph: OAuth client id
+ * @property {string} [tenantId]      - graph: Entra tenant id
+ * @property {string} [folder]        - graph: mail folder (default 'inbox')
+ * @property {string} [host]          - imap
+ * @property {number} [port]          - imap (default 993)
+ * @property {boolean} [tls]          - imap (default true)
+ * @property {string} [username]      - imap (default address)
+ * @property {string} [mailbox]       - imap (default 'INBOX')
+ */
+
+import { Client } from '@neondatabase/serverless';
+
+/** KV key holding the account list when MAILBOX_ACCOUNTS_SOURCE is 'kv'. */
+export const MAILBOX_ACCOUNTS_KV_KEY = 'email_mailbox_accounts';
+
+export const MAILBOX_PROVIDERS = ['gmail', 'graph', 'imap'];
+
+// Field names that would mean a secret was pasted into the record.
+const SECRET_FIELDS = ['password', 'clientSecret', 'client_secret', 'refreshToken', 'refresh_token', 'accessToken', 'access_token'];
+
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+
+/**
+ * Validate one account record. Never throws.
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateMailboxAccount(account) {
+  const errors = [];
+  if (!account || typeof account !== 'object' || Array.isArray(account)) {
+    return { valid: false, errors: ['account must be an object'] };
+  }
+  const label = isNonEmptyString(account.id) ? account.id : '(no id)';
+  if (!isNonEmptyString(account.id) || !/^[a-z0-9_-]+$/.test(account.id)) {
+    errors.push(`${label}: id must be a lowercase slug`);
+  }
+  if (!MAILBOX_PROVIDERS.includes(account.provider)) {
+    errors.push(`${label}: provider must be one of ${MAILBOX_PROVIDERS.join(', ')}`);
+  }
+  if (!isNonEmptyString(account.address) || !account.address.includes('@')) {
+    errors.push(`${label}: address must be an email address`);
+  }
+  if (account.enabled !== undefined && typeof account.enabled !== 'boolean') {
+    errors.push(`${label}: enabled must be a boolean`);
+  }
+  if (!isNonEmptyString(account.credentials)) {
+    errors.push(`${label}: credentials must reference a secret`);
+  }
+  for (const field of SECRET_FIELDS.filter((f) => f in account)) {
+    errors.push(`${label}: ${field} belongs in the credentials store, not the account record`);
+  }
+
+  if (account.provider === 'gmail' || account.provider === 'graph') {
+    if (!isNonEmptyString(account.clientId)) errors.push(`${label}: clientId is required`);
+  }
+  if (account.provider === 'graph' && !isNonEmptyString(account.tenantId)) {
+    errors.push(`${label}: tenantId is required`);
+  }
+  if (account.provider === 'imap') {
+    if (!isNonEmptyString(account.host)) errors.push(`${label}: host is required`);
+    if (account.port !== undefined && !(Number.isInteger(account.port) && account.port > 0 && account.port < 65536)) {
+      errors.push(`${label}: port must be 1-65535`);
+    }
+    if (account.tls !== undefined && typeof account.tls !== 'boolean') errors.push(`${label}: tls must be a boolean`);
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Fill provider defaults on a valid account record.
+ * @returns {MailboxAccount}
+ */
+export function normalizeMailboxAccount(account) {
+  const base = { ...account, address: account.address.trim().toLowerCase(), enabled: account.enabled ?? true };
+  if (account.provider === 'graph') return { folder: 'inbox', ...base };
+  if (account.provider === 'imap') {
+    return { port: 993, tls: true, mailbox: 'INBOX', ...base, username: account.username || base.address };
+  }
+  return base;
+}
+
+/**
+ * Validate a whole account list: every record valid, ids unique.
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateMailboxAccounts(accounts) {
+  if (!Array.isArray(accounts)) return { valid: false, errors: ['accounts must be an array'] };
+  const errors = accounts.flatMap((a) => validateMailboxAccount(a).errors);
+  const ids = accounts.map((a) => a?.id).filter(Boolean);
+  for (const id of new Set(ids.filter((id, i) => ids.indexOf(id) !== i))) errors.push(`${id}: duplicate id`);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Default Neon query: every configured account row.
+ * @param {any} env
+ * @returns {Promise<unknown[]>}
+ */
+async function defaultNeonQueryFn(env) {
+  const connectionString = env?.HYPERDRIVE?.connectionString;
+  if (!connectionString) throw new Error('HYPERDRIVE binding is not configured');
+  const client = new Client(connectionString);
+  try {
+    await client.connect();
+    const result = await client.query(
+      'SELECT config FROM chittyops.mailbox_accounts ORDER BY account_id',
+    );
+    return result.rows.map((r) => r.config);
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Load the configured mailbox accounts (enabled or not), defaults filled.
+ * Invalid records are dropped with a warning. Throws when the source itself
+ * cannot be read, so the monitor reports it instead of silently polling
+ * nothing.
+ *
+ * @param {any} env
+ * @param {{ neonQueryFn?: (env:any)=>Promise<unknown[]> }} [opts]
+ * @returns {Promise<MailboxAccount[]>}
+ */
+export async function loadMailboxAccounts(env, opts = {}) {
+  const { neonQueryFn = defaultNeonQueryFn } = opts;
+  const source = env?.MAILBOX_ACCOUNTS_SOURCE || 'kv';
+  let records;
+  if (source === 'kv') {
+    records = (await env.AI_CACHE?.get(MAILBOX_ACCOUNTS_KV_KEY, 'json')) || [];
+  } else if (source === 'neon') {
+    records = await neonQueryFn(env);
+  } else {
+    throw new Error(`unknown MAILBOX_ACCOUNTS_SOURCE "${source}"`);
+  }
+
+  const accounts = [];
+  const seen = new Set();
+  for (const record of Array.isArray(records) ? records : []) {
+    const { valid, errors } = validateMailboxAccount(record);
+    if (!valid || seen.has(record.id)) {
+      console.warn(`[mailbox-accounts] skipping account: ${valid ? `${record.id}: duplicate id` : errors.join('; ')}`);
+      continue;
+    }
+    seen.add(record.id);
+    accounts.push(normalizeMailboxAccount(record));
+  }
+  return accounts;
+}
+
+/**
+ * Validate and store the account list in KV. Only the 'kv' source is
+ * writable from the worker; Neon accounts are managed in the database.
+ *
+ * @returns {Promise<{ success: boolean, errors?: string[], count?: number }>}
+ */
+export async function saveMailboxAccounts(env, accounts) {
+  const { valid, errors } = validateMailboxAccounts(accounts);
+  if (!valid) return { success: false, errors };
+  if ((env?.MAILBOX_ACCOUNTS_SOURCE || 'kv') !== 'kv') {
+    return { success: false, errors: ['MAILBOX_ACCOUNTS_SOURCE must be "kv" to save accounts from the API'] };
+  }
+  await env.AI_CACHE.put(MAILBOX_ACCOUNTS_KV_KEY, JSON.stringify(accounts));
+  return { success: true, count: accounts.length };
+}
+
+/**
+ * Resolve an account's `credentials` reference: ChittyConnect first, then
+ * the KV fallback at `credentials_<ref>`. Null when neither has it.
+ *
+ * @param {any} env
+ * @param {string} ref - e.g. op://Private/gmail-nick-aribia/credentials
+ * @returns {Promise<object|null>}
+ */
+export async function readCredentials(env, ref) {
+  try {
+    const response = await fetch('https://connect.chitty.cc/secrets/read', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${env.CHITTYCONNECT_TOKEN}`,
+      },
+      body: JSON.stringify({ path: ref }),
+    });
+    if (response.ok) return await response.json();
+
+    const kvCreds = await env.AI_CACHE?.get(`credentials_${ref}`, 'json');
+    if (kvCreds) return kvCreds;
+
+    console.warn(`Could not retrieve credentials from ${ref}`);
+    return null;
+  } catch (error) {
+    console.error('Failed to read credentials:', error);
+    return null;
+  }
+}
@@ -0,0 +1,562 @@
+/**
+ * Routing profile — per-deployment principal, parties, entities and storage
+ * taxonomy for the inbound-mail path (src/email/cloudflare-email-handler.js).
+ *
+ * The AI triage prompt, the rule-based fallback, and R2 storage-path
+ * resolution (including reclassification) ALL read from the active profile,
+ * so the same worker can serve a different principal without a code change.
+ *
+ * SOURCES (selected by `env.ROUTING_PROFILE_SOURCE`):
+ *   - unset / 'builtin' → DEFAULT_ROUTING_PROFILE below (today's behavior).
+ *   - 'kv'              → JSON document at AI_CACHE key ROUTING_PROFILE_KV_KEY.
+ *   - 'neon'            → `chittyops.routing_profiles.profile` (jsonb) for the
+ *                         row whose profile_id = env.ROUTING_PROFILE_ID, via the
+ *                         same HYPERDRIVE binding alias-registry.js uses.
+ *
+ * DESIGN PRINCIPLES:
+ *
+ *   1. VALIDATED BEFORE USE. Every loaded document goes through
+ *      validateRoutingProfile(). An invalid document is rejected and logged —
+ *      it never reaches the prompt or the storage-path resolver.
+ *
+ *   2. FAIL-OPEN TO LAST-GOOD. A load failure or an invalid document keeps the
+ *      previously-active profile. A cold isolate has none, and the built-in
+ *      default belongs to one principal, so a configured kv/neon source that
+ *      fails there yields NO profile: the handler stores mail without triage or
+ *      forwarding until a valid document loads. routingProfileStatus() and
+ *      /health report the failure; the worker entry checks the source once per
+ *      isolate so it shows up before the first email.
+ *
+ *   3. HOT-RELOADABLE. Profiles are cached per isolate for PROFILE_TTL_MS and
+ *      re-read afterwards; saveRoutingProfile() (POST /email/profile) drops the
+ *      cache so the next email picks up the new document immediately.
+ *
+ * @typedef {Object} ProfileParty
+ * @property {string} name
+ * @property {string} role              - e.g. 'respondent', 'petitioner', 'attorney'
+ * @property {string} [represents]      - for attorneys: the party they act for
+ *
+ * @typedef {Object} ProfileMatter
+ * @property {string} slug              - case-registry slug (storage `{caseSlug}`)
+ * @property {string} displayName
+ * @property {string} [caseNumber]
+ * @property {string} [description]     - e.g. 'Cook County divorce/dissolution'
+ *
+ * @typedef {Object} ProfileEntity
+ * @property {string} id                - value triage emits in `entity`
+ * @property {string} displayName
+ * @property {string} storagePath       - R2 path template for this entity
+ * @property {string[]} [senderDomains] - rule-based fallback: sender domain → entity
+ * @property {string[]} [keywords]      - rule-based fallback: subject/body keyword → entity
+ * @property {string} [replyFrom]       - address outbound replies for this entity are sent from
+ *
+ * @typedef {Object} ProfileRoute
+ * @property {string} [forward]         - where mail to this address is forwarded
+ * @property {'CRITICAL'|'HIGH'|'MEDIUM'|'LOW'} priority - rule-based urgency boost
+ *
+ * @typedef {Object} ProfileStorage
+ * @property {string} case              - template for case/legal mail
+ * @property {string} spam              - template for spam
+ * @property {string} default           - template for everything else
+ *
+ * @typedef {Object} RoutingProfile
+ * @property {string} id
+ * @property {number} version
+ * @property {{ name: string, role: string }} principal
+ * @property {ProfileMatter[]} matters
+ * @property {ProfileParty[]} parties
+ * @property {ProfileEntity[]} entities
+ * @property {string[]} properties
+ * @property {string[]} knownSenders
+ * @property {string[]} categories      - the AI's closed category set
+ * @property {Record<string, string>} [ruleCategories] - rule-based fallback:
+ *                                        urgency pattern (`court`, `creditor`, …) or `case` → category
+ * @property {string} [defaultCategory] - category when nothing else decides (default: categories[0])
+ * @property {string} [defaultCaseSlug] - matter used when triage flags case mail without a slug
+ * @property {Record<string, ProfileRoute>} [routes] - non-case inbound addresses
+ * @property {string} [defaultForward]  - last-resort forward; without one, undecided mail is only stored
+ * @property {ProfileStorage} storage
+ */
+
+import { Client } from '@neondatabase/serverless';
+import { CASE_EMAIL_ROUTES } from './case-registry.js';
+
+/** KV key holding the JSON profile when ROUTING_PROFILE_SOURCE === 'kv'. */
+export const ROUTING_PROFILE_KV_KEY = 'email_routing_profile';
+
+const PROFILE_TTL_MS = 60 * 1000; // 1 minute — short so pushes land quickly
+const FETCH_TIMEOUT_MS = 1500;
+
+/** Placeholders a storage template may use. Anything else is rejected. */
+const TEMPLATE_VARS = new Set(['category', 'caseSlug', 'entity']);
+const SLUG_RE = /^[a-z0-9][a-z0-9-]{0,127}$/;
+const ADDRESS_RE = /^[^\s@<>]{1,64}@[^\s@<>]{1,255}$/;
+const ROUTE_PRIORITIES = new Set(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW']);
+
+/**
+ * Built-in profile. Reproduces the handler's pre-profile routing and storage
+ * so a deployment with no ROUTING_PROFILE_SOURCE behaves as before.
+ * @type {Readonly<RoutingProfile>}
+ */
+export const DEFAULT_ROUTING_PROFILE = deepFreeze({
+  id: 'builtin',
+  version: 1,
+  principal: { name: 'Nicholas Bianchi', role: 'legal professional' },
+  matters: [
+    {
+      slug: 'arias-v-bianchi',
+      displayName: 'Arias v. Bianchi',
+      caseNumber: '2024D007847',
+      description: 'Cook County divorce/dissolution',
+    },
+  ],
+  parties: [
+    { name: 'Nicholas Bianchi', role: 'respondent' },
+    { name: 'Luisa Arias/Montealegre', role: 'petitioner' },
+    { name: 'Rob Alexander', role: 'attorney', represents: 'Bianchi' },
+    { name: 'Berlin Melzer', role: 'attorney', represents: 'Arias' },
+  ],
+  entities: [
+    { id: 'ARIBIA', displayName: 'ARIBIA LLC', storagePath: 'business/aribia/{category}' },
+    { id: 'ITCANBE', displayName: 'IT CAN BE LLC', storagePath: 'business/itcanbe/{category}' },
+    { id: 'personal', displayName: 'Personal', storagePath: 'inbox/nick/{category}' },
+    { id: 'chittyos', displayName: 'ChittyOS', storagePath: 'ops/{category}' },
+  ],
+  properties: ['541 W Addison', '550 W Surf', 'Morada Mami (Colombia)'],
+  knownSenders: [
+    'court coordinators', 'paralegals', 'State Farm', 'ServiceMaster', 'DoorLoop', 'Mercury Bank',
+  ],
+  categories: ['case', 'legal', 'financial', 'property', 'business', 'personal', 'ops', 'spam'],
+  ruleCategories: {
+    case: 'case',
+    court: 'legal',
+    legal: 'legal',
+    creditor: 'financial',
+    financial: 'financial',
+    compliance: 'business',
+    property: 'property',
+  },
+  defaultCategory: 'personal',
+  defaultCaseSlug: 'arias-v-bianchi',
+  routes: {
+    'intake@chitty.cc': { forward: 'nick@aribia.cc', priority: 'HIGH' },
+    'legal@chitty.cc': { forward: 'nick@aribia.cc', priority: 'CRITICAL' },
+    'evidence@chitty.cc': { forward: 'nick@aribia.cc', priority: 'HIGH' },
+    'calendar@chitty.cc': { forward: 'nick@aribia.cc', priority: 'MEDIUM' },
+    'chittyos@chitty.cc': { forward: 'nick@aribia.cc', priority: 'MEDIUM' },
+  },
+  defaultForward: 'nick@aribia.llc',
+  storage: {
+    case: 'cases/{caseSlug}/{category}',
+    spam: 'spam',
+    default: 'inbox/unsorted/{category}',
+  },
+});
+
+/**
+ * `source` is where `profile` came from; `error` is the last load failure,
+ * cleared by the next good load.
+ * @type {{ at: number, profile: RoutingProfile|null, source: string|null, error: string|null } | null}
+ */
+let _cache = null;
+
+/** For tests: drop the per-isolate cache. */
+export function _clearRoutingProfileCache() {
+  _cache = null;
+}
+
+function deepFreeze(value) {
+  if (value === null || typeof value !== 'object' || Object.isFrozen(value)) {
+    return value;
+  }
+  for (const key of Reflect.ownKeys(value)) {
+    deepFreeze(value[key]);
+  }
+  return Object.freeze(value);
+}
+
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.trim().length > 0;
+}
+
+function isStringArray(v) {
+  return Array.isArray(v) && v.every(isNonEmptyString);
+}
+
+/**
+ * Validate an R2 path template: relative, no traversal, only known
+ * `{placeholders}`.
+ * @param {unknown} template
+ * @returns {string|null} error message, or null if valid
+ */
+function templateError(template) {
+  if (!isNonEmptyString(template)) return 'must be a non-empty string';
+  if (template.startsWith('/') || template.split('/').includes('..')) {
+    return 'must be a relative path without ".." segments';
+  }
+  for (const [, name] of template.matchAll(/\{([^}]*)\}/g)) {
+    if (!TEMPLATE_VARS.has(name)) return `unknown placeholder {${name}}`;
+  }
+  return null;
+}
+
+/**
+ * Structural validation of a routing profile document. Never throws.
+ *
+ * @param {unknown} profile
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateRoutingProfile(profile) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return { valid: false, errors: ['profile must be an object'] };
+  }
+  const p = /** @type {Record<string, any>} */ (profile);
+
+  if (!isNonEmptyString(p.id)) errors.push('id must be a non-empty string');
+  if (!Number.isInteger(p.version) || p.version < 1) errors.push('version must be a positive integer');
+  if (!p.principal || !isNonEmptyString(p.principal.name)) errors.push('principal.name is required');
+
+  if (!isStringArray(p.categories) || p.categories.length === 0) {
+    errors.push('categories must be a non-empty array of strings');
+  } else if (new Set(p.categories).size !== p.categories.length) {
+    errors.push('categories must be unique');
+  }
+
+  const categories = new Set(isStringArray(p.categories) ? p.categories : []);
+  if (p.ruleCategories !== undefined) {
+    if (!p.ruleCategories || typeof p.ruleCategories !== 'object' || Array.isArray(p.ruleCategories)) {
+      errors.push('ruleCategories must be an object');
+    } else {
+      for (const [key, category] of Object.entries(p.ruleCategories)) {
+        if (!categories.has(category)) errors.push(`ruleCategories.${key} must be one of categories`);
+      }
+    }
+  }
+  if (p.defaultCategory !== undefined && !categories.has(p.defaultCategory)) {
+    errors.push('defaultCategory must be one of categories');
+  }
+
+  for (const field of ['properties', 'knownSenders']) {
+    if (p[field] !== undefined && !isStringArray(p[field])) {
+      errors.push(`${field} must be an array of strings`);
+    }
+  }
+
+  if (p.parties !== undefined) {
+    if (!Array.isArray(p.parties)) errors.push('parties must be an array');
+    else p.parties.forEach((party, i) => {
+      if (!party || !isNonEmptyString(party.name) || !isNonEmptyString(party.role)) {
+        errors.push(`parties[${i}] needs name and role`);
+      }
+    });
+  }
+
+  const matterSlugs = new Set();
+  if (p.matters !== undefined) {
+    if (!Array.isArray(p.matters)) errors.push('matters must be an array');
+    else p.matters.forEach((m, i) => {
+      if (!m || !SLUG_RE.test(m.slug ?? '')) errors.push(`matters[${i}].slug must be kebab-case`);
+      else matterSlugs.add(m.slug);
+      if (!m || !isNonEmptyString(m.displayName)) errors.push(`matters[${i}].displayName is required`);
+    });
+  }
+  if (p.defaultCaseSlug !== undefined && p.defaultCaseSlug !== null && !matterSlugs.has(p.defaultCaseSlug)) {
+    errors.push('defaultCaseSlug must name one of matters[].slug');
+  }
+
+  if (!Array.isArray(p.entities)) {
+    errors.push('entities must be an array');
+  } else {
+    const ids = new Set();
+    p.entities.forEach((e, i) => {
+      if (!e || !isNonEmptyString(e.id)) { errors.push(`entities[${i}].id is required`); return; }
+      if (ids.has(e.id)) errors.push(`entities[${i}].id "${e.id}" is duplicated`);
+      ids.add(e.id);
+      const err = templateError(e.storagePath);
+      if (err) errors.push(`entities[${i}].storagePath ${err}`);
+      if (e.senderDomains !== undefined && !isStringArray(e.senderDomains)) {
+        errors.push(`entities[${i}].senderDomains must be an array of strings`);
+      }
+      if (e.keywords !== undefined && !isStringArray(e.keywords)) {
+        errors.push(`entities[${i}].keywords must be an array of strings`);
+      }
+      if (e.replyFrom !== undefined && !ADDRESS_RE.test(String(e.replyFrom))) {
+        errors.push(`entities[${i}].replyFrom must be an email address`);
+      }
+    });
+  }
+
+  if (p.routes !== undefined) {
+    if (!p.routes || typeof p.routes !== 'object' || Array.isArray(p.routes)) {
+      errors.push('routes must be an object');
+    } else {
+      const caseAddresses = new Set(Object.keys(CASE_EMAIL_ROUTES).map((a) => a.toLowerCase()));
+      for (const [addr, route] of Object.entries(p.routes)) {
+        if (!ADDRESS_RE.test(addr)) errors.push(`routes key "${addr}" must be an email address`);
+        else if (caseAddresses.has(addr.trim().toLowerCase())) errors.push(`routes.${addr} is a case-registry address`);
+        if (!route || !ROUTE_PRIORITIES.has(route.priority)) {
+          errors.push(`routes.${addr}.priority must be one of ${[...ROUTE_PRIORITIES].join(', ')}`);
+        }
+        if (route?.forward !== undefined && !ADDRESS_RE.test(String(route.forward))) {
+          errors.push(`routes.${addr}.forward must be an email address`);
+        }
+      }
+    }
+  }
+  if (p.defaultForward !== undefined && !ADDRESS_RE.test(String(p.defaultForward))) {
+    errors.push('defaultForward must be an email address');
+  }
+
+  if (!p.storage || typeof p.storage !== 'object') {
+    errors.push('storage is required');
+  } else {
+    for (const key of ['case', 'spam', 'default']) {
+      const err = templateError(p.storage[key]);
+      if (err) errors.push(`storage.${key} ${err}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Default Neon query: the jsonb document for env.ROUTING_PROFILE_ID.
+ * @param {any} env
+ * @returns {Promise<unknown>}
+ */
+async function defaultNeonQueryFn(env) {
+  const connectionString = env?.HYPERDRIVE?.connectionString;
+  if (!connectionString) throw new Error('HYPERDRIVE binding is not configured');
+  if (!env?.ROUTING_PROFILE_ID) throw new Error('ROUTING_PROFILE_ID is not set');
+  const client = new Client(connectionString);
+  try {
+    await client.connect();
+    const result = await client.query(
+      `SELECT profile FROM chittyops.routing_profiles WHERE profile_id = $1`,
+      [env.ROUTING_PROFILE_ID],
+    );
+    return result.rows[0]?.profile ?? null;
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Fetch the raw (unvalidated) profile document from the configured source.
+ * @param {any} env
+ * @param {(env:any)=>Promise<unknown>} neonQueryFn
+ * @returns {Promise<{ source: string, document: unknown }>}
+ */
+async function fetchProfileDocument(env, neonQueryFn) {
+  const source = env?.ROUTING_PROFILE_SOURCE || 'builtin';
+  switch (source) {
+    case 'builtin':
+      return { source, document: DEFAULT_ROUTING_PROFILE };
+    case 'kv':
+      if (!env.AI_CACHE) throw new Error('AI_CACHE binding is not configured');
+      return { source, document: await env.AI_CACHE.get(ROUTING_PROFILE_KV_KEY, 'json') };
+    case 'neon':
+      return { source, document: await neonQueryFn(env) };
+    default:
+      throw new Error(`unknown ROUTING_PROFILE_SOURCE "${source}"`);
+  }
+}
+
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`routing profile fetch timed out after ${ms}ms`)),
+      ms,
+    );
+    promise.then(
+      (v) => { clearTimeout(timer); resolve(v); },
+      (e) => { clearTimeout(timer); reject(e); },
+    );
+  });
+}
+
+/**
+ * Load the active routing profile, using the per-isolate TTL cache. Never
+ * throws: on failure or an invalid document, returns the last-good profile,
+ * or null on a cold isolate (see FAIL-OPEN TO LAST-GOOD above).
+ *
+ * @param {any} env
+ * @param {{ neonQueryFn?: (env:any)=>Promise<unknown>, force?: boolean }} [opts]
+ * @returns {Promise<RoutingProfile|null>}
+ */
+export async function loadRoutingProfile(env, opts = {}) {
+  const { neonQueryFn = defaultNeonQueryFn, force = false } = opts;
+  const now = Date.now();
+  if (!force && _cache && now - _cache.at < PROFILE_TTL_MS) {
+    return _cache.profile;
+  }
+
+  const fallback = _cache?.profile ?? null;
+  try {
+    const { source, document } = await withTimeout(
+      fetchProfileDocument(env, neonQueryFn),
+      FETCH_TIMEOUT_MS,
+    );
+    if (document === null || document === undefined) {
+      throw new Error(`no routing profile found in source "${source}"`);
+    }
+    const { valid, errors } = validateRoutingProfile(document);
+    if (!valid) {
+      throw new Error(`invalid routing profile from "${source}": ${errors.join('; ')}`);
+    }
+    const profile = document === DEFAULT_ROUTING_PROFILE
+      ? DEFAULT_ROUTING_PROFILE
+      : deepFreeze(structuredClone(document));
+    _cache = { at: now, profile, source, error: null };
+    return profile;
+  } catch (err) {
+    const error = String(err?.message ?? err);
+    console.error(
+      fallback
+        ? '[routing-profile] load failed, keeping last-good profile:'
+        : '[routing-profile] load failed with no last-good profile, mail is stored without routing:',
+      error,
+    );
+    // Re-arm the TTL on the fallback so a broken source isn't re-hit per email.
+    _cache = { at: now, profile: fallback, source: fallback ? _cache.source : null, error };
+    return fallback;
+  }
+}
+
+/**
+ * What the last load produced, for /health and GET /email/profile: the
+ * configured source, the source the active profile actually came from (null
+ * when there is none) and the last load error.
+ *
+ * @param {any} env
+ * @returns {{ configuredSource: string, source: string|null, profileId: string|null, error: string|null, loadedAt: string|null }}
+ */
+export function routingProfileStatus(env) {
+  return {
+    configuredSource: env?.ROUTING_PROFILE_SOURCE || 'builtin',
+    source: _cache?.source ?? null,
+    profileId: _cache?.profile?.id ?? null,
+    error: _cache?.error ?? null,
+    loadedAt: _cache ? new Date(_cache.at).toISOString() : null,
+  };
+}
+
+/**
+ * Validate and persist a profile to KV, then drop the cache so the next load
+ * picks it up (hot reload). Only the 'kv' source is writable from the worker;
+ * Neon profiles are managed in the database.
+ *
+ * @param {any} env
+ * @param {unknown} profile
+ * @returns {Promise<{ success: boolean, errors?: string[], id?: string, version?: number }>}
+ */
+export async function saveRoutingProfile(env, profile) {
+  const { valid, errors } = validateRoutingProfile(profile);
+  if (!valid) return { success: false, errors };
+  if ((env?.ROUTING_PROFILE_SOURCE || 'builtin') !== 'kv') {
+    return { success: false, errors: ['ROUTING_PROFILE_SOURCE must be "kv" to save profiles from the API'] };
+  }
+  await env.AI_CACHE.put(ROUTING_PROFILE_KV_KEY, JSON.stringify(profile));
+  _clearRoutingProfileCache();
+  return { success: true, id: profile.id, version: profile.version };
+}
+
+/**
+ * Look up an entity definition by the id triage emitted.
+ * @param {RoutingProfile} profile
+ * @param {string|null|undefined} id
+ * @returns {ProfileEntity|undefined}
+ */
+export function findEntity(profile, id) {
+  if (!id) return undefined;
+  return profile.entities.find((e) => e.id === id);
+}
+
+/**
+ * Category the rule-based fallback gives an urgency-pattern hit (`court`,
+ * `creditor`, …) or case-addressed mail (`case`): the profile's
+ * ruleCategories entry, else the key itself when it is a profile category.
+ *
+ * @param {RoutingProfile} profile
+ * @param {string} key
+ * @returns {string|null}
+ */
+export function ruleCategory(profile, key) {
+  return profile.ruleCategories?.[key] ?? (profile.categories.includes(key) ? key : null);
+}
+
+/**
+ * Category for mail nothing else classifies.
+ * @param {RoutingProfile} profile
+ * @returns {string}
+ */
+export function defaultCategory(profile) {
+  return profile.defaultCategory ?? profile.categories[0];
+}
+
+/**
+ * Rule-based entity attribution from the profile's senderDomains/keywords.
+ * Sender domain wins over keywords. Returns null when nothing matches.
+ *
+ * @param {RoutingProfile} profile
+ * @param {string} fromAddr - bare lowercased sender address
+ * @param {string} text     - lowercased subject + body
+ * @returns {string|null}
+ */
+export function matchEntity(profile, fromAddr, text) {
+  const domain = fromAddr.slice(fromAddr.lastIndexOf('@') + 1);
+  for (const e of profile.entities) {
+    if (domain && e.senderDomains?.some((d) => d.toLowerCase() === domain)) return e.id;
+  }
+  for (const e of profile.entities) {
+    if (e.keywords?.some((k) => text.includes(k.toLowerCase()))) return e.id;
+  }
+  return null;
+}
+
+/**
+ * Make a value safe to use as one R2 path segment.
+ * @param {unknown} value
+ */
+function pathSegment(value) {
+  const s = String(value ?? '').replace(/[^A-Za-z0-9._-]/g, '-').replace(/^\.+/, '');
+  return s || 'unknown';
+}
+
+/**
+ * Fill a storage template's `{placeholders}`.
+ * @param {string} template
+ * @param {Record<string, unknown>} vars
+ */
+export function renderStorageTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (_, name) => pathSegment(vars[name]));
+}
+
+/**
+ * Render the "KNOWN CONTEXT" block of the triage prompt from a profile.
+ * @param {RoutingProfile} profile
+ * @returns {string}
+ */
+export function describeProfileContext(profile) {
+  const lines = [];
+  for (const m of profile.matters ?? []) {
+    const number = m.caseNumber ? `, Case No. ${m.caseNumber}` : '';
+    const desc = m.description ? ` (${m.description})` : '';
+    lines.push(`- Active litigation: ${m.displayName}${number}${desc}`);
+  }
+  const principals = (profile.parties ?? []).filter((p) => p.role !== 'attorney');
+  if (principals.length) {
+    lines.push(`- Parties: ${principals.map((p) => `${p.name} (${p.role})`).join(', ')}`);
+  }
+  const attorneys = (profile.parties ?? []).filter((p) => p.role === 'attorney');
+  if (attorneys.length) {
+    lines.push(`- Attorneys: ${attorneys.map((p) => p.represents ? `${p.name} (${p.represents})` : p.name).join(', ')}`);
+  }
+  if (profile.entities.length) {
+    lines.push(`- Business entities: ${profile.entities.map((e) => `${e.displayName} [${e.id}]`).join(', ')}`);
+  }
+  if (profile.properties?.length) lines.push(`- Properties: ${profile.properties.join(', ')}`);
+  if (profile.knownSenders?.length) lines.push(`- Known senders: ${profile.knownSenders.join(', ')}`);
+  return lines.join('\n');
+}
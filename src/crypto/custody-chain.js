@@ -0,0 +1,279 @@
+/**
+ * Hash-chained custody log — the contract EvidenceAgent keeps per exhibit.
+ *
+ * Every custody entry carries `seq` (1, 2, 3… per exhibit), `prev_hash` (the
+ * previous entry's hash, or CUSTODY_GENESIS_HASH for the first) and
+ * `entry_hash`, a SHA-256 over the entry's content and `prev_hash`. The
+ * exhibit row remembers the head (`custody_seq`, `custody_head`), so a
+ * deleted tail shows up as well as an edited or missing middle entry.
+ *
+ * Hashes bind entries to the exhibit id rather than to row ids, so a chain
+ * stays valid when migrateToShards re-inserts it under fresh ids.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { ChittyP256Signatures } from './p256-signatures.js';
+
+export const CUSTODY_GENESIS_HASH = '0'.repeat(64);
+
+/** Problems verifyCustodyChain reports, one per affected entry. */
+export const CHAIN_PROBLEMS = [
+  'unchained',       // entry has no hash (predates chaining and was never backfilled)
+  'sequence_gap',    // seq skips ahead: entries are missing
+  'out_of_order',    // seq repeats or goes backwards
+  'broken_link',     // prev_hash is not the previous entry's hash
+  'edited',          // content no longer hashes to entry_hash
+  'truncated',       // fewer entries than the exhibit's recorded head
+  'head_mismatch',   // last entry's hash is not the exhibit's recorded head
+  'bad_signature',   // head signature does not verify
+];
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
+
+/** Fields an entry hash covers, in a fixed order. */
+function canonicalEntry(exhibitId, entry) {
+  return JSON.stringify([
+    exhibitId,
+    entry.seq,
+    entry.action,
+    entry.actor,
+    entry.description ?? null,
+    entry.integrity_hash ?? null,
+    entry.occurred_at,
+    entry.prev_hash,
+  ]);
+}
+
+/**
+ * @param {string} exhibitId
+ * @param {{ seq: number, action: string, actor: string, description?: string|null,
+ *   integrity_hash?: string|null, occurred_at: string, prev_hash: string }} entry
+ * @returns {Promise<string>} hex SHA-256
+ */
+export async function custodyEntryHash(exhibitId, entry) {
+  const bytes = new TextEncoder().encode(canonicalEntry(exhibitId, entry));
+  return toHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+/**
+ * The next link after `head` (null for an empty chain): seq, prev_hash and
+ * entry_hash filled in, ready to insert.
+ * @param {string} exhibitId
+ * @param {{ seq: number, hash: string }|null} head
+ * @param {{ action: string, actor: string, description?: string|null,
+ *   integrity_hash?: string|null, occurred_at?: string }} fields
+ */
+export async function chainCustodyEntry(exhibitId, head, fields) {
+  const entry = {
+    action: fields.action,
+    actor: fields.actor,
+    description: fields.description ?? null,
+    integrity_hash: fields.integrity_hash ?? null,
+    occurred_at: fields.occurred_at || new Date().toISOString(),
+    seq: (head?.seq || 0) + 1,
+    prev_hash: head?.hash || CUSTODY_GENESIS_HASH,
+  };
+  return { ...entry, entry_hash: await custodyEntryHash(exhibitId, entry) };
+}
+
+/**
+ * Link an unchained history (oldest first) into a chain, for exhibits whose
+ * custody predates hashing. Keeps each entry's other fields.
+ */
+export async function chainLegacyEntries(exhibitId, entries) {
+  const chained = [];
+  let head = null;
+  for (const entry of entries) {
+    const link = await chainCustodyEntry(exhibitId, head, entry);
+    chained.push({ ...entry, ...link });
+    head = { seq: link.seq, hash: link.entry_hash };
+  }
+  return { entries: chained, head };
+}
+
+/**
+ * Walk an exhibit's custody entries (ordered by seq) and report every gap,
+ * edit, broken link and, given the exhibit's recorded head, truncation.
+ * Signed entries are checked against `trustedKey`, the deployment's pinned
+ * public key, never the key a signature carries: whoever can rewrite the
+ * rows could re-sign them with a key of their own. With `requireSignedHead`
+ * an unsigned last entry is a `bad_signature` too, so dropping the head
+ * signature does not pass.
+ *
+ * @param {string} exhibitId
+ * @param {object[]} entries - custody_chain rows
+ * @param {{ head?: { seq: number|null, hash: string|null }, trustedKey?: JsonWebKey|null,
+ *   requireSignedHead?: boolean }} [opts]
+ * @returns {Promise<{ exhibit_id: string, valid: boolean, length: number,
+ *   head: { seq: number, hash: string }|null, signed: number,
+ *   problems: { seq: number|null, id?: number, problem: string, detail: string }[] }>}
+ */
+export async function verifyCustodyChain(exhibitId, entries, { head, trustedKey = null, requireSignedHead = false } = {}) {
+  const problems = [];
+  const report = (entry, problem, detail) => problems.push({ seq: entry?.seq ?? null, id: entry?.id, problem, detail });
+  let prev = null;
+  let signed = 0;
+
+  for (const entry of entries) {
+    if (!entry.entry_hash) {
+      report(entry, 'unchained', 'entry has no hash');
+      prev = entry;
+      continue;
+    }
+    const expectedSeq = (prev?.seq || 0) + 1;
+    if (entry.seq > expectedSeq) {
+      report(entry, 'sequence_gap', `expected seq ${expectedSeq}, found ${entry.seq}`);
+    } else if (entry.seq < expectedSeq) {
+      report(entry, 'out_of_order', `seq ${entry.seq} follows seq ${prev?.seq ?? 0}`);
+    }
+    const expectedPrev = prev ? prev.entry_hash : CUSTODY_GENESIS_HASH;
+    if (entry.prev_hash !== expectedPrev) {
+      report(entry, 'broken_link', 'prev_hash does not match the previous entry');
+    }
+    if (await custodyEntryHash(exhibitId, entry) !== entry.entry_hash) {
+      report(entry, 'edited', 'entry content does not match its hash');
+    }
+    if (entry.head_signature) {
+      signed++;
+      if (!trustedKey) {
+        report(entry, 'bad_signature', 'no trusted custody signing key to verify against');
+      } else if (!(await verifyCustodySignature(trustedKey, exhibitId, entry))) {
+        report(entry, 'bad_signature', 'head signature does not verify against the trusted key');
+      }
+    }
+    prev = entry;
+  }
+
+  const last = entries[entries.length - 1];
+  if (requireSignedHead && last?.entry_hash && !last.head_signature) {
+    report(last, 'bad_signature', 'chain head is not signed');
+  }
+  if (head?.hash) {
+    if ((last?.seq || 0) < head.seq) {
+      report(last, 'truncated', `chain ends at seq ${last?.seq || 0}, exhibit head is seq ${head.seq}`);
+    } else if (last?.entry_hash !== head.hash) {
+      report(last, 'head_mismatch', 'last entry is not the recorded chain head');
+    }
+  }
+
+  return {
+    exhibit_id: exhibitId,
+    valid: problems.length === 0,
+    length: entries.length,
+    head: last?.entry_hash ? { seq: last.seq, hash: last.entry_hash } : null,
+    signed,
+    problems,
+  };
+}
+
+// ── Head signatures ──────────────────────────────────────────────────
+
+/** CUSTODY_SIGNING_ENABLED ('true') signs each new chain head. */
+export function custodySigningEnabled(env) {
+  return env?.CUSTODY_SIGNING_ENABLED === 'true';
+}
+
+/** Initialized P-256 signer using the ChittyID keypair (KV or env). */
+export async function custodySigner(env) {
+  const signer = new ChittyP256Signatures(env);
+  await signer.initialize();
+  return signer;
+}
+
+/**
+ * The deployment's ChittyID public key (JWK), from the same places the signer
+ * loads its keypair: CHITTYID_STORE `p256-keypair`, then P256_PUBLIC_KEY.
+ * @returns {Promise<JsonWebKey|null>}
+ */
+export async function custodyTrustedKey(env) {
+  try {
+    const stored = await env?.CHITTYID_STORE?.get('p256-keypair');
+    if (stored) return JSON.parse(stored).publicKey || null;
+    return env?.P256_PUBLIC_KEY ? JSON.parse(env.P256_PUBLIC_KEY) : null;
+  } catch {
+    return null;
+  }
+}
+
+const signedHead = (exhibitId, entry) => ({ exhibit_id: exhibitId, seq: entry.seq, entry_hash: entry.entry_hash });
+
+/**
+ * Sign an entry as the exhibit's chain head. The JSON result is stored in
+ * the entry's head_signature column; the public key it carries is for
+ * reference only, verification uses custodyTrustedKey.
+ */
+export async function signCustodyHead(signer, exhibitId, entry) {
+  const { signature, algorithm, publicKey, timestamp } = await signer.signChittyIdRequest(signedHead(exhibitId, entry));
+  return { signature, algorithm, publicKey, signedAt: timestamp };
+}
+
+// verifySignature only imports the given public key; no keypair is loaded.
+const verifier = new ChittyP256Signatures({});
+
+/** @returns {Promise<boolean>} */
+export async function verifyCustodySignature(trustedKey, exhibitId, entry) {
+  let sig = entry.head_signature;
+  if (typeof sig === 'string') {
+    try { sig = JSON.parse(sig); } catch { return false; }
+  }
+  if (!sig?.signature) return false;
+  const { valid } = await verifier.verifySignature(signedHead(exhibitId, entry), sig.signature, trustedKey);
+  return valid;
+}
+
+// ── Server-side object hashing ───────────────────────────────────────
+
+/**
+ * SHA-256 of a ReadableStream without buffering it where the runtime has
+ * crypto.DigestStream (Workers); elsewhere the chunks are collected first.
+ * @returns {Promise<{ sha256: string, size: number }>}
+ */
+export async function sha256Stream(stream) {
+  let size = 0;
+  const counted = stream.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      size += chunk.byteLength;
+      controller.enqueue(chunk);
+    },
+  }));
+
+  if (typeof crypto.DigestStream === 'function') {
+    const digest = new crypto.DigestStream('SHA-256');
+    await counted.pipeTo(digest);
+    return { sha256: toHex(await digest.digest), size };
+  }
+
+  const chunks = [];
+  for await (const chunk of counted) chunks.push(chunk);
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(new Uint8Array(chunk.buffer ?? chunk, chunk.byteOffset ?? 0, chunk.byteLength), offset);
+    offset += chunk.byteLength;
+  }
+  return { sha256: toHex(await crypto.subtle.digest('SHA-256', bytes)), size };
+}
+
+/**
+ * Stream an exhibit's object out of DOCUMENT_STORAGE and hash it.
+ * @returns {Promise<{ sha256: string, size: number }|null>} null when the object is gone
+ */
+export async function hashStoredObject(env, r2Path) {
+  const object = await env.DOCUMENT_STORAGE.get(r2Path);
+  if (!object) return null;
+  return sha256Stream(object.body);
+}
+
+// ── Intake entries ───────────────────────────────────────────────────
+
+/**
+ * Actor of the first custody entry of an exhibit opened by email intake
+ * (src/email/attachment-evidence.js via EvidenceAgent POST /ingest/email).
+ */
+export const EVIDENCE_INTAKE_ACTOR = 'email-intake';
+
+/** Custody description for an intake ingest. */
+export function intakeCustodyDescription({ message_id, sender, received_at, filename, sha256 }) {
+  return `Received as attachment "${filename}" on message ${message_id} from ${sender} at ${received_at}; SHA-256 ${sha256}`;
+}
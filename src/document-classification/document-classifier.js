@@ -4,6 +4,7 @@
  */
 
 import { CLASSIFIER_PATTERNS } from '../config/case-registry.js';
+import { readExtraction } from '../documents/extraction-pipeline.js';
 
 /**
  * FACT TYPES - Aligned with ChittySchema (chittyledger.fact_type enum)
@@ -87,6 +88,11 @@ const ENTITY_PATTERNS = {
 // the router (routing, classifier, routing, email alias map) agrees.
 const CASE_PATTERNS = CLASSIFIER_PATTERNS;
 
+// Confidence of a pattern found in document text rather than the filename.
+// Body text mentions parties and other matters in passing, so it is weaker
+// evidence than a filename; type words ("order", "tax") are the noisiest.
+const TEXT_HINT_CONFIDENCE = { typeScale: 0.5, entity: 0.6, case: 0.7 };
+
 export class DocumentClassifier {
   constructor(env) {
     this.env = env;
@@ -99,10 +105,15 @@ export class DocumentClassifier {
   async classify(document) {
     const { filename, content, path, mimeType, size } = document;
 
+    // Without inline content, use the text the extraction pipeline saved
+    // next to the R2 object (src/documents/extraction-pipeline.js).
+    const text = content || await this.loadExtractedText(path);
+
     // Gather all classification signals
     const signals = {
       filename: this.analyzeFilename(filename),
-      content: content ? await this.analyzeContent(content) : null,
+      content: text ? await this.analyzeContent(text) : null,
+      text: text ? this.analyzeText(text) : null,
       path: this.analyzePath(path),
       metadata: this.analyzeMetadata({ mimeType, size })
     };
@@ -179,6 +190,56 @@ export class DocumentClassifier {
     return signals;
   }
 
+  /**
+   * Match the same type/entity/case patterns against document text, at
+   * TEXT_HINT_CONFIDENCE. Each pattern counts once however often it occurs.
+   */
+  analyzeText(text) {
+    const lower = text.toLowerCase();
+    const signals = { typeHints: [], entityHints: [], caseHints: [] };
+
+    for (const [type, config] of Object.entries(TYPE_HINTS)) {
+      for (const pattern of config.patterns) {
+        if (lower.includes(pattern)) {
+          signals.typeHints.push({ type, pattern, confidence: config.weight * TEXT_HINT_CONFIDENCE.typeScale });
+        }
+      }
+    }
+
+    for (const [entity, patterns] of Object.entries(ENTITY_PATTERNS)) {
+      for (const pattern of patterns) {
+        if (lower.includes(pattern)) {
+          signals.entityHints.push({ entity, pattern, confidence: TEXT_HINT_CONFIDENCE.entity });
+        }
+      }
+    }
+
+    for (const [caseId, patterns] of Object.entries(CASE_PATTERNS)) {
+      for (const pattern of patterns) {
+        if (lower.includes(pattern)) {
+          signals.caseHints.push({ caseId, pattern, confidence: TEXT_HINT_CONFIDENCE.case });
+        }
+      }
+    }
+
+    return signals;
+  }
+
+  /**
+   * Extracted text for an R2 key, or null when storage is unbound, the key
+   * is not an R2 object, or extraction has not run yet.
+   */
+  async loadExtractedText(path) {
+    if (!path || !this.env?.DOCUMENT_STORAGE) return null;
+    try {
+      const extraction = await readExtraction(this.env, path.replace(/^\/+/, ''));
+      return extraction?.text || null;
+    } catch (error) {
+      console.error('Extracted text lookup failed:', error);
+      return null;
+    }
+  }
+
   /**
    * Analyze document content using AI
    */
@@ -261,9 +322,9 @@ Return valid JSON only, no explanation.`
       return signals.content.document_type;
     }
 
-    // Score each type based on filename hints
+    // Score each type based on filename and document-text hints
     const scores = {};
-    for (const hint of signals.filename?.typeHints || []) {
+    for (const hint of [...(signals.filename?.typeHints || []), ...(signals.text?.typeHints || [])]) {
       scores[hint.type] = (scores[hint.type] || 0) + hint.confidence;
     }
 
@@ -292,7 +353,8 @@ Return valid JSON only, no explanation.`
       return signals.filename.entityHints[0].entity;
     }
 
-    return null;
+    // Document text: the entity with the most distinct pattern matches
+    return this.strongestHint(signals.text?.entityHints, 'entity');
   }
 
   /**
@@ -324,7 +386,23 @@ Return valid JSON only, no explanation.`
       return signals.filename.caseHints[0].caseId;
     }
 
-    return null;
+    // Document text: the case with the most distinct pattern matches
+    return this.strongestHint(signals.text?.caseHints, 'caseId');
+  }
+
+  /**
+   * Value of `field` with the highest summed confidence; first seen wins ties.
+   */
+  strongestHint(hints, field) {
+    const scores = new Map();
+    for (const hint of hints || []) {
+      scores.set(hint[field], (scores.get(hint[field]) || 0) + hint.confidence);
+    }
+    let best = null;
+    for (const [value, score] of scores) {
+      if (best === null || score > scores.get(best)) best = value;
+    }
+    return best;
   }
 
   /**
@@ -376,8 +454,14 @@ Return valid JSON only, no explanation.`
       factors++;
     }
 
+    // Document-text hints
+    if (signals.text?.typeHints?.length > 0 || signals.text?.caseHints?.length > 0) {
+      score += 0.4;
+      factors++;
+    }
+
     // Entity hints
-    if (signals.filename?.entityHints?.length > 0 || signals.content?.entities?.length > 0) {
+    if (signals.filename?.entityHints?.length > 0 || signals.content?.entities?.length > 0 || signals.text?.entityHints?.length > 0) {
       score += 0.3;
       factors++;
     }
@@ -0,0 +1,289 @@
+/**
+ * Attachment extraction pipeline — runs after storeAttachments writes an
+ * object to R2 and saves what extraction.js got out of it next to the object:
+ *
+ *   <key>.extracted.txt    the text (UTF-8), pages separated by a blank line
+ *   <key>.extracted.json   manifest: status, format, page map (offsets into
+ *                          the .txt), archive/attachment listing, OCR counts,
+ *                          warnings, source sha256 — never the text itself
+ *
+ * Jobs go to the EXTRACTION_QUEUE Cloudflare Queue when it is bound (retried
+ * by the platform, consumed by the worker's `queue` handler); otherwise they
+ * run in `ctx.waitUntil` so local and test deployments still extract. Either
+ * way the email path never waits on it.
+ *
+ * A job is idempotent: a manifest already written for the same sha256 and
+ * EXTRACTION_VERSION is reused, so queue redelivery costs one R2 read.
+ *
+ * Text from a fresh extraction is handed to the search index
+ * (src/search/search-index.js), tagged with the job's case/org/entity.
+ *
+ * Privileged (F-L10) attachments are never stored, so they never reach here
+ * and their content never goes to the vision model or the search index.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { extractDocument, EXTRACTION_VERSION } from './extraction.js';
+import { InferenceClient } from '../ai/inference-client.js';
+import { attachmentSearchDocument, indexDocuments } from '../search/search-index.js';
+
+export const EXTRACTION_QUEUE_BINDING = 'EXTRACTION_QUEUE';
+export const EXTRACTED_TEXT_SUFFIX = '.extracted.txt';
+export const EXTRACTED_MANIFEST_SUFFIX = '.extracted.json';
+
+const OCR_PROMPT =
+  'Transcribe all text in this image exactly as written, preserving line breaks. ' +
+  'Output only the transcribed text. If there is no text, output nothing.';
+const OCR_MAX_TOKENS = 2048;
+
+/**
+ * @typedef {Object} ExtractionJob
+ * @property {string} key          - R2 key of the stored attachment
+ * @property {string} filename
+ * @property {string} contentType
+ * @property {string|null} sha256
+ * @property {string} messageId    - emailData.id of the source message
+ * @property {string} queuedAt
+ * @property {{ caseSlug?: string|null, entity?: string|null, org?: string|null }} [tags] - search index tags
+ */
+
+/** R2 keys of an object's extraction sidecars. */
+export function extractionKeys(key) {
+  return { text: `${key}${EXTRACTED_TEXT_SUFFIX}`, manifest: `${key}${EXTRACTED_MANIFEST_SUFFIX}` };
+}
+
+export function isExtractionSidecar(key) {
+  return key.endsWith(EXTRACTED_TEXT_SUFFIX) || key.endsWith(EXTRACTED_MANIFEST_SUFFIX);
+}
+
+/**
+ * One job per successfully stored attachment (storeAttachments marks failed
+ * writes with a null sha256).
+ *
+ * @param {Array<{ key: string, filename: string, contentType: string, sha256: string|null }>} stored
+ * @param {{ id?: string }} emailData
+ * @param {ExtractionJob['tags']} [tags]
+ * @returns {ExtractionJob[]}
+ */
+export function extractionJobs(stored, emailData, tags = {}) {
+  const queuedAt = new Date().toISOString();
+  return (stored || [])
+    .filter((s) => s.key && s.sha256)
+    .map((s) => ({
+      key: s.key,
+      filename: s.filename,
+      contentType: s.contentType || '',
+      sha256: s.sha256,
+      messageId: emailData?.id || '',
+      queuedAt,
+      tags: {
+        caseSlug: tags.caseSlug ?? null,
+        entity: tags.entity ?? null,
+        org: tags.org ?? null,
+      },
+    }));
+}
+
+/**
+ * OCR function for extractDocument backed by the configured vision model
+ * (AIModelConfig.getVisionModel, env.AI_MODEL_VISION). Null without env.AI.
+ */
+export function visionOcr(env) {
+  if (!env?.AI) return null;
+  const client = new InferenceClient(env);
+  const model = client.config.getVisionModel();
+  return async (image, { label }) => {
+    const result = await client.complete({
+      prompt: OCR_PROMPT,
+      models: [model],
+      image,
+      taskType: 'vision_analysis',
+      maxTokens: OCR_MAX_TOKENS,
+      temperature: 0,
+      label: `extraction.ocr:${label}`,
+    });
+    return result.response || '';
+  };
+}
+
+/**
+ * Extract one stored object and write its sidecars.
+ *
+ * @param {object} env - needs DOCUMENT_STORAGE; AI for OCR
+ * @param {ExtractionJob} job
+ * @param {{ ocr?: Function|null }} [opts] - override the vision OCR (tests)
+ * @returns {Promise<object>} the manifest, or `{ key, status: 'missing' }`
+ * @throws {Error} when storage is unbound or an R2 call fails (queue retries)
+ */
+export async function runExtractionJob(env, job, opts = {}) {
+  const storage = env?.DOCUMENT_STORAGE;
+  if (!storage) throw new Error('R2 DOCUMENT_STORAGE binding not available');
+  const keys = extractionKeys(job.key);
+
+  const existing = await storage.get(keys.manifest);
+  if (existing) {
+    const manifest = await existing.json().catch(() => null);
+    if (manifest?.version === EXTRACTION_VERSION && manifest.sha256 && manifest.sha256 === job.sha256) {
+      return { ...manifest, cached: true };
+    }
+  }
+
+  const obj = await storage.get(job.key);
+  if (!obj) {
+    // Reclassified or deleted before the job ran — nothing to extract.
+    console.warn(`[extraction] ${job.key} no longer exists`);
+    return { key: job.key, status: 'missing' };
+  }
+  const bytes = new Uint8Array(await obj.arrayBuffer());
+  const meta = {
+    filename: job.filename || obj.customMetadata?.originalFilename || job.key.split('/').pop(),
+    contentType: job.contentType || obj.httpMetadata?.contentType || '',
+  };
+  const started = Date.now();
+  const result = await extractDocument(bytes, meta, { ocr: 'ocr' in opts ? opts.ocr : visionOcr(env) });
+
+  const manifest = {
+    version: result.version,
+    key: job.key,
+    sha256: obj.customMetadata?.sha256 || job.sha256 || null,
+    messageId: job.messageId || obj.customMetadata?.emailMessageId || '',
+    status: result.status,
+    format: result.format,
+    chars: result.text.length,
+    truncated: result.truncated,
+    pages: result.pages,
+    ...(result.entries ? { entries: result.entries } : {}),
+    ocr: result.ocr,
+    warnings: result.warnings,
+    textKey: result.text ? keys.text : null,
+    extractedAt: new Date().toISOString(),
+    durationMs: Date.now() - started,
+  };
+
+  if (result.text) {
+    await storage.put(keys.text, result.text, {
+      httpMetadata: { contentType: 'text/plain; charset=utf-8' },
+      customMetadata: { sourceKey: job.key, sha256: manifest.sha256 || '', format: result.format },
+    });
+  }
+  await storage.put(keys.manifest, JSON.stringify(manifest), {
+    httpMetadata: { contentType: 'application/json' },
+    customMetadata: { sourceKey: job.key, sha256: manifest.sha256 || '', status: result.status },
+  });
+
+  console.log(
+    `[extraction] ${job.key}: ${result.format} ${result.status}, ${result.pages.length} page(s), ` +
+    `${result.text.length} chars, ${result.ocr.images} OCR call(s)`,
+  );
+  await indexDocuments(env, [attachmentSearchDocument(manifest, result.text, {
+    ...job.tags,
+    filename: meta.filename,
+    at: job.queuedAt,
+  })]);
+  return manifest;
+}
+
+/**
+ * Hand jobs off without blocking the caller: EXTRACTION_QUEUE when bound,
+ * else `ctx.waitUntil`, else skipped (logged).
+ *
+ * @param {object} env
+ * @param {{ waitUntil?: Function }|undefined} ctx
+ * @param {ExtractionJob[]} jobs
+ * @returns {Promise<{ mode: 'queue'|'inline'|'none', count: number }>}
+ */
+export async function scheduleExtraction(env, ctx, jobs) {
+  if (!jobs?.length) return { mode: 'none', count: 0 };
+
+  const queue = env?.[EXTRACTION_QUEUE_BINDING];
+  if (queue && typeof queue.sendBatch === 'function') {
+    try {
+      await queue.sendBatch(jobs.map((body) => ({ body })));
+      return { mode: 'queue', count: jobs.length };
+    } catch (err) {
+      console.error('[extraction] queue send failed, extracting inline:', err?.message || err);
+    }
+  }
+
+  if (ctx && typeof ctx.waitUntil === 'function') {
+    ctx.waitUntil((async () => {
+      for (const job of jobs) {
+        try {
+          await runExtractionJob(env, job);
+        } catch (err) {
+          console.error(`[extraction] ${job.key} failed:`, err?.message || err);
+        }
+      }
+    })());
+    return { mode: 'inline', count: jobs.length };
+  }
+
+  console.warn(`[extraction] no queue or execution context — ${jobs.length} job(s) not scheduled`);
+  return { mode: 'none', count: 0 };
+}
+
+/**
+ * Queue consumer: ack each job that completes, retry the ones that throw
+ * (R2 errors). Extraction failures inside a file are recorded in its
+ * manifest, not retried.
+ *
+ * @param {{ messages: Array<{ body: ExtractionJob, ack: Function, retry: Function }> }} batch
+ * @param {object} env
+ */
+export async function handleExtractionBatch(batch, env) {
+  for (const message of batch.messages) {
+    try {
+      await runExtractionJob(env, message.body);
+      message.ack();
+    } catch (err) {
+      console.error(`[extraction] ${message.body?.key} failed, retrying:`, err?.message || err);
+      message.retry();
+    }
+  }
+}
+
+/**
+ * Read an object's extraction.
+ *
+ * @param {object} env
+ * @param {string} key - the source object's R2 key
+ * @param {{ text?: boolean }} [opts] - `text: false` reads only the manifest
+ * @returns {Promise<{ manifest: object, text: string|null } | null>} null if not extracted
+ */
+export async function readExtraction(env, key, { text = true } = {}) {
+  const storage = env?.DOCUMENT_STORAGE;
+  if (!storage || !key) return null;
+  const keys = extractionKeys(key);
+  const manifestObj = await storage.get(keys.manifest);
+  if (!manifestObj) return null;
+  const manifest = await manifestObj.json();
+  if (!text || !manifest.textKey) return { manifest, text: null };
+  const textObj = await storage.get(manifest.textKey);
+  return { manifest, text: textObj ? await textObj.text() : null };
+}
+
+/**
+ * Move an object's sidecars along with it (reclassification). Missing
+ * sidecars are fine — extraction may not have run yet.
+ */
+export async function moveExtraction(storage, oldKey, newKey) {
+  const from = extractionKeys(oldKey);
+  const to = extractionKeys(newKey);
+  for (const part of ['text', 'manifest']) {
+    const obj = await storage.get(from[part]);
+    if (!obj) continue;
+    let body = await obj.arrayBuffer();
+    if (part === 'manifest') {
+      const manifest = JSON.parse(new TextDecoder().decode(body));
+      manifest.key = newKey;
+      if (manifest.textKey) manifest.textKey = to.text;
+      body = JSON.stringify(manifest);
+    }
+    await storage.put(to[part], body, {
+      httpMetadata: obj.httpMetadata,
+      customMetadata: { ...(obj.customMetadata || {}), sourceKey: newKey },
+    });
+    await storage.delete(from[part]);
+  }
+}
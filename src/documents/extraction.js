@@ -0,0 +1,312 @@
+/**
+ * Document text extraction — format detection and dispatch.
+ *
+ * Turns the bytes of a stored attachment into plain text plus a page map:
+ *
+ *   pdf    text layer per page (pdf.js); scanned pages OCRed
+ *   docx   paragraphs, paged at Word's recorded page breaks (ooxml.js)
+ *   xlsx   one "page" per worksheet, cells tab-separated (ooxml.js)
+ *   eml    envelope + body + attachment listing (mime-parser.js)
+ *   msg    envelope + body + attachment listing (msg.js)
+ *   zip    archive listing, one entry per line (contents not extracted)
+ *   image  OCR only
+ *   text   text/*, JSON, CSV, XML; HTML reduced to text
+ *
+ * OCR is injected (`opts.ocr`) so this module has no AI dependency; the
+ * pipeline passes the configured vision model (extraction-pipeline.js).
+ * Parse failures never throw — they come back as `status: 'failed'` with the
+ * reason in `warnings`, because retrying a malformed file cannot help.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { isZip, readZipDirectory, findZipEntry } from './zip.js';
+import { isPdf, extractPdf } from './pdf.js';
+import { extractDocx, extractXlsx } from './ooxml.js';
+import { isCompoundFile, parseMsg } from './msg.js';
+import { parseMime, htmlToText } from '../email/mime-parser.js';
+
+export const EXTRACTION_VERSION = 1;
+export const EXTRACTION_MAX_INPUT_BYTES = 25 * 1024 * 1024;
+export const EXTRACTION_MAX_TEXT_CHARS = 500_000;
+/** Per-document cap on vision-model calls. */
+export const OCR_MAX_IMAGES = 10;
+/** A PDF page with less text than this (after trimming) is treated as scanned. */
+export const OCR_MIN_PAGE_CHARS = 20;
+/** Cap on any single inflated stream or archive member. */
+const INFLATE_MAX_BYTES = 50 * 1024 * 1024;
+const PAGE_SEPARATOR = '\n\n';
+
+const utf8 = new TextDecoder('utf-8');
+
+const TEXT_EXTENSIONS = new Set(['txt', 'text', 'csv', 'tsv', 'json', 'xml', 'md', 'log', 'html', 'htm', 'ics', 'vcf', 'rtf']);
+
+/**
+ * @typedef {'pdf'|'docx'|'xlsx'|'zip'|'msg'|'eml'|'image'|'text'|'unsupported'} DocumentFormat
+ *
+ * @typedef {Object} PageSpan
+ * @property {number} page     - 1-based
+ * @property {string} label    - 'page 3', 'sheet Ledger', 'message', 'listing', 'image'
+ * @property {number} start    - offset into `text` (inclusive)
+ * @property {number} end      - offset into `text` (exclusive)
+ * @property {'text'|'ocr'} source
+ *
+ * @typedef {Object} ExtractionResult
+ * @property {number} version
+ * @property {'ok'|'empty'|'unsupported'|'too_large'|'encrypted'|'failed'} status
+ * @property {DocumentFormat} format
+ * @property {string} text
+ * @property {PageSpan[]} pages
+ * @property {Array<{ name: string, size: number }>} [entries] - archive members / msg attachments
+ * @property {{ pages: number, images: number }} ocr
+ * @property {string[]} warnings
+ * @property {boolean} truncated
+ */
+
+function extensionOf(filename) {
+  const m = String(filename || '').toLowerCase().match(/\.([a-z0-9]{1,5})$/);
+  return m ? m[1] : '';
+}
+
+function imageMimeType(bytes) {
+  const b = bytes;
+  if (b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) return 'image/jpeg';
+  if (b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47) return 'image/png';
+  if (b[0] === 0x47 && b[1] === 0x49 && b[2] === 0x46 && b[3] === 0x38) return 'image/gif';
+  if (b[0] === 0x52 && b[1] === 0x49 && b[2] === 0x46 && b[3] === 0x46 && b[8] === 0x57 && b[9] === 0x45 && b[10] === 0x42 && b[11] === 0x50) return 'image/webp';
+  if ((b[0] === 0x49 && b[1] === 0x49 && b[2] === 0x2a && b[3] === 0) || (b[0] === 0x4d && b[1] === 0x4d && b[2] === 0 && b[3] === 0x2a)) return 'image/tiff';
+  return null;
+}
+
+function looksLikeText(bytes) {
+  const sample = bytes.subarray(0, 4096);
+  if (sample.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample.length < bytes.length ? sample.subarray(0, sample.length - 4) : sample);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decide how to read a file. Magic bytes win over the filename and declared
+ * content type, which are sender-controlled.
+ *
+ * @param {{ filename?: string, contentType?: string }} meta
+ * @param {Uint8Array} bytes
+ * @returns {{ format: DocumentFormat, mimeType: string|null }}
+ */
+export function detectFormat({ filename, contentType } = {}, bytes) {
+  const ext = extensionOf(filename);
+  const type = String(contentType || '').toLowerCase();
+
+  if (isPdf(bytes)) return { format: 'pdf', mimeType: 'application/pdf' };
+  if (isZip(bytes)) {
+    if (ext === 'docx' || type.includes('wordprocessingml')) return { format: 'docx', mimeType: type || null };
+    if (ext === 'xlsx' || type.includes('spreadsheetml')) return { format: 'xlsx', mimeType: type || null };
+    return { format: 'zip', mimeType: type || 'application/zip' };
+  }
+  if (isCompoundFile(bytes)) {
+    // Legacy .doc/.xls share the container but not the Outlook layout.
+    if (ext === 'msg' || type.includes('vnd.ms-outlook')) return { format: 'msg', mimeType: 'application/vnd.ms-outlook' };
+    return { format: 'unsupported', mimeType: type || null };
+  }
+  const image = imageMimeType(bytes);
+  if (image) return { format: 'image', mimeType: image };
+  if (ext === 'eml' || type === 'message/rfc822') return { format: 'eml', mimeType: 'message/rfc822' };
+  if (type.startsWith('text/') || type.includes('json') || type.includes('xml') || TEXT_EXTENSIONS.has(ext) || looksLikeText(bytes)) {
+    return { format: 'text', mimeType: type || 'text/plain' };
+  }
+  return { format: 'unsupported', mimeType: type || null };
+}
+
+function envelopeText(fields, body, attachments) {
+  const lines = Object.entries(fields).filter(([, v]) => v).map(([k, v]) => `${k}: ${v}`);
+  let text = `${lines.join('\n')}\n\n${body.trim()}`;
+  if (attachments.length) {
+    text += `\n\nAttachments:\n${attachments.map((a) => `  ${a.name} (${a.size} bytes)`).join('\n')}`;
+  }
+  return text.trim();
+}
+
+async function runOcr(ocr, image, label, state) {
+  if (!ocr) {
+    state.skipped++;
+    return '';
+  }
+  if (state.images >= OCR_MAX_IMAGES) {
+    state.capped = true;
+    return '';
+  }
+  state.images++;
+  try {
+    return String((await ocr(image.bytes, { mimeType: image.mimeType, label })) || '').trim();
+  } catch (err) {
+    state.warnings.push(`ocr failed on ${label}: ${err.message}`);
+    return '';
+  }
+}
+
+/**
+ * Per-format readers. Each returns `{ pages: [{ label, text, source }], entries?, status? }`.
+ */
+const READERS = {
+  async pdf(bytes, _meta, ctx) {
+    const pdf = await extractPdf(bytes, { maxBytes: INFLATE_MAX_BYTES });
+    ctx.warnings.push(...pdf.warnings);
+    if (pdf.encrypted) return { pages: [], status: 'encrypted' };
+    const pages = [];
+    for (const [i, page] of pdf.pages.entries()) {
+      const label = `page ${i + 1}`;
+      if (page.text.length >= OCR_MIN_PAGE_CHARS || !page.images.length) {
+        pages.push({ label, text: page.text, source: 'text' });
+        continue;
+      }
+      const parts = [];
+      for (const image of page.images) parts.push(await runOcr(ctx.ocr, image, label, ctx.ocrState));
+      const ocrText = parts.filter(Boolean).join('\n');
+      if (ocrText) ctx.ocrState.pages++;
+      pages.push(ocrText ? { label, text: [page.text, ocrText].filter(Boolean).join('\n'), source: 'ocr' } : { label, text: page.text, source: 'text' });
+    }
+    return { pages };
+  },
+
+  async docx(bytes) {
+    return { pages: (await extractDocx(bytes, readZipDirectory(bytes), { maxBytes: INFLATE_MAX_BYTES })).map((p) => ({ ...p, source: 'text' })) };
+  },
+
+  async xlsx(bytes) {
+    return { pages: (await extractXlsx(bytes, readZipDirectory(bytes), { maxBytes: INFLATE_MAX_BYTES })).map((p) => ({ ...p, source: 'text' })) };
+  },
+
+  async zip(bytes) {
+    const entries = readZipDirectory(bytes)
+      .filter((e) => !e.isDirectory)
+      .map((e) => ({ name: e.name, size: e.size, ...(e.encrypted ? { encrypted: true } : {}) }));
+    const text = entries.map((e) => `${e.name}\t${e.size}${e.encrypted ? '\tencrypted' : ''}`).join('\n');
+    return { pages: [{ label: 'listing', text, source: 'text' }], entries };
+  },
+
+  async msg(bytes) {
+    const msg = parseMsg(bytes);
+    const text = envelopeText({ From: msg.from, To: msg.to, Cc: msg.cc, Date: msg.date, Subject: msg.subject }, msg.body, msg.attachments);
+    return { pages: [{ label: 'message', text, source: 'text' }], entries: msg.attachments };
+  },
+
+  async eml(bytes) {
+    const parsed = parseMime(bytes);
+    const header = (name) => parsed.headers[name]?.[0] || '';
+    const attachments = parsed.attachments.map((a) => ({ name: a.filename || a.contentType, size: a.size }));
+    const body = parsed.text || (parsed.html ? htmlToText(parsed.html) : '');
+    const text = envelopeText(
+      { From: header('from'), To: header('to'), Cc: header('cc'), Date: header('date'), Subject: header('subject') },
+      body,
+      attachments,
+    );
+    return { pages: [{ label: 'message', text, source: 'text' }], entries: attachments };
+  },
+
+  async image(bytes, meta, ctx) {
+    const text = await runOcr(ctx.ocr, { bytes, mimeType: meta.mimeType }, 'image', ctx.ocrState);
+    if (text) ctx.ocrState.pages++;
+    return { pages: [{ label: 'image', text, source: 'ocr' }] };
+  },
+
+  async text(bytes, meta) {
+    const raw = utf8.decode(bytes);
+    const html = /html/.test(meta.mimeType || '') || /^\s*<(!doctype html|html)/i.test(raw.slice(0, 512));
+    return { pages: [{ label: 'text', text: html ? htmlToText(raw) : raw, source: 'text' }] };
+  },
+};
+
+/**
+ * Join page texts into one string with a page map, capped at
+ * EXTRACTION_MAX_TEXT_CHARS (pages past the cap are dropped from the map).
+ */
+function assemble(pages) {
+  let text = '';
+  const spans = [];
+  let truncated = false;
+  for (const [i, page] of pages.entries()) {
+    const body = String(page.text || '').replace(/\r\n?/g, '\n').trim();
+    const sep = i > 0 ? PAGE_SEPARATOR : '';
+    const room = EXTRACTION_MAX_TEXT_CHARS - text.length - sep.length;
+    if (room <= 0) {
+      truncated = true;
+      break;
+    }
+    const clipped = body.length > room ? body.slice(0, room) : body;
+    if (clipped.length < body.length) truncated = true;
+    text += sep;
+    spans.push({ page: i + 1, label: page.label, start: text.length, end: text.length + clipped.length, source: page.source });
+    text += clipped;
+  }
+  return { text, pages: spans, truncated };
+}
+
+/**
+ * Extract text and a page map from a document.
+ *
+ * @param {Uint8Array} bytes
+ * @param {{ filename?: string, contentType?: string }} meta
+ * @param {{ ocr?: (image: Uint8Array, info: { mimeType: string, label: string }) => Promise<string> }} [opts]
+ * @returns {Promise<ExtractionResult>}
+ */
+export async function extractDocument(bytes, meta = {}, { ocr } = {}) {
+  const ocrState = { pages: 0, images: 0, skipped: 0, capped: false, warnings: [] };
+  const result = {
+    version: EXTRACTION_VERSION,
+    status: 'ok',
+    format: 'unsupported',
+    text: '',
+    pages: [],
+    ocr: { pages: 0, images: 0 },
+    warnings: [],
+    truncated: false,
+  };
+
+  if (bytes.length > EXTRACTION_MAX_INPUT_BYTES) {
+    result.status = 'too_large';
+    result.warnings.push(`file exceeds ${EXTRACTION_MAX_INPUT_BYTES} bytes`);
+    return result;
+  }
+
+  let { format, mimeType } = detectFormat(meta, bytes);
+  if (format === 'zip') {
+    // Office packages mislabelled as .zip (or with no name) still read as Office.
+    try {
+      const entries = readZipDirectory(bytes);
+      if (findZipEntry(entries, 'word/document.xml')) format = 'docx';
+      else if (findZipEntry(entries, 'xl/workbook.xml')) format = 'xlsx';
+    } catch {
+      // reported by the zip reader below
+    }
+  }
+  result.format = format;
+  if (format === 'unsupported') {
+    result.status = 'unsupported';
+    return result;
+  }
+
+  const ctx = { ocr, ocrState, warnings: result.warnings };
+  let read;
+  try {
+    read = await READERS[format](bytes, { ...meta, mimeType }, ctx);
+  } catch (err) {
+    result.status = 'failed';
+    result.warnings.push(err.message);
+    return result;
+  }
+
+  const assembled = assemble(read.pages);
+  Object.assign(result, assembled);
+  if (read.entries) result.entries = read.entries;
+  result.ocr = { pages: ocrState.pages, images: ocrState.images };
+  result.warnings.push(...ocrState.warnings);
+  if (ocrState.skipped) result.warnings.push(`${ocrState.skipped} image(s) not OCRed: no vision model configured`);
+  if (ocrState.capped) result.warnings.push(`OCR limited to ${OCR_MAX_IMAGES} images`);
+  if (read.status) result.status = read.status;
+  else if (!result.text.trim()) result.status = 'empty';
+  return result;
+}
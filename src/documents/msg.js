@@ -0,0 +1,219 @@
+/**
+ * Outlook .msg reader — just enough of the Compound File Binary format
+ * (MS-CFB) and the Outlook item layout (MS-OXMSG) to get the envelope, the
+ * plain-text body and the attachment list.
+ *
+ * Properties live in `__substg1.0_<tag><type>` streams; we read the string
+ * ones (type 001F = UTF-16LE, 001E = 8-bit). Attachments are
+ * `__attach_version1.0_#N` storages; only their names and sizes are listed.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+const CFB_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+const ENDOFCHAIN = 0xfffffffe;
+const FREESECT = 0xffffffff;
+const MAX_SECTORS = 1 << 20;
+const MAX_DIR_ENTRIES = 10000;
+
+const STORAGE = 1;
+const STREAM = 2;
+const ROOT = 5;
+
+const utf16 = new TextDecoder('utf-16le');
+const latin1 = new TextDecoder('latin1');
+
+// MS-OXPROPS tags for the fields we surface.
+const PROPS = {
+  subject: '0037',
+  senderName: '0C1A',
+  senderEmail: '0C1F',
+  displayTo: '0E04',
+  displayCc: '0E03',
+  body: '1000',
+  headers: '007D',
+};
+const ATTACH_LONG_FILENAME = '3707';
+const ATTACH_FILENAME = '3704';
+const ATTACH_DATA = '3701';
+
+/** True when bytes start with the CFB signature (.msg, legacy .doc/.xls). */
+export function isCompoundFile(bytes) {
+  return bytes.length >= 512 && CFB_SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+class CompoundFile {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.sectorSize = 1 << this.dv.getUint16(0x1e, true);
+    this.miniSectorSize = 1 << this.dv.getUint16(0x20, true);
+    this.miniCutoff = this.dv.getUint32(0x38, true);
+    this.fat = this.readFat();
+    this.entries = this.readDirectory();
+    const root = this.entries[0];
+    if (root?.type !== ROOT) throw new Error('msg: missing root entry');
+    this.miniStream = this.readChain(root.start, root.size, this.fat, this.sectorSize, (id) => this.sectorOffset(id));
+    this.miniFat = this.readMiniFat();
+  }
+
+  sectorOffset(id) {
+    return (id + 1) * this.sectorSize;
+  }
+
+  u32(offset) {
+    if (offset + 4 > this.bytes.length) throw new Error('msg: truncated file');
+    return this.dv.getUint32(offset, true);
+  }
+
+  readFat() {
+    const fatSectors = [];
+    for (let i = 0; i < 109; i++) {
+      const id = this.u32(0x4c + i * 4);
+      if (id !== FREESECT) fatSectors.push(id);
+    }
+    let difat = this.u32(0x44);
+    const perDifat = this.sectorSize / 4 - 1;
+    for (let guard = 0; difat !== ENDOFCHAIN && difat !== FREESECT && guard < MAX_SECTORS; guard++) {
+      const base = this.sectorOffset(difat);
+      for (let i = 0; i < perDifat; i++) {
+        const id = this.u32(base + i * 4);
+        if (id !== FREESECT) fatSectors.push(id);
+      }
+      difat = this.u32(base + perDifat * 4);
+    }
+    const fat = [];
+    for (const id of fatSectors) {
+      const base = this.sectorOffset(id);
+      for (let i = 0; i < this.sectorSize / 4; i++) fat.push(this.u32(base + i * 4));
+    }
+    return fat;
+  }
+
+  readChain(start, size, fat, unit, offsetOf, source = this.bytes) {
+    const out = new Uint8Array(size);
+    let written = 0;
+    let id = start;
+    for (let guard = 0; written < size && id !== ENDOFCHAIN && guard < MAX_SECTORS; guard++) {
+      if (id >= fat.length) throw new Error('msg: sector chain out of range');
+      const offset = offsetOf(id);
+      const chunk = source.subarray(offset, offset + Math.min(unit, size - written));
+      out.set(chunk, written);
+      written += chunk.length;
+      id = fat[id];
+    }
+    return out.subarray(0, written);
+  }
+
+  readMiniFat() {
+    const start = this.u32(0x3c);
+    const count = this.u32(0x40);
+    if (start === ENDOFCHAIN || !count) return [];
+    const raw = this.readChain(start, count * this.sectorSize, this.fat, this.sectorSize, (id) => this.sectorOffset(id));
+    const dv = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+    return Array.from({ length: raw.length / 4 }, (_, i) => dv.getUint32(i * 4, true));
+  }
+
+  readDirectory() {
+    const start = this.u32(0x30);
+    const entries = [];
+    let id = start;
+    for (let guard = 0; id !== ENDOFCHAIN && guard < MAX_SECTORS && entries.length < MAX_DIR_ENTRIES; guard++) {
+      const base = this.sectorOffset(id);
+      for (let i = 0; i < this.sectorSize / 128; i++) {
+        const p = base + i * 128;
+        const nameLen = this.dv.getUint16(p + 0x40, true);
+        entries.push({
+          name: utf16.decode(this.bytes.subarray(p, p + Math.max(0, nameLen - 2))),
+          type: this.bytes[p + 0x42],
+          left: this.u32(p + 0x44),
+          right: this.u32(p + 0x48),
+          child: this.u32(p + 0x4c),
+          start: this.u32(p + 0x74),
+          size: this.u32(p + 0x78),
+        });
+      }
+      id = this.fat[id];
+    }
+    return entries;
+  }
+
+  /** Direct children of a storage (its red-black sibling tree). */
+  children(index) {
+    const out = [];
+    const stack = [this.entries[index]?.child];
+    const seen = new Set();
+    while (stack.length) {
+      const id = stack.pop();
+      if (id === undefined || id === FREESECT || seen.has(id) || !this.entries[id]) continue;
+      seen.add(id);
+      const entry = this.entries[id];
+      out.push({ ...entry, index: id });
+      stack.push(entry.left, entry.right);
+    }
+    return out;
+  }
+
+  read(entry) {
+    if (entry.size < this.miniCutoff) {
+      return this.readChain(entry.start, entry.size, this.miniFat, this.miniSectorSize,
+        (id) => id * this.miniSectorSize, this.miniStream);
+    }
+    return this.readChain(entry.start, entry.size, this.fat, this.sectorSize, (id) => this.sectorOffset(id));
+  }
+}
+
+function stringProps(cfb, index) {
+  const props = {};
+  for (const entry of cfb.children(index)) {
+    const m = entry.type === STREAM && entry.name.match(/^__substg1\.0_([0-9A-F]{4})(001F|001E|0102)$/i);
+    if (!m) continue;
+    const tag = m[1].toUpperCase();
+    const type = m[2].toUpperCase();
+    if (type === '0102') {
+      props[tag] = { size: entry.size };
+    } else {
+      const bytes = cfb.read(entry);
+      props[tag] = (type === '001F' ? utf16 : latin1).decode(bytes).replace(/\0+$/, '');
+    }
+  }
+  return props;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {{
+ *   from: string, to: string, cc: string, subject: string, date: string, body: string,
+ *   attachments: Array<{ name: string, size: number }>,
+ * }}
+ */
+export function parseMsg(bytes) {
+  if (!isCompoundFile(bytes)) throw new Error('msg: not a compound file');
+  const cfb = new CompoundFile(bytes);
+  const props = stringProps(cfb, 0);
+
+  const attachments = [];
+  for (const entry of cfb.children(0)) {
+    if (entry.type !== STORAGE || !entry.name.startsWith('__attach_version1.0_')) continue;
+    const a = stringProps(cfb, entry.index);
+    attachments.push({
+      name: a[ATTACH_LONG_FILENAME] || a[ATTACH_FILENAME] || entry.name,
+      size: a[ATTACH_DATA]?.size ?? 0,
+    });
+  }
+
+  const sender = props[PROPS.senderName] && props[PROPS.senderEmail]
+    ? `${props[PROPS.senderName]} <${props[PROPS.senderEmail]}>`
+    : props[PROPS.senderEmail] || props[PROPS.senderName] || '';
+  const date = String(props[PROPS.headers] || '').match(/^Date:\s*(.+)$/im)?.[1]?.trim() ?? '';
+
+  return {
+    from: sender,
+    to: props[PROPS.displayTo] || '',
+    cc: props[PROPS.displayCc] || '',
+    subject: props[PROPS.subject] || '',
+    date,
+    body: props[PROPS.body] || '',
+    attachments,
+  };
+}
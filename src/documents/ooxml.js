@@ -0,0 +1,131 @@
+/**
+ * Text from Office Open XML packages: DOCX (word/document.xml) and XLSX
+ * (shared strings + worksheets). Regex-level XML scanning, not a DOM — the
+ * parts we read are machine-written and flat enough for it, and Workers have
+ * no DOMParser.
+ *
+ * DOCX pages come from the page breaks Word recorded when it last laid the
+ * document out (`w:lastRenderedPageBreak`) plus explicit page breaks; a
+ * document saved by a tool that records neither is one page. XLSX "pages"
+ * are worksheets.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { findZipEntry, readZipEntry } from './zip.js';
+
+const utf8 = new TextDecoder('utf-8');
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+export function decodeXmlEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1] === 'x' || e[1] === 'X' ? Number.parseInt(e.slice(2), 16) : Number.parseInt(e.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return XML_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+async function readXml(bytes, entries, name, maxBytes) {
+  const entry = findZipEntry(entries, name);
+  return entry ? utf8.decode(await readZipEntry(bytes, entry, { maxBytes })) : null;
+}
+
+/**
+ * @param {Uint8Array} bytes - the .docx package
+ * @param {import('./zip.js').ZipEntry[]} entries
+ * @param {{ maxBytes: number }} opts
+ * @returns {Promise<Array<{ label: string, text: string }>>} one entry per page
+ */
+export async function extractDocx(bytes, entries, { maxBytes }) {
+  const xml = await readXml(bytes, entries, 'word/document.xml', maxBytes);
+  if (xml === null) throw new Error('docx: word/document.xml missing');
+
+  const pages = [''];
+  const token = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:(tab|cr)\s*\/>|<w:br\b([^>]*)\/>|<w:lastRenderedPageBreak\s*\/>|<\/w:p>/g;
+  let m;
+  while ((m = token.exec(xml))) {
+    if (m[1] !== undefined) pages[pages.length - 1] += decodeXmlEntities(m[1]);
+    else if (m[2] === 'tab') pages[pages.length - 1] += '\t';
+    else if (m[2] === 'cr') pages[pages.length - 1] += '\n';
+    else if (m[3] !== undefined) {
+      if (/w:type="page"/.test(m[3])) pages.push('');
+      else pages[pages.length - 1] += '\n';
+    } else if (m[0].startsWith('<w:lastRenderedPageBreak')) {
+      // Word records this at the start of a page's first run; a break at the
+      // very start of the document is not a page boundary.
+      if (pages.length > 1 || pages[0].trim()) pages.push('');
+    } else {
+      pages[pages.length - 1] += '\n';
+    }
+  }
+  return pages.map((text, i) => ({ label: `page ${i + 1}`, text: text.replace(/\n{3,}/g, '\n\n').trim() }));
+}
+
+function sharedStrings(xml) {
+  if (!xml) return [];
+  const out = [];
+  const si = /<si>([\s\S]*?)<\/si>/g;
+  let m;
+  while ((m = si.exec(xml))) {
+    // Phonetic runs (<rPh>) repeat the text in another script — skip them.
+    const body = m[1].replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+    out.push([...body.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map((t) => decodeXmlEntities(t[1])).join(''));
+  }
+  return out;
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return m ? decodeXmlEntities(m[1]) : null;
+}
+
+/**
+ * @param {Uint8Array} bytes - the .xlsx package
+ * @param {import('./zip.js').ZipEntry[]} entries
+ * @param {{ maxBytes: number }} opts
+ * @returns {Promise<Array<{ label: string, text: string }>>} one entry per worksheet
+ */
+export async function extractXlsx(bytes, entries, { maxBytes }) {
+  const workbook = await readXml(bytes, entries, 'xl/workbook.xml', maxBytes);
+  if (workbook === null) throw new Error('xlsx: xl/workbook.xml missing');
+  const rels = await readXml(bytes, entries, 'xl/_rels/workbook.xml.rels', maxBytes) || '';
+  const strings = sharedStrings(await readXml(bytes, entries, 'xl/sharedStrings.xml', maxBytes));
+
+  const targets = {};
+  for (const [tag] of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+    const target = attr(tag, 'Target') || '';
+    targets[attr(tag, 'Id')] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+
+  const sheets = [];
+  for (const [tag] of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+    const name = attr(tag, 'name') || `Sheet${sheets.length + 1}`;
+    const path = targets[attr(tag, 'r:id')];
+    const xml = path ? await readXml(bytes, entries, path, maxBytes) : null;
+    if (xml === null) continue;
+
+    const rows = [];
+    for (const [, row] of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+      const cells = [];
+      for (const [, cellAttrs, cellBody] of row.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        if (!cellBody) continue;
+        const type = attr(cellAttrs, 't');
+        let value;
+        if (type === 'inlineStr') {
+          value = [...cellBody.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map((t) => decodeXmlEntities(t[1])).join('');
+        } else {
+          const v = cellBody.match(/<v>([^<]*)<\/v>/);
+          if (!v) continue;
+          value = type === 's' ? (strings[Number.parseInt(v[1], 10)] ?? '') : decodeXmlEntities(v[1]);
+        }
+        if (value !== '') cells.push(value);
+      }
+      if (cells.length) rows.push(cells.join('\t'));
+    }
+    sheets.push({ label: `sheet ${name}`, text: rows.join('\n') });
+  }
+  return sheets;
+}
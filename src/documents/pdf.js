@@ -0,0 +1,647 @@
+/**
+ * PDF text extraction without a PDF library.
+ *
+ * Parses the object table by scanning for `N G obj` (so damaged xref tables
+ * don't matter), expands compressed object streams, walks the page tree and
+ * interprets each page's content stream for text-showing operators. Font
+ * ToUnicode CMaps are honoured, which covers the Type0/Identity-H fonts that
+ * Word, Chrome and most scanners' OCR layers emit; simple fonts without a
+ * CMap are read as Latin-1.
+ *
+ * Pages with little or no text but a JPEG image drawn on them are reported
+ * with that image, so the caller can OCR scanned pages (extraction.js).
+ *
+ * Not supported: encrypted PDFs (reported, not decrypted), LZW/RunLength
+ * filters, CID fonts without a ToUnicode map, text in Type3 glyph procs.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { inflateBytes } from './zip.js';
+
+export const PDF_MAX_PAGES = 2000;
+const MAX_FORM_DEPTH = 3;
+const MAX_TREE_DEPTH = 32;
+
+const utf16be = new TextDecoder('utf-16be');
+
+/** True when `%PDF-` appears in the first KB (some producers prepend junk). */
+export function isPdf(bytes) {
+  const head = bytesToBinary(bytes.subarray(0, 1024));
+  return head.includes('%PDF-');
+}
+
+function bytesToBinary(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return out;
+}
+
+// ============ Lexer / object parser ============
+
+const WHITESPACE = new Set(['\0', '\t', '\n', '\f', '\r', ' ']);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+class Lexer {
+  constructor(src, pos = 0) {
+    this.src = src;
+    this.pos = pos;
+  }
+
+  skipSpace() {
+    const s = this.src;
+    while (this.pos < s.length) {
+      const c = s[this.pos];
+      if (WHITESPACE.has(c)) this.pos++;
+      else if (c === '%') {
+        while (this.pos < s.length && s[this.pos] !== '\n' && s[this.pos] !== '\r') this.pos++;
+      } else break;
+    }
+  }
+
+  regular() {
+    const s = this.src;
+    const start = this.pos;
+    while (this.pos < s.length && !WHITESPACE.has(s[this.pos]) && !DELIMITERS.has(s[this.pos])) this.pos++;
+    return s.slice(start, this.pos);
+  }
+
+  literal() {
+    const s = this.src;
+    let depth = 1;
+    let out = '';
+    this.pos++;
+    while (this.pos < s.length) {
+      const c = s[this.pos++];
+      if (c === '\\') {
+        const e = s[this.pos++];
+        if (e in ESCAPES) out += ESCAPES[e];
+        else if (e >= '0' && e <= '7') {
+          let oct = e;
+          while (oct.length < 3 && s[this.pos] >= '0' && s[this.pos] <= '7') oct += s[this.pos++];
+          out += String.fromCharCode(Number.parseInt(oct, 8) & 0xff);
+        } else if (e === '\r') {
+          if (s[this.pos] === '\n') this.pos++;
+        } else if (e !== '\n' && e !== undefined) out += e;
+      } else if (c === '(') {
+        depth++;
+        out += c;
+      } else if (c === ')') {
+        if (--depth === 0) break;
+        out += c;
+      } else out += c;
+    }
+    return out;
+  }
+
+  hex() {
+    const s = this.src;
+    const end = s.indexOf('>', this.pos);
+    const digits = s.slice(this.pos + 1, end < 0 ? s.length : end).replace(/[^0-9a-fA-F]/g, '');
+    this.pos = end < 0 ? s.length : end + 1;
+    let out = '';
+    for (let i = 0; i < digits.length; i += 2) out += String.fromCharCode(Number.parseInt(digits.slice(i, i + 2).padEnd(2, '0'), 16));
+    return out;
+  }
+
+  /** @returns {{ type: string, value?: any } | null} */
+  next() {
+    this.skipSpace();
+    const s = this.src;
+    if (this.pos >= s.length) return null;
+    const c = s[this.pos];
+    if (c === '(') return { type: 'string', value: this.literal() };
+    if (c === '<') {
+      if (s[this.pos + 1] === '<') {
+        this.pos += 2;
+        return { type: 'dict_start' };
+      }
+      return { type: 'string', value: this.hex() };
+    }
+    if (c === '>' && s[this.pos + 1] === '>') {
+      this.pos += 2;
+      return { type: 'dict_end' };
+    }
+    if (c === '[' || c === ']' || c === '{' || c === '}' || c === '>' || c === ')') {
+      this.pos++;
+      return { type: c === '[' ? 'array_start' : c === ']' ? 'array_end' : 'keyword', value: c };
+    }
+    if (c === '/') {
+      this.pos++;
+      return { type: 'name', value: this.regular().replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(Number.parseInt(h, 16))) };
+    }
+    const word = this.regular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { type: 'number', value: Number(word) };
+    return { type: 'keyword', value: word };
+  }
+}
+
+/** Name objects are wrapped so they can't be confused with strings. */
+const isName = (v, name) => v && typeof v === 'object' && v.name !== undefined && (name === undefined || v.name === name);
+
+function parseObject(lexer, token = lexer.next()) {
+  if (!token) return null;
+  switch (token.type) {
+    case 'dict_start': {
+      const dict = Object.create(null);
+      for (let t = lexer.next(); t && t.type !== 'dict_end'; t = lexer.next()) {
+        if (t.type !== 'name') continue;
+        dict[t.value] = parseObject(lexer);
+      }
+      return dict;
+    }
+    case 'array_start': {
+      const arr = [];
+      for (let t = lexer.next(); t && t.type !== 'array_end'; t = lexer.next()) arr.push(parseObject(lexer, t));
+      return arr;
+    }
+    case 'name':
+      return { name: token.value };
+    case 'string':
+      return { str: token.value };
+    case 'number': {
+      const save = lexer.pos;
+      const gen = lexer.next();
+      if (gen?.type === 'number') {
+        const r = lexer.next();
+        if (r?.type === 'keyword' && r.value === 'R') return { ref: token.value };
+      }
+      lexer.pos = save;
+      return token.value;
+    }
+    case 'keyword':
+      if (token.value === 'true') return true;
+      if (token.value === 'false') return false;
+      return null;
+    default:
+      return null;
+  }
+}
+
+// ============ Filters ============
+
+function ascii85(bytes) {
+  const s = bytesToBinary(bytes).replace(/\s+/g, '').replace(/^<~/, '').replace(/~>.*$/s, '');
+  const out = [];
+  let group = [];
+  for (const c of s) {
+    if (c === 'z' && group.length === 0) {
+      out.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(c.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      let n = 0;
+      for (const d of group) n = n * 85 + d;
+      out.push((n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff);
+      group = [];
+    }
+  }
+  if (group.length > 1) {
+    const pad = 5 - group.length;
+    let n = 0;
+    for (const d of [...group, ...Array(pad).fill(84)]) n = n * 85 + d;
+    out.push(...[(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff].slice(0, 4 - pad));
+  }
+  return Uint8Array.from(out);
+}
+
+function asciiHex(bytes) {
+  const digits = bytesToBinary(bytes).replace(/>.*$/s, '').replace(/[^0-9a-fA-F]/g, '');
+  const out = new Uint8Array(Math.ceil(digits.length / 2));
+  for (let i = 0; i < out.length; i++) out[i] = Number.parseInt(digits.slice(i * 2, i * 2 + 2).padEnd(2, '0'), 16);
+  return out;
+}
+
+/** Undo PNG predictors (DecodeParms /Predictor >= 10). */
+function unpredict(bytes, parms) {
+  const predictor = parms?.Predictor ?? 1;
+  if (predictor < 10) return bytes;
+  const colors = parms.Colors ?? 1;
+  const bpc = parms.BitsPerComponent ?? 8;
+  const columns = parms.Columns ?? 1;
+  const bpp = Math.max(1, Math.ceil((colors * bpc) / 8));
+  const rowLen = Math.ceil((colors * bpc * columns) / 8);
+  const rows = Math.floor(bytes.length / (rowLen + 1));
+  const out = new Uint8Array(rows * rowLen);
+  for (let r = 0; r < rows; r++) {
+    const type = bytes[r * (rowLen + 1)];
+    const src = r * (rowLen + 1) + 1;
+    const dst = r * rowLen;
+    for (let i = 0; i < rowLen; i++) {
+      const left = i >= bpp ? out[dst + i - bpp] : 0;
+      const up = r > 0 ? out[dst - rowLen + i] : 0;
+      const upLeft = r > 0 && i >= bpp ? out[dst - rowLen + i - bpp] : 0;
+      let v = bytes[src + i];
+      if (type === 1) v += left;
+      else if (type === 2) v += up;
+      else if (type === 3) v += (left + up) >> 1;
+      else if (type === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        v += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      out[dst + i] = v & 0xff;
+    }
+  }
+  return out;
+}
+
+const IMAGE_FILTERS = new Set(['DCTDecode', 'DCT', 'JPXDecode', 'CCITTFaxDecode', 'CCF', 'JBIG2Decode']);
+
+// ============ Document ============
+
+class PdfDocument {
+  constructor(bytes, { maxBytes }) {
+    this.bytes = bytes;
+    this.maxBytes = maxBytes;
+    this.src = bytesToBinary(bytes);
+    this.objects = new Map();
+    this.cache = new Map();
+    this.fontCache = new Map();
+    this.warnings = new Set();
+    this.scanObjects();
+  }
+
+  scanObjects() {
+    const s = this.src;
+    const re = /(\d+)\s+\d+\s+obj\b/g;
+    let m;
+    while ((m = re.exec(s))) {
+      const num = Number(m[1]);
+      const bodyStart = m.index + m[0].length;
+      const end = s.indexOf('endobj', bodyStart);
+      const stream = s.indexOf('stream', bodyStart);
+      if (stream >= 0 && (end < 0 || stream < end) && s.slice(stream - 3, stream) !== 'end') {
+        let dataStart = stream + 6;
+        if (s[dataStart] === '\r') dataStart++;
+        if (s[dataStart] === '\n') dataStart++;
+        const dictSrc = s.slice(bodyStart, stream);
+        const len = dictSrc.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/);
+        let dataEnd = -1;
+        if (len) {
+          const candidate = dataStart + Number(len[1]);
+          if (/^\s*endstream/.test(s.slice(candidate, candidate + 32))) dataEnd = candidate;
+        }
+        if (dataEnd < 0) {
+          dataEnd = s.indexOf('endstream', dataStart);
+          if (dataEnd < 0) break;
+          while (dataEnd > dataStart && (s[dataEnd - 1] === '\n' || s[dataEnd - 1] === '\r')) dataEnd--;
+        }
+        this.objects.set(num, { body: dictSrc, dataStart, dataEnd });
+        re.lastIndex = dataEnd;
+      } else {
+        this.objects.set(num, { body: s.slice(bodyStart, end < 0 ? s.length : end) });
+        if (end >= 0) re.lastIndex = end;
+      }
+    }
+  }
+
+  /** Objects packed inside /Type /ObjStm streams (PDF 1.5+). */
+  async expandObjectStreams() {
+    for (const [, entry] of [...this.objects]) {
+      if (entry.dataStart === undefined || !/\/Type\s*\/ObjStm/.test(entry.body)) continue;
+      const dict = parseObject(new Lexer(entry.body));
+      let data;
+      try {
+        ({ data } = await this.decodeStream(dict, this.bytes.subarray(entry.dataStart, entry.dataEnd)));
+      } catch {
+        this.warnings.add('unreadable object stream');
+        continue;
+      }
+      const text = bytesToBinary(data);
+      const first = dict.First ?? 0;
+      const header = text.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let i = 0; i + 1 < header.length; i += 2) {
+        const num = header[i];
+        const start = first + header[i + 1];
+        const stop = i + 3 < header.length ? first + header[i + 3] : text.length;
+        if (!this.objects.has(num)) this.objects.set(num, { body: text.slice(start, stop) });
+      }
+    }
+  }
+
+  resolve(value, depth = 0) {
+    if (!value || typeof value !== 'object' || value.ref === undefined || depth > 8) return value;
+    if (this.cache.has(value.ref)) return this.cache.get(value.ref);
+    const entry = this.objects.get(value.ref);
+    const parsed = entry ? parseObject(new Lexer(entry.body)) : null;
+    const result = this.resolve(parsed, depth + 1);
+    this.cache.set(value.ref, result);
+    return result;
+  }
+
+  /** Raw stream bytes for an indirect reference, or null. */
+  streamOf(ref) {
+    const entry = ref?.ref !== undefined ? this.objects.get(ref.ref) : null;
+    if (!entry || entry.dataStart === undefined) return null;
+    return { dict: this.resolve(ref), raw: this.bytes.subarray(entry.dataStart, entry.dataEnd) };
+  }
+
+  /**
+   * Apply a stream's filters. Stops at an image codec and reports it.
+   * @returns {Promise<{ data: Uint8Array, imageFilter: string|null }>}
+   */
+  async decodeStream(dict, raw) {
+    const filters = [dict?.Filter].flat().filter(Boolean).map((f) => this.resolve(f)?.name);
+    const parms = [dict?.DecodeParms ?? dict?.DP].flat().map((p) => this.resolve(p));
+    let data = raw;
+    for (let i = 0; i < filters.length; i++) {
+      const f = filters[i];
+      if (IMAGE_FILTERS.has(f)) return { data, imageFilter: f === 'DCT' ? 'DCTDecode' : f };
+      if (f === 'FlateDecode' || f === 'Fl') {
+        data = unpredict(await inflateBytes(data, { format: 'deflate', maxBytes: this.maxBytes }), parms[i]);
+      } else if (f === 'ASCII85Decode' || f === 'A85') data = ascii85(data);
+      else if (f === 'ASCIIHexDecode' || f === 'AHx') data = asciiHex(data);
+      else throw new Error(`unsupported filter ${f}`);
+    }
+    return { data, imageFilter: null };
+  }
+
+  /** /Encrypt in a classic trailer or a cross-reference stream dictionary. */
+  encrypted() {
+    const trailers = [...this.src.matchAll(/trailer([\s\S]{0,4096}?)startxref/g)].map((m) => m[1]);
+    for (const entry of this.objects.values()) {
+      if (/\/Type\s*\/XRef/.test(entry.body)) trailers.push(entry.body);
+    }
+    return trailers.some((t) => /\/Encrypt\b/.test(t));
+  }
+
+  rootRef() {
+    const matches = [...this.src.matchAll(/\/Root\s+(\d+)\s+\d+\s+R/g)];
+    return matches.length ? { ref: Number(matches.at(-1)[1]) } : null;
+  }
+
+  /** Page dictionaries in reading order, each with inherited Resources. */
+  pages() {
+    const out = [];
+    const seen = new Set();
+    const walk = (ref, inherited, depth) => {
+      if (depth > MAX_TREE_DEPTH || out.length >= PDF_MAX_PAGES) return;
+      if (ref?.ref !== undefined) {
+        if (seen.has(ref.ref)) return;
+        seen.add(ref.ref);
+      }
+      const node = this.resolve(ref);
+      if (!node || typeof node !== 'object') return;
+      const resources = node.Resources ?? inherited;
+      if (isName(node.Type, 'Pages') || Array.isArray(node.Kids)) {
+        for (const kid of this.resolve(node.Kids) || []) walk(kid, resources, depth + 1);
+      } else {
+        out.push({ ...node, Resources: resources });
+      }
+    };
+    const catalog = this.resolve(this.rootRef());
+    if (catalog?.Pages) walk(catalog.Pages, null, 0);
+    if (out.length) return out;
+
+    // No usable catalog: every /Type /Page object in object order.
+    for (const num of [...this.objects.keys()].sort((a, b) => a - b)) {
+      if (/\/Type\s*\/Page(?![s\w])/.test(this.objects.get(num).body)) out.push(this.resolve({ ref: num }));
+      if (out.length >= PDF_MAX_PAGES) break;
+    }
+    return out;
+  }
+
+  async font(ref) {
+    const key = ref?.ref ?? ref;
+    if (key !== undefined && this.fontCache.has(key)) return this.fontCache.get(key);
+    const dict = this.resolve(ref) || {};
+    const font = { type0: isName(dict.Subtype, 'Type0'), cmap: null };
+    const stream = this.streamOf(dict.ToUnicode);
+    if (stream) {
+      try {
+        font.cmap = parseToUnicode(bytesToBinary((await this.decodeStream(stream.dict, stream.raw)).data));
+      } catch {
+        this.warnings.add('unreadable ToUnicode map');
+      }
+    }
+    if (font.type0 && !font.cmap) this.warnings.add('CID font without ToUnicode map');
+    if (key !== undefined) this.fontCache.set(key, font);
+    return font;
+  }
+
+  /**
+   * Text and drawn images of one content stream (recursing into forms).
+   * @returns {Promise<{ text: string, images: object[] }>}
+   */
+  async interpret(content, resources, depth = 0) {
+    const res = this.resolve(resources) || {};
+    const fonts = this.resolve(res.Font) || {};
+    const xobjects = this.resolve(res.XObject) || {};
+    const lexer = new Lexer(content);
+    const images = [];
+    let text = '';
+    let font = null;
+    let operands = [];
+    let lastY = null;
+
+    const newline = () => {
+      if (text && !text.endsWith('\n')) text += '\n';
+    };
+    const show = (str) => {
+      text += decodeString(str, font);
+    };
+
+    for (let t = lexer.next(); t; t = lexer.next()) {
+      if (t.type !== 'keyword') {
+        operands.push(parseObject(lexer, t));
+        continue;
+      }
+      switch (t.value) {
+        case 'Tf':
+          font = fonts[operands[0]?.name] ? await this.font(fonts[operands[0].name]) : null;
+          break;
+        case 'Tj':
+          if (operands[0]?.str !== undefined) show(operands[0].str);
+          break;
+        case "'":
+          newline();
+          if (operands[0]?.str !== undefined) show(operands[0].str);
+          break;
+        case '"':
+          newline();
+          if (operands[2]?.str !== undefined) show(operands[2].str);
+          break;
+        case 'TJ':
+          for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+            if (item?.str !== undefined) show(item.str);
+            else if (typeof item === 'number' && item < -180 && !/\s$/.test(text)) text += ' ';
+          }
+          break;
+        case 'Td':
+        case 'TD':
+          if (operands[1]) newline();
+          else if (operands[0] > 0 && !/\s$/.test(text)) text += ' ';
+          break;
+        case 'T*':
+        case 'ET':
+          newline();
+          break;
+        case 'Tm':
+          if (lastY !== null && operands[5] !== lastY) newline();
+          else if (!/\s$/.test(text)) text += ' ';
+          lastY = operands[5];
+          break;
+        case 'Do': {
+          const ref = xobjects[operands[0]?.name];
+          const stream = this.streamOf(ref);
+          if (!stream) break;
+          if (isName(stream.dict.Subtype, 'Image')) {
+            images.push({ dict: stream.dict, raw: stream.raw });
+          } else if (isName(stream.dict.Subtype, 'Form') && depth < MAX_FORM_DEPTH) {
+            try {
+              const { data } = await this.decodeStream(stream.dict, stream.raw);
+              const inner = await this.interpret(bytesToBinary(data), stream.dict.Resources ?? resources, depth + 1);
+              newline();
+              text += inner.text;
+              images.push(...inner.images);
+            } catch {
+              this.warnings.add('unreadable form XObject');
+            }
+          }
+          break;
+        }
+        case 'BI': {
+          // Inline image: skip its binary payload.
+          const id = content.indexOf('ID', lexer.pos);
+          const ei = id < 0 ? -1 : content.slice(id + 2).search(/\sEI(?=\s|$)/);
+          lexer.pos = ei < 0 ? content.length : id + 2 + ei + 3;
+          break;
+        }
+        default:
+          break;
+      }
+      operands = [];
+    }
+    return { text, images };
+  }
+}
+
+/**
+ * Parse a ToUnicode CMap: code (as a byte string) → Unicode text.
+ * @returns {{ map: Map<string, string>, lengths: number[] }}
+ */
+export function parseToUnicode(src) {
+  const map = new Map();
+  const lengths = new Set();
+  const hexBytes = (h) => h.replace(/\s+/g, '').match(/../g)?.map((b) => String.fromCharCode(Number.parseInt(b, 16))).join('') ?? '';
+  const unicode = (h) => {
+    const clean = h.replace(/\s+/g, '');
+    const bytes = new Uint8Array(clean.length / 2);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = Number.parseInt(clean.slice(i * 2, i * 2 + 2), 16);
+    return utf16be.decode(bytes);
+  };
+
+  for (const [, block] of src.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    for (const [, lo] of block.matchAll(/<([0-9a-fA-F\s]+)>\s*<[0-9a-fA-F\s]+>/g)) lengths.add(lo.replace(/\s+/g, '').length / 2);
+  }
+  for (const [, block] of src.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, code, dst] of block.matchAll(/<([0-9a-fA-F\s]+)>\s*<([0-9a-fA-F\s]*)>/g)) {
+      const key = hexBytes(code);
+      lengths.add(key.length);
+      map.set(key, unicode(dst));
+    }
+  }
+  for (const [, block] of src.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, lo, hi, rest] of block.matchAll(/<([0-9a-fA-F\s]+)>\s*<([0-9a-fA-F\s]+)>\s*(<[0-9a-fA-F\s]*>|\[[^\]]*\])/g)) {
+      const width = lo.replace(/\s+/g, '').length / 2;
+      const start = Number.parseInt(lo.replace(/\s+/g, ''), 16);
+      const end = Math.min(Number.parseInt(hi.replace(/\s+/g, ''), 16), start + 0xffff);
+      lengths.add(width);
+      const codeKey = (n) => hexBytes(n.toString(16).padStart(width * 2, '0'));
+      if (rest.startsWith('[')) {
+        const dsts = [...rest.matchAll(/<([0-9a-fA-F\s]*)>/g)].map((d) => d[1]);
+        for (let n = start; n <= end && n - start < dsts.length; n++) map.set(codeKey(n), unicode(dsts[n - start]));
+      } else {
+        const base = rest.slice(1, -1).replace(/\s+/g, '');
+        const prefix = base.slice(0, -4);
+        const last = Number.parseInt(base.slice(-4) || '0', 16);
+        for (let n = start; n <= end; n++) {
+          map.set(codeKey(n), unicode(prefix + (last + n - start).toString(16).padStart(4, '0')));
+        }
+      }
+    }
+  }
+  return { map, lengths: [...lengths].filter((n) => n > 0).sort((a, b) => b - a) };
+}
+
+function decodeString(str, font) {
+  if (font?.cmap) {
+    const { map, lengths } = font.cmap;
+    let out = '';
+    for (let i = 0; i < str.length;) {
+      let matched = false;
+      for (const len of lengths.length ? lengths : [font.type0 ? 2 : 1]) {
+        const code = str.slice(i, i + len);
+        if (map.has(code)) {
+          out += map.get(code);
+          i += len;
+          matched = true;
+          break;
+        }
+      }
+      if (!matched) i += font.type0 ? 2 : 1;
+    }
+    return out;
+  }
+  if (font?.type0) return '';
+  return str.replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+}
+
+/**
+ * Extract per-page text, plus the JPEG images drawn on each page.
+ *
+ * @param {Uint8Array} bytes
+ * @param {{ maxBytes: number }} opts - per-stream inflate cap
+ * @returns {Promise<{
+ *   pages: Array<{ text: string, images: Array<{ bytes: Uint8Array, mimeType: string, width: number, height: number }> }>,
+ *   encrypted: boolean,
+ *   warnings: string[],
+ * }>}
+ */
+export async function extractPdf(bytes, { maxBytes }) {
+  const doc = new PdfDocument(bytes, { maxBytes });
+  if (doc.encrypted()) {
+    return { pages: [], encrypted: true, warnings: ['encrypted PDF — text not extracted'] };
+  }
+  await doc.expandObjectStreams();
+
+  const pages = [];
+  for (const page of doc.pages()) {
+    // /Contents is a stream reference or an array of them (possibly indirect).
+    const listed = doc.resolve(page.Contents);
+    const refs = Array.isArray(listed) ? listed : [page.Contents];
+    let content = '';
+    for (const ref of refs) {
+      const stream = doc.streamOf(ref);
+      if (!stream) continue;
+      try {
+        content += `${bytesToBinary((await doc.decodeStream(stream.dict, stream.raw)).data)}\n`;
+      } catch (err) {
+        doc.warnings.add(`page content: ${err.message}`);
+      }
+    }
+    const { text, images } = await doc.interpret(content, page.Resources);
+    const jpegs = [];
+    for (const image of images) {
+      try {
+        const { data, imageFilter } = await doc.decodeStream(image.dict, image.raw);
+        if (imageFilter === 'DCTDecode') {
+          jpegs.push({ bytes: data, mimeType: 'image/jpeg', width: image.dict.Width ?? 0, height: image.dict.Height ?? 0 });
+        } else {
+          doc.warnings.add(`image encoding ${imageFilter ?? 'raw'} not OCR-able`);
+        }
+      } catch (err) {
+        doc.warnings.add(`image: ${err.message}`);
+      }
+    }
+    pages.push({ text: text.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim(), images: jpegs });
+  }
+  return { pages, encrypted: false, warnings: [...doc.warnings] };
+}
@@ -0,0 +1,254 @@
+/**
+ * Minimal ZIP reader for attachment extraction — enough for DOCX/XLSX
+ * (which are ZIP packages) and archive listings — plus a stored-only
+ * writer for the packets we produce (exhibit exports).
+ *
+ * Reads the central directory, then inflates single entries on demand with
+ * the platform DecompressionStream ('deflate-raw'), so no dependency is
+ * needed in Workers or node. Not supported: ZIP64, encrypted entries,
+ * multi-disk archives, compression methods other than stored/deflate.
+ *
+ * Every read is bounded (ZIP_MAX_ENTRIES, `maxBytes`) — archives are
+ * attacker-supplied and a 1 KB zip bomb must not exhaust the isolate.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+const EOCD_SIG = 0x06054b50;
+const CEN_SIG = 0x02014b50;
+const LOC_SIG = 0x04034b50;
+const EOCD_MIN = 22;
+const MAX_COMMENT = 0xffff;
+
+export const ZIP_MAX_ENTRIES = 5000;
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name
+ * @property {number} method          - 0 stored, 8 deflate
+ * @property {number} compressedSize
+ * @property {number} size            - declared uncompressed size
+ * @property {number} offset          - local header offset
+ * @property {boolean} encrypted
+ * @property {boolean} isDirectory
+ */
+
+const utf8 = new TextDecoder('utf-8');
+const cp437ish = new TextDecoder('latin1');
+
+/** True when bytes start with a ZIP local file header. */
+export function isZip(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+function view(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Parse the central directory.
+ * @param {Uint8Array} bytes
+ * @returns {ZipEntry[]}
+ * @throws {Error} when the archive is truncated, ZIP64 or has too many entries
+ */
+export function readZipDirectory(bytes) {
+  const dv = view(bytes);
+  let eocd = -1;
+  const stop = Math.max(0, bytes.length - EOCD_MIN - MAX_COMMENT);
+  for (let p = bytes.length - EOCD_MIN; p >= stop; p--) {
+    if (dv.getUint32(p, true) === EOCD_SIG) {
+      eocd = p;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('zip: end of central directory not found');
+
+  const count = dv.getUint16(eocd + 10, true);
+  const cdOffset = dv.getUint32(eocd + 16, true);
+  if (count === 0xffff || cdOffset === 0xffffffff) throw new Error('zip: ZIP64 archives are not supported');
+  if (count > ZIP_MAX_ENTRIES) throw new Error(`zip: more than ${ZIP_MAX_ENTRIES} entries`);
+
+  const entries = [];
+  let p = cdOffset;
+  for (let i = 0; i < count; i++) {
+    if (p + 46 > bytes.length || dv.getUint32(p, true) !== CEN_SIG) throw new Error('zip: corrupt central directory');
+    const flags = dv.getUint16(p + 8, true);
+    const nameLen = dv.getUint16(p + 28, true);
+    const extraLen = dv.getUint16(p + 30, true);
+    const commentLen = dv.getUint16(p + 32, true);
+    const nameBytes = bytes.subarray(p + 46, p + 46 + nameLen);
+    const name = (flags & 0x800 ? utf8 : cp437ish).decode(nameBytes);
+    entries.push({
+      name,
+      method: dv.getUint16(p + 10, true),
+      compressedSize: dv.getUint32(p + 20, true),
+      size: dv.getUint32(p + 24, true),
+      offset: dv.getUint32(p + 42, true),
+      encrypted: (flags & 0x1) !== 0,
+      isDirectory: name.endsWith('/'),
+    });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+/**
+ * Inflate with DecompressionStream, stopping at `maxBytes`. Trailing junk
+ * after a complete deflate stream (common in PDFs) keeps what was inflated.
+ *
+ * @param {Uint8Array} data
+ * @param {{ format?: 'deflate'|'deflate-raw', maxBytes: number }} opts
+ * @returns {Promise<Uint8Array>}
+ */
+export async function inflateBytes(data, { format = 'deflate-raw', maxBytes }) {
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+  const chunks = [];
+  let total = 0;
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      total += value.length;
+      if (total > maxBytes) throw new Error(`inflated size exceeds ${maxBytes} bytes`);
+      chunks.push(value);
+    }
+  } catch (err) {
+    if (!chunks.length || /exceeds/.test(err.message)) {
+      await reader.cancel().catch(() => {});
+      throw err;
+    }
+  }
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+/**
+ * Read one entry's bytes.
+ * @param {Uint8Array} bytes - the whole archive
+ * @param {ZipEntry} entry
+ * @param {{ maxBytes: number }} opts
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readZipEntry(bytes, entry, { maxBytes }) {
+  if (entry.encrypted) throw new Error(`zip: ${entry.name} is encrypted`);
+  if (entry.size > maxBytes) throw new Error(`zip: ${entry.name} exceeds ${maxBytes} bytes`);
+  const dv = view(bytes);
+  if (dv.getUint32(entry.offset, true) !== LOC_SIG) throw new Error(`zip: bad local header for ${entry.name}`);
+  const start = entry.offset + 30 + dv.getUint16(entry.offset + 26, true) + dv.getUint16(entry.offset + 28, true);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return inflateBytes(data, { format: 'deflate-raw', maxBytes });
+  throw new Error(`zip: compression method ${entry.method} not supported (${entry.name})`);
+}
+
+/** Entry by exact name, or undefined. */
+export function findZipEntry(entries, name) {
+  return entries.find((e) => e.name === name);
+}
+
+// ── Writer ───────────────────────────────────────────────────────────
+
+let crcTable = null;
+
+/** CRC-32 (IEEE) as ZIP headers need it. */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const d = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+  const year = Math.max(1980, d.getUTCFullYear());
+  return {
+    time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | Math.floor(d.getUTCSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate(),
+  };
+}
+
+/**
+ * Build a ZIP of stored (uncompressed) entries with UTF-8 names. Exhibit
+ * originals are already compressed formats, and stored entries keep the
+ * bytes in the archive identical to the files they hash to.
+ *
+ * @param {Array<{ name: string, data: Uint8Array|string, modified?: Date }>} files
+ * @returns {Uint8Array}
+ * @throws {Error} past ZIP_MAX_ENTRIES or the 4 GB non-ZIP64 limit
+ */
+export function createZip(files) {
+  if (files.length > ZIP_MAX_ENTRIES) throw new Error(`zip: more than ${ZIP_MAX_ENTRIES} entries`);
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(file.modified);
+
+    const local = new Uint8Array(30 + name.length);
+    const lv = view(local);
+    lv.setUint32(0, LOC_SIG, true);
+    lv.setUint16(4, 20, true);
+    lv.setUint16(6, 0x800, true);
+    lv.setUint16(10, time, true);
+    lv.setUint16(12, date, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, data.length, true);
+    lv.setUint32(22, data.length, true);
+    lv.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    const central = new Uint8Array(46 + name.length);
+    const cv = view(central);
+    cv.setUint32(0, CEN_SIG, true);
+    cv.setUint16(4, 20, true);
+    cv.setUint16(6, 20, true);
+    cv.setUint16(8, 0x800, true);
+    cv.setUint16(12, time, true);
+    cv.setUint16(14, date, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, data.length, true);
+    cv.setUint32(24, data.length, true);
+    cv.setUint16(28, name.length, true);
+    cv.setUint32(42, offset, true);
+    central.set(name, 46);
+
+    parts.push(local, data);
+    centrals.push(central);
+    offset += local.length + data.length;
+    if (offset > 0xffffffff) throw new Error('zip: archive exceeds 4 GB (ZIP64 not supported)');
+  }
+
+  const cdSize = centrals.reduce((n, c) => n + c.length, 0);
+  const eocd = new Uint8Array(EOCD_MIN);
+  const ev = view(eocd);
+  ev.setUint32(0, EOCD_SIG, true);
+  ev.setUint16(8, files.length, true);
+  ev.setUint16(10, files.length, true);
+  ev.setUint32(12, cdSize, true);
+  ev.setUint32(16, offset, true);
+
+  const out = new Uint8Array(offset + cdSize + EOCD_MIN);
+  let p = 0;
+  for (const part of [...parts, ...centrals, eocd]) {
+    out.set(part, p);
+    p += part.length;
+  }
+  return out;
+}
@@ -0,0 +1,166 @@
+/**
+ * Attachment → evidence intake — opt-in (EVIDENCE_AUTO_INGEST='true').
+ *
+ * After storeAttachments writes a non-privileged message's attachments to
+ * R2, each one attributed to a registered case becomes an EvidenceAgent
+ * exhibit. The case comes from the case registry (triage's case slug, else
+ * the case DocumentClassifier finds in the filename). The exhibit category
+ * comes from DocumentClassifier's document type. The exhibit's first custody
+ * entry cites the Message-ID, sender, receipt time and SHA-256.
+ *
+ * Exhibit ids derive from the attachment hash (`EM-<sha256 prefix>`). The
+ * same file arriving again, say quoted in a reply, is reported as a
+ * duplicate instead of becoming a second exhibit.
+ *
+ * Mail the privilege gate (F-L10) caught is never ingested. The handler
+ * stores no attachments for it, and this module refuses it again on its
+ * own flags.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { resolveCase } from '../config/case-registry.js';
+import { DocumentClassifier } from '../document-classification/document-classifier.js';
+import { callAgent } from '../utils/agent-client.js';
+import { instanceName, isShardingEnabled, registerShard, resolveShard } from '../utils/agent-shards.js';
+
+/** EVIDENCE_AUTO_INGEST ('true') turns the intake on. */
+export function evidenceAutoIngestEnabled(env) {
+  return env?.EVIDENCE_AUTO_INGEST === 'true';
+}
+
+export function attachmentExhibitId(sha256) {
+  return `EM-${sha256.slice(0, 16)}`;
+}
+
+// DocumentClassifier types (AI types and filename type hints) → EvidenceAgent categories.
+const CATEGORY_BY_TYPE = {
+  legal_filing: 'legal_filing',
+  legal: 'legal_filing',
+  contract: 'contractual',
+  corporate_document: 'contractual',
+  corporate: 'contractual',
+  property_document: 'contractual',
+  financial_statement: 'financial',
+  financial: 'financial',
+  correspondence: 'communication',
+};
+
+/** EvidenceAgent category for a classified attachment; images default to photographic. */
+export function exhibitCategoryFor(documentType, contentType = '') {
+  if (CATEGORY_BY_TYPE[documentType]) return CATEGORY_BY_TYPE[documentType];
+  if (contentType.startsWith('image/')) return 'photographic';
+  if (contentType === 'message/rfc822') return 'communication';
+  return 'other';
+}
+
+/** Document type from a classification, falling back to the strongest filename hint. */
+function documentTypeOf(classification) {
+  if (classification?.documentType && classification.documentType !== 'unclassified') return classification.documentType;
+  const hints = classification?.signals?.filename?.typeHints || [];
+  return hints.reduce((best, h) => (!best || h.confidence > best.confidence ? h : best), null)?.type
+    ?? classification?.documentType ?? null;
+}
+
+/** Registry slug for a triage case slug or classifier case reference, or null. */
+export function registeredCaseSlug(ref) {
+  return resolveCase(ref)?.slug ?? null;
+}
+
+/**
+ * Ingest a message's stored attachments as case exhibits. Never throws:
+ * every attachment ends up in exactly one of the result lists.
+ *
+ * @param {object} env
+ * @param {{ emailData: object, triage: object, stored: object[], org?: string|null }} input
+ * @param {{ classifier?: { classify: Function } }} [opts]
+ * @returns {Promise<{ ingested: object[], duplicates: object[], skipped: object[], failed: object[] }>}
+ */
+export async function ingestCaseAttachments(env, { emailData, triage, stored, org = null }, { classifier } = {}) {
+  const result = { ingested: [], duplicates: [], skipped: [], failed: [] };
+  const skipAll = (reason) => {
+    for (const att of stored || []) result.skipped.push({ filename: att.filename, reason });
+    return result;
+  };
+
+  if (!evidenceAutoIngestEnabled(env)) return skipAll('disabled');
+  if (emailData.privileged || emailData.aliasDecision?.metadataOnly) return skipAll('privileged');
+
+  const messageCase = registeredCaseSlug(triage?.caseSlug);
+  classifier ??= new DocumentClassifier(env);
+  const registered = new Set();
+
+  for (const att of stored || []) {
+    if (att.failed || !att.sha256) {
+      result.skipped.push({ filename: att.filename, reason: 'not stored' });
+      continue;
+    }
+    try {
+      const classification = await classifier.classify({
+        filename: att.filename,
+        path: att.key,
+        mimeType: att.contentType,
+        size: att.size,
+      }).catch(() => null);
+      const caseSlug = messageCase ?? registeredCaseSlug(classification?.caseRef);
+      if (!caseSlug) {
+        result.skipped.push({ filename: att.filename, reason: 'no registered case' });
+        continue;
+      }
+
+      const exhibitId = attachmentExhibitId(att.sha256);
+      const documentType = documentTypeOf(classification);
+      const shard = isShardingEnabled(env) ? resolveShard({ caseSlug, org }) : null;
+      if (shard && !registered.has(shard)) {
+        await registerShard(env, 'EVIDENCE_AGENT', shard);
+        registered.add(shard);
+      }
+      const provenance = {
+        message_id: emailData.id,
+        sender: emailData.from,
+        received_at: emailData.timestamp,
+        filename: att.filename,
+        sha256: att.sha256,
+      };
+      const res = await callAgent(env, 'EVIDENCE_AGENT', '/ingest/email', {
+        method: 'POST',
+        room: shard ? instanceName('EVIDENCE_AGENT', shard) : undefined,
+        body: {
+          exhibit_id: exhibitId,
+          title: att.filename.slice(0, 200),
+          category: exhibitCategoryFor(documentType, att.contentType || ''),
+          source: `email:${emailData.from}`,
+          case_id: caseSlug,
+          org,
+          sha256: att.sha256,
+          r2_path: att.key,
+          provenance,
+          metadata: {
+            subject: emailData.subject,
+            emailDate: emailData.date,
+            contentType: att.contentType,
+            size: att.size,
+            documentType,
+            classificationConfidence: classification?.confidence ?? null,
+          },
+        },
+      });
+      if (!res) throw new Error('EVIDENCE_AGENT not bound');
+      const entry = { filename: att.filename, exhibitId, caseSlug, shard };
+      if (res.status === 409) result.duplicates.push(entry);
+      else if (res.status >= 400) throw new Error(`evidence ingest returned ${res.status}: ${res.data?.error || 'unknown error'}`);
+      else result.ingested.push(entry);
+    } catch (err) {
+      result.failed.push({ filename: att.filename, error: err.message });
+    }
+  }
+
+  if (result.ingested.length || result.failed.length) {
+    console.log(
+      `[evidence-intake] ${emailData.id}: ${result.ingested.length} ingested, ${result.duplicates.length} duplicate, ` +
+      `${result.skipped.length} skipped, ${result.failed.length} failed`,
+    );
+  }
+  for (const { filename, error } of result.failed) console.warn(`[evidence-intake] ${filename}: ${error}`);
+  return result;
+}
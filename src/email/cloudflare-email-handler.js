@@ -6,7 +6,113 @@
 
 import { CASE_EMAIL_ROUTES } from '../config/case-registry.js';
 import { resolveAliasDecision } from '../config/alias-registry.js';
-import { isPrivileged } from '../config/privilege-gate.js';
+import { isPrivileged, extractAddress } from '../config/privilege-gate.js';
+import {
+  DEFAULT_ROUTING_PROFILE,
+  loadRoutingProfile,
+  findEntity,
+  matchEntity,
+  renderStorageTemplate,
+  describeProfileContext,
+  ruleCategory,
+  defaultCategory,
+} from '../config/routing-profile.js';
+import { parseMimeStream, decodeEncodedWords, htmlToText } from './mime-parser.js';
+import {
+  REVIEW_QUEUE_BINDING,
+  LEGACY_QUEUE_INDEX_KEY,
+  legacyQueueItemKey,
+  callReviewQueue,
+  filtersToSearch,
+  queueItemKind,
+  senderAddress,
+} from './review-queue.js';
+import {
+  loadRoutingRules,
+  evaluateRules,
+  routingFacts,
+  compileRules,
+  validateRule,
+} from './routing-rules.js';
+import {
+  recordFromQueueItem,
+  recordFromReceipt,
+  createReplayAI,
+  describeDestination,
+  diffOutcome,
+  summarizeReplay,
+} from './replay.js';
+import {
+  RESPONSE_AGENT_BINDING,
+  OUTBOUND_QUEUE_KIND,
+  threadHeaders,
+  replySubject,
+  isCaseMail,
+  replySuppressed,
+  selectFromAlias,
+  newMessageId,
+  deliverReply,
+} from './outbound.js';
+import {
+  parseMessageIds,
+  threadMessageFromInbound,
+  threadMessageFromReply,
+  threadFiltersToSearch,
+  callThreadStore,
+} from './threads.js';
+import { InferenceClient, summarizeInference } from '../ai/inference-client.js';
+import { extractionJobs, scheduleExtraction, moveExtraction, readExtraction } from '../documents/extraction-pipeline.js';
+import { evidenceAutoIngestEnabled, ingestCaseAttachments } from './attachment-evidence.js';
+import {
+  emailSearchDocument,
+  attachmentSearchDocument,
+  attachmentDocId,
+  indexDocuments,
+  scheduleIndexing,
+  purgeIndexed,
+} from '../search/search-index.js';
+import {
+  CORRECTIONS_BINDING,
+  LEGACY_CORRECTIONS_KEY,
+  callCorrections,
+  normalizeCorrection,
+  selectLearnedRule,
+} from './corrections.js';
+import {
+  ROUTING_MODES,
+  ROUTING_MODE_KEY,
+  HYBRID_POLICY_KEY,
+  DEFAULT_HYBRID_POLICY,
+  normalizeHybridPolicy,
+  hybridDecision,
+  accuracyFallbackActive,
+  categoryThresholds,
+  routingSplit,
+} from './hybrid-routing.js';
+import { mailboxMessage } from './mailbox-sources.js';
+import { callAgent } from '../utils/agent-client.js';
+import { instanceName, isShardedAgent, isShardingEnabled, registerShard, shardForMessage } from '../utils/agent-shards.js';
+
+// Hybrid mode reads accuracy over the policy window on every message; the
+// scan is shared for this long per isolate.
+const HYBRID_METRICS_TTL_MS = 5 * 60 * 1000;
+
+// Message-IDs already queued, so polled mailboxes (src/email/mailbox-sources.js)
+// skip mail that arrived through Email Routing or an earlier poll.
+const INGESTED_KEY_PREFIX = 'email_seen:';
+const INGESTED_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// R2 prefix for attachments of mail stored while no routing profile is
+// loaded — outside every profile's storage taxonomy.
+const UNROUTED_STORAGE_PATH = 'unrouted';
+
+/**
+ * @typedef {Object} RoutePlan
+ * @property {{ type: 'forward'|'multi-forward'|'reject'|'store-only', to?: string[], reason?: string, source: string, ruleId?: any }} decision
+ * @property {string[]} tags
+ * @property {Array<{ agent: string, path: string, ruleId: any }>} dispatches
+ * @property {{ rulesetVersion: any, rules: object[], chain: object[] }} trace
+ */
 
 /**
  * Normalize a recipient address for route/registry/privilege LOOKUPS only.
@@ -31,10 +137,99 @@ function normalizeAddress(addr) {
   return typeof addr === 'string' ? addr.trim().toLowerCase() : '';
 }
 
+/**
+ * Merge the profile's non-case routes with the case-registry routes into one
+ * null-prototype dict, so untrusted lookups
+ * (`addressRoutes[normalizeAddress(emailData.to)]`) cannot hit
+ * Object.prototype keys. Throws on collisions between non-case and case
+ * routes rather than silently overwriting (validateRoutingProfile refuses
+ * such profiles before they load).
+ *
+ * CASE-NORMALIZATION: keys are lowercased here, and every recipient lookup
+ * lowercases too (normalizeAddress). Email local-parts are case-insensitive
+ * in practice for our routing, and the alias_registry overlay already
+ * lowercases its keys + lookups. Normalizing BOTH sides guarantees a
+ * mixed-case recipient (e.g. `Legal@Chitty.cc`) can never miss its route
+ * (precedence guard OR direct forward) regardless of how upstream registries
+ * cased their entries — no bet on every source key already being lowercase.
+ *
+ * @param {Record<string, object>|undefined} profileRoutes
+ * @param {Record<string, object>} caseRoutes
+ */
+function mergeAddressRoutes(profileRoutes, caseRoutes) {
+  const mergedRoutes = Object.create(null);
+  for (const [addr, route] of Object.entries(profileRoutes ?? {})) {
+    mergedRoutes[normalizeAddress(addr)] = route;
+  }
+  for (const [addr, route] of Object.entries(caseRoutes)) {
+    const key = normalizeAddress(addr);
+    if (Object.prototype.hasOwnProperty.call(mergedRoutes, key)) {
+      throw new Error(
+        `Email route collision for "${key}": both non-case routes and ` +
+        `case registry define this address. Resolve in case-registry.js.`,
+      );
+    }
+    mergedRoutes[key] = route;
+  }
+  return mergedRoutes;
+}
+
+/**
+ * Make an attachment filename safe as the last segment of an R2 key and
+ * unique within one email. Path separators and control characters are
+ * replaced; repeats get a `-2`, `-3`, ... suffix before the extension.
+ *
+ * @param {string} filename
+ * @param {Set<string>} used - names already taken for this email (mutated)
+ * @returns {string}
+ */
+function uniqueFilename(filename, used) {
+  const safe = String(filename || 'attachment').replace(/[\\/\u0000-\u001f\u007f]/g, '_').replace(/^\.+/, '_') || 'attachment';
+  let candidate = safe;
+  const dot = safe.lastIndexOf('.');
+  const stem = dot > 0 ? safe.slice(0, dot) : safe;
+  const ext = dot > 0 ? safe.slice(dot) : '';
+  for (let n = 2; used.has(candidate); n++) candidate = `${stem}-${n}${ext}`;
+  used.add(candidate);
+  return candidate;
+}
+
+/**
+ * JSON Schema for the triage answer. Category is constrained to the active
+ * profile; entity and case_slug are checked against the profile afterwards
+ * (unknown ids become null rather than failing the answer).
+ */
+function triageSchema(profile) {
+  return {
+    type: 'object',
+    required: ['category', 'urgency'],
+    properties: {
+      category: { type: 'string', enum: profile.categories },
+      urgency: { type: 'string', enum: ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'] },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      reasons: { type: 'array', items: { type: 'string' } },
+      case_relevant: { type: 'boolean' },
+      case_slug: { type: ['string', 'null'] },
+      entity: { type: ['string', 'null'] },
+      action_needed: { type: 'boolean' },
+      summary: { type: 'string' },
+    },
+  };
+}
+
 export class CloudflareEmailHandler {
   constructor(env) {
     this.env = env;
 
+    // Model fallback, cost-tier override, schema repair and accounting for
+    // every AI call made on inbound mail (src/ai/inference-client.js).
+    this.inference = new InferenceClient(env);
+
+    // Principal/parties/entities/storage taxonomy. Starts as the built-in
+    // profile and is refreshed from the configured source by
+    // getRoutingProfile() (src/config/routing-profile.js).
+    this.routingProfile = DEFAULT_ROUTING_PROFILE;
+
     // Urgency patterns for triage
     this.urgencyPatterns = {
       court: /court|hearing|motion|deadline|filing|summons|subpoena|order|judgment|docket/i,
@@ -59,17 +254,10 @@ export class CloudflareEmailHandler {
       'image/webp'
     ]);
 
-    // Non-case address routing rules. Case-specific addresses are merged in
-    // below from the canonical case registry so there is a single source of
-    // truth for case → email attribution.
-    const nonCaseRoutes = {
-      'intake@chitty.cc': { forward: 'nick@aribia.cc', priority: 'HIGH' },
-      'legal@chitty.cc': { forward: 'nick@aribia.cc', priority: 'CRITICAL' },
-      'evidence@chitty.cc': { forward: 'nick@aribia.cc', priority: 'HIGH' },
-      'calendar@chitty.cc': { forward: 'nick@aribia.cc', priority: 'MEDIUM' },
-      'chittyos@chitty.cc': { forward: 'nick@aribia.cc', priority: 'MEDIUM' }
-    };
-
+    // Non-case address routes (and their forwards) come from the routing
+    // profile; case-specific addresses are merged in below from the
+    // canonical case registry so there is a single source of truth for
+    // case → email attribution.
     // Derive case-specific routes from the registry (never hardcode case
     // aliases here — add them to src/config/case-registry.js). Real
     // forwarding addresses are resolved from env at construction time via
@@ -93,33 +281,26 @@ export class CloudflareEmailHandler {
       };
     }
 
-    // Build addressRoutes as a null-prototype dict so untrusted lookups
-    // (`addressRoutes[normalizeAddress(emailData.to)]`) cannot hit
-    // Object.prototype keys, and throw on collisions between non-case and case
-    // routes rather than silently overwriting.
-    //
-    // CASE-NORMALIZATION: keys are lowercased here, and every recipient lookup
-    // lowercases too (normalizeAddress). Email local-parts are case-insensitive
-    // in practice for our routing, and the alias_registry overlay already
-    // lowercases its keys + lookups. Normalizing BOTH sides guarantees a
-    // mixed-case recipient (e.g. `Legal@Chitty.cc`) can never miss its route
-    // (precedence guard OR direct forward) regardless of how upstream registries
-    // cased their entries — no bet on every source key already being lowercase.
-    const mergedRoutes = Object.create(null);
-    for (const [addr, route] of Object.entries(nonCaseRoutes)) {
-      mergedRoutes[normalizeAddress(addr)] = route;
-    }
-    for (const [addr, route] of Object.entries(caseRoutes)) {
-      const key = normalizeAddress(addr);
-      if (Object.prototype.hasOwnProperty.call(mergedRoutes, key)) {
-        throw new Error(
-          `Email route collision for "${key}": both non-case routes and ` +
-          `case registry define this address. Resolve in case-registry.js.`,
-        );
-      }
-      mergedRoutes[key] = route;
+    this.caseRoutes = caseRoutes;
+    this.routeTable = {
+      profile: this.routingProfile,
+      routes: mergeAddressRoutes(this.routingProfile.routes, caseRoutes),
+    };
+  }
+
+  /**
+   * Non-case and case address routes for the active routing profile,
+   * rebuilt when getRoutingProfile() swaps the profile.
+   * @returns {Record<string, object>}
+   */
+  get addressRoutes() {
+    if (this.routeTable.profile !== this.routingProfile) {
+      this.routeTable = {
+        profile: this.routingProfile,
+        routes: mergeAddressRoutes(this.routingProfile.routes, this.caseRoutes),
+      };
     }
-    this.addressRoutes = mergedRoutes;
+    return this.routeTable.routes;
   }
 
   /**
@@ -129,18 +310,40 @@ export class CloudflareEmailHandler {
     const startTime = Date.now();
 
     try {
-      // Read raw email once — we need it for both parsing and triage
-      const rawBytes = await this.streamToBytes(message.raw);
-      const rawText = new TextDecoder().decode(rawBytes);
+      // Refresh the deployment's routing profile (cached per isolate; never
+      // throws — keeps the last-good profile on a bad load, and yields none
+      // on a cold isolate whose configured source fails).
+      await this.getRoutingProfile();
+
+      // Parse the raw message once, as it streams in — the part tree feeds
+      // both body extraction (triage) and attachment storage.
+      let rawSize = 0;
+      const mime = await parseMimeStream(message.raw, {
+        onChunk: (chunk) => { rawSize += chunk.length; },
+      });
 
       // Extract email metadata
-      const emailData = this.extractEmailData(message, rawText);
+      const emailData = this.extractEmailData(message, mime, rawSize);
+
+      // Mail polled from a mailbox (src/email/mailbox-sources.js) may already
+      // have arrived through Email Routing, or on an earlier poll whose
+      // cursor was reset: a Message-ID seen before is not queued twice.
+      if (message.mailbox) {
+        emailData.mailbox = message.mailbox;
+        if (await this.wasIngested(emailData.id)) {
+          console.log(`Skipped ${emailData.id} from mailbox ${message.mailbox.account}: already ingested`);
+          return { success: true, duplicate: true, messageId: emailData.id };
+        }
+      }
 
-      // Parse MIME and extract attachments
-      const attachments = this.parseMimeAttachments(rawText);
+      const attachments = this.selectAttachments(mime);
       emailData.attachmentCount = attachments.length;
       emailData.attachmentNames = attachments.map(a => a.filename);
 
+      if (!this.routingProfile) {
+        return await this.storeUnrouted(emailData, attachments);
+      }
+
       // Registry-backed routing overlay (additive). Resolved ONCE here —
       // now BEFORE triage/R2 as well as before logEmail/routeEmail — because
       // (1) the privileged_legal (F-L10) metadata-only flag must suppress
@@ -192,6 +395,20 @@ export class CloudflareEmailHandler {
         // Non-privileged: unchanged behavior — full AI triage + R2 storage.
         triage = await this.triageEmail(emailData);
         stored = await this.storeAttachments(attachments, emailData, triage);
+        // Text/OCR extraction runs off the request path (queue or waitUntil)
+        // and lands next to each object as .extracted.txt/.json sidecars.
+        await scheduleExtraction(this.env, ctx, extractionJobs(stored, emailData, {
+          caseSlug: triage.caseSlug,
+          entity: triage.entity,
+          org: this.routingProfile.id,
+        }));
+        // Opt-in: case-attributed attachments become EvidenceAgent exhibits
+        // whose custody starts at this message. Never reached for privileged mail.
+        if (evidenceAutoIngestEnabled(this.env) && stored.length) {
+          const intake = ingestCaseAttachments(this.env, { emailData, triage, stored, org: this.routingProfile.id });
+          if (ctx?.waitUntil) ctx.waitUntil(intake);
+          else await intake;
+        }
       }
       emailData.storedAttachments = stored;
 
@@ -202,38 +419,83 @@ export class CloudflareEmailHandler {
       if (this.isSecurityIncident(emailData)) {
         await this.dispatchToSecurityAgent(emailData, triage, env, ctx);
       }
-      // Check if we're in onboarding/training mode
+      // Plan the route (routing rules + address/alias chain) before anything
+      // is persisted, so the queue item and receipt carry the explain trace.
+      emailData.routing = await this.planRoute(emailData, triage, {
+        headers: mime.headers,
+        attachmentTypes: attachments.map(a => a.contentType),
+      });
+
+      // Onboarding holds everything for review, auto trusts everything, and
+      // hybrid decides per message; the decision rides on the queue item.
       const mode = await this.getRoutingMode();
+      emailData.routingDecision = await this.decideRouting(mode, emailData, triage);
 
       // Queue the email with AI's proposed classification
       const queueItem = await this.enqueue(emailData, triage, stored);
-
-      if (mode === 'auto') {
-        // Auto mode: AI is trusted, process immediately
+      await this.markIngested(emailData.id);
+
+      // Thread store — groups this message into its conversation and the
+      // case timeline. threadMessageFromInbound applies the same F-L10
+      // redaction as enqueue.
+      const recorded = await this.recordThreadMessage(threadMessageFromInbound(emailData, triage, {
+        queueId: queueItem.id,
+        storedAttachments: stored,
+      }));
+
+      // Search index — the decoded body of non-privileged mail only.
+      await this.indexInbound(emailData, triage, {
+        body: privileged ? '' : (mime.text || htmlToText(mime.html)),
+        queueId: queueItem.id,
+        thread: recorded?.thread ?? null,
+      }, ctx);
+
+      if (emailData.routingDecision.route === 'auto') {
+        // Auto mode, or hybrid with every threshold met: process immediately
         await this.logEmail(emailData, triage);
-        await this.routeEmail(message, emailData, triage);
+        await this.routeEmail(message, emailData, triage, ctx);
         await this.sendRoutingConfirmation(emailData, triage, stored);
         await this.updateQueueItem(queueItem.id, 'auto_approved');
       } else {
-        // Onboarding/training mode: queue for review, still forward email
-        await this.routeEmail(message, emailData, triage);
+        // Held (onboarding, or hybrid below a threshold): queue for review,
+        // still forward email
+        await this.routeEmail(message, emailData, triage, ctx);
         await this.sendRoutingConfirmation(emailData, triage, stored);
         // Item stays 'pending' in queue until user approves/corrects
       }
 
       const elapsed = Date.now() - startTime;
-      console.log(`[${mode}] Processed email from ${emailData.from} in ${elapsed}ms - ${triage.urgencyLevel} - ${stored.length} attachments - queue:${queueItem.id}`);
+      const { route } = emailData.routingDecision;
+      console.log(`[${mode}:${route}] Processed email from ${emailData.from} in ${elapsed}ms - ${triage.urgencyLevel} - ${stored.length} attachments - queue:${queueItem.id}`);
 
-      return { success: true, urgencyLevel: triage.urgencyLevel, attachmentsStored: stored.length, queueId: queueItem.id, mode };
+      return {
+        success: true,
+        messageId: emailData.id,
+        from: emailData.from,
+        // Same F-L10 redaction as the queue item.
+        subject: privileged || emailData.aliasDecision?.metadataOnly ? '[REDACTED — privileged_legal]' : emailData.subject,
+        category: triage.category,
+        urgencyLevel: triage.urgencyLevel,
+        urgencyScore: triage.urgencyScore,
+        privileged,
+        attachmentsStored: stored.length,
+        queueId: queueItem.id,
+        mode,
+        route,
+      };
 
     } catch (error) {
       console.error('Email handling failed:', error);
 
-      // Fallback - forward to catch-all
-      try {
-        await message.forward('nick@aribia.llc');
-      } catch (forwardError) {
-        console.error('Fallback forward failed:', forwardError);
+      // Fallback - forward to the profile's catch-all. Polled mail is
+      // already in its mailbox; the monitor retries it instead.
+      const fallback = this.routingProfile?.defaultForward;
+      if (!message.mailbox && fallback) {
+        try {
+          await message.forward(fallback);
+        } catch (forwardError) {
+          console.error('Fallback forward failed:', forwardError);
+        }
       }
 
       return { success: false, error: error.message };
@@ -242,11 +504,15 @@ export class CloudflareEmailHandler {
 
   /**
    * Extract structured data from email
+   *
+   * @param {Object} message - Cloudflare EmailMessage (envelope + headers)
+   * @param {import('./mime-parser.js').ParsedMessage} mime - parsed part tree
+   * @param {number} [rawSize] - bytes read from message.raw
    */
-  extractEmailData(message, rawText) {
+  extractEmailData(message, mime, rawSize = 0) {
     const from = message.from || '';
     const to = message.to || '';
-    const subject = message.headers.get('subject') || '(No subject)';
+    const subject = decodeEncodedWords(message.headers.get('subject') || '') || '(No subject)';
     const messageId = message.headers.get('message-id') || `cf-${Date.now()}`;
     const date = message.headers.get('date') || new Date().toISOString();
     const cc = message.headers.get('cc') || '';
@@ -256,14 +522,10 @@ export class CloudflareEmailHandler {
     const references = message.headers.get('references') || '';
     const inReplyTo = message.headers.get('in-reply-to') || '';
 
-    // Extract body text — get more for AI analysis
-    let content = '';
-    const bodyStart = rawText.indexOf('\r\n\r\n');
-    if (bodyStart > -1) {
-      content = rawText.substring(bodyStart + 4, bodyStart + 8000);
-    }
-    // Strip base64 noise from content for cleaner AI input
-    content = content.replace(/[A-Za-z0-9+/=]{60,}/g, '[base64-data]').substring(0, 3000);
+    // Decoded body for AI analysis — the text/plain alternative, else the
+    // HTML alternative flattened to text. Attachments never leak in here.
+    const body = mime.text || htmlToText(mime.html);
+    const content = body.substring(0, 3000);
 
     return {
       id: messageId,
@@ -279,142 +541,128 @@ export class CloudflareEmailHandler {
       date,
       content,
       timestamp: new Date().toISOString(),
-      size: message.rawSize || rawText.length
+      size: message.rawSize || rawSize
     };
   }
 
   /**
-   * Parse MIME multipart email to extract attachments
-   * Handles base64-encoded parts with Content-Disposition: attachment
+   * Pick the parsed parts worth storing: explicit attachments (including
+   * those inside forwarded messages and the forwarded .eml itself), plus
+   * named parts of an extractable type. Inline/cid-referenced images are
+   * rendering assets and are skipped.
+   *
+   * @param {import('./mime-parser.js').ParsedMessage} mime
+   * @returns {import('./mime-parser.js').MimeAttachment[]}
    */
-  parseMimeAttachments(rawText) {
-    const attachments = [];
-
-    // Find all boundaries in the email (primary + nested multipart)
-    const boundaryMatches = rawText.match(/boundary="?([^"\r\n;]+)"?/gi);
-    if (!boundaryMatches) return attachments;
-
-    const seenBoundaries = new Set();
-
-    for (const match of boundaryMatches) {
-      const parsed = match.match(/boundary="?([^"\r\n;]+)"?/i);
-      if (!parsed) continue;
-      const boundary = parsed[1];
-      if (seenBoundaries.has(boundary)) continue;
-      seenBoundaries.add(boundary);
-
-      const parts = rawText.split('--' + boundary);
-
-      for (const part of parts) {
-        const attachment = this.extractAttachmentFromPart(part, boundary);
-        if (!attachment) continue;
-
-        // Skip duplicates (same filename found in nested boundary)
-        if (attachments.some(a => a.filename === attachment.filename)) continue;
-
-        attachments.push(attachment);
-      }
-    }
-
-    return attachments;
+  selectAttachments(mime) {
+    return mime.attachments.filter(
+      a => a.size > 0 && (a.disposition === 'attachment' || this.extractableTypes.has(a.contentType))
+    );
   }
 
   /**
-   * Extract a single attachment from a MIME part, or return null if not an attachment
+   * Load the active routing profile (per-isolate cached, hot-reloadable) and
+   * make it the one triage and storage-path resolution read from. Null when
+   * none could be loaded; handleEmail then stores mail via storeUnrouted().
+   * @returns {Promise<import('../config/routing-profile.js').RoutingProfile|null>}
    */
-  extractAttachmentFromPart(part, boundary) {
-    if (part.trim() === '' || part.trim() === '--') return null;
-
-    const hasAttachment = /Content-Disposition:\s*attachment/i.test(part);
-    const hasInline = /Content-Disposition:\s*inline/i.test(part);
-
-    // Get content type
-    const ctMatch = part.match(/Content-Type:\s*([^\r\n;]+)/i);
-    const contentType = ctMatch ? ctMatch[1].trim().toLowerCase() : '';
-
-    // Get filename from Content-Disposition or Content-Type
-    let filename = '';
-    const fnMatch = part.match(/filename="?([^"\r\n;]+)"?/i);
-    if (fnMatch) filename = fnMatch[1].trim();
-    const nameMatch = part.match(/name="?([^"\r\n;]+)"?/i);
-    if (!filename && nameMatch) filename = nameMatch[1].trim();
-
-    if (!filename) return null;
-    if (hasInline && contentType.startsWith('image/')) return null;
-    if (!hasAttachment && !this.extractableTypes.has(contentType)) return null;
-
-    // Check encoding
-    const encodingMatch = part.match(/Content-Transfer-Encoding:\s*(\S+)/i);
-    const encoding = encodingMatch ? encodingMatch[1].toLowerCase() : '7bit';
-
-    // Extract the body (after the blank line separating headers from content)
-    const bodyStart = part.indexOf('\r\n\r\n');
-    if (bodyStart === -1) return null;
-
-    let body = part.substring(bodyStart + 4).trim();
-    // Remove trailing boundary marker if present
-    const trailingBoundary = body.lastIndexOf('--' + boundary);
-    if (trailingBoundary > -1) {
-      body = body.substring(0, trailingBoundary).trim();
-    }
-
-    const data = this.decodePartBody(body, encoding, filename);
-    if (!data || data.length < 1) {
-      if (data && data.length > 0) {
-        console.log(`[email-handler] Filtered small attachment: ${filename} (${contentType}, ${data.length} bytes)`);
-      }
-      return null;
-    }
-
-    return { filename, contentType, size: data.length, data };
+  async getRoutingProfile() {
+    this.routingProfile = await loadRoutingProfile(this.env);
+    return this.routingProfile;
   }
 
   /**
-   * Decode a MIME part body from its transfer encoding into bytes
-   * Returns null if decoding fails
+   * Resolve R2 storage base path from classification data (triage or correction)
+   * using the active routing profile's storage templates.
    */
-  decodePartBody(body, encoding, filename) {
-    if (encoding === 'base64') {
-      const cleaned = body.replace(/[\r\n\s]/g, '');
-      try {
-        const binaryString = atob(cleaned);
-        const data = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-          data[i] = binaryString.charCodeAt(i);
-        }
-        return data;
-      } catch (e) {
-        console.error(`Failed to decode base64 for ${filename}:`, e.message);
-        return null;
-      }
+  resolveStoragePath(classification) {
+    const profile = this.routingProfile;
+    const vars = {
+      category: classification.category,
+      entity: classification.entity,
+      caseSlug: classification.caseSlug || profile.defaultCaseSlug || 'unassigned',
+    };
+    if (classification.caseRelevant || classification.category === 'case' || classification.category === 'legal') {
+      return renderStorageTemplate(profile.storage.case, vars);
+    }
+    const entity = findEntity(profile, classification.entity);
+    if (entity) {
+      return renderStorageTemplate(entity.storagePath, vars);
     }
-    return new TextEncoder().encode(body);
+    if (classification.category === 'spam') {
+      return renderStorageTemplate(profile.storage.spam, vars);
+    }
+    return renderStorageTemplate(profile.storage.default, vars);
   }
 
   /**
-   * Resolve R2 storage base path from classification data (triage or correction)
+   * Hold a message while no routing profile is loaded: no AI triage, no
+   * forward, attachments under UNROUTED_STORAGE_PATH instead of any
+   * principal's taxonomy, and a review-queue item held for a human. The
+   * static privilege gate still applies. Polled mail is left in its mailbox
+   * for the monitor to retry once a profile loads.
    */
-  resolveStoragePath(classification) {
-    if (classification.caseRelevant || classification.category === 'case' || classification.category === 'legal') {
-      return `cases/arias-v-bianchi/${classification.category}`;
-    } else if (classification.entity === 'ARIBIA') {
-      return `business/aribia/${classification.category}`;
-    } else if (classification.entity === 'ITCANBE') {
-      return `business/itcanbe/${classification.category}`;
-    } else if (classification.entity === 'personal') {
-      return `inbox/nick/${classification.category}`;
-    } else if (classification.entity === 'chittyos') {
-      return `ops/${classification.category}`;
-    } else if (classification.category === 'spam') {
-      return 'spam';
+  async storeUnrouted(emailData, attachments) {
+    if (emailData.mailbox) {
+      return { success: false, error: 'routing profile unavailable' };
+    }
+
+    const privileged = isPrivileged(emailData.from, emailData.to, this.env, null);
+    emailData.privileged = privileged;
+    const triage = {
+      urgencyLevel: 'MEDIUM',
+      urgencyScore: 50,
+      category: null,
+      caseRelevant: false,
+      caseSlug: null,
+      entity: null,
+      actionNeeded: true,
+      summary: '',
+      reasons: ['routing-profile-unavailable'],
+      aiClassified: false,
+      timestamp: new Date().toISOString(),
+    };
+    const stored = privileged ? [] : await this.storeAttachments(attachments, emailData, triage, UNROUTED_STORAGE_PATH);
+    emailData.storedAttachments = stored;
+    if (privileged && emailData.attachmentNames?.length) {
+      emailData.attachmentNames = [`[${emailData.attachmentNames.length} attachment(s) — names redacted]`];
     }
-    return `inbox/unsorted/${classification.category}`;
+
+    emailData.routing = {
+      decision: { type: 'store-only', reason: 'routing profile unavailable', source: 'profile' },
+      tags: [],
+      dispatches: [],
+      trace: { rulesetVersion: null, rules: [], chain: [{ step: 'profile', matched: false }] },
+    };
+    const mode = await this.getRoutingMode();
+    emailData.routingDecision = { mode, route: 'hold', holds: ['routing-profile-unavailable'] };
+
+    const queueItem = await this.enqueue(emailData, triage, stored);
+    await this.markIngested(emailData.id);
+    console.warn(`Stored ${emailData.id} without routing: no routing profile loaded - queue:${queueItem.id}`);
+
+    return {
+      success: true,
+      messageId: emailData.id,
+      from: emailData.from,
+      subject: privileged ? '[REDACTED — privileged_legal]' : emailData.subject,
+      category: null,
+      urgencyLevel: triage.urgencyLevel,
+      urgencyScore: triage.urgencyScore,
+      privileged,
+      attachmentsStored: stored.length,
+      queueId: queueItem.id,
+      mode,
+      route: 'hold',
+      unrouted: true,
+    };
   }
 
   /**
-   * Store extracted attachments to R2
+   * Store extracted attachments to R2 under `basePath` (by default the
+   * active routing profile's path for this triage).
    */
-  async storeAttachments(attachments, emailData, triage) {
+  async storeAttachments(attachments, emailData, triage, basePath = this.resolveStoragePath(triage)) {
     if (!attachments.length) return [];
     if (!this.env.DOCUMENT_STORAGE) {
       console.error('R2 DOCUMENT_STORAGE binding not available');
@@ -423,12 +671,14 @@ export class CloudflareEmailHandler {
 
     const stored = [];
     const dateStr = new Date().toISOString().split('T')[0];
-    const basePath = this.resolveStoragePath(triage);
     // Derive a short slug from the email message ID to prevent same-day filename collisions
     const emailSlug = (emailData.id || '').replace(/[^a-zA-Z0-9]/g, '').slice(-12) || Date.now().toString(36);
 
+    // Duplicate filenames are common (two "scan.pdf"s); suffix repeats so
+    // neither overwrites the other in R2.
+    const usedNames = new Set();
     for (const att of attachments) {
-      const key = `${basePath}/${dateStr}/${emailSlug}/${att.filename}`;
+      const key = `${basePath}/${dateStr}/${emailSlug}/${uniqueFilename(att.filename, usedNames)}`;
 
       try {
         // Compute SHA-256 hash for chain of custody
@@ -449,8 +699,11 @@ export class CloudflareEmailHandler {
             sha256,
             extractedAt: new Date().toISOString(),
             urgencyLevel: triage.urgencyLevel,
-            category: triage.category,
-            size: String(att.size)
+            category: triage.category ?? '',
+            size: String(att.size),
+            mimePartId: att.partId || '',
+            contentId: att.contentId || '',
+            forwardedFrom: att.forwardedFrom || ''
           }
         });
 
@@ -486,8 +739,9 @@ export class CloudflareEmailHandler {
    * Examines: from, to, cc, bcc, subject, body, attachment names, reply chains
    */
   async triageEmail(emailData) {
-    // Load training corrections to improve AI classification
-    const trainingExamples = await this.getTrainingExamples();
+    // Past corrections most like this email, and any sender rule learned
+    // from them
+    const { examples: trainingExamples, rule: learnedRule } = await this.findSimilarCorrections(emailData);
 
     // Build rich context for AI analysis
     const attachmentList = emailData.attachmentNames?.length
@@ -495,21 +749,24 @@ export class CloudflareEmailHandler {
       : 'No attachments';
 
     const trainingBlock = trainingExamples.length
-      ? `\nLEARNED CORRECTIONS (apply these patterns):\n${trainingExamples.map(ex =>
-          `- Email from "${ex.from}" about "${ex.subject}" → was "${ex.wrongCategory}", should be "${ex.correctCategory}" (${ex.reason})`
+      ? `\nSIMILAR PAST CORRECTIONS (most similar first; apply the pattern where it fits):\n${trainingExamples.map(ex =>
+          `- Email from "${ex.sender}" about "${ex.subject}" → was "${ex.wasCategory}", should be "${ex.category}"${ex.entity ? ` (entity "${ex.entity}")` : ''} (${ex.reason})`
         ).join('\n')}\n`
       : '';
 
-    const prompt = `You are an email routing AI for a legal professional named Nicholas Bianchi.
+    const profile = this.routingProfile;
+    const categoryList = profile.categories.map(c => `"${c}"`).join(', ');
+    const entityList = profile.entities.map(e => `"${e.id}"`).join(', ');
+    const matterSlugs = (profile.matters || []).map(m => m.slug);
+    const matterLine = matterSlugs.length
+      ? `  "case_slug": null or one of [${matterSlugs.map(s => `"${s}"`).join(', ')}] (which matter, if case_relevant),\n`
+      : '';
+
+    const prompt = `You are an email routing AI for a ${profile.principal.role || 'professional'} named ${profile.principal.name}.
 You must classify this email into exactly ONE category and assess urgency.
 
 KNOWN CONTEXT:
-- Active litigation: Arias v. Bianchi, Case No. 2024D007847 (Cook County divorce/dissolution)
-- Parties: Nicholas Bianchi (respondent), Luisa Arias/Montealegre (petitioner)
-- Attorneys: Rob Alexander (Bianchi), Berlin Melzer (Arias)
-- Business entities: ARIBIA LLC, IT CAN BE LLC
-- Properties: 541 W Addison, 550 W Surf, Morada Mami (Colombia)
-- Known senders: court coordinators, paralegals, State Farm, ServiceMaster, DoorLoop, Mercury Bank
+${describeProfileContext(profile)}
 ${trainingBlock}
 EMAIL:
 From: ${emailData.from}
@@ -525,11 +782,12 @@ ${emailData.content.substring(0, 1500)}
 
 CLASSIFY into exactly one JSON object:
 {
-  "category": one of ["case", "legal", "financial", "property", "business", "personal", "ops", "spam"],
+  "category": one of [${categoryList}],
   "urgency": one of ["CRITICAL", "HIGH", "MEDIUM", "LOW", "INFO"],
+  "confidence": 0.0-1.0 (how sure you are of the category),
   "reasons": [array of 1-3 short reason strings],
-  "case_relevant": true/false (is this related to Arias v. Bianchi or any active litigation?),
-  "entity": null or one of ["ARIBIA", "ITCANBE", "personal", "chittyos"],
+  "case_relevant": true/false (is this related to any active litigation listed above?),
+${matterLine}  "entity": null or one of [${entityList}],
   "action_needed": true/false,
   "summary": "one-line summary of what this email is about"
 }
@@ -537,36 +795,60 @@ CLASSIFY into exactly one JSON object:
 Respond with ONLY the JSON object, no other text.`;
 
     try {
-      const aiResult = await this.env.AI.run('@cf/meta/llama-3.1-8b-instruct-fast', {
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 300,
-        temperature: 0.1
+      const result = await this.inference.complete({
+        taskType: 'email_triage',
+        promptId: 'email.triage',
+        prompt,
+        schema: triageSchema(profile),
+        maxTokens: 300,
+        temperature: 0.1,
+        label: 'email-triage',
       });
-
-      const responseText = aiResult.response || '';
-      // Extract JSON from response (handle markdown fences)
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return {
+      if (result.success) {
+        const parsed = result.json;
+        return this.applyLearnedRule({
           urgencyLevel: parsed.urgency || 'MEDIUM',
           urgencyScore: this.urgencyToScore(parsed.urgency),
-          category: parsed.category || 'general',
+          category: parsed.category || defaultCategory(profile),
+          confidence: typeof parsed.confidence === 'number' ? parsed.confidence : null,
           caseRelevant: parsed.case_relevant ?? false,
-          entity: parsed.entity || null,
+          // Only accept ids the profile knows — a hallucinated entity/slug
+          // would otherwise become an R2 path segment.
+          caseSlug: matterSlugs.includes(parsed.case_slug) ? parsed.case_slug : null,
+          entity: findEntity(profile, parsed.entity)?.id ?? null,
           actionNeeded: parsed.action_needed ?? false,
           summary: parsed.summary || '',
           reasons: parsed.reasons || ['ai-classified'],
           aiClassified: true,
+          inference: summarizeInference(result),
           timestamp: new Date().toISOString()
-        };
+        }, learnedRule);
       }
     } catch (err) {
       console.error('AI triage failed, falling back to rule-based:', err);
     }
 
     // Fallback: rule-based triage if AI fails
-    return this.ruleBasedTriage(emailData);
+    return this.applyLearnedRule(this.ruleBasedTriage(emailData), learnedRule);
+  }
+
+  /**
+   * Overlay a learned sender rule on a triage result: its category (and
+   * entity, when the rule names one the profile knows) replace the
+   * classifier's. The rule's agreement stands in for the AI confidence,
+   * which was about a category no longer in play.
+   */
+  applyLearnedRule(triage, rule) {
+    if (!rule) return triage;
+    const entity = rule.entity && findEntity(this.routingProfile, rule.entity) ? rule.entity : triage.entity;
+    return {
+      ...triage,
+      category: rule.category,
+      confidence: rule.agreement,
+      entity,
+      learnedRule: rule.key,
+      reasons: [...(triage.reasons || []), `learned-rule:${rule.key}`],
+    };
   }
 
   /**
@@ -578,8 +860,8 @@ Respond with ONLY the JSON object, no other text.`;
    *
    * Returns the same triage shape the rest of handleEmail consumes (so
    * enqueue / sendRoutingConfirmation / the return value all keep working), but
-   * with category fixed to 'legal' and caseRelevant true — privileged-legal is
-   * by definition legal/case material. urgencyLevel is derived from subject
+   * with category fixed to the profile's `legal` category and caseRelevant
+   * true — privileged-legal is by definition legal/case material. urgencyLevel is derived from subject
    * urgency keywords + recipient-address priority only.
    *
    * @param {Object} emailData
@@ -616,8 +898,9 @@ Respond with ONLY the JSON object, no other text.`;
     return {
       urgencyLevel,
       urgencyScore: score,
-      category: 'legal',
+      category: ruleCategory(this.routingProfile, 'legal') ?? defaultCategory(this.routingProfile),
       caseRelevant: true,
+      caseSlug: addressRoute?.caseSlug ?? null,
       entity: null,
       actionNeeded: score >= 60,
       // NO summary — summaries would describe body content. Metadata-only.
@@ -644,26 +927,30 @@ Respond with ONLY the JSON object, no other text.`;
   }
 
   /**
-   * Fallback rule-based triage when AI is unavailable
+   * Fallback rule-based triage when AI is unavailable. Entity attribution and
+   * the category set come from the active routing profile.
    */
   ruleBasedTriage(emailData) {
+    const profile = this.routingProfile;
     const text = `${emailData.subject} ${emailData.content} ${emailData.from}`.toLowerCase();
     const reasons = [];
     let score = 0;
-    let category = 'general';
+    let category = defaultCategory(profile);
+    let caseSlug = null;
 
     for (const [key, pattern] of Object.entries(this.urgencyPatterns)) {
       if (pattern.test(text)) {
         reasons.push(key);
         switch(key) {
-          case 'court': score += 40; category = 'legal'; break;
+          case 'court': score += 40; break;
           case 'urgent': score += 30; break;
-          case 'creditor': score += 25; category = 'financial'; break;
-          case 'compliance': score += 25; category = 'compliance'; break;
-          case 'property': score += 20; category = 'property'; break;
-          case 'legal': score += 15; category = 'legal'; break;
-          case 'financial': score += 15; category = 'financial'; break;
+          case 'creditor': score += 25; break;
+          case 'compliance': score += 25; break;
+          case 'property': score += 20; break;
+          case 'legal': score += 15; break;
+          case 'financial': score += 15; break;
         }
+        category = ruleCategory(profile, key) ?? category;
       }
     }
 
@@ -680,7 +967,8 @@ Respond with ONLY the JSON object, no other text.`;
       else if (addressRoute.priority === 'MEDIUM') score += 10;
 
       if (addressRoute.case) {
-        category = 'case';
+        category = ruleCategory(profile, 'case') ?? category;
+        caseSlug = addressRoute.caseSlug ?? null;
         reasons.push(`case:${addressRoute.case}`);
       }
     }
@@ -691,7 +979,7 @@ Respond with ONLY the JSON object, no other text.`;
     const caseMatch = toKey.match(/([a-z]{1,64})-v-([a-z]{1,64})@/);
     if (caseMatch) {
       score += 25;
-      category = 'case';
+      category = ruleCategory(profile, 'case') ?? category;
       reasons.push(`case_address:${caseMatch[1]}-v-${caseMatch[2]}`);
     }
 
@@ -700,6 +988,9 @@ Respond with ONLY the JSON object, no other text.`;
       reasons.push(`attachments:${emailData.attachmentCount}`);
     }
 
+    const entity = matchEntity(profile, extractAddress(emailData.from), text);
+    if (entity) reasons.push(`entity:${entity}`);
+
     let urgencyLevel;
     if (score >= 80) urgencyLevel = 'CRITICAL';
     else if (score >= 60) urgencyLevel = 'HIGH';
@@ -710,7 +1001,8 @@ Respond with ONLY the JSON object, no other text.`;
     return {
       urgencyLevel, urgencyScore: score, category, reasons,
       caseRelevant: category === 'case' || category === 'legal',
-      entity: null, actionNeeded: score >= 40, summary: '',
+      caseSlug,
+      entity, actionNeeded: score >= 40, summary: '',
       aiClassified: false, timestamp: new Date().toISOString()
     };
   }
@@ -781,10 +1073,9 @@ Respond with ONLY the JSON object, no other text.`;
    */
   isSecurityIncident(emailData) {
     // Recipient-based dispatch only on this legacy path. The local
-    // triageEmail() emits 'general'/'legal'/'financial'/'compliance'/
-    // 'property'/'case' — never 'security_incident' — and has no
-    // `class` field, so any triage.category/triage.class checks here
-    // would be permanently dead. The Agents-SDK pipeline
+    // triageEmail() emits the routing profile's categories (none of which
+    // is 'security_incident') and has no `class` field, so any
+    // triage.category/triage.class checks here would be dead. The Agents-SDK pipeline
     // (src/ai/email-processor.js → TRIAGE_AGENT/classify) does the
     // content-based 'security_incident' classification, which dispatches
     // to SecurityAgent through that path instead of this one.
@@ -883,49 +1174,326 @@ Respond with ONLY the JSON object, no other text.`;
     }
   }
 
-  async routeEmail(message, emailData, triage) {
+  /**
+   * Decide where a message goes, without side effects. Precedence:
+   *   1. case-registry route — legal attribution, rules cannot override it
+   *   2. declarative routing rules — first matching disposition wins
+   *   3. non-case address route
+   *   4. alias_registry overlay (forwardEnv)
+   *   5. the routing profile's defaultForward (store-only without one)
+   * Tags and agent dispatches from matching rules apply whichever step
+   * decides. Every step lands in `trace.chain`, so the plan explains itself.
+   *
+   * @param {Object} emailData
+   * @param {Object} triage
+   * @param {{ headers?: any, attachmentTypes?: string[], ruleset?: { version: any, compiled: any[] } }} [opts]
+   * @returns {Promise<RoutePlan>}
+   */
+  async planRoute(emailData, triage, { headers, attachmentTypes, ruleset } = {}) {
+    const rules = ruleset ?? await this.getRoutingRules();
+    const evaluation = evaluateRules(
+      rules.compiled,
+      routingFacts({ emailData, triage, headers, attachmentTypes }),
+    );
+
     // Normalize casing so a mixed-case recipient hits its (lowercased) route
     // and forwards correctly instead of falling through to the default.
     const toKey = normalizeAddress(emailData.to);
     const route = Object.prototype.hasOwnProperty.call(this.addressRoutes, toKey)
       ? this.addressRoutes[toKey]
       : undefined;
-    if (route?.forward) {
-      await message.forward(route.forward);
-      console.log(`Forwarded to ${route.forward}`);
-      return;
+
+    const chain = [];
+    let decision = null;
+
+    if (route?.forward && route.caseSlug) {
+      decision = { type: 'forward', to: [route.forward], source: 'case-route' };
     }
+    chain.push({ step: 'case-route', matched: Boolean(decision) });
 
-    // No case/non-case route matched. Consult the registry-backed overlay
-    // decision resolved earlier in handleEmail (null unless it applies).
-    // Fail-open at every branch: a missing/unset override env falls through
-    // to today's default forward rather than dropping the message.
-    const decision = emailData.aliasDecision;
-    if (decision) {
-      if (decision.forwardEnv) {
-        const dest = this.env?.[decision.forwardEnv];
-        if (dest) {
-          await message.forward(dest);
-          console.log(
-            `[alias-registry] lane=${decision.lane} disposition=${decision.disposition} ` +
-            `forwarded via ${decision.forwardEnv}`,
-          );
-          return;
-        }
-        // Override env unset → fail open to default forward below.
-        console.warn(
-          `[alias-registry] ${decision.address} wants ${decision.forwardEnv} but env is unset — ` +
-          `falling back to default forward.`,
-        );
+    if (evaluation.disposition) {
+      const { ruleId, ...disposition } = evaluation.disposition;
+      chain.push({ step: 'rules', matched: true, ruleId, ...(decision ? { shadowedBy: decision.source } : {}) });
+      if (!decision) decision = { ...disposition, source: 'rule', ruleId };
+    } else {
+      chain.push({ step: 'rules', matched: false });
+    }
+
+    if (!decision && route?.forward) {
+      decision = { type: 'forward', to: [route.forward], source: 'address-route' };
+      chain.push({ step: 'address-route', matched: true });
+    }
+
+    // No case/non-case route or rule decided. Consult the registry-backed
+    // overlay decision resolved earlier in handleEmail (null unless it
+    // applies). Fail-open at every branch: a missing/unset override env falls
+    // through to the default forward rather than dropping the message.
+    const alias = emailData.aliasDecision;
+    if (!decision && alias) {
+      const dest = alias.forwardEnv ? this.env?.[alias.forwardEnv] : undefined;
+      if (dest) {
+        decision = { type: 'forward', to: [dest], source: 'alias-overlay' };
+        chain.push({ step: 'alias-overlay', matched: true, lane: alias.lane, disposition: alias.disposition, forwardEnv: alias.forwardEnv });
+      } else {
+        chain.push({
+          step: 'alias-overlay',
+          matched: false,
+          note: alias.forwardEnv ? `${alias.forwardEnv} unset` : (alias.retired ? 'retired address' : alias.disposition),
+        });
       }
-      if (decision.retired) {
-        // 'retire' disposition: still forward (don't drop), but log it.
-        console.log(`[alias-registry] forwarding RETIRED address ${decision.address} to default.`);
+    }
+
+    if (!decision) {
+      const fallback = this.routingProfile.defaultForward;
+      decision = fallback
+        ? { type: 'forward', to: [fallback], source: 'default' }
+        : { type: 'store-only', reason: 'routing profile has no defaultForward', source: 'default' };
+      chain.push({ step: 'default', matched: true });
+    }
+
+    return {
+      decision,
+      tags: evaluation.tags,
+      dispatches: evaluation.dispatches,
+      trace: { rulesetVersion: rules.version, rules: evaluation.trace, chain },
+    };
+  }
+
+  /**
+   * Carry out a route plan: forward / multi-forward / reject / store-only,
+   * then any agent dispatches. Plans are computed in handleEmail before
+   * persistence; callers that skip that get one planned here.
+   */
+  async routeEmail(message, emailData, triage, ctx) {
+    const plan = emailData.routing ?? await this.planRoute(emailData, triage);
+    emailData.routing = plan;
+    const { decision } = plan;
+    const via = decision.source === 'rule' ? `rule ${decision.ruleId}` : decision.source;
+
+    if (emailData.mailbox) {
+      // Polled mail already sits in its mailbox; only dispatches apply.
+      console.log(`Polled from ${emailData.mailbox.account}, not forwarded (${via}: ${decision.type})`);
+    } else if (decision.type === 'reject') {
+      message.setReject(decision.reason);
+      console.log(`Rejected (${via}): ${decision.reason}`);
+    } else if (decision.type === 'store-only') {
+      console.log(`Stored only, not forwarded (${via})`);
+    } else {
+      for (const dest of decision.to) {
+        await message.forward(dest);
       }
+      console.log(`Forwarded to ${decision.to.join(', ')} (${via})`);
     }
 
-    await message.forward('nick@aribia.llc');
-    console.log('Forwarded to default (nick@aribia.llc)');
+    if (plan.dispatches.length) {
+      const task = this.dispatchToAgents(plan.dispatches, emailData, triage);
+      if (ctx && typeof ctx.waitUntil === 'function') ctx.waitUntil(task);
+      else await task;
+    }
+  }
+
+  /**
+   * POST the message to each agent a rule dispatched it to. Same payload as
+   * dispatchToSecurityAgent (so /ingest-style endpoints accept it) and the
+   * same F-L10 redaction. Best-effort: failures are logged, never thrown.
+   * With AGENT_SHARDING_ENABLED, sharded agents get the message's shard.
+   */
+  async dispatchToAgents(dispatches, emailData, triage) {
+    const privileged = emailData.privileged === true || emailData.aliasDecision?.metadataOnly === true;
+    const body = {
+      reporter: emailData.from,
+      subject: privileged ? '[REDACTED — privileged_legal]' : emailData.subject,
+      content: privileged ? '' : emailData.content,
+      message_id: emailData.id,
+      recipient: emailData.to,
+      triage_category: triage?.category,
+      triage_urgency: triage?.urgencyLevel,
+      tags: emailData.routing?.tags ?? [],
+    };
+    // Sharded agents get the message's case shard, else its detected org's.
+    const shard = isShardingEnabled(this.env)
+      ? shardForMessage({ caseSlug: triage?.caseSlug, sender: emailData.from, content: privileged ? '' : emailData.content })
+      : null;
+    await Promise.all(dispatches.map(async ({ agent, path, ruleId }) => {
+      try {
+        const room = isShardedAgent(agent) && shard ? instanceName(agent, shard) : undefined;
+        if (room) await registerShard(this.env, agent, shard);
+        const res = await callAgent(this.env, agent, path, { method: 'POST', body: { ...body, rule_id: ruleId }, room });
+        if (!res) console.warn(`[routing-rules] rule ${ruleId}: ${agent} binding absent — dispatch skipped`);
+        else if (res.status >= 400) console.error(`[routing-rules] rule ${ruleId}: ${agent}${path} returned ${res.status}`);
+      } catch (err) {
+        console.error(`[routing-rules] rule ${ruleId}: dispatch to ${agent} failed:`, err?.message ?? err);
+      }
+    }));
+  }
+
+  /**
+   * Active routing rules for this deployment's profile (per-isolate cached).
+   */
+  getRoutingRules() {
+    return loadRoutingRules(this.env, { org: this.routingProfile.id });
+  }
+
+  /**
+   * Dry-run a candidate ruleset against recent routing receipts and report
+   * where each message would have gone under the current rules vs the
+   * candidate. Receipts carry no raw headers, so header conditions evaluate
+   * as unavailable (trace: `headers.<name> (unavailable)`).
+   *
+   * @param {object[]} candidateRules - full replacement ruleset
+   * @param {{ limit?: number }} [opts]
+   */
+  async dryRunRules(candidateRules, { limit = 50 } = {}) {
+    // Legacy pattern → category rows come back from the store as-is and are
+    // not expressible in the declarative schema; skip validating those.
+    const errors = candidateRules.flatMap((rule, i) => (rule?.legacy
+      ? []
+      : validateRule(rule).errors.map((e) => `rules[${i}]: ${e}`)));
+    if (errors.length) return { valid: false, errors };
+
+    await this.getRoutingProfile();
+    const current = await this.getRoutingRules();
+    const candidate = {
+      version: 'candidate',
+      compiled: compileRules(candidateRules.map((r, i) => ({ version: null, ...r, id: r.id ?? `candidate-${i}` }))),
+    };
+
+    const receipts = await this.getRecentReceipts(limit);
+    const results = [];
+    for (const receipt of receipts) {
+      const emailData = { from: receipt.from, to: receipt.to, subject: receipt.subject, aliasDecision: null };
+      const triage = {
+        category: receipt.classification?.category,
+        urgencyLevel: receipt.classification?.urgency,
+        entity: receipt.classification?.entity,
+      };
+      const attachmentTypes = (receipt.attachments || []).map((a) => a.contentType);
+      const before = await this.planRoute(emailData, triage, { attachmentTypes, ruleset: current });
+      const after = await this.planRoute(emailData, triage, { attachmentTypes, ruleset: candidate });
+      results.push({
+        receiptId: receipt.id,
+        receivedAt: receipt.receivedAt,
+        from: receipt.from,
+        to: receipt.to,
+        changed: JSON.stringify(before.decision) !== JSON.stringify(after.decision)
+          || JSON.stringify(before.tags) !== JSON.stringify(after.tags),
+        current: { decision: before.decision, tags: before.tags },
+        candidate: after,
+      });
+    }
+
+    return {
+      valid: true,
+      currentVersion: current.version,
+      evaluated: results.length,
+      changed: results.filter((r) => r.changed).length,
+      results,
+    };
+  }
+
+  /**
+   * Replay stored mail through the current triage and routing code and diff
+   * the outcome against what was recorded (see src/email/replay.js). Reads
+   * only: nothing is stored, forwarded, queued or sent to the live AI model.
+   *
+   * @param {{ source?: 'queue'|'receipts', limit?: number, respond?: Function, changedOnly?: boolean }} [opts]
+   */
+  async replayRecent({ source = 'queue', limit = 50, respond, changedOnly } = {}) {
+    const records = source === 'receipts'
+      ? (await this.getRecentReceipts(limit)).map(recordFromReceipt)
+      : (await this.getQueuePage({ limit })).items.map(recordFromQueueItem);
+    return this.replayRecords(records, { respond, changedOnly });
+  }
+
+  /**
+   * Replay normalized records (recordFromQueueItem / recordFromReceipt, or a
+   * fixture corpus). Triage runs on a second handler whose AI binding is the
+   * replay stub, so `respond` decides what the model says.
+   *
+   * @param {import('./replay.js').ReplayRecord[]} records
+   * @param {{ respond?: Function, changedOnly?: boolean }} [opts]
+   */
+  async replayRecords(records, { respond, changedOnly } = {}) {
+    await this.getRoutingProfile();
+    const ruleset = await this.getRoutingRules();
+    const ai = createReplayAI(respond);
+    const replayer = new CloudflareEmailHandler({ ...this.env, AI: ai });
+    replayer.routingProfile = this.routingProfile;
+
+    const results = [];
+    for (const record of records) {
+      ai.record = record;
+      results.push(await replayer.replayRecord(record, ruleset));
+    }
+    return summarizeReplay(results, { changedOnly });
+  }
+
+  /**
+   * One record through the same steps handleEmail takes, minus the side
+   * effects. Results carry addresses and classifications only — never the
+   * subject or body — so privileged records are safe to report.
+   */
+  async replayRecord(record, ruleset) {
+    const { email } = record;
+    const emailData = {
+      id: record.id,
+      from: email.from,
+      to: email.to,
+      cc: email.cc || '',
+      subject: email.subject,
+      content: email.content,
+      date: record.receivedAt,
+      attachmentNames: email.attachmentNames,
+      attachmentCount: email.attachmentNames.length,
+    };
+    emailData.aliasDecision = await this.resolveAliasOverlay(emailData);
+    // A record persisted metadata-only stays privileged even if the gate's
+    // inputs have since changed — its content was never kept to re-test.
+    emailData.privileged = record.metadataOnly
+      || isPrivileged(emailData.from, emailData.to, this.env, emailData.aliasDecision);
+
+    let triage;
+    let triagePath;
+    if (emailData.privileged) {
+      triage = this.privilegedTriage(emailData);
+      triagePath = 'privileged';
+    } else {
+      triage = await this.triageEmail(emailData);
+      triagePath = triage.aiClassified ? 'ai' : 'rules';
+    }
+
+    const plan = await this.planRoute(emailData, triage, { attachmentTypes: email.attachmentTypes, ruleset });
+    const replayed = {
+      category: triage.category,
+      urgency: triage.urgencyLevel,
+      destination: describeDestination(plan.decision),
+      // Privileged attachments are never written to R2.
+      storagePath: !emailData.privileged && emailData.attachmentCount
+        ? this.resolveStoragePath(triage)
+        : null,
+      routeSource: plan.decision.source,
+      ruleId: plan.decision.ruleId ?? null,
+    };
+    const { recorded } = record;
+
+    return {
+      source: record.source,
+      id: record.id,
+      receivedAt: record.receivedAt,
+      from: email.from,
+      to: email.to,
+      metadataOnly: emailData.privileged,
+      triagePath,
+      changed: diffOutcome(recorded, replayed, { metadataOnly: record.metadataOnly }),
+      recorded: {
+        category: recorded.category,
+        urgency: recorded.urgency,
+        destination: recorded.destination ?? null,
+        storagePath: recorded.storagePath ?? null,
+      },
+      replayed,
+      reviewedCategory: record.reviewedCategory,
+    };
   }
 
   // pushUrgentToNotion removed — replaced by sendRoutingConfirmation which covers all emails
@@ -944,6 +1512,8 @@ Respond with ONLY the JSON object, no other text.`;
     const receipt = {
       id: `rcpt-${Date.now()}`,
       receivedAt: new Date().toISOString(),
+      // Ids only — lets /email/receipts attach "thread of N" context.
+      messageId: parseMessageIds(emailData.id)[0] || null,
       from: emailData.from,
       to: emailData.to,
       subject: safeSubject,
@@ -951,17 +1521,22 @@ Respond with ONLY the JSON object, no other text.`;
         category: triage.category,
         urgency: triage.urgencyLevel,
         caseRelevant: triage.caseRelevant,
+        caseSlug: triage.caseSlug ?? null,
         entity: triage.entity,
         summary: safeSummary,
         reasons: triage.reasons,
-        aiClassified: triage.aiClassified
+        aiClassified: triage.aiClassified,
+        inference: triage.inference ?? null
       },
       attachments: storedAttachments.map(a => ({
         filename: a.filename,
         path: a.key,
         size: a.size,
-        sha256: a.sha256
+        sha256: a.sha256,
+        contentType: a.contentType
       })),
+      tags: emailData.routing?.tags ?? [],
+      routing: emailData.routing ? { decision: emailData.routing.decision, trace: emailData.routing.trace } : null,
       actionNeeded: triage.actionNeeded
     };
 
@@ -989,6 +1564,10 @@ Respond with ONLY the JSON object, no other text.`;
       const aiTag = triage.aiClassified ? ' [AI]' : ' [RULE]';
       const attCount = storedAttachments.length;
       const attLine = attCount ? `\n📎 ${attCount} attachment${attCount > 1 ? 's' : ''}: ${storedAttachments.map(a => a.filename).join(', ')}` : '';
+      const route = emailData.routing?.decision;
+      const routeLine = route
+        ? `\nRoute: ${route.type}${route.to ? ` → ${route.to.join(', ')}` : ''} (${route.source === 'rule' ? `rule ${route.ruleId}` : route.source})`
+        : '';
 
       const blocks = [{
         object: 'block',
@@ -1003,6 +1582,7 @@ Respond with ONLY the JSON object, no other text.`;
                 `Subject: ${safeSubject.substring(0, 120)}\n` +
                 `${safeSummary ? `Summary: ${safeSummary}\n` : ''}` +
                 `Reasons: ${triage.reasons.join(', ')}` +
+                routeLine +
                 attLine
             }
           }]
@@ -1026,54 +1606,125 @@ Respond with ONLY the JSON object, no other text.`;
     }
   }
 
+  // ============ Triage Corrections ============
+
   /**
-   * Get training examples from KV — corrections submitted by user
-   * These are injected into the AI prompt as few-shot learning
+   * The past corrections most similar to an email and the learned rule for
+   * its sender, from TriageAgent. Triage goes on without them when the
+   * store is unavailable.
+   *
+   * @returns {Promise<{ examples: object[], rule: object|null }>}
    */
-  async getTrainingExamples() {
+  async findSimilarCorrections(emailData) {
     try {
-      const examples = await this.env.AI_CACHE?.get('email_training_corrections', 'json');
-      return examples || [];
+      await this.importLegacyCorrections();
+      const res = await callCorrections(this.env, '/corrections/similar', {
+        method: 'POST',
+        body: { profile: this.routingProfile.id, sender: senderAddress(emailData.from), subject: emailData.subject || '' },
+      });
+      if (res?.status !== 200) return { examples: [], rule: null };
+      return {
+        examples: res.data.examples || [],
+        rule: selectLearnedRule(res.data.rules, emailData.from, this.routingProfile),
+      };
     } catch (err) {
-      console.error('Failed to load training examples from KV:', err);
-      return [];
+      console.error('Failed to load similar corrections:', err);
+      return { examples: [], rule: null };
     }
   }
 
   /**
-   * Submit a routing correction — called via /email/correct API
-   * Stores the correction so future classifications learn from it
+   * Submit a routing correction — called via /email/correct and by queue
+   * reviews. The full history is kept; see src/email/corrections.js.
+   *
+   * @returns {Promise<object>} `{ success, correction, rules, totalCorrections }`,
+   *   or `{ success: false, invalid: true, errors }` for a bad correction
    */
-  async submitCorrection(correction) {
+  async submitCorrection(input) {
     try {
-      const examples = await this.getTrainingExamples();
-
-      examples.push({
-        from: correction.from,
-        subject: correction.subject,
-        wrongCategory: correction.wasCategory,
-        correctCategory: correction.shouldBeCategory,
-        correctEntity: correction.shouldBeEntity || null,
-        reason: correction.reason || 'user correction',
-        submittedAt: new Date().toISOString()
-      });
-
-      // Keep last 50 corrections (most recent = most relevant)
-      const trimmed = examples.slice(-50);
-
-      await this.env.AI_CACHE?.put(
-        'email_training_corrections',
-        JSON.stringify(trimmed),
-        { expirationTtl: 86400 * 90 } // 90 days
-      );
-
-      return { success: true, totalCorrections: trimmed.length };
+      await this.getRoutingProfile();
+      const { correction, errors } = normalizeCorrection(input, { profile: this.routingProfile });
+      if (!correction) return { success: false, invalid: true, errors };
+
+      await this.importLegacyCorrections();
+      const res = await callCorrections(this.env, '/corrections', { method: 'POST', body: { correction } });
+      if (!res) return { success: false, error: 'corrections store not configured' };
+      if (res.status !== 200) return { success: false, error: res.data?.error || `corrections store returned ${res.status}` };
+      return { success: true, ...res.data };
     } catch (err) {
       console.error('Failed to store correction:', err);
       return { success: false, error: err.message };
     }
   }
 
+  /**
+   * A page of the correction history, newest first.
+   * @returns {Promise<{ corrections: object[], nextCursor: string|null }>}
+   */
+  async getCorrections({ sender, category, limit = 50, cursor } = {}) {
+    await this.getRoutingProfile();
+    await this.importLegacyCorrections();
+    const search = new URLSearchParams({ profile: this.routingProfile.id, limit: String(limit) });
+    if (sender) search.set('sender', sender);
+    if (category) search.set('category', category);
+    if (cursor) search.set('cursor', cursor);
+    const res = await callCorrections(this.env, '/corrections', { search: search.toString() });
+    if (res?.status !== 200) return { corrections: [], nextCursor: null };
+    return { corrections: res.data.corrections, nextCursor: res.data.nextCursor };
+  }
+
+  /** Sender and domain rules learned for the active routing profile. */
+  async getLearnedRules() {
+    await this.getRoutingProfile();
+    const res = await callCorrections(this.env, '/corrections/rules', {
+      search: new URLSearchParams({ profile: this.routingProfile.id }).toString(),
+    });
+    return res?.status === 200 ? res.data.rules : [];
+  }
+
+  /**
+   * Per-category precision and recall of triage against review outcomes.
+   * @returns {Promise<object|null>} null when the review queue is unavailable
+   */
+  async getClassificationMetrics({ since } = {}) {
+    const res = await callReviewQueue(this.env, '/metrics', {
+      search: since ? new URLSearchParams({ since }).toString() : undefined,
+    });
+    return res?.status === 200 ? res.data : null;
+  }
+
+  /**
+   * Move the pre-DO KV corrections (last 50, 90-day TTL) into the store once,
+   * then delete the key. Runs lazily; a no-op once the key is gone.
+   */
+  async importLegacyCorrections() {
+    if (!this.env[CORRECTIONS_BINDING] || this.legacyCorrectionsChecked) return;
+    this.legacyCorrectionsChecked = true;
+    const legacy = await this.env.AI_CACHE?.get(LEGACY_CORRECTIONS_KEY, 'json');
+    if (!Array.isArray(legacy)) return;
+
+    const corrections = legacy.map((ex) => {
+      const { correction } = normalizeCorrection({
+        from: ex.from,
+        subject: ex.subject,
+        wasCategory: ex.wrongCategory,
+        shouldBeCategory: ex.correctCategory,
+        shouldBeEntity: ex.correctEntity,
+        reason: ex.reason,
+        source: 'kv-migration',
+      }, { profile: this.routingProfile });
+      return correction && { ...correction, submittedAt: ex.submittedAt };
+    }).filter(Boolean);
+    const res = await callCorrections(this.env, '/corrections/import', { method: 'POST', body: { corrections } });
+    if (res?.status !== 200) {
+      console.error(`Legacy corrections import failed: ${res?.status}`);
+      this.legacyCorrectionsChecked = false;
+      return;
+    }
+    await this.env.AI_CACHE.delete(LEGACY_CORRECTIONS_KEY);
+    console.log(`Imported ${res.data.imported} legacy training corrections`);
+  }
+
   /**
    * Get recent routing receipts — called via /email/receipts API
    */
@@ -1087,15 +1738,51 @@ Respond with ONLY the JSON object, no other text.`;
     }
   }
 
+  // ============ Mailbox Ingestion ============
+
+  /**
+   * Triage and queue one message polled from a configured mailbox, exactly
+   * as handleEmail does for Email Routing mail, minus forward/reject.
+   *
+   * @param {Uint8Array} raw - RFC 822 bytes
+   * @param {import('../config/mailbox-accounts.js').MailboxAccount} account
+   * @param {string} sourceId - provider message id / UID
+   */
+  async ingestMailboxMessage(raw, account, sourceId, ctx) {
+    return this.handleEmail(mailboxMessage(raw, account, sourceId), this.env, ctx);
+  }
+
+  /** True when a message with this Message-ID was already queued. */
+  async wasIngested(messageId) {
+    if (!messageId || messageId.startsWith('cf-')) return false;
+    try {
+      return Boolean(await this.env.AI_CACHE?.get(`${INGESTED_KEY_PREFIX}${messageId}`));
+    } catch (err) {
+      console.error('Failed to read ingest marker from KV:', err);
+      return false;
+    }
+  }
+
+  async markIngested(messageId) {
+    // Synthesized ids (no Message-ID header) never match a second copy.
+    if (!messageId || messageId.startsWith('cf-')) return;
+    try {
+      await this.env.AI_CACHE?.put(`${INGESTED_KEY_PREFIX}${messageId}`, '1', { expirationTtl: INGESTED_TTL_SECONDS });
+    } catch (err) {
+      console.error('Failed to write ingest marker to KV:', err);
+    }
+  }
+
   // ============ Queue System ============
 
   /**
-   * Get current routing mode: 'onboarding' (review everything) or 'auto' (AI trusted)
+   * Get current routing mode: 'onboarding' (review everything), 'hybrid'
+   * (policy decides per message) or 'auto' (AI trusted)
    */
   async getRoutingMode() {
     try {
-      const mode = await this.env.AI_CACHE?.get('email_routing_mode');
-      return mode || 'onboarding'; // default to onboarding until user switches
+      const mode = await this.env.AI_CACHE?.get(ROUTING_MODE_KEY);
+      return ROUTING_MODES.includes(mode) ? mode : 'onboarding'; // default to onboarding until user switches
     } catch (err) {
       console.error('Failed to read routing mode from KV:', err);
       return 'onboarding';
@@ -1106,10 +1793,139 @@ Respond with ONLY the JSON object, no other text.`;
    * Set routing mode
    */
   async setRoutingMode(mode) {
-    await this.env.AI_CACHE?.put('email_routing_mode', mode);
+    await this.env.AI_CACHE?.put(ROUTING_MODE_KEY, mode);
     return { mode };
   }
 
+  /**
+   * The hybrid-mode policy from KV, defaults filled in. A stored policy the
+   * current profile no longer accepts (e.g. a removed category) falls back
+   * to the defaults rather than routing on half a policy.
+   */
+  async getHybridPolicy() {
+    let stored = null;
+    try {
+      stored = await this.env.AI_CACHE?.get(HYBRID_POLICY_KEY, 'json');
+    } catch (err) {
+      console.error('Failed to read hybrid policy from KV:', err);
+    }
+    if (!stored) return structuredClone(DEFAULT_HYBRID_POLICY);
+    const { policy, errors } = normalizeHybridPolicy(stored, { profile: await this.getRoutingProfile() });
+    if (policy) return policy;
+    console.warn(`Stored hybrid policy is invalid (${errors.join('; ')}) — using defaults`);
+    return structuredClone(DEFAULT_HYBRID_POLICY);
+  }
+
+  /**
+   * Validate and store the hybrid-mode policy.
+   * @returns {Promise<{ success: boolean, policy?: object, errors?: string[] }>}
+   */
+  async setHybridPolicy(input) {
+    const { policy, errors } = normalizeHybridPolicy(input, { profile: await this.getRoutingProfile() });
+    if (!policy) return { success: false, errors };
+    await this.env.AI_CACHE?.put(HYBRID_POLICY_KEY, JSON.stringify(policy));
+    this.hybridMetricsCache = null;
+    return { success: true, policy };
+  }
+
+  /**
+   * How this message is handled under the current mode. Onboarding holds,
+   * auto approves, hybrid weighs confidence, sender history and measured
+   * category accuracy (src/email/hybrid-routing.js).
+   *
+   * @returns {Promise<{ mode: string, route: 'auto'|'hold', holds: string[], inputs?: object }>}
+   */
+  async decideRouting(mode, emailData, triage) {
+    if (mode === 'auto') return { mode, route: 'auto', holds: [] };
+    if (mode !== 'hybrid') return { mode, route: 'hold', holds: [] };
+
+    const policy = await this.getHybridPolicy();
+    const [metrics, sender] = await Promise.all([
+      this.getHybridMetrics(policy),
+      this.getSenderHistory(emailData.from),
+    ]);
+    const decision = hybridDecision({ triage, emailData, policy, metrics, sender });
+    if (decision.holds.includes('accuracy-fallback')) {
+      console.warn(`[hybrid] measured accuracy ${metrics.accuracy} below ${policy.fallback.minAccuracy} — holding all mail for review`);
+    }
+    return decision;
+  }
+
+  /**
+   * Classification metrics over the hybrid policy window, cached per
+   * isolate. Null when the review queue is unreachable.
+   */
+  async getHybridMetrics(policy) {
+    const cached = this.hybridMetricsCache;
+    if (cached && cached.windowDays === policy.windowDays && Date.now() - cached.at < HYBRID_METRICS_TTL_MS) {
+      return cached.metrics;
+    }
+    const since = new Date(Date.now() - policy.windowDays * 24 * 60 * 60 * 1000).toISOString();
+    const metrics = await this.getClassificationMetrics({ since });
+    if (metrics) this.hybridMetricsCache = { at: Date.now(), windowDays: policy.windowDays, metrics };
+    return metrics;
+  }
+
+  /**
+   * Reviewed history of one sender ({ reviewed, approved, corrected, ... }),
+   * or null when the review queue is unreachable.
+   */
+  async getSenderHistory(from) {
+    const sender = senderAddress(from);
+    if (!sender) return null;
+    const res = await callReviewQueue(this.env, '/sender-history', {
+      search: new URLSearchParams({ sender }).toString(),
+    });
+    return res?.status === 200 ? res.data : null;
+  }
+
+  /**
+   * Hybrid-mode dashboard: the auto-versus-held split since `since`, hold
+   * reasons, and per-category measured precision against its thresholds.
+   * Null when the review queue is unavailable.
+   */
+  async getRoutingDashboard({ since } = {}) {
+    const profile = await this.getRoutingProfile();
+    const [mode, policy] = await Promise.all([this.getRoutingMode(), this.getHybridPolicy()]);
+    const from = since || new Date(Date.now() - policy.windowDays * 24 * 60 * 60 * 1000).toISOString();
+    const res = await callReviewQueue(this.env, '/routing-split', {
+      search: new URLSearchParams({ since: from }).toString(),
+    });
+    if (res?.status !== 200) return null;
+    const metrics = await this.getHybridMetrics(policy);
+
+    const categories = {};
+    for (const category of profile.categories) {
+      const stats = metrics?.categories?.[category];
+      const thresholds = categoryThresholds(policy, category);
+      const reviews = stats ? stats.tp + stats.fp : 0;
+      categories[category] = {
+        precision: stats?.precision ?? null,
+        recall: stats?.recall ?? null,
+        reviews,
+        ...thresholds,
+        alwaysReview: policy.alwaysReview.categories.includes(category),
+        eligible: !policy.alwaysReview.categories.includes(category)
+          && reviews >= thresholds.minCategoryReviews
+          && (stats?.precision ?? 0) >= thresholds.minCategoryPrecision,
+      };
+    }
+
+    return {
+      mode,
+      since: from,
+      policy,
+      fallback: {
+        active: accuracyFallbackActive(metrics, policy),
+        accuracy: metrics?.accuracy ?? null,
+        reviewed: metrics?.reviewed ?? 0,
+        ...policy.fallback,
+      },
+      split: routingSplit(res.data.rows, res.data.holds),
+      categories,
+    };
+  }
+
   /**
    * Add email to the review queue
    */
@@ -1122,7 +1938,7 @@ Respond with ONLY the JSON object, no other text.`;
     // in BOTH auto and onboarding modes, so this is a required redaction sink.
     // CRITICAL: bodyPreview below is emailData.content.substring(0,500) — the
     // BODY. Without the static-gate term, a statically-privileged email with no
-    // alias_registry row would write its body straight into KV here.
+    // alias_registry row would write its body straight into the review queue here.
     const metadataOnly = emailData?.privileged === true
       || emailData?.aliasDecision?.metadataOnly === true;
     const safeSubject = metadataOnly ? '[REDACTED — privileged_legal]' : emailData.subject;
@@ -1131,6 +1947,7 @@ Respond with ONLY the JSON object, no other text.`;
 
     const item = {
       id,
+      kind: 'inbound',
       status: 'pending', // pending | approved | corrected | auto_approved
       receivedAt: new Date().toISOString(),
       metadataOnly,
@@ -1138,8 +1955,14 @@ Respond with ONLY the JSON object, no other text.`;
         from: emailData.from,
         to: emailData.to,
         cc: emailData.cc,
+        replyTo: emailData.replyTo,
         subject: safeSubject,
         date: emailData.date,
+        // Threading headers (ids only, no content) — stageReply builds
+        // In-Reply-To/References from these.
+        messageId: emailData.id,
+        inReplyTo: emailData.inReplyTo,
+        references: emailData.references,
         bodyPreview: safeBodyPreview,
         attachments: emailData.attachmentNames || []
       },
@@ -1147,25 +1970,31 @@ Respond with ONLY the JSON object, no other text.`;
         category: triage.category,
         urgency: triage.urgencyLevel,
         caseRelevant: triage.caseRelevant,
+        caseSlug: triage.caseSlug ?? null,
         entity: triage.entity,
         summary: safeSummary,
         reasons: triage.reasons,
-        aiClassified: triage.aiClassified
+        aiClassified: triage.aiClassified,
+        inference: triage.inference ?? null
       },
       storedPaths: storedAttachments.map(a => a.key),
+      tags: emailData.routing?.tags ?? [],
+      routing: emailData.routing ? { decision: emailData.routing.decision, trace: emailData.routing.trace } : null,
+      routingDecision: emailData.routingDecision ?? null,
+      mailbox: emailData.mailbox ?? null,
       finalClassification: null, // filled when approved/corrected
       reviewedAt: null
     };
 
     try {
-      // Store individual item
-      await this.env.AI_CACHE?.put(`email_queue_${id}`, JSON.stringify(item), { expirationTtl: 86400 * 30 });
-
-      // Add to queue index
-      const indexKey = 'email_queue_index';
-      const index = await this.env.AI_CACHE?.get(indexKey, 'json') || [];
-      index.unshift({ id, status: 'pending', from: emailData.from, subject: safeSubject, receivedAt: item.receivedAt, urgency: triage.urgencyLevel });
-      await this.env.AI_CACHE?.put(indexKey, JSON.stringify(index.slice(0, 500)), { expirationTtl: 86400 * 30 });
+      const res = await callReviewQueue(this.env, '/enqueue', { method: 'POST', body: { item } });
+      if (!res) {
+        console.warn(`${REVIEW_QUEUE_BINDING} binding not configured — queue item ${id} not persisted`);
+      } else if (res.status !== 200) {
+        console.error(`Failed to enqueue ${id}: review queue returned ${res.status}`);
+      } else {
+        return res.data.item;
+      }
     } catch (err) {
       console.error('Failed to enqueue:', err);
     }
@@ -1174,44 +2003,54 @@ Respond with ONLY the JSON object, no other text.`;
   }
 
   /**
-   * Update queue item status
+   * Review a queue item: approve it with the AI classification, or correct it.
+   *
+   * Pass `expectedVersion` (the `version` the reviewer saw) for optimistic
+   * concurrency; a stale version returns `{ error: 'version conflict', conflict:
+   * true, currentVersion, item }` and no side effects run. Training
+   * corrections and R2 moves happen only after the review has been recorded.
+   *
+   * @returns {Promise<object|null>} the updated item, a conflict result, or null
    */
-  async updateQueueItem(id, status, correction) {
+  async updateQueueItem(id, status, correction, { expectedVersion, actor } = {}) {
     try {
-      const item = await this.env.AI_CACHE?.get(`email_queue_${id}`, 'json');
-      if (!item) return null;
-
-      item.status = status;
-      item.reviewedAt = new Date().toISOString();
+      const res = await callReviewQueue(this.env, '/review', {
+        method: 'POST',
+        body: { id, status, finalClassification: correction || null, expectedVersion, actor },
+      });
+      if (!res || res.status === 404) return null;
+      if (res.status === 409) return { ...res.data, conflict: true };
+      if (res.status !== 200) {
+        console.error(`Failed to update queue item ${id}: review queue returned ${res.status}`);
+        return null;
+      }
 
+      const item = res.data.item;
+      if (queueItemKind(item) === 'outbound') {
+        // Replies go out only once approved; a rejected one is simply dropped.
+        if (status !== 'approved') return item;
+        return { ...item, delivery: await this.sendApprovedReply(item, actor) };
+      }
       if (correction) {
-        item.finalClassification = correction;
         // Also submit as training correction
         await this.submitCorrection({
           from: item.email.from,
           subject: item.email.subject,
           wasCategory: item.aiClassification.category,
           shouldBeCategory: correction.category,
+          wasEntity: item.aiClassification.entity,
           shouldBeEntity: correction.entity,
-          reason: correction.reason || 'queue correction'
+          reason: correction.reason || 'queue correction',
+          source: 'queue',
+          queueItemId: item.id
         });
 
-        // Move files in R2 if category changed
+        // Move files in R2 if category changed. Paths come from the routing
+        // profile, so refresh it first (a hot-reloaded taxonomy applies here).
         if (correction.category !== item.aiClassification.category && item.storedPaths.length) {
+          await this.getRoutingProfile();
           await this.reclassifyStoredFiles(item, correction);
         }
-      } else {
-        item.finalClassification = item.aiClassification;
-      }
-
-      await this.env.AI_CACHE?.put(`email_queue_${id}`, JSON.stringify(item), { expirationTtl: 86400 * 30 });
-
-      // Update index
-      const index = await this.env.AI_CACHE?.get('email_queue_index', 'json') || [];
-      const idx = index.findIndex(i => i.id === id);
-      if (idx !== -1) {
-        index[idx].status = status;
-        await this.env.AI_CACHE?.put('email_queue_index', JSON.stringify(index), { expirationTtl: 86400 * 30 });
       }
 
       return item;
@@ -1222,55 +2061,81 @@ Respond with ONLY the JSON object, no other text.`;
   }
 
   /**
-   * Get queue — pending items, or filtered by status
+   * Get a page of the queue, newest first.
+   *
+   * Accepts normalized filters from parseQueueFilters (status, urgency,
+   * category, sender, since, until, limit, cursor), or the legacy
+   * `(status, limit)` arguments.
+   *
+   * @returns {Promise<{ items: object[], nextCursor: string|null }>}
    */
-  async getQueue(status, limit = 50) {
+  async getQueuePage(filters = {}) {
     try {
-      const index = await this.env.AI_CACHE?.get('email_queue_index', 'json') || [];
-      let filtered = status ? index.filter(i => i.status === status) : index;
-      filtered = filtered.slice(0, limit);
-
-      // Fetch full items for the filtered set
-      const items = await Promise.all(
-        filtered.map(async (entry) => {
-          const item = await this.env.AI_CACHE?.get(`email_queue_${entry.id}`, 'json');
-          return item || entry;
-        })
-      );
-
-      return items;
+      await this.importLegacyQueue();
+      const res = await callReviewQueue(this.env, '/items', { search: filtersToSearch(filters) });
+      if (!res || res.status !== 200) {
+        if (res) console.error(`Failed to read review queue: ${res.status}`);
+        return { items: [], nextCursor: null };
+      }
+      return { items: res.data.items, nextCursor: res.data.nextCursor };
     } catch (err) {
-      console.error('Failed to read email queue from KV:', err);
-      return [];
+      console.error('Failed to read review queue:', err);
+      return { items: [], nextCursor: null };
     }
   }
 
+  /**
+   * Get queue — pending items, or filtered by status
+   */
+  async getQueue(status, limit = 50) {
+    const filters = { limit };
+    if (status) filters.status = [status];
+    const { items } = await this.getQueuePage(filters);
+    return items;
+  }
+
+  /**
+   * Audit history (enqueue, reviews, imports) for one queue item.
+   * @returns {Promise<object[]|null>} null when the item does not exist
+   */
+  async getQueueItemHistory(id) {
+    const res = await callReviewQueue(this.env, `/item/${encodeURIComponent(id)}/history`);
+    if (!res || res.status !== 200) return null;
+    return res.data.history;
+  }
+
   /**
    * Approve all pending items (bulk approve — "AI got it right")
    */
-  async approveAll() {
-    // Read index once, update all pending items, write index back once
-    const index = await this.env.AI_CACHE?.get('email_queue_index', 'json') || [];
-    const now = new Date().toISOString();
-    let approved = 0;
+  async approveAll({ actor } = {}) {
+    const res = await callReviewQueue(this.env, '/approve-all', { method: 'POST', body: { actor } });
+    if (!res) return { approved: 0 };
+    if (res.status !== 200) throw new Error(`review queue returned ${res.status}`);
+    return { approved: res.data.approved };
+  }
+
+  /**
+   * Move any items still in the pre-DO KV queue into the review queue agent,
+   * then drop the KV index. Runs lazily on the first queue read after deploy;
+   * once the index key is gone this is a single KV miss.
+   */
+  async importLegacyQueue() {
+    if (!this.env[REVIEW_QUEUE_BINDING]) return;
+    const index = await this.env.AI_CACHE?.get(LEGACY_QUEUE_INDEX_KEY, 'json');
+    if (!Array.isArray(index)) return;
 
+    const items = [];
     for (const entry of index) {
-      if (entry.status !== 'pending') continue;
-      // Update individual item
-      const item = await this.env.AI_CACHE?.get(`email_queue_${entry.id}`, 'json');
-      if (item) {
-        item.status = 'approved';
-        item.reviewedAt = now;
-        item.finalClassification = item.aiClassification;
-        await this.env.AI_CACHE?.put(`email_queue_${entry.id}`, JSON.stringify(item), { expirationTtl: 86400 * 30 });
-      }
-      entry.status = 'approved';
-      approved++;
+      const item = await this.env.AI_CACHE.get(legacyQueueItemKey(entry.id), 'json');
+      if (item) items.push(item);
     }
-
-    // Write index back once
-    await this.env.AI_CACHE?.put('email_queue_index', JSON.stringify(index), { expirationTtl: 86400 * 30 });
-    return { approved };
+    const res = await callReviewQueue(this.env, '/import', { method: 'POST', body: { items } });
+    if (res?.status !== 200) {
+      console.error(`Legacy queue import failed: ${res?.status}`);
+      return;
+    }
+    await this.env.AI_CACHE.delete(LEGACY_QUEUE_INDEX_KEY);
+    console.log(`Imported ${res.data.imported} legacy queue items from KV`);
   }
 
   /**
@@ -1300,6 +2165,8 @@ Respond with ONLY the JSON object, no other text.`;
           httpMetadata: obj.httpMetadata,
           customMetadata: meta
         });
+        await moveExtraction(this.env.DOCUMENT_STORAGE, oldKey, newKey);
+        await this.reindexMovedAttachment(item, correction, oldKey, newKey);
 
         // Delete old
         await this.env.DOCUMENT_STORAGE.delete(oldKey);
@@ -1312,29 +2179,333 @@ Respond with ONLY the JSON object, no other text.`;
   }
 
   /**
-   * Read stream into Uint8Array
+   * Point a moved attachment's search entry at its new key, tagged with the
+   * corrected case/entity. Objects without an extraction yet are only
+   * dropped from the index.
+   */
+  async reindexMovedAttachment(item, correction, oldKey, newKey) {
+    await purgeIndexed(this.env, { docIds: [attachmentDocId(oldKey)], reason: 'reclassified' });
+    if (item.metadataOnly) return;
+    const extraction = await readExtraction(this.env, newKey).catch(() => null);
+    if (!extraction?.text) return;
+    await indexDocuments(this.env, [attachmentSearchDocument(extraction.manifest, extraction.text, {
+      filename: newKey.split('/').pop(),
+      caseSlug: correction.caseSlug ?? item.aiClassification?.caseSlug ?? null,
+      entity: correction.entity ?? item.aiClassification?.entity ?? null,
+      org: this.routingProfile.id,
+      at: item.receivedAt,
+    })]);
+  }
+
+  // ============ Outbound Replies ============
+
+  /**
+   * Read one queue item.
+   * @returns {Promise<object|null>}
+   */
+  async getQueueItem(id) {
+    const res = await callReviewQueue(this.env, `/item/${encodeURIComponent(id)}`);
+    if (!res || res.status !== 200) return null;
+    return res.data.item;
+  }
+
+  /**
+   * Reply to an inbound queue item with an approved draft
+   * (src/email/outbound.js). Pass the text as `body`, or `draftId` to send a
+   * ResponseAgent draft; the draft's own queueId names the inbound item when
+   * `queueId` is omitted.
+   *
+   * Privileged threads are refused outright. Case mail is queued as an
+   * `outbound` item and sent when a reviewer approves it (updateQueueItem);
+   * anything else is sent now.
+   *
+   * @param {{ queueId?: string, draftId?: number|string, subject?: string, body?: string, actor?: string }} request
+   * @returns {Promise<{ outcome: 'sent'|'pending_approval'|'suppressed'|'not_found'|'invalid'|'failed' }>}
+   */
+  async stageReply({ queueId, draftId, subject, body, actor } = {}) {
+    let draft = null;
+    if (draftId !== undefined && draftId !== null) {
+      const res = await callAgent(this.env, RESPONSE_AGENT_BINDING, `/draft/${encodeURIComponent(draftId)}`);
+      if (!res || res.status !== 200) return { outcome: 'not_found', error: `draft ${draftId} not found` };
+      draft = res.data.draft;
+    }
+    const inboundId = queueId || draft?.queueId;
+    const text = body || draft?.body;
+    if (!inboundId) return { outcome: 'invalid', error: 'queueId required' };
+    if (!text) return { outcome: 'invalid', error: 'body required' };
+
+    const inbound = await this.getQueueItem(inboundId);
+    if (!inbound || queueItemKind(inbound) !== 'inbound') {
+      return { outcome: 'not_found', error: `inbound queue item ${inboundId} not found` };
+    }
+
+    const recipient = extractAddress(inbound.email.replyTo || inbound.email.from);
+    if (replySuppressed(inbound.email, inbound.metadataOnly, recipient, this.env)) {
+      console.warn(`[outbound] reply to ${inboundId} suppressed — privileged thread`);
+      return { outcome: 'suppressed', reason: 'privileged' };
+    }
+    if (!recipient) return { outcome: 'invalid', error: 'inbound message has no reply address' };
+
+    const classification = inbound.finalClassification || inbound.aiClassification || {};
+    await this.getRoutingProfile();
+    const from = selectFromAlias(classification, inbound.email.to, {
+      profile: this.routingProfile,
+      routes: this.addressRoutes,
+      env: this.env,
+    });
+    if (!from) return { outcome: 'invalid', error: 'no from-alias for this thread (set OUTBOUND_DEFAULT_FROM)' };
+
+    const reply = {
+      from: from.name ? { addr: from.addr, name: from.name } : { addr: from.addr },
+      fromSource: from.source,
+      to: recipient,
+      subject: replySubject(subject || draft?.subject || inbound.email.subject),
+      text,
+      messageId: newMessageId(from.addr),
+      ...threadHeaders(inbound.email),
+    };
+    // Enough of the inbound item to re-check privilege at send time, after
+    // the inbound item itself may have been pruned.
+    const context = {
+      queueId: inbound.id,
+      draftId: draftId ?? null,
+      from: inbound.email.from,
+      to: inbound.email.to,
+      metadataOnly: inbound.metadataOnly === true,
+    };
+
+    if (!isCaseMail(classification, inbound.email.to)) {
+      return this.sendReply(reply, context, { approvedBy: actor || null });
+    }
+
+    const item = await this.enqueueReply(reply, context, classification, actor);
+    if (!item) return { outcome: 'failed', error: 'case mail needs approval but the review queue is unavailable' };
+    return { outcome: 'pending_approval', queueId: item.id, messageId: reply.messageId, from: reply.from.addr, fromSource: reply.fromSource };
+  }
+
+  /**
+   * Queue a case-mail reply for approval. The item reuses the inbound shape
+   * (email/aiClassification) so the queue UI and filters need no special
+   * case, and carries the full reply under `outbound`.
+   * @returns {Promise<object|null>} the persisted item, or null
+   */
+  async enqueueReply(reply, context, classification, actor) {
+    const item = {
+      id: `q-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+      kind: OUTBOUND_QUEUE_KIND,
+      status: 'pending',
+      receivedAt: new Date().toISOString(),
+      metadataOnly: false,
+      email: {
+        from: reply.from.addr,
+        to: reply.to,
+        cc: '',
+        subject: reply.subject,
+        date: new Date().toISOString(),
+        bodyPreview: reply.text.substring(0, 500),
+        attachments: [],
+      },
+      aiClassification: {
+        category: classification.category ?? null,
+        urgency: classification.urgency ?? null,
+        caseRelevant: classification.caseRelevant ?? true,
+        caseSlug: classification.caseSlug ?? null,
+        entity: classification.entity ?? null,
+        summary: '',
+        reasons: ['outbound_reply'],
+        aiClassified: false,
+      },
+      storedPaths: [],
+      tags: ['outbound'],
+      routing: null,
+      outbound: { reply, context, requestedBy: actor || null },
+      finalClassification: null,
+      reviewedAt: null,
+    };
+
+    try {
+      const res = await callReviewQueue(this.env, '/enqueue', { method: 'POST', body: { item, actor } });
+      if (res?.status === 200) return res.data.item;
+      console.error(`Failed to queue reply ${item.id}: review queue returned ${res?.status ?? 'no binding'}`);
+    } catch (err) {
+      console.error('Failed to queue reply:', err);
+    }
+    return null;
+  }
+
+  /**
+   * Send an approved outbound queue item. Privilege is checked again — the
+   * allowlist may have changed while the reply waited.
    */
-  async streamToBytes(stream) {
-    const reader = stream.getReader();
-    const chunks = [];
-    let totalLength = 0;
+  async sendApprovedReply(item, actor) {
+    const { reply, context } = item.outbound || {};
+    if (!reply) return { outcome: 'invalid', error: 'queue item has no reply' };
+    if (replySuppressed(context, context?.metadataOnly, reply.to, this.env)) {
+      console.warn(`[outbound] approved reply ${item.id} suppressed — privileged thread`);
+      return { outcome: 'suppressed', reason: 'privileged' };
+    }
+    return this.sendReply(reply, { ...context, replyQueueId: item.id }, { approvedBy: actor || 'reviewer' });
+  }
+
+  /**
+   * Deliver a reply, then record it in the thread history and mark its
+   * draft sent. Delivery failures are returned, not thrown.
+   */
+  async sendReply(reply, context, { approvedBy = null } = {}) {
     try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        chunks.push(value);
-        totalLength += value.length;
+      await deliverReply(this.env, reply);
+    } catch (err) {
+      console.error(`[outbound] send to ${reply.to} failed:`, err);
+      return { outcome: 'failed', error: err.message };
+    }
+    const sentAt = new Date().toISOString();
+    console.log(`[outbound] sent ${reply.messageId} from ${reply.from.addr} (${reply.fromSource}) in reply to ${reply.inReplyTo || '(none)'}`);
+
+    const recorded = await this.recordThreadMessage(threadMessageFromReply(reply, {
+      sentAt,
+      queueId: context.replyQueueId ?? null,
+      approvedBy,
+      inReplyToQueueId: context.queueId,
+    }));
+
+    if (context.draftId !== null && context.draftId !== undefined) {
+      try {
+        await callAgent(this.env, RESPONSE_AGENT_BINDING, `/draft/${encodeURIComponent(context.draftId)}/sent`, {
+          method: 'POST',
+          body: { messageId: reply.messageId, sentAt },
+        });
+      } catch (err) {
+        console.error(`Failed to mark draft ${context.draftId} sent:`, err);
       }
-    } finally {
-      reader.releaseLock();
     }
-    const result = new Uint8Array(totalLength);
-    let offset = 0;
-    for (const chunk of chunks) {
-      result.set(chunk, offset);
-      offset += chunk.length;
+
+    return {
+      outcome: 'sent',
+      messageId: reply.messageId,
+      threadId: recorded?.thread?.id ?? null,
+      from: reply.from.addr,
+      fromSource: reply.fromSource,
+      to: reply.to,
+      sentAt,
+    };
+  }
+
+  // ============ Threads ============
+
+  /**
+   * Add a message to the thread store (ThreadAgent). A redelivered message
+   * is recorded once. Never throws.
+   * @param {import('./threads.js').ThreadMessage} message
+   * @returns {Promise<{ thread: object, matchedBy: string, merged: string[] }|null>}
+   */
+  async recordThreadMessage(message) {
+    if (!message?.messageId) return null;
+    try {
+      const res = await callThreadStore(this.env, '/ingest', { method: 'POST', body: { message } });
+      if (res?.status === 200) return res.data;
+      if (res) console.error(`Failed to record thread message ${message.messageId}: thread store returned ${res.status}`);
+    } catch (err) {
+      console.error(`Failed to record thread message ${message.messageId}:`, err);
+    }
+    return null;
+  }
+
+  /**
+   * Feed an inbound message to the search index. Privileged mail is never
+   * indexed; when the message's thread is privileged (this message or an
+   * earlier one), every message of the thread is purged from the index and
+   * blocked from re-indexing, attachments included.
+   *
+   * @param {object} emailData
+   * @param {object} triage
+   * @param {{ body: string, queueId: string, thread: object|null }} opts
+   * @param {{ waitUntil?: Function }} [ctx]
+   */
+  async indexInbound(emailData, triage, { body, queueId, thread }, ctx) {
+    if (thread?.privileged) {
+      const full = await this.getThread(thread.id);
+      const messageIds = full?.messages?.map((m) => m.messageId) ?? parseMessageIds(emailData.id);
+      await purgeIndexed(this.env, { messageIds, threadId: thread.id, reason: 'privileged_thread' });
+      return;
     }
-    return result;
+    await scheduleIndexing(this.env, ctx, [emailSearchDocument(emailData, triage, {
+      body,
+      queueId,
+      threadId: thread?.id ?? null,
+      org: this.routingProfile.id,
+    })]);
+  }
+
+  /**
+   * A thread and its messages, oldest first.
+   * @returns {Promise<{ thread: object, messages: object[] }|null>}
+   */
+  async getThread(threadId) {
+    const res = await callThreadStore(this.env, `/thread/${encodeURIComponent(threadId)}`);
+    return res?.status === 200 ? res.data : null;
+  }
+
+  /**
+   * The thread holding a Message-ID (with or without angle brackets).
+   * @returns {Promise<{ thread: object, messages: object[] }|null>}
+   */
+  async getThreadByMessage(messageId) {
+    const [id] = parseMessageIds(messageId);
+    if (!id) return null;
+    const res = await callThreadStore(this.env, '/message', { search: new URLSearchParams({ id }).toString() });
+    return res?.status === 200 ? res.data : null;
+  }
+
+  /**
+   * Threads attributed to a case or entity, most recently active first.
+   * @param {{ caseSlug?: string, entity?: string, limit?: number }} filters
+   */
+  async listThreads(filters = {}) {
+    const res = await callThreadStore(this.env, '/threads', { search: threadFiltersToSearch(filters) });
+    return res?.status === 200 ? res.data.threads : [];
+  }
+
+  /**
+   * Chronological timeline (messages, attachments, triage and routing
+   * decisions) for a case or entity.
+   * @param {{ caseSlug?: string, entity?: string, since?: string, until?: string, limit?: number }} filters
+   * @returns {Promise<{ entries: object[], threads: object[] }|null>}
+   */
+  async getTimeline(filters) {
+    const res = await callThreadStore(this.env, '/timeline', { search: threadFiltersToSearch(filters) });
+    return res?.status === 200 ? res.data : null;
+  }
+
+  /**
+   * "Thread of N" context for a batch of Message-IDs.
+   * @param {string[]} messageIds
+   * @returns {Promise<Object<string, { threadId: string, messageCount: number, position: number }>>}
+   *   keyed by `<id>`; unknown ids are absent
+   */
+  async threadContext(messageIds) {
+    const ids = [...new Set(messageIds.flatMap(id => parseMessageIds(id).slice(0, 1)))];
+    if (!ids.length) return {};
+    try {
+      const res = await callThreadStore(this.env, '/lookup', { method: 'POST', body: { messageIds: ids } });
+      return res?.status === 200 ? res.data.threads : {};
+    } catch (err) {
+      console.error('Thread lookup failed:', err);
+      return {};
+    }
+  }
+
+  /**
+   * Attach `thread` context to records that carry a Message-ID (queue items,
+   * receipts). Records the store does not know are returned unchanged.
+   * @param {object[]} records
+   * @param {(record: object) => string|undefined} messageIdOf
+   */
+  async withThreadContext(records, messageIdOf) {
+    const context = await this.threadContext(records.map(messageIdOf).filter(Boolean));
+    return records.map((record) => {
+      const [id] = parseMessageIds(messageIdOf(record));
+      return id && context[id] ? { ...record, thread: context[id] } : record;
+    });
   }
 }
 
@@ -0,0 +1,263 @@
+/**
+ * Triage Corrections — shared contract between CloudflareEmailHandler
+ * (client) and TriageAgent (the store, `triage_corrections` and
+ * `learned_triage_rules`).
+ *
+ * Corrections used to be the last 50 entries of one KV key, all pasted into
+ * every triage prompt. The agent now keeps the full history and triage asks
+ * it for the K most similar past corrections for the email in hand, scored
+ * on sender (exact address, then domain), subject token overlap and — when
+ * both sides have one — subject embedding similarity.
+ *
+ * When corrections for one sender (or, across several senders, one
+ * non-freemail domain) repeatedly agree on a category, the agent records a
+ * learned rule. triageEmail applies it deterministically on top of the AI
+ * result.
+ *
+ * Precision and recall come from reviewed inbound queue items: approved
+ * items count the AI category as right, corrected items count the AI
+ * category against the reviewer's. Auto-approved items were never looked
+ * at, so they are left out.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { callAgent } from '../utils/agent-client.js';
+import { senderAddress } from './review-queue.js';
+import { normalizeSubject } from './threads.js';
+
+export const CORRECTIONS_BINDING = 'TRIAGE_AGENT';
+
+// Pre-DO KV key, read once by the lazy legacy import and then deleted.
+export const LEGACY_CORRECTIONS_KEY = 'email_training_corrections';
+
+export const SIMILAR_DEFAULT_K = 5;
+export const SIMILAR_MAX_K = 20;
+// Examples below this score are noise, not lessons.
+export const SIMILAR_MIN_SCORE = 0.2;
+
+// Scoring weights; components without data (no embedding) drop out and the
+// rest are renormalized.
+const WEIGHTS = { sender: 0.45, subject: 0.25, embedding: 0.3 };
+const SAME_DOMAIN_SCORE = 0.6;
+
+// A rule is learned once this many corrections agree and they are at least
+// this share of all corrections for the sender or domain.
+export const RULE_MIN_SUPPORT = 3;
+export const RULE_MIN_AGREEMENT = 0.8;
+// Domain rules need corrections from more than one sender; otherwise the
+// sender rule already says it.
+export const DOMAIN_RULE_MIN_SENDERS = 2;
+
+// Shared mailbox providers say nothing about who is writing.
+export const FREEMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'outlook.com', 'hotmail.com', 'live.com',
+  'msn.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com',
+]);
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of',
+  'on', 'or', 'our', 're', 'the', 'this', 'to', 'your', 'you', 'with',
+]);
+
+/** Domain of a From value, lower-cased, or null. */
+export function senderDomain(from) {
+  const address = senderAddress(from);
+  return address.includes('@') ? address.split('@').pop() : null;
+}
+
+/** Distinct content words of a subject, reply/forward prefixes removed. */
+export function subjectTokens(subject) {
+  const words = normalizeSubject(subject).split(/[^a-z0-9]+/);
+  return [...new Set(words.filter((w) => w.length > 1 && !STOPWORDS.has(w)))];
+}
+
+/**
+ * Validate and normalize a correction as submitted to /email/correct or
+ * built from a queue review.
+ * @returns {{ correction: object|null, errors: string[] }}
+ */
+export function normalizeCorrection(input, { profile } = {}) {
+  const errors = [];
+  if (!input || typeof input !== 'object') return { correction: null, errors: ['correction must be an object'] };
+  const sender = senderAddress(input.from);
+  if (!sender) errors.push('from is required');
+  if (typeof input.shouldBeCategory !== 'string' || !input.shouldBeCategory) {
+    errors.push('shouldBeCategory is required');
+  } else if (profile && !profile.categories.includes(input.shouldBeCategory)) {
+    errors.push(`shouldBeCategory must be one of ${profile.categories.join(', ')}`);
+  }
+  if (errors.length) return { correction: null, errors };
+
+  return {
+    correction: {
+      profile: profile?.id ?? null,
+      sender,
+      senderDomain: senderDomain(sender),
+      subject: String(input.subject || '').slice(0, 500),
+      wasCategory: input.wasCategory || null,
+      category: input.shouldBeCategory,
+      wasEntity: input.wasEntity || null,
+      entity: input.shouldBeEntity || null,
+      reason: String(input.reason || 'user correction').slice(0, 500),
+      source: input.source || 'api',
+      queueItemId: input.queueItemId || null,
+    },
+    errors,
+  };
+}
+
+/** Cosine similarity of two equal-length vectors, or null. */
+export function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) return null;
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  if (na === 0 || nb === 0) return null;
+  return dot / Math.sqrt(na * nb);
+}
+
+function jaccard(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const set = new Set(a);
+  const shared = b.filter((t) => set.has(t)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+/**
+ * Similarity of a stored correction to the email being triaged, 0..1.
+ *
+ * @param {{ sender, senderDomain, subject, embedding? }} candidate
+ * @param {{ sender, senderDomain, tokens, embedding? }} query
+ */
+export function scoreCorrection(candidate, query) {
+  const parts = [];
+  let sender = 0;
+  if (candidate.sender && candidate.sender === query.sender) sender = 1;
+  else if (candidate.senderDomain && candidate.senderDomain === query.senderDomain) sender = SAME_DOMAIN_SCORE;
+  parts.push([WEIGHTS.sender, sender]);
+  parts.push([WEIGHTS.subject, jaccard(subjectTokens(candidate.subject), query.tokens)]);
+  const cosine = cosineSimilarity(candidate.embedding, query.embedding);
+  if (cosine !== null) parts.push([WEIGHTS.embedding, Math.max(cosine, 0)]);
+
+  const total = parts.reduce((sum, [w]) => sum + w, 0);
+  return parts.reduce((sum, [w, v]) => sum + w * v, 0) / total;
+}
+
+/**
+ * The `k` corrections most similar to an email, best first, each with its
+ * `score`. Ties go to the newer correction.
+ */
+export function rankCorrections(candidates, { sender, subject, embedding }, { k = SIMILAR_DEFAULT_K } = {}) {
+  const address = senderAddress(sender);
+  const query = { sender: address, senderDomain: senderDomain(address), tokens: subjectTokens(subject), embedding };
+  return candidates
+    .map((c) => ({ ...c, score: scoreCorrection(c, query) }))
+    .filter((c) => c.score >= SIMILAR_MIN_SCORE)
+    .sort((a, b) => b.score - a.score || b.id - a.id)
+    .slice(0, k);
+}
+
+function majority(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = null;
+  let bestCount = 0;
+  for (const [v, n] of counts) {
+    if (n > bestCount) [best, bestCount] = [v, n];
+  }
+  return { value: best, count: bestCount };
+}
+
+/**
+ * The rule a set of corrections for one sender or domain supports, or null.
+ *
+ * @param {'sender'|'domain'} kind
+ * @param {string} value - the sender address or domain
+ * @param {object[]} corrections - every correction for it, any order
+ */
+export function learnRule(kind, value, corrections) {
+  if (!value || corrections.length < RULE_MIN_SUPPORT) return null;
+  if (kind === 'domain') {
+    if (FREEMAIL_DOMAINS.has(value)) return null;
+    if (new Set(corrections.map((c) => c.sender)).size < DOMAIN_RULE_MIN_SENDERS) return null;
+  }
+  const category = majority(corrections.map((c) => c.category));
+  const agreement = category.count / corrections.length;
+  if (category.count < RULE_MIN_SUPPORT || agreement < RULE_MIN_AGREEMENT) return null;
+
+  // The entity rides along only when the agreeing corrections name the same one.
+  const agreeing = corrections.filter((c) => c.category === category.value);
+  const entity = majority(agreeing.map((c) => c.entity || null));
+  return {
+    key: `${kind}:${value}`,
+    kind,
+    value,
+    category: category.value,
+    entity: entity.value && entity.count / agreeing.length >= RULE_MIN_AGREEMENT ? entity.value : null,
+    support: category.count,
+    agreement: Math.round(agreement * 1000) / 1000,
+  };
+}
+
+/**
+ * The learned rule for a sender: the address rule wins over the domain
+ * rule. Rules whose category the routing profile no longer has are ignored.
+ */
+export function selectLearnedRule(rules, sender, profile) {
+  const address = senderAddress(sender);
+  const usable = (rules || []).filter((r) => !profile || profile.categories.includes(r.category));
+  return usable.find((r) => r.key === `sender:${address}`)
+    || usable.find((r) => r.key === `domain:${senderDomain(address)}`)
+    || null;
+}
+
+/**
+ * Per-category precision and recall from reviewed queue items.
+ *
+ * @param {Array<{ status: string, predicted: string, actual: string }>} reviews
+ * @returns {{ reviewed: number, corrected: number, accuracy: number|null, categories: object }}
+ */
+export function classificationMetrics(reviews) {
+  const categories = {};
+  const bucket = (c) => (categories[c] ??= { tp: 0, fp: 0, fn: 0 });
+  let correct = 0;
+  for (const { predicted, actual } of reviews) {
+    if (!predicted || !actual) continue;
+    if (predicted === actual) {
+      bucket(actual).tp++;
+      correct++;
+    } else {
+      bucket(predicted).fp++;
+      bucket(actual).fn++;
+    }
+  }
+  const ratio = (n, d) => (d === 0 ? null : Math.round((n / d) * 1000) / 1000);
+  for (const counts of Object.values(categories)) {
+    counts.precision = ratio(counts.tp, counts.tp + counts.fp);
+    counts.recall = ratio(counts.tp, counts.tp + counts.fn);
+    counts.support = counts.tp + counts.fn;
+  }
+  const scored = reviews.filter((r) => r.predicted && r.actual).length;
+  return {
+    reviewed: scored,
+    corrected: scored - correct,
+    accuracy: ratio(correct, scored),
+    categories,
+  };
+}
+
+/**
+ * Call TriageAgent's corrections endpoints — a single named instance.
+ *
+ * @returns {Promise<{ status: number, data: any } | null>} null when the
+ *   binding is not configured
+ */
+export function callCorrections(env, path, opts) {
+  return callAgent(env, CORRECTIONS_BINDING, path, opts);
+}
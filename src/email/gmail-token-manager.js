@@ -2,32 +2,26 @@
  * Gmail Token Manager
  * Handles OAuth token refresh and management for multiple Gmail accounts
  * Integrates with 1Password via ChittyConnect for secure credential storage
+ *
+ * Accounts come from the mailbox account config (src/config/mailbox-accounts.js);
+ * only `gmail` records are used.
  */
 
+import { readCredentials } from '../config/mailbox-accounts.js';
+
 export class GmailTokenManager {
-  constructor(env) {
+  /**
+   * @param {any} env
+   * @param {import('../config/mailbox-accounts.js').MailboxAccount[]} [accounts]
+   */
+  constructor(env, accounts = []) {
     this.env = env;
     this.tokenCache = new Map();
     this.refreshBuffer = 5 * 60 * 1000; // 5 minutes before expiry
 
-    // Account configurations - matches rclone remotes
-    this.accounts = {
-      nick_aribia_main: {
-        email: 'nick@aribia.llc',
-        clientId: '187458330646-irp331653sb9c4f8mjgumsg75qbb59rm.apps.googleusercontent.com',
-        opPath: 'op://Private/gmail-nick-aribia/credentials'
-      },
-      aribia_llc: {
-        email: 'admin@aribia.llc',
-        clientId: '187458330646-p0bho083tarmja05p89i0uc7d5lt96rr.apps.googleusercontent.com',
-        opPath: 'op://Private/gmail-aribia-llc/credentials'
-      },
-      it_can_be_llc: {
-        email: 'admin@itcanbe.llc',
-        clientId: '187458330646-p0bho083tarmja05p89i0uc7d5lt96rr.apps.googleusercontent.com',
-        opPath: 'op://Private/gmail-it-can-be/credentials'
-      }
-    };
+    this.accounts = Object.fromEntries(accounts
+      .filter(a => a.provider === 'gmail')
+      .map(a => [a.id, { email: a.address, clientId: a.clientId, opPath: a.credentials }]));
   }
 
   /**
@@ -129,33 +123,7 @@ export class GmailTokenManager {
    * Get credentials from 1Password via ChittyConnect
    */
   async getCredentialsFromOP(opPath) {
-    try {
-      // Try ChittyConnect first
-      const response = await fetch('https://connect.chitty.cc/secrets/read', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.env.CHITTYCONNECT_TOKEN}`
-        },
-        body: JSON.stringify({ path: opPath })
-      });
-
-      if (response.ok) {
-        return await response.json();
-      }
-
-      // Fallback: check if stored in KV
-      const kvCreds = await this.env.AI_CACHE?.get(`credentials_${opPath}`, 'json');
-      if (kvCreds) {
-        return kvCreds;
-      }
-
-      console.warn(`Could not retrieve credentials from ${opPath}`);
-      return null;
-    } catch (error) {
-      console.error('Failed to get credentials from 1Password:', error);
-      return null;
-    }
+    return readCredentials(this.env, opPath);
   }
 
   /**
@@ -0,0 +1,119 @@
+/**
+ * Microsoft Graph Token Manager
+ * Access tokens for Microsoft 365 mailboxes (the `graph` mailbox provider)
+ *
+ * Credentials come from the account's `credentials` reference
+ * (src/config/mailbox-accounts.js): `{ client_secret, refresh_token? }`.
+ * With a refresh token the delegated flow is used (the signed-in user's
+ * mailbox); without one, the app-only client-credentials flow (needs the
+ * Mail.Read application permission on the tenant).
+ */
+
+import { readCredentials } from '../config/mailbox-accounts.js';
+
+const DELEGATED_SCOPE = 'offline_access https://graph.microsoft.com/Mail.Read';
+const APP_SCOPE = 'https://graph.microsoft.com/.default';
+
+export class GraphTokenManager {
+  /**
+   * @param {any} env
+   * @param {import('../config/mailbox-accounts.js').MailboxAccount[]} [accounts]
+   */
+  constructor(env, accounts = []) {
+    this.env = env;
+    this.tokenCache = new Map();
+    this.refreshBuffer = 5 * 60 * 1000; // 5 minutes before expiry
+    this.accounts = Object.fromEntries(accounts.filter(a => a.provider === 'graph').map(a => [a.id, a]));
+  }
+
+  /**
+   * Get valid access token for an account
+   */
+  async getToken(accountName) {
+    const cached = this.tokenCache.get(accountName);
+    if (cached && !this.isExpired(cached)) {
+      return cached.access_token;
+    }
+
+    try {
+      const kvToken = await this.env.AI_CACHE?.get(`graph_token_${accountName}`, 'json');
+      if (kvToken && !this.isExpired(kvToken)) {
+        this.tokenCache.set(accountName, kvToken);
+        return kvToken.access_token;
+      }
+
+      const refreshed = await this.requestToken(accountName);
+      if (refreshed) {
+        await this.cacheToken(accountName, refreshed);
+        return refreshed.access_token;
+      }
+    } catch (error) {
+      console.error(`Failed to get Graph token for ${accountName}:`, error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if token is expired (with buffer)
+   */
+  isExpired(tokenData) {
+    if (!tokenData.expiry) return true;
+    return Date.now() > (new Date(tokenData.expiry).getTime() - this.refreshBuffer);
+  }
+
+  /**
+   * Exchange the stored credentials for a new access token
+   */
+  async requestToken(accountName) {
+    const account = this.accounts[accountName];
+    if (!account) {
+      console.error(`Unknown Graph account: ${accountName}`);
+      return null;
+    }
+
+    const creds = await readCredentials(this.env, account.credentials);
+    if (!creds?.client_secret) {
+      console.error(`Missing credentials for ${accountName}`);
+      return null;
+    }
+
+    const form = creds.refresh_token
+      ? { grant_type: 'refresh_token', refresh_token: creds.refresh_token, scope: DELEGATED_SCOPE }
+      : { grant_type: 'client_credentials', scope: APP_SCOPE };
+    const response = await fetch(`https://login.microsoftonline.com/${account.tenantId}/oauth2/v2.0/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ client_id: account.clientId, client_secret: creds.client_secret, ...form }),
+    });
+
+    if (!response.ok) {
+      console.error(`Graph token request failed for ${accountName}:`, await response.text());
+      return null;
+    }
+
+    const data = await response.json();
+    return {
+      access_token: data.access_token,
+      token_type: data.token_type,
+      expiry: new Date(Date.now() + (data.expires_in || 3600) * 1000).toISOString(),
+      expires_in: data.expires_in,
+    };
+  }
+
+  /**
+   * Cache token in memory and KV
+   */
+  async cacheToken(accountName, tokenData) {
+    this.tokenCache.set(accountName, tokenData);
+    try {
+      await this.env.AI_CACHE?.put(
+        `graph_token_${accountName}`,
+        JSON.stringify(tokenData),
+        { expirationTtl: 3600 }
+      );
+    } catch (error) {
+      console.error(`Failed to cache Graph token for ${accountName}:`, error);
+    }
+  }
+}
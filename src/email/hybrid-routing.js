@@ -0,0 +1,237 @@
+/**
+ * Hybrid Routing Mode — policy between `onboarding` (every message waits for
+ * review) and `auto` (every message is trusted).
+ *
+ * In `hybrid`, a message is auto-approved only when all of these hold:
+ *   - the AI gave a confidence at or above the category's threshold;
+ *   - the sender has enough reviewed history and few of it was corrected;
+ *   - the AI's measured precision for the category (approved vs corrected
+ *     queue reviews in the policy window) is high enough over enough reviews;
+ *   - neither the category nor the recipient alias is forced to review;
+ *   - overall measured accuracy has not dropped below the fallback floor.
+ * Anything else stays pending, exactly as in onboarding mode. Privileged
+ * mail is always held: the AI never saw its body.
+ *
+ * Measurements come from ReviewQueueAgent (/metrics, /sender-history).
+ * Auto-approved items are not reviews, so once a category auto-routes its
+ * precision is measured on the messages still held — a conservative bias.
+ *
+ * Every decision is recorded on the queue item as `routingDecision`
+ * ({ mode, route, holds, inputs }) and summarized by /routing-split.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { CASE_EMAIL_ROUTES } from '../config/case-registry.js';
+import { senderAddress } from './review-queue.js';
+
+export const ROUTING_MODES = ['onboarding', 'hybrid', 'auto'];
+export const ROUTING_MODE_KEY = 'email_routing_mode';
+export const HYBRID_POLICY_KEY = 'email_hybrid_policy';
+
+// Why a hybrid decision held a message, in the order they are checked.
+export const HOLD_REASONS = [
+  'privileged',
+  'always-review-category',
+  'always-review-alias',
+  'metrics-unavailable',
+  'accuracy-fallback',
+  'no-confidence',
+  'low-confidence',
+  'new-sender',
+  'sender-corrections',
+  'category-unproven',
+  'category-accuracy',
+];
+
+const POLICY_THRESHOLDS = [
+  'minConfidence', 'minSenderReviews', 'maxSenderCorrectionRate', 'minCategoryPrecision', 'minCategoryReviews',
+];
+// Thresholds a category may override under `categories.<name>`.
+const CATEGORY_THRESHOLDS = ['minConfidence', 'minCategoryPrecision', 'minCategoryReviews'];
+
+export const DEFAULT_HYBRID_POLICY = Object.freeze({
+  minConfidence: 0.85,
+  minSenderReviews: 3,
+  maxSenderCorrectionRate: 0.2,
+  minCategoryPrecision: 0.9,
+  minCategoryReviews: 20,
+  categories: {},
+  alwaysReview: { categories: ['case', 'legal'], aliases: [], caseAliases: true },
+  windowDays: 30,
+  fallback: { minAccuracy: 0.85, minReviewed: 20 },
+});
+
+const isRate = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+
+function checkThreshold(errors, path, key, value) {
+  if (value === undefined) return;
+  const ok = key === 'minCategoryReviews' || key === 'minSenderReviews' ? isCount(value) : isRate(value);
+  if (!ok) errors.push(`${path} must be ${key.endsWith('Reviews') ? 'a non-negative integer' : 'a number 0-1'}`);
+}
+
+/**
+ * Validate a hybrid policy and fill unset fields from the defaults.
+ * Category names are checked against the routing profile when given.
+ *
+ * @returns {{ policy: object|null, errors: string[] }}
+ */
+export function normalizeHybridPolicy(input = {}, { profile } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { policy: null, errors: ['policy must be an object'] };
+  }
+  const errors = [];
+  const known = (c) => !profile || profile.categories.includes(c);
+
+  for (const key of Object.keys(input).filter((k) => !(k in DEFAULT_HYBRID_POLICY))) {
+    errors.push(`${key} is not a policy field`);
+  }
+  for (const key of POLICY_THRESHOLDS) checkThreshold(errors, key, key, input[key]);
+  if (input.windowDays !== undefined && !(Number.isInteger(input.windowDays) && input.windowDays >= 1 && input.windowDays <= 90)) {
+    errors.push('windowDays must be 1-90');
+  }
+
+  const categories = {};
+  for (const [name, overrides] of Object.entries(input.categories || {})) {
+    if (!known(name)) errors.push(`categories.${name} is not a profile category`);
+    if (!overrides || typeof overrides !== 'object') {
+      errors.push(`categories.${name} must be an object`);
+      continue;
+    }
+    for (const key of Object.keys(overrides)) {
+      if (!CATEGORY_THRESHOLDS.includes(key)) errors.push(`categories.${name}.${key} is not a category threshold`);
+      else checkThreshold(errors, `categories.${name}.${key}`, key, overrides[key]);
+    }
+    categories[name] = { ...overrides };
+  }
+
+  const review = { ...DEFAULT_HYBRID_POLICY.alwaysReview, ...(input.alwaysReview || {}) };
+  if (!Array.isArray(review.categories)) errors.push('alwaysReview.categories must be an array');
+  else for (const c of review.categories.filter((c) => !known(c))) errors.push(`alwaysReview.categories: ${c} is not a profile category`);
+  if (!Array.isArray(review.aliases) || review.aliases.some((a) => typeof a !== 'string' || !a.includes('@'))) {
+    errors.push('alwaysReview.aliases must be an array of addresses');
+  }
+  if (typeof review.caseAliases !== 'boolean') errors.push('alwaysReview.caseAliases must be a boolean');
+
+  const fallback = { ...DEFAULT_HYBRID_POLICY.fallback, ...(input.fallback || {}) };
+  if (!isRate(fallback.minAccuracy)) errors.push('fallback.minAccuracy must be a number 0-1');
+  if (!isCount(fallback.minReviewed)) errors.push('fallback.minReviewed must be a non-negative integer');
+
+  if (errors.length) return { policy: null, errors };
+  return {
+    policy: {
+      ...DEFAULT_HYBRID_POLICY,
+      ...Object.fromEntries([...POLICY_THRESHOLDS, 'windowDays']
+        .filter((k) => input[k] !== undefined)
+        .map((k) => [k, input[k]])),
+      categories,
+      alwaysReview: {
+        categories: review.categories,
+        aliases: review.aliases.map((a) => a.trim().toLowerCase()),
+        caseAliases: review.caseAliases,
+      },
+      fallback,
+    },
+    errors,
+  };
+}
+
+/** The thresholds that apply to one category: its overrides over the policy. */
+export function categoryThresholds(policy, category) {
+  const overrides = policy.categories?.[category] || {};
+  return {
+    minConfidence: overrides.minConfidence ?? policy.minConfidence,
+    minCategoryPrecision: overrides.minCategoryPrecision ?? policy.minCategoryPrecision,
+    minCategoryReviews: overrides.minCategoryReviews ?? policy.minCategoryReviews,
+  };
+}
+
+/**
+ * True when measured accuracy over the window fell below the floor; hybrid
+ * then holds everything until reviews bring it back.
+ */
+export function accuracyFallbackActive(metrics, policy) {
+  return Boolean(metrics)
+    && metrics.reviewed >= policy.fallback.minReviewed
+    && metrics.accuracy !== null
+    && metrics.accuracy < policy.fallback.minAccuracy;
+}
+
+/**
+ * Decide whether a triaged message auto-routes under a hybrid policy.
+ *
+ * @param {Object} args
+ * @param {Object} args.triage - triageEmail result (category, confidence)
+ * @param {Object} args.emailData - from, to, privileged
+ * @param {Object} args.policy - normalized hybrid policy
+ * @param {Object|null} args.metrics - classificationMetrics over the window
+ * @param {{ reviewed: number, corrected: number }|null} args.sender
+ * @returns {{ mode: 'hybrid', route: 'auto'|'hold', holds: string[], inputs: object }}
+ */
+export function hybridDecision({ triage, emailData, policy, metrics, sender }) {
+  const holds = [];
+  const category = triage.category;
+  const thresholds = categoryThresholds(policy, category);
+  const to = String(emailData.to || '').trim().toLowerCase();
+  const confidence = typeof triage.confidence === 'number' ? triage.confidence : null;
+  const categoryStats = metrics?.categories?.[category];
+  const categoryReviews = categoryStats ? categoryStats.tp + categoryStats.fp : 0;
+
+  if (emailData.privileged) holds.push('privileged');
+  if (policy.alwaysReview.categories.includes(category)) holds.push('always-review-category');
+  if (policy.alwaysReview.aliases.includes(to) || (policy.alwaysReview.caseAliases && CASE_EMAIL_ROUTES[to])) {
+    holds.push('always-review-alias');
+  }
+  if (!metrics) holds.push('metrics-unavailable');
+  else if (accuracyFallbackActive(metrics, policy)) holds.push('accuracy-fallback');
+  if (confidence === null) holds.push('no-confidence');
+  else if (confidence < thresholds.minConfidence) holds.push('low-confidence');
+  if (!sender || sender.reviewed < policy.minSenderReviews) holds.push('new-sender');
+  else if (sender.corrected / sender.reviewed > policy.maxSenderCorrectionRate) holds.push('sender-corrections');
+  if (metrics) {
+    if (categoryReviews < thresholds.minCategoryReviews) holds.push('category-unproven');
+    else if (categoryStats.precision < thresholds.minCategoryPrecision) holds.push('category-accuracy');
+  }
+
+  return {
+    mode: 'hybrid',
+    route: holds.length ? 'hold' : 'auto',
+    holds,
+    inputs: {
+      category,
+      confidence,
+      sender: senderAddress(emailData.from) || null,
+      senderReviewed: sender?.reviewed ?? null,
+      senderCorrected: sender?.corrected ?? null,
+      categoryPrecision: categoryStats?.precision ?? null,
+      categoryReviews,
+      accuracy: metrics?.accuracy ?? null,
+    },
+  };
+}
+
+/**
+ * Shape /routing-split rows into the auto-versus-held dashboard.
+ *
+ * @param {Array<{ mode, route, category, status, n }>} rows
+ * @param {Array<{ hold, n }>} holdRows
+ */
+export function routingSplit(rows, holdRows = []) {
+  const split = { total: 0, auto: 0, held: 0, undecided: 0, autoRate: null, byMode: {}, byCategory: {}, holdReasons: {} };
+  for (const row of rows) {
+    const bucket = row.route === 'auto' ? 'auto' : row.route === 'hold' ? 'held' : 'undecided';
+    split.total += row.n;
+    split[bucket] += row.n;
+    const mode = (split.byMode[row.mode || 'unknown'] ??= { auto: 0, held: 0, undecided: 0 });
+    mode[bucket] += row.n;
+    const category = (split.byCategory[row.category || 'unknown'] ??= { auto: 0, held: 0, undecided: 0, heldApproved: 0, heldCorrected: 0 });
+    category[bucket] += row.n;
+    if (bucket === 'held' && row.status === 'approved') category.heldApproved += row.n;
+    if (bucket === 'held' && row.status === 'corrected') category.heldCorrected += row.n;
+  }
+  const decided = split.auto + split.held;
+  split.autoRate = decided ? Math.round((split.auto / decided) * 1000) / 1000 : null;
+  for (const { hold, n } of holdRows) split.holdReasons[hold] = n;
+  return split;
+}
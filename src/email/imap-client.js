@@ -0,0 +1,192 @@
+/**
+ * Minimal IMAP4rev1 client for the `imap` mailbox source.
+ *
+ * Just what incremental polling needs: LOGIN, SELECT (UIDVALIDITY/UIDNEXT),
+ * UID SEARCH, UID FETCH of the full message (BODY.PEEK[], so nothing is
+ * marked read) and LOGOUT. Responses are read byte-exact so message
+ * literals survive any charset.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+const CRLF = '\r\n';
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export class ImapError extends Error {
+  constructor(message, { status = null, response = '' } = {}) {
+    super(message);
+    this.name = 'ImapError';
+    this.status = status;
+    this.response = response;
+  }
+}
+
+/** Quote an IMAP string argument. */
+export function imapQuote(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/** IMAP SEARCH date (RFC 3501 date: 1-Jan-2026). */
+export function imapDate(date) {
+  const d = new Date(date);
+  const month = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'][d.getUTCMonth()];
+  return `${d.getUTCDate()}-${month}-${d.getUTCFullYear()}`;
+}
+
+async function defaultConnect(address, options) {
+  const { connect } = await import('cloudflare:sockets');
+  return connect(address, options);
+}
+
+/**
+ * Buffered byte reader over a socket's readable stream.
+ */
+class ResponseReader {
+  constructor(reader) {
+    this.reader = reader;
+    this.buffer = new Uint8Array(0);
+  }
+
+  async fill() {
+    const { done, value } = await this.reader.read();
+    if (done) throw new ImapError('IMAP connection closed');
+    const next = new Uint8Array(this.buffer.length + value.length);
+    next.set(this.buffer);
+    next.set(value, this.buffer.length);
+    this.buffer = next;
+  }
+
+  async readLine() {
+    for (;;) {
+      const end = this.buffer.findIndex((b, i) => b === 0x0d && this.buffer[i + 1] === 0x0a);
+      if (end >= 0) {
+        const line = decoder.decode(this.buffer.subarray(0, end));
+        this.buffer = this.buffer.subarray(end + 2);
+        return line;
+      }
+      await this.fill();
+    }
+  }
+
+  async readBytes(n) {
+    while (this.buffer.length < n) await this.fill();
+    const bytes = this.buffer.slice(0, n);
+    this.buffer = this.buffer.subarray(n);
+    return bytes;
+  }
+
+  /**
+   * One logical response line, with any `{n}` literals read out.
+   * @returns {Promise<{ text: string, literals: Uint8Array[] }>}
+   */
+  async readResponse() {
+    let text = '';
+    const literals = [];
+    for (;;) {
+      const line = await this.readLine();
+      const literal = line.match(/\{(\d+)\}$/);
+      if (!literal) return { text: text + line, literals };
+      text += line;
+      literals.push(await this.readBytes(Number(literal[1])));
+    }
+  }
+}
+
+export class ImapClient {
+  /**
+   * @param {{ host: string, port?: number, tls?: boolean, connect?: Function }} opts
+   */
+  constructor({ host, port = 993, tls = true, connect = defaultConnect }) {
+    this.host = host;
+    this.port = port;
+    this.tls = tls;
+    this.connect = connect;
+    this.tagCounter = 0;
+    this.socket = null;
+  }
+
+  async open() {
+    this.socket = await this.connect(
+      { hostname: this.host, port: this.port },
+      { secureTransport: this.tls ? 'on' : 'off', allowHalfOpen: false },
+    );
+    this.reader = new ResponseReader(this.socket.readable.getReader());
+    this.writer = this.socket.writable.getWriter();
+    const greeting = await this.reader.readResponse();
+    if (!/^\* (OK|PREAUTH)/i.test(greeting.text)) {
+      throw new ImapError(`IMAP server refused connection: ${greeting.text}`, { response: greeting.text });
+    }
+  }
+
+  /**
+   * Send a command and collect untagged responses until its tagged status.
+   * @returns {Promise<Array<{ text: string, literals: Uint8Array[] }>>}
+   */
+  async command(command) {
+    const tag = `A${String(++this.tagCounter).padStart(3, '0')}`;
+    await this.writer.write(encoder.encode(`${tag} ${command}${CRLF}`));
+    const untagged = [];
+    for (;;) {
+      const response = await this.reader.readResponse();
+      if (response.text.startsWith(`${tag} `)) {
+        const [, status] = response.text.split(' ');
+        if (status.toUpperCase() !== 'OK') {
+          const verb = command.startsWith('LOGIN') ? 'LOGIN' : command.split(' ').slice(0, 2).join(' ');
+          throw new ImapError(`IMAP ${verb} failed: ${response.text.slice(tag.length + 1)}`, {
+            status: status.toUpperCase(),
+            response: response.text,
+          });
+        }
+        return untagged;
+      }
+      untagged.push(response);
+    }
+  }
+
+  async login(username, password) {
+    await this.command(`LOGIN ${imapQuote(username)} ${imapQuote(password)}`);
+  }
+
+  /**
+   * @returns {Promise<{ uidValidity: number|null, uidNext: number|null, exists: number }>}
+   */
+  async select(mailbox) {
+    const untagged = await this.command(`SELECT ${imapQuote(mailbox)}`);
+    const box = { uidValidity: null, uidNext: null, exists: 0 };
+    for (const { text } of untagged) {
+      const validity = text.match(/\[UIDVALIDITY (\d+)\]/i);
+      if (validity) box.uidValidity = Number(validity[1]);
+      const next = text.match(/\[UIDNEXT (\d+)\]/i);
+      if (next) box.uidNext = Number(next[1]);
+      const exists = text.match(/^\* (\d+) EXISTS/i);
+      if (exists) box.exists = Number(exists[1]);
+    }
+    return box;
+  }
+
+  /** UIDs matching a SEARCH criteria string, ascending. */
+  async uidSearch(criteria) {
+    const untagged = await this.command(`UID SEARCH ${criteria}`);
+    const uids = untagged
+      .filter(({ text }) => /^\* SEARCH/i.test(text))
+      .flatMap(({ text }) => text.replace(/^\* SEARCH/i, '').trim().split(/\s+/).filter(Boolean).map(Number));
+    return uids.sort((a, b) => a - b);
+  }
+
+  /** The full RFC 822 bytes of one message, or null if it is gone. */
+  async fetchRaw(uid) {
+    const untagged = await this.command(`UID FETCH ${uid} (UID BODY.PEEK[])`);
+    const hit = untagged.find(({ text, literals }) => literals.length && new RegExp(`UID ${uid}\\b`, 'i').test(text));
+    return hit ? hit.literals[0] : null;
+  }
+
+  async logout() {
+    try {
+      await this.command('LOGOUT');
+    } catch {
+      // The server may drop the connection right after BYE.
+    }
+    await this.socket?.close?.();
+  }
+}
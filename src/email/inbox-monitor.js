@@ -1,15 +1,37 @@
 /**
  * ChittyRouter Inbox Monitor
- * Aggregates and AI-triages emails from multiple inboxes
+ * Polls the configured Gmail, Microsoft 365 and IMAP mailboxes and feeds new
+ * mail through the same triage and review queue as Email Routing mail
  * Surfaces urgent items without traversing all inboxes manually
+ *
+ * Accounts come from src/config/mailbox-accounts.js; each provider's
+ * incremental sync lives in src/email/mailbox-sources.js. A cursor is only
+ * written after its messages were handed to the handler, so a crash mid-run
+ * re-reads them next time and Message-ID dedupe absorbs the repeats.
  */
 
-import { GmailTokenManager } from './gmail-token-manager.js';
+import { loadMailboxAccounts } from '../config/mailbox-accounts.js';
+import { CloudflareEmailHandler } from './cloudflare-email-handler.js';
+import {
+  createMailboxSource,
+  readCursor,
+  requeueFailed,
+  writeCursor,
+  DEFAULT_SYNC_LIMIT,
+} from './mailbox-sources.js';
+
+// Urgency score at which a message is listed under urgent_items.
+const URGENT_SCORE = 50;
 
 export class InboxMonitor {
-  constructor(env) {
+  /**
+   * @param {any} env
+   * @param {{ handler: import('./cloudflare-email-handler.js').CloudflareEmailHandler, sourceDeps?: object }} opts
+   */
+  constructor(env, { handler, sourceDeps = {} } = {}) {
     this.env = env;
-    this.tokenManager = new GmailTokenManager(env);
+    this.handler = handler;
+    this.sourceDeps = sourceDeps;
     this.urgencyCategories = {
       CRITICAL: { score: 100, color: 'red', emoji: '🚨' },
       HIGH: { score: 75, color: 'orange', emoji: '⚠️' },
@@ -17,24 +39,12 @@ export class InboxMonitor {
       LOW: { score: 25, color: 'gray', emoji: '📬' },
       INFO: { score: 0, color: 'blue', emoji: 'ℹ️' }
     };
-
-    // Email patterns that indicate urgency
-    this.urgencyPatterns = {
-      court: /court|hearing|motion|deadline|filing|summons|subpoena|order|judgment/i,
-      legal: /attorney|lawyer|legal|case|matter|plaintiff|defendant/i,
-      property: /tenant|rent|lease|maintenance|eviction|property|landlord/i,
-      creditor: /collection|debt|payment due|past due|account|creditor|demand/i,
-      compliance: /annual report|registered agent|tax|compliance|filing deadline|state of/i,
-      urgent: /urgent|asap|immediately|time.?sensitive|action required|final notice/i,
-      financial: /invoice|payment|transfer|wire|bank|balance|overdue/i
-    };
   }
 
   /**
-   * Main monitoring endpoint - aggregates across all inboxes
+   * Main monitoring endpoint - syncs every enabled mailbox
    */
-  async monitorAllInboxes(request) {
-    const inboxes = await this.getConfiguredInboxes();
+  async monitorAllInboxes({ limit = DEFAULT_SYNC_LIMIT, ctx } = {}) {
     const results = {
       timestamp: new Date().toISOString(),
       inboxes_scanned: 0,
@@ -43,22 +53,35 @@ export class InboxMonitor {
       errors: []
     };
 
-    for (const inbox of inboxes) {
-      try {
-        const emails = await this.fetchRecentEmails(inbox);
-        const triaged = await this.triageEmails(emails, inbox);
+    let accounts;
+    try {
+      accounts = await loadMailboxAccounts(this.env);
+    } catch (error) {
+      results.errors.push({ inbox: null, error: `mailbox accounts: ${error.message}` });
+      return results;
+    }
 
+    for (const account of accounts.filter(a => a.enabled)) {
+      try {
+        const { summary, urgent } = await this.syncInbox(account, { limit, ctx });
         results.inboxes_scanned++;
-        results.urgent_items.push(...triaged.urgent);
-        results.summary[inbox.name] = triaged.summary;
+        results.summary[account.id] = summary;
+        results.urgent_items.push(...urgent);
       } catch (error) {
-        results.errors.push({ inbox: inbox.name, error: error.message });
+        console.error(`Inbox sync failed for ${account.id}:`, error);
+        results.errors.push({ inbox: account.id, provider: account.provider, error: error.message });
       }
     }
 
     // Sort by urgency
     results.urgent_items.sort((a, b) => b.urgencyScore - a.urgencyScore);
 
+    try {
+      await this.env.AI_CACHE?.put('email_status', JSON.stringify(results));
+    } catch (error) {
+      console.error('Failed to cache email status:', error);
+    }
+
     // Push to dashboard
     await this.pushToDashboard(results);
 
@@ -66,216 +89,75 @@ export class InboxMonitor {
   }
 
   /**
-   * Get configured inbox sources
+   * Pull one mailbox from its cursor and ingest what arrived.
    */
-  async getConfiguredInboxes() {
-    // These correspond to the rclone/Google accounts
-    return [
-      { name: 'nick_aribia_main', type: 'gmail', email: 'nick@aribia.llc' },
-      { name: 'aribia_llc', type: 'gmail', email: 'admin@aribia.llc' },
-      { name: 'it_can_be_llc', type: 'gmail', email: 'admin@itcanbe.llc' },
-      { name: 'chitty_router', type: 'cloudflare', domain: 'chitty.cc' }
-    ];
-  }
+  async syncInbox(account, { limit = DEFAULT_SYNC_LIMIT, ctx } = {}) {
+    const source = createMailboxSource(account, this.env, this.sourceDeps);
+    const previous = await readCursor(this.env, account.id);
+    const { messages, cursor, reset } = await source.sync(previous, { limit });
 
-  /**
-   * Fetch recent emails from an inbox via Gmail API
-   */
-  async fetchRecentEmails(inbox) {
-    if (inbox.type === 'cloudflare') {
-      return await this.fetchCloudflareEmails(inbox);
-    }
-
-    // Gmail API fetch
-    const token = await this.getGmailToken(inbox.name);
-    if (!token) {
-      throw new Error(`No token for ${inbox.name}`);
-    }
-
-    const response = await fetch(
-      `https://gmail.googleapis.com/gmail/v1/users/me/messages?maxResults=50&q=is:unread OR is:important after:${this.getYesterdayDate()}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error(`Gmail API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const emails = [];
-
-    // Fetch details for each message
-    for (const msg of (data.messages || []).slice(0, 20)) {
-      const detail = await this.fetchEmailDetail(token, msg.id);
-      if (detail) emails.push(detail);
-    }
-
-    return emails;
-  }
-
-  /**
-   * Fetch email details from Gmail
-   */
-  async fetchEmailDetail(token, messageId) {
-    try {
-      const response = await fetch(
-        `https://gmail.googleapis.com/gmail/v1/users/me/messages/${messageId}?format=metadata&metadataHeaders=From&metadataHeaders=Subject&metadataHeaders=Date`,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      if (!response.ok) return null;
-
-      const data = await response.json();
-      const headers = {};
-
-      for (const header of data.payload?.headers || []) {
-        headers[header.name.toLowerCase()] = header.value;
-      }
-
-      return {
-        id: messageId,
-        from: headers.from || 'Unknown',
-        subject: headers.subject || '(No subject)',
-        date: headers.date || new Date().toISOString(),
-        snippet: data.snippet || '',
-        labels: data.labelIds || []
-      };
-    } catch (error) {
-      console.error(`Failed to fetch email ${messageId}:`, error);
-      return null;
-    }
-  }
-
-  /**
-   * Fetch emails routed through Cloudflare
-   */
-  async fetchCloudflareEmails(inbox) {
-    // Query the email logs from KV or D1
-    try {
-      const logs = await this.env.AI_CACHE?.get('email_log_recent', 'json');
-      return logs || [];
-    } catch (error) {
-      console.error('Failed to fetch Cloudflare email logs:', error);
-      return [];
-    }
-  }
-
-  /**
-   * AI-powered email triage
-   */
-  async triageEmails(emails, inbox) {
-    const urgent = [];
     const summary = {
-      total: emails.length,
+      provider: account.provider,
+      address: account.address,
+      fetched: messages.length,
+      ingested: 0,
+      duplicates: 0,
+      failed: 0,
+      pending: 0,
+      reset,
       critical: 0,
       high: 0,
       medium: 0,
-      low: 0,
-      unread: 0
+      low: 0
     };
+    const urgent = [];
+    const failedIds = [];
 
-    for (const email of emails) {
-      const urgency = await this.assessUrgency(email);
-
-      if (urgency.level === 'CRITICAL') summary.critical++;
-      else if (urgency.level === 'HIGH') summary.high++;
-      else if (urgency.level === 'MEDIUM') summary.medium++;
-      else summary.low++;
+    for (const { id, raw } of messages) {
+      let result;
+      try {
+        result = await this.handler.ingestMailboxMessage(raw, account, id, ctx);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      if (!result.success) {
+        console.error(`Ingest failed for ${account.id}/${id}: ${result.error}`);
+        summary.failed++;
+        failedIds.push(id);
+        continue;
+      }
+      if (result.duplicate) {
+        summary.duplicates++;
+        continue;
+      }
 
-      // Only include high-priority items in urgent list
-      if (urgency.score >= 50) {
+      summary.ingested++;
+      const level = String(result.urgencyLevel || 'LOW').toLowerCase();
+      if (level in summary) summary[level]++;
+      if (result.urgencyScore >= URGENT_SCORE) {
         urgent.push({
-          inbox: inbox.name,
-          email: inbox.email,
-          ...email,
-          urgencyLevel: urgency.level,
-          urgencyScore: urgency.score,
-          urgencyReasons: urgency.reasons,
-          category: urgency.category
+          inbox: account.id,
+          email: account.address,
+          provider: account.provider,
+          messageId: result.messageId,
+          queueId: result.queueId,
+          subject: result.subject, // redacted by the handler for privileged mail
+          from: result.from,
+          category: result.category,
+          urgencyLevel: result.urgencyLevel,
+          urgencyScore: result.urgencyScore
         });
       }
     }
 
-    return { urgent, summary };
-  }
-
-  /**
-   * Assess urgency of an email using pattern matching + AI
-   */
-  async assessUrgency(email) {
-    const text = `${email.subject} ${email.snippet} ${email.from}`.toLowerCase();
-    const reasons = [];
-    let score = 0;
-    let category = 'general';
-
-    // Check urgency patterns
-    for (const [key, pattern] of Object.entries(this.urgencyPatterns)) {
-      if (pattern.test(text)) {
-        reasons.push(key);
-
-        // Weight by category
-        if (key === 'court') {
-          score += 40;
-          category = 'legal';
-        } else if (key === 'urgent') {
-          score += 30;
-        } else if (key === 'creditor') {
-          score += 25;
-          category = 'financial';
-        } else if (key === 'compliance') {
-          score += 25;
-          category = 'compliance';
-        } else if (key === 'property') {
-          score += 20;
-          category = 'property';
-        } else if (key === 'legal') {
-          score += 15;
-          category = 'legal';
-        } else if (key === 'financial') {
-          score += 15;
-          category = 'financial';
-        }
-      }
-    }
-
-    // Check for deadline indicators
-    if (/\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}/.test(text)) {
-      score += 10;
-      reasons.push('contains_date');
+    const { cursor: next, dropped } = requeueFailed(cursor, failedIds);
+    for (const id of dropped) {
+      console.error(`Giving up on ${account.id}/${id} after repeated ingest failures`);
     }
+    summary.pending = next.pending.length;
+    await writeCursor(this.env, account.id, { ...next, syncedAt: new Date().toISOString() });
 
-    // Check sender importance
-    const importantSenders = [
-      'court', 'judge', 'attorney', 'lawyer', 'county', 'state',
-      'irs', 'treasury', 'bank', 'collection'
-    ];
-
-    for (const sender of importantSenders) {
-      if (email.from.toLowerCase().includes(sender)) {
-        score += 20;
-        reasons.push(`important_sender:${sender}`);
-      }
-    }
-
-    // Determine level
-    let level = 'LOW';
-    if (score >= 80) level = 'CRITICAL';
-    else if (score >= 60) level = 'HIGH';
-    else if (score >= 40) level = 'MEDIUM';
-    else if (score >= 20) level = 'LOW';
-    else level = 'INFO';
-
-    return { level, score, reasons, category };
+    return { summary, urgent };
   }
 
   /**
@@ -364,29 +246,13 @@ export class InboxMonitor {
 
     return blocks;
   }
-
-  /**
-   * Get Gmail OAuth token via token manager
-   */
-  async getGmailToken(accountName) {
-    return await this.tokenManager.getToken(accountName);
-  }
-
-  /**
-   * Get yesterday's date for query
-   */
-  getYesterdayDate() {
-    const d = new Date();
-    d.setDate(d.getDate() - 1);
-    return d.toISOString().split('T')[0];
-  }
 }
 
 /**
  * Cron handler for scheduled inbox monitoring
  */
-export async function handleScheduledMonitoring(env) {
-  const monitor = new InboxMonitor(env);
+export async function handleScheduledMonitoring(env, handler = new CloudflareEmailHandler(env)) {
+  const monitor = new InboxMonitor(env, { handler });
   const results = await monitor.monitorAllInboxes();
 
   console.log(`Inbox monitoring complete: ${results.urgent_items.length} urgent items found`);
@@ -0,0 +1,435 @@
+/**
+ * Mailbox Sources — the pluggable inbox providers behind the inbox monitor.
+ *
+ * Each configured account (src/config/mailbox-accounts.js) gets a source that
+ * pulls only what arrived since its last run, keyed by a provider cursor:
+ *   - gmail → the mailbox historyId (users.history.list, messageAdded/INBOX)
+ *   - graph → the folder's delta link (mailFolders/{folder}/messages/delta)
+ *   - imap  → UIDVALIDITY + the last UID seen (UID SEARCH n:*)
+ *
+ * The first run (no cursor) and any run whose cursor the provider rejects
+ * (Gmail 404, Graph 410, a changed UIDVALIDITY) start over from the last
+ * FIRST_SYNC_LOOKBACK_MS, flagged `reset: true`. Message-ID dedupe in the
+ * handler keeps a reset from queueing mail twice.
+ *
+ * Discovered ids beyond the per-run limit wait in `cursor.pending` and are
+ * fetched first next run, so a burst is spread over several polls instead
+ * of being dropped. Messages come back as raw RFC 822 bytes; the handler
+ * parses and triages them exactly like Cloudflare Email Routing mail
+ * (CloudflareEmailHandler.ingestMailboxMessage).
+ *
+ * @typedef {Object} MailboxCursor
+ * @property {string[]} pending                  - discovered, not yet fetched
+ * @property {Record<string, number>} [attempts] - failed ingests per pending id
+ * @property {string} [historyId]                - gmail
+ * @property {string} [deltaLink]                - graph
+ * @property {number} [uidValidity]              - imap
+ * @property {number} [lastUid]                  - imap
+ * @property {string} [syncedAt]
+ *
+ * @typedef {Object} MailboxSyncResult
+ * @property {Array<{ id: string, raw: Uint8Array }>} messages
+ * @property {MailboxCursor} cursor  - store only after the messages are ingested
+ * @property {boolean} reset         - the previous cursor was unusable
+ *
+ * @typedef {Object} MailboxSource
+ * @property {import('../config/mailbox-accounts.js').MailboxAccount} account
+ * @property {(cursor: MailboxCursor|null, opts?: { limit?: number }) => Promise<MailboxSyncResult>} sync
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { readCredentials } from '../config/mailbox-accounts.js';
+import { extractAddress } from '../config/privilege-gate.js';
+import { GmailTokenManager } from './gmail-token-manager.js';
+import { GraphTokenManager } from './graph-token-manager.js';
+import { ImapClient, imapDate } from './imap-client.js';
+
+export const MAILBOX_CURSOR_PREFIX = 'mailbox_cursor:';
+
+// Messages fetched per account per run; the rest wait in cursor.pending.
+export const DEFAULT_SYNC_LIMIT = 25;
+
+// How far back a first (or reset) sync looks.
+export const FIRST_SYNC_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// Ingest attempts before a pending message is given up on.
+export const MAX_INGEST_ATTEMPTS = 3;
+
+const GMAIL_API = 'https://gmail.googleapis.com/gmail/v1/users/me';
+const GRAPH_API = 'https://graph.microsoft.com/v1.0';
+const MAX_PAGES = 20;
+
+export class MailboxSyncError extends Error {
+  constructor(message, { status = null, provider = null } = {}) {
+    super(message);
+    this.name = 'MailboxSyncError';
+    this.status = status;
+    this.provider = provider;
+  }
+}
+
+/** @returns {Promise<MailboxCursor|null>} */
+export async function readCursor(env, accountId) {
+  return (await env.AI_CACHE?.get(`${MAILBOX_CURSOR_PREFIX}${accountId}`, 'json')) ?? null;
+}
+
+export async function writeCursor(env, accountId, cursor) {
+  await env.AI_CACHE?.put(`${MAILBOX_CURSOR_PREFIX}${accountId}`, JSON.stringify(cursor));
+}
+
+/** Forget an account's cursor; its next run is a first sync. */
+export async function resetCursor(env, accountId) {
+  await env.AI_CACHE?.delete(`${MAILBOX_CURSOR_PREFIX}${accountId}`);
+}
+
+/**
+ * Put ids whose ingest failed back at the front of the pending list, giving
+ * up on any that have failed MAX_INGEST_ATTEMPTS times.
+ *
+ * @param {MailboxCursor} cursor
+ * @param {string[]} failedIds
+ * @returns {{ cursor: MailboxCursor, dropped: string[] }}
+ */
+export function requeueFailed(cursor, failedIds) {
+  const attempts = { ...(cursor.attempts || {}) };
+  const retry = [];
+  const dropped = [];
+  for (const id of failedIds) {
+    attempts[id] = (attempts[id] || 0) + 1;
+    if (attempts[id] >= MAX_INGEST_ATTEMPTS) {
+      dropped.push(id);
+      delete attempts[id];
+    } else {
+      retry.push(id);
+    }
+  }
+  const pending = [...retry, ...cursor.pending.filter((id) => !retry.includes(id))];
+  // Attempts only matter while the id is still pending.
+  for (const id of Object.keys(attempts)) if (!pending.includes(id)) delete attempts[id];
+  return { cursor: { ...cursor, pending, attempts }, dropped };
+}
+
+/**
+ * Fetch pending ids in order up to `limit`; ids the provider no longer has
+ * (fetchRaw → null) are dropped, the rest stay pending.
+ */
+async function drainPending(pending, limit, fetchRaw) {
+  const messages = [];
+  const remaining = [];
+  for (const id of pending) {
+    if (messages.length >= limit) {
+      remaining.push(id);
+      continue;
+    }
+    const raw = await fetchRaw(id);
+    if (raw) messages.push({ id, raw });
+  }
+  return { messages, pending: remaining };
+}
+
+const appendUnique = (list, ids) => [...list, ...ids.filter((id) => !list.includes(id))];
+
+/** Decode a base64url string (Gmail `format=raw`) to bytes. */
+export function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+async function apiGet(url, token, provider) {
+  const response = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+  if (!response.ok) {
+    throw new MailboxSyncError(`${provider} API error: ${response.status}`, { status: response.status, provider });
+  }
+  return response;
+}
+
+/**
+ * Gmail: users.history.list from the stored historyId.
+ */
+export class GmailSource {
+  constructor(account, env, { tokens } = {}) {
+    this.account = account;
+    this.env = env;
+    this.tokens = tokens ?? new GmailTokenManager(env, [account]);
+  }
+
+  async token() {
+    const token = await this.tokens.getToken(this.account.id);
+    if (!token) throw new MailboxSyncError(`No Gmail token for ${this.account.id}`, { provider: 'gmail' });
+    return token;
+  }
+
+  async sync(cursor, { limit = DEFAULT_SYNC_LIMIT } = {}) {
+    const token = await this.token();
+    let reset = false;
+    let discovery = null;
+    if (cursor?.historyId) {
+      try {
+        discovery = await this.history(token, cursor.historyId);
+      } catch (error) {
+        // 404: the historyId is older than Gmail keeps; start over.
+        if (error.status !== 404) throw error;
+        reset = true;
+      }
+    }
+    if (!discovery) discovery = await this.recent(token);
+
+    const base = reset || !cursor ? [] : cursor.pending || [];
+    const { messages, pending } = await drainPending(
+      appendUnique(base, discovery.ids),
+      limit,
+      (id) => this.fetchRaw(token, id),
+    );
+    return {
+      messages,
+      cursor: { historyId: discovery.historyId, pending, attempts: reset ? {} : cursor?.attempts || {} },
+      reset,
+    };
+  }
+
+  /** First sync: the current historyId plus the inbox's recent mail. */
+  async recent(token) {
+    const profile = await (await apiGet(`${GMAIL_API}/profile`, token, 'gmail')).json();
+    const after = Math.floor((Date.now() - FIRST_SYNC_LOOKBACK_MS) / 1000);
+    const ids = [];
+    let pageToken = '';
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const params = new URLSearchParams({ q: `in:inbox after:${after}`, maxResults: '100' });
+      if (pageToken) params.set('pageToken', pageToken);
+      const data = await (await apiGet(`${GMAIL_API}/messages?${params}`, token, 'gmail')).json();
+      ids.push(...(data.messages || []).map((m) => m.id));
+      if (!data.nextPageToken) break;
+      pageToken = data.nextPageToken;
+    }
+    // messages.list is newest first; ingest oldest first like history does.
+    return { historyId: String(profile.historyId), ids: ids.reverse() };
+  }
+
+  async history(token, startHistoryId) {
+    const ids = [];
+    let historyId = startHistoryId;
+    let pageToken = '';
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const params = new URLSearchParams({ startHistoryId, historyTypes: 'messageAdded', labelId: 'INBOX' });
+      if (pageToken) params.set('pageToken', pageToken);
+      const data = await (await apiGet(`${GMAIL_API}/history?${params}`, token, 'gmail')).json();
+      for (const entry of data.history || []) {
+        for (const added of entry.messagesAdded || []) ids.push(added.message.id);
+      }
+      historyId = String(data.historyId ?? historyId);
+      if (!data.nextPageToken) break;
+      pageToken = data.nextPageToken;
+    }
+    return { historyId, ids: [...new Set(ids)] };
+  }
+
+  async fetchRaw(token, id) {
+    try {
+      const data = await (await apiGet(`${GMAIL_API}/messages/${id}?format=raw`, token, 'gmail')).json();
+      return base64UrlToBytes(data.raw);
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Microsoft Graph: the folder's message delta query.
+ */
+export class GraphSource {
+  constructor(account, env, { tokens } = {}) {
+    this.account = account;
+    this.env = env;
+    this.tokens = tokens ?? new GraphTokenManager(env, [account]);
+    this.base = `${GRAPH_API}/users/${encodeURIComponent(account.address)}`;
+  }
+
+  async token() {
+    const token = await this.tokens.getToken(this.account.id);
+    if (!token) throw new MailboxSyncError(`No Graph token for ${this.account.id}`, { provider: 'graph' });
+    return token;
+  }
+
+  async sync(cursor, { limit = DEFAULT_SYNC_LIMIT } = {}) {
+    const token = await this.token();
+    let reset = false;
+    let discovery = null;
+    if (cursor?.deltaLink) {
+      try {
+        discovery = await this.delta(token, cursor.deltaLink);
+      } catch (error) {
+        // 410: the delta token expired or the folder was resynced.
+        if (error.status !== 410) throw error;
+        reset = true;
+      }
+    }
+    if (!discovery) {
+      const since = new Date(Date.now() - FIRST_SYNC_LOOKBACK_MS).toISOString();
+      const params = new URLSearchParams({ $select: 'id', $filter: `receivedDateTime ge ${since}` });
+      discovery = await this.delta(token, `${this.base}/mailFolders/${encodeURIComponent(this.account.folder)}/messages/delta?${params}`);
+    }
+
+    const base = reset || !cursor ? [] : cursor.pending || [];
+    const { messages, pending } = await drainPending(
+      appendUnique(base, discovery.ids),
+      limit,
+      (id) => this.fetchRaw(token, id),
+    );
+    return {
+      messages,
+      cursor: { deltaLink: discovery.deltaLink, pending, attempts: reset ? {} : cursor?.attempts || {} },
+      reset,
+    };
+  }
+
+  /** Follow nextLinks to the deltaLink, collecting added/changed ids. */
+  async delta(token, url) {
+    const ids = [];
+    let next = url;
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const response = await fetch(next, {
+        headers: { Authorization: `Bearer ${token}`, Prefer: 'odata.maxpagesize=50' },
+      });
+      if (!response.ok) {
+        throw new MailboxSyncError(`graph API error: ${response.status}`, { status: response.status, provider: 'graph' });
+      }
+      const data = await response.json();
+      for (const item of data.value || []) {
+        if (!item['@removed']) ids.push(item.id);
+      }
+      if (data['@odata.deltaLink']) return { ids: [...new Set(ids)], deltaLink: data['@odata.deltaLink'] };
+      next = data['@odata.nextLink'];
+      if (!next) break;
+    }
+    throw new MailboxSyncError('graph delta query ended without a deltaLink', { provider: 'graph' });
+  }
+
+  async fetchRaw(token, id) {
+    try {
+      const response = await apiGet(`${this.base}/messages/${encodeURIComponent(id)}/$value`, token, 'graph');
+      return new Uint8Array(await response.arrayBuffer());
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+}
+
+/**
+ * IMAP: UIDs above the last one seen, while UIDVALIDITY holds.
+ */
+export class ImapSource {
+  constructor(account, env, { connect } = {}) {
+    this.account = account;
+    this.env = env;
+    this.connect = connect;
+  }
+
+  async sync(cursor, { limit = DEFAULT_SYNC_LIMIT } = {}) {
+    const creds = await readCredentials(this.env, this.account.credentials);
+    if (!creds?.password) throw new MailboxSyncError(`Missing credentials for ${this.account.id}`, { provider: 'imap' });
+
+    const { host, port, tls } = this.account;
+    const client = new ImapClient({ host, port, tls, ...(this.connect ? { connect: this.connect } : {}) });
+    await client.open();
+    try {
+      await client.login(this.account.username, creds.password);
+      const box = await client.select(this.account.mailbox);
+
+      // A changed UIDVALIDITY means every stored UID now names something else.
+      const reset = Boolean(cursor) && cursor.uidValidity !== box.uidValidity;
+      const known = cursor && !reset ? cursor : null;
+      const uids = known
+        ? (await client.uidSearch(`UID ${known.lastUid + 1}:*`)).filter((uid) => uid > known.lastUid)
+        : await client.uidSearch(`SINCE ${imapDate(Date.now() - FIRST_SYNC_LOOKBACK_MS)}`);
+
+      const found = uids.map(String);
+      const { messages, pending } = await drainPending(
+        appendUnique(known?.pending || [], found),
+        limit,
+        (uid) => client.fetchRaw(uid),
+      );
+      const lastUid = uids.length
+        ? Math.max(known?.lastUid ?? 0, ...uids)
+        : known?.lastUid ?? Math.max(0, (box.uidNext ?? 1) - 1);
+      return {
+        messages,
+        cursor: {
+          uidValidity: box.uidValidity,
+          lastUid,
+          pending,
+          attempts: known?.attempts || {},
+        },
+        reset,
+      };
+    } finally {
+      await client.logout();
+    }
+  }
+}
+
+/**
+ * Build the source for an account.
+ *
+ * @param {import('../config/mailbox-accounts.js').MailboxAccount} account
+ * @param {any} env
+ * @param {{ tokens?: { getToken(id: string): Promise<string|null> }, connect?: Function }} [deps]
+ * @returns {MailboxSource}
+ */
+export function createMailboxSource(account, env, deps = {}) {
+  switch (account.provider) {
+    case 'gmail': return new GmailSource(account, env, deps);
+    case 'graph': return new GraphSource(account, env, deps);
+    case 'imap': return new ImapSource(account, env, deps);
+    default: throw new MailboxSyncError(`unknown mailbox provider "${account.provider}"`);
+  }
+}
+
+/**
+ * Split a raw message's header block into a case-insensitive `get()` view —
+ * the shape CloudflareEmailHandler reads from an EmailMessage's headers.
+ */
+export function rawHeaders(raw) {
+  const text = new TextDecoder().decode(raw.subarray(0, Math.min(raw.length, 64 * 1024)));
+  const end = text.search(/\r?\n\r?\n/);
+  const block = end >= 0 ? text.slice(0, end) : text;
+  const headers = new Map();
+  for (const line of block.split(/\r?\n(?![ \t])/)) {
+    const colon = line.indexOf(':');
+    if (colon < 1) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!headers.has(name)) headers.set(name, line.slice(colon + 1).replace(/\r?\n[ \t]+/g, ' ').trim());
+  }
+  return { get: (name) => headers.get(name.toLowerCase()) ?? null, has: (name) => headers.has(name.toLowerCase()) };
+}
+
+/**
+ * Wrap a polled message in the EmailMessage shape the handler consumes.
+ * The envelope sender is the From address and the recipient is the polled
+ * mailbox. Polled mail already sits in its mailbox, so it cannot be
+ * forwarded or rejected; the handler checks `mailbox` and skips both.
+ *
+ * @param {Uint8Array} raw
+ * @param {import('../config/mailbox-accounts.js').MailboxAccount} account
+ * @param {string} sourceId - provider message id / UID
+ */
+export function mailboxMessage(raw, account, sourceId) {
+  const headers = rawHeaders(raw);
+  return {
+    from: extractAddress(headers.get('from') || ''),
+    to: account.address,
+    headers,
+    rawSize: raw.length,
+    raw: new ReadableStream({ start(c) { c.enqueue(raw); c.close(); } }),
+    mailbox: { account: account.id, provider: account.provider, address: account.address, sourceId },
+    async forward() {
+      throw new Error('polled mailbox messages cannot be forwarded');
+    },
+    setReject() {
+      throw new Error('polled mailbox messages cannot be rejected');
+    },
+  };
+}
@@ -0,0 +1,710 @@
+/**
+ * Streaming RFC 5322 / MIME parser for inbound mail.
+ *
+ * Replaces the boundary-regex attachment scraping that used to live in
+ * CloudflareEmailHandler. Bytes are fed in chunks (`write()` / `end()`, or
+ * `parseMimeStream()` for a ReadableStream) and split into lines as they
+ * arrive; the part tree is built incrementally, so the full message is never
+ * materialized as one string. Bodies stay byte-exact until decoded.
+ *
+ * What it handles that the regex path did not:
+ *   - every Content-Transfer-Encoding (base64, quoted-printable, 7bit/8bit/binary)
+ *   - body charsets (anything TextDecoder knows; unknown labels → UTF-8)
+ *   - RFC 2047 encoded-words in headers and RFC 2231 (continued, charset-
+ *     tagged) parameters, so encoded filenames decode correctly
+ *   - duplicate filenames (every part is kept; callers de-duplicate keys)
+ *   - nested message/rfc822 parts (forwarded mail), parsed recursively
+ *
+ * Part ids are IMAP-style section paths ('1', '1.2', ...). Parts without a
+ * Content-ID header get a synthesized one derived from the section path, so
+ * re-parsing the same message always yields the same ids.
+ *
+ * @typedef {Object} MimePart
+ * @property {string} partId                  - section path; '' for a message root
+ * @property {Record<string, string[]>} headers - lowercased name → decoded values
+ * @property {string} contentType             - lowercased type/subtype
+ * @property {Record<string, string>} params  - Content-Type parameters (decoded)
+ * @property {'attachment'|'inline'|null} disposition
+ * @property {string} filename                - decoded filename, '' if none
+ * @property {string} contentId               - Content-ID (no <>) or synthesized
+ * @property {boolean} contentIdSynthesized
+ * @property {string} transferEncoding
+ * @property {string} charset
+ * @property {Uint8Array} body                - transfer-decoded bytes (leaf parts)
+ * @property {MimePart[]} children            - multipart children
+ * @property {ParsedMessage|null} message     - embedded message (message/rfc822)
+ *
+ * @typedef {Object} MimeAttachment
+ * @property {string} partId
+ * @property {string} filename
+ * @property {string} contentType
+ * @property {'attachment'|'inline'|null} disposition
+ * @property {string} contentId
+ * @property {number} size
+ * @property {Uint8Array} data
+ * @property {string|null} forwardedFrom      - partId of the enclosing message/rfc822, if any
+ *
+ * @typedef {Object} ForwardedMessage
+ * @property {string} partId
+ * @property {string} contentId
+ * @property {string} filename
+ * @property {{ from: string, to: string, subject: string, date: string, messageId: string }} headers
+ * @property {string} text
+ * @property {string} html
+ * @property {number} size
+ * @property {Uint8Array} raw                 - the embedded message's bytes
+ *
+ * @typedef {Object} ParsedMessage
+ * @property {MimePart} root
+ * @property {Record<string, string[]>} headers
+ * @property {string} text                    - first text/plain body ('' if none)
+ * @property {string} html                    - first text/html body ('' if none)
+ * @property {MimeAttachment[]} attachments   - includes those inside forwarded messages
+ * @property {MimeAttachment[]} inline        - inline (cid-referenced) parts
+ * @property {ForwardedMessage[]} forwarded
+ */
+
+const CR = 0x0d;
+const LF = 0x0a;
+const DASH = 0x2d;
+
+/** Embedded message/rfc822 recursion limit (forward-of-forward-of-...). */
+const MAX_MESSAGE_DEPTH = 8;
+/** Hard cap on parts per message so a hostile MIME bomb can't exhaust memory. */
+const MAX_PARTS = 500;
+
+const utf8 = new TextDecoder('utf-8');
+const LATIN1_LABELS = new Set(['iso-8859-1', 'iso8859-1', 'latin1', 'l1', 'us-ascii', 'ascii']);
+
+// ============ Low-level byte helpers ============
+
+/** Bytes → binary string (one char per byte; NOT windows-1252). */
+function bytesToBinary(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return out;
+}
+
+function concatBytes(chunks, total) {
+  const size = total ?? chunks.reduce((n, c) => n + c.length, 0);
+  const out = new Uint8Array(size);
+  let offset = 0;
+  for (const c of chunks) {
+    out.set(c, offset);
+    offset += c.length;
+  }
+  return out;
+}
+
+/**
+ * Decode bytes in a named charset. Unknown or unsupported labels fall back to
+ * UTF-8 rather than throwing — a mislabeled charset must not drop a body.
+ * @param {Uint8Array} bytes
+ * @param {string} [charset]
+ */
+export function decodeCharset(bytes, charset) {
+  let label = (charset || 'utf-8').trim().toLowerCase();
+  // WHATWG (and so Workers) reads these labels as windows-1252, Node as strict
+  // Latin-1. Pin windows-1252 so both runtimes agree — it is also what
+  // Western mailers that say 'iso-8859-1' actually send (smart quotes, dashes).
+  if (LATIN1_LABELS.has(label)) label = 'windows-1252';
+  if (label === 'windows-1252' || label === 'cp1252') return decodeWindows1252(bytes);
+  try {
+    return new TextDecoder(label).decode(bytes);
+  } catch {
+    return utf8.decode(bytes);
+  }
+}
+
+/**
+ * windows-1252 differs from Latin-1 only in 0x80–0x9F. Some runtimes'
+ * TextDecoder (Node ≤ 20) return C1 controls there, so decode by table.
+ */
+const CP1252_HIGH = [
+  0x20ac, 0xfffd, 0x201a, 0x0192, 0x201e, 0x2026, 0x2020, 0x2021,
+  0x02c6, 0x2030, 0x0160, 0x2039, 0x0152, 0xfffd, 0x017d, 0xfffd,
+  0xfffd, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014,
+  0x02dc, 0x2122, 0x0161, 0x203a, 0x0153, 0xfffd, 0x017e, 0x0178,
+];
+
+function decodeWindows1252(bytes) {
+  let out = '';
+  for (const b of bytes) {
+    out += String.fromCharCode(b >= 0x80 && b <= 0x9f ? CP1252_HIGH[b - 0x80] : b);
+  }
+  return out;
+}
+
+// ============ Transfer encodings ============
+
+/**
+ * Lenient base64 → bytes. Ignores whitespace and junk characters, tolerates
+ * missing padding. Returns an empty array if nothing decodes.
+ * @param {string} text
+ */
+export function decodeBase64(text) {
+  let cleaned = text.replace(/[^A-Za-z0-9+/]/g, '');
+  const rem = cleaned.length % 4;
+  if (rem === 1) cleaned = cleaned.slice(0, -1); // a lone trailing sextet carries no byte
+  else if (rem) cleaned += '='.repeat(4 - rem);
+  try {
+    const binary = atob(cleaned);
+    const out = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) out[i] = binary.charCodeAt(i);
+    return out;
+  } catch {
+    return new Uint8Array(0);
+  }
+}
+
+function hexVal(c) {
+  if (c >= 0x30 && c <= 0x39) return c - 0x30;
+  if (c >= 0x41 && c <= 0x46) return c - 0x37;
+  if (c >= 0x61 && c <= 0x66) return c - 0x57;
+  return -1;
+}
+
+/**
+ * Quoted-printable → bytes (RFC 2045 §6.7). Soft line breaks are removed,
+ * `=XX` escapes decoded; malformed escapes are kept literally.
+ * @param {Uint8Array} bytes
+ */
+export function decodeQuotedPrintable(bytes) {
+  const out = new Uint8Array(bytes.length);
+  let o = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    const b = bytes[i];
+    if (b !== 0x3d) { out[o++] = b; continue; }
+    // '=' followed by optional trailing whitespace then CRLF/LF → soft break
+    let j = i + 1;
+    while (j < bytes.length && (bytes[j] === 0x20 || bytes[j] === 0x09)) j++;
+    if (j < bytes.length && (bytes[j] === CR || bytes[j] === LF)) {
+      i = bytes[j] === CR && bytes[j + 1] === LF ? j + 1 : j;
+      continue;
+    }
+    if (j >= bytes.length) { i = j; continue; } // '=' at EOF: soft break
+    const hi = hexVal(bytes[i + 1] ?? -1);
+    const lo = hexVal(bytes[i + 2] ?? -1);
+    if (hi >= 0 && lo >= 0) {
+      out[o++] = (hi << 4) | lo;
+      i += 2;
+    } else {
+      out[o++] = b;
+    }
+  }
+  return out.subarray(0, o);
+}
+
+/**
+ * Undo a part's Content-Transfer-Encoding.
+ * @param {Uint8Array} bytes
+ * @param {string} encoding
+ */
+export function decodeTransferEncoding(bytes, encoding) {
+  switch ((encoding || '').toLowerCase()) {
+    case 'base64':
+      return decodeBase64(bytesToBinary(bytes));
+    case 'quoted-printable':
+      return decodeQuotedPrintable(bytes);
+    default: // 7bit, 8bit, binary, x-uuencode (left raw), unknown
+      return bytes;
+  }
+}
+
+// ============ Header decoding ============
+
+/**
+ * Decode RFC 2047 encoded-words (`=?charset?B|Q?text?=`). Whitespace between
+ * adjacent encoded-words is dropped, per §6.2.
+ * @param {string} value
+ */
+export function decodeEncodedWords(value) {
+  if (typeof value !== 'string' || !value.includes('=?')) return value ?? '';
+  const collapsed = value.replace(/(=\?[^?\s]+\?[bBqQ]\?[^?\s]*\?=)\s+(?==\?)/g, '$1');
+  return collapsed.replace(/=\?([^?\s]+)\?([bBqQ])\?([^?\s]*)\?=/g, (whole, charset, enc, text) => {
+    // RFC 2231 §5 language suffix: charset*lang
+    const cs = charset.split('*')[0];
+    let bytes;
+    if (enc.toUpperCase() === 'B') {
+      bytes = decodeBase64(text);
+    } else {
+      const qp = text.replace(/_/g, ' ');
+      bytes = decodeQuotedPrintable(Uint8Array.from(qp, (c) => c.charCodeAt(0) & 0xff));
+    }
+    return bytes.length || !text ? decodeCharset(bytes, cs) : whole;
+  });
+}
+
+/** Percent-decode an RFC 2231 extended value into bytes. */
+function percentDecode(text) {
+  const out = [];
+  for (let i = 0; i < text.length; i++) {
+    const c = text.charCodeAt(i);
+    if (c === 0x25 && i + 2 < text.length) {
+      const hi = hexVal(text.charCodeAt(i + 1));
+      const lo = hexVal(text.charCodeAt(i + 2));
+      if (hi >= 0 && lo >= 0) { out.push((hi << 4) | lo); i += 2; continue; }
+    }
+    if (c < 0x80) out.push(c);
+    else out.push(...new TextEncoder().encode(text[i]));
+  }
+  return Uint8Array.from(out);
+}
+
+/**
+ * Parse a structured header value (`type/subtype; a=b; c="d;e"`) into its
+ * leading value and decoded parameters. Handles quoted strings with escapes,
+ * RFC 2231 continuations (`name*0*=`, `name*1=`) and charset-tagged values
+ * (`name*=utf-8''%E2%82%AC`), and RFC 2047 words inside quoted parameters
+ * (non-standard, but what most mailers send).
+ *
+ * @param {string} raw
+ * @returns {{ value: string, params: Record<string, string> }}
+ */
+export function parseHeaderParams(raw) {
+  const str = String(raw ?? '');
+  const tokens = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (quoted) {
+      if (ch === '\\' && i + 1 < str.length) { current += str[++i]; continue; }
+      if (ch === '"') { quoted = false; continue; }
+      current += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ';') {
+      tokens.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  tokens.push(current);
+
+  const value = tokens.shift().trim().toLowerCase();
+  /** @type {Record<string, {charset?: string, pieces: Map<number, {text: string, encoded: boolean}>}>} */
+  const extended = Object.create(null);
+  const params = Object.create(null);
+
+  for (const token of tokens) {
+    const eq = token.indexOf('=');
+    if (eq < 1) continue;
+    const key = token.slice(0, eq).trim().toLowerCase();
+    const val = token.slice(eq + 1).trim();
+    const m = key.match(/^([^*]+)(?:\*(\d+))?(\*)?$/);
+    if (!m || (m[2] === undefined && m[3] === undefined)) {
+      params[key] = decodeEncodedWords(val);
+      continue;
+    }
+    const [, name, index, star] = m;
+    const entry = extended[name] ?? (extended[name] = { pieces: new Map() });
+    let text = val;
+    const encoded = star === '*';
+    if (encoded && (index === undefined || index === '0')) {
+      // charset'language'value
+      const parts = text.split("'");
+      if (parts.length >= 3) {
+        entry.charset = parts[0] || 'us-ascii';
+        text = parts.slice(2).join("'");
+      }
+    }
+    entry.pieces.set(Number(index ?? 0), { text, encoded });
+  }
+
+  for (const [name, entry] of Object.entries(extended)) {
+    const ordered = [...entry.pieces.entries()].sort((a, b) => a[0] - b[0]);
+    const bytes = [];
+    for (const [, piece] of ordered) {
+      const chunk = piece.encoded
+        ? percentDecode(piece.text)
+        : new TextEncoder().encode(piece.text);
+      bytes.push(...chunk);
+    }
+    params[name] = decodeCharset(Uint8Array.from(bytes), entry.charset || 'utf-8');
+  }
+
+  return { value, params };
+}
+
+/**
+ * Parse an unfolded header block into lowercased name → decoded values.
+ * @param {string[]} lines - raw header lines (already UTF-8 decoded)
+ */
+function parseHeaderBlock(lines) {
+  /** @type {Record<string, string[]>} */
+  const headers = Object.create(null);
+  const raw = Object.create(null);
+  let last = null;
+  for (const line of lines) {
+    if ((line[0] === ' ' || line[0] === '\t') && last) {
+      last.value += ' ' + line.trim();
+      continue;
+    }
+    const colon = line.indexOf(':');
+    if (colon < 1) { last = null; continue; }
+    last = { name: line.slice(0, colon).trim().toLowerCase(), value: line.slice(colon + 1).trim() };
+    (raw[last.name] ??= []).push(last);
+  }
+  for (const [name, entries] of Object.entries(raw)) {
+    headers[name] = entries.map((e) => e.value);
+  }
+  return headers;
+}
+
+function firstHeader(headers, name) {
+  return headers[name]?.[0] ?? '';
+}
+
+// ============ Part tree ============
+
+/**
+ * @param {string} partId
+ * @param {Record<string, string[]>} headers
+ * @param {string} defaultType
+ * @returns {MimePart}
+ */
+function createPart(partId, headers, defaultType) {
+  const ct = parseHeaderParams(firstHeader(headers, 'content-type') || defaultType);
+  const cd = parseHeaderParams(firstHeader(headers, 'content-disposition'));
+  const disposition = cd.value === 'attachment' || cd.value === 'inline' ? cd.value : null;
+  const rawCid = firstHeader(headers, 'content-id').trim().replace(/^<|>$/g, '');
+  const contentType = ct.value.includes('/') ? ct.value : defaultType;
+  return {
+    partId,
+    headers,
+    contentType,
+    params: ct.params,
+    disposition,
+    filename: (cd.params.filename || ct.params.name || '').trim(),
+    contentId: rawCid || `part-${partId || '0'}@mime.chittyrouter`,
+    contentIdSynthesized: !rawCid,
+    transferEncoding: firstHeader(headers, 'content-transfer-encoding').trim().toLowerCase() || '7bit',
+    charset: ct.params.charset || '',
+    body: new Uint8Array(0),
+    children: [],
+    message: null,
+  };
+}
+
+/**
+ * Incremental MIME parser. Feed bytes with write(), then call end() to get the
+ * parsed message. One instance parses one message.
+ */
+export class MimeStreamParser {
+  /**
+   * @param {{ depth?: number, partPrefix?: string }} [opts]
+   */
+  constructor(opts = {}) {
+    this.depth = opts.depth ?? 0;
+    this.partPrefix = opts.partPrefix ?? '';
+    this.carry = new Uint8Array(0);
+    this.partCount = 0;
+    this.done = false;
+
+    // Frames: one per open entity. The root frame is the message itself.
+    // { part, state: 'headers'|'body'|'preamble'|'epilogue', headerLines,
+    //   bodyLines, boundary, childIndex, defaultChildType }
+    this.root = null;
+    this.stack = [this.newFrame('', 'text/plain')];
+  }
+
+  newFrame(partId, defaultType) {
+    this.partCount++;
+    return { partId, defaultType, part: null, state: 'headers', headerLines: [], bodyLines: [], boundary: null, childIndex: 0 };
+  }
+
+  /** @param {Uint8Array} chunk */
+  write(chunk) {
+    if (this.done) throw new Error('MimeStreamParser: write() after end()');
+    if (!chunk?.length) return;
+    let data = chunk;
+    if (this.carry.length) data = concatBytes([this.carry, chunk]);
+    let start = 0;
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] !== LF) continue;
+      const end = i > start && data[i - 1] === CR ? i - 1 : i;
+      this.line(data.subarray(start, end));
+      start = i + 1;
+    }
+    // Copy the tail: `data` may be a view over a caller-owned chunk.
+    this.carry = data.slice(start);
+  }
+
+  /** @returns {ParsedMessage} */
+  end() {
+    if (this.done) throw new Error('MimeStreamParser: end() called twice');
+    if (this.carry.length) this.line(this.carry);
+    this.carry = new Uint8Array(0);
+    while (this.stack.length) this.closeFrame(this.stack.pop());
+    this.done = true;
+    return summarize(this.root);
+  }
+
+  /** @param {Uint8Array} bytes - one line without its terminator */
+  line(bytes) {
+    // Boundary check first, innermost to outermost, so a boundary always
+    // wins over body content (and closes unterminated inner parts).
+    if (bytes.length >= 3 && bytes[0] === DASH && bytes[1] === DASH) {
+      const text = bytesToBinary(bytes).replace(/[ \t]+$/, '');
+      for (let level = this.stack.length - 1; level >= 0; level--) {
+        const boundary = this.stack[level].boundary;
+        if (!boundary) continue;
+        if (text === `--${boundary}`) { this.boundaryHit(level, false); return; }
+        if (text === `--${boundary}--`) { this.boundaryHit(level, true); return; }
+      }
+    }
+
+    const frame = this.stack[this.stack.length - 1];
+    if (!frame) return; // after the outermost close-delimiter
+    switch (frame.state) {
+      case 'headers':
+        if (bytes.length === 0) this.finishHeaders(frame);
+        else frame.headerLines.push(utf8.decode(bytes));
+        break;
+      case 'body':
+        frame.bodyLines.push(bytes);
+        break;
+      default: // preamble / epilogue are discarded
+        break;
+    }
+  }
+
+  finishHeaders(frame) {
+    const headers = parseHeaderBlock(frame.headerLines);
+    frame.headerLines = [];
+    frame.part = createPart(frame.partId, headers, frame.defaultType);
+    if (!this.root) this.root = frame.part;
+    const boundary = frame.part.params.boundary;
+    if (frame.part.contentType.startsWith('multipart/') && boundary) {
+      frame.boundary = boundary;
+      frame.state = 'preamble';
+    } else {
+      frame.state = 'body';
+    }
+  }
+
+  /**
+   * A delimiter for the multipart at stack[level] was seen. Close everything
+   * nested inside it, then either open the next child or end the multipart.
+   */
+  boundaryHit(level, isClose) {
+    while (this.stack.length - 1 > level) this.closeFrame(this.stack.pop());
+    const owner = this.stack[level];
+    if (isClose) {
+      owner.state = 'epilogue';
+      return;
+    }
+    if (this.partCount >= MAX_PARTS) {
+      owner.state = 'epilogue';
+      console.warn(`[mime-parser] part limit (${MAX_PARTS}) reached — ignoring remaining parts`);
+      return;
+    }
+    owner.state = 'children';
+    owner.childIndex++;
+    const prefix = owner.partId ? `${owner.partId}.` : this.partPrefix;
+    const defaultType = owner.part.contentType === 'multipart/digest' ? 'message/rfc822' : 'text/plain';
+    this.stack.push(this.newFrame(`${prefix}${owner.childIndex}`, defaultType));
+  }
+
+  closeFrame(frame) {
+    if (!frame.part) {
+      // Truncated before the header/body separator.
+      if (!frame.headerLines.length) return;
+      this.finishHeaders(frame);
+    }
+    const part = frame.part;
+    const parent = this.stack[this.stack.length - 1];
+    if (parent?.part && parent.part !== part) parent.part.children.push(part);
+
+    if (frame.state !== 'body') return; // multipart container: no own body
+
+    const lines = frame.bodyLines;
+    frame.bodyLines = [];
+    let size = 0;
+    for (const l of lines) size += l.length + 2;
+    const raw = new Uint8Array(Math.max(size - 2, 0));
+    let offset = 0;
+    lines.forEach((l, i) => {
+      raw.set(l, offset);
+      offset += l.length;
+      if (i < lines.length - 1) { raw[offset++] = CR; raw[offset++] = LF; }
+    });
+    part.body = decodeTransferEncoding(raw, part.transferEncoding);
+
+    if (part.contentType === 'message/rfc822' || part.contentType === 'message/global') {
+      if (this.depth + 1 > MAX_MESSAGE_DEPTH) {
+        console.warn(`[mime-parser] message/rfc822 nesting deeper than ${MAX_MESSAGE_DEPTH} — not parsed`);
+        return;
+      }
+      const inner = new MimeStreamParser({ depth: this.depth + 1, partPrefix: `${part.partId}.` });
+      inner.write(part.body);
+      part.message = inner.end();
+    }
+  }
+}
+
+// ============ Summaries ============
+
+function isTextBodyCandidate(part) {
+  return (part.contentType === 'text/plain' || part.contentType === 'text/html')
+    && part.disposition !== 'attachment'
+    && !part.filename;
+}
+
+/**
+ * Walk the tree, picking bodies and classifying leaves. Does not descend into
+ * embedded messages for bodies — those are summarized separately.
+ */
+function collect(part, acc, forwardedFrom) {
+  if (part.children.length) {
+    for (const child of part.children) collect(child, acc, forwardedFrom);
+    return;
+  }
+
+  if (part.message) {
+    const inner = part.message;
+    const h = inner.headers;
+    acc.forwarded.push({
+      partId: part.partId,
+      contentId: part.contentId,
+      filename: part.filename,
+      headers: {
+        from: firstHeader(h, 'from'),
+        to: firstHeader(h, 'to'),
+        subject: decodeEncodedWords(firstHeader(h, 'subject')),
+        date: firstHeader(h, 'date'),
+        messageId: firstHeader(h, 'message-id'),
+      },
+      text: inner.text,
+      html: inner.html,
+      size: part.body.length,
+      raw: part.body,
+    });
+    for (const att of inner.attachments) acc.attachments.push({ ...att, forwardedFrom: att.forwardedFrom ?? part.partId });
+    for (const att of inner.inline) acc.inline.push({ ...att, forwardedFrom: att.forwardedFrom ?? part.partId });
+    for (const fwd of inner.forwarded) acc.forwarded.push(fwd);
+    if (part.disposition === 'attachment') {
+      const subject = decodeEncodedWords(firstHeader(h, 'subject'));
+      acc.attachments.push(toAttachment(part, forwardedFrom, part.filename || `${subject || 'forwarded-message'}.eml`));
+    }
+    return;
+  }
+
+  if (isTextBodyCandidate(part)) {
+    const key = part.contentType === 'text/plain' ? 'text' : 'html';
+    if (acc[key] === null) {
+      acc[key] = decodeCharset(part.body, part.charset);
+      return;
+    }
+    // A second inline text part without a filename: body continuation
+    // (signature, list footer) — not an attachment.
+    return;
+  }
+
+  if (!part.body.length) return; // empty parts carry nothing worth storing
+
+  // Inline named documents (Apple Mail sends PDFs this way) are real
+  // attachments; inline images and cid-referenced parts are rendering assets.
+  const isImage = part.contentType.startsWith('image/');
+  if (part.disposition === 'attachment') {
+    acc.attachments.push(toAttachment(part, forwardedFrom));
+  } else if (part.disposition === 'inline') {
+    (part.filename && !isImage ? acc.attachments : acc.inline).push(toAttachment(part, forwardedFrom));
+  } else if (!part.contentIdSynthesized && (isImage || !part.filename)) {
+    acc.inline.push(toAttachment(part, forwardedFrom));
+  } else if (part.filename) {
+    acc.attachments.push(toAttachment(part, forwardedFrom));
+  }
+}
+
+/** @returns {MimeAttachment} */
+function toAttachment(part, forwardedFrom, filenameOverride) {
+  return {
+    partId: part.partId,
+    filename: filenameOverride || part.filename || `attachment-${part.partId}`,
+    contentType: part.contentType,
+    disposition: part.disposition,
+    contentId: part.contentId,
+    size: part.body.length,
+    data: part.body,
+    forwardedFrom: forwardedFrom ?? null,
+  };
+}
+
+/** @returns {ParsedMessage} */
+function summarize(root) {
+  const safeRoot = root ?? createPart('', Object.create(null), 'text/plain');
+  const acc = { text: null, html: null, attachments: [], inline: [], forwarded: [] };
+  collect(safeRoot, acc, null);
+  return {
+    root: safeRoot,
+    headers: safeRoot.headers,
+    text: acc.text ?? '',
+    html: acc.html ?? '',
+    attachments: acc.attachments,
+    inline: acc.inline,
+    forwarded: acc.forwarded,
+  };
+}
+
+// ============ Entry points ============
+
+/**
+ * Parse a complete message held in memory.
+ * @param {Uint8Array|ArrayBuffer|string} raw
+ * @returns {ParsedMessage}
+ */
+export function parseMime(raw) {
+  const parser = new MimeStreamParser();
+  if (typeof raw === 'string') parser.write(new TextEncoder().encode(raw));
+  else parser.write(raw instanceof Uint8Array ? raw : new Uint8Array(raw));
+  return parser.end();
+}
+
+/**
+ * Parse a message from a ReadableStream of Uint8Array chunks (e.g. the
+ * Cloudflare Email Worker's `message.raw`). Optionally tees the raw bytes out
+ * via `onChunk` for callers that also need the original message.
+ *
+ * @param {ReadableStream<Uint8Array>} stream
+ * @param {{ onChunk?: (chunk: Uint8Array) => void }} [opts]
+ * @returns {Promise<ParsedMessage>}
+ */
+export async function parseMimeStream(stream, opts = {}) {
+  const parser = new MimeStreamParser();
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      opts.onChunk?.(value);
+      parser.write(value);
+    }
+  } finally {
+    reader.releaseLock();
+  }
+  return parser.end();
+}
+
+const HTML_ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" };
+
+/**
+ * Crude HTML → text for AI/preview input when a message has no text/plain
+ * alternative. Not a renderer: drops tags/scripts/styles and collapses
+ * whitespace. Entities are decoded in one pass, so `&amp;lt;` stays `&lt;`.
+ * @param {string} html
+ */
+export function htmlToText(html) {
+  return String(html ?? '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(nbsp|amp|lt|gt|quot|#39);/gi, (_, name) => HTML_ENTITIES[name.toLowerCase()])
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n\n')
+    .trim();
+}
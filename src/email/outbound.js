@@ -0,0 +1,163 @@
+/**
+ * Outbound replies — threading headers, from-alias selection, the approval
+ * and privilege policy, and MIME assembly for replies sent from an approved
+ * draft (CloudflareEmailHandler.stageReply / sendApprovedReply).
+ *
+ * A reply always answers one inbound review-queue item. The queue item
+ * carries the Message-ID, In-Reply-To and References that extractEmailData
+ * read off the inbound message, so the reply threads correctly in the
+ * sender's client and joins the inbound's conversation in the thread store
+ * (src/email/threads.js).
+ *
+ * Policy:
+ *   - privileged mail (F-L10) is never replied to — not queued, not sent;
+ *   - case mail waits in the review queue as an `outbound` item until a human
+ *     approves it;
+ *   - anything else is sent as soon as the draft is submitted.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { createMimeMessage } from 'mimetext';
+import { CASE_BY_SLUG, EMAIL_ALIAS_TO_CASE } from '../config/case-registry.js';
+import { findEntity } from '../config/routing-profile.js';
+import { extractAddress, extractAddresses, isPrivileged } from '../config/privilege-gate.js';
+import { parseMessageIds } from './threads.js';
+
+/** ResponseAgent — source of drafts, told when one has been sent. */
+export const RESPONSE_AGENT_BINDING = 'RESPONSE_AGENT';
+
+/** Review-queue `kind` for a reply awaiting approval. */
+export const OUTBOUND_QUEUE_KIND = 'outbound';
+
+/**
+ * @typedef {Object} ReplySpec
+ * @property {{ addr: string, name?: string }} from
+ * @property {string} fromSource        - 'case' | 'entity' | 'recipient' | 'default'
+ * @property {string} to                - bare recipient address
+ * @property {string} subject
+ * @property {string} text              - plain-text body
+ * @property {string} messageId         - `<...>`, fixed before approval so a retry reuses it
+ * @property {string} inReplyTo         - `<...>` or ''
+ * @property {string} references        - space-separated `<...>` list or ''
+ */
+
+/**
+ * In-Reply-To and References for a reply to `inbound` (RFC 5322 §3.6.4): the
+ * parent's References (or, failing that, its In-Reply-To) followed by the
+ * parent's own Message-ID.
+ *
+ * @param {{ messageId?: string, references?: string, inReplyTo?: string }} inbound
+ * @returns {{ inReplyTo: string, references: string }}
+ */
+export function threadHeaders(inbound) {
+  const [parent] = parseMessageIds(inbound?.messageId);
+  const ancestors = parseMessageIds(inbound?.references);
+  const chain = ancestors.length ? ancestors : parseMessageIds(inbound?.inReplyTo).slice(0, 1);
+  const references = parent && !chain.includes(parent) ? [...chain, parent] : chain;
+  return { inReplyTo: parent || '', references: references.join(' ') };
+}
+
+/** "Re: " once, however many the inbound subject already carries. */
+export function replySubject(subject) {
+  const base = String(subject || '').trim();
+  if (!base) return 'Re: (No subject)';
+  return /^re:/i.test(base) ? base : `Re: ${base}`;
+}
+
+/**
+ * True when the reply touches case mail and so needs human approval: the
+ * classification names a case or flags it case-relevant, or the inbound was
+ * addressed to a case alias.
+ *
+ * @param {{ category?: string, caseRelevant?: boolean, caseSlug?: string|null }} classification
+ * @param {string} inboundTo
+ */
+export function isCaseMail(classification, inboundTo) {
+  if (classification?.caseSlug || classification?.caseRelevant === true) return true;
+  if (classification?.category === 'case') return true;
+  return extractAddresses(inboundTo).some((addr) => Object.hasOwn(EMAIL_ALIAS_TO_CASE, addr));
+}
+
+/**
+ * True when a reply must not be sent: the inbound was handled metadata-only,
+ * the privilege gate flags it now (the allowlist may have grown since), or
+ * the reply would go to a privileged sender domain.
+ *
+ * @param {{ from?: string, to?: string }} inboundEmail
+ * @param {boolean} metadataOnly - the queue item's recorded F-L10 flag
+ * @param {string} recipient
+ * @param {any} env
+ */
+export function replySuppressed(inboundEmail, metadataOnly, recipient, env) {
+  if (metadataOnly === true) return true;
+  if (isPrivileged(inboundEmail?.from || '', inboundEmail?.to || '', env)) return true;
+  return isPrivileged(recipient || '', '', env);
+}
+
+/**
+ * Pick the address a reply is sent from:
+ *
+ *   1. case     — the case's first registry alias (case mail)
+ *   2. entity   — the profile entity's `replyFrom`
+ *   3. recipient — the first inbound recipient we route for
+ *   4. default  — env.OUTBOUND_DEFAULT_FROM
+ *
+ * @param {{ caseSlug?: string|null, entity?: string|null }} classification
+ * @param {string} inboundTo
+ * @param {{ profile: import('../config/routing-profile.js').RoutingProfile, routes: object, env: any }} ctx
+ * @returns {{ addr: string, name?: string, source: string } | null}
+ */
+export function selectFromAlias(classification, inboundTo, { profile, routes, env }) {
+  const caseEntry = classification?.caseSlug && Object.hasOwn(CASE_BY_SLUG, classification.caseSlug)
+    ? CASE_BY_SLUG[classification.caseSlug]
+    : null;
+  if (caseEntry?.status === 'active' && caseEntry.emailAliases?.length) {
+    return { addr: caseEntry.emailAliases[0].toLowerCase(), name: caseEntry.displayName, source: 'case' };
+  }
+
+  const entity = classification?.entity ? findEntity(profile, classification.entity) : null;
+  if (entity?.replyFrom) {
+    return { addr: entity.replyFrom.toLowerCase(), name: entity.displayName, source: 'entity' };
+  }
+
+  const recipient = extractAddresses(inboundTo).find((addr) => routes && Object.hasOwn(routes, addr));
+  if (recipient) return { addr: recipient, source: 'recipient' };
+
+  const fallback = extractAddress(env?.OUTBOUND_DEFAULT_FROM || '');
+  return fallback ? { addr: fallback, source: 'default' } : null;
+}
+
+/** A fresh `<uuid@domain>` Message-ID on the sending domain. */
+export function newMessageId(fromAddr) {
+  const domain = String(fromAddr || '').split('@')[1] || 'chitty.cc';
+  return `<${crypto.randomUUID()}@${domain}>`;
+}
+
+/**
+ * RFC 5322 text for a reply.
+ * @param {ReplySpec} reply
+ * @returns {string}
+ */
+export function buildReplyMime(reply) {
+  const msg = createMimeMessage();
+  msg.setSender(reply.from.name ? { name: reply.from.name, addr: reply.from.addr } : reply.from.addr);
+  msg.setRecipient(reply.to);
+  msg.setSubject(reply.subject);
+  msg.setHeader('Message-ID', reply.messageId);
+  if (reply.inReplyTo) msg.setHeader('In-Reply-To', reply.inReplyTo);
+  if (reply.references) msg.setHeader('References', reply.references);
+  msg.addMessage({ contentType: 'text/plain', data: reply.text });
+  return msg.asRaw();
+}
+
+/**
+ * Send a reply through the EMAIL_SENDER (send_email) binding.
+ * @param {any} env
+ * @param {ReplySpec} reply
+ */
+export async function deliverReply(env, reply) {
+  if (!env?.EMAIL_SENDER) throw new Error('EMAIL_SENDER binding not configured');
+  const { EmailMessage } = await import('cloudflare:email');
+  await env.EMAIL_SENDER.send(new EmailMessage(reply.from.addr, reply.to, buildReplyMime(reply)));
+}
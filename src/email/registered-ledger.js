@@ -0,0 +1,310 @@
+/**
+ * Registered-mail ledger — shared contract between NotificationAgent (which
+ * owns the ledger table and polls RPost) and the worker routes.
+ *
+ * Every registered email NotificationAgent sends gets one ledger entry keyed
+ * by its idempotencyKey (the RPost CustomerTrackingId). A poller advances the
+ * entry through the delivery states
+ *
+ *   sent → delivered → opened → signed      (failed: every recipient bounced)
+ *
+ * from RPost MessageStatus, never moving backwards. Once the Registered
+ * Receipt® is available (about two hours after the first delivery event) it
+ * is stored in R2 and ingested into EvidenceAgent as a communication exhibit,
+ * whose ingest opens its chain of custody. Polling stops once the receipt is
+ * archived and the state is final — signed or failed, or opened when no
+ * signature was requested — or when RPost stops keeping the receipt
+ * (TRACKING_WINDOW_MS).
+ *
+ * Sends tied to a case slug are also written to the thread store as outbound
+ * messages, so they appear on that case's timeline.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { callAgent } from '../utils/agent-client.js';
+import { instanceName, isShardingEnabled, registerShard, resolveShard } from '../utils/agent-shards.js';
+import { subjectKey } from './threads.js';
+
+export const REGISTERED_STATES = ['sent', 'delivered', 'opened', 'signed', 'failed'];
+export const LEDGER_TRACKING = ['active', 'complete', 'expired'];
+
+const STATE_RANK = { sent: 0, delivered: 1, opened: 2, signed: 3 };
+
+// RPost produces the receipt about two hours after sending and keeps it 30 days.
+export const RECEIPT_READY_MS = 2 * 60 * 60 * 1000;
+export const TRACKING_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+export const RECEIPT_PREFIX = 'registered-receipts';
+export const LEDGER_PAGE_DEFAULT = 50;
+export const LEDGER_PAGE_MAX = 200;
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Delivery state named by one RPost status string ('Delivered to Mailbox',
+ * 'All Delivered', 'Opened', 'Signed', 'Bounced', ...). Unrecognized text
+ * counts as sent.
+ */
+export function deliveryStateOf(text) {
+  const s = String(text || '').toLowerCase();
+  if (/undeliver|not delivered|fail|bounce|reject|refused|blocked/.test(s)) return 'failed';
+  if (/sign/.test(s) && !/unsigned|not signed/.test(s)) return 'signed';
+  if (/open|read|viewed/.test(s) && !/unopened|not opened/.test(s)) return 'opened';
+  if (/deliver|relay/.test(s)) return 'delivered';
+  return 'sent';
+}
+
+function recipientState(recipient) {
+  const states = ['DeliveryStatus', 'Status', 'OpenStatus', 'SignStatus', 'ESignStatus']
+    .map((field) => recipient?.[field])
+    .filter(Boolean)
+    .map(deliveryStateOf);
+  if (states.includes('failed')) return 'failed';
+  return states.reduce((best, s) => (STATE_RANK[s] > STATE_RANK[best] ? s : best), 'sent');
+}
+
+/**
+ * The state a MessageStatus result shows. With per-recipient statuses, the
+ * message is only as far along as its slowest recipient that did not fail,
+ * and failed only when every recipient failed.
+ *
+ * @param {{ status?: string, recipients?: object[] }} result - getDeliveryStatus output
+ * @returns {{ state: string, recipients: Array<{ address: string|null, state: string }> }}
+ */
+export function observedDeliveryState({ status, recipients = [] } = {}) {
+  const perRecipient = recipients.map((r) => ({
+    address: r?.Address || r?.Email || r?.address || null,
+    state: recipientState(r),
+  }));
+  if (!perRecipient.length) return { state: deliveryStateOf(status), recipients: [] };
+
+  const live = perRecipient.filter((r) => r.state !== 'failed');
+  if (!live.length) return { state: 'failed', recipients: perRecipient };
+  const state = live.reduce((slowest, r) => (STATE_RANK[r.state] < STATE_RANK[slowest] ? r.state : slowest), 'signed');
+  return { state, recipients: perRecipient };
+}
+
+/**
+ * Next ledger state. States only move forward; failed is reachable until the
+ * message has been opened, and final once reached.
+ */
+export function advanceDeliveryState(current, observed) {
+  if (current === 'failed' || !REGISTERED_STATES.includes(observed)) return current;
+  if (observed === 'failed') return STATE_RANK[current] >= STATE_RANK.opened ? current : 'failed';
+  return STATE_RANK[observed] > STATE_RANK[current] ? observed : current;
+}
+
+/** Whether the state will not change any more for this entry. */
+export function isFinalState(state, { expectsSignature = false } = {}) {
+  if (state === 'failed' || state === 'signed') return true;
+  return state === 'opened' && !expectsSignature;
+}
+
+/**
+ * Delay before the next status poll: every run for the first day, every
+ * six hours for the first week, then daily.
+ */
+export function nextPollDelayMs(ageMs) {
+  if (ageMs < 24 * HOUR) return 0;
+  if (ageMs < 7 * 24 * HOUR) return 6 * HOUR;
+  return 24 * HOUR;
+}
+
+/** Whether the Registered Receipt should be fetched on this poll. */
+export function receiptDue(entry, now = Date.now()) {
+  if (entry.receipt || entry.state === 'sent') return false;
+  return now - Date.parse(entry.sentAt) >= RECEIPT_READY_MS;
+}
+
+const safeId = (value) => String(value).replace(/[^A-Za-z0-9._-]/g, '_');
+
+/** R2 key for an entry's receipt, under its case (or `unassigned`). */
+export function receiptObjectKey(entry, now = Date.now()) {
+  const date = new Date(now).toISOString().split('T')[0];
+  return `${RECEIPT_PREFIX}/${safeId(entry.caseSlug || 'unassigned')}/${date}/${safeId(entry.externalId || entry.idempotencyKey)}.zip`;
+}
+
+/** Exhibit id of an entry's receipt in EvidenceAgent. */
+export function receiptExhibitId(entry) {
+  return `RR-${safeId(entry.externalId || entry.idempotencyKey)}`;
+}
+
+/**
+ * Thread-store message for a registered send, so it shows on its case
+ * timeline (src/email/threads.js ThreadMessage).
+ */
+export function registeredThreadMessage(entry) {
+  return {
+    messageId: `<registered.${safeId(entry.externalId || entry.idempotencyKey)}@rpost.chittyrouter>`,
+    direction: 'outbound',
+    at: entry.sentAt,
+    from: entry.from || '',
+    to: entry.to,
+    subject: entry.subject,
+    subjectKey: subjectKey(entry.subject),
+    summary: '',
+    inReplyTo: '',
+    references: [],
+    category: 'registered_mail',
+    urgency: null,
+    reasons: ['registered_delivery'],
+    caseSlug: entry.caseSlug,
+    entity: null,
+    aiClassified: false,
+    decision: {
+      type: 'registered',
+      provider: entry.provider,
+      externalId: entry.externalId,
+      idempotencyKey: entry.idempotencyKey,
+    },
+    attachments: [],
+    attachmentCount: entry.attachmentCount || 0,
+    queueId: null,
+    metadataOnly: false,
+  };
+}
+
+async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Fetch an entry's Registered Receipt, store it in DOCUMENT_STORAGE and
+ * ingest it into EvidenceAgent (the case's shard when sharding is on). An
+ * exhibit that already exists counts as ingested, so a retried archive does
+ * not fail on its own earlier half. Throws on any failure.
+ *
+ * @returns {Promise<{ r2Path: string, sha256: string, size: number, exhibitId: string,
+ *   shard: string|null, archivedAt: string }>}
+ */
+export async function archiveRegisteredReceipt(env, entry, provider, { now = Date.now() } = {}) {
+  if (!env.DOCUMENT_STORAGE) throw new Error('DOCUMENT_STORAGE not bound');
+  const receipt = await provider.getRegisteredReceipt({ accountId: entry.accountId, externalId: entry.externalId });
+  const sha256 = await sha256Hex(receipt.body);
+  const r2Path = receiptObjectKey(entry, now);
+  const archivedAt = new Date(now).toISOString();
+
+  await env.DOCUMENT_STORAGE.put(r2Path, receipt.body, {
+    httpMetadata: { contentType: receipt.contentType },
+    customMetadata: {
+      provider: entry.provider,
+      externalId: entry.externalId,
+      idempotencyKey: entry.idempotencyKey,
+      recipient: entry.to,
+      caseSlug: entry.caseSlug || '',
+      deliveryState: entry.state,
+      sha256,
+      archivedAt,
+    },
+  });
+
+  const exhibitId = receiptExhibitId(entry);
+  const shard = isShardingEnabled(env) ? resolveShard({ caseSlug: entry.caseSlug, org: entry.org }) : null;
+  if (shard) await registerShard(env, 'EVIDENCE_AGENT', shard);
+  const res = await callAgent(env, 'EVIDENCE_AGENT', '/ingest', {
+    method: 'POST',
+    room: shard ? instanceName('EVIDENCE_AGENT', shard) : undefined,
+    body: {
+      exhibit_id: exhibitId,
+      title: `Registered Receipt: ${entry.subject}`.slice(0, 200),
+      category: 'communication',
+      source: `${entry.provider}:registered_receipt`,
+      case_id: entry.caseSlug || null,
+      org: entry.org || null,
+      sha256,
+      r2_path: r2Path,
+      metadata: {
+        idempotencyKey: entry.idempotencyKey,
+        externalId: entry.externalId,
+        recipient: entry.to,
+        sentAt: entry.sentAt,
+        deliveryState: entry.state,
+      },
+    },
+  });
+  if (!res) throw new Error('EVIDENCE_AGENT not bound');
+  if (res.status >= 400 && res.status !== 409) {
+    throw new Error(`evidence ingest returned ${res.status}: ${res.data?.error || 'unknown error'}`);
+  }
+
+  return { r2Path, sha256, size: receipt.body.byteLength, exhibitId, shard, archivedAt };
+}
+
+/**
+ * One poll of a ledger entry: read its delivery status, advance the state,
+ * archive the receipt when it is due, and decide whether to keep polling.
+ * Never throws — a failed step is kept in `lastError` and retried next poll.
+ *
+ * @param {object} env
+ * @param {object} entry - ledger entry (NotificationAgent rowToLedgerEntry)
+ * @param {object} provider - RPostRegisteredDeliveryProvider
+ * @returns {Promise<{ entry: object, advanced: boolean, archived: boolean }>}
+ *   the updated entry
+ */
+export async function pollRegisteredEntry(env, entry, provider, { now = Date.now() } = {}) {
+  const at = new Date(now).toISOString();
+  const next = { ...entry, polls: (entry.polls || 0) + 1, lastPolledAt: at, lastError: null };
+  const errors = [];
+  let advanced = false;
+  let archived = false;
+
+  try {
+    const status = await provider.getDeliveryStatus({ accountId: entry.accountId, externalId: entry.externalId });
+    const observed = observedDeliveryState(status);
+    const state = advanceDeliveryState(entry.state, observed.state);
+    next.recipients = observed.recipients;
+    next.providerStatus = status.status ?? null;
+    if (state !== entry.state) {
+      next.state = state;
+      next.events = [...(entry.events || []), { state, at, providerStatus: next.providerStatus }];
+      advanced = true;
+    }
+  } catch (err) {
+    errors.push(`status: ${err.message}`);
+  }
+
+  if (receiptDue(next, now)) {
+    try {
+      next.receipt = await archiveRegisteredReceipt(env, next, provider, { now });
+      archived = true;
+    } catch (err) {
+      errors.push(`receipt: ${err.message}`);
+    }
+  }
+
+  const age = now - Date.parse(entry.sentAt);
+  if (next.receipt && isFinalState(next.state, next)) {
+    next.tracking = 'complete';
+    next.nextPollAt = null;
+  } else if (age >= TRACKING_WINDOW_MS) {
+    next.tracking = 'expired';
+    next.nextPollAt = null;
+  } else {
+    next.nextPollAt = new Date(now + nextPollDelayMs(age)).toISOString();
+  }
+  if (errors.length) next.lastError = errors.join('; ');
+
+  return { entry: next, advanced, archived };
+}
+
+/**
+ * Normalize ledger list filters from query params.
+ *
+ * @returns {{ filters: { state: string|null, tracking: string|null, caseSlug: string|null, limit: number }, errors: string[] }}
+ */
+export function parseLedgerFilters(searchParams) {
+  const errors = [];
+  const state = searchParams?.get('state') || null;
+  const tracking = searchParams?.get('tracking') || null;
+  if (state && !REGISTERED_STATES.includes(state)) errors.push(`state must be one of ${REGISTERED_STATES.join(', ')}`);
+  if (tracking && !LEDGER_TRACKING.includes(tracking)) errors.push(`tracking must be one of ${LEDGER_TRACKING.join(', ')}`);
+  let limit = LEDGER_PAGE_DEFAULT;
+  const rawLimit = searchParams?.get('limit');
+  if (rawLimit) {
+    limit = Number.parseInt(rawLimit, 10);
+    if (!(limit >= 1 && limit <= LEDGER_PAGE_MAX)) errors.push(`limit must be 1-${LEDGER_PAGE_MAX}`);
+  }
+  return { filters: { state, tracking, caseSlug: searchParams?.get('case') || null, limit }, errors };
+}
@@ -0,0 +1,234 @@
+/**
+ * Routing Replay — re-run triage and routing over mail we already processed
+ * and report what would change.
+ *
+ * Prompt edits, ruleBasedTriage patterns, the case registry, the routing
+ * profile and routing rules all change how mail is classified and where it
+ * goes, and none of them can be checked against real traffic before deploy.
+ * Replay takes stored review-queue items and routing receipts, rebuilds the
+ * message from what was persisted, and runs it back through
+ * CloudflareEmailHandler.replayRecords (privilege gate, privileged /
+ * rule-based / AI triage, planRoute, storage path) with a stubbed AI binding.
+ * The diff covers category, urgency, destination and storage path.
+ *
+ * Fidelity is bounded by what was stored: queue items keep a 500-char body
+ * preview, receipts keep no body, and neither keeps raw headers. Privileged
+ * (metadata-only) records were persisted without subject, body or attachment
+ * names; they replay through privilegedTriage only and their results never
+ * carry message content.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+export const REPLAY_SOURCES = ['queue', 'receipts'];
+export const REPLAY_FIELDS = ['category', 'urgency', 'destination', 'storagePath'];
+export const REPLAY_LIMIT_MAX = 200;
+
+const REDACTED_SUBJECT = '[REDACTED — privileged_legal]';
+
+/**
+ * @typedef {Object} ReplayRecord
+ * @property {'queue'|'receipt'|'fixture'} source
+ * @property {string} id
+ * @property {string} receivedAt
+ * @property {boolean} metadataOnly - persisted redacted; replay never sees content
+ * @property {{ from: string, to: string, cc?: string, subject: string, content: string, attachmentNames: string[], attachmentTypes: string[] }} email
+ * @property {{ category: string, urgency: string, caseRelevant?: boolean, caseSlug?: string|null, entity?: string|null, reasons?: string[], summary?: string, aiClassified?: boolean, destination?: string|null, storagePath?: string|null }} recorded
+ *   destination / storagePath are `undefined` when the record predates them
+ * @property {string|null} reviewedCategory - reviewer's final category, if any
+ */
+
+/**
+ * Base path an attachment was stored under: keys are
+ * `${basePath}/${date}/${emailSlug}/${filename}`.
+ * @param {string} key
+ * @returns {string|null}
+ */
+export function storageBase(key) {
+  const parts = String(key || '').split('/');
+  return parts.length > 3 ? parts.slice(0, -3).join('/') : null;
+}
+
+/**
+ * Comparable destination string for a route decision:
+ * `forward:a@x,b@y`, `reject`, `store-only`.
+ * @param {{ type: string, to?: string[] } | null | undefined} decision
+ * @returns {string|undefined}
+ */
+export function describeDestination(decision) {
+  if (!decision) return undefined;
+  if (decision.type === 'forward' || decision.type === 'multi-forward') {
+    return `forward:${(decision.to || []).map((a) => String(a).toLowerCase()).join(',')}`;
+  }
+  return decision.type;
+}
+
+function recordedStoragePath(paths, metadataOnly) {
+  const base = paths.map(storageBase).find(Boolean);
+  if (base) return base;
+  // Privileged mail is never stored, so "no path" is a known outcome; for
+  // anything else an empty list says nothing (no attachments, or a failure).
+  return metadataOnly ? null : undefined;
+}
+
+/**
+ * Replay record from a review-queue item (ReviewQueueAgent shape).
+ * @returns {ReplayRecord}
+ */
+export function recordFromQueueItem(item) {
+  const email = item.email || {};
+  const ai = item.aiClassification || {};
+  const metadataOnly = item.metadataOnly === true;
+  return {
+    source: 'queue',
+    id: item.id,
+    receivedAt: item.receivedAt,
+    metadataOnly,
+    email: {
+      from: email.from || '',
+      to: email.to || '',
+      cc: email.cc || '',
+      subject: email.subject || '',
+      content: metadataOnly ? '' : (email.bodyPreview || ''),
+      attachmentNames: metadataOnly ? [] : (email.attachments || []),
+      attachmentTypes: [],
+    },
+    recorded: {
+      category: ai.category,
+      urgency: ai.urgency,
+      caseRelevant: ai.caseRelevant,
+      caseSlug: ai.caseSlug ?? null,
+      entity: ai.entity ?? null,
+      reasons: ai.reasons || [],
+      summary: ai.summary || '',
+      aiClassified: ai.aiClassified === true,
+      destination: describeDestination(item.routing?.decision),
+      storagePath: recordedStoragePath(item.storedPaths || [], metadataOnly),
+    },
+    reviewedCategory: item.finalClassification?.category ?? null,
+  };
+}
+
+/**
+ * Replay record from a routing receipt (sendRoutingConfirmation shape).
+ * Receipts carry no metadataOnly flag; the redacted subject and the
+ * privileged_legal triage reason both mark one.
+ * @returns {ReplayRecord}
+ */
+export function recordFromReceipt(receipt) {
+  const c = receipt.classification || {};
+  const metadataOnly = receipt.subject === REDACTED_SUBJECT
+    || (c.reasons || []).includes('privileged_legal');
+  const attachments = receipt.attachments || [];
+  return {
+    source: 'receipt',
+    id: receipt.id,
+    receivedAt: receipt.receivedAt,
+    metadataOnly,
+    email: {
+      from: receipt.from || '',
+      to: receipt.to || '',
+      cc: '',
+      subject: metadataOnly ? '' : (receipt.subject || ''),
+      content: '',
+      attachmentNames: metadataOnly ? [] : attachments.map((a) => a.filename),
+      attachmentTypes: metadataOnly ? [] : attachments.map((a) => a.contentType).filter(Boolean),
+    },
+    recorded: {
+      category: c.category,
+      urgency: c.urgency,
+      caseRelevant: c.caseRelevant,
+      caseSlug: c.caseSlug ?? null,
+      entity: c.entity ?? null,
+      reasons: c.reasons || [],
+      summary: c.summary || '',
+      aiClassified: c.aiClassified === true,
+      destination: describeDestination(receipt.routing?.decision),
+      storagePath: recordedStoragePath(attachments.map((a) => a.path), metadataOnly),
+    },
+    reviewedCategory: null,
+  };
+}
+
+/**
+ * Default AI responder: give back the model's recorded answer, so a replay
+ * isolates changes downstream of the model (profile validation, rules,
+ * registry, storage templates). Records the rule-based path classified get
+ * an empty response, which sends triageEmail down the same fallback.
+ *
+ * @param {ReplayRecord} record
+ * @returns {object|null}
+ */
+export function recordedAIResponse(record) {
+  const r = record?.recorded;
+  if (!r?.aiClassified) return null;
+  return {
+    category: r.category,
+    urgency: r.urgency,
+    reasons: r.reasons,
+    case_relevant: r.caseRelevant ?? false,
+    case_slug: r.caseSlug ?? null,
+    entity: r.entity ?? null,
+    action_needed: false,
+    summary: r.summary || '',
+  };
+}
+
+/**
+ * Stand-in for env.AI during a replay. `respond(record, prompt)` returns the
+ * classification the model should give (object or raw text), or null for an
+ * unusable answer. The live binding is never called.
+ *
+ * @param {(record: ReplayRecord, prompt: string) => any} [respond]
+ */
+export function createReplayAI(respond = recordedAIResponse) {
+  const ai = {
+    record: null,
+    prompts: [],
+    async run(model, input) {
+      // The triage prompt is the first user turn; a registry system prompt
+      // may precede it and schema-repair turns follow it.
+      const prompt = input?.messages?.find((m) => m.role === 'user')?.content ?? '';
+      ai.prompts.push(prompt);
+      const answer = await respond(ai.record, prompt);
+      if (answer === null || answer === undefined) return { response: '' };
+      return { response: typeof answer === 'string' ? answer : JSON.stringify(answer) };
+    },
+  };
+  return ai;
+}
+
+/**
+ * Fields whose replayed value differs from the recorded one. A field the
+ * record has no value for (`undefined`) is not compared, and neither is
+ * urgency on metadata-only records: privilegedTriage scored the real subject,
+ * which was never persisted.
+ * @returns {string[]}
+ */
+export function diffOutcome(recorded, replayed, { metadataOnly = false } = {}) {
+  return REPLAY_FIELDS.filter((field) => recorded[field] !== undefined
+    && !(metadataOnly && field === 'urgency')
+    && (recorded[field] ?? null) !== (replayed[field] ?? null));
+}
+
+/**
+ * Roll per-record results into a report.
+ * @param {object[]} results
+ * @param {{ changedOnly?: boolean }} [opts]
+ */
+export function summarizeReplay(results, { changedOnly = false } = {}) {
+  const byField = Object.fromEntries(REPLAY_FIELDS.map((f) => [f, 0]));
+  for (const r of results) for (const f of r.changed) byField[f]++;
+  const reviewed = results.filter((r) => r.reviewedCategory);
+  return {
+    evaluated: results.length,
+    changed: results.filter((r) => r.changed.length).length,
+    byField,
+    review: {
+      reviewed: reviewed.length,
+      agreedBefore: reviewed.filter((r) => r.recorded.category === r.reviewedCategory).length,
+      agreedAfter: reviewed.filter((r) => r.replayed.category === r.reviewedCategory).length,
+    },
+    results: changedOnly ? results.filter((r) => r.changed.length) : results,
+  };
+}
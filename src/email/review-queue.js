@@ -0,0 +1,242 @@
+/**
+ * Review Queue — shared contract between CloudflareEmailHandler (client) and
+ * ReviewQueueAgent (the SQLite-backed Durable Object that owns the queue).
+ *
+ * The queue used to be one JSON array under KV `email_queue_index`, rewritten
+ * on every delivery: concurrent deliveries lost updates and the list capped at
+ * 500 entries. It now lives in a single ReviewQueueAgent instance, which
+ * serializes writes and indexes the columns the review UI filters on.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { callAgent } from '../utils/agent-client.js';
+
+export const REVIEW_QUEUE_BINDING = 'REVIEW_QUEUE_AGENT';
+
+export const QUEUE_STATUSES = ['pending', 'approved', 'corrected', 'auto_approved', 'rejected'];
+export const QUEUE_URGENCIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+// `inbound` items are received mail awaiting classification review;
+// `outbound` items are replies awaiting send approval (src/email/outbound.js).
+export const QUEUE_KINDS = ['inbound', 'outbound'];
+
+/** Review statuses each kind accepts. */
+export const REVIEW_STATUSES_BY_KIND = {
+  inbound: ['approved', 'corrected', 'auto_approved'],
+  outbound: ['approved', 'rejected'],
+};
+
+export const QUEUE_PAGE_DEFAULT = 50;
+export const QUEUE_PAGE_MAX = 200;
+
+// Pre-DO KV keys, read once by the lazy legacy import and then deleted.
+export const LEGACY_QUEUE_INDEX_KEY = 'email_queue_index';
+export const legacyQueueItemKey = (id) => `email_queue_${id}`;
+
+/**
+ * Lower-cased bare address from a From value ("Name <a@b>" → "a@b").
+ * @param {string} from
+ * @returns {string}
+ */
+export function senderAddress(from) {
+  const raw = String(from || '');
+  const angle = raw.match(/<([^>]+)>/);
+  return (angle ? angle[1] : raw).trim().toLowerCase();
+}
+
+function listParam(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const parts = Array.isArray(value) ? value : String(value).split(',');
+  return parts.map((v) => String(v).trim()).filter(Boolean);
+}
+
+function readParam(input, key) {
+  if (!input) return undefined;
+  if (typeof input.get === 'function') return input.get(key) ?? undefined;
+  return input[key];
+}
+
+/**
+ * Validate and normalize queue filters from URLSearchParams or a plain object.
+ *
+ *   status    comma list of QUEUE_STATUSES
+ *   kind      comma list of QUEUE_KINDS
+ *   urgency   comma list of QUEUE_URGENCIES (case-insensitive)
+ *   category  comma list of categories (effective category: final, else AI)
+ *   sender    exact address, or "@domain" for every sender at a domain
+ *   since     ISO date — receivedAt >= since
+ *   until     ISO date — receivedAt <  until
+ *   limit     page size, 1..QUEUE_PAGE_MAX
+ *   cursor    opaque nextCursor from a previous page
+ *
+ * @returns {{ filters: object, errors: string[] }}
+ */
+export function parseQueueFilters(input) {
+  const errors = [];
+  const filters = {};
+
+  const status = listParam(readParam(input, 'status'));
+  const badStatus = status.filter((s) => !QUEUE_STATUSES.includes(s));
+  if (badStatus.length) errors.push(`unknown status: ${badStatus.join(', ')}`);
+  if (status.length) filters.status = status;
+
+  const kind = listParam(readParam(input, 'kind'));
+  const badKind = kind.filter((k) => !QUEUE_KINDS.includes(k));
+  if (badKind.length) errors.push(`unknown kind: ${badKind.join(', ')}`);
+  if (kind.length) filters.kind = kind;
+
+  const urgency = listParam(readParam(input, 'urgency')).map((u) => u.toUpperCase());
+  const badUrgency = urgency.filter((u) => !QUEUE_URGENCIES.includes(u));
+  if (badUrgency.length) errors.push(`unknown urgency: ${badUrgency.join(', ')}`);
+  if (urgency.length) filters.urgency = urgency;
+
+  const category = listParam(readParam(input, 'category')).map((c) => c.toLowerCase());
+  if (category.length) filters.category = category;
+
+  const sender = readParam(input, 'sender');
+  if (sender) filters.sender = senderAddress(sender);
+
+  for (const key of ['since', 'until']) {
+    const value = readParam(input, key);
+    if (!value) continue;
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) errors.push(`${key} must be an ISO date`);
+    else filters[key] = new Date(ms).toISOString();
+  }
+
+  const rawLimit = readParam(input, 'limit');
+  if (rawLimit !== undefined && rawLimit !== null && rawLimit !== '') {
+    const limit = Number.parseInt(rawLimit, 10);
+    if (!Number.isInteger(limit) || limit < 1) errors.push('limit must be a positive integer');
+    else filters.limit = Math.min(limit, QUEUE_PAGE_MAX);
+  }
+
+  const cursor = readParam(input, 'cursor');
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) errors.push('cursor is invalid');
+    else filters.cursor = decoded;
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Keyset cursor over (received_at DESC, id DESC). Opaque base64url JSON.
+ * @param {{ receivedAt: string, id: string }} position
+ */
+export function encodeCursor({ receivedAt, id }) {
+  const json = JSON.stringify([receivedAt, id]);
+  return btoa(json).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @returns {{ receivedAt: string, id: string } | null}
+ */
+export function decodeCursor(cursor) {
+  try {
+    const b64 = String(cursor).replace(/-/g, '+').replace(/_/g, '/');
+    const [receivedAt, id] = JSON.parse(atob(b64));
+    if (typeof receivedAt !== 'string' || typeof id !== 'string') return null;
+    return { receivedAt, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the parameterized SELECT for a filtered page. Fetches limit + 1 rows
+ * so the caller can tell whether another page exists.
+ * @returns {{ sql: string, params: Array<string|number>, limit: number }}
+ */
+export function buildQueueQuery(filters = {}) {
+  const where = [];
+  const params = [];
+  const inList = (column, values) => {
+    where.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+    params.push(...values);
+  };
+
+  if (filters.status?.length) inList('status', filters.status);
+  if (filters.kind?.length) inList('kind', filters.kind);
+  if (filters.urgency?.length) inList('urgency', filters.urgency);
+  if (filters.category?.length) inList('category', filters.category);
+  if (filters.sender) {
+    if (filters.sender.startsWith('@')) {
+      where.push('sender_domain = ?');
+      params.push(filters.sender.slice(1));
+    } else {
+      where.push('sender = ?');
+      params.push(filters.sender);
+    }
+  }
+  if (filters.since) {
+    where.push('received_at >= ?');
+    params.push(filters.since);
+  }
+  if (filters.until) {
+    where.push('received_at < ?');
+    params.push(filters.until);
+  }
+  if (filters.cursor) {
+    where.push('(received_at < ? OR (received_at = ? AND id < ?))');
+    params.push(filters.cursor.receivedAt, filters.cursor.receivedAt, filters.cursor.id);
+  }
+
+  const limit = Math.min(filters.limit || QUEUE_PAGE_DEFAULT, QUEUE_PAGE_MAX);
+  const sql = `SELECT id, version, payload FROM queue_items${where.length ? ` WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY received_at DESC, id DESC LIMIT ?`;
+  params.push(limit + 1);
+  return { sql, params, limit };
+}
+
+/** Items enqueued before kinds existed are inbound. */
+export function queueItemKind(item) {
+  return QUEUE_KINDS.includes(item?.kind) ? item.kind : 'inbound';
+}
+
+/**
+ * Indexed column values for a queue item. Category and urgency follow the
+ * reviewer's final classification once there is one.
+ */
+export function queueItemColumns(item) {
+  const sender = senderAddress(item.email?.from);
+  const final = item.finalClassification || {};
+  const ai = item.aiClassification || {};
+  return {
+    id: item.id,
+    status: item.status,
+    kind: queueItemKind(item),
+    urgency: String(final.urgency || ai.urgency || '').toUpperCase() || null,
+    category: String(final.category || ai.category || '').toLowerCase() || null,
+    sender,
+    sender_domain: sender.includes('@') ? sender.split('@').pop() : null,
+    received_at: item.receivedAt,
+  };
+}
+
+/**
+ * Call the ReviewQueueAgent — a single named instance.
+ *
+ * @returns {Promise<{ status: number, data: any } | null>} null when the
+ *   binding is not configured
+ */
+export function callReviewQueue(env, path, opts) {
+  return callAgent(env, REVIEW_QUEUE_BINDING, path, opts);
+}
+
+/**
+ * Serialize normalized filters back into query params for the agent.
+ */
+export function filtersToSearch(filters = {}) {
+  const params = new URLSearchParams();
+  for (const key of ['status', 'kind', 'urgency', 'category']) {
+    if (filters[key]?.length) params.set(key, filters[key].join(','));
+  }
+  for (const key of ['sender', 'since', 'until', 'limit']) {
+    if (filters[key]) params.set(key, String(filters[key]));
+  }
+  if (filters.cursor) params.set('cursor', encodeCursor(filters.cursor));
+  return params.toString();
+}
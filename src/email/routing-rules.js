@@ -0,0 +1,412 @@
+/**
+ * Declarative Routing Rules — ordered, versioned rules for inbound mail.
+ *
+ * Rules are stored in TriageAgent's `org_routing_rules` table and managed via
+ * the `/email/rules` routes. CloudflareEmailHandler loads them per isolate
+ * (60s TTL, last-good on failure) and evaluates them in planRoute, between
+ * the case-registry routes (legal attribution, never overridable) and the
+ * non-case address routes / alias overlay / default forward.
+ *
+ * Rule shape:
+ *   {
+ *     id, name, org,              // org '*' applies to every routing profile
+ *     priority,                   // higher runs first; ties by id
+ *     enabled, stop,              // stop: no further rules after a match
+ *     version,                    // bumped on every update
+ *     match: {                    // every present condition must hold
+ *       sender, recipient, subject,   // case-insensitive regex; sender is the bare address
+ *       headers: { name: regex },     // missing header never matches
+ *       category: [], urgency: [], entity: [],  // any-of
+ *       attachmentTypes: [],          // 'application/pdf', 'image/*'
+ *     },
+ *     actions: [
+ *       { type: 'forward', to: 'a@b' },
+ *       { type: 'multi-forward', to: ['a@b', 'c@d'] },
+ *       { type: 'reject', reason: '...' },
+ *       { type: 'tag', tags: ['vendor'] },
+ *       { type: 'store-only' },
+ *       { type: 'dispatch', agent: 'SECURITY_AGENT', path: '/ingest' },
+ *     ],
+ *   }
+ *
+ * forward / multi-forward / reject / store-only are dispositions: the first
+ * matching rule that sets one wins and later ones are recorded as shadowed.
+ * tag and dispatch accumulate across every matching rule.
+ *
+ * The explain trace names rules, the first failing condition and the actions
+ * taken — never header, subject or body values, so it is safe to persist for
+ * privileged mail.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { callAgent } from '../utils/agent-client.js';
+import { senderAddress } from './review-queue.js';
+
+export const RULES_AGENT_BINDING = 'TRIAGE_AGENT';
+
+export const RULE_ACTION_TYPES = ['forward', 'multi-forward', 'reject', 'tag', 'store-only', 'dispatch'];
+export const DISPOSITION_ACTIONS = new Set(['forward', 'multi-forward', 'reject', 'store-only']);
+
+// Agents a rule may dispatch to. Bindings outside this list are rejected at
+// validation time so a rule cannot reach the MCP gateway or legacy DOs.
+export const DISPATCHABLE_AGENTS = [
+  'TRIAGE_AGENT', 'PRIORITY_AGENT', 'RESPONSE_AGENT', 'DOCUMENT_AGENT',
+  'ENTITY_AGENT', 'EVIDENCE_AGENT', 'CALENDAR_AGENT', 'FINANCE_AGENT',
+  'NOTIFICATION_AGENT', 'INTELLIGENCE_AGENT', 'MESSAGING_AGENT', 'SECURITY_AGENT',
+];
+
+const REGEX_CONDITIONS = ['sender', 'recipient', 'subject'];
+const LIST_CONDITIONS = ['category', 'urgency', 'entity', 'attachmentTypes'];
+const MAX_PATTERN_LENGTH = 500;
+// Regexes only ever see this many characters of a field — bounds the cost of
+// a pathological tenant pattern.
+const MAX_MATCH_INPUT = 2000;
+const ADDRESS_RE = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+const CACHE_TTL_MS = 60 * 1000;
+const LOAD_TIMEOUT_MS = 1500;
+
+const EMPTY_RULESET = Object.freeze({ version: 0, rules: Object.freeze([]) });
+
+// Per-isolate cache: { at, value }
+let _cache = null;
+let _lastGood = null;
+
+/** Clear the per-isolate cache (tests, and after /email/rules writes). */
+export function _clearRoutingRulesCache() {
+  _cache = null;
+  _lastGood = null;
+}
+
+function compileRegex(source) {
+  return new RegExp(source, 'i');
+}
+
+/**
+ * Validate a rule document (create or update). Does not check id/version —
+ * those are assigned by the store.
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return { valid: false, errors: ['rule must be an object'] };
+  }
+  if (typeof rule.name !== 'string' || !rule.name.trim()) errors.push('name is required');
+  if (rule.priority !== undefined && !Number.isInteger(rule.priority)) errors.push('priority must be an integer');
+  if (rule.org !== undefined && (typeof rule.org !== 'string' || !rule.org)) errors.push('org must be a non-empty string');
+
+  const match = rule.match ?? {};
+  if (typeof match !== 'object' || Array.isArray(match)) {
+    errors.push('match must be an object');
+  } else {
+    for (const key of Object.keys(match)) {
+      if (![...REGEX_CONDITIONS, ...LIST_CONDITIONS, 'headers'].includes(key)) {
+        errors.push(`match.${key} is not a known condition`);
+      }
+    }
+    const patterns = REGEX_CONDITIONS
+      .filter((k) => match[k] !== undefined)
+      .map((k) => [`match.${k}`, match[k]]);
+    if (match.headers !== undefined) {
+      if (!match.headers || typeof match.headers !== 'object' || Array.isArray(match.headers)) {
+        errors.push('match.headers must be an object of header → regex');
+      } else {
+        for (const [name, pattern] of Object.entries(match.headers)) {
+          patterns.push([`match.headers.${name}`, pattern]);
+        }
+      }
+    }
+    for (const [label, pattern] of patterns) {
+      if (typeof pattern !== 'string' || !pattern) {
+        errors.push(`${label} must be a non-empty regex string`);
+      } else if (pattern.length > MAX_PATTERN_LENGTH) {
+        errors.push(`${label} is longer than ${MAX_PATTERN_LENGTH} characters`);
+      } else {
+        try {
+          compileRegex(pattern);
+        } catch (err) {
+          errors.push(`${label} is not a valid regex: ${err.message}`);
+        }
+      }
+    }
+    for (const key of LIST_CONDITIONS) {
+      if (match[key] === undefined) continue;
+      if (!Array.isArray(match[key]) || !match[key].length || match[key].some((v) => typeof v !== 'string' || !v)) {
+        errors.push(`match.${key} must be a non-empty array of strings`);
+      }
+    }
+  }
+
+  if (!Array.isArray(rule.actions) || !rule.actions.length) {
+    errors.push('actions must be a non-empty array');
+  } else {
+    const dispositions = rule.actions.filter((a) => DISPOSITION_ACTIONS.has(a?.type));
+    if (dispositions.length > 1) errors.push('a rule may have at most one forward/multi-forward/reject/store-only action');
+    rule.actions.forEach((action, i) => {
+      const label = `actions[${i}]`;
+      if (!RULE_ACTION_TYPES.includes(action?.type)) {
+        errors.push(`${label}.type must be one of ${RULE_ACTION_TYPES.join(', ')}`);
+        return;
+      }
+      switch (action.type) {
+        case 'forward':
+          if (!ADDRESS_RE.test(action.to || '')) errors.push(`${label}.to must be an email address`);
+          break;
+        case 'multi-forward':
+          if (!Array.isArray(action.to) || action.to.length < 2 || !action.to.every((a) => ADDRESS_RE.test(a))) {
+            errors.push(`${label}.to must be an array of at least two email addresses`);
+          }
+          break;
+        case 'reject':
+          if (typeof action.reason !== 'string' || !action.reason.trim()) errors.push(`${label}.reason is required`);
+          break;
+        case 'tag':
+          if (!Array.isArray(action.tags) || !action.tags.length || action.tags.some((t) => typeof t !== 'string' || !t)) {
+            errors.push(`${label}.tags must be a non-empty array of strings`);
+          }
+          break;
+        case 'dispatch':
+          if (!DISPATCHABLE_AGENTS.includes(action.agent)) {
+            errors.push(`${label}.agent must be one of ${DISPATCHABLE_AGENTS.join(', ')}`);
+          }
+          if (!/^\/[a-z0-9/_-]*$/i.test(action.path || '')) errors.push(`${label}.path must be an agent path like /ingest`);
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Canonical rule from a stored row. Rows written before the rules engine
+ * (conditions IS NULL) carry only `pattern` → `target_category`; they become
+ * a sender-or-subject match that tags the message `category:<target>`.
+ */
+export function ruleFromRow(row) {
+  const base = {
+    id: row.id,
+    org: row.org,
+    priority: row.priority ?? 0,
+    enabled: row.active === 1 || row.active === true,
+    version: row.version ?? 1,
+    updatedAt: row.updated_at ?? row.created_at ?? null,
+  };
+  if (row.conditions == null) {
+    return {
+      ...base,
+      name: row.name || `legacy: ${row.pattern} → ${row.target_category}`,
+      stop: false,
+      legacy: true,
+      match: { any: row.pattern },
+      actions: [{ type: 'tag', tags: [`category:${row.target_category}`] }],
+    };
+  }
+  return {
+    ...base,
+    name: row.name,
+    stop: row.stop === 1 || row.stop === true,
+    match: JSON.parse(row.conditions),
+    actions: JSON.parse(row.actions),
+  };
+}
+
+/**
+ * Sort enabled rules into evaluation order and precompile their regexes.
+ * Rules whose patterns no longer compile are kept but never match.
+ */
+export function compileRules(rules) {
+  return rules
+    .filter((r) => r.enabled !== false)
+    .slice()
+    .sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0) || (a.id ?? 0) - (b.id ?? 0))
+    .map((rule) => {
+      const regex = {};
+      let broken = null;
+      try {
+        for (const key of [...REGEX_CONDITIONS, 'any']) {
+          if (rule.match?.[key]) regex[key] = compileRegex(rule.match[key]);
+        }
+        for (const [name, pattern] of Object.entries(rule.match?.headers || {})) {
+          regex[`header:${name.toLowerCase()}`] = compileRegex(pattern);
+        }
+      } catch (err) {
+        broken = err.message;
+      }
+      return { rule, regex, broken };
+    });
+}
+
+/**
+ * Normalize what a rule can match on. `headers` may be a Headers-like object
+ * (`get`), the MIME parser's `{ name: string[] }` map, or a plain object.
+ */
+export function routingFacts({ emailData = {}, triage = {}, headers, attachmentTypes = [] }) {
+  let getHeader = () => null;
+  if (headers && typeof headers.get === 'function') {
+    getHeader = (name) => headers.get(name);
+  } else if (headers && typeof headers === 'object') {
+    getHeader = (name) => {
+      const v = headers[name.toLowerCase()];
+      return Array.isArray(v) ? v.join('\n') : (v ?? null);
+    };
+  }
+  return {
+    sender: senderAddress(emailData.from),
+    recipient: String(emailData.to || ''),
+    subject: String(emailData.subject || ''),
+    getHeader,
+    hasHeaders: Boolean(headers),
+    category: triage.category ?? null,
+    urgency: triage.urgencyLevel ?? null,
+    entity: triage.entity ?? null,
+    attachmentTypes: attachmentTypes.filter(Boolean).map((t) => String(t).toLowerCase()),
+  };
+}
+
+function typeMatches(pattern, type) {
+  const p = pattern.toLowerCase();
+  return p.endsWith('/*') ? type.startsWith(p.slice(0, -1)) : type === p;
+}
+
+/** First failing condition name, or null when the rule matches. */
+function firstFailure(compiled, facts) {
+  const { rule, regex, broken } = compiled;
+  if (broken) return 'invalid-pattern';
+  const test = (re, value) => re.test(String(value ?? '').slice(0, MAX_MATCH_INPUT));
+
+  for (const key of REGEX_CONDITIONS) {
+    if (regex[key] && !test(regex[key], facts[key])) return key;
+  }
+  if (regex.any && !test(regex.any, facts.sender) && !test(regex.any, facts.subject)) return 'pattern';
+  for (const name of Object.keys(rule.match?.headers || {})) {
+    const value = facts.getHeader(name);
+    if (value == null) return facts.hasHeaders ? `headers.${name}` : `headers.${name} (unavailable)`;
+    if (!test(regex[`header:${name.toLowerCase()}`], value)) return `headers.${name}`;
+  }
+  for (const key of ['category', 'urgency', 'entity']) {
+    const wanted = rule.match?.[key];
+    if (wanted && !wanted.some((w) => String(w).toLowerCase() === String(facts[key] ?? '').toLowerCase())) return key;
+  }
+  const types = rule.match?.attachmentTypes;
+  if (types && !facts.attachmentTypes.some((t) => types.some((p) => typeMatches(p, t)))) return 'attachmentTypes';
+  return null;
+}
+
+/**
+ * Evaluate a ruleset against message facts. Pure — no side effects.
+ *
+ * @param {object[]|ReturnType<typeof compileRules>} rules
+ * @param {ReturnType<typeof routingFacts>} facts
+ * @returns {{
+ *   disposition: null | { type: string, to?: string[], reason?: string, ruleId: any },
+ *   tags: string[],
+ *   dispatches: Array<{ agent: string, path: string, ruleId: any }>,
+ *   trace: Array<object>,
+ * }}
+ */
+export function evaluateRules(rules, facts) {
+  const compiled = rules.length && rules[0]?.rule ? rules : compileRules(rules);
+  const tags = [];
+  const dispatches = [];
+  const trace = [];
+  let disposition = null;
+
+  for (let i = 0; i < compiled.length; i++) {
+    const { rule } = compiled[i];
+    const failed = firstFailure(compiled[i], facts);
+    const entry = { ruleId: rule.id ?? null, name: rule.name, version: rule.version ?? null, matched: failed === null };
+    if (failed) {
+      entry.failed = failed;
+      trace.push(entry);
+      continue;
+    }
+
+    entry.actions = rule.actions.map((action) => {
+      if (DISPOSITION_ACTIONS.has(action.type)) {
+        if (disposition) return { type: action.type, applied: false, shadowedBy: disposition.ruleId };
+        disposition = { type: action.type, ruleId: rule.id ?? null };
+        if (action.type === 'forward') disposition.to = [action.to];
+        if (action.type === 'multi-forward') disposition.to = [...action.to];
+        if (action.type === 'reject') disposition.reason = action.reason;
+        return { type: action.type, applied: true };
+      }
+      if (action.type === 'tag') {
+        for (const t of action.tags) if (!tags.includes(t)) tags.push(t);
+        return { type: 'tag', applied: true, tags: [...action.tags] };
+      }
+      if (action.type === 'dispatch') {
+        dispatches.push({ agent: action.agent, path: action.path, ruleId: rule.id ?? null });
+        return { type: 'dispatch', applied: true, agent: action.agent };
+      }
+      return { type: action.type, applied: false };
+    });
+    trace.push(entry);
+
+    if (rule.stop) {
+      const skipped = compiled.length - i - 1;
+      if (skipped) trace.push({ stoppedBy: rule.id ?? null, skipped });
+      break;
+    }
+  }
+
+  return { disposition, tags, dispatches, trace };
+}
+
+/**
+ * Load the active ruleset for a routing-profile org (rules for `org` plus
+ * org '*') from TriageAgent. Per-isolate cached; on failure keeps the
+ * last-good ruleset, else the empty one — routing then falls back to the
+ * address routes and default forward, so a rules outage never drops mail.
+ *
+ * @param {object} env
+ * @param {{ org?: string, force?: boolean, fetchRules?: (env:any, org:string) => Promise<{version:number, rules:object[]}> }} [opts]
+ * @returns {Promise<{ version: number, rules: object[], compiled: ReturnType<typeof compileRules> }>}
+ */
+export async function loadRoutingRules(env, { org = '*', force = false, fetchRules = fetchRulesFromAgent } = {}) {
+  const now = Date.now();
+  if (!force && _cache && _cache.org === org && now - _cache.at < CACHE_TTL_MS) return _cache.value;
+
+  try {
+    const doc = await withTimeout(fetchRules(env, org), LOAD_TIMEOUT_MS);
+    const ruleset = doc ?? EMPTY_RULESET;
+    const value = { version: ruleset.version ?? 0, rules: ruleset.rules, compiled: compileRules(ruleset.rules) };
+    _cache = { at: now, org, value };
+    if (doc) _lastGood = _cache;
+    return value;
+  } catch (err) {
+    console.error('[routing-rules] load failed, using last-good ruleset:', err?.message ?? err);
+    const fallback = _lastGood?.org === org
+      ? _lastGood.value
+      : { ...EMPTY_RULESET, compiled: [] };
+    _cache = { at: now, org, value: fallback };
+    return fallback;
+  }
+}
+
+/**
+ * Default rules source: TriageAgent `GET /rules?org=…&active=1`.
+ * Returns null when the binding is absent (no rules configured).
+ */
+export async function fetchRulesFromAgent(env, org) {
+  const res = await callAgent(env, RULES_AGENT_BINDING, '/rules', {
+    search: new URLSearchParams({ org, active: '1' }).toString(),
+  });
+  if (!res) return null;
+  if (res.status !== 200) throw new Error(`TriageAgent /rules returned ${res.status}`);
+  return { version: res.data.version, rules: res.data.rules };
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,346 @@
+/**
+ * Thread store — shared contract between CloudflareEmailHandler (client) and
+ * ThreadAgent (the SQLite-backed Durable Object that owns conversations).
+ *
+ * Messages are grouped by their Message-ID graph: a message joins the thread
+ * that already holds its own id, any id in its References, or its
+ * In-Reply-To. A message that links two threads merges them. With no graph
+ * link, a message joins a recent thread with the same normalized subject and
+ * the same counterparty (SUBJECT_WINDOW_MS); otherwise it starts a thread.
+ *
+ * Each thread is attributed to the first case-registry slug and the first
+ * entity its messages were triaged with. Privileged (F-L10) messages are
+ * stored metadata-only, and one privileged message makes the whole thread
+ * metadata-only: earlier subjects and summaries are scrubbed, and the thread
+ * never takes part in subject matching.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { callAgent } from '../utils/agent-client.js';
+import { senderAddress } from './review-queue.js';
+
+export const THREAD_BINDING = 'THREAD_AGENT';
+
+export const REDACTED_SUBJECT = '[REDACTED — privileged_legal]';
+
+// Subject fallback only looks this far back, so a yearly "Annual report"
+// does not collect every year's mail into one thread.
+export const SUBJECT_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+
+export const THREAD_LIST_MAX = 200;
+export const TIMELINE_PAGE_DEFAULT = 200;
+export const TIMELINE_PAGE_MAX = 1000;
+
+// Normalized subjects too generic to group on.
+const GENERIC_SUBJECTS = new Set([
+  '', '(no subject)', 'no subject', 'hello', 'hi', 'question', 'update', 'follow up', 'follow-up', 'fyi',
+]);
+const SUBJECT_KEY_MIN_LENGTH = 6;
+
+/**
+ * @typedef {Object} ThreadMessage
+ * @property {string} messageId          - `<id>`
+ * @property {'inbound'|'outbound'} direction
+ * @property {string} at                 - ISO time received / sent
+ * @property {string} from
+ * @property {string} to
+ * @property {string} subject            - REDACTED_SUBJECT when metadataOnly
+ * @property {string|null} subjectKey    - null when metadataOnly
+ * @property {string} summary
+ * @property {string} inReplyTo
+ * @property {string[]} references
+ * @property {string|null} category
+ * @property {string|null} urgency
+ * @property {string[]} reasons
+ * @property {string|null} caseSlug
+ * @property {string|null} entity
+ * @property {boolean} aiClassified
+ * @property {object|null} decision     - routing decision (inbound) or approval (outbound)
+ * @property {Array<{ filename: string, path?: string, size?: number, contentType?: string }>} attachments
+ * @property {number} attachmentCount
+ * @property {string|null} queueId
+ * @property {boolean} metadataOnly
+ */
+
+/**
+ * Message-IDs in a header value, in order, each as `<id>`. A bare value with
+ * no angle brackets (the handler's `cf-<ts>` fallback) is kept as one id.
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+export function parseMessageIds(value) {
+  if (Array.isArray(value)) return value.flatMap(parseMessageIds);
+  const raw = String(value || '').trim();
+  if (!raw) return [];
+  const ids = raw.match(/<[^<>\s]+>/g);
+  if (ids) return ids;
+  return raw.split(/\s+/).filter(Boolean).map((id) => `<${id}>`);
+}
+
+/**
+ * Every Message-ID that links a message into the graph: its own, its
+ * References and its In-Reply-To, de-duplicated.
+ * @param {{ messageId?: string, references?: string|string[], inReplyTo?: string }} message
+ */
+export function messageRefs(message) {
+  return [...new Set([
+    ...parseMessageIds(message?.messageId),
+    ...parseMessageIds(message?.references),
+    ...parseMessageIds(message?.inReplyTo),
+  ])];
+}
+
+/**
+ * Subject with reply/forward prefixes and leading [tags] removed,
+ * lower-cased and whitespace-collapsed.
+ */
+export function normalizeSubject(subject) {
+  let s = String(subject || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  let prev;
+  do {
+    prev = s;
+    s = s.replace(/^(re|fw|fwd|aw|sv|antw)\s*(\[\d+\])?\s*:\s*/, '').replace(/^\[[^\]]*\]\s*/, '').trim();
+  } while (s !== prev);
+  return s;
+}
+
+/**
+ * Key for the subject fallback, or null when the subject is too short or
+ * generic to mean anything.
+ */
+export function subjectKey(subject) {
+  const s = normalizeSubject(subject);
+  if (s.length < SUBJECT_KEY_MIN_LENGTH || GENERIC_SUBJECTS.has(s)) return null;
+  return s;
+}
+
+/** The other party: the sender of inbound mail, the recipient of a reply. */
+export function counterparty(message) {
+  return senderAddress(message?.direction === 'outbound' ? message.to : message?.from);
+}
+
+/**
+ * Metadata-only copy of a message: no subject, summary or attachment names.
+ * @param {ThreadMessage} message
+ * @returns {ThreadMessage}
+ */
+export function redactThreadMessage(message) {
+  const count = message.attachmentCount ?? message.attachments?.length ?? 0;
+  return {
+    ...message,
+    subject: REDACTED_SUBJECT,
+    subjectKey: null,
+    summary: '',
+    attachments: [],
+    attachmentCount: count,
+    metadataOnly: true,
+  };
+}
+
+/**
+ * Thread message for a delivered inbound email, after triage and routing.
+ * Privileged mail (the F-L10 union the handler uses everywhere) is
+ * metadata-only.
+ *
+ * @param {object} emailData - extractEmailData output plus privileged/aliasDecision/routing
+ * @param {object} triage
+ * @param {{ queueId?: string|null, storedAttachments?: object[] }} [extra]
+ * @returns {ThreadMessage}
+ */
+export function threadMessageFromInbound(emailData, triage, { queueId = null, storedAttachments = [] } = {}) {
+  const metadataOnly = emailData?.privileged === true || emailData?.aliasDecision?.metadataOnly === true;
+  const message = {
+    messageId: parseMessageIds(emailData.id)[0] || '',
+    direction: 'inbound',
+    at: emailData.timestamp || new Date().toISOString(),
+    from: emailData.from || '',
+    to: emailData.to || '',
+    subject: emailData.subject || '',
+    subjectKey: subjectKey(emailData.subject),
+    summary: triage?.summary || '',
+    inReplyTo: parseMessageIds(emailData.inReplyTo)[0] || '',
+    references: parseMessageIds(emailData.references),
+    category: triage?.category ?? null,
+    urgency: triage?.urgencyLevel ?? null,
+    reasons: triage?.reasons ?? [],
+    caseSlug: triage?.caseSlug ?? null,
+    entity: triage?.entity ?? null,
+    aiClassified: triage?.aiClassified === true,
+    decision: emailData.routing?.decision ?? null,
+    attachments: storedAttachments.map((a) => ({
+      filename: a.filename,
+      path: a.key,
+      size: a.size,
+      contentType: a.contentType,
+    })),
+    attachmentCount: emailData.attachmentCount ?? storedAttachments.length,
+    queueId,
+    metadataOnly: false,
+  };
+  return metadataOnly ? redactThreadMessage(message) : message;
+}
+
+/**
+ * Thread message for a sent reply (src/email/outbound.js ReplySpec).
+ * @returns {ThreadMessage}
+ */
+export function threadMessageFromReply(reply, { sentAt, queueId = null, approvedBy = null, inReplyToQueueId = null, classification = {} } = {}) {
+  return {
+    messageId: reply.messageId,
+    direction: 'outbound',
+    at: sentAt || new Date().toISOString(),
+    from: reply.from.addr,
+    to: reply.to,
+    subject: reply.subject,
+    subjectKey: subjectKey(reply.subject),
+    summary: '',
+    inReplyTo: reply.inReplyTo || '',
+    references: parseMessageIds(reply.references),
+    category: classification.category ?? null,
+    urgency: classification.urgency ?? null,
+    reasons: ['outbound_reply'],
+    caseSlug: classification.caseSlug ?? null,
+    entity: classification.entity ?? null,
+    aiClassified: false,
+    decision: { type: 'reply', fromSource: reply.fromSource, approvedBy, inReplyToQueueId },
+    attachments: [],
+    attachmentCount: 0,
+    queueId,
+    metadataOnly: false,
+  };
+}
+
+/**
+ * Whether a thread found by subject may take `message`: not privileged, same
+ * counterparty, and active within SUBJECT_WINDOW_MS of the message.
+ *
+ * @param {{ privileged: boolean, participants: string[], lastAt: string }} thread
+ * @param {ThreadMessage} message
+ */
+export function subjectCandidateMatches(thread, message) {
+  if (thread.privileged || message.metadataOnly || !message.subjectKey) return false;
+  const party = counterparty(message);
+  if (!party || !thread.participants.includes(party)) return false;
+  const gap = Math.abs(Date.parse(message.at) - Date.parse(thread.lastAt));
+  return Number.isFinite(gap) && gap <= SUBJECT_WINDOW_MS;
+}
+
+/**
+ * Decide where a message goes.
+ *
+ * @param {string[]} graphThreadIds - threads holding any of messageRefs(message), oldest first
+ * @param {Array<{ id: string }>} subjectMatches - threads passing subjectCandidateMatches, newest first
+ * @returns {{ threadId: string|null, merge: string[], matchedBy: 'graph'|'subject'|'new' }}
+ */
+export function chooseThread(graphThreadIds, subjectMatches) {
+  const graph = [...new Set(graphThreadIds)];
+  if (graph.length) return { threadId: graph[0], merge: graph.slice(1), matchedBy: 'graph' };
+  if (subjectMatches.length) return { threadId: subjectMatches[0].id, merge: [], matchedBy: 'subject' };
+  return { threadId: null, merge: [], matchedBy: 'new' };
+}
+
+/**
+ * Thread-level fields derived from its messages (any order).
+ * @param {ThreadMessage[]} messages
+ */
+export function summarizeThread(messages) {
+  const ordered = [...messages].sort((a, b) => a.at.localeCompare(b.at));
+  const privileged = ordered.some((m) => m.metadataOnly);
+  const titled = ordered.find((m) => !m.metadataOnly);
+  const participants = [...new Set(ordered.map(counterparty).filter(Boolean))];
+  return {
+    subject: privileged ? REDACTED_SUBJECT : (titled?.subject ?? ''),
+    subjectKey: privileged ? null : (titled?.subjectKey ?? null),
+    caseSlug: ordered.find((m) => m.caseSlug)?.caseSlug ?? null,
+    entity: ordered.find((m) => m.entity)?.entity ?? null,
+    privileged,
+    participants,
+    messageCount: ordered.length,
+    firstAt: ordered[0]?.at ?? null,
+    lastAt: ordered.at(-1)?.at ?? null,
+  };
+}
+
+/**
+ * One timeline row: what arrived or went out, what came with it, and how it
+ * was triaged and routed.
+ * @param {ThreadMessage} message
+ * @param {string} threadId
+ */
+export function toTimelineEntry(message, threadId) {
+  return {
+    at: message.at,
+    threadId,
+    messageId: message.messageId,
+    direction: message.direction,
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    attachments: message.attachments,
+    attachmentCount: message.attachmentCount,
+    triage: {
+      category: message.category,
+      urgency: message.urgency,
+      reasons: message.reasons,
+      aiClassified: message.aiClassified,
+      summary: message.summary,
+    },
+    decision: message.decision,
+    queueId: message.queueId,
+    metadataOnly: message.metadataOnly,
+  };
+}
+
+/**
+ * Validate timeline / thread-list params from URLSearchParams.
+ * Needs exactly one of `case` or `entity`.
+ *
+ * @returns {{ filters: { caseSlug?: string, entity?: string, since?: string, until?: string, limit?: number }, errors: string[] }}
+ */
+export function parseThreadFilters(searchParams, { maxLimit = TIMELINE_PAGE_MAX } = {}) {
+  const errors = [];
+  const filters = {};
+  const caseSlug = searchParams.get('case');
+  const entity = searchParams.get('entity');
+  if (caseSlug) filters.caseSlug = caseSlug;
+  if (entity) filters.entity = entity;
+  if (caseSlug && entity) errors.push('pass case or entity, not both');
+
+  for (const key of ['since', 'until']) {
+    const value = searchParams.get(key);
+    if (!value) continue;
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) errors.push(`${key} must be an ISO date`);
+    else filters[key] = new Date(ms).toISOString();
+  }
+
+  const rawLimit = searchParams.get('limit');
+  if (rawLimit) {
+    const limit = Number.parseInt(rawLimit, 10);
+    if (!Number.isInteger(limit) || limit < 1) errors.push('limit must be a positive integer');
+    else filters.limit = Math.min(limit, maxLimit);
+  }
+  return { filters, errors };
+}
+
+/** Serialize thread filters back to a query string for the DO call. */
+export function threadFiltersToSearch({ caseSlug, entity, since, until, limit } = {}) {
+  const params = new URLSearchParams();
+  if (caseSlug) params.set('case', caseSlug);
+  if (entity) params.set('entity', entity);
+  if (since) params.set('since', since);
+  if (until) params.set('until', until);
+  if (limit) params.set('limit', String(limit));
+  return params.toString();
+}
+
+/**
+ * Call the ThreadAgent — a single named instance.
+ *
+ * @returns {Promise<{ status: number, data: any } | null>} null when the
+ *   binding is not configured
+ */
+export function callThreadStore(env, path, opts) {
+  return callAgent(env, THREAD_BINDING, path, opts);
+}
@@ -6,8 +6,10 @@
 import UnifiedWorker from './unified-worker.js';
 import { ChittyRouterMcpGateway } from './mcp/mcp-gateway.js';
 import { McpAgent } from 'agents/mcp';
-import { authenticateMcpRequest } from './mcp/mcp-auth.js';
+import { authenticateApiKey } from './mcp/mcp-auth.js';
 import { email as emailHandler } from './email/cloudflare-email-handler.js';
+import { handleExtractionBatch } from './documents/extraction-pipeline.js';
+import { loadRoutingProfile } from './config/routing-profile.js';
 
 // Legacy Durable Objects
 export { SyncStateDurableObject, AIStateDO } from './unified-worker.js';
@@ -27,6 +29,11 @@ export { WebhookIngestionAgent } from './agents/webhook-agent.js';
 export { MessagingAgent } from './agents/messaging-agent.js';
 export { SecurityAgent } from './agents/security-agent.js';
 export { ScrapeAgent } from './agents/scrape-agent.js';
+export { ReviewQueueAgent } from './agents/review-queue-agent.js';
+export { ThreadAgent } from './agents/thread-agent.js';
+export { SearchAgent } from './agents/search-agent.js';
+export { NotionDlqAgent } from './agents/notion-dlq-agent.js';
+export { DisputeOutboxAgent } from './agents/dispute-outbox-agent.js';
 
 // MCP Gateway Durable Object
 export { ChittyRouterMcpGateway } from './mcp/mcp-gateway.js';
@@ -47,14 +54,31 @@ const CRON_ROUTE_MAP = {
   '*/15 * * * *': '/cron/inbox-monitor',
 };
 
+// Validate the configured routing profile on the first event an isolate
+// handles, so a bad kv/neon document shows up in the logs and /health before
+// the first email instead of with it.
+let routingProfileChecked = false;
+
+function checkRoutingProfile(env, ctx) {
+  if (routingProfileChecked) return;
+  routingProfileChecked = true;
+  ctx?.waitUntil?.(loadRoutingProfile(env));
+}
+
 export default {
   async fetch(request, env, ctx) {
+    checkRoutingProfile(env, ctx);
     // Route MCP requests to the gateway before unified worker
     const url = new URL(request.url);
     if (url.pathname.startsWith('/mcp/v2')) {
-      const authResult = await authenticateMcpRequest(request, env);
-      if (authResult) return authResult;
-      return mcpHandler.fetch(request, env, ctx);
+      const auth = await authenticateApiKey(request, env);
+      if (auth.response) return auth.response;
+      // The gateway DO reads the caller's scopes from this.props.principal
+      return mcpHandler.fetch(request, env, {
+        waitUntil: (promise) => ctx.waitUntil(promise),
+        passThroughOnException: () => ctx.passThroughOnException?.(),
+        props: { principal: auth.principal },
+      });
     }
 
     return await UnifiedWorker.fetch(request, env, ctx);
@@ -67,6 +91,7 @@ export default {
   },
 
   async scheduled(event, env, ctx) {
+    checkRoutingProfile(env, ctx);
     const cronPath = CRON_ROUTE_MAP[event.cron];
     if (!cronPath) {
       console.warn(`No handler mapped for cron expression: ${event.cron}`);
@@ -89,4 +114,13 @@ export default {
       }),
     );
   },
+
+  // Cloudflare Queues consumer — attachment extraction jobs enqueued by the
+  // email handler after R2 writes (wrangler.jsonc "queues").
+  async queue(batch, env) {
+    if (batch.queue === 'chittyrouter-extraction') {
+      return handleExtractionBatch(batch, env);
+    }
+    console.warn(`No consumer for queue ${batch.queue}`);
+  },
 };
@@ -1,9 +1,10 @@
 /**
  * Dispute Intake Forwarder
  *
- * Fire-and-forget forwarder that posts qualifying email-triage results to
- * chittydispute's /api/intake endpoint. Invoked from the email-processing
- * pipeline after TriageAgent classifies a message.
+ * Forwarder that posts qualifying email-triage results to chittydispute's
+ * /api/intake endpoint. Invoked from the email-processing pipeline after
+ * TriageAgent classifies a message. Every intake goes through the outbox in
+ * ./dispute-outbox.js, so failed deliveries are retried, not dropped.
  *
  * Contract:
  *  - Never throws. All failure modes are logged and swallowed so the
@@ -18,6 +19,13 @@
  * @canon   chittycanon://gov/governance#core-types
  */
 
+import {
+  DISPUTE_OUTBOX_BINDING,
+  callDisputeOutbox,
+  intakeIdempotencyKey,
+  isRetryableIntakeStatus,
+} from './dispute-outbox.js';
+
 const DEFAULT_DISPUTE_URL = 'https://dispute.chitty.cc';
 const INTAKE_PATH = '/api/intake';
 
@@ -146,17 +154,120 @@ export function buildIntakePayload(triageResult, emailData) {
   };
 }
 
+/**
+ * POST one intake payload to chittydispute. The idempotency key goes out
+ * as the Idempotency-Key header, so a repeated attempt for the same message
+ * cannot open a second dispute; a 409 means the intake already has it and
+ * counts as delivered. Never throws.
+ *
+ * @returns {Promise<{ delivered: boolean, status?: number, ackId?: string|null,
+ *   reason?: string, retryable: boolean }>}
+ */
+export async function deliverIntake(env, payload, key) {
+  const token = env?.CHITTYDISPUTE_AUTH_TOKEN;
+  if (!token) return { delivered: false, reason: 'missing-auth-token', retryable: true };
+
+  const base = (env.CHITTYDISPUTE_URL || DEFAULT_DISPUTE_URL).replace(
+    /\/+$/,
+    '',
+  );
+  try {
+    const resp = await fetch(`${base}${INTAKE_PATH}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+        'X-Chitty-Source': 'chittyrouter',
+        ...(key ? { 'Idempotency-Key': key } : {}),
+      },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(15000),
+    });
+
+    if (!resp.ok && resp.status !== 409) {
+      console.warn(
+        `[dispute-forwarder] intake rejected status=${resp.status}`,
+      );
+      return {
+        delivered: false,
+        reason: 'intake-non-2xx',
+        status: resp.status,
+        retryable: isRetryableIntakeStatus(resp.status),
+      };
+    }
+
+    const body = await resp.json().catch(() => null);
+    const ackId = body?.id ?? body?.intake_id ?? body?.dispute_id ?? null;
+    return { delivered: true, status: resp.status, ackId: ackId != null ? String(ackId) : null, retryable: false };
+  } catch (error) {
+    // Handle timeout/abort errors specifically
+    if (error?.name === 'AbortError' || error?.name === 'TimeoutError') {
+      console.warn('[dispute-forwarder] request timed out after 15s');
+      return { delivered: false, reason: 'timeout', retryable: true };
+    }
+    console.warn(
+      `[dispute-forwarder] forward failed: ${error?.message || String(error)}`,
+    );
+    return { delivered: false, reason: 'exception', retryable: true };
+  }
+}
+
+/**
+ * Call the outbox without letting an outbox failure block delivery.
+ * Returns null when it is unbound or unreachable.
+ */
+async function outboxCall(env, path, opts) {
+  try {
+    const res = await callDisputeOutbox(env, path, opts);
+    if (res && res.status >= 400) {
+      console.warn(`[dispute-forwarder] outbox ${path} returned ${res.status}`);
+      return null;
+    }
+    return res;
+  } catch (error) {
+    console.warn(`[dispute-forwarder] outbox ${path} failed: ${error?.message || String(error)}`);
+    return null;
+  }
+}
+
+/** Report a delivery outcome back to the outbox. */
+function reportOutcome(env, key, outcome) {
+  if (outcome.delivered) {
+    return outboxCall(env, '/ack', {
+      method: 'POST',
+      body: { key, status: outcome.status, ackId: outcome.ackId },
+    });
+  }
+  return outboxCall(env, '/fail', {
+    method: 'POST',
+    body: {
+      key,
+      status: outcome.status ?? null,
+      error: outcome.status ? `${outcome.reason} (${outcome.status})` : outcome.reason,
+      retryable: outcome.retryable,
+    },
+  });
+}
+
 /**
  * Forward a triage result to the dispute intake endpoint.
  *
+ * The intake is recorded in the DisputeOutboxAgent before the first attempt
+ * and the outcome is reported back, so a failed delivery is retried by
+ * retryDisputeOutbox instead of being lost. A message whose intake was
+ * already acknowledged is not sent again. Without the outbox binding this
+ * is a single direct attempt, as before.
+ *
  * Returns a tagged result object describing the outcome. Never throws.
  * Intended usage: `ctx.waitUntil(forwardToDisputeIntake(env, triage, email))`.
  *
  * @param {object} env           Worker env bindings (reads CHITTYDISPUTE_URL,
- *                               CHITTYDISPUTE_AUTH_TOKEN, DISPUTE_WORTHY_CATEGORIES).
+ *                               CHITTYDISPUTE_AUTH_TOKEN, DISPUTE_WORTHY_CATEGORIES,
+ *                               DISPUTE_OUTBOX_AGENT).
  * @param {object} triageResult  TriageAgent /classify response.
  * @param {object} emailData     { subject, from, to, content, messageId, timestamp, metadata }.
- * @returns {Promise<{ forwarded: boolean, reason?: string, status?: number }>}
+ * @returns {Promise<{ forwarded: boolean, reason?: string, status?: number,
+ *   key?: string, queued?: boolean, duplicate?: boolean }>}
  */
 export async function forwardToDisputeIntake(env, triageResult, emailData) {
   try {
@@ -179,44 +290,69 @@ export async function forwardToDisputeIntake(env, triageResult, emailData) {
       return { forwarded: false, reason: 'invalid-triage-shape' };
     }
 
-    const base = (env.CHITTYDISPUTE_URL || DEFAULT_DISPUTE_URL).replace(
-      /\/+$/,
-      '',
-    );
-    const url = `${base}${INTAKE_PATH}`;
-    const payload = buildIntakePayload(triageResult, emailData);
+    let payload = buildIntakePayload(triageResult, emailData);
+    const key = await intakeIdempotencyKey(payload);
 
-    const resp = await fetch(url, {
+    const recorded = await outboxCall(env, '/record', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${token}`,
-        'X-Chitty-Source': 'chittyrouter',
-      },
-      body: JSON.stringify(payload),
-      signal: AbortSignal.timeout(15000),
+      body: { key, payload },
     });
+    const item = recorded?.data?.item;
+    if (item?.status === 'delivered') {
+      return { forwarded: true, duplicate: true, status: item.ack?.status ?? null, key, queued: true };
+    }
+    // A message seen before goes out exactly as it was first recorded.
+    if (item?.payload) payload = item.payload;
 
-    if (!resp.ok) {
-      console.warn(
-        `[dispute-forwarder] intake rejected status=${resp.status}`,
-      );
-      return { forwarded: false, reason: 'intake-non-2xx', status: resp.status };
+    const outcome = await deliverIntake(env, payload, key);
+    if (item) await reportOutcome(env, key, outcome);
+
+    if (!outcome.delivered) {
+      return {
+        forwarded: false,
+        reason: outcome.reason,
+        ...(outcome.status ? { status: outcome.status } : {}),
+        key,
+        queued: Boolean(item),
+      };
     }
 
     console.log(
       `[dispute-forwarder] forwarded category=${payload.triage.category}`,
     );
-    return { forwarded: true, status: resp.status };
+    return { forwarded: true, status: outcome.status, key, queued: Boolean(item) };
   } catch (error) {
-    // Handle timeout/abort errors specifically
-    if (error?.name === 'AbortError' || error?.name === 'TimeoutError') {
-      console.warn('[dispute-forwarder] request timed out after 15s');
-      return { forwarded: false, reason: 'timeout' };
-    }
     console.warn(
       `[dispute-forwarder] forward failed: ${error?.message || String(error)}`,
     );
     return { forwarded: false, reason: 'exception' };
   }
 }
+
+/**
+ * Deliver the outbox items that are due — run from the 30-minute
+ * /cron/sync-dlq-process cron and the /dispute/outbox routes. Each claimed
+ * item is sent with its recorded payload and key, and the outcome is
+ * reported back. Never throws.
+ *
+ * @param {object} env
+ * @param {{ limit?: number }} [opts]
+ * @returns {Promise<{ attempted: number, delivered: number, failed: number,
+ *   quarantined: number, skipped?: string }>}
+ */
+export async function retryDisputeOutbox(env, { limit = 25 } = {}) {
+  const summary = { attempted: 0, delivered: 0, failed: 0, quarantined: 0 };
+  if (!env?.[DISPUTE_OUTBOX_BINDING]) return { ...summary, skipped: 'outbox-not-bound' };
+  if (!env.CHITTYDISPUTE_AUTH_TOKEN) return { ...summary, skipped: 'missing-auth-token' };
+
+  const claimed = await outboxCall(env, '/claim', { method: 'POST', body: { limit } });
+  for (const item of claimed?.data?.items || []) {
+    summary.attempted++;
+    const outcome = await deliverIntake(env, item.payload, item.key);
+    const reported = await reportOutcome(env, item.key, outcome);
+    if (outcome.delivered) summary.delivered++;
+    else if (reported?.data?.quarantined) summary.quarantined++;
+    else summary.failed++;
+  }
+  return summary;
+}
@@ -0,0 +1,159 @@
+/**
+ * Dispute Intake Outbox — shared contract between the dispute forwarder
+ * (client, src/integration/dispute-forwarder.js) and DisputeOutboxAgent (the
+ * SQLite-backed Durable Object that owns the outbox).
+ *
+ * forwardToDisputeIntake used to make one POST in the email hot path; if it
+ * failed, the dispute was never created. Every dispute-worthy triage result
+ * is now recorded here first, keyed by an idempotency key derived from the
+ * source message, and delivery is tracked until CHITTYDISPUTE_URL
+ * acknowledges it.
+ *
+ * Item lifecycle:
+ *   pending     → recorded or failed retryably; due at next_attempt_at
+ *   delivered   → intake answered 2xx (or 409: it already has the key)
+ *   quarantined → a non-retryable rejection, or the attempt budget ran out;
+ *                 only a retry or replay brings it back
+ *
+ * The same key goes out as the Idempotency-Key header on every attempt and
+ * replay, so chittydispute creates one dispute per message however often it
+ * is sent.
+ *
+ * @service chittycanon://core/services/chittyrouter#dispute-forwarder
+ */
+
+import { callAgent } from '../utils/agent-client.js';
+
+export const DISPUTE_OUTBOX_BINDING = 'DISPUTE_OUTBOX_AGENT';
+
+export const OUTBOX_STATUSES = ['pending', 'delivered', 'quarantined'];
+
+// Retries ride the 30-minute /cron/sync-dlq-process run; the first waits
+// one period and each later one doubles, up to 12 hours.
+export const OUTBOX_BACKOFF_BASE_MS = 30 * 60 * 1000;
+export const OUTBOX_BACKOFF_MAX_MS = 12 * 60 * 60 * 1000;
+export const OUTBOX_MAX_ATTEMPTS_DEFAULT = 8;
+
+// Claimed items are pushed this far into the future so an overlapping run
+// skips them; the reported outcome replaces the lease.
+export const OUTBOX_LEASE_MS = 10 * 60 * 1000;
+
+export const OUTBOX_PAGE_DEFAULT = 50;
+export const OUTBOX_PAGE_MAX = 200;
+
+/**
+ * The idempotency key for an intake payload: a hash of its source message,
+ * so the same email always maps to the same key.
+ * @returns {Promise<string>}
+ */
+export async function intakeIdempotencyKey(payload) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(`${payload.source}:${payload.source_ref}`),
+  );
+  const hex = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+  return `intake-${hex.slice(0, 32)}`;
+}
+
+/**
+ * Whether a failed delivery is worth retrying: timeouts, network errors
+ * (no status), 408, 429 and server errors. Other 4xx need a fixed payload.
+ */
+export function isRetryableIntakeStatus(status) {
+  return status === undefined || status === null || status === 408 || status === 429 || Number(status) >= 500;
+}
+
+/** Delay before the next attempt after `attempts` failed ones. */
+export function outboxBackoffMs(attempts) {
+  const exponent = Math.max(attempts, 1) - 1;
+  return Math.min(OUTBOX_BACKOFF_BASE_MS * 2 ** exponent, OUTBOX_BACKOFF_MAX_MS);
+}
+
+/** DISPUTE_OUTBOX_MAX_ATTEMPTS from env, else the default. */
+export function outboxMaxAttempts(env) {
+  const configured = Number.parseInt(env?.DISPUTE_OUTBOX_MAX_ATTEMPTS, 10);
+  return configured > 0 ? configured : OUTBOX_MAX_ATTEMPTS_DEFAULT;
+}
+
+/**
+ * Outbox state after one more failed delivery.
+ *
+ * @param {number} previousAttempts - failed attempts recorded so far
+ * @param {number} maxAttempts
+ * @param {{ retryable?: boolean, now?: number }} [opts]
+ * @returns {{ attempts: number, status: 'pending'|'quarantined', nextAttemptAt: number|null }}
+ */
+export function nextOutboxFailure(previousAttempts, maxAttempts, { retryable = true, now = Date.now() } = {}) {
+  const attempts = (previousAttempts || 0) + 1;
+  if (!retryable || attempts >= maxAttempts) {
+    return { attempts, status: 'quarantined', nextAttemptAt: null };
+  }
+  return { attempts, status: 'pending', nextAttemptAt: now + outboxBackoffMs(attempts) };
+}
+
+const isIsoDate = (v) => typeof v === 'string' && !Number.isNaN(Date.parse(v));
+
+/**
+ * Normalize list filters from query params. `status` may also be
+ * `undelivered` (pending + quarantined), the default.
+ *
+ * @returns {{ filters: { status: string, since: string|null, until: string|null, limit: number }, errors: string[] }}
+ */
+export function parseOutboxFilters(searchParams) {
+  const errors = [];
+  const status = searchParams?.get('status') || 'undelivered';
+  if (status !== 'undelivered' && !OUTBOX_STATUSES.includes(status)) {
+    errors.push(`status must be one of undelivered, ${OUTBOX_STATUSES.join(', ')}`);
+  }
+  const since = searchParams?.get('since') || null;
+  const until = searchParams?.get('until') || null;
+  if (since && !isIsoDate(since)) errors.push('since must be an ISO date');
+  if (until && !isIsoDate(until)) errors.push('until must be an ISO date');
+  let limit = OUTBOX_PAGE_DEFAULT;
+  const rawLimit = searchParams?.get('limit');
+  if (rawLimit) {
+    limit = Number.parseInt(rawLimit, 10);
+    if (!(limit >= 1 && limit <= OUTBOX_PAGE_MAX)) errors.push(`limit must be 1-${OUTBOX_PAGE_MAX}`);
+  }
+  return {
+    filters: {
+      status,
+      since: since && isIsoDate(since) ? new Date(since).toISOString() : null,
+      until: until && isIsoDate(until) ? new Date(until).toISOString() : null,
+      limit,
+    },
+    errors,
+  };
+}
+
+/**
+ * Validate a replay request: a recorded-at range, at most 31 days, and
+ * whether already-delivered intakes are sent again.
+ *
+ * @returns {{ replay: { since: string, until: string, includeDelivered: boolean }|null, errors: string[] }}
+ */
+export function parseReplayRequest(body) {
+  const errors = [];
+  if (!isIsoDate(body?.since)) errors.push('since must be an ISO date');
+  if (body?.until !== undefined && !isIsoDate(body.until)) errors.push('until must be an ISO date');
+  if (body?.includeDelivered !== undefined && typeof body.includeDelivered !== 'boolean') {
+    errors.push('includeDelivered must be a boolean');
+  }
+  if (errors.length) return { replay: null, errors };
+  const since = new Date(body.since).toISOString();
+  const until = new Date(body.until ?? Date.now()).toISOString();
+  if (since >= until) errors.push('since must be before until');
+  else if (Date.parse(until) - Date.parse(since) > 31 * 24 * 60 * 60 * 1000) errors.push('range must be 31 days or less');
+  if (errors.length) return { replay: null, errors };
+  return { replay: { since, until, includeDelivered: body.includeDelivered === true }, errors };
+}
+
+/**
+ * Call the DisputeOutboxAgent — a single named instance.
+ *
+ * @returns {Promise<{ status: number, data: any } | null>} null when the
+ *   binding is not configured
+ */
+export function callDisputeOutbox(env, path, opts) {
+  return callAgent(env, DISPUTE_OUTBOX_BINDING, path, opts);
+}
@@ -3,71 +3,86 @@
  * Validates X-ChittyOS-API-Key against MCP_API_KEYS KV namespace.
  * Mirrors ChittyConnect's established auth pattern (mcp-auth.js).
  *
+ * Key records (`key:<apiKey>`) carry what the key may do:
+ *   { status: 'active', expiresAt?, name?, scopes: ['finance:read', ...], orgs?: [...], cases?: [...] }
+ * Scopes and org restrictions are enforced per call (src/utils/agent-scopes.js).
+ *
  * @service chittycanon://core/services/chittyrouter
  */
 
+import { DEV_BYPASS_PRINCIPAL, isDevBypass, principalFromKey } from '../utils/agent-scopes.js';
+
+function authError(data, status) {
+  return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
 /**
- * Authenticate an inbound MCP request.
- * Returns a Response (401/403) on failure, or null to proceed.
+ * Resolve the caller's principal from its API key.
  *
- * When MCP_API_KEYS KV is not bound (development), auth is bypassed.
+ * Fails closed when MCP_API_KEYS is not bound. AUTH_DEV_BYPASS='true'
+ * (ignored in production) admits key-less callers, or any caller when the
+ * key store is unbound, as a full-scope dev principal; a key that is
+ * presented and can be checked is still checked.
  *
  * @param {Request} request
  * @param {object} env - Worker environment bindings
- * @returns {Promise<Response|null>}
+ * @returns {Promise<{ principal: object } | { response: Response }>}
  */
-export async function authenticateMcpRequest(request, env) {
-  // If MCP_API_KEYS KV not bound (development), bypass auth
-  if (!env.MCP_API_KEYS) {
-    return null;
-  }
-
+export async function authenticateApiKey(request, env) {
   const apiKey = request.headers.get('X-ChittyOS-API-Key')
     ?? request.headers.get('Authorization')?.replace(/^Bearer\s+/i, '');
 
+  if (isDevBypass(env) && (!apiKey || !env.MCP_API_KEYS)) {
+    return { principal: DEV_BYPASS_PRINCIPAL };
+  }
+
+  if (!env.MCP_API_KEYS) {
+    return { response: authError({ error: 'API key store not configured' }, 503) };
+  }
+
   if (!apiKey) {
-    return new Response(
-      JSON.stringify({
+    return {
+      response: authError({
         error: 'Authentication required',
         message: 'Provide X-ChittyOS-API-Key header or Authorization: Bearer <key>',
-      }),
-      { status: 401, headers: { 'Content-Type': 'application/json' } },
-    );
+      }, 401),
+    };
   }
 
   const keyJson = await env.MCP_API_KEYS.get(`key:${apiKey}`);
 
   if (!keyJson) {
-    return new Response(
-      JSON.stringify({ error: 'Invalid or revoked API key' }),
-      { status: 403, headers: { 'Content-Type': 'application/json' } },
-    );
+    return { response: authError({ error: 'Invalid or revoked API key' }, 403) };
   }
 
   let keyData;
   try {
     keyData = JSON.parse(keyJson);
   } catch {
-    return new Response(
-      JSON.stringify({ error: 'Malformed key data' }),
-      { status: 500, headers: { 'Content-Type': 'application/json' } },
-    );
+    return { response: authError({ error: 'Malformed key data' }, 500) };
   }
 
   if (keyData.status !== 'active') {
-    return new Response(
-      JSON.stringify({ error: `API key is ${keyData.status}` }),
-      { status: 403, headers: { 'Content-Type': 'application/json' } },
-    );
+    return { response: authError({ error: `API key is ${keyData.status}` }, 403) };
   }
 
   if (keyData.expiresAt && new Date(keyData.expiresAt) < new Date()) {
-    return new Response(
-      JSON.stringify({ error: 'API key expired' }),
-      { status: 403, headers: { 'Content-Type': 'application/json' } },
-    );
+    return { response: authError({ error: 'API key expired' }, 403) };
   }
 
-  // Authenticated — proceed
-  return null;
+  return { principal: principalFromKey(apiKey, keyData) };
+}
+
+/**
+ * Authenticate an inbound MCP request.
+ * Returns a Response (401/403/503) on failure, or null to proceed.
+ * Use authenticateApiKey when the principal is needed.
+ *
+ * @param {Request} request
+ * @param {object} env - Worker environment bindings
+ * @returns {Promise<Response|null>}
+ */
+export async function authenticateMcpRequest(request, env) {
+  const auth = await authenticateApiKey(request, env);
+  return auth.response ?? null;
 }
@@ -1,19 +1,45 @@
 /**
- * ChittyRouterMcpGateway — MCP gateway exposing all 12 Agents SDK DOs as MCP tools.
+ * ChittyRouterMcpGateway — MCP gateway exposing the Agents SDK DOs as MCP
+ * tools, resources (src/mcp/resources.js) and prompts (src/mcp/prompts.js).
  * Extends McpAgent from agents/mcp for Streamable HTTP transport.
  * Served at /mcp/v2 via McpAgent.serve().
  *
+ * Resource subscriptions are kept in DO storage as uri → content hash and
+ * re-read every RESOURCE_POLL_SECONDS (and right after a write tool touches
+ * the same agent); a changed hash sends notifications/resources/updated.
+ *
  * @service chittycanon://core/services/chittyrouter
  * @canon chittycanon://gov/governance#core-types
  */
 import { McpAgent } from 'agents/mcp';
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
-import { ALL_TOOL_SCHEMAS } from './tool-schemas.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { ALL_TOOL_SCHEMAS, expandToolPath } from './tool-schemas.js';
+import { ALL_RESOURCES, matchResource, resourceVariables } from './resources.js';
+import { PROMPT_CATALOG, promptVariables } from './prompts.js';
+import { fanOut, instanceName, registerShard, resolveShardTarget } from '../utils/agent-shards.js';
+import { auditDenial, authorizeAgentCall, authorizeScope } from '../utils/agent-scopes.js';
+import { resolveManagedPrompt } from '../ai/inference-client.js';
+import { CloudflareEmailHandler } from '../email/cloudflare-email-handler.js';
+
+const RESOURCE_POLL_SECONDS = 60;
+const SUBSCRIPTIONS_KEY = 'resourceSubscriptions';
+const RECEIPTS_LIMIT = 20;
+
+async function contentHash(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
 
 export class ChittyRouterMcpGateway extends McpAgent {
   server = new McpServer({
     name: 'ChittyRouter',
     version: '2.1.0',
+  }, {
+    capabilities: {
+      resources: { subscribe: true, listChanged: true },
+      prompts: { listChanged: true },
+    },
   });
 
   async init() {
@@ -27,20 +53,101 @@ export class ChittyRouterMcpGateway extends McpAgent {
         },
       );
     }
+
+    for (const [name, def] of Object.entries(ALL_RESOURCES)) {
+      const metadata = { title: def.title, description: def.description, mimeType: 'application/json' };
+      const read = (uri) => this.readResource(uri.href);
+      if (resourceVariables(def.uri).length) {
+        this.server.registerResource(name, new ResourceTemplate(def.uri, { list: undefined }), metadata, read);
+      } else {
+        this.server.registerResource(name, def.uri, metadata, read);
+      }
+    }
+
+    for (const [name, def] of Object.entries(PROMPT_CATALOG)) {
+      this.server.registerPrompt(
+        name,
+        { title: def.title, description: def.description, argsSchema: def.argsSchema },
+        async (args) => this.getPrompt(name, def, args),
+      );
+    }
+
+    this.server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      await this.subscribeResource(request.params.uri);
+      return {};
+    });
+    this.server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      await this.unsubscribeResource(request.params.uri);
+      return {};
+    });
   }
 
   /**
-   * Execute a tool call by delegating to the appropriate agent DO.
+   * Execute a tool call by delegating to the appropriate agent DO — the
+   * shard named by the `shard` argument or the payload, or every shard for
+   * `shard: "all"` (src/utils/agent-shards.js). Path parameters (`:id`)
+   * are filled from the arguments first. The caller's principal
+   * (this.props.principal, set by the /mcp/v2 entry point) must hold the
+   * tool's scope; denials are audited.
    */
   async handleToolCall(toolName, toolDef, args) {
     try {
+      const { shard, ...toolArgs } = args || {};
+      const expanded = expandToolPath(toolDef.path, toolArgs);
+      const target = expanded.error
+        ? expanded
+        : resolveShardTarget(this.env, toolDef.binding, {
+          shard, method: toolDef.method, path: expanded.path, payload: expanded.params,
+        });
+      if (target.error) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ error: target.error, tool: toolName }) }],
+          isError: true,
+        };
+      }
+
+      const { path, params } = expanded;
+      const principal = this.props?.principal ?? null;
+      const decision = authorizeAgentCall(principal, {
+        bindingName: toolDef.binding, method: toolDef.method, path,
+        shard: target.shard, fanOut: target.fanOut, payload: params,
+      });
+      if (!decision.allowed) {
+        auditDenial(this.env, {
+          via: 'mcp', principal, tool: toolName, bindingName: toolDef.binding,
+          method: toolDef.method, path, shard: target.shard ?? shard ?? null,
+          scope: decision.scope, reason: decision.reason,
+        }, this.ctx);
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ error: 'Forbidden', reason: decision.reason, scope: decision.scope, tool: toolName }) }],
+          isError: true,
+        };
+      }
+
+      if (target.fanOut) {
+        const query = new URLSearchParams();
+        for (const [key, value] of Object.entries(params)) {
+          if (value !== undefined && value !== null) query.set(key, String(value));
+        }
+        const merged = await fanOut(this.env, toolDef.binding, path, {
+          search: query.toString(),
+          filter: decision.shardFilter,
+        });
+        if (!merged) throw new Error(`Agent binding ${toolDef.binding} not available`);
+        return { content: [{ type: 'text', text: JSON.stringify(merged) }] };
+      }
+
       const response = await this.delegateToAgentDO(
         toolDef.binding,
         toolDef.method,
-        toolDef.path,
-        toolDef.method === 'GET' ? null : args,
-        toolDef.method === 'GET' ? args : null,
+        path,
+        toolDef.method === 'GET' ? null : params,
+        toolDef.method === 'GET' ? params : null,
+        target.shard,
       );
+      if (target.shard && toolDef.method !== 'GET') {
+        await registerShard(this.env, toolDef.binding, target.shard);
+      }
 
       const status = response.status;
       const body = await response.text();
@@ -51,6 +158,9 @@ export class ChittyRouterMcpGateway extends McpAgent {
           isError: true,
         };
       }
+      if (toolDef.method !== 'GET' && typeof this.ctx?.waitUntil === 'function') {
+        this.ctx.waitUntil(this.pollResourceSubscriptions({ binding: toolDef.binding }));
+      }
 
       return {
         content: [{ type: 'text', text: body }],
@@ -63,6 +173,113 @@ export class ChittyRouterMcpGateway extends McpAgent {
     }
   }
 
+  /**
+   * Read a resource by URI. Agent-backed resources run as the matching GET
+   * tool call would (scopes, shard routing, denial audit); a refusal or an
+   * agent error is thrown, which the SDK returns as a JSON-RPC error.
+   *
+   * @returns {Promise<{ contents: Array<{ uri: string, mimeType: string, text: string }> }>}
+   */
+  async readResource(uri) {
+    const match = matchResource(uri);
+    if (!match) throw new Error(`Unknown resource ${uri}`);
+    const { name, def, variables } = match;
+
+    let text;
+    if (def.source === 'receipts') {
+      text = JSON.stringify(await this.readReceipts(uri));
+    } else {
+      const result = await this.handleToolCall(
+        `resource:${name}`,
+        { binding: def.binding, method: 'GET', path: def.path },
+        { ...def.query, ...variables },
+      );
+      text = result.content[0].text;
+      if (result.isError) throw new Error(text);
+    }
+    return { contents: [{ uri, mimeType: 'application/json', text }] };
+  }
+
+  async readReceipts(uri) {
+    const principal = this.props?.principal ?? null;
+    const decision = authorizeScope(principal, ALL_RESOURCES.receipts.scope);
+    if (!decision.allowed) {
+      auditDenial(this.env, {
+        via: 'mcp', principal, tool: 'resource:receipts', path: uri,
+        scope: decision.scope, reason: decision.reason,
+      }, this.ctx);
+      throw new Error(JSON.stringify({ error: 'Forbidden', reason: decision.reason, scope: decision.scope }));
+    }
+    const handler = new CloudflareEmailHandler(this.env);
+    const receipts = await handler.withThreadContext(await handler.getRecentReceipts(RECEIPTS_LIMIT), (r) => r.messageId);
+    return { count: receipts.length, receipts };
+  }
+
+  /**
+   * Build a catalog prompt: registry (or fallback) instructions followed by
+   * its context resources, read with the caller's scopes.
+   */
+  async getPrompt(name, def, args) {
+    const variables = promptVariables(def, args);
+    const [managed, context] = await Promise.all([
+      resolveManagedPrompt(this.env, def.promptId, variables),
+      Promise.all(def.context(variables).map((uri) => this.readResource(uri))),
+    ]);
+    const instructions = managed?.systemPrompt || def.fallback(variables);
+    return {
+      description: def.description,
+      messages: [
+        { role: 'user', content: { type: 'text', text: instructions } },
+        ...context.map(({ contents: [resource] }) => ({ role: 'user', content: { type: 'resource', resource } })),
+      ],
+    };
+  }
+
+  /** Subscribe this session to a resource; it must be readable now. */
+  async subscribeResource(uri) {
+    const { contents: [resource] } = await this.readResource(uri);
+    const subscriptions = (await this.ctx.storage.get(SUBSCRIPTIONS_KEY)) || {};
+    subscriptions[uri] = await contentHash(resource.text);
+    await this.ctx.storage.put(SUBSCRIPTIONS_KEY, subscriptions);
+    if (!this.getSchedules().some((s) => s.callback === 'pollResourceSubscriptions')) {
+      await this.schedule(RESOURCE_POLL_SECONDS, 'pollResourceSubscriptions');
+    }
+  }
+
+  async unsubscribeResource(uri) {
+    const subscriptions = (await this.ctx.storage.get(SUBSCRIPTIONS_KEY)) || {};
+    delete subscriptions[uri];
+    await this.ctx.storage.put(SUBSCRIPTIONS_KEY, subscriptions);
+  }
+
+  /**
+   * Re-read subscribed resources and notify the client of the ones whose
+   * content changed. Scheduled runs (no `binding`) re-arm themselves while
+   * subscriptions remain; a post-write run checks only that agent's.
+   */
+  async pollResourceSubscriptions({ binding } = {}) {
+    const subscriptions = (await this.ctx.storage.get(SUBSCRIPTIONS_KEY)) || {};
+    const uris = Object.keys(subscriptions)
+      .filter((uri) => !binding || matchResource(uri)?.def.binding === binding);
+    let changed = false;
+    for (const uri of uris) {
+      try {
+        const { contents: [resource] } = await this.readResource(uri);
+        const hash = await contentHash(resource.text);
+        if (hash === subscriptions[uri]) continue;
+        subscriptions[uri] = hash;
+        changed = true;
+        await this.server.server.sendResourceUpdated({ uri });
+      } catch (err) {
+        console.warn('[mcp] resource poll failed', uri, err?.message ?? err);
+      }
+    }
+    if (changed) await this.ctx.storage.put(SUBSCRIPTIONS_KEY, subscriptions);
+    if (!binding && Object.keys(subscriptions).length) {
+      await this.schedule(RESOURCE_POLL_SECONDS, 'pollResourceSubscriptions');
+    }
+  }
+
   /**
    * Forward request to a stateful Agents SDK Durable Object.
    * Replicates the delegation pattern from unified-worker.js:659-686.
@@ -72,21 +289,23 @@ export class ChittyRouterMcpGateway extends McpAgent {
    * @param {string} path - Agent endpoint path (e.g. "/create")
    * @param {object|null} body - Request body for POST requests
    * @param {object|null} queryParams - Query parameters for GET requests
+   * @param {string|null} [shard] - shard instance; null for the singleton
    * @returns {Promise<Response>}
    */
-  async delegateToAgentDO(bindingName, method, path, body, queryParams) {
+  async delegateToAgentDO(bindingName, method, path, body, queryParams, shard = null) {
     const binding = this.env[bindingName];
     if (!binding) {
       throw new Error(`Agent binding ${bindingName} not available`);
     }
 
-    // Singleton pattern — one instance per agent type
-    const id = binding.idFromName(bindingName);
+    // One instance per agent type, or per shard for sharded agents
+    const name = instanceName(bindingName, shard);
+    const id = binding.idFromName(name);
     const stub = binding.get(id);
 
     // Initialize the agent via partyserver protocol (required before first use)
     await stub.fetch(new Request('http://agent.internal/cdn-cgi/partyserver/set-name/', {
-      headers: { 'x-partykit-room': bindingName },
+      headers: { 'x-partykit-room': name },
     })).then((r) => r.text());
 
     // Build request URL
@@ -0,0 +1,76 @@
+/**
+ * MCP Prompt Catalog — prompts the gateway publishes. Pure data, no side
+ * effects.
+ *
+ * Each prompt's instructions come from the ChittyConnect prompt registry
+ * (`promptId`, resolved with the prompt's arguments as variables); `fallback`
+ * is used when the registry is not configured or does not answer. `context`
+ * lists the resources (src/mcp/resources.js) embedded after the
+ * instructions, read with the caller's scopes.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+import { z } from 'zod';
+import { resourceUri } from './resources.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PROMPT_CATALOG = {
+  draft_queue_reply: {
+    title: 'Draft a reply for a review-queue item',
+    description: 'Draft a reply to the mail in a review-queue item, ready to submit as an outbound draft',
+    promptId: 'mcp.queue.draft_reply',
+    argsSchema: {
+      item_id: z.string().describe('Review queue item id'),
+      instructions: z.string().optional().describe('Extra guidance for the reply (tone, points to make)'),
+    },
+    context: ({ item_id }) => [resourceUri('review_item', { id: item_id })],
+    fallback: ({ instructions }) => [
+      'Draft a reply to the email in the review-queue item below.',
+      'Answer as the recipient organization, keep to facts stated in the message, and do not admit liability or waive privilege.',
+      'Return only the reply body.',
+      instructions ? `Additional guidance: ${instructions}` : null,
+    ].filter(Boolean).join('\n'),
+  },
+  summarize_case_activity: {
+    title: 'Summarize case activity',
+    description: 'Summarize what happened on a case recently: mail, filings, deadlines and open questions',
+    promptId: 'mcp.case.activity_summary',
+    argsSchema: {
+      case: z.string().describe('Case slug (e.g. arias-v-bianchi)'),
+      days: z.string().optional().describe('Look-back window in days (default 7)'),
+    },
+    variables: ({ days }, now = Date.now()) => {
+      const window = Math.max(Number.parseInt(days, 10) || 7, 1);
+      return { days: String(window), since: new Date(now - window * DAY_MS).toISOString() };
+    },
+    context: (args) => [resourceUri('case_timeline', { case: args.case }), resourceUri('calendar_upcoming')],
+    fallback: ({ case: caseSlug, days, since }) => [
+      `Summarize activity on case ${caseSlug} over the last ${days} days (since ${since}), using the timeline below.`,
+      'Group by thread, list new filings and deadlines with dates, and end with open questions and who owes a response.',
+      'Ignore timeline entries older than the window except where needed for context.',
+    ].join('\n'),
+  },
+  review_custody_chain: {
+    title: 'Review an evidence custody chain',
+    description: 'Check an exhibit\'s chain of custody for gaps, unexplained transfers and failed verifications',
+    promptId: 'mcp.evidence.custody_review',
+    argsSchema: {
+      exhibit_id: z.string().describe('Exhibit id'),
+    },
+    context: ({ exhibit_id }) => [resourceUri('evidence_custody', { exhibit_id })],
+    fallback: ({ exhibit_id }) => [
+      `Review the chain of custody for exhibit ${exhibit_id} below.`,
+      'Flag time gaps, transfers without a named actor, and any failed or missing integrity verification, citing the entries.',
+    ].join('\n'),
+  },
+};
+
+/**
+ * Registry variables for a prompt call: its arguments plus any derived
+ * values. Registry variables are strings; absent arguments are dropped.
+ */
+export function promptVariables(def, args = {}, now = Date.now()) {
+  const given = Object.fromEntries(Object.entries(args).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+  return { ...given, ...(def.variables ? def.variables(given, now) : {}) };
+}
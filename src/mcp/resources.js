@@ -0,0 +1,121 @@
+/**
+ * MCP Resource Definitions — read-only views over agent endpoints that the
+ * gateway serves as resources and resource templates. Pure data, no side
+ * effects.
+ *
+ * `uri` uses path variables only (`{id}`). A read runs like a GET tool:
+ * variables fill the agent path's `:params` and the rest, plus `query`, go
+ * on the query string. Definitions marked `sharded` also get a
+ * `chittyrouter://shards/{shard}/...` form addressing one agent shard.
+ * `source` names a non-agent reader in the gateway; those declare their
+ * own `scope`.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
+
+export const RESOURCE_SCHEME = 'chittyrouter://';
+
+const baseResources = {
+  review_queue: {
+    uri: 'chittyrouter://review-queue/pending',
+    title: 'Pending review queue',
+    description: 'Inbound and outbound mail waiting for human review',
+    binding: 'REVIEW_QUEUE_AGENT',
+    path: '/items',
+    query: { status: 'pending' },
+  },
+  review_item: {
+    uri: 'chittyrouter://review-queue/items/{id}',
+    title: 'Review queue item',
+    description: 'One review-queue item with its AI decision and message',
+    binding: 'REVIEW_QUEUE_AGENT',
+    path: '/item/:id',
+  },
+  receipts: {
+    uri: 'chittyrouter://email/receipts',
+    title: 'Recent routing receipts',
+    description: 'The 20 most recent inbound routing confirmations, with thread context',
+    source: 'receipts',
+    scope: 'email:read',
+  },
+  case_timeline: {
+    uri: 'chittyrouter://cases/{case}/timeline',
+    title: 'Case timeline',
+    description: 'Mail on a case in time order, grouped by thread',
+    binding: 'THREAD_AGENT',
+    path: '/timeline',
+  },
+  entity: {
+    uri: 'chittyrouter://entities/{id}',
+    title: 'Entity record',
+    description: 'An entity with its links and timeline',
+    binding: 'ENTITY_AGENT',
+    path: '/get',
+    sharded: true,
+  },
+  evidence_custody: {
+    uri: 'chittyrouter://evidence/{exhibit_id}/custody',
+    title: 'Evidence custody chain',
+    description: 'Chain of custody and verification log for an exhibit',
+    binding: 'EVIDENCE_AGENT',
+    path: '/custody',
+    sharded: true,
+  },
+  calendar_upcoming: {
+    uri: 'chittyrouter://calendar/upcoming',
+    title: 'Upcoming deadlines',
+    description: 'Calendar events and deadlines in the next 30 days',
+    binding: 'CALENDAR_AGENT',
+    path: '/upcoming',
+    sharded: true,
+  },
+};
+
+function withShardForms(defs) {
+  const out = {};
+  for (const [name, def] of Object.entries(defs)) {
+    out[name] = def;
+    if (!def.sharded) continue;
+    out[`${name}_shard`] = {
+      ...def,
+      uri: `${RESOURCE_SCHEME}shards/{shard}/${def.uri.slice(RESOURCE_SCHEME.length)}`,
+      title: `${def.title} (one shard)`,
+      description: `${def.description}, from one org:<slug> or case:<slug> shard`,
+    };
+  }
+  return out;
+}
+
+export const ALL_RESOURCES = withShardForms(baseResources);
+
+/** Variable names in a resource URI, in order. */
+export function resourceVariables(uri) {
+  return [...uri.matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+}
+
+const templates = Object.entries(ALL_RESOURCES).map(([name, def]) => [name, def, new UriTemplate(def.uri)]);
+
+/**
+ * Find the resource a concrete URI belongs to.
+ * @returns {{ name: string, def: object, variables: Record<string, string> } | null}
+ *   variables are percent-decoded
+ */
+export function matchResource(uri) {
+  for (const [name, def, template] of templates) {
+    const match = template.match(uri);
+    if (!match) continue;
+    try {
+      const variables = Object.fromEntries(Object.entries(match).map(([k, v]) => [k, decodeURIComponent(String(v))]));
+      return { name, def, variables };
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/** Concrete URI for a resource and its variables. */
+export function resourceUri(name, variables = {}) {
+  return new UriTemplate(ALL_RESOURCES[name].uri).expand(variables);
+}
@@ -1,11 +1,57 @@
 /**
- * MCP Tool Schemas — Zod v4 schemas for all 39 MCP tools across 12 agents.
+ * MCP Tool Schemas — Zod v4 schemas for the MCP tools of every agent binding.
  * Pure data, no side effects.
  *
+ * A `path` may name parameters (`/jobs/:id/retry`); the gateway fills them
+ * from the tool arguments (expandToolPath) and sends the rest as body/query.
+ *
  * @service chittycanon://core/services/chittyrouter
  */
 import { z } from 'zod';
 
+/**
+ * Add the optional `shard` argument to a sharded agent's tools
+ * (src/utils/agent-shards.js). The gateway strips it before delegating.
+ */
+function sharded(schemas) {
+  const shard = z.string().optional().describe(
+    'Agent shard: org:<slug> or case:<slug> (e.g. org:chittycounsel, case:arias-v-bianchi); "all" fans list/stats tools out across shards. Omit for default routing.',
+  );
+  return Object.fromEntries(Object.entries(schemas).map(([name, def]) => [
+    name,
+    { ...def, schema: def.schema.extend({ shard }) },
+  ]));
+}
+
+/**
+ * Fill a tool path's `:name` segments from its arguments. `.` and `..` are
+ * refused: encodeURIComponent leaves them as they are, and URL parsing would
+ * resolve them into another agent path.
+ * @returns {{ path: string, params: object } | { error: string }} params
+ *   without the ones consumed by the path
+ */
+export function expandToolPath(path, params = {}) {
+  const rest = { ...params };
+  const missing = [];
+  const invalid = [];
+  const expanded = path.replace(/:([A-Za-z_]\w*)/g, (_, name) => {
+    const value = rest[name];
+    delete rest[name];
+    if (value === undefined || value === null || value === '') {
+      missing.push(name);
+      return '';
+    }
+    if (String(value) === '.' || String(value) === '..') {
+      invalid.push(name);
+      return '';
+    }
+    return encodeURIComponent(String(value));
+  });
+  if (missing.length) return { error: `Missing path parameter: ${missing.join(', ')}` };
+  if (invalid.length) return { error: `Invalid path parameter: ${invalid.join(', ')}` };
+  return { path: expanded, params: rest };
+}
+
 // ── Triage Agent (2 tools) ────────────────────────────────────────────
 
 export const triageSchemas = {
@@ -136,7 +182,7 @@ export const documentSchemas = {
 
 // ── Entity Agent (6 tools) ───────────────────────────────────────────
 
-export const entitySchemas = {
+export const entitySchemas = sharded({
   entity__create: {
     description: 'Create a new P/L/T/E/A entity (Person, Location, Thing, Event, Authority)',
     schema: z.object({
@@ -209,11 +255,11 @@ export const entitySchemas = {
     path: '/timeline',
     binding: 'ENTITY_AGENT',
   },
-};
+});
 
-// ── Evidence Agent (5 tools) ─────────────────────────────────────────
+// ── Evidence Agent (8 tools) ─────────────────────────────────────────
 
-export const evidenceSchemas = {
+export const evidenceSchemas = sharded({
   evidence__ingest: {
     description: 'Ingest new evidence with chain of custody tracking',
     schema: z.object({
@@ -231,12 +277,12 @@ export const evidenceSchemas = {
     binding: 'EVIDENCE_AGENT',
   },
   evidence__verify: {
-    description: 'Verify evidence integrity and authenticity',
+    description: 'Verify evidence integrity by re-hashing its stored object server-side',
     schema: z.object({
       exhibit_id: z.string().describe('Exhibit ID to verify'),
       verification_type: z.string().optional().describe('Type of verification (manual, automated, hash)'),
       verifier: z.string().optional().describe('Person/system performing verification'),
-      expected_sha256: z.string().optional().describe('Expected SHA-256 hash'),
+      expected_sha256: z.string().optional().describe('Extra SHA-256 the recomputed hash must also match'),
       notes: z.string().optional(),
     }),
     method: 'POST',
@@ -274,11 +320,41 @@ export const evidenceSchemas = {
     path: '/custody',
     binding: 'EVIDENCE_AGENT',
   },
-};
+  evidence__verify_chain: {
+    description: 'Check a hash-chained custody log for gaps, edits or truncation (all exhibits when exhibit_id is omitted)',
+    schema: z.object({
+      exhibit_id: z.string().optional().describe('Exhibit ID'),
+    }),
+    method: 'GET',
+    path: '/custody/verify-chain',
+    binding: 'EVIDENCE_AGENT',
+  },
+  evidence__export: {
+    description: 'Queue an exhibit packet for a case: Bates-numbered sealed exhibits, custody reports, index and hash manifest as a ZIP in R2',
+    schema: z.object({
+      case_id: z.string().describe('Case ID'),
+      exhibit_ids: z.array(z.string()).optional().describe('Sealed exhibits to include (default: all sealed exhibits of the case)'),
+      bates_prefix: z.string().optional().describe('Bates prefix (default derived from the case ID)'),
+      requested_by: z.string().optional().describe('Person requesting the export'),
+    }),
+    method: 'POST',
+    path: '/export',
+    binding: 'EVIDENCE_AGENT',
+  },
+  evidence__export_status: {
+    description: 'Get an exhibit export job; completed exports include a signed download URL',
+    schema: z.object({
+      export_id: z.string().describe('Export ID returned by evidence__export'),
+    }),
+    method: 'GET',
+    path: '/export/:export_id',
+    binding: 'EVIDENCE_AGENT',
+  },
+});
 
-// ── Calendar Agent (3 tools) ─────────────────────────────────────────
+// ── Calendar Agent (5 tools) ─────────────────────────────────────────
 
-export const calendarSchemas = {
+export const calendarSchemas = sharded({
   calendar__create: {
     description: 'Create a calendar event (court date, filing deadline, lease renewal, etc.)',
     schema: z.object({
@@ -293,9 +369,15 @@ export const calendarSchemas = {
       location: z.string().optional(),
       is_recurring: z.boolean().optional(),
       recurrence_rule: z.string().optional(),
+      recipient: z.string().optional().describe('Who reminders go to (NotificationAgent recipient)'),
+      escalate_to: z.string().optional().describe('Secondary recipient for unacknowledged reminders'),
       reminders: z.array(z.object({
         remind_at: z.string(),
-        channel: z.string().optional(),
+        channel: z.enum(['email', 'slack', 'push', 'sms']).optional(),
+        recipient: z.string().optional(),
+        escalate_to: z.string().optional(),
+        repeat_minutes: z.number().int().optional().describe('Repeat until acknowledged, every N minutes (default 240, min 15)'),
+        escalate_after: z.number().int().optional().describe('Unacknowledged sends before escalating (default 3)'),
       })).optional(),
     }),
     method: 'POST',
@@ -322,11 +404,31 @@ export const calendarSchemas = {
     path: '/urgent',
     binding: 'CALENDAR_AGENT',
   },
-};
+  calendar__acknowledge: {
+    description: 'Acknowledge an event\'s reminders, stopping repeats and escalation',
+    schema: z.object({
+      event_id: z.number().int().describe('Calendar event ID'),
+      by: z.string().optional().describe('Who is acknowledging'),
+      reminder_id: z.number().int().optional().describe('Acknowledge only this reminder'),
+    }),
+    method: 'POST',
+    path: '/events/:event_id/acknowledge',
+    binding: 'CALENDAR_AGENT',
+  },
+  calendar__reminder_history: {
+    description: 'Get an event\'s reminders and their send, escalation and acknowledgement history',
+    schema: z.object({
+      event_id: z.number().int().describe('Calendar event ID'),
+    }),
+    method: 'GET',
+    path: '/events/:event_id/reminders',
+    binding: 'CALENDAR_AGENT',
+  },
+});
 
 // ── Finance Agent (4 tools) ──────────────────────────────────────────
 
-export const financeSchemas = {
+export const financeSchemas = sharded({
   finance__transaction: {
     description: 'Record a financial transaction',
     schema: z.object({
@@ -382,7 +484,7 @@ export const financeSchemas = {
     path: '/summary',
     binding: 'FINANCE_AGENT',
   },
-};
+});
 
 // ── Notification Agent (6 tools) ─────────────────────────────────────
 
@@ -398,6 +500,7 @@ export const notificationSchemas = {
       org: z.string().optional(),
       source_agent: z.string().optional().describe('Originating agent'),
       reference_id: z.string().optional(),
+      bypass_quiet_hours: z.boolean().optional().describe('Deliver during the recipient\'s quiet hours (critical priority only)'),
     }),
     method: 'POST',
     path: '/send',
@@ -412,6 +515,7 @@ export const notificationSchemas = {
       subject: z.string().optional(),
       body: z.string().describe('Notification body'),
       org: z.string().optional(),
+      bypass_quiet_hours: z.boolean().optional().describe('Deliver during quiet hours (critical priority only)'),
     }),
     method: 'POST',
     path: '/broadcast',
@@ -604,6 +708,221 @@ export const messagingSchemas = {
   },
 };
 
+// ── Search Agent (2 tools) ────────────────────────────────────────────
+
+export const searchSchemas = {
+  search__query: {
+    description: 'Hybrid keyword + semantic search across email, attachment text, evidence and entity timelines, with citations to R2 paths and queue IDs. Privileged material is never indexed.',
+    schema: z.object({
+      q: z.string().describe('Search query'),
+      caseSlug: z.string().optional().describe('Filter by case slug'),
+      org: z.string().optional().describe('Filter by organization'),
+      entity: z.string().optional().describe('Filter by entity name'),
+      sourceTypes: z.array(z.enum(['email', 'attachment', 'evidence', 'timeline'])).optional().describe('Restrict to these sources'),
+      since: z.string().optional().describe('ISO date lower bound'),
+      until: z.string().optional().describe('ISO date upper bound'),
+      mode: z.enum(['hybrid', 'keyword', 'vector']).optional().describe('Retrieval mode (default hybrid)'),
+      limit: z.number().optional().describe('Max results (default 10, max 50)'),
+    }),
+    method: 'POST',
+    path: '/search',
+    binding: 'SEARCH_AGENT',
+  },
+  search__status: {
+    description: 'Get search index size by source and whether vector search is enabled',
+    schema: z.object({}),
+    method: 'GET',
+    path: '/status',
+    binding: 'SEARCH_AGENT',
+  },
+};
+
+// ── Security Agent (8 tools) ─────────────────────────────────────────
+
+const incidentId = z.string().describe('Incident id (sec-...)');
+
+export const securitySchemas = {
+  security__ingest: {
+    description: 'Open a security incident (starts the acknowledgement SLA clock)',
+    schema: z.object({
+      reporter: z.string().describe('Reporter email or handle'),
+      subject: z.string().describe('Report subject'),
+      content: z.string().optional().describe('Report body'),
+      message_id: z.string().optional().describe('Message-ID of the reporting email'),
+      recipient: z.string().optional().describe('Address the report was sent to'),
+    }),
+    method: 'POST',
+    path: '/ingest',
+    binding: 'SECURITY_AGENT',
+  },
+  security__acknowledge: {
+    description: 'Acknowledge a received security incident',
+    schema: z.object({
+      id: incidentId,
+      acknowledger: z.string().optional().describe('Who acknowledged; becomes the assignee if none is set'),
+    }),
+    method: 'POST',
+    path: '/acknowledge',
+    binding: 'SECURITY_AGENT',
+  },
+  security__triage: {
+    description: 'Set severity (and the fix SLA for CRITICAL/HIGH) on an incident',
+    schema: z.object({
+      id: incidentId,
+      severity: z.enum(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW']),
+      assignee: z.string().optional(),
+    }),
+    method: 'POST',
+    path: '/triage',
+    binding: 'SECURITY_AGENT',
+  },
+  security__transition: {
+    description: 'Move an incident one step forward in its lifecycle',
+    schema: z.object({
+      id: incidentId,
+      to: z.enum(['received', 'acknowledged', 'triaged', 'fix_in_progress', 'fix_shipped', 'disclosed', 'closed'])
+        .describe('Next state; skipping states is rejected'),
+      note: z.string().optional(),
+    }),
+    method: 'POST',
+    path: '/transition',
+    binding: 'SECURITY_AGENT',
+  },
+  security__open: {
+    description: 'List incidents that are not yet disclosed or closed',
+    schema: z.object({}),
+    method: 'GET',
+    path: '/open',
+    binding: 'SECURITY_AGENT',
+  },
+  security__sla_breaches: {
+    description: 'List incidents past their acknowledgement or fix SLA',
+    schema: z.object({}),
+    method: 'GET',
+    path: '/sla-breaches',
+    binding: 'SECURITY_AGENT',
+  },
+  security__incident: {
+    description: 'Get one security incident with its SLA deadlines and timestamps',
+    schema: z.object({ id: incidentId }),
+    method: 'GET',
+    path: '/incident/:id',
+    binding: 'SECURITY_AGENT',
+  },
+  security__status: {
+    description: 'Get security incident counts by state',
+    schema: z.object({}),
+    method: 'GET',
+    path: '/status',
+    binding: 'SECURITY_AGENT',
+  },
+};
+
+// ── Scrape Agent (7 tools) ───────────────────────────────────────────
+
+const jobId = z.number().int().positive().describe('Scrape job id');
+
+export const scrapeSchemas = {
+  scrape__enqueue: {
+    description: 'Queue a scrape job (court docket, Cook County tax, Mr. Cooper, portal)',
+    schema: z.object({
+      jobType: z.enum(['court_docket', 'cook_county_tax', 'mr_cooper', 'portal_scrape']),
+      target: z.union([z.string(), z.record(z.any())]).describe('Case number, PIN, or target descriptor'),
+      chittyId: z.string().optional(),
+      maxAttempts: z.number().int().positive().optional().describe('Attempts before dead-lettering (default 3)'),
+      scheduledAt: z.string().optional().describe('Earliest run time (ISO 8601, default now)'),
+      cronSource: z.string().optional(),
+      parentJobId: z.number().int().optional(),
+    }),
+    method: 'POST',
+    path: '/enqueue',
+    binding: 'SCRAPE_AGENT',
+  },
+  scrape__process: {
+    description: 'Run due scrape jobs now',
+    schema: z.object({
+      limit: z.number().int().positive().optional().describe('Jobs to run (default 10, max 50)'),
+    }),
+    method: 'POST',
+    path: '/process',
+    binding: 'SCRAPE_AGENT',
+  },
+  scrape__jobs: {
+    description: 'List scrape jobs',
+    schema: z.object({
+      status: z.enum(['queued', 'running', 'completed', 'failed', 'retrying', 'dead_letter']).optional(),
+      type: z.string().optional().describe('Filter by job type'),
+      limit: z.number().optional().describe('Max results (default 50, max 100)'),
+      offset: z.number().optional(),
+    }),
+    method: 'GET',
+    path: '/jobs',
+    binding: 'SCRAPE_AGENT',
+  },
+  scrape__job: {
+    description: 'Get one scrape job with its result or last error',
+    schema: z.object({ id: jobId }),
+    method: 'GET',
+    path: '/jobs/:id',
+    binding: 'SCRAPE_AGENT',
+  },
+  scrape__dead_letters: {
+    description: 'List scrape jobs that exhausted their attempts',
+    schema: z.object({
+      limit: z.number().optional().describe('Max results (default 50, max 100)'),
+    }),
+    method: 'GET',
+    path: '/dead-letters',
+    binding: 'SCRAPE_AGENT',
+  },
+  scrape__retry: {
+    description: 'Requeue a failed or dead-lettered scrape job',
+    schema: z.object({ id: jobId }),
+    method: 'POST',
+    path: '/jobs/:id/retry',
+    binding: 'SCRAPE_AGENT',
+  },
+  scrape__status: {
+    description: 'Get scrape queue counts by status',
+    schema: z.object({}),
+    method: 'GET',
+    path: '/status',
+    binding: 'SCRAPE_AGENT',
+  },
+};
+
+export const disputeOutboxSchemas = {
+  dispute__undelivered: {
+    description: 'List dispute intakes recorded for chittydispute that are not yet acknowledged — pending retry or quarantined — with attempts and last error',
+    schema: z.object({
+      since: z.string().optional().describe('ISO date: recorded at or after'),
+      until: z.string().optional().describe('ISO date: recorded before'),
+      limit: z.number().optional().describe('Max results (default 50, max 200)'),
+    }),
+    method: 'GET',
+    path: '/undelivered',
+    binding: 'DISPUTE_OUTBOX_AGENT',
+  },
+  dispute__replay: {
+    description: 'Requeue the dispute intakes recorded in a date range (at most 31 days) for delivery on the next outbox run, with fresh attempts. Intakes keep their idempotency keys, so chittydispute does not open duplicates.',
+    schema: z.object({
+      since: z.string().describe('ISO date: recorded at or after'),
+      until: z.string().optional().describe('ISO date: recorded before (default now)'),
+      includeDelivered: z.boolean().optional().describe('Also resend acknowledged intakes (default false)'),
+    }),
+    method: 'POST',
+    path: '/replay',
+    binding: 'DISPUTE_OUTBOX_AGENT',
+  },
+  dispute__status: {
+    description: 'Get dispute intake outbox counts by status and the oldest undelivered intake',
+    schema: z.object({}),
+    method: 'GET',
+    path: '/status',
+    binding: 'DISPUTE_OUTBOX_AGENT',
+  },
+};
+
 /**
  * All tool schemas combined into a single map for registration.
  */
@@ -620,4 +939,8 @@ export const ALL_TOOL_SCHEMAS = {
   ...intelligenceSchemas,
   ...webhookSchemas,
   ...messagingSchemas,
+  ...searchSchemas,
+  ...securitySchemas,
+  ...scrapeSchemas,
+  ...disputeOutboxSchemas,
 };
@@ -0,0 +1,326 @@
+/**
+ * Channel drivers for NotificationAgent — one per channel, each doing a real
+ * send and reporting what the provider said:
+ *
+ *   email  the EMAIL_SENDER (send_email) binding, like outbound replies
+ *   slack  a Slack incoming webhook
+ *   sms    a Twilio-compatible Messages API
+ *   push   Web Push with VAPID (src/notifications/web-push.js)
+ *
+ * A notification is `delivered` once the provider accepts it (send_email
+ * resolves, the webhook or API answers 2xx). Failures carry the provider's
+ * status and whether another attempt could help. Each driver has its own
+ * attempt budget; NotificationAgent retries with backoff on a Durable Object
+ * alarm until it runs out, then marks the notification `failed`.
+ *
+ * Where to send comes from the recipient's preference row for the channel
+ * (`address`): an email address, a Slack webhook URL, an E.164 number, or a
+ * push subscription JSON. Without one, email and sms fall back to the
+ * recipient id when it is already an address or number, and slack to
+ * SLACK_WEBHOOK_URL.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { createMimeMessage } from 'mimetext';
+import { extractAddress } from '../config/privilege-gate.js';
+import { newMessageId } from '../email/outbound.js';
+import { PUSH_MAX_PAYLOAD_BYTES, encryptPushPayload, parsePushSubscription, vapidAuthorization } from './web-push.js';
+
+export const NOTIFICATION_CHANNELS = ['email', 'slack', 'push', 'sms'];
+
+// Retries wait a minute, doubling up to an hour.
+export const DELIVERY_BACKOFF_BASE_MS = 60 * 1000;
+export const DELIVERY_BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+const SMS_MAX_CHARS = 1600;
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+const E164_RE = /^\+[1-9]\d{6,14}$/;
+
+export class DeliveryError extends Error {
+  constructor(message, { status = null, retryable = false, channel = null } = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.status = status;
+    this.retryable = retryable;
+    this.channel = channel;
+  }
+}
+
+/** Timeouts, network errors (no status), 408, 429 and server errors. */
+export function isRetryableDeliveryStatus(status) {
+  return status === undefined || status === null || status === 408 || status === 429 || Number(status) >= 500;
+}
+
+/** Delay before the next attempt after `attempts` failed ones. */
+export function deliveryBackoffMs(attempts) {
+  const exponent = Math.max(attempts, 1) - 1;
+  return Math.min(DELIVERY_BACKOFF_BASE_MS * 2 ** exponent, DELIVERY_BACKOFF_MAX_MS);
+}
+
+/**
+ * Notification state after one more failed attempt.
+ *
+ * @returns {{ attempts: number, status: 'retrying'|'failed', nextAttemptAt: number|null }}
+ */
+export function nextDeliveryFailure(previousAttempts, maxAttempts, { retryable = true, now = Date.now() } = {}) {
+  const attempts = (previousAttempts || 0) + 1;
+  if (!retryable || attempts >= maxAttempts) {
+    return { attempts, status: 'failed', nextAttemptAt: null };
+  }
+  return { attempts, status: 'retrying', nextAttemptAt: now + deliveryBackoffMs(attempts) };
+}
+
+async function providerError(channel, res) {
+  const text = await res.text().catch(() => '');
+  let detail = text.slice(0, 200);
+  try {
+    const json = JSON.parse(text);
+    detail = json.message || json.error || detail;
+  } catch { /* plain-text body */ }
+  return new DeliveryError(`${channel} provider returned ${res.status}${detail ? `: ${detail}` : ''}`, {
+    status: res.status,
+    retryable: isRetryableDeliveryStatus(res.status),
+    channel,
+  });
+}
+
+// fetch that turns network failures into retryable DeliveryErrors.
+async function post(channel, url, init) {
+  try {
+    return await fetch(url, { method: 'POST', ...init });
+  } catch (err) {
+    throw new DeliveryError(`${channel} request failed: ${err.message}`, { retryable: true, channel });
+  }
+}
+
+/**
+ * RFC 5322 text for an email notification.
+ * @param {{ from: string, to: string, subject: string, body: string, priority: string, messageId: string }} message
+ */
+export function buildNotificationMime({ from, to, subject, body, priority, messageId }) {
+  const msg = createMimeMessage();
+  msg.setSender(from);
+  msg.setRecipient(to);
+  msg.setSubject(subject);
+  msg.setHeader('Message-ID', messageId);
+  if (priority === 'critical' || priority === 'high') msg.setHeader('Importance', 'high');
+  msg.addMessage({ contentType: 'text/plain', data: body });
+  return msg.asRaw();
+}
+
+/**
+ * @typedef {Object} NotificationMessage
+ * @property {number} id
+ * @property {string} recipient
+ * @property {string|null} address   - from the recipient's preference row
+ * @property {string|null} subject
+ * @property {string} body
+ * @property {string} priority
+ * @property {object|null} metadata
+ */
+
+/**
+ * @typedef {Object} ChannelDriver
+ * @property {string} channel
+ * @property {number} maxAttempts
+ * @property {(env: any) => string[]} missingConfig - env names the driver still needs
+ * @property {(recipient: string, address: string|null, env: any) => string|null} destination
+ * @property {(env: any, to: string, message: NotificationMessage) => Promise<{ providerId: string|null, providerStatus: string|null }>} send
+ */
+
+/** @type {ChannelDriver} */
+const emailDriver = {
+  channel: 'email',
+  maxAttempts: 3,
+  missingConfig: (env) => [
+    ...(env?.EMAIL_SENDER ? [] : ['EMAIL_SENDER']),
+    ...(extractAddress(env?.NOTIFICATION_FROM || env?.OUTBOUND_DEFAULT_FROM || '') ? [] : ['NOTIFICATION_FROM']),
+  ],
+  destination: (recipient, address) => extractAddress(address || '') || extractAddress(recipient) || null,
+  async send(env, to, message) {
+    const from = extractAddress(env.NOTIFICATION_FROM || env.OUTBOUND_DEFAULT_FROM);
+    const messageId = newMessageId(from);
+    const raw = buildNotificationMime({
+      from,
+      to,
+      subject: message.subject || `[${message.priority}] ChittyRouter notification`,
+      body: message.body,
+      priority: message.priority,
+      messageId,
+    });
+    const { EmailMessage } = await import('cloudflare:email');
+    try {
+      await env.EMAIL_SENDER.send(new EmailMessage(from, to, raw));
+    } catch (err) {
+      throw new DeliveryError(`email send failed: ${err.message}`, { retryable: true, channel: 'email' });
+    }
+    return { providerId: messageId, providerStatus: 'accepted' };
+  },
+};
+
+/** @type {ChannelDriver} */
+const slackDriver = {
+  channel: 'slack',
+  maxAttempts: 5,
+  missingConfig: () => [],
+  destination: (recipient, address, env) => {
+    const url = address || env?.SLACK_WEBHOOK_URL || null;
+    return url && /^https:\/\//.test(url) ? url : null;
+  },
+  async send(env, webhookUrl, message) {
+    const lead = message.priority === 'critical' ? ':rotating_light: ' : '';
+    const text = message.subject ? `${lead}*${message.subject}*\n${message.body}` : `${lead}${message.body}`;
+    const res = await post('slack', webhookUrl, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text }),
+    });
+    if (!res.ok) throw await providerError('slack', res);
+    return { providerId: null, providerStatus: (await res.text().catch(() => '')).slice(0, 50) || 'ok' };
+  },
+};
+
+/** @type {ChannelDriver} */
+const smsDriver = {
+  channel: 'sms',
+  maxAttempts: 3,
+  missingConfig: (env) => [
+    ...['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN'].filter((name) => !env?.[name]),
+    ...(env?.TWILIO_FROM_NUMBER || env?.TWILIO_MESSAGING_SERVICE_SID ? [] : ['TWILIO_FROM_NUMBER']),
+  ],
+  destination: (recipient, address) => [address, recipient].find((v) => E164_RE.test(v || '')) || null,
+  async send(env, to, message) {
+    const base = (env.TWILIO_API_BASE || 'https://api.twilio.com').replace(/\/$/, '');
+    const text = message.subject ? `${message.subject}: ${message.body}` : message.body;
+    const form = new URLSearchParams({ To: to, Body: text.slice(0, SMS_MAX_CHARS) });
+    if (env.TWILIO_MESSAGING_SERVICE_SID) form.set('MessagingServiceSid', env.TWILIO_MESSAGING_SERVICE_SID);
+    else form.set('From', env.TWILIO_FROM_NUMBER);
+    const res = await post('sms', `${base}/2010-04-01/Accounts/${encodeURIComponent(env.TWILIO_ACCOUNT_SID)}/Messages.json`, {
+      headers: {
+        Authorization: `Basic ${btoa(`${env.TWILIO_ACCOUNT_SID}:${env.TWILIO_AUTH_TOKEN}`)}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: form.toString(),
+    });
+    if (!res.ok) throw await providerError('sms', res);
+    const data = await res.json().catch(() => ({}));
+    if (data.status === 'failed' || data.status === 'undelivered') {
+      throw new DeliveryError(`sms provider reported ${data.status}${data.error_message ? `: ${data.error_message}` : ''}`, { channel: 'sms' });
+    }
+    return { providerId: data.sid || null, providerStatus: data.status || null };
+  },
+};
+
+const PUSH_URGENCY = { critical: 'high', high: 'high', normal: 'normal', low: 'low' };
+
+const shorten = (text) => `${text.slice(0, Math.floor(text.length * 0.9) - 1)}…`;
+
+/**
+ * JSON the service worker receives, cut to fit one record: the body first,
+ * then the url is dropped, then the title. A payload that still does not fit
+ * is a non-retryable DeliveryError.
+ */
+export function pushPayload(message) {
+  const payload = {
+    id: message.id,
+    title: message.subject || 'ChittyRouter',
+    body: message.body,
+    priority: message.priority,
+    ...(message.metadata?.url ? { url: message.metadata.url } : {}),
+  };
+  const encoder = new TextEncoder();
+  const fits = () => encoder.encode(JSON.stringify(payload)).length <= PUSH_MAX_PAYLOAD_BYTES;
+  while (!fits() && typeof payload.body === 'string' && payload.body.length > 1) payload.body = shorten(payload.body);
+  if (!fits()) delete payload.url;
+  while (!fits() && payload.title.length > 1) payload.title = shorten(payload.title);
+  if (!fits()) throw new DeliveryError(`push payload does not fit in ${PUSH_MAX_PAYLOAD_BYTES} bytes`, { channel: 'push' });
+  return JSON.stringify(payload);
+}
+
+/** @type {ChannelDriver} */
+const pushDriver = {
+  channel: 'push',
+  maxAttempts: 5,
+  missingConfig: (env) => ['VAPID_PUBLIC_KEY', 'VAPID_PRIVATE_KEY', 'VAPID_SUBJECT'].filter((name) => !env?.[name]),
+  destination: (recipient, address) => address || null,
+  async send(env, subscriptionJson, message) {
+    let subscription;
+    try {
+      subscription = parsePushSubscription(subscriptionJson);
+    } catch (err) {
+      throw new DeliveryError(`push subscription unusable: ${err.message}`, { channel: 'push' });
+    }
+    const body = await encryptPushPayload(subscription, pushPayload(message));
+    const res = await post('push', subscription.endpoint, {
+      headers: {
+        Authorization: await vapidAuthorization(subscription.endpoint, {
+          publicKey: env.VAPID_PUBLIC_KEY,
+          privateKey: env.VAPID_PRIVATE_KEY,
+          subject: env.VAPID_SUBJECT,
+        }),
+        'Content-Encoding': 'aes128gcm',
+        'Content-Type': 'application/octet-stream',
+        TTL: String(PUSH_TTL_SECONDS),
+        Urgency: PUSH_URGENCY[message.priority] || 'normal',
+      },
+      body,
+    });
+    if (res.status === 404 || res.status === 410) {
+      throw new DeliveryError(`push subscription expired (${res.status}); the recipient must subscribe again`, {
+        status: res.status,
+        channel: 'push',
+      });
+    }
+    if (!res.ok) throw await providerError('push', res);
+    return { providerId: res.headers.get('Location'), providerStatus: String(res.status) };
+  },
+};
+
+export const CHANNEL_DRIVERS = {
+  email: emailDriver,
+  slack: slackDriver,
+  sms: smsDriver,
+  push: pushDriver,
+};
+
+/** Which drivers can send with this env, and what each is missing. */
+export function driverStatus(env) {
+  return NOTIFICATION_CHANNELS.map((channel) => {
+    const driver = CHANNEL_DRIVERS[channel];
+    const missing = driver.missingConfig(env);
+    return { channel, configured: missing.length === 0, missing, maxAttempts: driver.maxAttempts };
+  });
+}
+
+/**
+ * One delivery attempt. Never throws.
+ *
+ * @param {any} env
+ * @param {string} channel
+ * @param {NotificationMessage} message
+ * @returns {Promise<{ ok: true, providerId: string|null, providerStatus: string|null }
+ *   | { ok: false, error: string, status: number|null, retryable: boolean }>}
+ */
+export async function sendThroughDriver(env, channel, message) {
+  const driver = CHANNEL_DRIVERS[channel];
+  if (!driver) return { ok: false, error: `no driver for channel ${channel}`, status: null, retryable: false };
+  const missing = driver.missingConfig(env);
+  if (missing.length) {
+    return { ok: false, error: `${channel} driver not configured: ${missing.join(', ')}`, status: null, retryable: false };
+  }
+  const to = driver.destination(message.recipient, message.address, env);
+  if (!to) {
+    return { ok: false, error: `no ${channel} destination for ${message.recipient}`, status: null, retryable: false };
+  }
+  try {
+    const { providerId, providerStatus } = await driver.send(env, to, message);
+    return { ok: true, providerId, providerStatus };
+  } catch (err) {
+    return {
+      ok: false,
+      error: err.message,
+      status: err.status ?? null,
+      retryable: err instanceof DeliveryError ? err.retryable : true,
+    };
+  }
+}
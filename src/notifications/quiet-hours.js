@@ -0,0 +1,85 @@
+/**
+ * Quiet hours for NotificationAgent.
+ *
+ * A preference row (recipient, channel, org) may carry quiet_start and
+ * quiet_end as local `HH:MM` clock times plus the recipient's IANA timezone.
+ * A window whose start is after its end runs through midnight (22:00–07:00).
+ * A notification that falls inside the window is deferred to the moment it
+ * ends; NotificationAgent holds it and wakes on a Durable Object alarm.
+ * Critical notifications may bypass quiet hours, but only when the sender
+ * asks for it explicitly.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+const CLOCK_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+/** Minutes after midnight for `HH:MM`, or null. */
+export function parseClock(value) {
+  const match = CLOCK_RE.exec(String(value ?? ''));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Fractional minutes after local midnight at `date` in `timeZone`. */
+export function localMinutes(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date).map((p) => [p.type, p.value]));
+  return Number(parts.hour) * 60 + Number(parts.minute) + Number(parts.second) / 60;
+}
+
+/**
+ * When the quiet window covering `now` ends, or null if `now` is outside it
+ * (or the preference has no usable window).
+ *
+ * @param {{ quiet_start?: string|null, quiet_end?: string|null, timezone?: string|null }} preference
+ * @param {Date} [now]
+ * @returns {Date|null}
+ */
+export function quietHoursEnd(preference, now = new Date(), defaultTimeZone = DEFAULT_TIMEZONE) {
+  const start = parseClock(preference?.quiet_start);
+  const end = parseClock(preference?.quiet_end);
+  if (start === null || end === null || start === end) return null;
+  const timeZone = preference.timezone && isValidTimeZone(preference.timezone) ? preference.timezone : defaultTimeZone;
+
+  const minutes = localMinutes(now, timeZone);
+  const inside = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  if (!inside) return null;
+
+  const wait = (end - minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  let until = new Date(now.getTime() + Math.round(wait * 60_000));
+  // A DST change inside the window moves the local end by the shift; correct once.
+  const drift = localMinutes(until, timeZone) - end;
+  if (Math.abs(drift) >= 1 && Math.abs(drift) < MINUTES_PER_DAY / 2) {
+    until = new Date(until.getTime() - Math.round(drift * 60_000));
+  }
+  return until;
+}
+
+/**
+ * Send now or hold until quiet hours end.
+ *
+ * @param {{ priority: string, bypassQuietHours?: boolean, preference?: object|null, now?: Date, defaultTimeZone?: string }} input
+ * @returns {{ action: 'send' } | { action: 'defer', until: Date }}
+ */
+export function quietHoursDecision({ priority, bypassQuietHours = false, preference, now = new Date(), defaultTimeZone }) {
+  if (priority === 'critical' && bypassQuietHours) return { action: 'send' };
+  const until = quietHoursEnd(preference, now, defaultTimeZone);
+  return until ? { action: 'defer', until } : { action: 'send' };
+}
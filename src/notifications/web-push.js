@@ -0,0 +1,134 @@
+/**
+ * Web Push — VAPID authentication (RFC 8292) and aes128gcm payload
+ * encryption (RFC 8188 / RFC 8291) on WebCrypto, for NotificationAgent's
+ * `push` channel driver (src/notifications/channel-drivers.js).
+ *
+ * A push subscription is what the browser's PushManager.subscribe() returns:
+ *   { endpoint, keys: { p256dh, auth } }
+ * with both keys base64url. The VAPID keypair is VAPID_PUBLIC_KEY (65-byte
+ * uncompressed P-256 point) and VAPID_PRIVATE_KEY (32-byte scalar), both
+ * base64url — the format `web-push generate-vapid-keys` prints.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+const enc = new TextEncoder();
+
+// One record per message. RFC 8291 §4 caps the whole encrypted body at 4096
+// octets, so the payload gets what is left after the 86-byte aes128gcm header
+// (salt, rs, idlen, 65-byte key), the padding delimiter and the 16-byte tag.
+export const PUSH_RECORD_SIZE = 4096;
+const PUSH_HEADER_BYTES = 16 + 4 + 1 + 65;
+export const PUSH_MAX_PAYLOAD_BYTES = PUSH_RECORD_SIZE - PUSH_HEADER_BYTES - 1 - 16;
+
+// VAPID JWTs may live at most 24 hours (RFC 8292 §2).
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+export function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const b of new Uint8Array(bytes)) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64UrlDecode(text) {
+  const b64 = String(text).replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+async function hkdf(salt, ikm, info, length) {
+  const key = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info }, key, length * 8);
+  return new Uint8Array(bits);
+}
+
+/**
+ * Parse and check a stored push subscription (object or JSON string).
+ * @returns {{ endpoint: string, p256dh: Uint8Array, auth: Uint8Array }}
+ */
+export function parsePushSubscription(subscription) {
+  const sub = typeof subscription === 'string' ? JSON.parse(subscription) : subscription;
+  if (!sub?.endpoint || !/^https:\/\//.test(sub.endpoint)) throw new Error('push subscription needs an https endpoint');
+  const p256dh = base64UrlDecode(sub.keys?.p256dh || '');
+  const auth = base64UrlDecode(sub.keys?.auth || '');
+  if (p256dh.length !== 65 || p256dh[0] !== 4) throw new Error('push subscription p256dh must be an uncompressed P-256 key');
+  if (auth.length !== 16) throw new Error('push subscription auth secret must be 16 bytes');
+  return { endpoint: sub.endpoint, p256dh, auth };
+}
+
+/**
+ * Encrypt a payload for one subscription (RFC 8291 §3.4). `serverKeys` and
+ * `salt` are only passed by tests; each message normally gets fresh ones.
+ *
+ * @param {{ p256dh: Uint8Array, auth: Uint8Array }} subscription
+ * @param {Uint8Array|string} payload
+ * @returns {Promise<Uint8Array>} the aes128gcm body
+ */
+export async function encryptPushPayload(subscription, payload, { serverKeys, salt } = {}) {
+  const plaintext = typeof payload === 'string' ? enc.encode(payload) : payload;
+  if (plaintext.length > PUSH_MAX_PAYLOAD_BYTES) throw new Error(`push payload exceeds ${PUSH_MAX_PAYLOAD_BYTES} bytes`);
+
+  const asKeys = serverKeys || await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+  const asPublic = new Uint8Array(await crypto.subtle.exportKey('raw', asKeys.publicKey));
+  const uaPublic = await crypto.subtle.importKey('raw', subscription.p256dh, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+  const ecdhSecret = new Uint8Array(await crypto.subtle.deriveBits({ name: 'ECDH', public: uaPublic }, asKeys.privateKey, 256));
+
+  const keyInfo = concat(enc.encode('WebPush: info\0'), subscription.p256dh, asPublic);
+  const ikm = await hkdf(subscription.auth, ecdhSecret, keyInfo, 32);
+  const recordSalt = salt || crypto.getRandomValues(new Uint8Array(16));
+  const cek = await hkdf(recordSalt, ikm, enc.encode('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = await hkdf(recordSalt, ikm, enc.encode('Content-Encoding: nonce\0'), 12);
+
+  const aesKey = await crypto.subtle.importKey('raw', cek, 'AES-GCM', false, ['encrypt']);
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: nonce },
+    aesKey,
+    concat(plaintext, new Uint8Array([2])), // 0x02: last (and only) record
+  ));
+
+  const header = new Uint8Array(16 + 4 + 1 + asPublic.length);
+  header.set(recordSalt, 0);
+  new DataView(header.buffer).setUint32(16, PUSH_RECORD_SIZE);
+  header[20] = asPublic.length;
+  header.set(asPublic, 21);
+  return concat(header, ciphertext);
+}
+
+/**
+ * `Authorization: vapid t=<jwt>, k=<public key>` for a push endpoint.
+ *
+ * @param {string} endpoint
+ * @param {{ publicKey: string, privateKey: string, subject: string }} vapid - base64url keys; subject is a mailto: or https: URL
+ * @returns {Promise<string>}
+ */
+export async function vapidAuthorization(endpoint, { publicKey, privateKey, subject }, now = Date.now()) {
+  const pub = base64UrlDecode(publicKey);
+  if (pub.length !== 65 || pub[0] !== 4) throw new Error('VAPID_PUBLIC_KEY must be an uncompressed P-256 key');
+  const key = await crypto.subtle.importKey('jwk', {
+    kty: 'EC',
+    crv: 'P-256',
+    x: base64UrlEncode(pub.slice(1, 33)),
+    y: base64UrlEncode(pub.slice(33, 65)),
+    d: privateKey,
+  }, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+
+  const header = base64UrlEncode(enc.encode(JSON.stringify({ typ: 'JWT', alg: 'ES256' })));
+  const claims = base64UrlEncode(enc.encode(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + VAPID_TOKEN_TTL_SECONDS,
+    sub: subject,
+  })));
+  // WebCrypto ECDSA signatures are already the raw r||s form JWS wants.
+  const signature = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, key, enc.encode(`${header}.${claims}`));
+  return `vapid t=${header}.${claims}.${base64UrlEncode(signature)}, k=${publicKey}`;
+}
@@ -0,0 +1,509 @@
+/**
+ * Search index — documents, chunking, query parsing and rank fusion for the
+ * SearchAgent (src/agents/search-agent.js), plus the client the email
+ * handler, the extraction pipeline and the evidence/entity agents use to
+ * feed it.
+ *
+ * Four document sources, each built by one function here:
+ *
+ *   email       inbound subject + decoded body       cites queueId, messageId, threadId
+ *   attachment  extracted text (extraction-pipeline) cites R2 key, page, messageId
+ *   evidence    exhibit title/metadata + its text    cites exhibitId, R2 key
+ *   timeline    entity timeline events               cites entityId, event id
+ *
+ * Privileged material is excluded by construction: every builder returns
+ * null for F-L10 privileged / metadata-only input, the agent rejects any
+ * document still carrying those flags, and when a thread turns privileged
+ * the handler purges and blocks all of its Message-IDs (purgeIndexed), so
+ * late attachment extractions for those messages are refused too.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { callAgent } from '../utils/agent-client.js';
+import { parseMessageIds } from '../email/threads.js';
+
+export const SEARCH_BINDING = 'SEARCH_AGENT';
+export const EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+export const SOURCE_TYPES = ['email', 'attachment', 'evidence', 'timeline'];
+export const SEARCH_MODES = ['hybrid', 'keyword', 'vector'];
+export const CHUNK_CHARS = 1200;
+export const CHUNK_OVERLAP = 150;
+export const MAX_CHUNKS_PER_DOC = 200;
+export const SEARCH_LIMIT_DEFAULT = 10;
+export const SEARCH_LIMIT_MAX = 50;
+export const QUERY_MAX_CHARS = 500;
+/** Reciprocal-rank-fusion constant (Cormack et al.); damps the top ranks. */
+export const RRF_K = 60;
+const MAX_QUERY_TERMS = 16;
+const EMBED_BATCH = 50;
+const SNIPPET_CHARS = 240;
+
+/**
+ * @typedef {Object} SearchCitation
+ * @property {string} [r2Key]
+ * @property {string} [queueId]
+ * @property {string} [messageId]
+ * @property {string} [threadId]
+ * @property {string} [exhibitId]
+ * @property {number} [entityId]
+ * @property {number} [timelineEventId]
+ *
+ * @typedef {Object} SearchDocument
+ * @property {string} id              - stable per source object; re-indexing replaces its chunks
+ * @property {'email'|'attachment'|'evidence'|'timeline'} sourceType
+ * @property {string} title
+ * @property {string} text
+ * @property {Array<{ label: string, start: number, end: number }>} [pages] - page map into `text`
+ * @property {string|null} caseSlug
+ * @property {string|null} org
+ * @property {string|null} entity
+ * @property {string} at              - ISO time of the underlying event
+ * @property {SearchCitation} citation
+ * @property {string[]} messageIds    - Message-IDs the content came from (purge/block key)
+ */
+
+/** ISO time from an ISO string or a SQLite `datetime('now')` value (UTC). */
+function isoTime(value) {
+  const t = typeof value === 'string'
+    ? Date.parse(/^\d{4}-\d\d-\d\d \d/.test(value) ? `${value.replace(' ', 'T')}Z` : value)
+    : NaN;
+  return new Date(Number.isNaN(t) ? Date.now() : t).toISOString();
+}
+
+/** F-L10 flags, as set on emailData, thread messages and evidence metadata. */
+export function isPrivilegedSource(source) {
+  return source?.privileged === true
+    || source?.metadataOnly === true
+    || source?.aliasDecision?.metadataOnly === true;
+}
+
+/**
+ * @param {object} emailData - handler emailData (privileged/aliasDecision set)
+ * @param {object} triage
+ * @param {{ body: string, queueId?: string, threadId?: string, org?: string }} opts
+ * @returns {SearchDocument|null} null for privileged mail or a missing Message-ID
+ */
+export function emailSearchDocument(emailData, triage, { body, queueId = null, threadId = null, org = null }) {
+  if (isPrivilegedSource(emailData)) return null;
+  const messageId = parseMessageIds(emailData.id)[0];
+  if (!messageId) return null;
+  const subject = emailData.subject || '';
+  return {
+    id: `email:${messageId}`,
+    sourceType: 'email',
+    title: subject,
+    text: `${subject}\n\nFrom: ${emailData.from || ''}\nTo: ${emailData.to || ''}\n\n${body || ''}`.trim(),
+    caseSlug: triage?.caseSlug ?? null,
+    org,
+    entity: triage?.entity ?? null,
+    at: emailData.timestamp || new Date().toISOString(),
+    citation: { queueId, messageId, threadId },
+    messageIds: [messageId],
+  };
+}
+
+/** Search document id of an R2 object's extracted text. */
+export function attachmentDocId(key) {
+  return `r2:${key}`;
+}
+
+/**
+ * @param {object} manifest - extraction manifest (extraction-pipeline.js)
+ * @param {string|null} text
+ * @param {{ filename?: string, caseSlug?: string, org?: string, entity?: string, at?: string }} [tags]
+ * @returns {SearchDocument|null}
+ */
+export function attachmentSearchDocument(manifest, text, tags = {}) {
+  if (!manifest?.key || !text || manifest.status !== 'ok' || isPrivilegedSource(tags)) return null;
+  const messageId = parseMessageIds(manifest.messageId)[0];
+  return {
+    id: attachmentDocId(manifest.key),
+    sourceType: 'attachment',
+    title: tags.filename || manifest.key.split('/').pop(),
+    text,
+    pages: manifest.pages,
+    caseSlug: tags.caseSlug ?? null,
+    org: tags.org ?? null,
+    entity: tags.entity ?? null,
+    at: tags.at || manifest.extractedAt || new Date().toISOString(),
+    citation: { r2Key: manifest.key, ...(messageId ? { messageId } : {}) },
+    messageIds: messageId ? [messageId] : [],
+  };
+}
+
+/**
+ * @param {object} item - EvidenceAgent row shape (metadata parsed)
+ * @param {string|null} [text] - extracted text of item.r2_path, if any
+ * @param {{ shard?: string|null }} [opts] - EvidenceAgent shard holding the row
+ * @returns {SearchDocument|null}
+ */
+export function evidenceSearchDocument(item, text = null, { shard = null } = {}) {
+  if (!item?.exhibit_id || isPrivilegedSource(item.metadata)) return null;
+  const lines = [
+    item.title,
+    `Exhibit ${item.exhibit_id} (${item.category || 'other'})`,
+    item.source && `Source: ${item.source}`,
+    item.metadata?.description,
+    text,
+  ].filter(Boolean);
+  const messageId = parseMessageIds(item.metadata?.messageId)[0];
+  return {
+    id: `evidence:${item.exhibit_id}`,
+    sourceType: 'evidence',
+    title: item.title,
+    text: lines.join('\n\n'),
+    caseSlug: item.case_id ?? null,
+    org: item.org ?? null,
+    entity: item.metadata?.entity ?? null,
+    at: isoTime(item.created_at),
+    citation: {
+      exhibitId: item.exhibit_id,
+      ...(item.r2_path ? { r2Key: item.r2_path } : {}),
+      ...(shard ? { shard } : {}),
+    },
+    messageIds: messageId ? [messageId] : [],
+  };
+}
+
+export function timelineDocId(entityId, eventId, shard = null) {
+  return shard ? `timeline:${shard}:${entityId}:${eventId}` : `timeline:${entityId}:${eventId}`;
+}
+
+/**
+ * @param {object} entity - EntityAgent row (metadata parsed)
+ * @param {{ id: number, event_type: string, description?: string, actor?: string, occurred_at?: string, metadata?: object }} event
+ * @param {{ shard?: string|null }} [opts] - EntityAgent shard; its ids are
+ *   only unique within it, so the shard is part of the document id
+ * @returns {SearchDocument|null}
+ */
+export function timelineSearchDocument(entity, event, { shard = null } = {}) {
+  if (!entity || !event || isPrivilegedSource(entity.metadata) || isPrivilegedSource(event.metadata)) return null;
+  const messageId = parseMessageIds(event.metadata?.messageId)[0];
+  return {
+    id: timelineDocId(entity.id, event.id, shard),
+    sourceType: 'timeline',
+    title: `${entity.name}: ${event.event_type}`,
+    text: [`${entity.name} — ${event.event_type}`, event.description, event.actor && `Actor: ${event.actor}`].filter(Boolean).join('\n'),
+    caseSlug: event.metadata?.caseSlug ?? null,
+    org: entity.org ?? null,
+    entity: entity.name,
+    at: isoTime(event.occurred_at),
+    citation: { entityId: entity.id, timelineEventId: event.id, ...(shard ? { shard } : {}) },
+    messageIds: messageId ? [messageId] : [],
+  };
+}
+
+/**
+ * Split text into ~CHUNK_CHARS windows that end at a paragraph, sentence or
+ * word boundary where one is near, overlapping by CHUNK_OVERLAP.
+ *
+ * @returns {Array<{ start: number, end: number, text: string }>}
+ */
+export function chunkText(text, { size = CHUNK_CHARS, overlap = CHUNK_OVERLAP, max = Infinity } = {}) {
+  const chunks = [];
+  let pos = 0;
+  while (pos < text.length && chunks.length < max) {
+    let end = Math.min(text.length, pos + size);
+    if (end < text.length) {
+      // Search only the back half of the window, never the whole text.
+      const floor = pos + Math.floor(size / 2);
+      const tail = text.slice(floor, end);
+      const para = tail.lastIndexOf('\n\n');
+      const sentence = Math.max(tail.lastIndexOf('. '), tail.lastIndexOf('\n'));
+      const word = tail.lastIndexOf(' ');
+      if (para > 0) end = floor + para;
+      else if (sentence > 0) end = floor + sentence + 1;
+      else if (word > 0) end = floor + word;
+    }
+    const piece = text.slice(pos, end).trim();
+    if (piece) chunks.push({ start: pos, end, text: piece });
+    if (end >= text.length) break;
+    const next = Math.max(end - overlap, pos + 1);
+    const space = text.slice(next, end).indexOf(' ');
+    pos = space === -1 ? next : next + space + 1;
+  }
+  return chunks;
+}
+
+/**
+ * Chunks for a document, each labelled with its page when the document has
+ * a page map. Capped at MAX_CHUNKS_PER_DOC.
+ *
+ * @param {SearchDocument} doc
+ * @returns {{ chunks: Array<{ index: number, text: string, page: string|null }>, truncated: boolean }}
+ */
+export function chunkDocument(doc) {
+  const spans = doc.pages?.length ? doc.pages : [{ label: null, start: 0, end: doc.text.length }];
+  const chunks = [];
+  for (const span of spans) {
+    const room = MAX_CHUNKS_PER_DOC - chunks.length;
+    for (const c of chunkText(doc.text.slice(span.start, span.end), { max: room + 1 })) {
+      if (chunks.length >= MAX_CHUNKS_PER_DOC) return { chunks, truncated: true };
+      chunks.push({ index: chunks.length, text: c.text, page: span.label ?? null });
+    }
+  }
+  return { chunks, truncated: false };
+}
+
+/**
+ * Validate a document before indexing.
+ * @returns {string|null} error, null when indexable
+ */
+export function validateSearchDocument(doc) {
+  if (!doc || typeof doc !== 'object') return 'document must be an object';
+  if (isPrivilegedSource(doc)) return 'privileged material is never indexed';
+  if (!doc.id || typeof doc.id !== 'string') return 'id is required';
+  if (!SOURCE_TYPES.includes(doc.sourceType)) return `sourceType must be one of: ${SOURCE_TYPES.join(', ')}`;
+  if (typeof doc.text !== 'string' || !doc.text.trim()) return 'text is required';
+  return null;
+}
+
+/** Vector ids are capped at 64 bytes, so chunk ids hash the document id. */
+export async function chunkId(docId, index) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(docId));
+  const hex = [...new Uint8Array(digest)].slice(0, 16).map((b) => b.toString(16).padStart(2, '0')).join('');
+  return `${hex}:${index}`;
+}
+
+const first = (v) => (Array.isArray(v) ? v[0] : v);
+
+/**
+ * Parse a search request from a JSON body or query string.
+ *
+ * @param {object|URLSearchParams} input
+ * @returns {{ query: { q: string, limit: number, mode: string, filters: object } } | { error: string }}
+ */
+export function parseSearchRequest(input) {
+  const get = input instanceof URLSearchParams
+    ? (k) => input.get(k)
+    : (k) => input?.[k];
+  const q = String(first(get('q') ?? get('query')) ?? '').trim();
+  if (!q) return { error: 'q is required' };
+  if (q.length > QUERY_MAX_CHARS) return { error: `q must be at most ${QUERY_MAX_CHARS} characters` };
+
+  let limit = SEARCH_LIMIT_DEFAULT;
+  if (get('limit') !== undefined && get('limit') !== null && get('limit') !== '') {
+    limit = Number(get('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_LIMIT_MAX) {
+      return { error: `limit must be an integer between 1 and ${SEARCH_LIMIT_MAX}` };
+    }
+  }
+
+  const mode = get('mode') || 'hybrid';
+  if (!SEARCH_MODES.includes(mode)) return { error: `mode must be one of: ${SEARCH_MODES.join(', ')}` };
+
+  let sourceTypes = get('sourceTypes') ?? get('source_types') ?? get('sourceType') ?? get('source_type');
+  if (typeof sourceTypes === 'string') sourceTypes = sourceTypes.split(',').map((s) => s.trim()).filter(Boolean);
+  if (sourceTypes !== undefined && sourceTypes !== null) {
+    if (!Array.isArray(sourceTypes) || sourceTypes.some((s) => !SOURCE_TYPES.includes(s))) {
+      return { error: `sourceTypes must be drawn from: ${SOURCE_TYPES.join(', ')}` };
+    }
+  }
+
+  const filters = {};
+  for (const [key, aliases] of [['caseSlug', ['caseSlug', 'case_slug', 'case']], ['org', ['org']], ['entity', ['entity']]]) {
+    const value = aliases.map(get).find((v) => v !== undefined && v !== null && v !== '');
+    if (value !== undefined) filters[key] = String(value);
+  }
+  for (const key of ['since', 'until']) {
+    const value = get(key);
+    if (value === undefined || value === null || value === '') continue;
+    if (Number.isNaN(Date.parse(value))) return { error: `${key} must be an ISO date` };
+    filters[key] = new Date(value).toISOString();
+  }
+  if (sourceTypes?.length) filters.sourceTypes = [...new Set(sourceTypes)];
+
+  return { query: { q, limit, mode, filters } };
+}
+
+/** Flatten a parsed query back to a POST body for the agent. */
+export function searchQueryBody(query) {
+  return { q: query.q, limit: query.limit, mode: query.mode, ...query.filters };
+}
+
+/**
+ * FTS5 MATCH expression: each word quoted (so FTS operators in user input
+ * are inert), OR-ed so bm25 ranks documents with more terms first.
+ * @returns {string|null} null when the query has no indexable terms
+ */
+export function ftsMatchExpression(q) {
+  const terms = [...new Set(String(q).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])].slice(0, MAX_QUERY_TERMS);
+  return terms.length ? terms.map((t) => `"${t}"`).join(' OR ') : null;
+}
+
+/**
+ * SQL WHERE clauses for the search filters against search_chunks.
+ * @returns {{ where: string[], params: any[] }}
+ */
+export function filterClauses(filters, alias = 'c') {
+  const where = [];
+  const params = [];
+  for (const [key, column] of [['caseSlug', 'case_slug'], ['org', 'org'], ['entity', 'entity']]) {
+    if (!filters[key]) continue;
+    where.push(`${alias}.${column} = ?`);
+    params.push(filters[key]);
+  }
+  if (filters.sourceTypes?.length) {
+    where.push(`${alias}.source_type IN (${filters.sourceTypes.map(() => '?').join(', ')})`);
+    params.push(...filters.sourceTypes);
+  }
+  if (filters.since) {
+    where.push(`${alias}.at >= ?`);
+    params.push(filters.since);
+  }
+  if (filters.until) {
+    where.push(`${alias}.at <= ?`);
+    params.push(filters.until);
+  }
+  return { where, params };
+}
+
+/**
+ * Vectorize metadata filter for the equality filters (ranges are applied
+ * when hits are hydrated). Each key needs a metadata index on the Vectorize
+ * index: `wrangler vectorize create-metadata-index <index> --property-name=<key> --type=string`.
+ */
+export function vectorFilter(filters) {
+  const out = {};
+  if (filters.caseSlug) out.caseSlug = { $eq: filters.caseSlug };
+  if (filters.org) out.org = { $eq: filters.org };
+  if (filters.entity) out.entity = { $eq: filters.entity };
+  if (filters.sourceTypes?.length) out.sourceType = { $in: filters.sourceTypes };
+  return out;
+}
+
+/**
+ * Reciprocal rank fusion of ranked id lists.
+ *
+ * @param {{ keyword?: string[], vector?: string[] }} rankings - ids best first
+ * @returns {Array<{ id: string, score: number, keywordRank: number|null, vectorRank: number|null }>}
+ */
+export function fuseRankings({ keyword = [], vector = [] }, k = RRF_K) {
+  const fused = new Map();
+  const add = (ids, field) => ids.forEach((id, i) => {
+    const entry = fused.get(id) || { id, score: 0, keywordRank: null, vectorRank: null };
+    if (entry[field] !== null) return;
+    entry[field] = i + 1;
+    entry.score += 1 / (k + i + 1);
+    fused.set(id, entry);
+  });
+  add(keyword, 'keywordRank');
+  add(vector, 'vectorRank');
+  return [...fused.values()].sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+}
+
+/** First SNIPPET_CHARS of a chunk, on a word boundary. */
+export function leadSnippet(text) {
+  if (text.length <= SNIPPET_CHARS) return text;
+  const cut = text.lastIndexOf(' ', SNIPPET_CHARS);
+  return `${text.slice(0, cut > 0 ? cut : SNIPPET_CHARS)}…`;
+}
+
+/**
+ * Turn fused hits into results: one per document (its best chunk), only for
+ * chunks that survived hydration — rows the filters excluded or a purge
+ * removed are dropped here even if the vector index still returned them.
+ *
+ * @param {ReturnType<typeof fuseRankings>} fused
+ * @param {object[]} rows - search_chunks rows for the hit ids
+ * @param {{ limit: number, snippets?: Map<string, string> }} opts
+ */
+export function buildSearchResults(fused, rows, { limit, snippets = new Map() }) {
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  const seen = new Set();
+  const results = [];
+  for (const hit of fused) {
+    const row = byId.get(hit.id);
+    if (!row || seen.has(row.doc_id)) continue;
+    seen.add(row.doc_id);
+    results.push({
+      docId: row.doc_id,
+      chunkId: row.id,
+      sourceType: row.source_type,
+      title: row.title,
+      snippet: snippets.get(row.id) || leadSnippet(row.text),
+      page: row.page ?? null,
+      caseSlug: row.case_slug ?? null,
+      org: row.org ?? null,
+      entity: row.entity ?? null,
+      at: row.at,
+      score: Number(hit.score.toFixed(6)),
+      matchedBy: [hit.keywordRank && 'keyword', hit.vectorRank && 'vector'].filter(Boolean),
+      citation: { ...JSON.parse(row.citation || '{}'), ...(row.page ? { page: row.page } : {}) },
+    });
+    if (results.length >= limit) break;
+  }
+  return results;
+}
+
+/**
+ * Embed texts with a Workers AI embedding model, EMBED_BATCH at a time.
+ * @returns {Promise<number[][]>}
+ */
+export async function embedTexts(ai, texts, model = EMBEDDING_MODEL) {
+  const out = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH) {
+    const res = await ai.run(model, { text: texts.slice(i, i + EMBED_BATCH) });
+    if (!Array.isArray(res?.data)) throw new Error(`embedding model ${model} returned no vectors`);
+    out.push(...res.data);
+  }
+  return out;
+}
+
+// ============ Client ============
+
+export function callSearchIndex(env, path, opts) {
+  return callAgent(env, SEARCH_BINDING, path, opts);
+}
+
+/**
+ * Index documents; nulls (privileged or empty sources) are dropped first.
+ * Never throws — indexing must not fail the caller.
+ *
+ * @param {object} env
+ * @param {Array<SearchDocument|null>} documents
+ * @returns {Promise<object|null>} the agent's per-document results, or null
+ */
+export async function indexDocuments(env, documents) {
+  const docs = (documents || []).filter(Boolean);
+  if (!docs.length) return null;
+  try {
+    const res = await callSearchIndex(env, '/index', { method: 'POST', body: { documents: docs } });
+    if (res?.status === 200) return res.data;
+    if (res) console.error(`[search] index returned ${res.status} for ${docs.map((d) => d.id).join(', ')}`);
+  } catch (err) {
+    console.error('[search] indexing failed:', err?.message || err);
+  }
+  return null;
+}
+
+/** indexDocuments off the request path when an execution context is available. */
+export async function scheduleIndexing(env, ctx, documents) {
+  const task = indexDocuments(env, documents);
+  if (ctx && typeof ctx.waitUntil === 'function') {
+    ctx.waitUntil(task);
+    return null;
+  }
+  return task;
+}
+
+/**
+ * Remove indexed documents. Everything from `messageIds` is also refused in
+ * future (a thread that turned privileged); `docIds` are removed only (a
+ * moved object). Never throws.
+ *
+ * @param {object} env
+ * @param {{ messageIds?: string[], docIds?: string[], threadId?: string, reason: string }} purge
+ */
+export async function purgeIndexed(env, { messageIds = [], docIds = [], threadId = null, reason }) {
+  if (!messageIds.length && !docIds.length) return null;
+  try {
+    const res = await callSearchIndex(env, '/purge', { method: 'POST', body: { messageIds, docIds, threadId, reason } });
+    if (res?.status === 200) return res.data;
+    if (res) console.error(`[search] purge returned ${res.status} for thread ${threadId}`);
+  } catch (err) {
+    console.error('[search] purge failed:', err?.message || err);
+  }
+  return null;
+}
@@ -21,26 +21,51 @@ export class VectorStore {
     this.vectorize = env.VECTORIZE;
   }
 
-  async search(query, namespace = 'default') {
-    if (!this.vectorize) return [];
+  get available() {
+    return Boolean(this.vectorize);
+  }
 
-    return await this.vectorize.query({
-      vector: query,
-      namespace,
-      topK: 10,
+  /**
+   * Nearest neighbours of a query vector.
+   * @param {number[]} query
+   * @param {string|{ namespace?: string, topK?: number, filter?: object, returnMetadata?: string }} [opts]
+   * @returns {Promise<Array<{ id: string, score: number, metadata?: object }>>}
+   */
+  async search(query, opts = {}) {
+    if (!this.vectorize) return [];
+    const { namespace, topK = 10, filter, returnMetadata = 'none' } =
+      typeof opts === 'string' ? { namespace: opts } : opts;
+
+    const res = await this.vectorize.query(query, {
+      topK,
+      returnMetadata,
+      ...(namespace && namespace !== 'default' ? { namespace } : {}),
+      ...(filter && Object.keys(filter).length ? { filter } : {}),
     });
+    return res?.matches || [];
   }
 
   async insert(vectors, namespace = 'default') {
     if (!this.vectorize) return;
+    return await this.vectorize.insert(withNamespace(vectors, namespace));
+  }
 
-    return await this.vectorize.insert({
-      vectors,
-      namespace,
-    });
+  /** Insert or replace vectors by id. */
+  async upsert(vectors, namespace = 'default') {
+    if (!this.vectorize) return;
+    return await this.vectorize.upsert(withNamespace(vectors, namespace));
+  }
+
+  async deleteByIds(ids) {
+    if (!this.vectorize || !ids.length) return;
+    return await this.vectorize.deleteByIds(ids);
   }
 }
 
+function withNamespace(vectors, namespace) {
+  return namespace === 'default' ? vectors : vectors.map((v) => ({ namespace, ...v }));
+}
+
 // Workers AI - AI model inference
 export class AIService {
   constructor(env) {
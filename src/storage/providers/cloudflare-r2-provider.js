@@ -227,14 +227,54 @@ export class CloudflareR2Provider {
 
   /**
    * Create signed URL for temporary access
+   *
+   * `sig` is an HMAC-SHA256 over the key and expiry that whoever serves
+   * `options.baseUrl` (default R2_PUBLIC_URL) checks with verifySignedUrl.
+   * Throws without R2_URL_SIGNING_KEY rather than hand out a URL nothing
+   * can check.
    */
   async createSignedUrl(path, options = {}) {
+    if (!this.env.R2_URL_SIGNING_KEY) throw new Error('R2_URL_SIGNING_KEY is not configured');
     const key = this.normalizeKey(path);
     const expiresIn = options.expiresIn || 3600; // 1 hour default
+    const expires = Date.now() + expiresIn * 1000;
+    const baseUrl = options.baseUrl || this.baseUrl;
+    const url = `${baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}?signed=true&expires=${expires}`;
+    return `${url}&sig=${await this.urlSignature(key, expires)}`;
+  }
+
+  /**
+   * Check a URL from createSignedUrl: signature matches and not expired.
+   * `options.baseUrl` must match the one it was created with.
+   * @returns {Promise<{ valid: boolean, key?: string, reason?: string }>}
+   */
+  async verifySignedUrl(signedUrl, now = Date.now(), options = {}) {
+    if (!this.env.R2_URL_SIGNING_KEY) return { valid: false, reason: 'signing key not configured' };
+    const url = new URL(signedUrl);
+    const base = new URL(options.baseUrl || this.baseUrl).pathname.replace(/\/+$/, '');
+    const path = url.pathname.startsWith(`${base}/`) ? url.pathname.slice(base.length) : url.pathname;
+    const key = this.normalizeKey(decodeURIComponent(path));
+    const expires = Number(url.searchParams.get('expires'));
+    const sig = url.searchParams.get('sig') || '';
+    if (!Number.isFinite(expires) || expires < now) return { valid: false, key, reason: 'expired' };
+
+    const expected = await this.urlSignature(key, expires);
+    let diff = expected.length ^ sig.length;
+    for (let i = 0; i < expected.length; i++) diff |= expected.charCodeAt(i) ^ (sig.charCodeAt(i) || 0);
+    return diff === 0 ? { valid: true, key } : { valid: false, key, reason: 'bad signature' };
+  }
 
-    // Note: R2 signed URLs require additional setup
-    // This is a simplified implementation
-    return `${this.baseUrl}/${key}?signed=true&expires=${Date.now() + expiresIn * 1000}`;
+  async urlSignature(key, expires) {
+    const enc = new TextEncoder();
+    const hmacKey = await crypto.subtle.importKey(
+      'raw',
+      enc.encode(this.env.R2_URL_SIGNING_KEY),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const sig = await crypto.subtle.sign('HMAC', hmacKey, enc.encode(`${key}\n${expires}`));
+    return [...new Uint8Array(sig)].map(b => b.toString(16).padStart(2, '0')).join('');
   }
 }
 
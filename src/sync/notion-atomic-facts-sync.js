@@ -1,8 +1,13 @@
 /**
  * NotionAtomicFactsSync - Hardened sync worker for AtomicFacts → Notion
  * ChittyRouter → EvidenceEnvelope → AtomicFacts → Notion Database
+ *
+ * Facts that fail with a retryable error go to the NotionDlqAgent dead-letter
+ * queue (src/sync/notion-dlq.js), which outlives this per-request instance.
  */
 
+import { callNotionDlq, isRetryableStatus } from './notion-dlq.js';
+
 // Workers-compatible Notion client (uses fetch instead of SDK)
 class NotionClient {
   constructor(options) {
@@ -120,14 +125,17 @@ export class NotionAtomicFactsSync {
     this.notion = new NotionClient({ auth: env.NOTION_TOKEN || NOTION_TOKEN });
     this.databaseId = env.NOTION_DATABASE_ID_ATOMIC_FACTS || NOTION_DB_ATOMIC_FACTS;
     this.metrics = new SyncMetrics();
-    this.dlq = [];
   }
 
   /**
-   * Main sync entry point
+   * Main sync entry point.
+   *
+   * Retryable failures are dead-lettered unless `deadLetter` is false, which
+   * the DLQ replay uses so it can report outcomes itself.
    */
   async sync(facts, options = {}) {
-    const { dryRun = false, validateOnly = false } = options;
+    const { dryRun = false, validateOnly = false, deadLetter = true } = options;
+    const deadLettered = [];
     const results = {
       created: [],
       updated: [],
@@ -192,7 +200,8 @@ export class NotionAtomicFactsSync {
             this.metrics.increment('upsert_skipped');
           }
         } catch (error) {
-          await this.handleError(error, fact, results);
+          const entry = this.handleError(error, fact, results);
+          if (entry) deadLettered.push(entry);
         }
       }
 
@@ -202,10 +211,12 @@ export class NotionAtomicFactsSync {
       }
     }
 
+    const dlq = deadLetter ? await this.pushToDLQ(deadLettered) : { pushed: 0, quarantined: [] };
+
     return {
       ...results,
       metrics: this.metrics.summary,
-      dlq: this.dlq
+      dlq
     };
   }
 
@@ -440,16 +451,8 @@ export class NotionAtomicFactsSync {
         this.metrics.increment('notion_5xx');
       }
 
+      // Out of in-process retries; handleError decides whether to dead-letter
       if (attempt >= MAX_RETRIES) {
-        // Push to DLQ
-        this.dlq.push({
-          factId,
-          error: error.message,
-          status,
-          attempts: attempt,
-          retry_at: new Date(Date.now() + 3600000).toISOString()
-        });
-        this.metrics.increment('dlq_pushed');
         throw error;
       }
 
@@ -466,58 +469,96 @@ export class NotionAtomicFactsSync {
   }
 
   /**
-   * Handle sync errors
+   * Handle sync errors. Returns the DLQ entry for a retryable failure.
    */
-  async handleError(error, fact, results) {
+  handleError(error, fact, results) {
     console.error(`Sync error for fact ${fact.factId}:`, error);
+    const status = error.status || error.code;
 
     results.errors.push({
       factId: fact.factId,
       error: error.message,
-      status: error.status || error.code
+      status
     });
 
-    // Check if we should push to DLQ
-    if (error.status === 429 || error.status >= 500) {
-      this.dlq.push({
-        fact,
-        error: error.message,
-        status: error.status,
-        retry_at: new Date(Date.now() + 3600000).toISOString()
-      });
-      this.metrics.increment('dlq_pushed');
+    if (!isRetryableStatus(status)) return null;
+    return { factId: fact.factId, fact, error: error.message, status };
+  }
+
+  /**
+   * Record failed attempts in the DLQ agent. Without the binding the
+   * entries are returned unqueued so the caller still sees them.
+   */
+  async pushToDLQ(entries) {
+    if (entries.length === 0) return { pushed: 0, quarantined: [] };
+    const res = await callNotionDlq(this.env, '/push', { method: 'POST', body: { items: entries } });
+    if (res?.status !== 200) {
+      console.error(`Notion DLQ unavailable (${res ? res.status : 'not bound'}); ${entries.length} fact(s) not queued`);
+      return { pushed: 0, quarantined: [], unqueued: entries };
     }
+    for (let i = 0; i < res.data.pushed; i++) this.metrics.increment('dlq_pushed');
+    return { pushed: res.data.pushed, quarantined: res.data.quarantined };
   }
 
   /**
-   * Process DLQ items
+   * Retry the DLQ items that are due. Successes leave the queue; anything
+   * else, including validation failures, counts as another failed attempt.
    */
-  async processDLQ() {
-    const now = Date.now();
-    const ready = this.dlq.filter(item =>
-      new Date(item.retry_at).getTime() <= now
-    );
-
-    if (ready.length === 0) {
-      return { processed: 0, remaining: this.dlq.length };
+  async processDLQ({ limit = BATCH_SIZE * 5 } = {}) {
+    const claim = await callNotionDlq(this.env, '/claim', { method: 'POST', body: { limit } });
+    if (!claim) return { processed: 0, failed: 0, error: 'NOTION_DLQ_AGENT not bound' };
+    if (claim.status !== 200) return { processed: 0, failed: 0, error: `DLQ claim failed (${claim.status})` };
+
+    const items = claim.data.items || [];
+    if (items.length === 0) {
+      return { processed: 0, failed: 0 };
     }
+    return this.replayDLQItems(items.map((item) => item.fact));
+  }
 
-    const facts = ready.map(item => item.fact || { factId: item.factId });
-    const results = await this.sync(facts);
+  /**
+   * Edit-and-retry one DLQ item now. With `fact`, the stored payload is
+   * replaced first.
+   */
+  async retryDLQItem(factId, fact) {
+    const res = fact
+      ? await callNotionDlq(this.env, `/item/${encodeURIComponent(factId)}/edit`, { method: 'POST', body: { fact } })
+      : await callNotionDlq(this.env, `/item/${encodeURIComponent(factId)}`);
+    if (!res) return { status: 503, error: 'NOTION_DLQ_AGENT not bound' };
+    if (res.status !== 200) return { status: res.status, error: res.data?.error || 'DLQ request failed' };
+
+    const result = await this.replayDLQItems([res.data.item.fact]);
+    return { status: 200, ...result };
+  }
 
-    // Remove successfully processed items from DLQ
-    const succeeded = new Set([
-      ...results.created,
-      ...results.updated
-    ]);
+  async replayDLQItems(facts) {
+    let results;
+    try {
+      results = await this.sync(facts, { deadLetter: false });
+    } catch (error) {
+      // Notion unreachable or misconfigured: the leases lapse and the items
+      // come due again without spending an attempt.
+      console.error('DLQ replay failed:', error);
+      return { processed: 0, failed: 0, error: error.message };
+    }
 
-    this.dlq = this.dlq.filter(item =>
-      !succeeded.has(item.factId || item.fact?.factId)
-    );
+    const succeeded = [...results.created, ...results.updated];
+    if (succeeded.length) {
+      await callNotionDlq(this.env, '/resolve', { method: 'POST', body: { factIds: succeeded } });
+    }
+    const byId = new Map(facts.map((f) => [f.factId, f]));
+    const failures = results.errors.map((e) => ({
+      factId: e.factId,
+      fact: byId.get(e.factId),
+      error: e.error,
+      status: e.status
+    }));
+    const dlq = await this.pushToDLQ(failures);
 
     return {
-      processed: succeeded.size,
-      remaining: this.dlq.length,
+      processed: succeeded.length,
+      failed: failures.length,
+      quarantined: dlq.quarantined,
       results
     };
   }
@@ -532,10 +573,12 @@ export class NotionAtomicFactsSync {
   /**
    * Get sync status
    */
-  getStatus() {
+  async getStatus() {
+    const dlq = await callNotionDlq(this.env, '/status').catch(() => null);
     return {
       metrics: this.metrics.summary,
-      dlq_depth: this.dlq.length,
+      dlq_depth: dlq?.status === 200 ? dlq.data.depth : null,
+      dlq: dlq?.status === 200 ? dlq.data.byStatus : null,
       config: {
         database_id: this.databaseId,
         batch_size: BATCH_SIZE,
@@ -575,7 +618,7 @@ export default {
 
       // Status endpoint
       if (url.pathname === '/sync/notion/status' && request.method === 'GET') {
-        const status = sync.getStatus();
+        const status = await sync.getStatus();
 
         return new Response(JSON.stringify(status), {
           headers: { 'Content-Type': 'application/json' },
@@ -0,0 +1,101 @@
+/**
+ * Notion DLQ — shared contract between NotionAtomicFactsSync (client) and
+ * NotionDlqAgent (the SQLite-backed Durable Object that owns the queue).
+ *
+ * The dead-letter queue used to be `this.dlq`, an array on the sync
+ * instance. RouteMultiplexer builds a new instance per request, so
+ * /cron/sync-dlq-process never saw what an earlier sync had pushed and the
+ * facts were lost. Items now live in one NotionDlqAgent instance, keyed by
+ * factId, with the original fact, attempt count, next-attempt time and last
+ * error.
+ *
+ * A failed attempt backs off exponentially from DLQ_BACKOFF_BASE_MS; after
+ * the maximum number of attempts the item is quarantined and only an
+ * operator requeue or edit brings it back.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { callAgent } from '../utils/agent-client.js';
+
+export const NOTION_DLQ_BINDING = 'NOTION_DLQ_AGENT';
+
+export const DLQ_STATUSES = ['pending', 'quarantined'];
+
+// The cron drains the queue every 30 minutes; the first retry waits one
+// cron period and each later one doubles, up to a day.
+export const DLQ_BACKOFF_BASE_MS = 30 * 60 * 1000;
+export const DLQ_BACKOFF_MAX_MS = 24 * 60 * 60 * 1000;
+export const DLQ_MAX_ATTEMPTS_DEFAULT = 6;
+
+// Claimed items are pushed this far into the future so an overlapping cron
+// run skips them; the outcome report replaces the lease.
+export const DLQ_LEASE_MS = 10 * 60 * 1000;
+
+export const DLQ_PAGE_DEFAULT = 50;
+export const DLQ_PAGE_MAX = 200;
+
+/**
+ * Whether a failed Notion call is worth retrying later: rate limits, server
+ * errors and network failures (no status). Other 4xx need a fixed fact.
+ */
+export function isRetryableStatus(status) {
+  return status === undefined || status === null || status === 429 || Number(status) >= 500;
+}
+
+/** Delay before the next attempt after `attempts` failed ones. */
+export function dlqBackoffMs(attempts) {
+  const exponent = Math.max(attempts, 1) - 1;
+  return Math.min(DLQ_BACKOFF_BASE_MS * 2 ** exponent, DLQ_BACKOFF_MAX_MS);
+}
+
+/** NOTION_DLQ_MAX_ATTEMPTS from env, else the default. */
+export function dlqMaxAttempts(env) {
+  const configured = Number.parseInt(env?.NOTION_DLQ_MAX_ATTEMPTS, 10);
+  return configured > 0 ? configured : DLQ_MAX_ATTEMPTS_DEFAULT;
+}
+
+/**
+ * Queue state after one more failed attempt.
+ *
+ * @param {number} previousAttempts - failed attempts recorded so far
+ * @param {number} maxAttempts
+ * @param {number} [now] - epoch ms
+ * @returns {{ attempts: number, status: 'pending'|'quarantined', nextAttemptAt: number|null }}
+ */
+export function nextFailureState(previousAttempts, maxAttempts, now = Date.now()) {
+  const attempts = (previousAttempts || 0) + 1;
+  if (attempts >= maxAttempts) {
+    return { attempts, status: 'quarantined', nextAttemptAt: null };
+  }
+  return { attempts, status: 'pending', nextAttemptAt: now + dlqBackoffMs(attempts) };
+}
+
+/**
+ * Normalize list filters from query params.
+ * @returns {{ filters: { status: string|null, limit: number }, errors: string[] }}
+ */
+export function parseDlqFilters(searchParams) {
+  const errors = [];
+  const status = searchParams?.get('status') || null;
+  if (status && !DLQ_STATUSES.includes(status)) {
+    errors.push(`status must be one of ${DLQ_STATUSES.join(', ')}`);
+  }
+  let limit = DLQ_PAGE_DEFAULT;
+  const rawLimit = searchParams?.get('limit');
+  if (rawLimit) {
+    limit = Number.parseInt(rawLimit, 10);
+    if (!(limit >= 1 && limit <= DLQ_PAGE_MAX)) errors.push(`limit must be 1-${DLQ_PAGE_MAX}`);
+  }
+  return { filters: { status, limit }, errors };
+}
+
+/**
+ * Call the NotionDlqAgent — a single named instance.
+ *
+ * @returns {Promise<{ status: number, data: any } | null>} null when the
+ *   binding is not configured
+ */
+export function callNotionDlq(env, path, opts) {
+  return callAgent(env, NOTION_DLQ_BINDING, path, opts);
+}
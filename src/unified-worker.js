@@ -9,6 +9,9 @@
 
 // Import all sync modules
 import { NotionAtomicFactsSync } from './sync/notion-atomic-facts-sync.js';
+import { callNotionDlq, parseDlqFilters } from './sync/notion-dlq.js';
+import { retryDisputeOutbox } from './integration/dispute-forwarder.js';
+import { callDisputeOutbox, parseOutboxFilters, parseReplayRequest } from './integration/dispute-outbox.js';
 import { SessionSyncManager } from './sync/session-sync-manager.js';
 import { UnifiedSyncOrchestrator } from './sync/unified-sync-orchestrator.js';
 import { ChittyRouterAI } from './ai/intelligent-router.js';
@@ -18,6 +21,30 @@ import { SessionService } from './services/session-service.js';
 import { MobileBridgeService } from './services/mobile-bridge.js';
 import { InboxMonitor, handleScheduledMonitoring } from './email/inbox-monitor.js';
 import { CloudflareEmailHandler } from './email/cloudflare-email-handler.js';
+import { loadRoutingProfile, routingProfileStatus, saveRoutingProfile } from './config/routing-profile.js';
+import { loadMailboxAccounts, saveMailboxAccounts } from './config/mailbox-accounts.js';
+import { readCursor, resetCursor } from './email/mailbox-sources.js';
+import { parseQueueFilters } from './email/review-queue.js';
+import { parseThreadFilters, THREAD_LIST_MAX } from './email/threads.js';
+import { RULES_AGENT_BINDING, _clearRoutingRulesCache } from './email/routing-rules.js';
+import { ROUTING_MODES } from './email/hybrid-routing.js';
+import { REPLAY_SOURCES, REPLAY_LIMIT_MAX } from './email/replay.js';
+import { callAgent } from './utils/agent-client.js';
+import {
+  SHARDED_AGENTS,
+  fanOut,
+  instanceName,
+  isShardSegment,
+  isShardedAgent,
+  migrateToShards,
+  registerShard,
+  resolveShardTarget,
+} from './utils/agent-shards.js';
+import { parseSearchRequest, searchQueryBody, callSearchIndex } from './search/search-index.js';
+import { EXPORT_PREFIX } from './documents/exhibit-packet.js';
+import { CloudflareR2Provider } from './storage/providers/cloudflare-r2-provider.js';
+import { SERVICE_PRINCIPAL, auditDenial, authorizeAgentCall, listDenials } from './utils/agent-scopes.js';
+import { authenticateApiKey } from './mcp/mcp-auth.js';
 
 // Webhook handlers
 import { handleNotionWebhook } from './webhooks/notion.js';
@@ -35,6 +62,7 @@ class RouteMultiplexer {
     this.env = env;
 
     // Initialize all services
+    const emailHandler = new CloudflareEmailHandler(env);
     this.services = {
       ai: {
         router: new ChittyRouterAI(env.AI, env),
@@ -51,8 +79,8 @@ class RouteMultiplexer {
         mobileBridge: new MobileBridgeService(env),
       },
       email: {
-        inboxMonitor: new InboxMonitor(env),
-        handler: new CloudflareEmailHandler(env),
+        inboxMonitor: new InboxMonitor(env, { handler: emailHandler }),
+        handler: emailHandler,
       },
     };
 
@@ -72,9 +100,12 @@ class RouteMultiplexer {
 
       // Sync Routes
       ['/sync/notion/atomic-facts', this.handleNotionSync.bind(this)],
-      ['/sync/notion/dlq', this.handleNotionDLQ.bind(this)],
+      ['/sync/notion/dlq/*', this.handleNotionDLQ.bind(this)],
       ['/sync/notion/status', this.handleNotionStatus.bind(this)],
 
+      // Dispute intake outbox (DisputeOutboxAgent)
+      ['/dispute/outbox/*', this.handleDisputeOutbox.bind(this)],
+
       // Session Routes
       ['/session/init', this.handleSessionInit.bind(this)],
       ['/session/state', this.handleSessionState.bind(this)],
@@ -104,20 +135,34 @@ class RouteMultiplexer {
       ['/cron/inbox-monitor', this.handleCronInboxMonitor.bind(this)],
 
       // Email Monitoring Routes
-      ['/email/monitor', this.handleInboxMonitor.bind(this)],
+      ['/email/monitor/*', this.handleInboxMonitor.bind(this)],
       ['/email/status', this.handleEmailStatus.bind(this)],
       ['/email/urgent', this.handleUrgentEmails.bind(this)],
       ['/email/receipts', this.handleEmailReceipts.bind(this)],
       ['/email/correct', this.handleEmailCorrection.bind(this)],
-      ['/email/training', this.handleEmailTraining.bind(this)],
+      ['/email/training/*', this.handleEmailTraining.bind(this)],
       ['/email/queue', this.handleEmailQueue.bind(this)],
       ['/email/queue/approve', this.handleEmailQueueApprove.bind(this)],
       ['/email/queue/approve-all', this.handleEmailQueueApproveAll.bind(this)],
       ['/email/queue/correct', this.handleEmailQueueCorrect.bind(this)],
-      ['/email/mode', this.handleEmailMode.bind(this)],
+      ['/email/queue/history', this.handleEmailQueueHistory.bind(this)],
+      ['/email/mode/*', this.handleEmailMode.bind(this)],
+      ['/email/profile', this.handleEmailProfile.bind(this)],
+      ['/email/rules/*', this.handleEmailRules.bind(this)],
+      ['/email/outbound/*', this.handleEmailOutbound.bind(this)],
+      ['/email/threads/*', this.handleEmailThreads.bind(this)],
+      ['/email/timeline', this.handleEmailTimeline.bind(this)],
       ['/email/registered/send', this.handleRegisteredEmailSend.bind(this)],
       ['/email/registered/status', this.handleRegisteredEmailStatus.bind(this)],
       ['/email/registered/accounts', this.handleRegisteredEmailAccounts.bind(this)],
+      ['/email/registered/ledger/*', this.handleRegisteredLedger.bind(this)],
+      ['/email/registered/poll', this.handleRegisteredPoll.bind(this)],
+
+      // Semantic search over mail, attachments, evidence and entity timelines
+      ['/search', this.handleSearch.bind(this)],
+
+      // Exhibit packet downloads (signed links from EvidenceAgent /export/:id)
+      [`/${EXPORT_PREFIX}/*`, this.handleExhibitDownload.bind(this)],
 
       // Webhook Ingestion Routes
       ['/webhook/notion', this.handleWebhookNotion.bind(this)],
@@ -128,6 +173,15 @@ class RouteMultiplexer {
       // Cost-control: ChittyComptroller L2 tier-degrade signal (HMAC-authenticated)
       ['/admin/tier-degrade', this.handleAdminTierDegrade.bind(this)],
 
+      // Routing regression harness: replay stored mail against current code
+      ['/admin/email-replay', this.handleAdminEmailReplay.bind(this)],
+
+      // Split singleton agent data into per-org / per-case shards
+      ['/admin/agent-shards/migrate', this.handleAdminAgentShardsMigrate.bind(this)],
+
+      // Audited /agents/* and MCP tool calls that were refused
+      ['/admin/auth/denials', this.handleAdminAuthDenials.bind(this)],
+
       // Agents SDK Routes — delegate to stateful Durable Object agents
       ['/agents/triage/*', this.delegateToAgent.bind(this, 'TRIAGE_AGENT')],
       ['/agents/priority/*', this.delegateToAgent.bind(this, 'PRIORITY_AGENT')],
@@ -143,6 +197,11 @@ class RouteMultiplexer {
       ['/agents/messaging/*', this.delegateToAgent.bind(this, 'MESSAGING_AGENT')],
       ['/agents/security/*', this.delegateToAgent.bind(this, 'SECURITY_AGENT')],
       ['/agents/scrape/*', this.delegateToAgent.bind(this, 'SCRAPE_AGENT')],
+      ['/agents/review-queue/*', this.delegateToAgent.bind(this, 'REVIEW_QUEUE_AGENT')],
+      ['/agents/thread/*', this.delegateToAgent.bind(this, 'THREAD_AGENT')],
+      ['/agents/search/*', this.delegateToAgent.bind(this, 'SEARCH_AGENT')],
+      ['/agents/notion-dlq/*', this.delegateToAgent.bind(this, 'NOTION_DLQ_AGENT')],
+      ['/agents/dispute-outbox/*', this.delegateToAgent.bind(this, 'DISPUTE_OUTBOX_AGENT')],
       ['/agents/status', this.handleAgentStatus.bind(this)],
     ]);
   }
@@ -218,13 +277,134 @@ class RouteMultiplexer {
     return this.jsonResponse(result);
   }
 
-  async handleNotionDLQ(request) {
-    const result = await this.services.sync.notion.processDLQ();
-    return this.jsonResponse(result);
+  // /sync/notion/dlq — the Notion sync dead-letter queue (NotionDlqAgent).
+  //   POST   /sync/notion/dlq                     retry the items that are due
+  //   GET    /sync/notion/dlq[?status&limit]      list items, most recently failed first
+  //   GET    /sync/notion/dlq/<factId>            one item with its fact and last error
+  //   POST   /sync/notion/dlq/<factId>/requeue    due on the next run, attempts reset
+  //   POST   /sync/notion/dlq/<factId>/retry      { fact? } edit the fact, then retry now
+  //   DELETE /sync/notion/dlq/<factId>            discard
+  // Everything but the bare POST (the pre-existing trigger) requires auth.
+  async handleNotionDLQ(request, url) {
+    const subPath = url.pathname.replace(/^\/sync\/notion\/dlq\/?/, '');
+    if (!subPath && request.method === 'POST') {
+      const result = await this.services.sync.notion.processDLQ();
+      return this.jsonResponse(result);
+    }
+
+    const authErr = await this.requireAuth(request);
+    if (authErr) return authErr;
+    try {
+      if (!subPath) {
+        if (request.method !== 'GET') return this.jsonResponse({ error: 'GET or POST required' }, 405);
+        const { filters, errors } = parseDlqFilters(url.searchParams);
+        if (errors.length) return this.jsonResponse({ error: errors.join('; ') }, 400);
+        const search = new URLSearchParams({ limit: String(filters.limit) });
+        if (filters.status) search.set('status', filters.status);
+        return this.notionDlqResponse(await callNotionDlq(this.env, '/items', { search: search.toString() }));
+      }
+
+      const [rawId, action, ...rest] = subPath.split('/');
+      const factId = decodeURIComponent(rawId);
+      const itemPath = `/item/${encodeURIComponent(factId)}`;
+      if (rest.length) return this.jsonResponse({ error: 'Not Found' }, 404);
+
+      if (!action) {
+        if (request.method === 'GET') return this.notionDlqResponse(await callNotionDlq(this.env, itemPath));
+        if (request.method === 'DELETE') {
+          return this.notionDlqResponse(await callNotionDlq(this.env, itemPath, { method: 'DELETE' }));
+        }
+        return this.jsonResponse({ error: 'GET or DELETE required' }, 405);
+      }
+      if (request.method !== 'POST') return this.jsonResponse({ error: 'POST required' }, 405);
+      if (action === 'requeue') {
+        return this.notionDlqResponse(await callNotionDlq(this.env, `${itemPath}/requeue`, { method: 'POST' }));
+      }
+      if (action === 'retry') {
+        const body = await request.json().catch(() => ({}));
+        if (body?.fact !== undefined && (typeof body.fact !== 'object' || body.fact === null || Array.isArray(body.fact))) {
+          return this.jsonResponse({ error: 'fact must be an object' }, 400);
+        }
+        const { status, ...result } = await this.services.sync.notion.retryDLQItem(factId, body?.fact);
+        return this.jsonResponse(result, status);
+      }
+      return this.jsonResponse({ error: 'Not Found' }, 404);
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
+  }
+
+  notionDlqResponse(res) {
+    if (!res) return this.jsonResponse({ error: 'NOTION_DLQ_AGENT not bound' }, 503);
+    return this.jsonResponse(res.data, res.status);
+  }
+
+  // /dispute/outbox — dispute intakes recorded for delivery to chittydispute
+  // (DisputeOutboxAgent). All routes require auth.
+  //   GET  /dispute/outbox[?status&since&until&limit]  list, undelivered by default
+  //   POST /dispute/outbox                             deliver the items that are due
+  //   POST /dispute/outbox/replay                      { since, until?, includeDelivered? }
+  //                                                    requeue a range, then deliver
+  //   GET  /dispute/outbox/<key>                       one item with its acknowledgement
+  //   POST /dispute/outbox/<key>/retry                 requeue one item, then deliver
+  async handleDisputeOutbox(request, url) {
+    const authErr = await this.requireAuth(request);
+    if (authErr) return authErr;
+    if (!this.env.DISPUTE_OUTBOX_AGENT) {
+      return this.jsonResponse({ error: 'DISPUTE_OUTBOX_AGENT not bound' }, 503);
+    }
+
+    const subPath = url.pathname.replace(/^\/dispute\/outbox\/?/, '');
+    try {
+      if (!subPath) {
+        if (request.method === 'POST') return this.jsonResponse(await retryDisputeOutbox(this.env));
+        if (request.method !== 'GET') return this.jsonResponse({ error: 'GET or POST required' }, 405);
+        const { filters, errors } = parseOutboxFilters(url.searchParams);
+        if (errors.length) return this.jsonResponse({ error: errors.join('; ') }, 400);
+        const search = new URLSearchParams({ status: filters.status, limit: String(filters.limit) });
+        if (filters.since) search.set('since', filters.since);
+        if (filters.until) search.set('until', filters.until);
+        return this.disputeOutboxResponse(await callDisputeOutbox(this.env, '/items', { search: search.toString() }));
+      }
+
+      if (subPath === 'replay') {
+        if (request.method !== 'POST') return this.jsonResponse({ error: 'POST required' }, 405);
+        const body = await request.json().catch(() => null);
+        if (!body) return this.jsonResponse({ error: 'Invalid JSON body' }, 400);
+        const { replay, errors } = parseReplayRequest(body);
+        if (!replay) return this.jsonResponse({ error: errors.join('; ') }, 400);
+        const res = await callDisputeOutbox(this.env, '/replay', { method: 'POST', body: replay });
+        if (res.status !== 200) return this.disputeOutboxResponse(res);
+        const delivery = await retryDisputeOutbox(this.env, { limit: 100 });
+        return this.jsonResponse({ ...res.data, delivery });
+      }
+
+      const [rawKey, action, ...rest] = subPath.split('/');
+      const itemPath = `/item/${encodeURIComponent(decodeURIComponent(rawKey))}`;
+      if (rest.length) return this.jsonResponse({ error: 'Not Found' }, 404);
+      if (!action) {
+        if (request.method !== 'GET') return this.jsonResponse({ error: 'GET required' }, 405);
+        return this.disputeOutboxResponse(await callDisputeOutbox(this.env, itemPath));
+      }
+      if (action !== 'retry') return this.jsonResponse({ error: 'Not Found' }, 404);
+      if (request.method !== 'POST') return this.jsonResponse({ error: 'POST required' }, 405);
+      const res = await callDisputeOutbox(this.env, `${itemPath}/retry`, { method: 'POST' });
+      if (res.status !== 200) return this.disputeOutboxResponse(res);
+      const delivery = await retryDisputeOutbox(this.env);
+      const current = await callDisputeOutbox(this.env, itemPath);
+      return this.jsonResponse({ ...current.data, delivery });
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
+  }
+
+  disputeOutboxResponse(res) {
+    if (!res) return this.jsonResponse({ error: 'DISPUTE_OUTBOX_AGENT not bound' }, 503);
+    return this.jsonResponse(res.data, res.status);
   }
 
   async handleNotionStatus(request) {
-    const status = this.services.sync.notion.getStatus();
+    const status = await this.services.sync.notion.getStatus();
     return this.jsonResponse(status);
   }
 
@@ -481,22 +661,31 @@ class RouteMultiplexer {
   // ============ Health & Metrics ============
 
   async handleHealth(request) {
+    // A failed profile load with nothing to fall back on means inbound mail
+    // is only being stored, not triaged or forwarded.
+    const routingProfile = routingProfileStatus(this.env);
     const health = {
-      status: 'ok',
+      status: routingProfile.error && !routingProfile.source ? 'degraded' : 'ok',
       service: 'chittyrouter',
       services: {
         ai: await this.checkAIHealth(),
         sync: await this.checkSyncHealth(),
         storage: await this.checkStorageHealth(),
       },
+      routingProfile,
       agents: {
-        count: 14,
+        count: 19,
         bindings: [
           'TRIAGE_AGENT', 'PRIORITY_AGENT', 'RESPONSE_AGENT', 'DOCUMENT_AGENT',
           'ENTITY_AGENT', 'EVIDENCE_AGENT', 'CALENDAR_AGENT', 'FINANCE_AGENT',
           'NOTIFICATION_AGENT', 'INTELLIGENCE_AGENT', 'WEBHOOK_AGENT', 'MESSAGING_AGENT',
           'SECURITY_AGENT',
           'SCRAPE_AGENT',
+          'REVIEW_QUEUE_AGENT',
+          'THREAD_AGENT',
+          'SEARCH_AGENT',
+          'NOTION_DLQ_AGENT',
+          'DISPUTE_OUTBOX_AGENT',
         ].filter((n) => !!this.env[n]).length,
         route: '/agents/status',
       },
@@ -513,6 +702,11 @@ class RouteMultiplexer {
       'NOTIFICATION_AGENT', 'INTELLIGENCE_AGENT', 'WEBHOOK_AGENT', 'MESSAGING_AGENT',
       'SECURITY_AGENT',
       'SCRAPE_AGENT',
+      'REVIEW_QUEUE_AGENT',
+      'THREAD_AGENT',
+      'SEARCH_AGENT',
+      'NOTION_DLQ_AGENT',
+      'DISPUTE_OUTBOX_AGENT',
     ];
     return this.jsonResponse({
       status: 'ok',
@@ -523,7 +717,7 @@ class RouteMultiplexer {
       organization: 'CHITTYOS',
       environment: this.env.ENVIRONMENT,
       agents: {
-        total: 14,
+        total: 19,
         available: agentBindings.filter((n) => !!this.env[n]).length,
       },
       aiModels: {
@@ -556,10 +750,12 @@ class RouteMultiplexer {
     const notionDLQ = await this.services.sync.notion.processDLQ();
     const retryFailed =
       await this.services.sync.orchestrator.retryFailedSyncs();
+    const disputeOutbox = await retryDisputeOutbox(this.env);
 
     return this.jsonResponse({
       notion: notionDLQ,
       retry: retryFailed,
+      dispute: disputeOutbox,
       timestamp: new Date().toISOString(),
     });
   }
@@ -607,16 +803,76 @@ class RouteMultiplexer {
 
   async handleCronInboxMonitor(request) {
     const results = await this.services.email.inboxMonitor.monitorAllInboxes();
+    const registered = await this.pollRegisteredLedger();
     return this.jsonResponse({
       success: true,
       ...results,
+      registered,
       cron: true
     });
   }
 
-  async handleInboxMonitor(request) {
-    const results = await this.services.email.inboxMonitor.monitorAllInboxes();
-    return this.jsonResponse(results);
+  /**
+   * Advance the registered-mail ledger (NotificationAgent) on the inbox
+   * monitor's schedule. Never throws.
+   */
+  async pollRegisteredLedger() {
+    if (!this.env.NOTIFICATION_AGENT) return { skipped: 'NOTIFICATION_AGENT not bound' };
+    try {
+      const resp = await this.callNotificationAgent('POST', '/registered-email/poll', {});
+      return await resp.json();
+    } catch (error) {
+      console.error('[registered-ledger] poll failed:', error);
+      return { error: error.message };
+    }
+  }
+
+  // /email/monitor — poll every enabled mailbox now.
+  // GET/POST /email/monitor/accounts — list accounts with their sync cursors,
+  // or validate + store the account list (KV source only) (auth required).
+  // POST /email/monitor/accounts/<id>/reset — forget an account's cursor so
+  // the next run re-syncs its recent mail (auth required).
+  async handleInboxMonitor(request, url) {
+    const subPath = url.pathname.replace(/^\/email\/monitor\/?/, '');
+    if (!subPath) {
+      const results = await this.services.email.inboxMonitor.monitorAllInboxes();
+      return this.jsonResponse(results);
+    }
+
+    const authErr = await this.requireAuth(request);
+    if (authErr) return authErr;
+    try {
+      if (subPath === 'accounts') {
+        if (request.method === 'POST') {
+          const input = await request.json().catch(() => null);
+          const accounts = Array.isArray(input) ? input : input?.accounts;
+          if (!Array.isArray(accounts)) return this.jsonResponse({ error: 'accounts array required' }, 400);
+          const result = await saveMailboxAccounts(this.env, accounts);
+          return this.jsonResponse(result, result.success ? 200 : 400);
+        }
+        const accounts = await loadMailboxAccounts(this.env);
+        return this.jsonResponse({
+          source: this.env.MAILBOX_ACCOUNTS_SOURCE || 'kv',
+          accounts: await Promise.all(accounts.map(async (account) => ({
+            ...account,
+            cursor: await readCursor(this.env, account.id),
+          }))),
+        });
+      }
+
+      const reset = subPath.match(/^accounts\/([a-z0-9_-]+)\/reset$/);
+      if (reset) {
+        if (request.method !== 'POST') return this.jsonResponse({ error: 'POST required' }, 405);
+        const accounts = await loadMailboxAccounts(this.env);
+        if (!accounts.some((a) => a.id === reset[1])) return this.jsonResponse({ error: 'Unknown account' }, 404);
+        await resetCursor(this.env, reset[1]);
+        return this.jsonResponse({ success: true, account: reset[1] });
+      }
+
+      return this.jsonResponse({ error: 'Not Found' }, 404);
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
   }
 
   async handleEmailStatus(request) {
@@ -647,21 +903,24 @@ class RouteMultiplexer {
    * Guard helper: returns an error Response if method is not POST or auth fails,
    * otherwise returns null (proceed).
    */
-  requirePostWithAuth(request) {
+  async requirePostWithAuth(request) {
     if (request.method !== 'POST') {
       return this.jsonResponse({ error: 'POST required' }, 405);
     }
     return await this.requireAuth(request);
   }
 
-  // GET /email/receipts — recent routing confirmations (auth required)
+  // GET /email/receipts — recent routing confirmations (auth required).
+  // Each receipt carries `thread` ({ threadId, messageCount, position })
+  // when the thread store knows its message.
   async handleEmailReceipts(request) {
     const authErr = await this.requireAuth(request);
     if (authErr) return authErr;
     try {
       const url = new URL(request.url);
       const limit = parseInt(url.searchParams.get('limit') || '20');
-      const receipts = await this.services.email.handler.getRecentReceipts(limit);
+      const handler = this.services.email.handler;
+      const receipts = await handler.withThreadContext(await handler.getRecentReceipts(limit), r => r.messageId);
       return this.jsonResponse({ count: receipts.length, receipts });
     } catch (error) {
       return this.jsonResponse({ error: error.message }, 500);
@@ -670,54 +929,90 @@ class RouteMultiplexer {
 
   // POST /email/correct — submit a routing correction for AI training
   async handleEmailCorrection(request) {
-    const guard = this.requirePostWithAuth(request);
+    const guard = await this.requirePostWithAuth(request);
     if (guard) return guard;
     try {
       const body = await request.json();
       const result = await this.services.email.handler.submitCorrection(body);
+      if (result.invalid) return this.jsonResponse({ error: result.errors.join('; ') }, 400);
       return this.jsonResponse(result);
     } catch (error) {
       return this.jsonResponse({ error: error.message }, 500);
     }
   }
 
-  // GET /email/training — view current training corrections (auth required)
-  async handleEmailTraining(request) {
+  // /email/training — triage corrections and what was learned from them
+  // (auth required).
+  //   GET /email/training[?sender&category&limit&cursor]  correction history, newest first
+  //   GET /email/training/rules                          learned sender / domain rules
+  //   GET /email/training/metrics[?since=<ISO>]          per-category precision and recall
+  async handleEmailTraining(request, url) {
     const authErr = await this.requireAuth(request);
     if (authErr) return authErr;
     try {
-      const examples = await this.services.email.handler.getTrainingExamples();
-      return this.jsonResponse({ count: examples.length, corrections: examples });
+      const subPath = url.pathname.replace(/^\/email\/training\/?/, '');
+      const handler = this.services.email.handler;
+      if (subPath === 'rules') {
+        const rules = await handler.getLearnedRules();
+        return this.jsonResponse({ count: rules.length, rules });
+      }
+      if (subPath === 'metrics') {
+        const since = url.searchParams.get('since') || undefined;
+        if (since && Number.isNaN(Date.parse(since))) return this.jsonResponse({ error: 'since must be an ISO date' }, 400);
+        const metrics = await handler.getClassificationMetrics({ since });
+        return metrics ? this.jsonResponse(metrics) : this.jsonResponse({ error: 'review queue unavailable' }, 503);
+      }
+      if (subPath) return this.jsonResponse({ error: 'Not Found' }, 404);
+
+      const limit = Number.parseInt(url.searchParams.get('limit') || '50', 10);
+      if (!(limit >= 1 && limit <= 200)) return this.jsonResponse({ error: 'limit must be 1-200' }, 400);
+      const { corrections, nextCursor } = await handler.getCorrections({
+        sender: url.searchParams.get('sender') || undefined,
+        category: url.searchParams.get('category') || undefined,
+        cursor: url.searchParams.get('cursor') || undefined,
+        limit,
+      });
+      return this.jsonResponse({ count: corrections.length, corrections, nextCursor });
     } catch (error) {
       return this.jsonResponse({ error: error.message }, 500);
     }
   }
 
-  // GET /email/queue?status=pending — view the review queue (auth required)
+  // GET /email/queue?status=pending — view the review queue (auth required).
+  // Also filters by urgency, category, sender (address or @domain) and
+  // since/until; pass nextCursor back as ?cursor= for the next page.
+  // Items carry `thread` context ("thread of N"); a queued reply shows the
+  // thread of the message it answers.
   async handleEmailQueue(request) {
     const authErr = await this.requireAuth(request);
     if (authErr) return authErr;
     try {
       const url = new URL(request.url);
-      const status = url.searchParams.get('status') || null;
-      const limit = parseInt(url.searchParams.get('limit') || '50');
+      const { filters, errors } = parseQueueFilters(url.searchParams);
+      if (errors.length) return this.jsonResponse({ error: errors.join('; ') }, 400);
       const handler = this.services.email.handler;
-      const items = await handler.getQueue(status, limit);
+      const page = await handler.getQueuePage({ limit: 50, ...filters });
+      const items = await handler.withThreadContext(
+        page.items,
+        item => item.email?.messageId || item.outbound?.reply?.inReplyTo,
+      );
+      const { nextCursor } = page;
       const mode = await handler.getRoutingMode();
-      return this.jsonResponse({ mode, count: items.length, queue: items });
+      return this.jsonResponse({ mode, count: items.length, queue: items, nextCursor });
     } catch (error) {
       return this.jsonResponse({ error: error.message }, 500);
     }
   }
 
-  // POST /email/queue/approve — approve a single queue item (AI was right)
+  // POST /email/queue/approve — approve a single queue item (AI was right).
+  // Optional expectedVersion → 409 if someone else reviewed it first.
   async handleEmailQueueApprove(request) {
-    const guard = this.requirePostWithAuth(request);
+    const guard = await this.requirePostWithAuth(request);
     if (guard) return guard;
     try {
-      const { id } = await request.json();
-      const item = await this.services.email.handler.updateQueueItem(id, 'approved');
-      return this.jsonResponse(item || { error: 'not found' });
+      const { id, expectedVersion, actor } = await request.json();
+      const item = await this.services.email.handler.updateQueueItem(id, 'approved', null, { expectedVersion, actor });
+      return this.queueItemResponse(item);
     } catch (error) {
       return this.jsonResponse({ error: error.message }, 500);
     }
@@ -725,40 +1020,280 @@ class RouteMultiplexer {
 
   // POST /email/queue/approve-all — bulk approve all pending
   async handleEmailQueueApproveAll(request) {
-    const guard = this.requirePostWithAuth(request);
+    const guard = await this.requirePostWithAuth(request);
     if (guard) return guard;
     try {
-      const result = await this.services.email.handler.approveAll();
+      const { actor } = await request.json().catch(() => ({}));
+      const result = await this.services.email.handler.approveAll({ actor });
       return this.jsonResponse(result);
     } catch (error) {
       return this.jsonResponse({ error: error.message }, 500);
     }
   }
 
-  // POST /email/queue/correct — correct a queue item (AI was wrong)
+  // POST /email/queue/correct — correct a queue item (AI was wrong).
+  // Optional expectedVersion → 409 if someone else reviewed it first.
   async handleEmailQueueCorrect(request) {
-    const guard = this.requirePostWithAuth(request);
+    const guard = await this.requirePostWithAuth(request);
     if (guard) return guard;
     try {
       const body = await request.json();
-      const { id, ...correction } = body;
-      const item = await this.services.email.handler.updateQueueItem(id, 'corrected', correction);
-      return this.jsonResponse(item || { error: 'not found' });
+      const { id, expectedVersion, actor, ...correction } = body;
+      const item = await this.services.email.handler.updateQueueItem(id, 'corrected', correction, { expectedVersion, actor });
+      return this.queueItemResponse(item);
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
+  }
+
+  // GET /email/queue/history?id=q-... — audit trail for one queue item (auth required)
+  async handleEmailQueueHistory(request) {
+    const authErr = await this.requireAuth(request);
+    if (authErr) return authErr;
+    try {
+      const id = new URL(request.url).searchParams.get('id');
+      if (!id) return this.jsonResponse({ error: 'id required' }, 400);
+      const history = await this.services.email.handler.getQueueItemHistory(id);
+      if (!history) return this.jsonResponse({ error: 'not found' }, 404);
+      return this.jsonResponse({ id, history });
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
+  }
+
+  // /email/outbound — threaded replies from an approved draft (auth required).
+  //   POST /email/outbound/reply    { queueId?, draftId?, subject?, body?, actor? }
+  //                                 200 sent | 202 queued for approval (case mail)
+  //                                 | 422 suppressed (privileged thread)
+  //   POST /email/outbound/reject   { id, expectedVersion?, actor? } drop a queued reply
+  // Queued replies are approved — and sent — through /email/queue/approve.
+  async handleEmailOutbound(request) {
+    const authErr = await this.requireAuth(request);
+    if (authErr) return authErr;
+    try {
+      const url = new URL(request.url);
+      const subPath = url.pathname.replace(/^\/email\/outbound/, '');
+      const handler = this.services.email.handler;
+
+      if (subPath !== '/reply' && subPath !== '/reject') {
+        return this.jsonResponse({ error: 'Not Found' }, 404);
+      }
+      if (request.method !== 'POST') return this.jsonResponse({ error: 'POST required' }, 405);
+      const body = await request.json().catch(() => null);
+      if (!body) return this.jsonResponse({ error: 'Invalid JSON body' }, 400);
+
+      if (subPath === '/reject') {
+        const { id, expectedVersion, actor } = body;
+        if (!id) return this.jsonResponse({ error: 'id required' }, 400);
+        const item = await handler.updateQueueItem(id, 'rejected', null, { expectedVersion, actor });
+        return this.queueItemResponse(item);
+      }
+
+      const result = await handler.stageReply(body);
+      const status = {
+        sent: 200, pending_approval: 202, suppressed: 422, not_found: 404, invalid: 400, failed: 502,
+      }[result.outcome] ?? 500;
+      return this.jsonResponse(result, status);
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
+  }
+  // /email/threads — conversations from the thread store (auth required).
+  //   GET /email/threads?case=<slug> | ?entity=<name>   threads, most recent first
+  //   GET /email/threads/<threadId>                     thread + messages, oldest first
+  //   GET /email/threads/message?id=<Message-ID>        the thread holding a message
+  // Privileged threads come back metadata-only.
+  async handleEmailThreads(request) {
+    const authErr = await this.requireAuth(request);
+    if (authErr) return authErr;
+    try {
+      const url = new URL(request.url);
+      const subPath = url.pathname.replace(/^\/email\/threads\/?/, '');
+      const handler = this.services.email.handler;
+
+      if (!subPath) {
+        const { filters, errors } = parseThreadFilters(url.searchParams, { maxLimit: THREAD_LIST_MAX });
+        if (!errors.length && !filters.caseSlug && !filters.entity) errors.push('case or entity required');
+        if (errors.length) return this.jsonResponse({ error: errors.join('; ') }, 400);
+        const threads = await handler.listThreads(filters);
+        return this.jsonResponse({ count: threads.length, threads });
+      }
+
+      let result;
+      if (subPath === 'message') {
+        const id = url.searchParams.get('id');
+        if (!id) return this.jsonResponse({ error: 'id required' }, 400);
+        result = await handler.getThreadByMessage(id);
+      } else {
+        result = await handler.getThread(decodeURIComponent(subPath));
+      }
+      return result ? this.jsonResponse(result) : this.jsonResponse({ error: 'not found' }, 404);
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
+  }
+
+  // GET /email/timeline?case=<slug> | ?entity=<name> [&since&until&limit] —
+  // chronological messages, attachments and triage/routing decisions across
+  // every thread attributed to the case or entity (auth required).
+  async handleEmailTimeline(request) {
+    const authErr = await this.requireAuth(request);
+    if (authErr) return authErr;
+    try {
+      const { filters, errors } = parseThreadFilters(new URL(request.url).searchParams);
+      if (!errors.length && !filters.caseSlug && !filters.entity) errors.push('case or entity required');
+      if (errors.length) return this.jsonResponse({ error: errors.join('; ') }, 400);
+      const timeline = await this.services.email.handler.getTimeline(filters);
+      if (!timeline) return this.jsonResponse({ error: 'thread store unavailable' }, 503);
+      return this.jsonResponse({
+        caseSlug: filters.caseSlug ?? null,
+        entity: filters.entity ?? null,
+        count: timeline.entries.length,
+        ...timeline,
+      });
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
+  }
+
+  // /search — hybrid keyword + vector search (auth required).
+  //   GET  /search?q=...&case=&org=&entity=&sourceTypes=email,attachment&since=&until=&limit=&mode=
+  //   POST /search  { q, caseSlug?, org?, entity?, sourceTypes?, since?, until?, limit?, mode? }
+  // Results cite their source: queueId/messageId/threadId for mail, the R2 key
+  // (and page) for attachments and exhibits. Privileged material is never indexed.
+  async handleSearch(request) {
+    const authErr = await this.requireAuth(request);
+    if (authErr) return authErr;
+    try {
+      let input;
+      if (request.method === 'POST') {
+        input = await request.json().catch(() => null);
+        if (!input || typeof input !== 'object') return this.jsonResponse({ error: 'Invalid JSON body' }, 400);
+      } else {
+        input = new URL(request.url).searchParams;
+      }
+      const parsed = parseSearchRequest(input);
+      if (parsed.error) return this.jsonResponse({ error: parsed.error }, 400);
+      const res = await callSearchIndex(this.env, '/search', { method: 'POST', body: searchQueryBody(parsed.query) });
+      if (!res) return this.jsonResponse({ error: 'search index unavailable' }, 503);
+      return this.jsonResponse(res.data, res.status);
     } catch (error) {
       return this.jsonResponse({ error: error.message }, 500);
     }
   }
 
-  // GET/POST /email/mode — get or set routing mode (onboarding vs auto)
-  async handleEmailMode(request) {
+
+  /**
+   * Shared response for approve/correct: the item, `{ error: 'not found' }`
+   * (200, as before), or 409 on a version conflict.
+   */
+  queueItemResponse(item) {
+    if (item?.conflict) {
+      const { conflict, ...body } = item;
+      return this.jsonResponse(body, 409);
+    }
+    return this.jsonResponse(item || { error: 'not found' });
+  }
+
+  // /email/rules — declarative routing rules (auth required). Stored in
+  // TriageAgent; this route proxies CRUD and runs dry-runs locally.
+  //   GET    /email/rules[?org=]        list in evaluation order
+  //   POST   /email/rules               create
+  //   GET    /email/rules/:id           read
+  //   PUT    /email/rules/:id           replace (optional expectedVersion → 409)
+  //   DELETE /email/rules/:id           delete (history kept)
+  //   GET    /email/rules/:id/history   every version of the rule
+  //   POST   /email/rules/dry-run       { rules } or { rule } vs recent receipts
+  async handleEmailRules(request) {
+    const authErr = await this.requireAuth(request);
+    if (authErr) return authErr;
+    try {
+      const url = new URL(request.url);
+      const subPath = url.pathname.replace(/^\/email\/rules/, '');
+
+      if (subPath === '/dry-run') {
+        if (request.method !== 'POST') return this.jsonResponse({ error: 'POST required' }, 405);
+        return this.handleEmailRulesDryRun(request, url);
+      }
+      if (subPath && !/^\/\d+(\/history)?$/.test(subPath)) {
+        return this.jsonResponse({ error: 'Not Found' }, 404);
+      }
+
+      const body = ['POST', 'PUT'].includes(request.method)
+        ? await request.json().catch(() => null)
+        : undefined;
+      if (body === null) return this.jsonResponse({ error: 'Invalid JSON body' }, 400);
+
+      const res = await callAgent(this.env, RULES_AGENT_BINDING, `/rules${subPath}`, {
+        method: request.method,
+        body,
+        search: url.search.replace(/^\?/, ''),
+      });
+      if (!res) return this.jsonResponse({ error: `Agent binding ${RULES_AGENT_BINDING} not available` }, 503);
+      if (request.method !== 'GET' && res.status < 300) _clearRoutingRulesCache();
+      return this.jsonResponse(res.data, res.status);
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
+  }
+
+  // POST /email/rules/dry-run — body { rules: [...] } replaces the whole
+  // ruleset; { rule } adds one rule (or replaces the rule with the same id).
+  // ?limit= caps how many recent receipts are replayed (default 50).
+  async handleEmailRulesDryRun(request, url) {
+    const body = await request.json().catch(() => null);
+    if (!body || (!Array.isArray(body.rules) && !body.rule)) {
+      return this.jsonResponse({ error: 'rules (array) or rule (object) required' }, 400);
+    }
+    const handler = this.services.email.handler;
+    let candidate = body.rules;
+    if (!candidate) {
+      await handler.getRoutingProfile();
+      const { rules } = await handler.getRoutingRules();
+      candidate = [...rules.filter((r) => body.rule.id == null || r.id !== body.rule.id), body.rule];
+    }
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '50'), 200);
+    const result = await handler.dryRunRules(candidate, { limit });
+    if (!result.valid) return this.jsonResponse({ error: 'invalid rule', errors: result.errors }, 400);
+    return this.jsonResponse(result);
+  }
+
+  // GET/POST /email/mode — get or set routing mode (onboarding, hybrid, auto).
+  // GET/POST /email/mode/policy — hybrid-mode thresholds (auth required).
+  // GET /email/mode/dashboard?since= — auto vs held split, hold reasons and
+  // per-category accuracy against the thresholds (auth required).
+  async handleEmailMode(request, url) {
     try {
       const handler = this.services.email.handler;
+      const subPath = url.pathname.replace(/^\/email\/mode\/?/, '');
+      if (subPath === 'policy') {
+        const authErr = await this.requireAuth(request);
+        if (authErr) return authErr;
+        if (request.method === 'POST') {
+          const input = await request.json().catch(() => null);
+          if (!input || typeof input !== 'object') return this.jsonResponse({ error: 'Invalid JSON body' }, 400);
+          const result = await handler.setHybridPolicy(input);
+          if (!result.success) return this.jsonResponse({ error: 'invalid policy', errors: result.errors }, 400);
+          return this.jsonResponse({ policy: result.policy });
+        }
+        return this.jsonResponse({ policy: await handler.getHybridPolicy() });
+      }
+      if (subPath === 'dashboard') {
+        const authErr = await this.requireAuth(request);
+        if (authErr) return authErr;
+        const since = url.searchParams.get('since') || undefined;
+        if (since && Number.isNaN(Date.parse(since))) return this.jsonResponse({ error: 'since must be an ISO date' }, 400);
+        const dashboard = await handler.getRoutingDashboard({ since });
+        return dashboard ? this.jsonResponse(dashboard) : this.jsonResponse({ error: 'review queue unavailable' }, 503);
+      }
+      if (subPath) return this.jsonResponse({ error: 'Not Found' }, 404);
+
       if (request.method === 'POST') {
         const authErr = await this.requireAuth(request);
         if (authErr) return authErr;
         const { mode } = await request.json();
-        if (!['onboarding', 'auto'].includes(mode)) {
-          return this.jsonResponse({ error: 'mode must be "onboarding" or "auto"' }, 400);
+        if (!ROUTING_MODES.includes(mode)) {
+          return this.jsonResponse({ error: `mode must be one of ${ROUTING_MODES.join(', ')}` }, 400);
         }
         const result = await handler.setRoutingMode(mode);
         return this.jsonResponse(result);
@@ -770,6 +1305,28 @@ class RouteMultiplexer {
     }
   }
 
+  // GET/POST /email/profile — view the active routing profile, or validate +
+  // store a new one (KV source only) and hot-reload it (auth required)
+  async handleEmailProfile(request) {
+    const authErr = await this.requireAuth(request);
+    if (authErr) return authErr;
+    try {
+      if (request.method === 'POST') {
+        const profile = await request.json().catch(() => null);
+        if (!profile) return this.jsonResponse({ error: 'Invalid JSON body' }, 400);
+        const result = await saveRoutingProfile(this.env, profile);
+        return this.jsonResponse(result, result.success ? 200 : 400);
+      }
+      // `source` is where the active profile came from, which differs from
+      // the configured source when the loader fell back to last-good.
+      const profile = await loadRoutingProfile(this.env, { force: true });
+      const { source, configuredSource, error } = routingProfileStatus(this.env);
+      return this.jsonResponse({ source, configuredSource, error, profile });
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
+  }
+
   async callNotificationAgent(method, path, body, queryParams) {
     const bindingName = 'NOTIFICATION_AGENT';
     const stub = await this.getAgentStub(bindingName);
@@ -794,7 +1351,7 @@ class RouteMultiplexer {
   }
 
   async handleRegisteredEmailSend(request) {
-    const guard = this.requirePostWithAuth(request);
+    const guard = await this.requirePostWithAuth(request);
     if (guard) return guard;
     try {
       const body = await request.json();
@@ -843,6 +1400,66 @@ class RouteMultiplexer {
     }
   }
 
+  // GET /email/registered/ledger[?state&tracking&case&limit] — registered
+  // emails with their delivery state and archived receipt (auth required).
+  // GET /email/registered/ledger/<idempotencyKey> — one entry.
+  async handleRegisteredLedger(request, url) {
+    const authErr = await this.requireAuth(request);
+    if (authErr) return authErr;
+    if (request.method !== 'GET') return this.jsonResponse({ error: 'GET required' }, 405);
+    const key = url.pathname.replace(/^\/email\/registered\/ledger\/?/, '');
+    try {
+      const resp = key
+        ? await this.callNotificationAgent('GET', `/registered-email/ledger/${encodeURIComponent(decodeURIComponent(key))}`)
+        : await this.callNotificationAgent('GET', '/registered-email/ledger', null, Object.fromEntries(url.searchParams));
+      const text = await resp.text();
+      return new Response(text, {
+        status: resp.status,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
+  }
+
+  // POST /email/registered/poll — { key? } poll the due ledger entries, or
+  // one entry, now (auth required).
+  async handleRegisteredPoll(request) {
+    const guard = await this.requirePostWithAuth(request);
+    if (guard) return guard;
+    const body = await request.json().catch(() => ({}));
+    try {
+      const resp = await this.callNotificationAgent('POST', '/registered-email/poll', body?.key ? { key: body.key } : {});
+      const text = await resp.text();
+      return new Response(text, {
+        status: resp.status,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
+  }
+
+  // GET /exhibit-exports/<case>/<exportId>.zip?signed&expires&sig — an
+  // exhibit packet. The HMAC signature EvidenceAgent put on the link
+  // (R2_URL_SIGNING_KEY) is the credential; an expired, altered or unsigned
+  // link gets 403.
+  async handleExhibitDownload(request, url) {
+    if (request.method !== 'GET') return this.jsonResponse({ error: 'GET required' }, 405);
+    const check = await new CloudflareR2Provider(this.env).verifySignedUrl(request.url, Date.now(), { baseUrl: url.origin });
+    if (!check.valid) return this.jsonResponse({ error: `Download link rejected: ${check.reason}` }, 403);
+    if (!check.key.startsWith(`${EXPORT_PREFIX}/`)) return this.jsonResponse({ error: 'Not an exhibit export' }, 403);
+    const object = await this.env.DOCUMENT_STORAGE?.get(check.key);
+    if (!object) return this.jsonResponse({ error: 'Export not found' }, 404);
+    return new Response(object.body, {
+      headers: {
+        'Content-Type': object.httpMetadata?.contentType || 'application/zip',
+        'Content-Disposition': object.httpMetadata?.contentDisposition || 'attachment',
+        'Cache-Control': 'no-store',
+      },
+    });
+  }
+
   // ============ Webhook Handlers ============
 
   async handleWebhookNotion(request) {
@@ -861,6 +1478,63 @@ class RouteMultiplexer {
     return handleTierDegrade(request, this.env);
   }
 
+  // POST /admin/email-replay — re-run triage + routing over stored mail with
+  // a stubbed AI and diff against what was recorded. Body (all optional):
+  // { source: 'queue'|'receipts', limit, changedOnly }. Read-only.
+  async handleAdminEmailReplay(request) {
+    const guard = await this.requirePostWithAuth(request);
+    if (guard) return guard;
+    try {
+      const body = await request.json().catch(() => ({}));
+      const source = body.source || 'queue';
+      if (!REPLAY_SOURCES.includes(source)) {
+        return this.jsonResponse({ error: `source must be one of: ${REPLAY_SOURCES.join(', ')}` }, 400);
+      }
+      const limit = Math.min(parseInt(body.limit || '50'), REPLAY_LIMIT_MAX);
+      if (!(limit > 0)) return this.jsonResponse({ error: 'limit must be a positive integer' }, 400);
+      const report = await this.services.email.handler.replayRecent({
+        source,
+        limit,
+        changedOnly: body.changedOnly === true,
+      });
+      return this.jsonResponse({ source, ...report });
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
+  }
+
+  // POST /admin/agent-shards/migrate — { agent: 'ENTITY_AGENT', dryRun = true }.
+  // A dry run reports where each singleton row would go; otherwise rows are
+  // moved shard by shard (safe to re-run, see migrateToShards).
+  async handleAdminAgentShardsMigrate(request) {
+    const guard = await this.requirePostWithAuth(request);
+    if (guard) return guard;
+    try {
+      const body = await request.json().catch(() => ({}));
+      if (!isShardedAgent(body.agent)) {
+        return this.jsonResponse({ error: `agent must be one of: ${SHARDED_AGENTS.join(', ')}` }, 400);
+      }
+      const report = await migrateToShards(this.env, body.agent, { dryRun: body.dryRun !== false });
+      return this.jsonResponse(report, report.error ? 502 : 200);
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
+  }
+
+  // GET /admin/auth/denials?limit=50 — most recent refused agent / MCP tool
+  // calls (auth required), newest first.
+  async handleAdminAuthDenials(request, url) {
+    const authErr = await this.requireAuth(request);
+    if (authErr) return authErr;
+    try {
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 50, 1), 200);
+      const denials = await listDenials(this.env, { limit });
+      return this.jsonResponse({ count: denials.length, denials });
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 500);
+    }
+  }
+
   async handleWebhookStatus() {
     const platforms = ['notion', 'github', 'stripe'];
     const configuredCount = platforms.filter(
@@ -878,16 +1552,18 @@ class RouteMultiplexer {
   /**
    * Get an initialized Agents SDK stub.
    * The Agents SDK (partyserver) requires a setup request with x-partykit-room
-   * header before the agent will accept normal requests.
+   * header before the agent will accept normal requests. With a shard, the
+   * stub is that shard's instance (src/utils/agent-shards.js).
    */
-  async getAgentStub(bindingName) {
+  async getAgentStub(bindingName, shard = null) {
     const binding = this.env[bindingName];
     if (!binding) return null;
-    const id = binding.idFromName(bindingName);
+    const name = instanceName(bindingName, shard);
+    const id = binding.idFromName(name);
     const stub = binding.get(id);
     // Initialize the agent's name via partyserver protocol
     const setupReq = new Request('http://dummy-example.cloudflare.com/cdn-cgi/partyserver/set-name/');
-    setupReq.headers.set('x-partykit-room', bindingName);
+    setupReq.headers.set('x-partykit-room', name);
     await stub.fetch(setupReq).then((r) => r.text());
     return stub;
   }
@@ -895,22 +1571,79 @@ class RouteMultiplexer {
   /**
    * Forward request to a stateful Agents SDK Durable Object.
    * Routes like /agents/triage/classify → agent receives /classify.
+   * Sharded agents also take /agents/entity/org:chittyos/create (one shard)
+   * and /agents/entity/all/stats (fan-out); with AGENT_SHARDING_ENABLED a
+   * shard-less call is routed by its payload.
+   *
+   * The caller needs the call's scope (src/utils/agent-scopes.js); denials
+   * are audited.
    */
-  async delegateToAgent(bindingName, request, url) {
-    const stub = await this.getAgentStub(bindingName);
+  async delegateToAgent(bindingName, request, url, ctx) {
+    const auth = await this.authenticateAgentCaller(request);
+    if (auth.response) return auth.response;
+
+    // Strip the /agents/<name> prefix so the agent receives clean paths
+    let agentPath = url.pathname.replace(/^\/agents\/[^/]+/, '') || '/';
+    const segment = agentPath.split('/')[1];
+    let shard = null;
+    if (isShardSegment(segment)) {
+      shard = segment;
+      agentPath = agentPath.slice(segment.length + 1) || '/';
+    }
+
+    const hasBody = request.method !== 'GET' && request.method !== 'HEAD';
+    let body = hasBody ? request.body : undefined;
+    let payload = Object.fromEntries(url.searchParams);
+    // Buffered when the payload decides the shard or the org check
+    if (hasBody && (isShardedAgent(bindingName) || auth.principal.orgs)) {
+      body = await request.text();
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        payload = null; // the agent reports the bad body
+      }
+    }
+
+    const target = resolveShardTarget(this.env, bindingName, {
+      shard, method: request.method, path: agentPath, payload,
+    });
+    if (target.error) return this.jsonResponse({ error: target.error }, 400);
+
+    const decision = authorizeAgentCall(auth.principal, {
+      bindingName, method: request.method, path: agentPath,
+      shard: target.shard, fanOut: target.fanOut, payload,
+    });
+    if (!decision.allowed) {
+      auditDenial(this.env, {
+        via: 'http', principal: auth.principal, bindingName, method: request.method,
+        path: agentPath, shard: target.shard ?? shard, scope: decision.scope, reason: decision.reason,
+      }, ctx);
+      return this.jsonResponse({ error: 'Forbidden', reason: decision.reason, scope: decision.scope }, 403);
+    }
+
+    if (target.fanOut) {
+      const merged = await fanOut(this.env, bindingName, agentPath, {
+        search: url.search,
+        filter: decision.shardFilter,
+      });
+      return merged
+        ? this.jsonResponse(merged)
+        : this.jsonResponse({ error: `Agent binding ${bindingName} not available` }, 503);
+    }
+
+    const stub = await this.getAgentStub(bindingName, target.shard);
     if (!stub) {
       return this.jsonResponse({ error: `Agent binding ${bindingName} not available` }, 503);
     }
+    if (target.shard && hasBody) await registerShard(this.env, bindingName, target.shard);
 
-    // Strip the /agents/<name> prefix so the agent receives clean paths
-    const agentPath = url.pathname.replace(/^\/agents\/[^/]+/, '') || '/';
     const agentUrl = new URL(agentPath, url.origin);
     agentUrl.search = url.search;
 
     const agentRequest = new Request(agentUrl.toString(), {
       method: request.method,
       headers: request.headers,
-      body: request.method !== 'GET' && request.method !== 'HEAD' ? request.body : undefined,
+      body,
     });
 
     try {
@@ -931,6 +1664,11 @@ class RouteMultiplexer {
       'NOTIFICATION_AGENT', 'INTELLIGENCE_AGENT', 'WEBHOOK_AGENT', 'MESSAGING_AGENT',
       'SECURITY_AGENT',
       'SCRAPE_AGENT',
+      'REVIEW_QUEUE_AGENT',
+      'THREAD_AGENT',
+      'SEARCH_AGENT',
+      'NOTION_DLQ_AGENT',
+      'DISPUTE_OUTBOX_AGENT',
     ];
 
     const results = await Promise.all(
@@ -1032,6 +1770,18 @@ class RouteMultiplexer {
 
   // ============ Response Helpers ============
 
+  /**
+   * Principal for an /agents/* caller: an MCP_API_KEYS key (scoped), else a
+   * ChittyAuth-validated service caller (all scopes).
+   * @returns {Promise<{ principal: object } | { response: Response }>}
+   */
+  async authenticateAgentCaller(request) {
+    const auth = await authenticateApiKey(request, this.env);
+    if (auth.principal || !this.env.CHITTYAUTH) return auth;
+    const service = await this.env.CHITTYAUTH.validate(request);
+    return service.ok ? { principal: SERVICE_PRINCIPAL } : auth;
+  }
+
   /**
    * Verify service token for protected endpoints
    */
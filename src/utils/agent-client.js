@@ -0,0 +1,45 @@
+/**
+ * Agent Client — call an Agents SDK Durable Object over its HTTP interface
+ * from outside the RouteMultiplexer (email handler, config loaders).
+ *
+ * Same partyserver set-name handshake as RouteMultiplexer.getAgentStub and
+ * EmailProcessor.callAgent: the instance is named after its binding unless a
+ * room is given.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+/**
+ * @param {object} env - worker env
+ * @param {string} bindingName - e.g. 'TRIAGE_AGENT'
+ * @param {string} path - agent path, e.g. '/rules'
+ * @param {{ method?: string, body?: any, search?: string, room?: string }} [opts]
+ * @returns {Promise<{ status: number, data: any } | null>} null when the
+ *   binding is not configured
+ */
+export async function callAgent(env, bindingName, path, { method = 'GET', body, search, room } = {}) {
+  const binding = env?.[bindingName];
+  if (!binding) return null;
+
+  const name = room || bindingName;
+  const stub = binding.get(binding.idFromName(name));
+  const setupReq = new Request('http://dummy-example.cloudflare.com/cdn-cgi/partyserver/set-name/');
+  setupReq.headers.set('x-partykit-room', name);
+  await stub.fetch(setupReq).then((r) => r.text());
+
+  const url = new URL(`https://agent${path}`);
+  if (search) url.search = search;
+  const res = await stub.fetch(new Request(url.toString(), {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  }));
+
+  let data = null;
+  try {
+    data = await res.json();
+  } catch {
+    // non-JSON error body — status code carries the signal
+  }
+  return { status: res.status, data };
+}
@@ -0,0 +1,232 @@
+/**
+ * Agent Scopes — what a caller may do with the Agents SDK Durable Objects,
+ * over /agents/* and through the MCP gateway.
+ *
+ * A scope is `<agent>:<action>`: `finance:read`, `evidence:write`,
+ * `notification:send`. `*` works on either side (`finance:*`, `*:read`,
+ * `*`). Actions: GET is read, POST is write, except where ACTION_OVERRIDES
+ * says otherwise (sending a notification, a search that happens to be a
+ * POST); /shard/*, running the scrape queue and email-intake evidence
+ * ingests are admin.
+ *
+ * Principals come from API-key records in MCP_API_KEYS
+ * (`{ status, scopes, orgs?, cases? }`, see src/mcp/mcp-auth.js) or are
+ * ChittyAuth service callers, which are trusted with `*`. A principal with
+ * `orgs` may only touch sharded agents through those orgs' shards (or the
+ * `cases` it lists), may never name another org in a payload, and may not
+ * call the CROSS_ORG_AGENTS at all.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { isShardedAgent, parseShard, shardSlug } from './agent-shards.js';
+
+export const AGENT_RESOURCES = {
+  TRIAGE_AGENT: 'triage',
+  PRIORITY_AGENT: 'priority',
+  RESPONSE_AGENT: 'response',
+  DOCUMENT_AGENT: 'document',
+  ENTITY_AGENT: 'entity',
+  EVIDENCE_AGENT: 'evidence',
+  CALENDAR_AGENT: 'calendar',
+  FINANCE_AGENT: 'finance',
+  NOTIFICATION_AGENT: 'notification',
+  INTELLIGENCE_AGENT: 'intelligence',
+  WEBHOOK_AGENT: 'webhook',
+  MESSAGING_AGENT: 'messaging',
+  SECURITY_AGENT: 'security',
+  SCRAPE_AGENT: 'scrape',
+  REVIEW_QUEUE_AGENT: 'review-queue',
+  THREAD_AGENT: 'thread',
+  SEARCH_AGENT: 'search',
+  NOTION_DLQ_AGENT: 'notion-dlq',
+  DISPUTE_OUTBOX_AGENT: 'dispute-outbox',
+};
+
+export const SCOPE_ACTIONS = ['read', 'write', 'send', 'admin'];
+
+/**
+ * Unsharded agents holding every org's mail, threads, search hits and
+ * delivery queues. Leaving `org` out of a payload would read all of it, so
+ * org-restricted principals are refused, as authorizeScope does.
+ */
+export const CROSS_ORG_AGENTS = [
+  'TRIAGE_AGENT',
+  'REVIEW_QUEUE_AGENT',
+  'THREAD_AGENT',
+  'SEARCH_AGENT',
+  'NOTION_DLQ_AGENT',
+  'DISPUTE_OUTBOX_AGENT',
+];
+
+const ACTION_OVERRIDES = {
+  EVIDENCE_AGENT: { '/ingest/email': 'admin' },
+  NOTIFICATION_AGENT: { '/send': 'send', '/broadcast': 'send', '/registered-email/send': 'send' },
+  SEARCH_AGENT: { '/search': 'read' },
+  SCRAPE_AGENT: { '/process': 'admin' },
+};
+
+// Denials are kept 90 days under this prefix in MCP_API_KEYS. Keys sort
+// newest-first (inverted timestamp), so a prefix list reads recent ones.
+export const DENIAL_PREFIX = 'audit:denied:';
+const DENIAL_TTL_SECONDS = 90 * 24 * 60 * 60;
+const TS_MAX = 9999999999999;
+
+const SCOPE_RE = /^([a-z*][a-z-]*|\*):([a-z]+|\*)$/;
+
+/** Whether a granted scope string is well-formed. */
+export function isValidScope(scope) {
+  if (scope === '*') return true;
+  const m = typeof scope === 'string' && scope.match(SCOPE_RE);
+  return !!m && (m[2] === '*' || SCOPE_ACTIONS.includes(m[2]));
+}
+
+/**
+ * The scope an agent call needs.
+ * @returns {string|null} null for a binding with no resource name
+ */
+export function requiredScope(bindingName, method, path) {
+  const resource = AGENT_RESOURCES[bindingName];
+  if (!resource) return null;
+  let action = method === 'GET' || method === 'HEAD' ? 'read' : 'write';
+  if (path?.startsWith('/shard/')) action = 'admin';
+  else if (ACTION_OVERRIDES[bindingName]?.[path]) action = ACTION_OVERRIDES[bindingName][path];
+  return `${resource}:${action}`;
+}
+
+/** Whether any granted scope covers `required` (wildcards on either half). */
+export function scopeAllows(granted, required) {
+  if (!required || !Array.isArray(granted)) return false;
+  const [resource, action] = required.split(':');
+  return granted.some((scope) => {
+    if (scope === '*') return true;
+    const [r, a] = String(scope).split(':');
+    return (r === '*' || r === resource) && (a === '*' || a === action);
+  });
+}
+
+/**
+ * Principal for an API-key record. `orgs` / `cases` absent (or not arrays)
+ * means unrestricted; a key without `scopes` authenticates but may call
+ * nothing.
+ */
+export function principalFromKey(keyId, record) {
+  return {
+    id: record.id || record.name || `key:${String(keyId).slice(0, 8)}`,
+    kind: 'api_key',
+    scopes: Array.isArray(record.scopes) ? record.scopes.filter(isValidScope) : [],
+    orgs: Array.isArray(record.orgs) ? record.orgs : null,
+    cases: Array.isArray(record.cases) ? record.cases : [],
+  };
+}
+
+export const SERVICE_PRINCIPAL = Object.freeze({ id: 'chittyauth-service', kind: 'service', scopes: ['*'], orgs: null, cases: [] });
+export const DEV_BYPASS_PRINCIPAL = Object.freeze({ id: 'dev-bypass', kind: 'dev_bypass', scopes: ['*'], orgs: null, cases: [] });
+
+/**
+ * The development bypass: AUTH_DEV_BYPASS='true', and never when
+ * ENVIRONMENT is production.
+ */
+export function isDevBypass(env) {
+  return env?.AUTH_DEV_BYPASS === 'true' && env?.ENVIRONMENT !== 'production';
+}
+
+export function orgAllowed(principal, org) {
+  if (!principal.orgs) return true;
+  const slug = shardSlug(org);
+  return !!slug && principal.orgs.some((o) => shardSlug(o) === slug);
+}
+
+/** Whether an org-restricted principal may use a shard (null = the root). */
+export function shardAllowed(principal, shard) {
+  if (!principal.orgs) return true;
+  const parsed = shard ? parseShard(shard) : null;
+  if (!parsed) return false;
+  if (parsed.kind === 'org') return principal.orgs.some((o) => shardSlug(o) === parsed.slug);
+  return (principal.cases || []).some((c) => shardSlug(c) === parsed.slug);
+}
+
+/**
+ * Decide an agent call.
+ *
+ * @param {object|null} principal
+ * @param {{ bindingName: string, method: string, path: string, shard?: string|null,
+ *   fanOut?: boolean, payload?: object|null }} call - shard/fanOut as resolved
+ *   by resolveShardTarget
+ * @returns {{ allowed: true, scope: string, shardFilter?: (shard: string|null) => boolean }
+ *   | { allowed: false, scope: string|null, reason: string }}
+ */
+export function authorizeAgentCall(principal, { bindingName, method, path, shard = null, fanOut = false, payload = null }) {
+  const scope = requiredScope(bindingName, method, path);
+  if (!principal) return { allowed: false, scope, reason: 'unauthenticated' };
+  if (!scope) return { allowed: false, scope, reason: `unknown agent ${bindingName}` };
+  if (!scopeAllows(principal.scopes, scope)) return { allowed: false, scope, reason: `missing scope ${scope}` };
+  if (!principal.orgs) return { allowed: true, scope };
+  if (CROSS_ORG_AGENTS.includes(bindingName)) {
+    return { allowed: false, scope, reason: 'org-restricted keys cannot read cross-org data' };
+  }
+
+  if (payload?.org && !orgAllowed(principal, payload.org)) {
+    return { allowed: false, scope, reason: `org ${payload.org} not permitted` };
+  }
+  if (!isShardedAgent(bindingName)) return { allowed: true, scope };
+  if (fanOut) return { allowed: true, scope, shardFilter: (s) => shardAllowed(principal, s) };
+  if (!shardAllowed(principal, shard)) {
+    return { allowed: false, scope, reason: shard ? `shard ${shard} not permitted` : 'org-restricted keys must address an org or case shard' };
+  }
+  return { allowed: true, scope };
+}
+
+/**
+ * Decide a call that is not an agent call (recent mail receipts) and needs
+ * `scope`. Such data spans orgs, so org-restricted principals are refused.
+ */
+export function authorizeScope(principal, scope) {
+  if (!principal) return { allowed: false, scope, reason: 'unauthenticated' };
+  if (!scopeAllows(principal.scopes, scope)) return { allowed: false, scope, reason: `missing scope ${scope}` };
+  if (principal.orgs) return { allowed: false, scope, reason: 'org-restricted keys cannot read cross-org data' };
+  return { allowed: true, scope };
+}
+
+/**
+ * Record a denied call: a structured log line, and a KV entry in
+ * MCP_API_KEYS when bound. Never throws.
+ *
+ * @param {object} env
+ * @param {{ via: 'http'|'mcp', principal: object|null, bindingName?: string, tool?: string,
+ *   method?: string, path?: string, shard?: string|null, scope?: string|null, reason: string }} denial
+ * @param {{ waitUntil?: Function }} [ctx]
+ */
+export function auditDenial(env, denial, ctx) {
+  const at = new Date();
+  const entry = {
+    at: at.toISOString(),
+    via: denial.via,
+    principal: denial.principal?.id ?? null,
+    principalKind: denial.principal?.kind ?? null,
+    agent: denial.bindingName ?? null,
+    tool: denial.tool ?? null,
+    method: denial.method ?? null,
+    path: denial.path ?? null,
+    shard: denial.shard ?? null,
+    scope: denial.scope ?? null,
+    reason: denial.reason,
+  };
+  console.warn('[auth] denied', JSON.stringify(entry));
+  if (!env?.MCP_API_KEYS) return;
+  const key = `${DENIAL_PREFIX}${String(TS_MAX - at.getTime()).padStart(13, '0')}:${crypto.randomUUID()}`;
+  const task = env.MCP_API_KEYS.put(key, JSON.stringify(entry), { expirationTtl: DENIAL_TTL_SECONDS })
+    .catch((err) => console.error('[auth] denial audit write failed:', err?.message ?? err));
+  if (ctx && typeof ctx.waitUntil === 'function') ctx.waitUntil(task);
+}
+
+/**
+ * Most recent audited denials, newest first.
+ * @returns {Promise<object[]>}
+ */
+export async function listDenials(env, { limit = 50 } = {}) {
+  if (!env?.MCP_API_KEYS) return [];
+  const { keys } = await env.MCP_API_KEYS.list({ prefix: DENIAL_PREFIX, limit });
+  const entries = await Promise.all(keys.map((k) => env.MCP_API_KEYS.get(k.name)));
+  return entries.filter(Boolean).map((raw) => JSON.parse(raw));
+}
@@ -0,0 +1,419 @@
+/**
+ * Agent Shards — per-org and per-case addressing for the Agents SDK Durable
+ * Objects that hold tenant data (entities, evidence, calendar, ledger).
+ *
+ * Unsharded, each agent type is one SQLite instance named after its binding.
+ * A shard is `org:<slug>` or `case:<slug>` and lives in the instance
+ * `<BINDING>~<shard>`. The binding-named singleton stays on as the root: it
+ * keeps rows that carry neither org nor case (and everything not yet
+ * migrated), and its agent_shards table is the registry fan-out reads from.
+ *
+ * Case wins over org, so a matter's evidence, deadlines and ledger sit in one
+ * instance whichever org filed them. Ids are per instance: an entity or
+ * exhibit id means nothing without the shard it came from.
+ *
+ * AGENT_SHARDING_ENABLED='true' turns on implicit routing — writes go to the
+ * shard their payload names, list/stats reads fan out. Explicit shards in the
+ * path (/agents/entity/org:chittyos/create) or the MCP `shard` argument work
+ * either way.
+ *
+ * @service chittycanon://core/services/chittyrouter
+ */
+
+import { callAgent } from './agent-client.js';
+import { detectOrg } from '../agents/org-detection.js';
+
+export const SHARDED_AGENTS = ['ENTITY_AGENT', 'EVIDENCE_AGENT', 'CALENDAR_AGENT', 'FINANCE_AGENT'];
+export const SHARD_KINDS = ['org', 'case'];
+export const ALL_SHARDS = 'all';
+export const ROOT_SHARD = 'root';
+
+// Read endpoints whose results merge across shards (counts sum, rows concat).
+export const FAN_OUT_PATHS = ['/stats', '/search', '/upcoming', '/urgent'];
+
+const MAX_SLUG = 64;
+const COLUMN_RE = /^[a-z_][a-z0-9_]*$/;
+
+export function isShardingEnabled(env) {
+  return env?.AGENT_SHARDING_ENABLED === 'true';
+}
+
+export function isShardedAgent(bindingName) {
+  return SHARDED_AGENTS.includes(bindingName);
+}
+
+/**
+ * Canonical slug for an org name or case slug: 'Furnished-Condos' →
+ * 'furnished-condos'. Null when nothing usable is left.
+ */
+export function shardSlug(value) {
+  if (value === null || value === undefined) return null;
+  const slug = String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG)
+    .replace(/-+$/, '');
+  return slug || null;
+}
+
+/**
+ * Parse a shard id (`org:<slug>` / `case:<slug>`, URL-encoded or not) into
+ * its canonical form. Null for anything else, including 'all'.
+ * @returns {{ kind: string, slug: string, id: string } | null}
+ */
+export function parseShard(value) {
+  if (typeof value !== 'string') return null;
+  let decoded;
+  try {
+    decoded = decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+  const sep = decoded.indexOf(':');
+  if (sep < 0) return null;
+  const kind = decoded.slice(0, sep).toLowerCase();
+  const slug = shardSlug(decoded.slice(sep + 1));
+  if (!SHARD_KINDS.includes(kind) || !slug) return null;
+  return { kind, slug, id: `${kind}:${slug}` };
+}
+
+/** Whether a path segment names a shard rather than an agent endpoint. */
+export function isShardSegment(segment) {
+  return segment === ALL_SHARDS || /^(org|case)(:|%3a)/i.test(segment || '');
+}
+
+/**
+ * Shard for a case and/or org; case takes precedence. Null when neither
+ * yields a slug.
+ */
+export function resolveShard({ caseSlug, org } = {}) {
+  const cs = shardSlug(caseSlug);
+  if (cs) return `case:${cs}`;
+  const os = shardSlug(org);
+  return os ? `org:${os}` : null;
+}
+
+/**
+ * Shard named by an agent payload — a POST body or GET query — using the
+ * agents' own column names (case_id, org) plus the camel/snake case-slug
+ * spellings used elsewhere in the router.
+ */
+export function shardFromPayload(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  return resolveShard({
+    caseSlug: payload.case_id ?? payload.caseSlug ?? payload.case_slug,
+    org: payload.org,
+  });
+}
+
+/**
+ * Shard for an inbound message: its case when triage found one, otherwise
+ * the org detectOrg scores from sender and content.
+ * @param {{ caseSlug?: string|null, sender?: string, content?: string }} msg
+ */
+export function shardForMessage({ caseSlug, sender, content } = {}) {
+  return resolveShard({ caseSlug, org: detectOrg({ sender, content }).org });
+}
+
+/** Durable Object instance name (also the partyserver room) for a shard. */
+export function instanceName(bindingName, shard) {
+  return shard ? `${bindingName}~${shard}` : bindingName;
+}
+
+/** Shard an instance name belongs to; null for the root singleton. */
+export function shardOfInstance(name) {
+  const sep = typeof name === 'string' ? name.indexOf('~') : -1;
+  return sep > 0 ? name.slice(sep + 1) : null;
+}
+
+/**
+ * Where a call to an agent goes.
+ *
+ * An explicit shard must name a sharded agent; 'all' is only valid for GETs
+ * of FAN_OUT_PATHS. Without one, unsharded agents and a disabled flag keep
+ * the singleton; with the flag on, fan-out reads fan out and everything else
+ * goes to the shard its payload names (root when it names none).
+ *
+ * @param {object} env
+ * @param {string} bindingName
+ * @param {{ shard?: string|null, method?: string, path: string, payload?: object }} call
+ * @returns {{ shard: string|null } | { fanOut: true } | { error: string }}
+ */
+export function resolveShardTarget(env, bindingName, { shard, method = 'GET', path, payload } = {}) {
+  const sharded = isShardedAgent(bindingName);
+  if (shard !== undefined && shard !== null && shard !== '') {
+    if (!sharded) return { error: `${bindingName} is not sharded` };
+    if (shard === ALL_SHARDS) {
+      return method === 'GET' && FAN_OUT_PATHS.includes(path)
+        ? { fanOut: true }
+        : { error: `shard "all" only supports GET ${FAN_OUT_PATHS.join(', ')}` };
+    }
+    const parsed = parseShard(shard);
+    return parsed
+      ? { shard: parsed.id }
+      : { error: `invalid shard "${shard}" — expected org:<slug>, case:<slug> or all` };
+  }
+  if (!sharded || !isShardingEnabled(env)) return { shard: null };
+  if (method === 'GET' && FAN_OUT_PATHS.includes(path)) return { fanOut: true };
+  return { shard: shardFromPayload(payload) };
+}
+
+// ── Migration planning ───────────────────────────────────────────────
+
+/**
+ * Decide which shard each row of a singleton's tenant tables moves to.
+ *
+ * `tables` is the agent's SHARD_TABLES, parents before children:
+ *   { table, org?, caseSlug?, refs?: { [column]: parentTable } }
+ * A row with non-null refs follows its parents. When they are not all
+ * headed to the same shard (an entity_link between two orgs, a reminder
+ * whose event stays behind) the row stays in the root and is listed in
+ * crossShard. A row with no refs is placed by its own case/org columns;
+ * neither means it stays.
+ *
+ * @param {Record<string, object[]>} rowsByTable
+ * @param {object[]} tables
+ * @returns {{ shards: Record<string, Record<string, object[]>>, stay: Record<string, number>,
+ *   crossShard: Array<{ table: string, id: any, shards: string[] }> }}
+ */
+export function planShardSplit(rowsByTable, tables) {
+  const placed = {};
+  const shards = {};
+  const stay = {};
+  const crossShard = [];
+
+  for (const spec of tables) {
+    const placement = new Map();
+    placed[spec.table] = placement;
+    for (const row of rowsByTable?.[spec.table] || []) {
+      const refs = Object.entries(spec.refs || {})
+        .filter(([column]) => row[column] !== null && row[column] !== undefined);
+      let shard;
+      if (refs.length) {
+        const parents = [...new Set(refs.map(([column, parent]) => placed[parent]?.get(String(row[column])) ?? null))];
+        shard = parents.length === 1 ? parents[0] : null;
+        if (parents.length > 1) {
+          crossShard.push({ table: spec.table, id: row.id, shards: parents.map((p) => p ?? ROOT_SHARD) });
+        }
+      } else {
+        shard = resolveShard({
+          caseSlug: spec.caseSlug ? row[spec.caseSlug] : null,
+          org: spec.org ? row[spec.org] : null,
+        });
+      }
+      placement.set(String(row.id), shard);
+      if (!shard) {
+        stay[spec.table] = (stay[spec.table] || 0) + 1;
+        continue;
+      }
+      shards[shard] ??= {};
+      (shards[shard][spec.table] ??= []).push(row);
+    }
+  }
+  return { shards, stay, crossShard };
+}
+
+/** Per-shard, per-table row counts of a plan — what a dry run reports. */
+export function summarizeShardPlan(plan) {
+  const shards = {};
+  for (const [shard, tables] of Object.entries(plan.shards)) {
+    shards[shard] = Object.fromEntries(Object.entries(tables).map(([t, rows]) => [t, rows.length]));
+  }
+  return { shards, stay: plan.stay, crossShard: plan.crossShard };
+}
+
+/**
+ * Columns and values to insert for one exported row in its new shard. The
+ * source id is dropped (the shard assigns its own) and ref columns are
+ * rewritten through `idMaps[parentTable]` (source id → local id). Column
+ * names come off the wire, so anything that is not a plain identifier is
+ * refused.
+ * @returns {{ columns: string[], values: any[] } | { error: string }}
+ */
+export function shardImportRow(row, spec, idMaps) {
+  const columns = [];
+  const values = [];
+  for (const [column, value] of Object.entries(row || {})) {
+    if (column === 'id') continue;
+    if (!COLUMN_RE.test(column)) return { error: `invalid column "${column}"` };
+    const parent = spec.refs?.[column];
+    if (parent && value !== null && value !== undefined) {
+      const local = idMaps[parent]?.get(String(value));
+      if (local === undefined) return { error: `${column} ${value} has no imported ${parent} row` };
+      columns.push(column);
+      values.push(local);
+    } else {
+      columns.push(column);
+      values.push(value);
+    }
+  }
+  return columns.length ? { columns, values } : { error: 'empty row' };
+}
+
+// ── Fan-out ──────────────────────────────────────────────────────────
+
+const isRow = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Breakdown rows (no id) from several shards: group on the non-numeric
+// fields, sum the numeric ones.
+function groupBreakdown(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = JSON.stringify(Object.entries(row).filter(([, v]) => typeof v !== 'number'));
+    const group = groups.get(key);
+    if (!group) {
+      groups.set(key, { ...row });
+      continue;
+    }
+    for (const [k, v] of Object.entries(row)) {
+      if (typeof v === 'number') group[k] = (group[k] || 0) + v;
+    }
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Merge fan-out responses into one payload shaped like a single agent's:
+ * numbers sum, id-bearing rows concatenate tagged with their shard, breakdown
+ * rows regroup, anything else keeps the first shard's value. `shards` lists
+ * every instance asked and how it answered, so a failed shard is visible
+ * instead of silently missing.
+ *
+ * @param {Array<{ shard: string|null, status: number, data?: any, error?: string }>} results
+ */
+export function mergeShardResults(results) {
+  const merged = {};
+  const shards = [];
+  const arrays = new Set();
+
+  for (const { shard, status, data, error } of results) {
+    const name = shard ?? ROOT_SHARD;
+    if (status >= 400 || !isRow(data)) {
+      shards.push({ shard: name, status, error: error ?? data?.error ?? 'no response' });
+      continue;
+    }
+    shards.push({ shard: name, status });
+    for (const [key, value] of Object.entries(data)) {
+      if (typeof value === 'number') {
+        merged[key] = (merged[key] ?? 0) + value;
+      } else if (Array.isArray(value)) {
+        arrays.add(key);
+        const tagged = value.map((item) => (isRow(item) && 'id' in item ? { ...item, shard: name } : item));
+        merged[key] = [...(merged[key] || []), ...tagged];
+      } else if (!(key in merged)) {
+        merged[key] = value;
+      }
+    }
+  }
+
+  for (const key of arrays) {
+    const rows = merged[key];
+    if (rows.length && rows.every((r) => isRow(r) && !('id' in r))) merged[key] = groupBreakdown(rows);
+  }
+  return { ...merged, shards };
+}
+
+// Shards this isolate has already registered, per binding.
+const registered = new Map();
+
+/**
+ * Record a shard in the root's registry so fan-out reads find it. Cached per
+ * isolate; the registry insert is idempotent, so a cold isolate repeating it
+ * is harmless. Never throws.
+ */
+export async function registerShard(env, bindingName, shard) {
+  if (!shard) return;
+  const key = `${bindingName}\n${shard}`;
+  if (registered.has(key)) return;
+  try {
+    const res = await callAgent(env, bindingName, '/shard/register', { method: 'POST', body: { shard } });
+    if (res && res.status < 400) registered.set(key, true);
+  } catch (err) {
+    // Not cached, so the next write retries; until then fan-out misses it.
+    console.warn(`[agent-shards] registering ${bindingName} ${shard} failed:`, err?.message ?? err);
+  }
+}
+
+/** Drop the per-isolate registration cache (tests). */
+export function clearShardRegistrationCache() {
+  registered.clear();
+}
+
+/**
+ * Run a GET against the root and every registered shard of an agent and
+ * merge the answers (mergeShardResults).
+ * @param {{ search?: string, filter?: (shard: string|null) => boolean }} [opts] -
+ *   query string passed to every shard; `filter` limits which shards (null =
+ *   the root) are asked
+ * @returns {Promise<object|null>} null when the binding is not configured
+ */
+export async function fanOut(env, bindingName, path, { search, filter } = {}) {
+  const registry = await callAgent(env, bindingName, '/shard/registry');
+  if (!registry) return null;
+  const shards = [null, ...(registry.data?.shards || []).map((s) => s.shard)]
+    .filter((shard) => !filter || filter(shard));
+  const results = await Promise.all(shards.map(async (shard) => {
+    try {
+      const res = await callAgent(env, bindingName, path, { search, room: instanceName(bindingName, shard) });
+      return { shard, status: res.status, data: res.data };
+    } catch (err) {
+      return { shard, status: 502, error: err?.message ?? String(err) };
+    }
+  }));
+  return mergeShardResults(results);
+}
+
+/**
+ * Split an agent's singleton data into shards.
+ *
+ * Dry run (the default) returns the plan's per-shard counts. Otherwise, one
+ * shard at a time: export its rows from the root, import them into the shard
+ * (ids remapped, idempotent per source row), register the shard, then purge
+ * the imported rows from the root. Re-running after a failure picks up where
+ * it stopped; rows that hit a unique-key conflict in the shard stay in the
+ * root and are reported.
+ *
+ * @param {{ dryRun?: boolean }} [opts]
+ * @returns {Promise<object>}
+ */
+export async function migrateToShards(env, bindingName, { dryRun = true } = {}) {
+  if (!isShardedAgent(bindingName)) return { error: `${bindingName} is not sharded` };
+  const plan = await callAgent(env, bindingName, '/shard/plan');
+  if (!plan) return { error: `Agent binding ${bindingName} not available` };
+  if (plan.status >= 400) return { error: plan.data?.error || `plan failed (${plan.status})` };
+  if (dryRun) return { agent: bindingName, dryRun: true, ...plan.data };
+
+  const results = [];
+  for (const shard of Object.keys(plan.data.shards)) {
+    try {
+      const exported = await callAgent(env, bindingName, '/shard/export', {
+        search: `shard=${encodeURIComponent(shard)}`,
+      });
+      if (exported.status >= 400) throw new Error(exported.data?.error || `export failed (${exported.status})`);
+      const imported = await callAgent(env, bindingName, '/shard/import', {
+        method: 'POST',
+        body: { tables: exported.data.tables },
+        room: instanceName(bindingName, shard),
+      });
+      if (imported.status >= 400) throw new Error(imported.data?.error || `import failed (${imported.status})`);
+      await registerShard(env, bindingName, shard);
+      const purged = await callAgent(env, bindingName, '/shard/purge', {
+        method: 'POST',
+        body: { tables: imported.data.mapped },
+      });
+      if (purged.status >= 400) throw new Error(purged.data?.error || `purge failed (${purged.status})`);
+      const { imported: count, skipped, conflicts } = imported.data;
+      results.push({ shard, imported: count, skipped, conflicts, purged: purged.data.purged });
+    } catch (err) {
+      results.push({ shard, error: err?.message ?? String(err) });
+    }
+  }
+  return {
+    agent: bindingName,
+    dryRun: false,
+    stay: plan.data.stay,
+    crossShard: plan.data.crossShard,
+    results,
+  };
+}
@@ -12,6 +12,8 @@ export class AIModelConfig {
       vision: env.AI_MODEL_VISION || '@cf/meta/llama-3.2-11b-vision-instruct',
       audio: env.AI_MODEL_AUDIO || '@cf/openai/whisper',
       reasoning: env.AI_MODEL_REASONING || '@cf/google/gemma-4-26b-a4b-it',
+      // Inbound-mail triage runs on every delivery — cheap and fast first
+      triage: env.AI_MODEL_TRIAGE || '@cf/meta/llama-3.1-8b-instruct-fast',
       // Fallback for legacy code
       legacy: '@cf/meta/llama-3.1-8b-instruct-fast'
     };
@@ -61,6 +63,7 @@ export class AIModelConfig {
       'document_analysis': this.models.vision,
       'legal_reasoning': this.models.reasoning,
       'triage': this.models.primary,
+      'email_triage': this.models.triage,
       'priority_assessment': this.models.reasoning,
       'response_generation': this.models.secondary,
       'content_classification': this.models.primary,
@@ -108,6 +111,14 @@ export class AIModelConfig {
         speed: 'medium',
         languages: 'multilingual',
         features: ['advanced_reasoning', 'multimodal', 'json_mode']
+      },
+      '@cf/meta/llama-3.1-8b-instruct-fast': {
+        multimodal: false,
+        contextWindow: 128000,
+        reasoning: 'medium',
+        speed: 'fast',
+        languages: 'multilingual',
+        features: ['function_calling', 'json_mode']
       }
     };
 
@@ -277,53 +288,6 @@ export class AIModelConfig {
     return [...new Set(fallbacks)];
   }
 
-  /**
-   * Execute with automatic fallback.
-   *
-   * If a cost-degrade override is active in KV (env.AI_CACHE), the fallback
-   * chain is built starting at the cheaper model tier — closing the
-   * Comptroller cost-throttle loop. ERROR-driven fallback still applies on top.
-   */
-  async runWithFallback(ai, taskType, prompt, options = {}) {
-    const override = this.env ? await this.getActiveOverride(this.env) : null;
-    if (override) {
-      console.log(
-        `💸 cost-degrade override active (to_tier=${override.to_tier}, ` +
-        `expires_at=${override.expires_at}) — starting fallback chain at cheaper tier`
-      );
-    }
-    const fallbackChain = this.getFallbackChain(taskType, override);
-    let lastError;
-
-    for (const model of fallbackChain) {
-      try {
-        console.log(`🤖 Attempting ${taskType} with ${model}`);
-
-        const response = await ai.run(model, {
-          messages: [{ role: 'user', content: prompt }],
-          max_tokens: options.max_tokens || 1000,
-          temperature: options.temperature || 0.1,
-          ...options
-        });
-
-        if (response && response.response) {
-          console.log(`✅ ${taskType} successful with ${model}`);
-          return {
-            response: response.response,
-            model,
-            success: true
-          };
-        }
-      } catch (error) {
-        console.warn(`❌ ${model} failed for ${taskType}:`, error.message);
-        lastError = error;
-        continue;
-      }
-    }
-
-    throw new Error(`All models failed for ${taskType}. Last error: ${lastError?.message}`);
-  }
-
   /**
    * Get model configuration summary
    */
@@ -0,0 +1,37 @@
+/**
+ * Shared plumbing for the in-memory Durable Object bindings in tests/data.
+ *
+ * `makeAgentBinding(route)` returns a namespace-shaped binding (idFromName,
+ * get) whose stubs answer the partyserver set-name handshake, parse the JSON
+ * body of POSTs and record every other call in `requests` as
+ * { instance, method, path, search, body } before passing it to
+ * `route({ instance, request, url, path, body })`.
+ */
+
+export const json = (data, status = 200) => new Response(JSON.stringify(data), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+export const iso = (ms) => (ms === null ? null : new Date(ms).toISOString());
+
+export function makeAgentBinding(route) {
+  const requests = [];
+
+  async function handle(instance, request) {
+    const url = new URL(request.url);
+    const path = url.pathname;
+    if (path.includes('/cdn-cgi/partyserver/')) return new Response('ok');
+
+    const text = request.method === 'POST' ? await request.text() : '';
+    const body = text ? JSON.parse(text) : undefined;
+    requests.push({ instance, method: request.method, path, search: url.search.replace(/^\?/, ''), body });
+    return route({ instance, request, url, path, body });
+  }
+
+  return {
+    requests,
+    idFromName: (name) => name,
+    get: (name) => ({ fetch: (request) => handle(name, request) }),
+  };
+}
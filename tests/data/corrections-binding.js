@@ -0,0 +1,101 @@
+/**
+ * In-memory stand-in for TriageAgent's corrections endpoints on the
+ * TRIAGE_AGENT binding.
+ *
+ * Speaks the /corrections protocol (src/agents/triage-agent.js) with the
+ * shared scoring and rule learning from src/email/corrections.js: add,
+ * import, list (newest first, id cursor), similar and learned rules. There
+ * is no embedding model, so similarity is sender + subject only — the same
+ * as the agent without an AI binding.
+ *
+ * `requests` records every non-handshake call (see tests/data/agent-binding.js).
+ */
+
+import { json, makeAgentBinding } from './agent-binding.js';
+import { learnRule, rankCorrections } from '../../src/email/corrections.js';
+
+export function makeCorrectionsBinding() {
+  const corrections = [];
+  const rules = new Map();
+  let nextId = 1;
+
+  function relearn(profile, sender, senderDomain) {
+    const held = [];
+    for (const [kind, value, field] of [['sender', sender, 'sender'], ['domain', senderDomain, 'senderDomain']]) {
+      if (!value) continue;
+      const rule = learnRule(kind, value, corrections.filter((c) => c.profile === profile && c[field] === value));
+      const key = `${profile} ${kind}:${value}`;
+      if (rule) {
+        rules.set(key, { profile, ...rule });
+        held.push(rule);
+      } else {
+        rules.delete(key);
+      }
+    }
+    return held;
+  }
+
+  function insert(c) {
+    const stored = { id: nextId++, ...c, createdAt: c.submittedAt || new Date().toISOString() };
+    delete stored.submittedAt;
+    corrections.push(stored);
+    return stored;
+  }
+
+  function handle({ request, url, path, body }) {
+    const params = url.searchParams;
+
+    if (path === '/corrections' && request.method === 'POST') {
+      const stored = insert(body.correction);
+      const held = relearn(stored.profile, stored.sender, stored.senderDomain);
+      return json({
+        correction: stored,
+        rules: held,
+        totalCorrections: corrections.filter((c) => c.profile === stored.profile).length,
+      });
+    }
+    if (path === '/corrections' && request.method === 'GET') {
+      const cursor = Number(params.get('cursor')) || Infinity;
+      const limit = Number(params.get('limit')) || 50;
+      const matching = corrections
+        .filter((c) => c.id < cursor)
+        .filter((c) => ['profile', 'sender', 'category'].every((k) => !params.get(k) || c[k] === params.get(k)))
+        .reverse();
+      const page = matching.slice(0, limit);
+      return json({
+        count: page.length,
+        corrections: page,
+        nextCursor: matching.length > limit ? String(page.at(-1).id) : null,
+      });
+    }
+    if (path === '/corrections/import') {
+      for (const c of body.corrections) insert(c);
+      for (const c of body.corrections) relearn(c.profile, c.sender, c.senderDomain);
+      return json({ imported: body.corrections.length });
+    }
+    if (path === '/corrections/similar') {
+      const sender = body.sender.toLowerCase();
+      const domain = sender.split('@').pop();
+      const examples = rankCorrections(
+        corrections.filter((c) => c.profile === body.profile),
+        { sender, subject: body.subject },
+        { k: body.k },
+      );
+      const matched = [`sender:${sender}`, `domain:${domain}`]
+        .map((key) => rules.get(`${body.profile} ${key}`))
+        .filter(Boolean);
+      return json({ examples, rules: matched });
+    }
+    if (path === '/corrections/rules') {
+      const profile = params.get('profile');
+      return json({ rules: [...rules.values()].filter((r) => !profile || r.profile === profile) });
+    }
+    return json({ error: 'unknown path' }, 404);
+  }
+
+  return {
+    ...makeAgentBinding(handle),
+    corrections,
+    rules,
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * In-memory stand-in for the DISPUTE_OUTBOX_AGENT Durable Object binding.
+ *
+ * Speaks the DisputeOutboxAgent HTTP protocol
+ * (src/agents/dispute-outbox-agent.js) closely enough for forwarder- and
+ * route-level tests: record, claim with a lease, ack, fail with the shared
+ * backoff/quarantine rules, list, item read, retry, replay and status.
+ * `now` is read from Date.now(), so fake timers drive due times.
+ *
+ * `requests` records every non-handshake call (see tests/data/agent-binding.js).
+ */
+
+import { json, iso, makeAgentBinding } from './agent-binding.js';
+import {
+  OUTBOX_LEASE_MS,
+  OUTBOX_STATUSES,
+  nextOutboxFailure,
+  outboxMaxAttempts,
+  parseOutboxFilters,
+} from '../../src/integration/dispute-outbox.js';
+
+export function makeDisputeOutboxBinding(env = {}) {
+  const items = new Map();
+
+  function list(searchParams) {
+    const { filters } = parseOutboxFilters(searchParams);
+    const statuses = filters.status === 'undelivered' ? ['pending', 'quarantined'] : [filters.status];
+    const all = [...items.values()]
+      .filter((i) => statuses.includes(i.status))
+      .filter((i) => (!filters.since || i.createdAt >= filters.since) && (!filters.until || i.createdAt < filters.until))
+      .slice(0, filters.limit);
+    return json({ count: all.length, items: all });
+  }
+
+  function handle({ url, path, body }) {
+    const now = Date.now();
+
+    if (path === '/record') {
+      const existing = items.get(body.key);
+      if (existing) return json({ item: existing, created: false });
+      const item = {
+        key: body.key,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: iso(now + OUTBOX_LEASE_MS),
+        sourceRef: body.payload.source_ref,
+        category: body.payload.triage?.category ?? null,
+        payload: body.payload,
+        lastError: null,
+        lastStatus: null,
+        ack: null,
+        createdAt: iso(now),
+      };
+      items.set(body.key, item);
+      return json({ item, created: true });
+    }
+    if (path === '/claim') {
+      const due = [...items.values()]
+        .filter((i) => i.status === 'pending' && i.nextAttemptAt <= iso(now))
+        .slice(0, body?.limit ?? 25);
+      const claimed = due.map((i) => ({ ...i }));
+      for (const item of due) item.nextAttemptAt = iso(now + OUTBOX_LEASE_MS);
+      return json({ items: claimed });
+    }
+    if (path === '/ack') {
+      const item = items.get(body.key);
+      if (!item) return json({ error: 'not found' }, 404);
+      Object.assign(item, {
+        status: 'delivered',
+        nextAttemptAt: null,
+        ack: { status: body.status ?? null, id: body.ackId ?? null, url: null, at: iso(now) },
+      });
+      return json({ item });
+    }
+    if (path === '/fail') {
+      const item = items.get(body.key);
+      if (!item) return json({ error: 'not found' }, 404);
+      if (item.status === 'delivered') return json({ item, quarantined: false });
+      const next = nextOutboxFailure(item.attempts, outboxMaxAttempts(env), { retryable: body.retryable !== false, now });
+      Object.assign(item, {
+        status: next.status,
+        attempts: next.attempts,
+        nextAttemptAt: iso(next.nextAttemptAt),
+        lastError: body.error,
+        lastStatus: body.status ?? null,
+      });
+      return json({ item, quarantined: next.status === 'quarantined' });
+    }
+    if (path === '/replay') {
+      const statuses = body.includeDelivered ? OUTBOX_STATUSES : ['pending', 'quarantined'];
+      let requeued = 0;
+      for (const item of items.values()) {
+        if (item.createdAt < body.since || item.createdAt >= body.until || !statuses.includes(item.status)) continue;
+        Object.assign(item, { status: 'pending', attempts: 0, nextAttemptAt: iso(now) });
+        requeued++;
+      }
+      return json({ requeued, since: body.since, until: body.until });
+    }
+    if (path === '/items') return list(url.searchParams);
+    if (path === '/undelivered') {
+      const params = new URLSearchParams(url.searchParams);
+      params.set('status', 'undelivered');
+      return list(params);
+    }
+    if (path === '/status') {
+      const byStatus = Object.fromEntries(OUTBOX_STATUSES.map((s) => [s, 0]));
+      for (const item of items.values()) byStatus[item.status]++;
+      return json({ agent: 'DisputeOutboxAgent', byStatus, undelivered: byStatus.pending + byStatus.quarantined });
+    }
+    const action = path.match(/^\/item\/([^/]+)(?:\/(retry))?$/);
+    if (action) {
+      const item = items.get(decodeURIComponent(action[1]));
+      if (!item) return json({ error: 'not found' }, 404);
+      if (action[2]) {
+        if (item.status === 'delivered') return json({ error: 'already delivered', item }, 409);
+        Object.assign(item, { status: 'pending', attempts: 0, nextAttemptAt: iso(now) });
+      }
+      return json({ item });
+    }
+    return json({ error: 'unknown path' }, 404);
+  }
+
+  return {
+    ...makeAgentBinding(handle),
+    items,
+  };
+}
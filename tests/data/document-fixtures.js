@@ -0,0 +1,353 @@
+/**
+ * Document fixtures for tests/unit/document-extraction.test.js — builders
+ * for the container formats the extraction pipeline reads (ZIP/OOXML, PDF,
+ * Outlook .msg compound files), plus an in-memory R2 bucket.
+ *
+ * Everything is generated in-test so the corpus has no binary files; the
+ * builders write only the structures the readers in src/documents/ depend
+ * on (no CRCs, no xref validation).
+ */
+
+const enc = new TextEncoder();
+const bytesOf = (data) => (typeof data === 'string' ? enc.encode(data) : data);
+
+function concat(parts) {
+  const total = parts.reduce((n, p) => n + p.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+async function compress(data, format) {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ============ ZIP / OOXML ============
+
+/**
+ * @param {Array<{ name: string, data: string|Uint8Array, deflate?: boolean }>} files
+ * @returns {Promise<Uint8Array>}
+ */
+export async function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = enc.encode(file.name);
+    const raw = bytesOf(file.data);
+    const data = file.deflate ? await compress(raw, 'deflate-raw') : raw;
+    const method = file.deflate ? 8 : 0;
+
+    const local = new Uint8Array(30 + name.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint16(4, 20, true);
+    lv.setUint16(6, 0x800, true);
+    lv.setUint16(8, method, true);
+    lv.setUint32(18, data.length, true);
+    lv.setUint32(22, raw.length, true);
+    lv.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    const central = new Uint8Array(46 + name.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(4, 20, true);
+    cv.setUint16(6, 20, true);
+    cv.setUint16(8, 0x800, true);
+    cv.setUint16(10, method, true);
+    cv.setUint32(20, data.length, true);
+    cv.setUint32(24, raw.length, true);
+    cv.setUint16(28, name.length, true);
+    cv.setUint32(42, offset, true);
+    central.set(name, 46);
+
+    locals.push(local, data);
+    centrals.push(central);
+    offset += local.length + data.length;
+  }
+  const cd = concat(centrals);
+  const eocd = new Uint8Array(22);
+  const ev = new DataView(eocd.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, files.length, true);
+  ev.setUint16(10, files.length, true);
+  ev.setUint32(12, cd.length, true);
+  ev.setUint32(16, offset, true);
+  return concat([...locals, cd, eocd]);
+}
+
+const xmlEscape = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/** DOCX with one paragraph per string; `null` inserts a hard page break. */
+export function docx(paragraphs) {
+  const body = paragraphs
+    .map((p) => (p === null
+      ? '<w:p><w:r><w:br w:type="page"/></w:r></w:p>'
+      : `<w:p><w:r><w:t xml:space="preserve">${xmlEscape(p)}</w:t></w:r></w:p>`))
+    .join('');
+  return zip([
+    { name: '[Content_Types].xml', data: '<?xml version="1.0"?><Types/>' },
+    {
+      name: 'word/document.xml',
+      data: `<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`,
+      deflate: true,
+    },
+  ]);
+}
+
+/** XLSX from `{ sheetName: [[cell, ...], ...] }`; strings go to the shared table. */
+export function xlsx(sheets) {
+  const strings = [];
+  const files = [];
+  const names = Object.keys(sheets);
+  names.forEach((name, i) => {
+    const rows = sheets[name].map((row, r) => `<row r="${r + 1}">${row.map((cell) => {
+      if (typeof cell === 'number') return `<c><v>${cell}</v></c>`;
+      strings.push(cell);
+      return `<c t="s"><v>${strings.length - 1}</v></c>`;
+    }).join('')}</row>`).join('');
+    files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, data: `<worksheet><sheetData>${rows}</sheetData></worksheet>`, deflate: true });
+  });
+  files.push(
+    {
+      name: 'xl/workbook.xml',
+      data: `<workbook><sheets>${names.map((n, i) => `<sheet name="${xmlEscape(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `<Relationships>${names.map((_, i) => `<Relationship Id="rId${i + 1}" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}</Relationships>`,
+    },
+    { name: 'xl/sharedStrings.xml', data: `<sst>${strings.map((s) => `<si><t>${xmlEscape(s)}</t></si>`).join('')}</sst>` },
+  );
+  return zip(files);
+}
+
+// ============ PDF ============
+
+/**
+ * Assemble a PDF from numbered objects (object 1 must be the catalog).
+ * @param {Array<{ dict: string, stream?: string|Uint8Array }>} objects
+ */
+export function pdfFromObjects(objects) {
+  const parts = [enc.encode('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n')];
+  let offset = parts[0].length;
+  const offsets = [];
+  objects.forEach((obj, i) => {
+    offsets.push(offset);
+    const stream = obj.stream === undefined ? null : bytesOf(obj.stream);
+    const chunk = stream
+      ? concat([
+        enc.encode(`${i + 1} 0 obj\n${obj.dict.replace(/>>\s*$/, ` /Length ${stream.length} >>`)}\nstream\n`),
+        stream,
+        enc.encode('\nendstream\nendobj\n'),
+      ])
+      : enc.encode(`${i + 1} 0 obj\n${obj.dict}\nendobj\n`);
+    parts.push(chunk);
+    offset += chunk.length;
+  });
+  const xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  parts.push(enc.encode(`${xref}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${offset}\n%%EOF\n`));
+  return concat(parts);
+}
+
+/**
+ * Text-only PDF: one Helvetica page per entry, each line drawn with its own
+ * `Td`. With `compress`, content streams are FlateDecode'd.
+ */
+export async function textPdf(pages, { compress: flate = false } = {}) {
+  const objects = [
+    { dict: '<< /Type /Catalog /Pages 2 0 R >>' },
+    { dict: '' }, // pages, filled below
+    { dict: '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>' },
+  ];
+  const kids = [];
+  for (const lines of pages) {
+    const ops = ['BT', '/F1 12 Tf', '72 720 Td'];
+    lines.forEach((line, i) => {
+      if (i > 0) ops.push('0 -14 Td');
+      ops.push(`(${line.replace(/[()\\]/g, '\\$&')}) Tj`);
+    });
+    ops.push('ET');
+    const content = ops.join('\n');
+    const stream = flate ? await compress(enc.encode(content), 'deflate') : content;
+    objects.push({ dict: flate ? '<< /Filter /FlateDecode >>' : '<< >>', stream });
+    const contentNum = objects.length;
+    objects.push({ dict: `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${contentNum} 0 R >>` });
+    kids.push(`${objects.length} 0 R`);
+  }
+  objects[1].dict = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+  return pdfFromObjects(objects);
+}
+
+/** A few bytes that pass for a JPEG (SOI … EOI) — the readers never decode it. */
+export const FAKE_JPEG = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0xff, 0xd9]);
+
+// ============ Outlook .msg (CFB) ============
+
+const ENDOFCHAIN = 0xfffffffe;
+const FREESECT = 0xffffffff;
+const FATSECT = 0xfffffffd;
+const SECTOR = 512;
+const MINI = 64;
+
+const utf16le = (s) => {
+  const out = new Uint8Array(s.length * 2);
+  for (let i = 0; i < s.length; i++) {
+    out[i * 2] = s.charCodeAt(i) & 0xff;
+    out[i * 2 + 1] = s.charCodeAt(i) >> 8;
+  }
+  return out;
+};
+
+/**
+ * Minimal Outlook .msg: version-3 compound file with every stream in the
+ * mini stream (all < 4096 bytes), one FAT sector.
+ *
+ * @param {{ subject?: string, senderName?: string, senderEmail?: string, to?: string,
+ *   body?: string, date?: string, attachments?: Array<{ name: string, data: Uint8Array }> }} msg
+ */
+export function outlookMsg(msg) {
+  const prop = (tag, value) => ({ name: `__substg1.0_${tag}001F`, data: utf16le(value) });
+  const top = [
+    msg.subject !== undefined && prop('0037', msg.subject),
+    msg.senderName !== undefined && prop('0C1A', msg.senderName),
+    msg.senderEmail !== undefined && prop('0C1F', msg.senderEmail),
+    msg.to !== undefined && prop('0E04', msg.to),
+    msg.body !== undefined && prop('1000', msg.body),
+    msg.date !== undefined && prop('007D', `Date: ${msg.date}\r\n`),
+  ].filter(Boolean);
+
+  // Directory: root, then each storage followed by its streams.
+  const entries = [{ name: 'Root Entry', type: 5, children: [] }];
+  const add = (entry, parent) => {
+    entries.push(entry);
+    entries[parent].children.push(entries.length - 1);
+    return entries.length - 1;
+  };
+  for (const s of top) add({ ...s, type: 2 }, 0);
+  (msg.attachments || []).forEach((a, i) => {
+    const storage = add({ name: `__attach_version1.0_#${String(i).padStart(8, '0')}`, type: 1, children: [] }, 0);
+    add({ name: '__substg1.0_3707001F', type: 2, data: utf16le(a.name) }, storage);
+    add({ name: '__substg1.0_37010102', type: 2, data: a.data }, storage);
+  });
+
+  // Mini stream + mini FAT.
+  const miniFat = [];
+  const miniParts = [];
+  for (const e of entries) {
+    if (e.type !== 2) continue;
+    const count = Math.max(1, Math.ceil(e.data.length / MINI));
+    e.start = miniFat.length;
+    for (let i = 0; i < count; i++) miniFat.push(i === count - 1 ? ENDOFCHAIN : e.start + i + 1);
+    const padded = new Uint8Array(count * MINI);
+    padded.set(e.data);
+    miniParts.push(padded);
+  }
+  const miniStream = concat(miniParts);
+
+  const dirSectors = Math.ceil(entries.length / 4);
+  const miniFatSectors = Math.max(1, Math.ceil((miniFat.length * 4) / SECTOR));
+  const miniStreamSectors = Math.max(1, Math.ceil(miniStream.length / SECTOR));
+  const dirStart = 1;
+  const miniFatStart = dirStart + dirSectors;
+  const miniStreamStart = miniFatStart + miniFatSectors;
+  const totalSectors = miniStreamStart + miniStreamSectors;
+
+  const fat = new Array(SECTOR / 4).fill(FREESECT);
+  fat[0] = FATSECT;
+  const chain = (start, count) => {
+    for (let i = 0; i < count; i++) fat[start + i] = i === count - 1 ? ENDOFCHAIN : start + i + 1;
+  };
+  chain(dirStart, dirSectors);
+  chain(miniFatStart, miniFatSectors);
+  chain(miniStreamStart, miniStreamSectors);
+
+  const file = new Uint8Array(SECTOR * (totalSectors + 1));
+  const dv = new DataView(file.buffer);
+  file.set([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+  dv.setUint16(0x18, 0x3e, true);
+  dv.setUint16(0x1a, 3, true);
+  dv.setUint16(0x1c, 0xfffe, true);
+  dv.setUint16(0x1e, 9, true);
+  dv.setUint16(0x20, 6, true);
+  dv.setUint32(0x2c, 1, true);
+  dv.setUint32(0x30, dirStart, true);
+  dv.setUint32(0x38, 4096, true);
+  dv.setUint32(0x3c, miniFatStart, true);
+  dv.setUint32(0x40, miniFatSectors, true);
+  dv.setUint32(0x44, ENDOFCHAIN, true);
+  for (let i = 0; i < 109; i++) dv.setUint32(0x4c + i * 4, i === 0 ? 0 : FREESECT, true);
+
+  const sectorAt = (id) => (id + 1) * SECTOR;
+  fat.forEach((v, i) => dv.setUint32(sectorAt(0) + i * 4, v, true));
+
+  entries.forEach((e, i) => {
+    const p = sectorAt(dirStart) + i * 128;
+    file.set(utf16le(e.name), p);
+    dv.setUint16(p + 0x40, (e.name.length + 1) * 2, true);
+    file[p + 0x42] = e.type;
+    file[p + 0x43] = 1;
+    dv.setUint32(p + 0x44, FREESECT, true);
+    dv.setUint32(p + 0x48, FREESECT, true);
+    dv.setUint32(p + 0x4c, FREESECT, true);
+    if (e.type === 5) {
+      dv.setUint32(p + 0x74, miniStreamStart, true);
+      dv.setUint32(p + 0x78, miniStream.length, true);
+    } else if (e.type === 2) {
+      dv.setUint32(p + 0x74, e.start, true);
+      dv.setUint32(p + 0x78, e.data.length, true);
+    }
+  });
+  // Siblings as a right-leaning chain — a valid (if unbalanced) tree.
+  entries.forEach((e, i) => {
+    if (!e.children?.length) return;
+    dv.setUint32(sectorAt(dirStart) + i * 128 + 0x4c, e.children[0], true);
+    e.children.forEach((child, k) => {
+      if (k + 1 < e.children.length) dv.setUint32(sectorAt(dirStart) + child * 128 + 0x48, e.children[k + 1], true);
+    });
+  });
+
+  miniFat.forEach((v, i) => dv.setUint32(sectorAt(miniFatStart) + i * 4, v, true));
+  for (let i = miniFat.length; i < (miniFatSectors * SECTOR) / 4; i++) dv.setUint32(sectorAt(miniFatStart) + i * 4, FREESECT, true);
+  file.set(miniStream, sectorAt(miniStreamStart));
+  return file;
+}
+
+// ============ R2 ============
+
+/** In-memory R2 bucket: get/put/delete with the object surface the pipeline uses. */
+export function makeR2Bucket() {
+  const objects = new Map();
+  return {
+    objects,
+    async put(key, value, opts = {}) {
+      let bytes;
+      if (typeof value === 'string') bytes = enc.encode(value);
+      else if (value instanceof ArrayBuffer) bytes = new Uint8Array(value.slice(0));
+      else bytes = new Uint8Array(value);
+      objects.set(key, { bytes, httpMetadata: opts.httpMetadata || {}, customMetadata: opts.customMetadata || {} });
+    },
+    async get(key) {
+      const obj = objects.get(key);
+      if (!obj) return null;
+      return {
+        key,
+        size: obj.bytes.length,
+        httpMetadata: obj.httpMetadata,
+        customMetadata: obj.customMetadata,
+        arrayBuffer: async () => obj.bytes.slice().buffer,
+        text: async () => new TextDecoder().decode(obj.bytes),
+        json: async () => JSON.parse(new TextDecoder().decode(obj.bytes)),
+      };
+    },
+    async delete(key) {
+      objects.delete(key);
+    },
+  };
+}
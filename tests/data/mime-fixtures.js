@@ -0,0 +1,221 @@
+/**
+ * MIME fixture corpus — raw RFC 5322 messages that broke (or would have broken)
+ * the old boundary-regex attachment extraction. Used by
+ * tests/unit/mime-parser.test.js and the handler-level storage tests.
+ *
+ * Every fixture is built with CRLF line endings exactly as Cloudflare Email
+ * Routing delivers `message.raw`. Addresses use synthetic *.test domains.
+ */
+
+const crlf = (lines) => lines.join('\r\n');
+
+/** base64 of a string, wrapped at 76 columns like real mailers. */
+export function b64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/.{1,76}/g, '$&\r\n').trimEnd();
+}
+
+export const mimeFixtures = {
+  /** text/plain only, no MIME structure at all. */
+  plainText: crlf([
+    'From: Alice <alice@example.test>',
+    'To: intake@chitty.cc',
+    'Subject: Plain note',
+    'Message-ID: <plain-1@example.test>',
+    '',
+    'Just a plain body.',
+    'Second line.',
+  ]),
+
+  /** multipart/alternative with a quoted-printable UTF-8 text part and an HTML part. */
+  alternativeQuotedPrintable: crlf([
+    'From: bob@example.test',
+    'To: intake@chitty.cc',
+    'Subject: =?UTF-8?Q?Caf=C3=A9_invoice?=',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/alternative; boundary="alt-1"',
+    '',
+    'This is a multi-part message in MIME format.',
+    '--alt-1',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'Caf=C3=A9 total: =E2=82=AC42. This line is soft-=',
+    'wrapped.',
+    '--alt-1',
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    '<p>Caf=C3=A9 total: <b>=E2=82=AC42</b></p>',
+    '--alt-1--',
+    '',
+  ]),
+
+  /** ISO-8859-1 body in base64, no text/plain charset guessing needed. */
+  latin1Body: crlf([
+    'From: carla@example.test',
+    'To: intake@chitty.cc',
+    'Subject: Latin-1',
+    'Content-Type: text/plain; charset="ISO-8859-1"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    // "Señor Núñez" in ISO-8859-1
+    btoa('Se\xf1or N\xfa\xf1ez'),
+  ]),
+
+  /**
+   * RFC 2231 continued + charset-tagged filename, RFC 2047 name= fallback,
+   * and two attachments sharing one filename.
+   */
+  encodedFilenames: crlf([
+    'From: dana@example.test',
+    'To: evidence@chitty.cc',
+    'Subject: Exhibits',
+    'Content-Type: multipart/mixed; boundary=mix-2',
+    '',
+    '--mix-2',
+    'Content-Type: text/plain',
+    '',
+    'See attached.',
+    '--mix-2',
+    'Content-Type: application/pdf',
+    'Content-Disposition: attachment;',
+    " filename*0*=UTF-8''Exhibit%20A%20%E2%80%94%20;",
+    ' filename*1*=Se%C3%B1or.pdf',
+    'Content-Transfer-Encoding: base64',
+    '',
+    b64('%PDF-1.4 exhibit A bytes'),
+    '--mix-2',
+    'Content-Type: application/pdf; name="=?UTF-8?B?UmVjaWJvIG7CujEucGRm?="',
+    'Content-Transfer-Encoding: base64',
+    '',
+    b64('%PDF-1.4 recibo bytes'),
+    '--mix-2',
+    'Content-Type: application/pdf',
+    'Content-Disposition: attachment; filename="scan.pdf"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    b64('%PDF-1.4 first scan'),
+    '--mix-2',
+    'Content-Type: application/pdf',
+    'Content-Disposition: attachment; filename="scan.pdf"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    b64('%PDF-1.4 second scan'),
+    '--mix-2--',
+  ]),
+
+  /**
+   * multipart/related HTML with a cid-referenced inline image, plus a real
+   * attachment and an Apple-Mail-style inline PDF with a filename.
+   */
+  relatedInline: crlf([
+    'From: erin@example.test',
+    'To: intake@chitty.cc',
+    'Subject: Inline logo',
+    'Content-Type: multipart/mixed; boundary="outer"',
+    '',
+    '--outer',
+    'Content-Type: multipart/related; boundary="rel"',
+    '',
+    '--rel',
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    '<html><body><img src="cid:logo@example.test"> Hello</body></html>',
+    '--rel',
+    'Content-Type: image/png',
+    'Content-ID: <logo@example.test>',
+    'Content-Disposition: inline; filename="logo.png"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    b64('PNG-LOGO-BYTES'),
+    '--rel--',
+    '--outer',
+    'Content-Type: application/pdf',
+    'Content-Disposition: inline; filename="lease.pdf"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    b64('%PDF-1.4 lease bytes'),
+    '--outer--',
+  ]),
+
+  /** A forwarded message (message/rfc822) that itself carries an attachment. */
+  forwardedMessage: crlf([
+    'From: frank@example.test',
+    'To: intake@chitty.cc',
+    'Subject: Fwd: Notice',
+    'Message-ID: <outer-fwd@example.test>',
+    'Content-Type: multipart/mixed; boundary="fwd-outer"',
+    '',
+    '--fwd-outer',
+    'Content-Type: text/plain',
+    '',
+    'Forwarding the notice below.',
+    '--fwd-outer',
+    'Content-Type: message/rfc822',
+    'Content-Disposition: attachment; filename="notice.eml"',
+    '',
+    'From: court@example.test',
+    'To: frank@example.test',
+    'Subject: =?ISO-8859-1?Q?Notice_of_hearing_=96_room_5?=',
+    'Date: Mon, 1 Jun 2026 09:00:00 +0000',
+    'Message-ID: <inner-notice@example.test>',
+    'Content-Type: multipart/mixed; boundary="fwd-inner"',
+    '',
+    '--fwd-inner',
+    'Content-Type: text/plain; charset=us-ascii',
+    '',
+    'Hearing is set for June 10.',
+    '--fwd-inner',
+    'Content-Type: application/pdf',
+    'Content-Disposition: attachment; filename="order.pdf"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    b64('%PDF-1.4 court order'),
+    '--fwd-inner--',
+    '',
+    '--fwd-outer--',
+  ]),
+
+  /** Unterminated multipart: the closing delimiter never arrives. */
+  truncated: crlf([
+    'From: gina@example.test',
+    'To: intake@chitty.cc',
+    'Subject: Cut off',
+    'Content-Type: multipart/mixed; boundary="cut"',
+    '',
+    '--cut',
+    'Content-Type: text/plain',
+    '',
+    'Body before truncation.',
+    '--cut',
+    'Content-Type: application/octet-stream',
+    'Content-Disposition: attachment; filename="partial.bin"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    b64('partial-bytes-here'),
+  ]),
+
+  /** LF-only line endings and an unknown charset label. */
+  bareLfUnknownCharset: [
+    'From: hal@example.test',
+    'To: intake@chitty.cc',
+    'Subject: LF only',
+    'Content-Type: multipart/mixed; boundary=lf',
+    '',
+    '--lf',
+    'Content-Type: text/plain; charset=x-made-up',
+    '',
+    'Body with bare LF.',
+    '--lf',
+    'Content-Type: text/csv',
+    'Content-Disposition: attachment; filename=ledger.csv',
+    '',
+    'a,b',
+    '1,2',
+    '--lf--',
+    '',
+  ].join('\n'),
+};
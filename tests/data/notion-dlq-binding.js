@@ -0,0 +1,94 @@
+/**
+ * In-memory stand-in for the NOTION_DLQ_AGENT Durable Object binding.
+ *
+ * Speaks the NotionDlqAgent HTTP protocol (src/agents/notion-dlq-agent.js)
+ * closely enough for sync- and route-level tests: push with the shared
+ * backoff/quarantine rules, claim with a lease, resolve, list, item read,
+ * requeue, edit and discard. `now` is read from Date.now(), so fake timers
+ * drive due times.
+ *
+ * `requests` records every non-handshake call (see tests/data/agent-binding.js).
+ */
+
+import { json, iso, makeAgentBinding } from './agent-binding.js';
+import { DLQ_LEASE_MS, dlqMaxAttempts, nextFailureState } from '../../src/sync/notion-dlq.js';
+
+export function makeNotionDlqBinding(env = {}) {
+  const items = new Map();
+
+  function handle({ request, url, path, body }) {
+    const now = Date.now();
+
+    if (path === '/push') {
+      const quarantined = [];
+      let pushed = 0;
+      for (const entry of body.items) {
+        const factId = entry.factId || entry.fact?.factId;
+        const current = items.get(factId);
+        const fact = entry.fact || current?.fact;
+        if (!factId || !fact) continue;
+        const next = nextFailureState(current?.attempts, dlqMaxAttempts(env), now);
+        const status = current?.status === 'quarantined' ? 'quarantined' : next.status;
+        items.set(factId, {
+          factId,
+          status,
+          attempts: next.attempts,
+          nextAttemptAt: status === 'quarantined' ? null : iso(next.nextAttemptAt),
+          lastError: entry.error,
+          lastStatus: entry.status ?? null,
+          fact,
+        });
+        pushed++;
+        if (status === 'quarantined' && current?.status !== 'quarantined') quarantined.push(factId);
+      }
+      return json({ pushed, quarantined, skipped: body.items.length - pushed });
+    }
+    if (path === '/claim') {
+      const due = [...items.values()]
+        .filter((i) => i.status === 'pending' && i.nextAttemptAt <= iso(now))
+        .slice(0, body?.limit ?? 25);
+      const claimed = due.map((i) => ({ ...i }));
+      for (const item of due) item.nextAttemptAt = iso(now + DLQ_LEASE_MS);
+      return json({ items: claimed });
+    }
+    if (path === '/resolve') {
+      let resolved = 0;
+      for (const id of body.factIds) resolved += items.delete(id) ? 1 : 0;
+      return json({ resolved });
+    }
+    if (path === '/items') {
+      const status = url.searchParams.get('status');
+      const all = [...items.values()].filter((i) => !status || i.status === status);
+      return json({ count: all.length, items: all });
+    }
+    if (path === '/status') {
+      const byStatus = { pending: 0, quarantined: 0 };
+      for (const item of items.values()) byStatus[item.status]++;
+      return json({ agent: 'NotionDlqAgent', depth: items.size, byStatus });
+    }
+    const action = path.match(/^\/item\/([^/]+)(?:\/(requeue|edit))?$/);
+    if (action) {
+      const factId = decodeURIComponent(action[1]);
+      const item = items.get(factId);
+      if (!item) return json({ error: 'not found' }, 404);
+      if (request.method === 'DELETE') {
+        items.delete(factId);
+        return json({ discarded: factId });
+      }
+      if (action[2] === 'edit' && body.fact.factId !== undefined && body.fact.factId !== factId) {
+        return json({ error: 'fact.factId cannot change' }, 400);
+      }
+      if (action[2]) {
+        Object.assign(item, { status: 'pending', attempts: 0, nextAttemptAt: iso(now) });
+        if (action[2] === 'edit') item.fact = { ...body.fact, factId };
+      }
+      return json({ item });
+    }
+    return json({ error: 'unknown path' }, 404);
+  }
+
+  return {
+    ...makeAgentBinding(handle),
+    items,
+  };
+}
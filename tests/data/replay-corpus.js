@@ -0,0 +1,100 @@
+/**
+ * Fixture corpus for the routing replay harness (tests/data/replay-harness.js).
+ *
+ * Each entry is a ReplayRecord (src/email/replay.js) with the outcome the
+ * current code produces under replayEnv(): the AI path echoes `recorded`
+ * through the stubbed model, the rule-based path re-derives it from
+ * subject/body, privileged entries carry no content at all. Synthetic *.test
+ * senders only.
+ */
+
+function record(id, email, recorded) {
+  return {
+    source: 'fixture',
+    id,
+    receivedAt: '2026-06-01T12:00:00.000Z',
+    metadataOnly: false,
+    email: { cc: '', content: '', attachmentNames: [], attachmentTypes: [], ...email },
+    recorded: { reasons: [], summary: '', aiClassified: false, caseSlug: null, entity: null, ...recorded },
+    reviewedCategory: null,
+  };
+}
+
+export const replayCorpusRecords = [
+  // AI-classified vendor invoice with a PDF: entity storage template,
+  // non-case address route.
+  record('fx-vendor-invoice', {
+    from: 'Billing <billing@vendor.test>',
+    to: 'intake@chitty.cc',
+    subject: 'Invoice 42 for June services',
+    content: 'Please find attached invoice 42, due in 30 days.',
+    attachmentNames: ['invoice-42.pdf'],
+    attachmentTypes: ['application/pdf'],
+  }, {
+    category: 'financial',
+    urgency: 'LOW',
+    caseRelevant: false,
+    entity: 'ARIBIA',
+    reasons: ['invoice'],
+    aiClassified: true,
+    destination: 'forward:nick@aribia.cc',
+    storagePath: 'business/aribia/financial',
+  }),
+
+  // Rule-based fallback: court keywords plus the CRITICAL legal@ route.
+  record('fx-hearing-notice', {
+    from: 'clerk@court.test',
+    to: 'legal@chitty.cc',
+    subject: 'Notice of hearing on motion',
+    content: 'A hearing on the motion is set for July 2.',
+  }, {
+    category: 'legal',
+    urgency: 'HIGH',
+    destination: 'forward:nick@aribia.cc',
+  }),
+
+  // Unknown recipient, nothing matches: default forward, INFO.
+  record('fx-newsletter', {
+    from: 'news@list.test',
+    to: 'hello@chitty.cc',
+    subject: 'Our spring newsletter',
+    content: 'Ten things we shipped this season.',
+  }, {
+    category: 'personal',
+    urgency: 'INFO',
+    destination: 'forward:nick@aribia.llc',
+  }),
+
+  // Case alias: privileged by recipient, routed by the case registry.
+  {
+    ...record('fx-case-alias', {
+      from: 'someone@elsewhere.test',
+      to: 'arias-v-bianchi@chitty.cc',
+      subject: '',
+    }, {
+      category: 'legal',
+      urgency: 'CRITICAL',
+      caseRelevant: true,
+      caseSlug: 'arias-v-bianchi',
+      destination: 'forward:case-desk@acme.test',
+      storagePath: null,
+    }),
+    metadataOnly: true,
+  },
+
+  // Privileged sender domain: metadata-only, address route still applies.
+  {
+    ...record('fx-privileged-sender', {
+      from: 'partner@counsel.test',
+      to: 'intake@chitty.cc',
+      subject: '',
+    }, {
+      category: 'legal',
+      urgency: 'HIGH',
+      caseRelevant: true,
+      destination: 'forward:nick@aribia.cc',
+      storagePath: null,
+    }),
+    metadataOnly: true,
+  },
+];
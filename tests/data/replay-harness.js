@@ -0,0 +1,59 @@
+/**
+ * Vitest helper for the routing replay harness (src/email/replay.js).
+ *
+ * Runs a fixture corpus of ReplayRecords through CloudflareEmailHandler
+ * .replayRecords with a stubbed AI and asserts nothing changed:
+ *
+ *   const report = await replayCorpus(replayCorpusRecords);
+ *   expectNoRoutingChanges(report);
+ *
+ * A deliberate behavior change (prompt, ruleBasedTriage pattern, case
+ * registry, routing profile) that moves a corpus message fails with one line
+ * per changed field; update the fixture's `recorded` block alongside it.
+ */
+
+import { expect } from 'vitest';
+import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
+
+function makeKv() {
+  return {
+    _store: new Map(),
+    async get(k, type) {
+      const v = this._store.get(k);
+      return v === undefined ? null : (type === 'json' ? JSON.parse(v) : v);
+    },
+    async put(k, v) { this._store.set(k, v); },
+    async delete(k) { this._store.delete(k); },
+  };
+}
+
+/**
+ * Env the fixture corpus was recorded under. Synthetic *.test addresses only.
+ * @param {object} [overrides]
+ */
+export function replayEnv(overrides = {}) {
+  return {
+    AI_CACHE: makeKv(),
+    PRIVILEGED_SENDER_DOMAINS: 'counsel.test',
+    CASE_FORWARD_ARIAS_V_BIANCHI: 'case-desk@acme.test',
+    ...overrides,
+  };
+}
+
+/**
+ * @param {import('../../src/email/replay.js').ReplayRecord[]} corpus
+ * @param {{ env?: object, respond?: Function }} [opts]
+ */
+export function replayCorpus(corpus, { env = replayEnv(), respond } = {}) {
+  return new CloudflareEmailHandler(env).replayRecords(corpus, { respond });
+}
+
+/** One readable line per changed field, e.g. `fx-1 category: financial → legal`. */
+export function describeChanges(report) {
+  return report.results.flatMap((r) => r.changed.map((field) =>
+    `${r.id} ${field}: ${r.recorded[field]} → ${r.replayed[field]}`));
+}
+
+export function expectNoRoutingChanges(report) {
+  expect(describeChanges(report), 'replayed routing differs from the recorded corpus').toEqual([]);
+}
@@ -0,0 +1,144 @@
+/**
+ * In-memory stand-in for the REVIEW_QUEUE_AGENT Durable Object binding.
+ *
+ * Speaks the ReviewQueueAgent HTTP protocol (src/agents/review-queue-agent.js)
+ * closely enough for handler-level tests: enqueue, review with version
+ * compare-and-set and per-kind statuses, approve-all (inbound only), import,
+ * item read, item history, listing, metrics, sender history and the
+ * routing split. Filtering and pagination are SQL in
+ * the real agent and are NOT reimplemented here —
+ * `/items` returns every item newest-first and records the query string so
+ * tests can assert what the handler forwarded.
+ *
+ * `requests` records every non-handshake call (see tests/data/agent-binding.js).
+ */
+
+import { json, makeAgentBinding } from './agent-binding.js';
+import { REVIEW_STATUSES_BY_KIND, queueItemKind, senderAddress } from '../../src/email/review-queue.js';
+import { classificationMetrics } from '../../src/email/corrections.js';
+
+export function makeReviewQueueBinding() {
+  const items = new Map();
+  const audit = new Map();
+
+  const record = (id, action, fromStatus, toStatus, version) => {
+    if (!audit.has(id)) audit.set(id, []);
+    audit.get(id).push({ action, fromStatus, toStatus, version });
+  };
+
+  function handle({ url, path, body }) {
+    if (path === '/enqueue') {
+      const item = { ...body.item, version: 1 };
+      items.set(item.id, item);
+      record(item.id, 'enqueued', null, item.status, 1);
+      return json({ item });
+    }
+    if (path === '/review') {
+      const current = items.get(body.id);
+      if (!current) return json({ error: 'not found' }, 404);
+      if (!REVIEW_STATUSES_BY_KIND[queueItemKind(current)].includes(body.status)) {
+        return json({ error: `${queueItemKind(current)} items accept ${REVIEW_STATUSES_BY_KIND[queueItemKind(current)].join(', ')}` }, 400);
+      }
+      if (body.expectedVersion != null && body.expectedVersion !== current.version) {
+        return json({ error: 'version conflict', currentVersion: current.version, item: current }, 409);
+      }
+      if (queueItemKind(current) === 'outbound' && current.status !== 'pending') {
+        return json({ error: 'already reviewed', currentVersion: current.version, item: current }, 409);
+      }
+      const next = {
+        ...current,
+        status: body.status,
+        reviewedAt: new Date().toISOString(),
+        finalClassification: body.finalClassification ?? current.aiClassification,
+        version: current.version + 1,
+      };
+      items.set(next.id, next);
+      record(next.id, body.status, current.status, next.status, next.version);
+      return json({ item: next });
+    }
+    if (path === '/approve-all') {
+      let approved = 0;
+      for (const item of items.values()) {
+        if (item.status !== 'pending' || queueItemKind(item) !== 'inbound') continue;
+        const next = { ...item, status: 'approved', finalClassification: item.aiClassification, version: item.version + 1 };
+        items.set(item.id, next);
+        record(item.id, 'bulk_approved', 'pending', 'approved', next.version);
+        approved++;
+      }
+      return json({ approved });
+    }
+    if (path === '/import') {
+      let imported = 0;
+      for (const item of body.items) {
+        if (items.has(item.id)) continue;
+        items.set(item.id, { ...item, version: 1 });
+        record(item.id, 'imported', null, item.status, 1);
+        imported++;
+      }
+      return json({ imported, skipped: body.items.length - imported });
+    }
+    if (path === '/items') {
+      const all = [...items.values()].sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+      return json({ count: all.length, items: all, nextCursor: null });
+    }
+    const single = path.match(/^\/item\/([^/]+)$/);
+    if (single) {
+      const item = items.get(decodeURIComponent(single[1]));
+      return item ? json({ item }) : json({ error: 'not found' }, 404);
+    }
+    const history = path.match(/^\/item\/([^/]+)\/history$/);
+    if (history) {
+      const id = decodeURIComponent(history[1]);
+      if (!items.has(id)) return json({ error: 'not found' }, 404);
+      return json({ id, history: audit.get(id) || [] });
+    }
+    if (path === '/metrics') {
+      const since = url.searchParams.get('since') || '';
+      const reviews = [...items.values()]
+        .filter((i) => queueItemKind(i) === 'inbound' && ['approved', 'corrected'].includes(i.status) && i.reviewedAt >= since)
+        .map((i) => ({
+          status: i.status,
+          predicted: i.aiClassification?.category,
+          actual: i.status === 'corrected' ? i.finalClassification?.category : i.aiClassification?.category,
+        }));
+      return json({ since: since || null, ...classificationMetrics(reviews) });
+    }
+    if (path === '/sender-history') {
+      const sender = senderAddress(url.searchParams.get('sender'));
+      const count = (status) => [...items.values()]
+        .filter((i) => queueItemKind(i) === 'inbound' && i.status === status && senderAddress(i.email?.from) === sender)
+        .length;
+      const approved = count('approved');
+      const corrected = count('corrected');
+      return json({ sender, reviewed: approved + corrected, approved, corrected, autoApproved: count('auto_approved'), pending: count('pending') });
+    }
+    if (path === '/routing-split') {
+      const since = url.searchParams.get('since') || '';
+      const rows = new Map();
+      const holds = new Map();
+      for (const i of items.values()) {
+        if (queueItemKind(i) !== 'inbound' || i.receivedAt < since) continue;
+        const row = {
+          mode: i.routingDecision?.mode ?? null,
+          route: i.routingDecision?.route ?? null,
+          category: i.aiClassification?.category ?? null,
+          status: i.status,
+        };
+        const key = JSON.stringify(row);
+        rows.set(key, { ...row, n: (rows.get(key)?.n || 0) + 1 });
+        for (const hold of i.routingDecision?.holds || []) holds.set(hold, (holds.get(hold) || 0) + 1);
+      }
+      return json({
+        since: since || null,
+        rows: [...rows.values()],
+        holds: [...holds].map(([hold, n]) => ({ hold, n })),
+      });
+    }
+    return json({ error: 'unknown path' }, 404);
+  }
+
+  return {
+    ...makeAgentBinding(handle),
+    items,
+  };
+}
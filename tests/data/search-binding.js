@@ -0,0 +1,125 @@
+/**
+ * In-memory stand-in for the SEARCH_AGENT Durable Object binding.
+ *
+ * Speaks the SearchAgent HTTP protocol (src/agents/search-agent.js) using the
+ * same helpers from src/search/search-index.js: index (validation, chunking,
+ * Message-ID tombstones), search, purge and status. Keyword ranking counts
+ * matching query terms instead of FTS5 bm25, and there are no vectors, so
+ * every search is keyword-only.
+ *
+ * `requests` records every non-handshake call (see tests/data/agent-binding.js).
+ */
+
+import { json, makeAgentBinding } from './agent-binding.js';
+import {
+  buildSearchResults,
+  chunkDocument,
+  fuseRankings,
+  parseSearchRequest,
+  validateSearchDocument,
+} from '../../src/search/search-index.js';
+import { parseMessageIds } from '../../src/email/threads.js';
+
+export function makeSearchBinding() {
+  const docs = new Map();     // docId -> { doc, messageIds }
+  const chunks = new Map();   // chunkId -> search_chunks-shaped row
+  const blocked = new Map();  // messageId -> { threadId, reason }
+
+  function drop(docId) {
+    let n = 0;
+    for (const [id, row] of chunks) {
+      if (row.doc_id === docId) {
+        chunks.delete(id);
+        n++;
+      }
+    }
+    docs.delete(docId);
+    return n;
+  }
+
+  function index(doc) {
+    const invalid = validateSearchDocument(doc);
+    if (invalid) return { id: doc?.id ?? null, status: 'rejected', error: invalid };
+    const messageIds = parseMessageIds(doc.messageIds || []);
+    if (messageIds.some((id) => blocked.has(id))) return { id: doc.id, status: 'blocked' };
+    drop(doc.id);
+    const { chunks: parts } = chunkDocument(doc);
+    for (const part of parts) {
+      const id = `${doc.id}#${part.index}`;
+      chunks.set(id, {
+        id,
+        doc_id: doc.id,
+        source_type: doc.sourceType,
+        title: doc.title,
+        text: part.text,
+        page: part.page,
+        case_slug: doc.caseSlug ?? null,
+        org: doc.org ?? null,
+        entity: doc.entity ?? null,
+        at: doc.at,
+        citation: JSON.stringify(doc.citation || {}),
+      });
+    }
+    docs.set(doc.id, { doc, messageIds });
+    return { id: doc.id, status: 'indexed', chunks: parts.length, embedded: false };
+  }
+
+  const matchesFilters = (row, f) => (!f.caseSlug || row.case_slug === f.caseSlug)
+    && (!f.org || row.org === f.org)
+    && (!f.entity || row.entity === f.entity)
+    && (!f.sourceTypes || f.sourceTypes.includes(row.source_type))
+    && (!f.since || row.at >= f.since)
+    && (!f.until || row.at <= f.until);
+
+  function search(body) {
+    const parsed = parseSearchRequest(body);
+    if (parsed.error) return json({ error: parsed.error }, 400);
+    const { q, limit, mode, filters } = parsed.query;
+    if (mode === 'vector') return json({ error: 'vector search unavailable: AI and VECTORIZE bindings required' }, 503);
+    const terms = q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const rows = [...chunks.values()].filter((row) => matchesFilters(row, filters));
+    const keyword = rows
+      .map((row) => {
+        const hay = `${row.title} ${row.text}`.toLowerCase();
+        return { id: row.id, score: terms.filter((t) => hay.includes(t)).length };
+      })
+      .filter((r) => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map((r) => r.id);
+    const results = buildSearchResults(fuseRankings({ keyword }), rows, { limit });
+    const warnings = mode === 'hybrid' ? ['vector search unavailable; keyword results only'] : [];
+    return json({ query: { q, limit, filters }, mode, count: results.length, results, warnings });
+  }
+
+  function purge(body) {
+    const messageIds = parseMessageIds(body?.messageIds || []);
+    const docIds = body?.docIds || [];
+    if (!messageIds.length && !docIds.length) return json({ error: 'messageIds or docIds required' }, 400);
+    if (!body.reason) return json({ error: 'reason required' }, 400);
+    for (const id of messageIds) blocked.set(id, { threadId: body.threadId || null, reason: body.reason });
+    const targets = new Set(docIds);
+    for (const [id, entry] of docs) {
+      if (entry.messageIds.some((m) => messageIds.includes(m))) targets.add(id);
+    }
+    let removed = 0;
+    for (const id of targets) removed += drop(id);
+    return json({ purged: targets.size, chunks: removed, blocked: messageIds.length });
+  }
+
+  function handle({ path, body }) {
+    if (path === '/index') return json({ results: (body.documents || []).map(index) });
+    if (path === '/search') return search(body);
+    if (path === '/purge') return purge(body);
+    if (path === '/status') {
+      return json({ agent: 'SearchAgent', documents: docs.size, chunks: chunks.size, blocked: blocked.size });
+    }
+    return json({ error: 'unknown path' }, 404);
+  }
+
+  return {
+    ...makeAgentBinding(handle),
+    docs,
+    chunks,
+    blocked,
+  };
+}
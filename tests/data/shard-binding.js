@@ -0,0 +1,140 @@
+/**
+ * In-memory stand-in for a sharded agent binding (ENTITY_AGENT shape).
+ *
+ * Every instance name (`ENTITY_AGENT`, `ENTITY_AGENT~org:aribia`, ...) gets
+ * its own tables. Speaks the /shard/* protocol of ChittyRouterBaseAgent
+ * (registry, plan, export, import, purge) using the same helpers from
+ * src/utils/agent-shards.js, plus EntityAgent's /create, /search and /stats
+ * over the entities table.
+ *
+ * `requests` records every non-handshake call (see tests/data/agent-binding.js).
+ */
+
+import { json, makeAgentBinding } from './agent-binding.js';
+import { parseShard, planShardSplit, shardImportRow, summarizeShardPlan } from '../../src/utils/agent-shards.js';
+
+export const ENTITY_SHARD_TABLES = [
+  { table: 'entities', org: 'org' },
+  { table: 'entity_links', refs: { source_id: 'entities', target_id: 'entities' } },
+  { table: 'entity_timeline', refs: { entity_id: 'entities' } },
+];
+
+export function makeShardBinding(specs = ENTITY_SHARD_TABLES) {
+  const instances = new Map();
+
+  function instance(name) {
+    if (!instances.has(name)) {
+      instances.set(name, {
+        tables: Object.fromEntries(specs.map(({ table }) => [table, []])),
+        nextId: Object.fromEntries(specs.map(({ table }) => [table, 1])),
+        imports: new Map(),
+        registry: new Set(),
+      });
+    }
+    return instances.get(name);
+  }
+
+  function insert(name, table, row) {
+    const inst = instance(name);
+    const stored = { ...row, id: inst.nextId[table]++ };
+    inst.tables[table].push(stored);
+    return stored;
+  }
+
+  function importRows(inst, rowsByTable) {
+    const idMaps = {};
+    const mapped = {};
+    const conflicts = [];
+    let imported = 0;
+    let skipped = 0;
+    for (const spec of specs) {
+      const idMap = new Map();
+      idMaps[spec.table] = idMap;
+      for (const row of rowsByTable[spec.table] || []) {
+        const key = `${spec.table}:${row.id}`;
+        if (inst.imports.has(key)) {
+          idMap.set(String(row.id), inst.imports.get(key));
+          (mapped[spec.table] ??= []).push(row.id);
+          skipped++;
+          continue;
+        }
+        const built = shardImportRow(row, spec, idMaps);
+        if (built.error) {
+          conflicts.push({ table: spec.table, id: row.id, error: built.error });
+          continue;
+        }
+        const values = Object.fromEntries(built.columns.map((c, i) => [c, built.values[i]]));
+        const stored = { ...values, id: inst.nextId[spec.table]++ };
+        inst.tables[spec.table].push(stored);
+        inst.imports.set(key, stored.id);
+        idMap.set(String(row.id), stored.id);
+        (mapped[spec.table] ??= []).push(row.id);
+        imported++;
+      }
+    }
+    return { imported, skipped, conflicts, mapped };
+  }
+
+  function purge(inst, idsByTable) {
+    let purged = 0;
+    for (const { table } of [...specs].reverse()) {
+      const ids = new Set((idsByTable[table] || []).map(Number));
+      const before = inst.tables[table].length;
+      inst.tables[table] = inst.tables[table].filter((row) => !ids.has(row.id));
+      purged += before - inst.tables[table].length;
+    }
+    return purged;
+  }
+
+  function handle({ instance: name, url, path, body }) {
+    const inst = instance(name);
+    const rows = () => Object.fromEntries(Object.entries(inst.tables).map(([t, r]) => [t, [...r]]));
+
+    if (path === '/shard/registry') {
+      return json({ count: inst.registry.size, shards: [...inst.registry].sort().map((shard) => ({ shard })) });
+    }
+    if (path === '/shard/register') {
+      const shard = parseShard(body.shard || '');
+      if (!shard) return json({ error: 'shard required' }, 400);
+      inst.registry.add(shard.id);
+      return json({ shard: shard.id, status: 'registered' });
+    }
+    if (path === '/shard/plan') return json(summarizeShardPlan(planShardSplit(rows(), specs)));
+    if (path === '/shard/export') {
+      const shard = parseShard(url.searchParams.get('shard') || '');
+      return json({ shard: shard.id, tables: planShardSplit(rows(), specs).shards[shard.id] || {} });
+    }
+    if (path === '/shard/import') return json(importRows(inst, body.tables || {}));
+    if (path === '/shard/purge') return json({ purged: purge(inst, body.tables || {}) });
+
+    if (path === '/create') return json(insert(name, 'entities', body));
+    if (path === '/search') {
+      const org = url.searchParams.get('org');
+      const entities = inst.tables.entities.filter((e) => !org || e.org === org);
+      return json({ count: entities.length, entities });
+    }
+    if (path === '/stats') {
+      const byType = new Map();
+      for (const e of inst.tables.entities) {
+        const key = `${e.entity_type}|${e.status}`;
+        byType.set(key, (byType.get(key) || 0) + 1);
+      }
+      return json({
+        totalEntities: inst.tables.entities.length,
+        totalLinks: inst.tables.entity_links.length,
+        breakdown: [...byType].map(([key, count]) => {
+          const [entity_type, status] = key.split('|');
+          return { entity_type, status, count };
+        }),
+      });
+    }
+    return json({ error: 'unknown path' }, 404);
+  }
+
+  return {
+    ...makeAgentBinding(handle),
+    instances,
+    insert,
+    tables: (name) => instance(name).tables,
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * In-memory stand-in for the THREAD_AGENT Durable Object binding.
+ *
+ * Speaks the ThreadAgent HTTP protocol (src/agents/thread-agent.js) using the
+ * same grouping helpers from src/email/threads.js: ingest (Message-ID graph,
+ * subject fallback, merge, privileged scrub), lookup, thread and message
+ * reads, thread listing and the timeline. since/until/limit are SQL in the
+ * real agent and are NOT reimplemented here.
+ *
+ * `requests` records every non-handshake call (see tests/data/agent-binding.js).
+ */
+
+import { json, makeAgentBinding } from './agent-binding.js';
+import {
+  chooseThread,
+  messageRefs,
+  parseMessageIds,
+  redactThreadMessage,
+  subjectCandidateMatches,
+  summarizeThread,
+  toTimelineEntry,
+} from '../../src/email/threads.js';
+
+export function makeThreadBinding() {
+  const threads = new Map();   // id -> summary
+  const messages = new Map();  // messageId -> { threadId, message }
+  const refs = new Map();      // ref -> threadId
+  let seq = 0;
+
+  const messagesOf = (threadId) => [...messages.values()]
+    .filter((m) => m.threadId === threadId)
+    .map((m) => m.message)
+    .sort((a, b) => a.at.localeCompare(b.at) || a.messageId.localeCompare(b.messageId));
+
+  function refresh(id) {
+    const summary = summarizeThread(messagesOf(id));
+    if (summary.privileged) {
+      for (const entry of messages.values()) {
+        if (entry.threadId === id && !entry.message.metadataOnly) entry.message = redactThreadMessage(entry.message);
+      }
+    }
+    const thread = { id, ...summary };
+    threads.set(id, thread);
+    return thread;
+  }
+
+  function ingest(message) {
+    const [messageId] = parseMessageIds(message?.messageId);
+    if (!messageId || !message.at || !message.direction) {
+      return json({ error: 'message with messageId, at and direction required' }, 400);
+    }
+    const incoming = { ...message, messageId };
+    if (messages.has(messageId)) {
+      return json({ thread: threads.get(messages.get(messageId).threadId), matchedBy: 'duplicate', merged: [] });
+    }
+
+    const ids = messageRefs(incoming);
+    const graph = [...new Set(ids.map((r) => refs.get(r)).filter(Boolean))]
+      .sort((a, b) => threads.get(a).firstAt.localeCompare(threads.get(b).firstAt));
+    const candidates = graph.length ? [] : [...threads.values()]
+      .filter((t) => t.subjectKey && t.subjectKey === incoming.subjectKey && subjectCandidateMatches(t, incoming))
+      .sort((a, b) => b.lastAt.localeCompare(a.lastAt));
+    const { threadId, merge, matchedBy } = chooseThread(graph, candidates);
+
+    const id = threadId || `th-${++seq}`;
+    for (const from of merge) {
+      for (const entry of messages.values()) if (entry.threadId === from) entry.threadId = id;
+      for (const [ref, t] of refs) if (t === from) refs.set(ref, id);
+      threads.delete(from);
+    }
+    messages.set(messageId, { threadId: id, message: incoming });
+    for (const ref of ids) refs.set(ref, id);
+    return json({ thread: refresh(id), matchedBy, merged: merge });
+  }
+
+  function lookup(ids) {
+    const out = {};
+    for (const id of parseMessageIds(ids)) {
+      const entry = messages.get(id);
+      if (!entry) continue;
+      const thread = threads.get(entry.threadId);
+      out[id] = {
+        threadId: thread.id,
+        messageCount: thread.messageCount,
+        position: messagesOf(thread.id).findIndex((m) => m.messageId === id) + 1,
+        caseSlug: thread.caseSlug,
+        entity: thread.entity,
+        privileged: thread.privileged,
+      };
+    }
+    return out;
+  }
+
+  const attributed = (params) => [...threads.values()].filter((t) => (params.get('case')
+    ? t.caseSlug === params.get('case')
+    : t.entity === params.get('entity')));
+
+  function handle({ url, path, body }) {
+    if (path === '/ingest') return ingest(body.message);
+    if (path === '/lookup') return json({ threads: lookup(body.messageIds || []) });
+    const single = path.match(/^\/thread\/([^/]+)$/);
+    if (single) {
+      const thread = threads.get(decodeURIComponent(single[1]));
+      return thread ? json({ thread, messages: messagesOf(thread.id) }) : json({ error: 'not found' }, 404);
+    }
+    if (path === '/message') {
+      const [id] = parseMessageIds(url.searchParams.get('id'));
+      const entry = messages.get(id);
+      if (!entry) return json({ error: 'not found' }, 404);
+      return json({ thread: threads.get(entry.threadId), messages: messagesOf(entry.threadId) });
+    }
+    if (path === '/threads') {
+      const list = attributed(url.searchParams).sort((a, b) => b.lastAt.localeCompare(a.lastAt));
+      return json({ count: list.length, threads: list });
+    }
+    if (path === '/timeline') {
+      const list = attributed(url.searchParams);
+      const entries = list
+        .flatMap((t) => messagesOf(t.id).map((m) => toTimelineEntry(m, t.id)))
+        .sort((a, b) => a.at.localeCompare(b.at));
+      return json({ entries, threads: list });
+    }
+    return json({ error: 'unknown path' }, 404);
+  }
+
+  return {
+    ...makeAgentBinding(handle),
+    threads,
+    messages,
+  };
+}
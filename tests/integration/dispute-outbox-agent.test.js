@@ -0,0 +1,106 @@
+/**
+ * Integration test for the DisputeOutboxAgent Durable Object.
+ *
+ * Exercises /agents/dispute-outbox/* against a live, non-production
+ * chittyrouter deployment — idempotent record, ack, quarantine and the
+ * status filters are SQL, so they are only testable end-to-end. Same gating
+ * as tests/integration/review-queue-agent.test.js:
+ *
+ *   CHITTYROUTER_URL, CHITTYROUTER_AUTH_TOKEN, LIVE_INTEGRATION=true
+ *
+ * Items use per-run keys and end up delivered or quarantined, so the
+ * deployment's outbox retry never sends them to chittydispute.
+ */
+
+import { describe, it, expect, beforeAll } from "vitest";
+
+const URL_BASE = process.env.CHITTYROUTER_URL;
+const TOKEN = process.env.CHITTYROUTER_AUTH_TOKEN;
+const LIVE_INTEGRATION = process.env.LIVE_INTEGRATION === "true";
+
+const PRODUCTION_URLS = ["router.chitty.cc", "chittyrouter.chitty.cc"];
+
+function isProductionURL(url) {
+  if (!url) return false;
+  const normalized = url.toLowerCase().replace(/^https?:\/\//, "").replace(/\/$/, "");
+  return PRODUCTION_URLS.some(prod => normalized === prod || normalized.includes(prod));
+}
+
+const describeOrSkip =
+  URL_BASE && TOKEN && LIVE_INTEGRATION && !isProductionURL(URL_BASE)
+    ? describe
+    : describe.skip;
+
+async function call(method, path, body) {
+  const res = await fetch(`${URL_BASE}/agents/dispute-outbox${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${TOKEN}` },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    // leave json null
+  }
+  return { status: res.status, json };
+}
+
+describeOrSkip("DisputeOutboxAgent → /agents/dispute-outbox/* (live)", () => {
+  const runId = `do${Date.now()}`;
+  // A minute of slack for clock skew between this machine and the deployment
+  const startedAt = new Date(Date.now() - 60000).toISOString();
+  const quarantinedKey = `${runId}-quarantined`;
+  const deliveredKey = `${runId}-delivered`;
+  const payload = (n) => ({ source_ref: `${runId}-${n}`, triage: { category: "dispute" } });
+
+  beforeAll(async () => {
+    const res = await fetch(`${URL_BASE}/health`);
+    expect(res.ok, `${URL_BASE}/health must be reachable`).toBe(true);
+  }, 30000);
+
+  it("records a key once", async () => {
+    const first = await call("POST", "/record", { key: quarantinedKey, payload: payload(1) });
+    expect(first.status).toBe(200);
+    expect(first.json.created).toBe(true);
+    expect(first.json.item).toMatchObject({ status: "pending", attempts: 0, sourceRef: `${runId}-1`, category: "dispute" });
+
+    const again = await call("POST", "/record", { key: quarantinedKey, payload: payload(2) });
+    expect(again.json.created).toBe(false);
+    expect(again.json.item.sourceRef).toBe(`${runId}-1`);
+  }, 15000);
+
+  it("quarantines a non-retryable failure", async () => {
+    const result = await call("POST", "/fail", { key: quarantinedKey, error: "422 rejected", status: 422, retryable: false });
+    expect(result.json.quarantined).toBe(true);
+    expect(result.json.item).toMatchObject({ status: "quarantined", attempts: 1, lastError: "422 rejected", lastStatus: 422, nextAttemptAt: null });
+  }, 15000);
+
+  it("keeps an acknowledged item delivered", async () => {
+    await call("POST", "/record", { key: deliveredKey, payload: payload(3) });
+    const acked = await call("POST", "/ack", { key: deliveredKey, status: 201, ackId: `${runId}-ack` });
+    expect(acked.json.item).toMatchObject({ status: "delivered", nextAttemptAt: null, ack: { status: 201, id: `${runId}-ack` } });
+
+    const failed = await call("POST", "/fail", { key: deliveredKey, error: "late failure" });
+    expect(failed.json).toMatchObject({ quarantined: false, item: { status: "delivered" } });
+
+    const retry = await call("POST", `/item/${deliveredKey}/retry`);
+    expect(retry.status).toBe(409);
+  }, 15000);
+
+  it("filters by status and creation time", async () => {
+    const since = encodeURIComponent(startedAt);
+    const quarantined = await call("GET", `/items?status=quarantined&since=${since}`);
+    expect(quarantined.json.items.map(i => i.key)).toContain(quarantinedKey);
+    expect(quarantined.json.items.map(i => i.key)).not.toContain(deliveredKey);
+
+    const delivered = await call("GET", `/items?status=delivered&since=${since}`);
+    expect(delivered.json.items.map(i => i.key)).toContain(deliveredKey);
+  }, 15000);
+
+  it("returns 404 for an unknown key", async () => {
+    const result = await call("GET", `/item/${runId}-missing`);
+    expect(result.status).toBe(404);
+  }, 15000);
+});
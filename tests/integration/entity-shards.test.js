@@ -0,0 +1,88 @@
+/**
+ * Integration test for the sharded EntityAgent.
+ *
+ * Exercises /agents/entity/<shard>/* against a live, non-production
+ * chittyrouter deployment — shard instances, the root's shard registry and
+ * the fan-out merge only exist across real Durable Objects. Same gating as
+ * tests/integration/review-queue-agent.test.js:
+ *
+ *   CHITTYROUTER_URL, CHITTYROUTER_AUTH_TOKEN, LIVE_INTEGRATION=true
+ *
+ * Entities are created under a per-run synthetic org shard, so no real
+ * org's shard is touched.
+ */
+
+import { describe, it, expect, beforeAll } from "vitest";
+
+const URL_BASE = process.env.CHITTYROUTER_URL;
+const TOKEN = process.env.CHITTYROUTER_AUTH_TOKEN;
+const LIVE_INTEGRATION = process.env.LIVE_INTEGRATION === "true";
+
+const PRODUCTION_URLS = ["router.chitty.cc", "chittyrouter.chitty.cc"];
+
+function isProductionURL(url) {
+  if (!url) return false;
+  const normalized = url.toLowerCase().replace(/^https?:\/\//, "").replace(/\/$/, "");
+  return PRODUCTION_URLS.some(prod => normalized === prod || normalized.includes(prod));
+}
+
+const describeOrSkip =
+  URL_BASE && TOKEN && LIVE_INTEGRATION && !isProductionURL(URL_BASE)
+    ? describe
+    : describe.skip;
+
+async function call(method, path, body) {
+  const res = await fetch(`${URL_BASE}/agents/entity${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${TOKEN}` },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    // leave json null
+  }
+  return { status: res.status, json };
+}
+
+describeOrSkip("EntityAgent shards → /agents/entity/<shard>/* (live)", () => {
+  const org = `es${Date.now()}`;
+  const shard = `org:${org}`;
+  let created;
+
+  beforeAll(async () => {
+    const res = await fetch(`${URL_BASE}/health`);
+    expect(res.ok, `${URL_BASE}/health must be reachable`).toBe(true);
+    const result = await call("POST", `/${shard}/create`, { entity_type: "P", name: `Probe ${org}`, org });
+    expect(result.status).toBe(200);
+    created = result.json;
+  }, 30000);
+
+  it("stores the entity in its shard instance", async () => {
+    const result = await call("GET", `/${shard}/search?org=${org}`);
+    expect(result.status).toBe(200);
+    expect(result.json.entities.map(e => e.id)).toEqual([created.id]);
+  }, 15000);
+
+  it("registers the shard with the root instance", async () => {
+    const result = await call("GET", "/shard/registry");
+    expect(result.status).toBe(200);
+    expect(result.json.shards.map(s => s.shard)).toContain(shard);
+  }, 15000);
+
+  it("merges the shard into an all-shards search", async () => {
+    const result = await call("GET", `/all/search?org=${org}`);
+    expect(result.status).toBe(200);
+    expect(result.json.entities).toEqual([
+      expect.objectContaining({ id: created.id, name: `Probe ${org}`, shard }),
+    ]);
+    expect(result.json.shards).toContainEqual({ shard, status: 200 });
+  }, 15000);
+
+  it("rejects a malformed shard with 400", async () => {
+    const result = await call("GET", "/org:/search");
+    expect(result.status).toBe(400);
+  }, 15000);
+});
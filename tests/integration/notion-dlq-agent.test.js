@@ -0,0 +1,97 @@
+/**
+ * Integration test for the NotionDlqAgent Durable Object.
+ *
+ * Exercises /agents/notion-dlq/* against a live, non-production chittyrouter
+ * deployment — attempt counting, the edit guard and discard are SQL, so they
+ * are only testable end-to-end. Same gating as
+ * tests/integration/review-queue-agent.test.js:
+ *
+ *   CHITTYROUTER_URL, CHITTYROUTER_AUTH_TOKEN, LIVE_INTEGRATION=true
+ *
+ * The fact uses a per-run factId and is discarded at the end of the run. It
+ * is never requeued, so the backoff keeps it out of the live sync's retries.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+
+const URL_BASE = process.env.CHITTYROUTER_URL;
+const TOKEN = process.env.CHITTYROUTER_AUTH_TOKEN;
+const LIVE_INTEGRATION = process.env.LIVE_INTEGRATION === "true";
+
+const PRODUCTION_URLS = ["router.chitty.cc", "chittyrouter.chitty.cc"];
+
+function isProductionURL(url) {
+  if (!url) return false;
+  const normalized = url.toLowerCase().replace(/^https?:\/\//, "").replace(/\/$/, "");
+  return PRODUCTION_URLS.some(prod => normalized === prod || normalized.includes(prod));
+}
+
+const describeOrSkip =
+  URL_BASE && TOKEN && LIVE_INTEGRATION && !isProductionURL(URL_BASE)
+    ? describe
+    : describe.skip;
+
+async function call(method, path, body) {
+  const res = await fetch(`${URL_BASE}/agents/notion-dlq${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${TOKEN}` },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    // leave json null
+  }
+  return { status: res.status, json };
+}
+
+describeOrSkip("NotionDlqAgent → /agents/notion-dlq/* (live)", () => {
+  const factId = `dlq-probe-${Date.now()}`;
+  const fact = { factId, text: "integration probe", source: "chittyrouter-test" };
+  const item = `/item/${encodeURIComponent(factId)}`;
+
+  beforeAll(async () => {
+    const res = await fetch(`${URL_BASE}/health`);
+    expect(res.ok, `${URL_BASE}/health must be reachable`).toBe(true);
+  }, 30000);
+
+  afterAll(async () => {
+    await call("DELETE", item);
+  }, 15000);
+
+  it("counts attempts across pushes and keeps the last error", async () => {
+    const first = await call("POST", "/push", { items: [{ fact, error: "first", status: 502 }] });
+    expect(first.status).toBe(200);
+    expect(first.json).toMatchObject({ pushed: 1, skipped: 0 });
+
+    await call("POST", "/push", { items: [{ factId, error: "second", status: 503 }] });
+    const read = await call("GET", item);
+    expect(read.status).toBe(200);
+    expect(read.json.item).toMatchObject({ factId, status: "pending", attempts: 2, lastError: "second", lastStatus: 503 });
+    expect(read.json.item.fact).toEqual(fact);
+  }, 15000);
+
+  it("skips an unknown factId pushed without a fact", async () => {
+    const result = await call("POST", "/push", { items: [{ factId: `${factId}-missing`, error: "x" }] });
+    expect(result.json).toMatchObject({ pushed: 0, skipped: 1 });
+  }, 15000);
+
+  it("refuses an edit that changes the factId", async () => {
+    const renamed = await call("POST", `${item}/edit`, { fact: { ...fact, factId: `${factId}-other` } });
+    expect(renamed.status).toBe(400);
+    expect((await call("GET", item)).json.item.fact).toEqual(fact);
+  }, 15000);
+
+  it("discards the item", async () => {
+    const discarded = await call("DELETE", item);
+    expect(discarded.json).toEqual({ discarded: factId });
+    expect((await call("GET", item)).status).toBe(404);
+  }, 15000);
+
+  it("rejects bad filters with 400", async () => {
+    const result = await call("GET", "/items?status=done");
+    expect(result.status).toBe(400);
+  }, 15000);
+});
@@ -0,0 +1,97 @@
+/**
+ * Integration test for the TriageAgent routing-rules store.
+ *
+ * Exercises /email/rules/* against a live, non-production chittyrouter
+ * deployment — the SQLite store (column migration, version compare-and-set,
+ * history) only exists inside the Durable Object. Same gating as
+ * tests/integration/review-queue-agent.test.js:
+ *
+ *   CHITTYROUTER_URL, CHITTYROUTER_AUTH_TOKEN, LIVE_INTEGRATION=true
+ *
+ * Rules are created under a per-run synthetic org so the live ruleset for
+ * real profiles is never touched, and are deleted at the end of the run.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+
+const URL_BASE = process.env.CHITTYROUTER_URL;
+const TOKEN = process.env.CHITTYROUTER_AUTH_TOKEN;
+const LIVE_INTEGRATION = process.env.LIVE_INTEGRATION === "true";
+
+const PRODUCTION_URLS = ["router.chitty.cc", "chittyrouter.chitty.cc"];
+
+function isProductionURL(url) {
+  if (!url) return false;
+  const normalized = url.toLowerCase().replace(/^https?:\/\//, "").replace(/\/$/, "");
+  return PRODUCTION_URLS.some(prod => normalized === prod || normalized.includes(prod));
+}
+
+const describeOrSkip =
+  URL_BASE && TOKEN && LIVE_INTEGRATION && !isProductionURL(URL_BASE)
+    ? describe
+    : describe.skip;
+
+async function call(method, path, body) {
+  const res = await fetch(`${URL_BASE}/email/rules${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${TOKEN}` },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    // leave json null
+  }
+  return { status: res.status, json };
+}
+
+describeOrSkip("TriageAgent → /email/rules/* (live)", () => {
+  const org = `rules-probe-${Date.now()}`;
+  let ruleId;
+
+  beforeAll(async () => {
+    const res = await fetch(`${URL_BASE}/health`);
+    expect(res.ok, `${URL_BASE}/health must be reachable`).toBe(true);
+  }, 15000);
+
+  afterAll(async () => {
+    if (ruleId) await call("DELETE", `/${ruleId}`);
+  }, 15000);
+
+  it("creates a rule and lists it for its org", async () => {
+    const created = await call("POST", "", {
+      org,
+      name: "probe",
+      priority: 1,
+      match: { sender: "@probe\\.test$" },
+      actions: [{ type: "tag", tags: ["probe"] }],
+    });
+    expect(created.status).toBe(201);
+    expect(created.json.rule.version).toBe(1);
+    ruleId = created.json.rule.id;
+
+    const listed = await call("GET", `?org=${org}`);
+    expect(listed.status).toBe(200);
+    expect(listed.json.rules.map(r => r.id)).toContain(ruleId);
+  }, 15000);
+
+  it("rejects an invalid rule with 400", async () => {
+    const result = await call("POST", "", { org, match: { subject: "(" }, actions: [] });
+    expect(result.status).toBe(400);
+  }, 15000);
+
+  it("rejects a stale expectedVersion with 409 and keeps history", async () => {
+    const ok = await call("PUT", `/${ruleId}`, { priority: 2, expectedVersion: 1 });
+    expect(ok.status).toBe(200);
+    expect(ok.json.rule.version).toBe(2);
+
+    const stale = await call("PUT", `/${ruleId}`, { priority: 3, expectedVersion: 1 });
+    expect(stale.status).toBe(409);
+
+    const history = await call("GET", `/${ruleId}/history`);
+    expect(history.status).toBe(200);
+    expect(history.json.history.length).toBeGreaterThanOrEqual(2);
+  }, 15000);
+});
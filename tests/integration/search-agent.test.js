@@ -0,0 +1,102 @@
+/**
+ * Integration test for the SearchAgent Durable Object.
+ *
+ * Exercises /agents/search/* against a live, non-production chittyrouter
+ * deployment — chunk storage, FTS5 ranking, filter hydration and the
+ * Message-ID tombstones are SQL, so they are only testable end-to-end. Same
+ * gating as tests/integration/thread-agent.test.js:
+ *
+ *   CHITTYROUTER_URL, CHITTYROUTER_AUTH_TOKEN, LIVE_INTEGRATION=true
+ *
+ * Documents use a per-run org and a nonsense probe word so searches only
+ * ever see this run's rows.
+ */
+
+import { describe, it, expect, beforeAll } from "vitest";
+
+const URL_BASE = process.env.CHITTYROUTER_URL;
+const TOKEN = process.env.CHITTYROUTER_AUTH_TOKEN;
+const LIVE_INTEGRATION = process.env.LIVE_INTEGRATION === "true";
+
+const PRODUCTION_URLS = ["router.chitty.cc", "chittyrouter.chitty.cc"];
+
+function isProductionURL(url) {
+  if (!url) return false;
+  const normalized = url.toLowerCase().replace(/^https?:\/\//, "").replace(/\/$/, "");
+  return PRODUCTION_URLS.some(prod => normalized === prod || normalized.includes(prod));
+}
+
+const describeOrSkip =
+  URL_BASE && TOKEN && LIVE_INTEGRATION && !isProductionURL(URL_BASE)
+    ? describe
+    : describe.skip;
+
+async function call(method, path, body) {
+  const res = await fetch(`${URL_BASE}/agents/search${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${TOKEN}` },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    // leave json null
+  }
+  return { status: res.status, json };
+}
+
+describeOrSkip("SearchAgent → /agents/search/* (live)", () => {
+  const runId = `sr${Date.now()}`;
+  const org = `probe-${runId}`;
+  const word = `zorblax${runId}`;
+  const messageId = `<m@${runId}.chittyrouter.test>`;
+
+  const doc = (id, overrides = {}) => ({
+    id: `email:<${id}@${runId}.chittyrouter.test>`,
+    sourceType: "email",
+    title: `Probe ${id}`,
+    text: `The ${word} boiler in unit ${id} failed.`,
+    caseSlug: `case-${runId}`,
+    org,
+    entity: null,
+    at: new Date().toISOString(),
+    citation: { queueId: `q-${id}` },
+    messageIds: [`<${id}@${runId}.chittyrouter.test>`],
+    ...overrides,
+  });
+
+  beforeAll(async () => {
+    const res = await fetch(`${URL_BASE}/health`);
+    expect(res.ok, `${URL_BASE}/health must be reachable`).toBe(true);
+  }, 30000);
+
+  it("indexes documents and refuses privileged ones", async () => {
+    const result = await call("POST", "/index", {
+      documents: [doc("a"), doc("m", { messageIds: [messageId] }), doc("p", { privileged: true })],
+    });
+    expect(result.status).toBe(200);
+    expect(result.json.results.map(r => r.status)).toEqual(["indexed", "indexed", "rejected"]);
+  }, 30000);
+
+  it("finds indexed text with filters and citations", async () => {
+    const result = await call("POST", "/search", { q: word, org, mode: "keyword" });
+    expect(result.status).toBe(200);
+    expect(result.json.results.map(r => r.citation.queueId).sort()).toEqual(["q-a", "q-m"]);
+    expect((await call("POST", "/search", { q: word, org: `${org}-other`, mode: "keyword" })).json.results).toHaveLength(0);
+  }, 30000);
+
+  it("purges by Message-ID and blocks re-indexing", async () => {
+    const purged = await call("POST", "/purge", { messageIds: [messageId], reason: "privileged_thread" });
+    expect(purged.json).toMatchObject({ purged: 1, blocked: 1 });
+    const again = await call("POST", "/index", { documents: [doc("m", { messageIds: [messageId] })] });
+    expect(again.json.results[0].status).toBe("blocked");
+    const result = await call("POST", "/search", { q: word, org, mode: "keyword" });
+    expect(result.json.results.map(r => r.citation.queueId)).toEqual(["q-a"]);
+  }, 30000);
+
+  it("rejects a query without q", async () => {
+    expect((await call("POST", "/search", { org })).status).toBe(400);
+  }, 15000);
+});
@@ -0,0 +1,112 @@
+/**
+ * Integration test for the ThreadAgent Durable Object.
+ *
+ * Exercises /agents/thread/* against a live, non-production chittyrouter
+ * deployment — the grouping (thread_refs graph, subject fallback, merge) and
+ * the privileged scrub are SQL, so they are only testable end-to-end. Same
+ * gating as tests/integration/review-queue-agent.test.js:
+ *
+ *   CHITTYROUTER_URL, CHITTYROUTER_AUTH_TOKEN, LIVE_INTEGRATION=true
+ *
+ * Messages use a per-run synthetic domain and entity so lookups only ever
+ * see this run's rows.
+ */
+
+import { describe, it, expect, beforeAll } from "vitest";
+
+const URL_BASE = process.env.CHITTYROUTER_URL;
+const TOKEN = process.env.CHITTYROUTER_AUTH_TOKEN;
+const LIVE_INTEGRATION = process.env.LIVE_INTEGRATION === "true";
+
+const PRODUCTION_URLS = ["router.chitty.cc", "chittyrouter.chitty.cc"];
+
+function isProductionURL(url) {
+  if (!url) return false;
+  const normalized = url.toLowerCase().replace(/^https?:\/\//, "").replace(/\/$/, "");
+  return PRODUCTION_URLS.some(prod => normalized === prod || normalized.includes(prod));
+}
+
+const describeOrSkip =
+  URL_BASE && TOKEN && LIVE_INTEGRATION && !isProductionURL(URL_BASE)
+    ? describe
+    : describe.skip;
+
+async function call(method, path, body) {
+  const res = await fetch(`${URL_BASE}/agents/thread${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${TOKEN}` },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    // leave json null
+  }
+  return { status: res.status, json };
+}
+
+describeOrSkip("ThreadAgent → /agents/thread/* (live)", () => {
+  const runId = `th${Date.now()}`;
+  const domain = `${runId}.chittyrouter.test`;
+  const entity = `PROBE_${runId}`;
+  const id = (n) => `<${n}@${domain}>`;
+
+  function makeMessage(n, minute, overrides = {}) {
+    return {
+      messageId: id(n),
+      direction: "inbound",
+      at: new Date(Date.UTC(2026, 5, 1, 0, minute)).toISOString(),
+      from: `probe@${domain}`,
+      to: "intake@chitty.cc",
+      subject: `Probe thread ${runId}`,
+      subjectKey: `probe thread ${runId}`,
+      summary: "probe",
+      inReplyTo: "",
+      references: [],
+      entity,
+      attachments: [],
+      attachmentCount: 0,
+      metadataOnly: false,
+      ...overrides,
+    };
+  }
+
+  beforeAll(async () => {
+    const res = await fetch(`${URL_BASE}/health`);
+    expect(res.ok, `${URL_BASE}/health must be reachable`).toBe(true);
+  }, 30000);
+
+  it("joins a reply that arrives before its parent", async () => {
+    const child = await call("POST", "/ingest", { message: makeMessage("c", 2, { inReplyTo: id("a"), references: [id("a")] }) });
+    expect(child.status).toBe(200);
+    const parent = await call("POST", "/ingest", { message: makeMessage("a", 1, { subject: "other", subjectKey: null }) });
+    expect(parent.json).toMatchObject({ matchedBy: "graph", thread: { id: child.json.thread.id, messageCount: 2 } });
+  }, 15000);
+
+  it("reports thread-of-N position for a message", async () => {
+    const result = await call("POST", "/lookup", { messageIds: [id("a"), id("c")] });
+    expect(result.json.threads[id("a")]).toMatchObject({ messageCount: 2, position: 1 });
+    expect(result.json.threads[id("c")]).toMatchObject({ messageCount: 2, position: 2 });
+  }, 15000);
+
+  it("scrubs the thread once a privileged message joins", async () => {
+    const result = await call("POST", "/ingest", {
+      message: makeMessage("p", 3, { references: [id("a")], subject: "[REDACTED — privileged_legal]", subjectKey: null, metadataOnly: true }),
+    });
+    const thread = await call("GET", `/thread/${result.json.thread.id}`);
+    expect(thread.json.thread.privileged).toBe(true);
+    expect(JSON.stringify(thread.json.messages)).not.toContain(`Probe thread ${runId}`);
+  }, 15000);
+
+  it("serves the entity timeline oldest first", async () => {
+    const result = await call("GET", `/timeline?entity=${entity}`);
+    expect(result.status).toBe(200);
+    expect(result.json.entries.map(e => e.messageId)).toEqual([id("a"), id("c"), id("p")]);
+  }, 15000);
+
+  it("requires a case or entity for the timeline", async () => {
+    expect((await call("GET", "/timeline")).status).toBe(400);
+  }, 15000);
+});
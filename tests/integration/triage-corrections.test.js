@@ -0,0 +1,108 @@
+/**
+ * Integration test for the TriageAgent corrections store.
+ *
+ * Exercises /agents/triage/corrections* against a live, non-production
+ * chittyrouter deployment — the corrections table, rule relearning and the
+ * similar-example candidate windows only exist inside the Durable Object.
+ * Same gating as tests/integration/routing-rules-store.test.js:
+ *
+ *   CHITTYROUTER_URL, CHITTYROUTER_AUTH_TOKEN, LIVE_INTEGRATION=true
+ *
+ * Corrections are filed under a per-run synthetic profile so the learned
+ * rules of real profiles are never touched.
+ */
+
+import { describe, it, expect, beforeAll } from "vitest";
+
+const URL_BASE = process.env.CHITTYROUTER_URL;
+const TOKEN = process.env.CHITTYROUTER_AUTH_TOKEN;
+const LIVE_INTEGRATION = process.env.LIVE_INTEGRATION === "true";
+
+const PRODUCTION_URLS = ["router.chitty.cc", "chittyrouter.chitty.cc"];
+
+function isProductionURL(url) {
+  if (!url) return false;
+  const normalized = url.toLowerCase().replace(/^https?:\/\//, "").replace(/\/$/, "");
+  return PRODUCTION_URLS.some(prod => normalized === prod || normalized.includes(prod));
+}
+
+const describeOrSkip =
+  URL_BASE && TOKEN && LIVE_INTEGRATION && !isProductionURL(URL_BASE)
+    ? describe
+    : describe.skip;
+
+async function call(method, path, body) {
+  const res = await fetch(`${URL_BASE}/agents/triage${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${TOKEN}` },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    // leave json null
+  }
+  return { status: res.status, json };
+}
+
+describeOrSkip("TriageAgent → /agents/triage/corrections* (live)", () => {
+  const runId = `tc${Date.now()}`;
+  const profile = `probe-${runId}`;
+  const sender = `billing@${runId}.chittyrouter.test`;
+  const results = [];
+
+  beforeAll(async () => {
+    const res = await fetch(`${URL_BASE}/health`);
+    expect(res.ok, `${URL_BASE}/health must be reachable`).toBe(true);
+    for (const n of [1, 2, 3]) {
+      const result = await call("POST", "/corrections", {
+        correction: {
+          profile,
+          sender,
+          senderDomain: `${runId}.chittyrouter.test`,
+          subject: `Invoice ${n}`,
+          wasCategory: "personal",
+          category: "financial",
+          source: "integration-test",
+        },
+      });
+      expect(result.status).toBe(200);
+      results.push(result.json);
+    }
+  }, 30000);
+
+  it("learns a sender rule once the corrections agree", async () => {
+    expect(results.map(r => r.totalCorrections)).toEqual([1, 2, 3]);
+    expect(results[1].rules).toEqual([]);
+    expect(results[2].rules).toEqual([
+      expect.objectContaining({ key: `sender:${sender}`, category: "financial", support: 3, agreement: 1 }),
+    ]);
+
+    const rules = await call("GET", `/corrections/rules?profile=${profile}`);
+    expect(rules.json.rules.map(r => r.key)).toEqual([`sender:${sender}`]);
+  }, 15000);
+
+  it("lists the profile newest-first with a cursor", async () => {
+    const first = await call("GET", `/corrections?profile=${profile}&limit=2`);
+    expect(first.json.corrections.map(c => c.subject)).toEqual(["Invoice 3", "Invoice 2"]);
+    expect(first.json.nextCursor).toBeTruthy();
+    const second = await call("GET", `/corrections?profile=${profile}&limit=2&cursor=${first.json.nextCursor}`);
+    expect(second.json.corrections.map(c => c.subject)).toEqual(["Invoice 1"]);
+    expect(second.json.nextCursor).toBeNull();
+  }, 15000);
+
+  it("returns similar corrections and the sender's rule", async () => {
+    const result = await call("POST", "/corrections/similar", { profile, sender, subject: "Invoice 4", k: 2 });
+    expect(result.status).toBe(200);
+    expect(result.json.examples).toHaveLength(2);
+    expect(result.json.examples.every(e => e.sender === sender && !("embedding" in e))).toBe(true);
+    expect(result.json.rules.map(r => r.key)).toEqual([`sender:${sender}`]);
+  }, 15000);
+
+  it("rejects a correction without a category", async () => {
+    const result = await call("POST", "/corrections", { correction: { profile, sender } });
+    expect(result.status).toBe(400);
+  }, 15000);
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for agent call authorization (src/utils/agent-scopes.js):
+ * required scopes, wildcard matching, org-restricted principals, and
+ * enforcement + denial auditing on /agents/* through the worker, against an
+ * in-memory MCP_API_KEYS namespace and the sharded ENTITY_AGENT binding.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  DENIAL_PREFIX,
+  authorizeAgentCall,
+  isValidScope,
+  listDenials,
+  principalFromKey,
+  requiredScope,
+  scopeAllows,
+  shardAllowed,
+} from '../../src/utils/agent-scopes.js';
+import { clearShardRegistrationCache } from '../../src/utils/agent-shards.js';
+import worker from '../../src/unified-worker.js';
+import { makeShardBinding } from '../data/shard-binding.js';
+
+function makeKv(entries = {}) {
+  const store = new Map(Object.entries(entries));
+  return {
+    store,
+    get: async (key) => store.get(key) ?? null,
+    put: async (key, value) => { store.set(key, value); },
+    list: async ({ prefix = '', limit = 1000 } = {}) => ({
+      keys: [...store.keys()].filter((k) => k.startsWith(prefix)).sort().slice(0, limit).map((name) => ({ name })),
+    }),
+  };
+}
+
+const key = (record) => JSON.stringify({ status: 'active', ...record });
+
+describe('agent scopes: required scope', () => {
+  it('maps method and path to an action', () => {
+    expect(requiredScope('FINANCE_AGENT', 'GET', '/summary')).toBe('finance:read');
+    expect(requiredScope('EVIDENCE_AGENT', 'POST', '/ingest')).toBe('evidence:write');
+    expect(requiredScope('EVIDENCE_AGENT', 'POST', '/ingest/email')).toBe('evidence:admin');
+    expect(requiredScope('NOTIFICATION_AGENT', 'POST', '/send')).toBe('notification:send');
+    expect(requiredScope('NOTIFICATION_AGENT', 'POST', '/preferences')).toBe('notification:write');
+    expect(requiredScope('SEARCH_AGENT', 'POST', '/search')).toBe('search:read');
+    expect(requiredScope('ENTITY_AGENT', 'POST', '/shard/import')).toBe('entity:admin');
+    expect(requiredScope('SCRAPE_AGENT', 'POST', '/process')).toBe('scrape:admin');
+    expect(requiredScope('REVIEW_QUEUE_AGENT', 'GET', '/pending')).toBe('review-queue:read');
+    expect(requiredScope('NOPE_AGENT', 'GET', '/')).toBeNull();
+  });
+
+  it('matches wildcards on either half', () => {
+    expect(scopeAllows(['finance:*'], 'finance:write')).toBe(true);
+    expect(scopeAllows(['*:read'], 'evidence:read')).toBe(true);
+    expect(scopeAllows(['*:read'], 'evidence:write')).toBe(false);
+    expect(scopeAllows(['*'], 'notification:send')).toBe(true);
+    expect(scopeAllows(['notification:write'], 'notification:send')).toBe(false);
+    expect(scopeAllows(undefined, 'finance:read')).toBe(false);
+  });
+
+  it('drops malformed scopes from key records', () => {
+    expect(isValidScope('review-queue:read')).toBe(true);
+    expect(isValidScope('finance:delete')).toBe(false);
+    expect(principalFromKey('abcdefghijk', { scopes: ['finance:read', 'x', 42] })).toEqual({
+      id: 'key:abcdefgh', kind: 'api_key', scopes: ['finance:read'], orgs: null, cases: [],
+    });
+  });
+});
+
+describe('agent scopes: org restrictions', () => {
+  const principal = principalFromKey('k', { scopes: ['*'], orgs: ['ChittyOS'], cases: ['2024D007847'] });
+
+  it('admits only the principal\'s org and case shards', () => {
+    expect(shardAllowed(principal, 'org:chittyos')).toBe(true);
+    expect(shardAllowed(principal, 'case:2024d007847')).toBe(true);
+    expect(shardAllowed(principal, 'org:aribia')).toBe(false);
+    expect(shardAllowed(principal, null)).toBe(false);
+  });
+
+  it('refuses the root of sharded agents and foreign payload orgs', () => {
+    const call = { bindingName: 'ENTITY_AGENT', method: 'POST', path: '/create' };
+    expect(authorizeAgentCall(principal, { ...call, shard: 'org:chittyos' }).allowed).toBe(true);
+    expect(authorizeAgentCall(principal, { ...call, shard: null }).reason).toMatch(/must address/);
+    expect(authorizeAgentCall(principal, { ...call, shard: 'org:chittyos', payload: { org: 'Aribia' } }).reason)
+      .toBe('org Aribia not permitted');
+    expect(authorizeAgentCall(principal, { bindingName: 'PRIORITY_AGENT', method: 'POST', path: '/score' }).allowed)
+      .toBe(true);
+  });
+
+  it('refuses agents whose data spans orgs, with or without an org in the payload', () => {
+    for (const bindingName of ['TRIAGE_AGENT', 'REVIEW_QUEUE_AGENT', 'THREAD_AGENT', 'SEARCH_AGENT', 'NOTION_DLQ_AGENT', 'DISPUTE_OUTBOX_AGENT']) {
+      expect(authorizeAgentCall(principal, { bindingName, method: 'GET', path: '/stats' }).reason)
+        .toBe('org-restricted keys cannot read cross-org data');
+    }
+    expect(authorizeAgentCall(principal, { bindingName: 'SEARCH_AGENT', method: 'POST', path: '/search', payload: { org: 'ChittyOS' } }).allowed)
+      .toBe(false);
+    const unrestricted = principalFromKey('k', { scopes: ['search:read'] });
+    expect(authorizeAgentCall(unrestricted, { bindingName: 'SEARCH_AGENT', method: 'POST', path: '/search' }).allowed).toBe(true);
+  });
+
+  it('narrows fan-out to permitted shards', () => {
+    const decision = authorizeAgentCall(principal, { bindingName: 'ENTITY_AGENT', method: 'GET', path: '/stats', fanOut: true });
+    expect([null, 'org:chittyos', 'org:aribia'].filter(decision.shardFilter)).toEqual(['org:chittyos']);
+  });
+});
+
+describe('agent scopes: /agents/* enforcement', () => {
+  const ctx = { waitUntil() {} };
+  let env;
+
+  const call = async (method, path, { apiKey, body } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['X-ChittyOS-API-Key'] = apiKey;
+    const res = await worker.fetch(new Request(`https://router.test${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    }), env, ctx);
+    return { status: res.status, json: await res.json() };
+  };
+
+  beforeEach(() => {
+    clearShardRegistrationCache();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    env = {
+      ENTITY_AGENT: makeShardBinding(),
+      MCP_API_KEYS: makeKv({
+        'key:reader': key({ name: 'reader', scopes: ['entity:read'] }),
+        'key:clerk': key({ name: 'clerk', scopes: ['evidence:write'] }),
+        'key:tenant': key({ name: 'tenant', scopes: ['entity:*'], orgs: ['ChittyOS'] }),
+      }),
+    };
+    return () => console.warn.mockRestore();
+  });
+
+  it('requires a credential and fails closed without the key store', async () => {
+    expect((await call('GET', '/agents/entity/stats')).status).toBe(401);
+    delete env.MCP_API_KEYS;
+    expect((await call('GET', '/agents/entity/stats', { apiKey: 'reader' })).status).toBe(503);
+    env.AUTH_DEV_BYPASS = 'true';
+    expect((await call('GET', '/agents/entity/stats')).status).toBe(200);
+  });
+
+  it('enforces scopes and audits the refusal', async () => {
+    expect((await call('GET', '/agents/entity/stats', { apiKey: 'reader' })).status).toBe(200);
+    const denied = await call('POST', '/agents/entity/create', { apiKey: 'reader', body: { name: 'X' } });
+    expect(denied).toEqual({ status: 403, json: { error: 'Forbidden', reason: 'missing scope entity:write', scope: 'entity:write' } });
+    expect(env.ENTITY_AGENT.requests.filter((r) => r.path === '/create')).toHaveLength(0);
+
+    const [audit] = await listDenials(env);
+    expect(audit).toMatchObject({ via: 'http', principal: 'reader', agent: 'ENTITY_AGENT', method: 'POST', path: '/create' });
+    expect([...env.MCP_API_KEYS.store.keys()].some((k) => k.startsWith(DENIAL_PREFIX))).toBe(true);
+  });
+
+  it('keeps org-restricted keys inside their shards', async () => {
+    const own = await call('POST', '/agents/entity/org:chittyos/create', { apiKey: 'tenant', body: { entity_type: 'P', name: 'A' } });
+    expect(own.status).toBe(200);
+    expect((await call('POST', '/agents/entity/org:aribia/create', { apiKey: 'tenant', body: { name: 'B' } })).status).toBe(403);
+    expect((await call('GET', '/agents/entity/stats', { apiKey: 'tenant' })).status).toBe(403);
+
+    env.ENTITY_AGENT.insert('ENTITY_AGENT', 'entities', { entity_type: 'P', name: 'root' });
+    const all = await call('GET', '/agents/entity/all/stats', { apiKey: 'tenant' });
+    expect(all.json.totalEntities).toBe(1);
+  });
+
+  it('keeps email-intake ingests away from evidence:write keys', async () => {
+    const body = { exhibit_id: 'EM-1', title: 'notice.pdf', provenance: { message_id: '<m@x>' } };
+    const denied = await call('POST', '/agents/evidence/ingest/email', { apiKey: 'clerk', body });
+    expect(denied).toEqual({ status: 403, json: { error: 'Forbidden', reason: 'missing scope evidence:admin', scope: 'evidence:admin' } });
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Unit tests for per-org / per-case agent sharding (src/utils/agent-shards.js):
+ * shard naming and resolution, the split planner, import remapping, fan-out
+ * merging, and migration + fan-out + worker routing against the in-memory
+ * sharded ENTITY_AGENT binding.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  FAN_OUT_PATHS,
+  clearShardRegistrationCache,
+  fanOut,
+  instanceName,
+  isShardSegment,
+  mergeShardResults,
+  migrateToShards,
+  parseShard,
+  planShardSplit,
+  resolveShard,
+  resolveShardTarget,
+  shardForMessage,
+  shardFromPayload,
+  shardImportRow,
+  shardOfInstance,
+  shardSlug,
+} from '../../src/utils/agent-shards.js';
+import worker from '../../src/unified-worker.js';
+import { ENTITY_SHARD_TABLES, makeShardBinding } from '../data/shard-binding.js';
+
+const ON = { AGENT_SHARDING_ENABLED: 'true' };
+
+const FINANCE_TABLES = [
+  { table: 'transactions', org: 'org', caseSlug: 'case_id' },
+  { table: 'ledger_entries', org: 'org', refs: { transaction_id: 'transactions' } },
+];
+
+describe('agent shards: naming', () => {
+  it('canonicalizes org names and case slugs', () => {
+    expect(shardSlug('Furnished-Condos')).toBe('furnished-condos');
+    expect(shardSlug('  Arias v. Bianchi ')).toBe('arias-v-bianchi');
+    expect(shardSlug('!!!')).toBeNull();
+    expect(shardSlug('x'.repeat(80))).toHaveLength(64);
+  });
+
+  it('parses shard ids, encoded or not', () => {
+    expect(parseShard('org:ChittyCounsel')).toEqual({ kind: 'org', slug: 'chittycounsel', id: 'org:chittycounsel' });
+    expect(parseShard('case%3Aarias-v-bianchi')?.id).toBe('case:arias-v-bianchi');
+    expect(parseShard('all')).toBeNull();
+    expect(parseShard('tenant:x')).toBeNull();
+    expect(parseShard('org:')).toBeNull();
+  });
+
+  it('tells shard segments from agent endpoints', () => {
+    expect(isShardSegment('org:aribia')).toBe(true);
+    expect(isShardSegment('case%3Ax')).toBe(true);
+    expect(isShardSegment('all')).toBe(true);
+    expect(isShardSegment('create')).toBe(false);
+    expect(isShardSegment('organize')).toBe(false);
+  });
+
+  it('names instances after binding and shard', () => {
+    expect(instanceName('ENTITY_AGENT', null)).toBe('ENTITY_AGENT');
+    expect(instanceName('ENTITY_AGENT', 'org:aribia')).toBe('ENTITY_AGENT~org:aribia');
+    expect(shardOfInstance('ENTITY_AGENT~org:aribia')).toBe('org:aribia');
+    expect(shardOfInstance('ENTITY_AGENT')).toBeNull();
+  });
+});
+
+describe('agent shards: resolution', () => {
+  it('prefers case over org', () => {
+    expect(resolveShard({ caseSlug: 'arias-v-bianchi', org: 'ChittyCounsel' })).toBe('case:arias-v-bianchi');
+    expect(resolveShard({ org: 'ChittyCounsel' })).toBe('org:chittycounsel');
+    expect(resolveShard({})).toBeNull();
+  });
+
+  it('reads agent payload spellings', () => {
+    expect(shardFromPayload({ case_id: 'c-1', org: 'ChittyOS' })).toBe('case:c-1');
+    expect(shardFromPayload({ caseSlug: 'c-2' })).toBe('case:c-2');
+    expect(shardFromPayload({ case_slug: 'c-3' })).toBe('case:c-3');
+    expect(shardFromPayload({ org: 'ChittyApps' })).toBe('org:chittyapps');
+    expect(shardFromPayload({ id: 4 })).toBeNull();
+    expect(shardFromPayload(null)).toBeNull();
+  });
+
+  it('falls back to detectOrg for inbound mail', () => {
+    expect(shardForMessage({ sender: 'clerk@chittycounsel.com', content: '' })).toBe('org:chittycounsel');
+    expect(shardForMessage({ sender: 'x@unknown.test', content: 'zoning permit' })).toBe('org:chicagoapps');
+    expect(shardForMessage({ caseSlug: 'arias-v-bianchi', sender: 'clerk@chittycounsel.com' })).toBe('case:arias-v-bianchi');
+  });
+
+  it('routes explicit shards and validates them', () => {
+    expect(resolveShardTarget({}, 'ENTITY_AGENT', { shard: 'org:Aribia', method: 'POST', path: '/create' })).toEqual({ shard: 'org:aribia' });
+    expect(resolveShardTarget({}, 'ENTITY_AGENT', { shard: 'all', path: '/stats' })).toEqual({ fanOut: true });
+    expect(resolveShardTarget({}, 'ENTITY_AGENT', { shard: 'all', method: 'POST', path: '/create' }).error).toMatch(/only supports GET/);
+    expect(resolveShardTarget({}, 'ENTITY_AGENT', { shard: 'bogus:x', path: '/get' }).error).toMatch(/invalid shard/);
+    expect(resolveShardTarget({}, 'TRIAGE_AGENT', { shard: 'org:x', path: '/classify' }).error).toMatch(/not sharded/);
+  });
+
+  it('routes by payload only when sharding is enabled', () => {
+    const create = { method: 'POST', path: '/create', payload: { org: 'ChittyOS' } };
+    expect(resolveShardTarget({}, 'ENTITY_AGENT', create)).toEqual({ shard: null });
+    expect(resolveShardTarget(ON, 'ENTITY_AGENT', create)).toEqual({ shard: 'org:chittyos' });
+    expect(resolveShardTarget(ON, 'ENTITY_AGENT', { method: 'POST', path: '/update', payload: { id: 3 } })).toEqual({ shard: null });
+    expect(resolveShardTarget(ON, 'TRIAGE_AGENT', create)).toEqual({ shard: null });
+    for (const path of FAN_OUT_PATHS) {
+      expect(resolveShardTarget(ON, 'ENTITY_AGENT', { method: 'GET', path })).toEqual({ fanOut: true });
+    }
+    expect(resolveShardTarget(ON, 'FINANCE_AGENT', { method: 'GET', path: '/ledger', payload: { entity_id: 'e', org: 'ChittyOS' } }))
+      .toEqual({ shard: 'org:chittyos' });
+  });
+});
+
+describe('agent shards: migration planning', () => {
+  const rows = {
+    entities: [
+      { id: 1, name: 'Arias', org: 'ChittyCounsel' },
+      { id: 2, name: 'Unit 4B', org: 'Furnished-Condos' },
+      { id: 3, name: 'Bianchi', org: 'ChittyCounsel' },
+      { id: 4, name: 'Orphan', org: null },
+    ],
+    entity_links: [
+      { id: 1, source_id: 1, target_id: 3, link_type: 'opposes' },
+      { id: 2, source_id: 1, target_id: 2, link_type: 'leases' },
+      { id: 3, source_id: 4, target_id: 4, link_type: 'self' },
+    ],
+    entity_timeline: [
+      { id: 1, entity_id: 1, event_type: 'created' },
+      { id: 2, entity_id: 2, event_type: 'created' },
+      { id: 3, entity_id: 4, event_type: 'created' },
+    ],
+  };
+
+  it('places roots by org and children with their parents', () => {
+    const plan = planShardSplit(rows, ENTITY_SHARD_TABLES);
+    expect(plan.shards['org:chittycounsel'].entities.map((r) => r.id)).toEqual([1, 3]);
+    expect(plan.shards['org:chittycounsel'].entity_links.map((r) => r.id)).toEqual([1]);
+    expect(plan.shards['org:chittycounsel'].entity_timeline.map((r) => r.id)).toEqual([1]);
+    expect(plan.shards['org:furnished-condos'].entity_timeline.map((r) => r.id)).toEqual([2]);
+    expect(plan.stay).toEqual({ entities: 1, entity_links: 2, entity_timeline: 1 });
+  });
+
+  it('keeps cross-shard children in the root and reports them', () => {
+    const { crossShard } = planShardSplit(rows, ENTITY_SHARD_TABLES);
+    expect(crossShard).toEqual([{ table: 'entity_links', id: 2, shards: ['org:chittycounsel', 'org:furnished-condos'] }]);
+  });
+
+  it('places unlinked children by their own columns and prefers case', () => {
+    const plan = planShardSplit({
+      transactions: [{ id: 1, org: 'ChittyOS', case_id: 'arias' }, { id: 2, org: 'ChittyOS', case_id: null }],
+      ledger_entries: [{ id: 1, org: 'ChittyOS', transaction_id: 1 }, { id: 2, org: 'ChittyApps', transaction_id: null }],
+    }, FINANCE_TABLES);
+    expect(Object.keys(plan.shards).sort()).toEqual(['case:arias', 'org:chittyapps', 'org:chittyos']);
+    expect(plan.shards['case:arias'].ledger_entries.map((r) => r.id)).toEqual([1]);
+    expect(plan.shards['org:chittyapps'].ledger_entries.map((r) => r.id)).toEqual([2]);
+  });
+
+  it('remaps refs on import and refuses bad rows', () => {
+    const idMaps = { entities: new Map([['1', 10], ['3', 11]]) };
+    const spec = ENTITY_SHARD_TABLES[1];
+    expect(shardImportRow({ id: 1, source_id: 1, target_id: 3, link_type: 'opposes' }, spec, idMaps))
+      .toEqual({ columns: ['source_id', 'target_id', 'link_type'], values: [10, 11, 'opposes'] });
+    expect(shardImportRow({ id: 2, source_id: 1, target_id: 9, link_type: 'x' }, spec, idMaps).error).toMatch(/no imported entities/);
+    expect(shardImportRow({ id: 3, 'name; DROP TABLE x': 'y' }, ENTITY_SHARD_TABLES[0], {}).error).toMatch(/invalid column/);
+  });
+});
+
+describe('agent shards: fan-out merge', () => {
+  it('sums counts, tags rows and regroups breakdowns', () => {
+    const merged = mergeShardResults([
+      { shard: null, status: 200, data: { totalEntities: 1, breakdown: [{ entity_type: 'P', status: 'draft', count: 1 }], entities: [{ id: 1, name: 'A' }] } },
+      { shard: 'org:x', status: 200, data: { totalEntities: 2, breakdown: [{ entity_type: 'P', status: 'draft', count: 2 }, { entity_type: 'L', status: 'active', count: 1 }], entities: [{ id: 1, name: 'B' }] } },
+      { shard: 'org:y', status: 502, error: 'boom' },
+    ]);
+    expect(merged.totalEntities).toBe(3);
+    expect(merged.breakdown).toEqual([{ entity_type: 'P', status: 'draft', count: 3 }, { entity_type: 'L', status: 'active', count: 1 }]);
+    expect(merged.entities).toEqual([{ id: 1, name: 'A', shard: 'root' }, { id: 1, name: 'B', shard: 'org:x' }]);
+    expect(merged.shards).toEqual([
+      { shard: 'root', status: 200 },
+      { shard: 'org:x', status: 200 },
+      { shard: 'org:y', status: 502, error: 'boom' },
+    ]);
+  });
+});
+
+describe('agent shards: migration and fan-out', () => {
+  let env;
+
+  beforeEach(() => {
+    clearShardRegistrationCache();
+    env = { ENTITY_AGENT: makeShardBinding() };
+    const root = 'ENTITY_AGENT';
+    const arias = env.ENTITY_AGENT.insert(root, 'entities', { entity_type: 'P', status: 'draft', name: 'Arias', org: 'ChittyCounsel' });
+    const bianchi = env.ENTITY_AGENT.insert(root, 'entities', { entity_type: 'P', status: 'draft', name: 'Bianchi', org: 'ChittyCounsel' });
+    const unit = env.ENTITY_AGENT.insert(root, 'entities', { entity_type: 'L', status: 'active', name: 'Unit 4B', org: 'Furnished-Condos' });
+    env.ENTITY_AGENT.insert(root, 'entities', { entity_type: 'T', status: 'draft', name: 'Loose', org: null });
+    env.ENTITY_AGENT.insert(root, 'entity_links', { source_id: arias.id, target_id: bianchi.id, link_type: 'opposes' });
+    env.ENTITY_AGENT.insert(root, 'entity_links', { source_id: arias.id, target_id: unit.id, link_type: 'leases' });
+    env.ENTITY_AGENT.insert(root, 'entity_timeline', { entity_id: bianchi.id, event_type: 'created' });
+  });
+
+  it('dry-runs by default without moving anything', async () => {
+    const report = await migrateToShards(env, 'ENTITY_AGENT');
+    expect(report).toMatchObject({
+      dryRun: true,
+      shards: {
+        'org:chittycounsel': { entities: 2, entity_links: 1, entity_timeline: 1 },
+        'org:furnished-condos': { entities: 1 },
+      },
+      stay: { entities: 1, entity_links: 1 },
+    });
+    expect(env.ENTITY_AGENT.tables('ENTITY_AGENT').entities).toHaveLength(4);
+  });
+
+  it('moves rows into shards with remapped ids and is safe to re-run', async () => {
+    const report = await migrateToShards(env, 'ENTITY_AGENT', { dryRun: false });
+    expect(report.results).toEqual([
+      { shard: 'org:chittycounsel', imported: 4, skipped: 0, conflicts: [], purged: 4 },
+      { shard: 'org:furnished-condos', imported: 1, skipped: 0, conflicts: [], purged: 1 },
+    ]);
+    expect(report.crossShard).toEqual([{ table: 'entity_links', id: 2, shards: ['org:chittycounsel', 'org:furnished-condos'] }]);
+
+    const counsel = env.ENTITY_AGENT.tables('ENTITY_AGENT~org:chittycounsel');
+    const [arias, bianchi] = counsel.entities;
+    expect(counsel.entity_links).toEqual([expect.objectContaining({ source_id: arias.id, target_id: bianchi.id })]);
+    expect(counsel.entity_timeline).toEqual([expect.objectContaining({ entity_id: bianchi.id })]);
+    const root = env.ENTITY_AGENT.tables('ENTITY_AGENT');
+    expect(root.entities.map((e) => e.name)).toEqual(['Loose']);
+    expect(root.entity_links.map((l) => l.link_type)).toEqual(['leases']);
+
+    const again = await migrateToShards(env, 'ENTITY_AGENT', { dryRun: false });
+    expect(again.results).toEqual([]);
+    expect(counsel.entities).toHaveLength(2);
+  });
+
+  it('fans stats and search out across the root and registered shards', async () => {
+    await migrateToShards(env, 'ENTITY_AGENT', { dryRun: false });
+    const stats = await fanOut(env, 'ENTITY_AGENT', '/stats');
+    expect(stats).toMatchObject({ totalEntities: 4, totalLinks: 2 });
+    expect(stats.breakdown).toContainEqual({ entity_type: 'P', status: 'draft', count: 2 });
+    expect(stats.shards.map((s) => s.shard)).toEqual(['root', 'org:chittycounsel', 'org:furnished-condos']);
+
+    const found = await fanOut(env, 'ENTITY_AGENT', '/search', { search: '?org=ChittyCounsel' });
+    expect(found.count).toBe(2);
+    expect(found.entities.map((e) => [e.name, e.shard])).toEqual([['Arias', 'org:chittycounsel'], ['Bianchi', 'org:chittycounsel']]);
+  });
+
+  it('refuses agents that are not sharded', async () => {
+    expect((await migrateToShards(env, 'TRIAGE_AGENT')).error).toMatch(/not sharded/);
+    expect((await migrateToShards({}, 'ENTITY_AGENT')).error).toMatch(/not available/);
+  });
+});
+
+describe('agent shards: worker routing', () => {
+  const ctx = { waitUntil() {} };
+  const call = async (env, method, path, body) => {
+    const res = await worker.fetch(new Request(`https://router.test${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    }), env, ctx);
+    return { status: res.status, json: await res.json() };
+  };
+
+  beforeEach(() => clearShardRegistrationCache());
+
+  it('addresses an explicit shard and registers it on write', async () => {
+    const env = { ENTITY_AGENT: makeShardBinding(), AUTH_DEV_BYPASS: 'true' };
+    const created = await call(env, 'POST', '/agents/entity/org:Aribia/create', { entity_type: 'P', name: 'Arias' });
+    expect(created.status).toBe(200);
+    expect(env.ENTITY_AGENT.tables('ENTITY_AGENT~org:aribia').entities).toHaveLength(1);
+    expect(env.ENTITY_AGENT.instances.get('ENTITY_AGENT').registry).toEqual(new Set(['org:aribia']));
+
+    const all = await call(env, 'GET', '/agents/entity/all/stats');
+    expect(all.json.totalEntities).toBe(1);
+    expect((await call(env, 'POST', '/agents/entity/all/create', {})).status).toBe(400);
+    expect((await call(env, 'GET', '/agents/entity/org:aribia/search')).json.count).toBe(1);
+  });
+
+  it('routes shard-less writes by payload only when enabled', async () => {
+    const env = { ENTITY_AGENT: makeShardBinding(), AUTH_DEV_BYPASS: 'true' };
+    await call(env, 'POST', '/agents/entity/create', { entity_type: 'P', name: 'A', org: 'ChittyOS' });
+    expect(env.ENTITY_AGENT.tables('ENTITY_AGENT').entities).toHaveLength(1);
+
+    env.AGENT_SHARDING_ENABLED = 'true';
+    await call(env, 'POST', '/agents/entity/create', { entity_type: 'P', name: 'B', org: 'ChittyOS' });
+    expect(env.ENTITY_AGENT.tables('ENTITY_AGENT~org:chittyos').entities).toHaveLength(1);
+    expect((await call(env, 'GET', '/agents/entity/stats')).json.totalEntities).toBe(2);
+  });
+});
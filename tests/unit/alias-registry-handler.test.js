@@ -14,16 +14,16 @@
  *   - fail-open: unset override env falls back to default forward
  *
  * NOTE: DEFAULT_FORWARD below is intentionally a non-.test address — it is
- * PINNED to the handler's hardcoded source default (src/email/
- * cloudflare-email-handler.js: `message.forward('nick@aribia.llc')`). It is NOT
- * fixture PII we control; changing it here would diverge the assertion from the
- * real routing behavior under test. (Scrubbing that source default is a
- * separate, repo-wide follow-up — see PR #99 thread replies.)
+ * PINNED to the built-in routing profile's `defaultForward`
+ * (src/config/routing-profile.js). It is NOT fixture PII we control; changing
+ * it here would diverge the assertion from the real routing behavior under
+ * test.
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
 import { _clearAliasCache } from '../../src/config/alias-registry.js';
+import { makeReviewQueueBinding } from '../data/review-queue-binding.js';
 
 beforeEach(() => { _clearAliasCache(); });
 
@@ -200,7 +200,8 @@ describe('logEmail / sendRoutingConfirmation: F-L10 metadata-only redaction', ()
   });
 
   it('enqueue redacts subject, bodyPreview and summary for privileged_legal', async () => {
-    const env = makeEnv();
+    const queue = makeReviewQueueBinding();
+    const env = makeEnv({ REVIEW_QUEUE_AGENT: queue });
     const handler = new CloudflareEmailHandler(env);
     const emailData = {
       to: 'legal@aribia.test', from: 'opposing@firm.com', cc: '',
@@ -216,14 +217,13 @@ describe('logEmail / sendRoutingConfirmation: F-L10 metadata-only redaction', ()
     expect(item.email.bodyPreview).toBe('');
     expect(item.aiClassification.summary).toBe('');
     // persisted store is redacted (no subject/body leak)
-    const stored = await env.AI_CACHE.get(`email_queue_${item.id}`, 'json');
+    const stored = queue.items.get(item.id);
     expect(stored.email.bodyPreview).toBe('');
     expect(stored.email.subject).toBe('[REDACTED — privileged_legal]');
-    const index = await env.AI_CACHE.get('email_queue_index', 'json');
-    expect(index[0].subject).toBe('[REDACTED — privileged_legal]');
-    // sanity: the privileged body text never appears anywhere in the store
-    const allStored = JSON.stringify(stored) + JSON.stringify(index);
-    expect(allStored).not.toContain('privileged litigation strategy');
+    // sanity: the privileged body text never reaches the queue agent
+    const allSent = JSON.stringify(queue.requests);
+    expect(allSent).not.toContain('privileged litigation strategy');
+    expect(allSent).not.toContain('deposition prep');
   });
 
   it('enqueue keeps subject/body for non-privileged mail (no behavior change)', async () => {
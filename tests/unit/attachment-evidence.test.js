@@ -0,0 +1,210 @@
+/**
+ * Unit tests for attachment → evidence intake (src/email/attachment-evidence.js):
+ * the opt-in flag, case attribution through the case registry, category
+ * mapping from DocumentClassifier, the provenance sent to EvidenceAgent,
+ * duplicate handling, sharding, and the privilege-gate refusal.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  attachmentExhibitId,
+  evidenceAutoIngestEnabled,
+  exhibitCategoryFor,
+  ingestCaseAttachments,
+  registeredCaseSlug,
+} from '../../src/email/attachment-evidence.js';
+import { clearShardRegistrationCache } from '../../src/utils/agent-shards.js';
+
+const SHA_A = 'a'.repeat(64);
+const SHA_B = 'b'.repeat(64);
+
+const emailData = (overrides = {}) => ({
+  id: '<notice-1@landlord.example>',
+  from: 'landlord@landlord.example',
+  subject: 'Notice and ledger',
+  date: 'Thu, 15 Oct 2026 09:00:00 +0000',
+  timestamp: '2026-10-15T09:00:05.000Z',
+  privileged: false,
+  aliasDecision: null,
+  ...overrides,
+});
+
+const stored = () => [
+  { filename: 'notice.pdf', key: 'cases/arias/2026-10-15/notice1/notice.pdf', size: 2048, sha256: SHA_A, contentType: 'application/pdf' },
+  { filename: 'kitchen.jpg', key: 'cases/arias/2026-10-15/notice1/kitchen.jpg', size: 4096, sha256: SHA_B, contentType: 'image/jpeg' },
+];
+
+function makeEvidenceBinding() {
+  const requests = [];
+  const exhibits = new Set();
+  return {
+    requests,
+    idFromName: (name) => name,
+    get: (name) => ({
+      fetch: async (request) => {
+        const url = new URL(request.url);
+        if (url.pathname.includes('/cdn-cgi/partyserver/')) return new Response('ok');
+        const body = request.method === 'POST' ? JSON.parse(await request.text()) : undefined;
+        requests.push({ instance: name, path: url.pathname, body });
+        if (url.pathname === '/ingest/email') {
+          const status = exhibits.has(body.exhibit_id) ? 409 : 200;
+          exhibits.add(body.exhibit_id);
+          return new Response(JSON.stringify({ exhibit_id: body.exhibit_id }), { status });
+        }
+        return new Response('{}');
+      },
+    }),
+  };
+}
+
+const classifierReturning = (byFilename) => ({
+  classify: vi.fn(async ({ filename }) => byFilename[filename] ?? { documentType: 'unclassified', caseRef: null, confidence: 0.1 }),
+});
+
+describe('attachment evidence: rules', () => {
+  it('is opt-in', () => {
+    expect(evidenceAutoIngestEnabled({})).toBe(false);
+    expect(evidenceAutoIngestEnabled({ EVIDENCE_AUTO_INGEST: 'true' })).toBe(true);
+  });
+
+  it('maps classifier document types to exhibit categories', () => {
+    expect(exhibitCategoryFor('legal_filing')).toBe('legal_filing');
+    expect(exhibitCategoryFor('legal')).toBe('legal_filing');
+    expect(exhibitCategoryFor('contract')).toBe('contractual');
+    expect(exhibitCategoryFor('financial')).toBe('financial');
+    expect(exhibitCategoryFor('correspondence')).toBe('communication');
+    expect(exhibitCategoryFor('evidence', 'image/png')).toBe('photographic');
+    expect(exhibitCategoryFor('unclassified', 'message/rfc822')).toBe('communication');
+    expect(exhibitCategoryFor('unclassified', 'application/pdf')).toBe('other');
+  });
+
+  it('only accepts cases in the registry', () => {
+    expect(registeredCaseSlug('arias-v-bianchi')).toBe('arias-v-bianchi');
+    expect(registeredCaseSlug('unassigned')).toBeNull();
+    expect(registeredCaseSlug('__proto__')).toBeNull();
+    expect(registeredCaseSlug(null)).toBeNull();
+  });
+
+  it('derives exhibit ids from content', () => {
+    expect(attachmentExhibitId(SHA_A)).toBe('EM-aaaaaaaaaaaaaaaa');
+  });
+});
+
+describe('attachment evidence: intake', () => {
+  let env;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    clearShardRegistrationCache();
+    env = { EVIDENCE_AUTO_INGEST: 'true', EVIDENCE_AGENT: makeEvidenceBinding() };
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it('ingests the attachments of a case-attributed message with provenance', async () => {
+    const classifier = classifierReturning({ 'notice.pdf': { documentType: 'legal', caseRef: null, confidence: 0.6 } });
+    const result = await ingestCaseAttachments(env, {
+      emailData: emailData(), triage: { caseSlug: 'arias-v-bianchi' }, stored: stored(), org: 'aribia',
+    }, { classifier });
+
+    expect(result.ingested.map((e) => [e.exhibitId, e.caseSlug, e.shard])).toEqual([
+      ['EM-aaaaaaaaaaaaaaaa', 'arias-v-bianchi', null],
+      ['EM-bbbbbbbbbbbbbbbb', 'arias-v-bianchi', null],
+    ]);
+    const [notice, photo] = env.EVIDENCE_AGENT.requests;
+    expect(notice).toMatchObject({
+      instance: 'EVIDENCE_AGENT',
+      path: '/ingest/email',
+      body: {
+        exhibit_id: 'EM-aaaaaaaaaaaaaaaa',
+        title: 'notice.pdf',
+        category: 'legal_filing',
+        source: 'email:landlord@landlord.example',
+        case_id: 'arias-v-bianchi',
+        org: 'aribia',
+        sha256: SHA_A,
+        r2_path: 'cases/arias/2026-10-15/notice1/notice.pdf',
+        provenance: {
+          message_id: '<notice-1@landlord.example>',
+          sender: 'landlord@landlord.example',
+          received_at: '2026-10-15T09:00:05.000Z',
+          filename: 'notice.pdf',
+          sha256: SHA_A,
+        },
+      },
+    });
+    expect(photo.body.category).toBe('photographic');
+  });
+
+  it('falls back to the case the classifier finds, and skips unattributed files', async () => {
+    const classifier = classifierReturning({ 'notice.pdf': { documentType: 'legal', caseRef: 'arias-v-bianchi' } });
+    const result = await ingestCaseAttachments(env, {
+      emailData: emailData(), triage: { caseSlug: null }, stored: stored(),
+    }, { classifier });
+
+    expect(result.ingested.map((e) => e.filename)).toEqual(['notice.pdf']);
+    expect(result.skipped).toEqual([{ filename: 'kitchen.jpg', reason: 'no registered case' }]);
+  });
+
+  it('attributes with the real classifier from registry filename patterns', async () => {
+    const result = await ingestCaseAttachments(env, {
+      emailData: emailData(),
+      triage: { caseSlug: 'unassigned' },
+      stored: [{ ...stored()[0], filename: 'Arias v Bianchi motion to compel.pdf' }],
+    });
+    expect(result.ingested).toHaveLength(1);
+    expect(env.EVIDENCE_AGENT.requests[0].body).toMatchObject({ case_id: 'arias-v-bianchi', category: 'legal_filing' });
+  });
+
+  it('reports a file already ingested as a duplicate', async () => {
+    const classifier = classifierReturning({});
+    const input = { emailData: emailData(), triage: { caseSlug: 'arias-v-bianchi' }, stored: stored().slice(0, 1) };
+    await ingestCaseAttachments(env, input, { classifier });
+    const again = await ingestCaseAttachments(env, { ...input, emailData: emailData({ id: '<reply@x>' }) }, { classifier });
+    expect(again.ingested).toEqual([]);
+    expect(again.duplicates.map((d) => d.exhibitId)).toEqual(['EM-aaaaaaaaaaaaaaaa']);
+  });
+
+  it('files exhibits in the case shard when sharding is on', async () => {
+    env.AGENT_SHARDING_ENABLED = 'true';
+    await ingestCaseAttachments(env, {
+      emailData: emailData(), triage: { caseSlug: 'arias-v-bianchi' }, stored: stored(),
+    }, { classifier: classifierReturning({}) });
+    expect(env.EVIDENCE_AGENT.requests.map((r) => [r.instance, r.path])).toEqual([
+      ['EVIDENCE_AGENT', '/shard/register'],
+      ['EVIDENCE_AGENT~case:arias-v-bianchi', '/ingest/email'],
+      ['EVIDENCE_AGENT~case:arias-v-bianchi', '/ingest/email'],
+    ]);
+  });
+
+  it('never ingests privileged or metadata-only mail', async () => {
+    const classifier = classifierReturning({});
+    const privileged = await ingestCaseAttachments(env, {
+      emailData: emailData({ privileged: true }), triage: { caseSlug: 'arias-v-bianchi' }, stored: stored(),
+    }, { classifier });
+    const metadataOnly = await ingestCaseAttachments(env, {
+      emailData: emailData({ aliasDecision: { metadataOnly: true } }), triage: { caseSlug: 'arias-v-bianchi' }, stored: stored(),
+    }, { classifier });
+
+    expect(privileged.skipped.map((s) => s.reason)).toEqual(['privileged', 'privileged']);
+    expect(metadataOnly.skipped.map((s) => s.reason)).toEqual(['privileged', 'privileged']);
+    expect(classifier.classify).not.toHaveBeenCalled();
+    expect(env.EVIDENCE_AGENT.requests).toEqual([]);
+  });
+
+  it('does nothing unless enabled, and records failures without throwing', async () => {
+    const off = await ingestCaseAttachments({ EVIDENCE_AGENT: env.EVIDENCE_AGENT }, {
+      emailData: emailData(), triage: { caseSlug: 'arias-v-bianchi' }, stored: stored(),
+    });
+    expect(off.skipped.map((s) => s.reason)).toEqual(['disabled', 'disabled']);
+
+    const unbound = await ingestCaseAttachments({ EVIDENCE_AUTO_INGEST: 'true' }, {
+      emailData: emailData(),
+      triage: { caseSlug: 'arias-v-bianchi' },
+      stored: [...stored().slice(0, 1), { filename: 'broken.pdf', failed: true, sha256: null }],
+    }, { classifier: classifierReturning({}) });
+    expect(unbound.failed).toEqual([{ filename: 'notice.pdf', error: 'EVIDENCE_AGENT not bound' }]);
+    expect(unbound.skipped).toEqual([{ filename: 'broken.pdf', reason: 'not stored' }]);
+  });
+});
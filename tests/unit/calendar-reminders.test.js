@@ -0,0 +1,153 @@
+/**
+ * Unit tests for calendar reminders (src/calendar/reminders.js): urgency
+ * crossings, request validation, the repeat / escalate / expire steps, and
+ * the notice text.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_REPEAT_MINUTES,
+  MAX_REMINDER_SENDS,
+  parseReminderSpecs,
+  reminderMessage,
+  reminderStep,
+  urgencyCrossing,
+  urgencyThresholdDays,
+} from '../../src/calendar/reminders.js';
+
+const NOW = Date.UTC(2026, 9, 19, 15);
+const HOUR = 60 * 60 * 1000;
+
+const event = (overrides = {}) => ({
+  id: 12,
+  title: 'Arias v Bianchi status hearing',
+  event_type: 'court_date',
+  event_date: '2026-10-22T14:30:00.000Z',
+  status: 'active',
+  location: 'Daley Center 1804',
+  case_id: 'arias-v-bianchi',
+  org: 'chittycounsel',
+  recipient: 'nick@aribia.test',
+  escalate_to: null,
+  ...overrides,
+});
+
+const reminder = (overrides = {}) => ({
+  id: 3,
+  event_id: 12,
+  kind: 'reminder',
+  channel: 'email',
+  recipient: null,
+  escalate_to: null,
+  repeat_minutes: 60,
+  escalate_after: 2,
+  sends: 0,
+  ...overrides,
+});
+
+describe('calendar reminders: urgency', () => {
+  it('crosses the threshold the configured days before the event', () => {
+    expect(urgencyThresholdDays('lease_expiry')).toBe(60);
+    expect(urgencyThresholdDays('meeting')).toBe(7);
+    expect(urgencyCrossing(event())).toBe('2026-10-15T14:30:00.000Z');
+    expect(urgencyCrossing(event({ event_type: 'payment_due' }))).toBe('2026-10-19T14:30:00.000Z');
+    expect(urgencyCrossing(event({ event_date: 'someday' }))).toBeNull();
+  });
+});
+
+describe('calendar reminders: requests', () => {
+  it('normalizes reminder specs with defaults', () => {
+    expect(parseReminderSpecs([{ remind_at: '2026-10-21T09:00:00-05:00' }])).toEqual({
+      reminders: [{
+        remind_at: '2026-10-21T14:00:00.000Z',
+        channel: 'email',
+        recipient: null,
+        escalate_to: null,
+        repeat_minutes: DEFAULT_REPEAT_MINUTES,
+        escalate_after: 3,
+      }],
+      errors: [],
+    });
+    expect(parseReminderSpecs(undefined)).toEqual({ reminders: [], errors: [] });
+  });
+
+  it('rejects bad dates, channels and schedules', () => {
+    const { errors } = parseReminderSpecs([
+      { remind_at: 'tomorrow-ish', channel: 'fax' },
+      { remind_at: '2026-10-21T09:00:00Z', repeat_minutes: 5, escalate_after: 0 },
+    ]);
+    expect(errors).toEqual([
+      'reminders[0].remind_at must be an ISO date',
+      'reminders[0].channel must be one of: email, slack, push, sms',
+      'reminders[1].repeat_minutes must be an integer of at least 15',
+      'reminders[1].escalate_after must be a positive integer',
+    ]);
+    expect(parseReminderSpecs('soon').errors).toEqual(['reminders must be an array']);
+  });
+});
+
+describe('calendar reminders: firing', () => {
+  it('sends to the event recipient and repeats on its schedule', () => {
+    expect(reminderStep(reminder(), event(), { now: NOW })).toEqual({
+      action: 'send',
+      sends: 1,
+      escalate: false,
+      notices: [{ recipient: 'nick@aribia.test', priority: 'normal', channel: 'email', escalation: false }],
+      nextFireAt: new Date(NOW + HOUR).toISOString(),
+      finalStatus: null,
+    });
+  });
+
+  it('sends urgency reminders at high priority', () => {
+    const step = reminderStep(reminder({ kind: 'urgency' }), event(), { now: NOW });
+    expect(step.notices[0].priority).toBe('high');
+  });
+
+  it('escalates once escalate_after sends go unacknowledged', () => {
+    const ev = event({ escalate_to: 'counsel@chitty.cc' });
+    expect(reminderStep(reminder({ sends: 1 }), ev, { now: NOW }).escalate).toBe(false);
+    const step = reminderStep(reminder({ sends: 2 }), ev, { now: NOW });
+    expect(step.escalate).toBe(true);
+    expect(step.notices).toEqual([
+      { recipient: 'nick@aribia.test', priority: 'high', channel: 'email', escalation: false },
+      { recipient: 'counsel@chitty.cc', priority: 'critical', channel: null, escalation: true },
+    ]);
+    // A reminder's own escalation target wins over the event's.
+    expect(reminderStep(reminder({ sends: 2, escalate_to: 'partner@chitty.cc' }), ev, { now: NOW }).notices[1].recipient)
+      .toBe('partner@chitty.cc');
+    // Nobody to escalate to: keep repeating to the primary.
+    expect(reminderStep(reminder({ sends: 5 }), event(), { now: NOW }).notices).toHaveLength(1);
+  });
+
+  it('stops repeating at the event or the send budget', () => {
+    const eventDate = new Date(NOW + 2 * HOUR).toISOString();
+    const lastCall = reminderStep(reminder({ repeat_minutes: 24 * 60 }), event({ event_date: eventDate }), { now: NOW });
+    expect(lastCall).toMatchObject({ action: 'send', nextFireAt: eventDate, finalStatus: null });
+    expect(reminderStep(reminder({ sends: MAX_REMINDER_SENDS - 1 }), event(), { now: NOW }))
+      .toMatchObject({ action: 'send', sends: MAX_REMINDER_SENDS, nextFireAt: null, finalStatus: 'expired' });
+  });
+
+  it('cancels, expires or fails instead of sending', () => {
+    expect(reminderStep(reminder(), event({ status: 'cancelled' }), { now: NOW })).toEqual({ action: 'cancel', reason: 'event is cancelled' });
+    expect(reminderStep(reminder(), event({ event_date: '2026-10-19T14:00:00Z' }), { now: NOW }).action).toBe('expire');
+    expect(reminderStep(reminder(), event({ recipient: null }), { now: NOW })).toEqual({ action: 'fail', reason: 'no recipient for reminder' });
+    expect(reminderStep(reminder(), event({ recipient: null }), { now: NOW, defaultRecipient: 'ops@chitty.cc' }).notices[0].recipient)
+      .toBe('ops@chitty.cc');
+  });
+});
+
+describe('calendar reminders: notices', () => {
+  it('describes the event and how to acknowledge it', () => {
+    const { subject, body } = reminderMessage(event(), reminder({ kind: 'urgency' }), { sends: 1, now: NOW });
+    expect(subject).toBe('Arias v Bianchi status hearing — court date in 3 days');
+    expect(body).toContain('Location: Daley Center 1804');
+    expect(body).toContain('inside its 7-day urgency window');
+    expect(body).toContain('POST /agents/calendar/events/12/acknowledge');
+  });
+
+  it('marks escalations with the unacknowledged count', () => {
+    const { subject, body } = reminderMessage(event(), reminder(), { sends: 3, escalation: true, now: NOW });
+    expect(subject.startsWith('Unacknowledged: ')).toBe(true);
+    expect(body).toContain('has not acknowledged 2 reminders.');
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Unit tests for triage corrections (src/email/corrections.js): similarity
+ * ranking, rule learning, precision/recall, and CloudflareEmailHandler's use
+ * of them in triageEmail and queue reviews against the in-memory corrections
+ * store in tests/data/corrections-binding.js.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  classificationMetrics,
+  cosineSimilarity,
+  learnRule,
+  normalizeCorrection,
+  rankCorrections,
+  selectLearnedRule,
+  subjectTokens,
+} from '../../src/email/corrections.js';
+import { DEFAULT_ROUTING_PROFILE } from '../../src/config/routing-profile.js';
+import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
+import { makeCorrectionsBinding } from '../data/corrections-binding.js';
+import { makeReviewQueueBinding } from '../data/review-queue-binding.js';
+
+function makeKv() {
+  return {
+    _store: new Map(),
+    async get(k, type) {
+      const v = this._store.get(k);
+      return v === undefined ? null : (type === 'json' ? JSON.parse(v) : v);
+    },
+    async put(k, v) { this._store.set(k, v); },
+    async delete(k) { this._store.delete(k); },
+  };
+}
+
+let nextId = 1;
+const correction = (sender, subject, category, extra = {}) => ({
+  id: nextId++, sender, senderDomain: sender.split('@').pop(), subject, category, ...extra,
+});
+
+describe('corrections: similarity', () => {
+  it('tokenizes subjects without reply prefixes or stopwords', () => {
+    expect(subjectTokens('RE: Fwd: The invoice for Unit 4B')).toEqual(['invoice', 'unit', '4b']);
+    expect(cosineSimilarity([1, 0], [1, 0])).toBe(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([1], [1, 2])).toBeNull();
+  });
+
+  it('ranks the exact sender first, then its domain, then subject overlap', () => {
+    const pool = [
+      correction('billing@acme.test', 'Invoice overdue', 'financial'),
+      correction('ops@acme.test', 'Quarterly newsletter', 'spam'),
+      correction('clerk@court.test', 'Hearing notice', 'case'),
+      correction('someone@else.test', 'Invoice overdue reminder', 'financial'),
+    ];
+    const ranked = rankCorrections(pool, { sender: 'Billing <billing@acme.test>', subject: 'Re: invoice overdue' });
+    expect(ranked.map((c) => c.sender)).toEqual(['billing@acme.test', 'ops@acme.test', 'someone@else.test']);
+    expect(ranked[0].score).toBe(1);
+
+    const withVectors = rankCorrections(
+      [
+        correction('a@x.test', 'Rent', 'property', { embedding: [0, 1] }),
+        correction('b@y.test', 'Lease', 'property', { embedding: [1, 0] }),
+      ],
+      { sender: 'c@z.test', subject: 'Tenancy', embedding: [1, 0.1] },
+      { k: 1 },
+    );
+    expect(withVectors.map((c) => c.sender)).toEqual(['b@y.test']);
+  });
+});
+
+describe('corrections: learned rules', () => {
+  const many = (n, sender, category, extra) => Array.from({ length: n }, () => correction(sender, 's', category, extra));
+
+  it('learns a sender rule once enough corrections agree', () => {
+    expect(learnRule('sender', 'a@acme.test', many(2, 'a@acme.test', 'financial'))).toBeNull();
+    expect(learnRule('sender', 'a@acme.test', many(3, 'a@acme.test', 'financial', { entity: 'ARIBIA' }))).toEqual({
+      key: 'sender:a@acme.test', kind: 'sender', value: 'a@acme.test',
+      category: 'financial', entity: 'ARIBIA', support: 3, agreement: 1,
+    });
+    const mixed = [...many(3, 'a@acme.test', 'financial'), ...many(2, 'a@acme.test', 'legal')];
+    expect(learnRule('sender', 'a@acme.test', mixed)).toBeNull();
+  });
+
+  it('needs several senders for a domain rule and never learns freemail domains', () => {
+    expect(learnRule('domain', 'acme.test', many(4, 'a@acme.test', 'financial'))).toBeNull();
+    const spread = [...many(2, 'a@acme.test', 'financial'), ...many(2, 'b@acme.test', 'financial')];
+    expect(learnRule('domain', 'acme.test', spread)).toMatchObject({ key: 'domain:acme.test', support: 4, entity: null });
+    const gmail = [...many(2, 'a@gmail.com', 'spam'), ...many(2, 'b@gmail.com', 'spam')];
+    expect(learnRule('domain', 'gmail.com', gmail)).toBeNull();
+  });
+
+  it('prefers the sender rule and skips categories the profile lacks', () => {
+    const rules = [
+      { key: 'domain:acme.test', category: 'business' },
+      { key: 'sender:a@acme.test', category: 'financial' },
+      { key: 'sender:b@acme.test', category: 'invoices' },
+    ];
+    expect(selectLearnedRule(rules, 'A <a@acme.test>', DEFAULT_ROUTING_PROFILE).category).toBe('financial');
+    expect(selectLearnedRule(rules, 'b@acme.test', DEFAULT_ROUTING_PROFILE).category).toBe('business');
+    expect(selectLearnedRule(rules, 'c@other.test', DEFAULT_ROUTING_PROFILE)).toBeNull();
+  });
+
+  it('validates corrections against the routing profile', () => {
+    expect(normalizeCorrection({ from: 'x@y.test', shouldBeCategory: 'invoices' }, { profile: DEFAULT_ROUTING_PROFILE }).errors)
+      .toEqual(['shouldBeCategory must be one of case, legal, financial, property, business, personal, ops, spam']);
+    expect(normalizeCorrection({ shouldBeCategory: 'legal' }).errors).toEqual(['from is required']);
+  });
+});
+
+describe('corrections: precision and recall', () => {
+  it('scores approved items as right and corrected items against the reviewer', () => {
+    const metrics = classificationMetrics([
+      { status: 'approved', predicted: 'financial', actual: 'financial' },
+      { status: 'approved', predicted: 'financial', actual: 'financial' },
+      { status: 'corrected', predicted: 'financial', actual: 'legal' },
+      { status: 'corrected', predicted: 'spam', actual: 'legal' },
+      { status: 'approved', predicted: 'legal', actual: 'legal' },
+    ]);
+    expect(metrics).toMatchObject({ reviewed: 5, corrected: 2, accuracy: 0.6 });
+    expect(metrics.categories.financial).toEqual({ tp: 2, fp: 1, fn: 0, precision: 0.667, recall: 1, support: 2 });
+    expect(metrics.categories.legal).toEqual({ tp: 1, fp: 0, fn: 2, precision: 1, recall: 0.333, support: 3 });
+    expect(metrics.categories.spam).toEqual({ tp: 0, fp: 1, fn: 0, precision: 0, recall: null, support: 0 });
+  });
+});
+
+describe('corrections: handler', () => {
+  let env;
+  let handler;
+  let prompts;
+
+  const email = (from, subject) => ({ from, to: 'intake@chitty.cc', subject, date: 'now', content: 'body text' });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    env = { TRIAGE_AGENT: makeCorrectionsBinding(), REVIEW_QUEUE_AGENT: makeReviewQueueBinding(), AI_CACHE: makeKv() };
+    handler = new CloudflareEmailHandler(env);
+    prompts = [];
+    handler.inference.complete = async ({ prompt }) => {
+      prompts.push(prompt);
+      return {
+        success: true,
+        json: { category: 'business', urgency: 'LOW', entity: null },
+        model: 'm', taskType: 'email_triage', prompt: { id: 'email.triage', source: 'inline', version: null },
+        attempts: [{}], usage: { inputTokens: 1, outputTokens: 1, costUsd: 0 },
+      };
+    };
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  const correct = (from, subject, category, extra) =>
+    handler.submitCorrection({ from, subject, wasCategory: 'business', shouldBeCategory: category, ...extra });
+
+  it('keeps every correction and puts only the similar ones in the prompt', async () => {
+    for (let i = 0; i < 60; i++) await correct(`sender${i}@vendor${i}.test`, `Topic ${i}`, 'ops');
+    await correct('clerk@court.test', 'Hearing rescheduled', 'case');
+
+    const page = await handler.getCorrections({ limit: 200 });
+    expect(page.corrections).toHaveLength(61);
+
+    await handler.triageEmail(email('Clerk <clerk@court.test>', 'Re: hearing rescheduled'));
+    const block = prompts[0].split('SIMILAR PAST CORRECTIONS')[1].split('EMAIL:')[0];
+    expect(block).toContain('"clerk@court.test" about "Hearing rescheduled" → was "business", should be "case"');
+    expect(block.match(/^- /gm)).toHaveLength(1);
+  });
+
+  it('applies a learned sender rule after repeated corrections', async () => {
+    const first = await correct('ap@acme.test', 'Invoice 1', 'financial', { shouldBeEntity: 'ARIBIA' });
+    expect(first).toMatchObject({ success: true, rules: [], totalCorrections: 1 });
+    await correct('ap@acme.test', 'Invoice 2', 'financial', { shouldBeEntity: 'ARIBIA' });
+    expect((await handler.triageEmail(email('ap@acme.test', 'Invoice 3'))).category).toBe('business');
+
+    const third = await correct('ap@acme.test', 'Invoice 3', 'financial', { shouldBeEntity: 'ARIBIA' });
+    expect(third.rules.map((r) => r.key)).toEqual(['sender:ap@acme.test']);
+
+    const triage = await handler.triageEmail(email('AP <AP@acme.test>', 'Invoice 4'));
+    expect(triage).toMatchObject({ category: 'financial', entity: 'ARIBIA', learnedRule: 'sender:ap@acme.test' });
+    expect(triage.reasons).toContain('learned-rule:sender:ap@acme.test');
+    expect(await handler.getLearnedRules()).toHaveLength(1);
+  });
+
+  it('records queue corrections with their source item', async () => {
+    const item = await handler.enqueue(
+      { from: 'x@y.test', to: 'intake@chitty.cc', cc: '', subject: 'Lease', date: 'now', content: '', attachmentNames: [] },
+      { category: 'business', urgencyLevel: 'LOW', entity: 'personal', reasons: [], aiClassified: true },
+      [],
+    );
+    await handler.updateQueueItem(item.id, 'corrected', { category: 'property', reason: 'lease renewal' });
+    expect(env.TRIAGE_AGENT.corrections.at(-1)).toMatchObject({
+      sender: 'x@y.test', wasCategory: 'business', category: 'property', wasEntity: 'personal',
+      source: 'queue', queueItemId: item.id, reason: 'lease renewal', profile: 'builtin',
+    });
+  });
+
+  it('rejects corrections to unknown categories', async () => {
+    const result = await correct('x@y.test', 'Hi', 'invoices');
+    expect(result).toMatchObject({ success: false, invalid: true });
+    expect(env.TRIAGE_AGENT.corrections).toHaveLength(0);
+  });
+
+  it('imports the legacy KV corrections once, then drops the key', async () => {
+    await env.AI_CACHE.put('email_training_corrections', JSON.stringify([
+      { from: 'a@b.test', subject: 'Old', wrongCategory: 'spam', correctCategory: 'personal', reason: 'friend', submittedAt: '2026-01-01T00:00:00.000Z' },
+      { from: 'c@d.test', subject: 'Bad', wrongCategory: 'spam', correctCategory: 'not-a-category' },
+    ]));
+
+    const { corrections } = await handler.getCorrections();
+    expect(corrections).toEqual([expect.objectContaining({ sender: 'a@b.test', category: 'personal', source: 'kv-migration', createdAt: '2026-01-01T00:00:00.000Z' })]);
+    expect(await env.AI_CACHE.get('email_training_corrections')).toBeNull();
+
+    await new CloudflareEmailHandler(env).getCorrections();
+    expect(env.TRIAGE_AGENT.requests.filter((r) => r.path === '/corrections/import')).toHaveLength(1);
+  });
+});
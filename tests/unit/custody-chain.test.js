@@ -0,0 +1,215 @@
+/**
+ * Unit tests for the hash-chained custody log (src/crypto/custody-chain.js):
+ * linking entries, detecting edits, gaps, truncation and bad head
+ * signatures, backfilling legacy history, and re-hashing stored objects
+ * from an in-memory R2 bucket.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  CUSTODY_GENESIS_HASH,
+  EVIDENCE_INTAKE_ACTOR,
+  chainCustodyEntry,
+  chainLegacyEntries,
+  custodySigner,
+  custodySigningEnabled,
+  custodyTrustedKey,
+  hashStoredObject,
+  intakeCustodyDescription,
+  sha256Stream,
+  signCustodyHead,
+  verifyCustodyChain,
+} from '../../src/crypto/custody-chain.js';
+
+const EXHIBIT = 'EX-101';
+const T0 = Date.UTC(2026, 9, 1, 12);
+
+async function buildChain(actions) {
+  const entries = [];
+  let head = null;
+  for (const [i, action] of actions.entries()) {
+    const entry = await chainCustodyEntry(EXHIBIT, head, {
+      action,
+      actor: 'clerk',
+      description: `${action} step`,
+      occurred_at: new Date(T0 + i * 60_000).toISOString(),
+    });
+    entries.push({ id: i + 1, ...entry });
+    head = { seq: entry.seq, hash: entry.entry_hash };
+  }
+  return { entries, head };
+}
+
+const problemsOf = (report) => report.problems.map((p) => [p.seq, p.problem]);
+
+const streamOf = (...parts) => new ReadableStream({
+  start(controller) {
+    for (const part of parts) controller.enqueue(new TextEncoder().encode(part));
+    controller.close();
+  },
+});
+
+async function digestHex(text) {
+  const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+describe('custody chain: linking and verification', () => {
+  it('links each entry to the previous one from the genesis hash', async () => {
+    const { entries, head } = await buildChain(['ingested', 'verified', 'sealed']);
+    expect(entries.map((e) => e.seq)).toEqual([1, 2, 3]);
+    expect(entries[0].prev_hash).toBe(CUSTODY_GENESIS_HASH);
+    expect(entries[1].prev_hash).toBe(entries[0].entry_hash);
+    expect(entries[2].prev_hash).toBe(entries[1].entry_hash);
+    expect(head).toEqual({ seq: 3, hash: entries[2].entry_hash });
+
+    const report = await verifyCustodyChain(EXHIBIT, entries, { head });
+    expect(report).toMatchObject({ exhibit_id: EXHIBIT, valid: true, length: 3, head, problems: [] });
+  });
+
+  it('binds hashes to the exhibit, not the row id', async () => {
+    const { entries, head } = await buildChain(['ingested', 'sealed']);
+    const reimported = entries.map((e, i) => ({ ...e, id: 500 + i, evidence_id: 42 }));
+    expect((await verifyCustodyChain(EXHIBIT, reimported, { head })).valid).toBe(true);
+    expect(problemsOf(await verifyCustodyChain('EX-999', entries))).toEqual([[1, 'edited'], [2, 'edited']]);
+  });
+
+  it('detects an edited entry', async () => {
+    const { entries, head } = await buildChain(['ingested', 'verified', 'sealed']);
+    entries[1] = { ...entries[1], actor: 'someone else' };
+    expect(problemsOf(await verifyCustodyChain(EXHIBIT, entries, { head }))).toEqual([[2, 'edited']]);
+  });
+
+  it('detects an edit that was re-hashed, by the broken link after it', async () => {
+    const { entries, head } = await buildChain(['ingested', 'verified', 'sealed']);
+    const forged = await chainCustodyEntry(EXHIBIT, { seq: 1, hash: entries[0].entry_hash }, {
+      action: 'verified', actor: 'forger', occurred_at: entries[1].occurred_at,
+    });
+    entries[1] = { id: 2, ...forged };
+    expect(problemsOf(await verifyCustodyChain(EXHIBIT, entries, { head }))).toEqual([[3, 'broken_link']]);
+  });
+
+  it('detects a deleted middle entry', async () => {
+    const { entries, head } = await buildChain(['ingested', 'verified', 'disputed', 'sealed']);
+    entries.splice(1, 1);
+    expect(problemsOf(await verifyCustodyChain(EXHIBIT, entries, { head }))).toEqual([
+      [3, 'sequence_gap'],
+      [3, 'broken_link'],
+    ]);
+  });
+
+  it('detects a deleted tail against the recorded head', async () => {
+    const { entries, head } = await buildChain(['ingested', 'verified', 'sealed']);
+    const report = await verifyCustodyChain(EXHIBIT, entries.slice(0, 2), { head });
+    expect(report.valid).toBe(false);
+    expect(problemsOf(report)).toEqual([[2, 'truncated']]);
+    expect((await verifyCustodyChain(EXHIBIT, entries.slice(0, 2))).valid).toBe(true);
+  });
+
+  it('reports entries that were never chained', async () => {
+    const { entries } = await buildChain(['ingested']);
+    const legacy = { id: 2, action: 'sealed', actor: 'clerk', occurred_at: '2026-10-02 09:00:00' };
+    expect(problemsOf(await verifyCustodyChain(EXHIBIT, [...entries, legacy]))).toEqual([[null, 'unchained']]);
+  });
+
+  it('chains legacy history in order, keeping row fields', async () => {
+    const legacy = [
+      { id: 7, evidence_id: 3, action: 'ingested', actor: 'system', description: null, integrity_hash: 'abc', occurred_at: '2026-09-01 10:00:00' },
+      { id: 9, evidence_id: 3, action: 'sealed', actor: 'clerk', description: 'Evidence sealed', integrity_hash: null, occurred_at: '2026-09-02 10:00:00' },
+    ];
+    const { entries, head } = await chainLegacyEntries(EXHIBIT, legacy);
+    expect(entries.map((e) => [e.id, e.seq, e.occurred_at])).toEqual([[7, 1, '2026-09-01 10:00:00'], [9, 2, '2026-09-02 10:00:00']]);
+    expect((await verifyCustodyChain(EXHIBIT, entries, { head })).valid).toBe(true);
+  });
+
+  it('cites the message an intake exhibit arrived on', () => {
+    expect(EVIDENCE_INTAKE_ACTOR).toBe('email-intake');
+    expect(intakeCustodyDescription({
+      message_id: '<m@x>', sender: 's@x', received_at: '2026-10-15T09:00:05.000Z', filename: 'notice.pdf', sha256: 'a'.repeat(64),
+    })).toBe(`Received as attachment "notice.pdf" on message <m@x> from s@x at 2026-10-15T09:00:05.000Z; SHA-256 ${'a'.repeat(64)}`);
+  });
+});
+
+describe('custody chain: head signatures', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it('is off unless CUSTODY_SIGNING_ENABLED is true', () => {
+    expect(custodySigningEnabled({})).toBe(false);
+    expect(custodySigningEnabled({ CUSTODY_SIGNING_ENABLED: 'true' })).toBe(true);
+  });
+
+  const kvEnv = () => {
+    const store = new Map();
+    return { CHITTYID_STORE: { get: async (k) => store.get(k) ?? null, put: async (k, v) => { store.set(k, v); } } };
+  };
+
+  async function signedChain(signer) {
+    const { entries, head } = await buildChain(['ingested', 'sealed']);
+    for (const entry of entries) entry.head_signature = JSON.stringify(await signCustodyHead(signer, EXHIBIT, entry));
+    return { entries, head };
+  }
+
+  it('verifies signed heads against the trusted key and flags a signature moved to another entry', async () => {
+    const env = kvEnv();
+    const signer = await custodySigner(env);
+    const trustedKey = await custodyTrustedKey(env);
+    expect(trustedKey).toMatchObject({ kty: 'EC', crv: 'P-256' });
+    const { entries, head } = await signedChain(signer);
+    expect(JSON.parse(entries[1].head_signature)).toMatchObject({ algorithm: 'ECDSA-P256-SHA256' });
+
+    const report = await verifyCustodyChain(EXHIBIT, entries, { head, trustedKey });
+    expect(report).toMatchObject({ valid: true, signed: 2 });
+
+    entries[1].head_signature = entries[0].head_signature;
+    expect(problemsOf(await verifyCustodyChain(EXHIBIT, entries, { head, trustedKey }))).toEqual([[2, 'bad_signature']]);
+  });
+
+  it('rejects a chain re-signed with a key other than the trusted one', async () => {
+    const deployment = kvEnv();
+    await custodySigner(deployment);
+    const trustedKey = await custodyTrustedKey(deployment);
+    const { entries, head } = await signedChain(await custodySigner(kvEnv()));
+    expect(problemsOf(await verifyCustodyChain(EXHIBIT, entries, { head, trustedKey }))).toEqual([[1, 'bad_signature'], [2, 'bad_signature']]);
+    // Nothing to pin against: signatures cannot vouch for themselves.
+    expect(problemsOf(await verifyCustodyChain(EXHIBIT, entries, { head }))).toEqual([[1, 'bad_signature'], [2, 'bad_signature']]);
+  });
+
+  it('reports an unsigned head when signing is required', async () => {
+    const env = kvEnv();
+    const { entries, head } = await signedChain(await custodySigner(env));
+    const trustedKey = await custodyTrustedKey(env);
+    delete entries[1].head_signature;
+    expect((await verifyCustodyChain(EXHIBIT, entries, { head, trustedKey })).valid).toBe(true);
+    expect(problemsOf(await verifyCustodyChain(EXHIBIT, entries, { head, trustedKey, requireSignedHead: true })))
+      .toEqual([[2, 'bad_signature']]);
+  });
+
+  it('reads the trusted key from P256_PUBLIC_KEY without KV', async () => {
+    const jwk = { kty: 'EC', crv: 'P-256', x: 'x', y: 'y' };
+    expect(await custodyTrustedKey({ P256_PUBLIC_KEY: JSON.stringify(jwk) })).toEqual(jwk);
+    expect(await custodyTrustedKey({})).toBeNull();
+  });
+});
+
+describe('custody chain: server-side object hashing', () => {
+  it('hashes a stream chunk by chunk', async () => {
+    expect(await sha256Stream(streamOf('lease ', 'agreement'))).toEqual({
+      sha256: await digestHex('lease agreement'),
+      size: 15,
+    });
+  });
+
+  it('streams the object out of DOCUMENT_STORAGE', async () => {
+    const env = {
+      DOCUMENT_STORAGE: {
+        get: async (key) => (key === 'evidence/ex-101.pdf' ? { body: streamOf('%PDF-1.7') } : null),
+      },
+    };
+    expect(await hashStoredObject(env, 'evidence/ex-101.pdf')).toEqual({ sha256: await digestHex('%PDF-1.7'), size: 8 });
+    expect(await hashStoredObject(env, 'evidence/gone.pdf')).toBeNull();
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Unit tests for the dispute intake outbox: backoff, quarantine and filter
+ * rules (src/integration/dispute-outbox.js), outbox-backed forwarding and
+ * retries in the dispute forwarder, and the /dispute/outbox routes, against
+ * the in-memory DISPUTE_OUTBOX_AGENT binding and a stubbed intake endpoint.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  OUTBOX_BACKOFF_BASE_MS,
+  OUTBOX_BACKOFF_MAX_MS,
+  intakeIdempotencyKey,
+  isRetryableIntakeStatus,
+  nextOutboxFailure,
+  outboxBackoffMs,
+  outboxMaxAttempts,
+  parseOutboxFilters,
+  parseReplayRequest,
+} from '../../src/integration/dispute-outbox.js';
+import { forwardToDisputeIntake, retryDisputeOutbox } from '../../src/integration/dispute-forwarder.js';
+import worker from '../../src/unified-worker.js';
+import { makeDisputeOutboxBinding } from '../data/dispute-outbox-binding.js';
+
+const T0 = Date.UTC(2026, 9, 1, 12);
+const MIN = 60 * 1000;
+
+const TRIAGE = { category: 'lawsuit', confidence: 0.9, keywords: ['summons'] };
+const email = (messageId) => ({ messageId, from: 'clerk@court.example', subject: 'Summons', content: 'You are summoned' });
+
+/**
+ * Intake stand-in: answers each POST with the next status in `statuses`
+ * (the last one repeats) and records the Idempotency-Key headers.
+ */
+function stubIntake(statuses) {
+  const calls = [];
+  vi.stubGlobal('fetch', vi.fn(async (url, init) => {
+    const status = statuses[Math.min(calls.length, statuses.length - 1)];
+    calls.push({ url, key: init.headers['Idempotency-Key'], body: JSON.parse(init.body) });
+    if (status === 'network') throw new Error('connection reset');
+    return new Response(JSON.stringify(status < 300 ? { id: `dsp-${calls.length}` } : { error: 'no' }), { status });
+  }));
+  return calls;
+}
+
+describe('dispute outbox: backoff, quarantine and filters', () => {
+  it('derives one stable idempotency key per source message', async () => {
+    const a = await intakeIdempotencyKey({ source: 'chittyrouter', source_ref: '<m1@x>' });
+    expect(a).toMatch(/^intake-[0-9a-f]{32}$/);
+    expect(await intakeIdempotencyKey({ source: 'chittyrouter', source_ref: '<m1@x>', email: {} })).toBe(a);
+    expect(await intakeIdempotencyKey({ source: 'chittyrouter', source_ref: '<m2@x>' })).not.toBe(a);
+  });
+
+  it('retries network errors, 408, 429 and 5xx only', () => {
+    expect([undefined, null, 408, 429, 500, 503].every(isRetryableIntakeStatus)).toBe(true);
+    expect([400, 401, 404, 422].some(isRetryableIntakeStatus)).toBe(false);
+  });
+
+  it('doubles the backoff up to the cap and quarantines at the attempt budget', () => {
+    expect(outboxBackoffMs(1)).toBe(OUTBOX_BACKOFF_BASE_MS);
+    expect(outboxBackoffMs(2)).toBe(2 * OUTBOX_BACKOFF_BASE_MS);
+    expect(outboxBackoffMs(20)).toBe(OUTBOX_BACKOFF_MAX_MS);
+
+    expect(nextOutboxFailure(0, 3, { now: T0 })).toEqual({ attempts: 1, status: 'pending', nextAttemptAt: T0 + OUTBOX_BACKOFF_BASE_MS });
+    expect(nextOutboxFailure(2, 3, { now: T0 })).toEqual({ attempts: 3, status: 'quarantined', nextAttemptAt: null });
+    expect(nextOutboxFailure(0, 3, { retryable: false, now: T0 }).status).toBe('quarantined');
+
+    expect(outboxMaxAttempts({ DISPUTE_OUTBOX_MAX_ATTEMPTS: '3' })).toBe(3);
+    expect(outboxMaxAttempts({ DISPUTE_OUTBOX_MAX_ATTEMPTS: 'x' })).toBe(8);
+  });
+
+  it('parses list filters and replay ranges', () => {
+    expect(parseOutboxFilters(new URLSearchParams()).filters).toEqual({ status: 'undelivered', since: null, until: null, limit: 50 });
+    expect(parseOutboxFilters(new URLSearchParams('status=nope&limit=500')).errors).toHaveLength(2);
+
+    expect(parseReplayRequest({ since: '2026-10-01', until: '2026-10-02' })).toEqual({
+      replay: { since: '2026-10-01T00:00:00.000Z', until: '2026-10-02T00:00:00.000Z', includeDelivered: false },
+      errors: [],
+    });
+    expect(parseReplayRequest({}).errors).toEqual(['since must be an ISO date']);
+    expect(parseReplayRequest({ since: '2026-10-02', until: '2026-10-01' }).errors).toEqual(['since must be before until']);
+    expect(parseReplayRequest({ since: '2026-08-01', until: '2026-10-01' }).errors).toEqual(['range must be 31 days or less']);
+  });
+});
+
+describe('dispute outbox: forwarding and retries', () => {
+  let env;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(T0);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    env = { CHITTYDISPUTE_AUTH_TOKEN: 'tok', DISPUTE_WORTHY_CATEGORIES: 'lawsuit', DISPUTE_OUTBOX_MAX_ATTEMPTS: '3' };
+    env.DISPUTE_OUTBOX_AGENT = makeDisputeOutboxBinding(env);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('records the intake, sends the idempotency key and marks the acknowledgement', async () => {
+    const calls = stubIntake([201]);
+    const result = await forwardToDisputeIntake(env, TRIAGE, email('<m1@x>'));
+
+    expect(result).toMatchObject({ forwarded: true, status: 201, queued: true });
+    expect(calls[0].key).toBe(result.key);
+    expect(env.DISPUTE_OUTBOX_AGENT.items.get(result.key)).toMatchObject({
+      status: 'delivered',
+      sourceRef: '<m1@x>',
+      ack: { status: 201, id: 'dsp-1' },
+    });
+
+    // Triaging the same message again does not resend it.
+    expect(await forwardToDisputeIntake(env, TRIAGE, email('<m1@x>'))).toMatchObject({ forwarded: true, duplicate: true });
+    expect(calls).toHaveLength(1);
+  });
+
+  it('keeps a failed intake pending and delivers it on a later run', async () => {
+    const calls = stubIntake([503, 'network', 200]);
+    const result = await forwardToDisputeIntake(env, TRIAGE, email('<m2@x>'));
+    expect(result).toMatchObject({ forwarded: false, reason: 'intake-non-2xx', status: 503, queued: true });
+    const item = env.DISPUTE_OUTBOX_AGENT.items.get(result.key);
+    expect(item).toMatchObject({ status: 'pending', attempts: 1, lastStatus: 503 });
+
+    expect(await retryDisputeOutbox(env)).toMatchObject({ attempted: 0 });
+
+    vi.setSystemTime(T0 + 30 * MIN);
+    expect(await retryDisputeOutbox(env)).toEqual({ attempted: 1, delivered: 0, failed: 1, quarantined: 0 });
+    expect(item).toMatchObject({ attempts: 2, lastError: 'exception' });
+
+    vi.setSystemTime(T0 + 90 * MIN);
+    expect(await retryDisputeOutbox(env)).toEqual({ attempted: 1, delivered: 1, failed: 0, quarantined: 0 });
+    expect(item.status).toBe('delivered');
+    expect(new Set(calls.map((c) => c.key))).toEqual(new Set([result.key]));
+  });
+
+  it('quarantines a rejected intake without retrying it', async () => {
+    stubIntake([422]);
+    const result = await forwardToDisputeIntake(env, TRIAGE, email('<m3@x>'));
+    expect(env.DISPUTE_OUTBOX_AGENT.items.get(result.key)).toMatchObject({ status: 'quarantined', attempts: 1, lastStatus: 422 });
+  });
+
+  it('treats 409 as already received', async () => {
+    stubIntake([409]);
+    expect(await forwardToDisputeIntake(env, TRIAGE, email('<m4@x>'))).toMatchObject({ forwarded: true, status: 409 });
+  });
+
+  it('falls back to a single direct attempt without the outbox binding', async () => {
+    delete env.DISPUTE_OUTBOX_AGENT;
+    const calls = stubIntake([500]);
+    expect(await forwardToDisputeIntake(env, TRIAGE, email('<m5@x>'))).toMatchObject({
+      forwarded: false,
+      reason: 'intake-non-2xx',
+      queued: false,
+    });
+    expect(calls).toHaveLength(1);
+    expect(await retryDisputeOutbox(env)).toMatchObject({ attempted: 0, skipped: 'outbox-not-bound' });
+  });
+});
+
+describe('dispute outbox: /dispute/outbox routes', () => {
+  const ctx = { waitUntil() {} };
+  let env;
+  let keys;
+
+  const call = async (method, path, body, { authorized = true } = {}) => {
+    env.CHITTYAUTH = {
+      validate: async () => (authorized
+        ? { ok: true }
+        : { ok: false, errorResponse: () => new Response('{"error":"Unauthorized"}', { status: 401 }) }),
+    };
+    const res = await worker.fetch(new Request(`https://router.test${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    }), env, ctx);
+    return { status: res.status, json: await res.json() };
+  };
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(T0);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    env = { CHITTYDISPUTE_AUTH_TOKEN: 'tok', DISPUTE_WORTHY_CATEGORIES: 'lawsuit' };
+    env.DISPUTE_OUTBOX_AGENT = makeDisputeOutboxBinding(env);
+    stubIntake([200, 503, 422]);
+    keys = [];
+    for (const id of ['<r1@x>', '<r2@x>', '<r3@x>']) {
+      keys.push((await forwardToDisputeIntake(env, TRIAGE, email(id))).key);
+    }
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('requires auth and lists undelivered intakes by default', async () => {
+    expect((await call('GET', '/dispute/outbox', undefined, { authorized: false })).status).toBe(401);
+
+    const undelivered = await call('GET', '/dispute/outbox');
+    expect(undelivered.json.items.map((i) => i.key).sort()).toEqual([keys[1], keys[2]].sort());
+    expect((await call('GET', '/dispute/outbox?status=delivered')).json.count).toBe(1);
+    expect((await call('GET', '/dispute/outbox?status=nope')).status).toBe(400);
+
+    const one = await call('GET', `/dispute/outbox/${keys[0]}`);
+    expect(one.json.item.ack).toMatchObject({ status: 200 });
+    expect((await call('GET', '/dispute/outbox/missing')).status).toBe(404);
+  });
+
+  it('retries one intake now and refuses a delivered one', async () => {
+    stubIntake([201]);
+    const retried = await call('POST', `/dispute/outbox/${keys[2]}/retry`);
+    expect(retried.status).toBe(200);
+    expect(retried.json.item).toMatchObject({ status: 'delivered' });
+    expect(retried.json.delivery).toMatchObject({ delivered: 1 });
+
+    expect((await call('POST', `/dispute/outbox/${keys[0]}/retry`)).status).toBe(409);
+  });
+
+  it('replays a date range and delivers it', async () => {
+    const calls = stubIntake([200]);
+    expect((await call('POST', '/dispute/outbox/replay', { since: 'yesterday' })).status).toBe(400);
+
+    vi.setSystemTime(T0 + MIN);
+    const replayed = await call('POST', '/dispute/outbox/replay', { since: new Date(T0 - MIN).toISOString() });
+    expect(replayed.json).toMatchObject({ requeued: 2, delivery: { attempted: 2, delivered: 2 } });
+    expect(calls.map((c) => c.key).sort()).toEqual([keys[1], keys[2]].sort());
+    expect((await call('GET', '/dispute/outbox')).json.count).toBe(0);
+  });
+
+  it('answers 503 when the outbox is not bound', async () => {
+    delete env.DISPUTE_OUTBOX_AGENT;
+    expect(await call('GET', '/dispute/outbox')).toEqual({ status: 503, json: { error: 'DISPUTE_OUTBOX_AGENT not bound' } });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Unit tests for attachment extraction: the format readers in src/documents/
+ * (ZIP, OOXML, PDF, .msg), format dispatch and page maps (extraction.js),
+ * the R2 sidecar pipeline and queue consumer (extraction-pipeline.js), and
+ * DocumentClassifier matching case/entity patterns on extracted text.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { readZipDirectory, readZipEntry, inflateBytes } from '../../src/documents/zip.js';
+import { extractPdf } from '../../src/documents/pdf.js';
+import { parseMsg } from '../../src/documents/msg.js';
+import { detectFormat, extractDocument, OCR_MAX_IMAGES } from '../../src/documents/extraction.js';
+import {
+  extractionJobs,
+  extractionKeys,
+  runExtractionJob,
+  scheduleExtraction,
+  handleExtractionBatch,
+  readExtraction,
+  moveExtraction,
+  visionOcr,
+} from '../../src/documents/extraction-pipeline.js';
+import { DocumentClassifier } from '../../src/document-classification/document-classifier.js';
+import { mimeFixtures } from '../data/mime-fixtures.js';
+import {
+  zip,
+  docx,
+  xlsx,
+  textPdf,
+  pdfFromObjects,
+  outlookMsg,
+  makeR2Bucket,
+  FAKE_JPEG,
+} from '../data/document-fixtures.js';
+
+const enc = new TextEncoder();
+const pageText = (result, n) => result.text.slice(result.pages[n].start, result.pages[n].end);
+
+/** Page whose only content is a DCTDecode image — a scanned page. */
+function scannedPdf(pageCount = 1) {
+  const objects = [{ dict: '<< /Type /Catalog /Pages 2 0 R >>' }, { dict: '' }];
+  const kids = [];
+  for (let i = 0; i < pageCount; i++) {
+    objects.push({ dict: '<< /Type /XObject /Subtype /Image /Width 8 /Height 8 /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /DCTDecode >>', stream: FAKE_JPEG });
+    const image = objects.length;
+    objects.push({ dict: '<< >>', stream: 'q 612 0 0 792 0 0 cm /Im1 Do Q' });
+    const content = objects.length;
+    objects.push({ dict: `<< /Type /Page /Parent 2 0 R /Resources << /XObject << /Im1 ${image} 0 R >> >> /Contents ${content} 0 R >>` });
+    kids.push(`${objects.length} 0 R`);
+  }
+  objects[1].dict = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${pageCount} >>`;
+  return pdfFromObjects(objects);
+}
+
+describe('zip reader', () => {
+  it('lists entries and reads stored and deflated members', async () => {
+    const bytes = await zip([
+      { name: 'notes.txt', data: 'stored body' },
+      { name: 'dir/big.txt', data: 'x'.repeat(5000), deflate: true },
+    ]);
+    const entries = readZipDirectory(bytes);
+    expect(entries.map(e => [e.name, e.size])).toEqual([['notes.txt', 11], ['dir/big.txt', 5000]]);
+    expect(new TextDecoder().decode(await readZipEntry(bytes, entries[1], { maxBytes: 10000 }))).toBe('x'.repeat(5000));
+  });
+
+  it('refuses to inflate past maxBytes', async () => {
+    const bytes = await zip([{ name: 'bomb.txt', data: '0'.repeat(200000), deflate: true }]);
+    const [entry] = readZipDirectory(bytes);
+    await expect(inflateBytes(bytes.subarray(entry.offset + 30 + entry.name.length, entry.offset + 30 + entry.name.length + entry.compressedSize), { maxBytes: 1000 }))
+      .rejects.toThrow(/exceeds/);
+  });
+});
+
+describe('detectFormat', () => {
+  it('trusts magic bytes over the sender-supplied name and type', async () => {
+    expect(detectFormat({ filename: 'invoice.png', contentType: 'image/png' }, await textPdf([['hi']])).format).toBe('pdf');
+    expect(detectFormat({ filename: 'scan.pdf' }, FAKE_JPEG)).toEqual({ format: 'image', mimeType: 'image/jpeg' });
+    expect(detectFormat({ filename: 'brief.docx' }, await docx(['a'])).format).toBe('docx');
+    expect(detectFormat({ filename: 'fwd.eml' }, enc.encode(mimeFixtures.plainText)).format).toBe('eml');
+    expect(detectFormat({ filename: 'blob.bin' }, new Uint8Array([0, 1, 2, 3, 0xfe])).format).toBe('unsupported');
+  });
+});
+
+describe('extractDocument', () => {
+  it('extracts PDF text per page with a page map', async () => {
+    const bytes = await textPdf([['Arias v. Bianchi', 'Motion to compel'], ['Page two body']], { compress: true });
+    const result = await extractDocument(bytes, { filename: 'motion.pdf' });
+    expect(result).toMatchObject({ status: 'ok', format: 'pdf', truncated: false });
+    expect(result.pages.map(p => p.label)).toEqual(['page 1', 'page 2']);
+    expect(pageText(result, 0)).toBe('Arias v. Bianchi\nMotion to compel');
+    expect(pageText(result, 1)).toBe('Page two body');
+  });
+
+  it('maps Type0 glyph codes through the ToUnicode CMap', async () => {
+    const cmap = [
+      '/CIDInit /ProcSet findresource begin 12 dict begin begincmap',
+      '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+      '2 beginbfchar <0001> <0048> <0002> <0069> endbfchar',
+      '1 beginbfrange <0010> <0012> <0041> endbfrange',
+      'endcmap end end',
+    ].join('\n');
+    const bytes = pdfFromObjects([
+      { dict: '<< /Type /Catalog /Pages 2 0 R >>' },
+      { dict: '<< /Type /Pages /Kids [5 0 R] /Count 1 >>' },
+      { dict: '<< /Type /Font /Subtype /Type0 /BaseFont /Embedded /Encoding /Identity-H /ToUnicode 4 0 R >>' },
+      { dict: '<< >>', stream: cmap },
+      { dict: '<< /Type /Page /Parent 2 0 R /Resources << /Font << /F0 3 0 R >> >> /Contents 6 0 R >>' },
+      { dict: '<< >>', stream: 'BT /F0 11 Tf [<00010002>-300<001000110012>] TJ ET' },
+    ]);
+    const { pages } = await extractPdf(bytes, { maxBytes: 1e6 });
+    expect(pages[0].text).toBe('Hi ABC');
+  });
+
+  it('OCRs scanned PDF pages through the injected vision call', async () => {
+    const ocr = vi.fn(async () => 'SCANNED NOTICE OF DEFAULT');
+    const result = await extractDocument(scannedPdf(), { filename: 'scan.pdf' }, { ocr });
+    expect(ocr).toHaveBeenCalledWith(FAKE_JPEG, { mimeType: 'image/jpeg', label: 'page 1' });
+    expect(result.pages[0]).toMatchObject({ source: 'ocr' });
+    expect(result.text).toBe('SCANNED NOTICE OF DEFAULT');
+    expect(result.ocr).toEqual({ pages: 1, images: 1 });
+  });
+
+  it('caps OCR calls per document and says so', async () => {
+    const ocr = vi.fn(async () => 'page text here');
+    const result = await extractDocument(scannedPdf(OCR_MAX_IMAGES + 2), {}, { ocr });
+    expect(ocr).toHaveBeenCalledTimes(OCR_MAX_IMAGES);
+    expect(result.warnings).toContain(`OCR limited to ${OCR_MAX_IMAGES} images`);
+  });
+
+  it('reports scanned pages as empty without a vision model', async () => {
+    const result = await extractDocument(scannedPdf(), { filename: 'scan.pdf' });
+    expect(result.status).toBe('empty');
+    expect(result.warnings).toContain('1 image(s) not OCRed: no vision model configured');
+  });
+
+  it('pages DOCX at hard page breaks and decodes entities', async () => {
+    const result = await extractDocument(await docx(['Operating Agreement', 'ARIBIA LLC & members', null, 'Schedule A']), { filename: 'oa.docx' });
+    expect(result.format).toBe('docx');
+    expect(pageText(result, 0)).toBe('Operating Agreement\nARIBIA LLC & members');
+    expect(pageText(result, 1)).toBe('Schedule A');
+  });
+
+  it('reads XLSX sheets with shared strings', async () => {
+    const bytes = await xlsx({ Ledger: [['Date', 'Amount'], ['2026-01-02', 1250]], Notes: [['paid in full']] });
+    const result = await extractDocument(bytes, { filename: 'ledger.zip' });
+    expect(result.format).toBe('xlsx');
+    expect(result.pages.map(p => p.label)).toEqual(['sheet Ledger', 'sheet Notes']);
+    expect(pageText(result, 0)).toBe('Date\tAmount\n2026-01-02\t1250');
+  });
+
+  it('lists ZIP archives without extracting members', async () => {
+    const result = await extractDocument(await zip([{ name: 'a/one.pdf', data: 'x' }, { name: 'two.txt', data: 'yy' }]), { filename: 'bundle.zip' });
+    expect(result.format).toBe('zip');
+    expect(result.entries).toEqual([{ name: 'a/one.pdf', size: 1 }, { name: 'two.txt', size: 2 }]);
+    expect(result.text).toBe('a/one.pdf\t1\ntwo.txt\t2');
+  });
+
+  it('reads Outlook .msg envelope, body and attachment names', async () => {
+    const bytes = outlookMsg({
+      subject: 'Re: 1610 Clarendon lease',
+      senderName: 'Dana Vendor',
+      senderEmail: 'dana@vendor.test',
+      to: 'intake@chitty.cc',
+      date: 'Mon, 5 Oct 2026 10:00:00 +0000',
+      body: 'Please see the attached ledger.',
+      attachments: [{ name: 'ledger.xlsx', data: new Uint8Array(300) }],
+    });
+    expect(parseMsg(bytes)).toMatchObject({
+      from: 'Dana Vendor <dana@vendor.test>',
+      subject: 'Re: 1610 Clarendon lease',
+      date: 'Mon, 5 Oct 2026 10:00:00 +0000',
+      attachments: [{ name: 'ledger.xlsx', size: 300 }],
+    });
+    const result = await extractDocument(bytes, { filename: 'forward.msg' });
+    expect(result.format).toBe('msg');
+    expect(result.text).toContain('Subject: Re: 1610 Clarendon lease');
+    expect(result.text).toContain('Please see the attached ledger.');
+    expect(result.text).toContain('ledger.xlsx (300 bytes)');
+  });
+
+  it('reads .eml envelope and body', async () => {
+    const result = await extractDocument(enc.encode(mimeFixtures.plainText), { filename: 'note.eml' });
+    expect(result.format).toBe('eml');
+    expect(result.text).toContain('Subject: Plain note');
+    expect(result.text).toContain('Just a plain body.');
+  });
+
+  it('records parse failures instead of throwing', async () => {
+    const result = await extractDocument(enc.encode('PK\u0003\u0004 truncated'), { filename: 'broken.zip' });
+    expect(result).toMatchObject({ status: 'failed', format: 'zip' });
+    expect(result.warnings[0]).toMatch(/central directory/);
+  });
+});
+
+describe('extraction pipeline', () => {
+  async function storedPdf(bucket, key = 'cases/arias/2026-10-01/abc/motion.pdf') {
+    await bucket.put(key, await textPdf([['In re Arias v. Bianchi, No. 2024D007847']]), {
+      httpMetadata: { contentType: 'application/pdf' },
+      customMetadata: { originalFilename: 'motion.pdf', sha256: 'feed' },
+    });
+    return { key, filename: 'motion.pdf', contentType: 'application/pdf', sha256: 'feed', messageId: 'm1', queuedAt: 'now' };
+  }
+
+  it('writes text and manifest sidecars, and reuses them on redelivery', async () => {
+    const bucket = makeR2Bucket();
+    const job = await storedPdf(bucket);
+    const manifest = await runExtractionJob({ DOCUMENT_STORAGE: bucket }, job, { ocr: null });
+    const keys = extractionKeys(job.key);
+    expect(manifest).toMatchObject({ status: 'ok', format: 'pdf', sha256: 'feed', textKey: keys.text, pages: [{ label: 'page 1', source: 'text' }] });
+    expect(JSON.stringify(await (await bucket.get(keys.manifest)).json())).not.toContain('Bianchi');
+
+    const read = await readExtraction({ DOCUMENT_STORAGE: bucket }, job.key);
+    expect(read.text).toBe('In re Arias v. Bianchi, No. 2024D007847');
+
+    const again = await runExtractionJob({ DOCUMENT_STORAGE: bucket }, job, { ocr: null });
+    expect(again.cached).toBe(true);
+  });
+
+  it('only schedules attachments that were actually stored', () => {
+    const jobs = extractionJobs([
+      { key: 'a/x.pdf', filename: 'x.pdf', contentType: 'application/pdf', sha256: 'aa' },
+      { key: 'a/y.pdf', filename: 'y.pdf', contentType: 'application/pdf', sha256: null },
+    ], { id: '<m@x>' });
+    expect(jobs.map(j => j.key)).toEqual(['a/x.pdf']);
+    expect(jobs[0].messageId).toBe('<m@x>');
+  });
+
+  it('prefers the queue, else runs in waitUntil', async () => {
+    const bucket = makeR2Bucket();
+    const job = await storedPdf(bucket);
+    const sendBatch = vi.fn(async () => {});
+    expect(await scheduleExtraction({ EXTRACTION_QUEUE: { sendBatch } }, undefined, [job])).toEqual({ mode: 'queue', count: 1 });
+    expect(sendBatch).toHaveBeenCalledWith([{ body: job }]);
+
+    const pending = [];
+    const mode = await scheduleExtraction({ DOCUMENT_STORAGE: bucket }, { waitUntil: p => pending.push(p) }, [job]);
+    expect(mode.mode).toBe('inline');
+    await Promise.all(pending);
+    expect(bucket.objects.has(extractionKeys(job.key).manifest)).toBe(true);
+  });
+
+  it('acks completed jobs and retries ones that hit storage errors', async () => {
+    const bucket = makeR2Bucket();
+    const job = await storedPdf(bucket);
+    const ok = { body: job, ack: vi.fn(), retry: vi.fn() };
+    const bad = { body: { ...job, key: 'x' }, ack: vi.fn(), retry: vi.fn() };
+    const env = { DOCUMENT_STORAGE: { ...bucket, get: key => (key.startsWith('x') ? Promise.reject(new Error('R2 down')) : bucket.get(key)) } };
+    await handleExtractionBatch({ messages: [ok, bad] }, env);
+    expect(ok.ack).toHaveBeenCalled();
+    expect(bad.retry).toHaveBeenCalled();
+  });
+
+  it('moves sidecars with a reclassified object', async () => {
+    const bucket = makeR2Bucket();
+    const job = await storedPdf(bucket);
+    await runExtractionJob({ DOCUMENT_STORAGE: bucket }, job, { ocr: null });
+    await moveExtraction(bucket, job.key, 'cases/other/motion.pdf');
+    const moved = await readExtraction({ DOCUMENT_STORAGE: bucket }, 'cases/other/motion.pdf');
+    expect(moved.manifest.key).toBe('cases/other/motion.pdf');
+    expect(moved.text).toContain('2024D007847');
+    expect(await readExtraction({ DOCUMENT_STORAGE: bucket }, job.key)).toBeNull();
+  });
+
+  it('sends OCR images to the configured vision model', async () => {
+    const run = vi.fn(async () => ({ response: 'ocr text' }));
+    const ocr = visionOcr({ AI: { run }, AI_MODEL_VISION: '@cf/test/vision' });
+    expect(await ocr(FAKE_JPEG, { mimeType: 'image/jpeg', label: 'page 1' })).toBe('ocr text');
+    expect(run).toHaveBeenCalledWith('@cf/test/vision', expect.objectContaining({ image: [...FAKE_JPEG] }));
+  });
+});
+
+describe('DocumentClassifier on extracted text', () => {
+  it('matches case and entity patterns in stored document text', async () => {
+    const bucket = makeR2Bucket();
+    const key = 'inbox/2026-10-01/abc/scan0001.pdf';
+    await bucket.put(key, await textPdf([['Operating agreement of ARIBIA LLC', 'Re: Arias v. Bianchi']]), {
+      customMetadata: { sha256: 'beef' },
+    });
+    await runExtractionJob({ DOCUMENT_STORAGE: bucket }, { key, sha256: 'beef' }, { ocr: null });
+
+    const classifier = new DocumentClassifier({ DOCUMENT_STORAGE: bucket });
+    const result = await classifier.classify({ filename: 'scan0001.pdf', path: key, mimeType: 'application/pdf', size: 2048 });
+    expect(result.caseRef).toBe('arias-v-bianchi');
+    expect(result.entity).toBe('ARIBIA_LLC');
+    expect(result.signals.text.caseHints[0]).toMatchObject({ pattern: 'arias v. bianchi', confidence: 0.7 });
+  });
+
+  it('lets filename hints win over document text', async () => {
+    const classifier = new DocumentClassifier({});
+    const result = await classifier.classify({ filename: 'bianchi v schatz order.pdf', content: 'mentions arias v bianchi', size: 2048 });
+    expect(result.caseRef).toBe('bianchi-v-schatz');
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Unit tests for exhibit packet exports (src/documents/exhibit-packet.js):
+ * Bates planning, request validation, packet contents read back with the
+ * ZIP reader, the hash manifest, and signed download URLs from
+ * CloudflareR2Provider.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  batesLabel,
+  batesRange,
+  buildExhibitPacket,
+  defaultBatesPrefix,
+  exhibitIndexCsv,
+  exhibitPageCount,
+  exportBlocker,
+  exportDownloadBase,
+  exportObjectKey,
+  parseExportRequest,
+  planBatesNumbers,
+} from '../../src/documents/exhibit-packet.js';
+import { crc32, createZip, readZipDirectory, readZipEntry } from '../../src/documents/zip.js';
+import { chainCustodyEntry, verifyCustodyChain } from '../../src/crypto/custody-chain.js';
+import { CloudflareR2Provider } from '../../src/storage/providers/cloudflare-r2-provider.js';
+import worker from '../../src/unified-worker.js';
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+const GENERATED_AT = '2026-10-19T15:00:00.000Z';
+
+async function sha256Hex(bytes) {
+  const buffer = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+const item = (overrides = {}) => ({
+  id: 1,
+  exhibit_id: 'EX-1',
+  title: 'Lease, signed',
+  category: 'contractual',
+  status: 'sealed',
+  source: 'landlord',
+  case_id: 'arias-v-bianchi',
+  r2_path: 'evidence/arias/lease.PDF',
+  sha256: null,
+  ...overrides,
+});
+
+async function exhibit(overrides, bytes, bates) {
+  const row = item(overrides);
+  const ingested = await chainCustodyEntry(row.exhibit_id, null, { action: 'ingested', actor: 'system', occurred_at: '2026-10-01T10:00:00.000Z' });
+  const sealed = await chainCustodyEntry(row.exhibit_id, { seq: 1, hash: ingested.entry_hash }, {
+    action: 'sealed', actor: 'clerk', description: 'Evidence sealed', occurred_at: '2026-10-02T10:00:00.000Z',
+  });
+  const chain = [ingested, sealed];
+  return {
+    item: row,
+    bytes: enc.encode(bytes),
+    bates,
+    chain,
+    verifications: [{ verified_at: '2026-10-01 11:00:00', verification_type: 'hash', result: 'passed', verifier: 'system' }],
+    chainReport: await verifyCustodyChain(row.exhibit_id, chain),
+  };
+}
+
+async function unzip(bytes) {
+  const files = {};
+  for (const entry of readZipDirectory(bytes)) {
+    files[entry.name] = dec.decode(await readZipEntry(bytes, entry, { maxBytes: 1e6 }));
+  }
+  return files;
+}
+
+describe('exhibit packet: Bates numbering', () => {
+  it('derives a prefix from the case and pads numbers', () => {
+    expect(defaultBatesPrefix('arias-v-bianchi')).toBe('ARIASVBIAN_');
+    expect(defaultBatesPrefix('')).toBe('EXH_');
+    expect(batesLabel('ARIAS_', 42)).toBe('ARIAS_000042');
+    expect(batesRange('ARIAS_', 3, 3)).toBe('ARIAS_000003');
+    expect(batesRange('ARIAS_', 3, 7)).toBe('ARIAS_000003-ARIAS_000007');
+  });
+
+  it('counts PDF pages from the extraction manifest, one number otherwise', () => {
+    expect(exhibitPageCount({ format: 'pdf', pages: [{}, {}, {}] })).toBe(3);
+    expect(exhibitPageCount({ format: 'docx', pages: [{}, {}] })).toBe(1);
+    expect(exhibitPageCount(null)).toBe(1);
+  });
+
+  it('continues from the next number and keeps earlier ranges', () => {
+    const { assignments, next } = planBatesNumbers(
+      [{ exhibit_id: 'EX-1', pages: 3 }, { exhibit_id: 'EX-2', pages: 1 }, { exhibit_id: 'EX-3', pages: 2 }],
+      { prefix: 'A_', next: 10, existing: new Map([['EX-2', { first: 4, last: 4 }]]) },
+    );
+    expect(assignments.map((a) => [a.exhibit_id, a.first, a.last, a.reused])).toEqual([
+      ['EX-1', 10, 12, false],
+      ['EX-2', 4, 4, true],
+      ['EX-3', 13, 14, false],
+    ]);
+    expect(next).toBe(15);
+  });
+});
+
+describe('exhibit packet: requests', () => {
+  it('validates an export request', () => {
+    expect(parseExportRequest({ case_id: 'arias-v-bianchi', exhibit_ids: ['EX-1', 'EX-1', 'EX-2'] })).toEqual({
+      request: {
+        caseId: 'arias-v-bianchi',
+        exhibitIds: ['EX-1', 'EX-2'],
+        batesPrefix: 'ARIASVBIAN_',
+        requestedBy: 'system',
+        urlTtlSeconds: 86400,
+      },
+      errors: [],
+    });
+    expect(parseExportRequest({ exhibit_ids: [], bates_prefix: 'bad prefix!', url_ttl_seconds: 5 }).errors).toHaveLength(4);
+  });
+
+  it('only exports sealed exhibits of the case that have a file', () => {
+    expect(exportBlocker(item(), 'arias-v-bianchi')).toBeNull();
+    expect(exportBlocker(undefined, 'arias-v-bianchi')).toBe('not found');
+    expect(exportBlocker(item({ status: 'verified' }), 'arias-v-bianchi')).toBe('is verified, not sealed');
+    expect(exportBlocker(item({ case_id: 'other' }), 'arias-v-bianchi')).toBe('belongs to case other');
+    expect(exportBlocker(item({ r2_path: null }), 'arias-v-bianchi')).toBe('has no stored file');
+    expect(exportObjectKey('arias-v-bianchi', 'EXP-1')).toBe('exhibit-exports/arias-v-bianchi/EXP-1.zip');
+  });
+});
+
+describe('exhibit packet: contents', () => {
+  it('writes ZIPs the reader can open', async () => {
+    expect(crc32(enc.encode('123456789'))).toBe(0xcbf43926);
+    const bytes = createZip([{ name: 'a/é.txt', data: 'hello' }, { name: 'b.bin', data: new Uint8Array([1, 2, 3]) }]);
+    const entries = readZipDirectory(bytes);
+    expect(entries.map((e) => [e.name, e.method, e.size])).toEqual([['a/é.txt', 0, 5], ['b.bin', 0, 3]]);
+    expect(dec.decode(await readZipEntry(bytes, entries[0], { maxBytes: 100 }))).toBe('hello');
+  });
+
+  it('packages originals, custody reports, index and hash manifest', async () => {
+    const lease = await exhibit({}, '%PDF lease', { prefix: 'ARIAS_', first: 1, last: 3 });
+    const photo = await exhibit(
+      { id: 2, exhibit_id: 'EX-2', title: 'Photo, "kitchen"', category: 'photographic', r2_path: 'evidence/arias/kitchen.jpg', sha256: await sha256Hex(enc.encode('JPEG')) },
+      'JPEG',
+      { prefix: 'ARIAS_', first: 4, last: 4 },
+    );
+    const packet = await buildExhibitPacket({
+      exportId: 'EXP-20261019-abcd1234',
+      caseId: 'arias-v-bianchi',
+      requestedBy: 'counsel@chitty.cc',
+      generatedAt: GENERATED_AT,
+      exhibits: [lease, photo],
+    });
+
+    expect(packet.sha256).toBe(await sha256Hex(packet.bytes));
+    expect(packet.hashes).toEqual({ 'EX-1': await sha256Hex(enc.encode('%PDF lease')), 'EX-2': await sha256Hex(enc.encode('JPEG')) });
+    expect(lease).not.toHaveProperty('sha256');
+    const files = await unzip(packet.bytes);
+    expect(Object.keys(files)).toEqual([
+      'exhibits/ARIAS_000001_EX-1.pdf',
+      'reports/ARIAS_000001_custody.txt',
+      'exhibits/ARIAS_000004_EX-2.jpg',
+      'reports/ARIAS_000004_custody.txt',
+      'index.json',
+      'index.csv',
+      'SHA256SUMS',
+    ]);
+    expect(files['exhibits/ARIAS_000004_EX-2.jpg']).toBe('JPEG');
+
+    const report = files['reports/ARIAS_000001_custody.txt'];
+    expect(report).toContain('Bates: ARIAS_000001-ARIAS_000003');
+    expect(report).toContain('hash chain intact');
+    expect(report).toContain('#2 2026-10-02T10:00:00.000Z  sealed by clerk — Evidence sealed');
+    expect(report).toContain('hash: passed by system');
+
+    const index = JSON.parse(files['index.json']);
+    expect(index).toMatchObject({ export_id: 'EXP-20261019-abcd1234', case_id: 'arias-v-bianchi', exhibit_count: 2 });
+    expect(index.exhibits[0]).toMatchObject({
+      bates_begin: 'ARIAS_000001',
+      bates_end: 'ARIAS_000003',
+      pages: 3,
+      sha256: await sha256Hex(enc.encode('%PDF lease')),
+      sealed_at: '2026-10-02T10:00:00.000Z',
+      custody_entries: 2,
+      custody_chain_valid: true,
+    });
+    expect(files['index.csv'].split('\r\n')[2]).toContain('"Photo, ""kitchen"""');
+
+    const sums = files.SHA256SUMS.trim().split('\n').map((line) => line.split('  '));
+    expect(sums.map(([, name]) => name)).toEqual([
+      'exhibits/ARIAS_000001_EX-1.pdf',
+      'exhibits/ARIAS_000004_EX-2.jpg',
+      'index.csv',
+      'index.json',
+      'reports/ARIAS_000001_custody.txt',
+      'reports/ARIAS_000004_custody.txt',
+    ]);
+    for (const [hash, name] of sums) expect(hash).toBe(await sha256Hex(enc.encode(files[name])));
+  });
+
+  it('refuses an exhibit whose bytes no longer match its recorded hash', async () => {
+    const altered = await exhibit({ sha256: 'f'.repeat(64) }, '%PDF altered', { prefix: 'A_', first: 1, last: 1 });
+    await expect(buildExhibitPacket({ exportId: 'EXP-1', caseId: 'arias-v-bianchi', requestedBy: 'x', generatedAt: GENERATED_AT, exhibits: [altered] }))
+      .rejects.toThrow('SHA-256 mismatch, not exported: EX-1');
+  });
+
+  it('quotes CSV cells that need it', () => {
+    const csv = exhibitIndexCsv([{ bates_begin: 'A_000001', title: 'line\nbreak' }]);
+    expect(csv.split('\r\n')[1]).toBe('A_000001,,,,"line\nbreak",,,,,,,,,');
+  });
+});
+
+describe('exhibit packet: signed download URLs', () => {
+  const env = { R2_URL_SIGNING_KEY: 'test-key', R2_PUBLIC_URL: 'https://storage.example.com' };
+  const key = 'exhibit-exports/arias-v-bianchi/EXP-1.zip';
+
+  it('signs and verifies a URL until it expires', async () => {
+    const provider = new CloudflareR2Provider(env);
+    const url = await provider.createSignedUrl(key, { expiresIn: 60 });
+    expect(url).toMatch(/^https:\/\/storage\.example\.com\/exhibit-exports\/arias-v-bianchi\/EXP-1\.zip\?signed=true&expires=\d+&sig=[0-9a-f]{64}$/);
+
+    expect(await provider.verifySignedUrl(url)).toEqual({ valid: true, key });
+    expect((await provider.verifySignedUrl(url.replace('EXP-1', 'EXP-2'))).reason).toBe('bad signature');
+    expect((await provider.verifySignedUrl(url, Date.now() + 61_000)).reason).toBe('expired');
+    expect((await new CloudflareR2Provider({ ...env, R2_URL_SIGNING_KEY: 'other' }).verifySignedUrl(url)).valid).toBe(false);
+  });
+
+  it('refuses to mint a URL without a signing key', async () => {
+    await expect(new CloudflareR2Provider({ R2_PUBLIC_URL: env.R2_PUBLIC_URL }).createSignedUrl(key))
+      .rejects.toThrow('R2_URL_SIGNING_KEY is not configured');
+  });
+
+  it('serves a packet from the router only for a valid signed link', async () => {
+    const routerEnv = {
+      R2_URL_SIGNING_KEY: 'test-key',
+      DOCUMENT_STORAGE: {
+        get: async (k) => (k === key
+          ? { body: 'PK-zip', httpMetadata: { contentType: 'application/zip', contentDisposition: 'attachment; filename="EXP-1.zip"' } }
+          : null),
+      },
+    };
+    const base = exportDownloadBase({ CHITTYROUTER_URL: 'https://router.test/' });
+    expect(base).toBe('https://router.test');
+    const url = await new CloudflareR2Provider(routerEnv).createSignedUrl(key, { expiresIn: 60, baseUrl: base });
+    const get = (u) => worker.fetch(new Request(u), routerEnv, { waitUntil() {} });
+
+    const ok = await get(url);
+    expect(ok.status).toBe(200);
+    expect(ok.headers.get('Content-Disposition')).toBe('attachment; filename="EXP-1.zip"');
+    expect(await ok.text()).toBe('PK-zip');
+
+    expect((await get(url.replace(/sig=[0-9a-f]+/, 'sig=00'))).status).toBe(403);
+    expect((await get(url.split('&sig=')[0])).status).toBe(403);
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * Unit tests for the confidence-gated hybrid routing mode
+ * (src/email/hybrid-routing.js): policy validation, per-message decisions,
+ * accuracy fallback, the auto-versus-held split, and CloudflareEmailHandler
+ * routing mail under it, and the /email/mode routes, against the in-memory
+ * review queue.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  DEFAULT_HYBRID_POLICY,
+  hybridDecision,
+  normalizeHybridPolicy,
+  routingSplit,
+} from '../../src/email/hybrid-routing.js';
+import { DEFAULT_ROUTING_PROFILE } from '../../src/config/routing-profile.js';
+import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
+import worker from '../../src/unified-worker.js';
+import { makeReviewQueueBinding } from '../data/review-queue-binding.js';
+
+function makeKv() {
+  return {
+    _store: new Map(),
+    async get(k, type) {
+      const v = this._store.get(k);
+      return v === undefined ? null : (type === 'json' ? JSON.parse(v) : v);
+    },
+    async put(k, v) { this._store.set(k, v); },
+    async delete(k) { this._store.delete(k); },
+  };
+}
+
+const policy = (overrides = {}) => normalizeHybridPolicy(overrides).policy;
+
+const metricsFor = (categories, { accuracy = 0.95, reviewed = 100 } = {}) => ({
+  reviewed,
+  accuracy,
+  categories: Object.fromEntries(Object.entries(categories).map(([c, [tp, fp]]) => [
+    c, { tp, fp, fn: 0, precision: Math.round((tp / (tp + fp)) * 1000) / 1000 },
+  ])),
+});
+
+describe('hybrid routing: policy', () => {
+  it('fills defaults and keeps per-category overrides', () => {
+    const { policy: p, errors } = normalizeHybridPolicy(
+      { minConfidence: 0.9, categories: { financial: { minConfidence: 0.97 } }, alwaysReview: { aliases: ['Legal@Chitty.cc'] } },
+      { profile: DEFAULT_ROUTING_PROFILE },
+    );
+    expect(errors).toEqual([]);
+    expect(p).toMatchObject({
+      minConfidence: 0.9,
+      minCategoryReviews: DEFAULT_HYBRID_POLICY.minCategoryReviews,
+      categories: { financial: { minConfidence: 0.97 } },
+      alwaysReview: { categories: ['case', 'legal'], aliases: ['legal@chitty.cc'], caseAliases: true },
+    });
+  });
+
+  it('rejects bad thresholds, unknown fields and off-profile categories', () => {
+    const { policy: p, errors } = normalizeHybridPolicy({
+      minConfidence: 1.5,
+      minSenderReviews: -1,
+      threshold: 3,
+      categories: { invoices: { minConfidence: 0.9 }, spam: { maxSenderCorrectionRate: 0.1 } },
+      alwaysReview: { categories: ['legal', 'court'] },
+    }, { profile: DEFAULT_ROUTING_PROFILE });
+    expect(p).toBeNull();
+    expect(errors).toEqual([
+      'threshold is not a policy field',
+      'minConfidence must be a number 0-1',
+      'minSenderReviews must be a non-negative integer',
+      'categories.invoices is not a profile category',
+      'categories.spam.maxSenderCorrectionRate is not a category threshold',
+      'alwaysReview.categories: court is not a profile category',
+    ]);
+  });
+});
+
+describe('hybrid routing: decisions', () => {
+  const trusted = { reviewed: 5, corrected: 0 };
+  const proven = metricsFor({ financial: [40, 1], legal: [40, 0] });
+  const decide = (triage, extra = {}) => hybridDecision({
+    triage: { category: 'financial', confidence: 0.95, ...triage },
+    emailData: { from: 'AP <ap@acme.test>', to: 'intake@chitty.cc', ...extra.emailData },
+    policy: extra.policy || policy(),
+    metrics: 'metrics' in extra ? extra.metrics : proven,
+    sender: 'sender' in extra ? extra.sender : trusted,
+  });
+
+  it('auto-routes when confidence, sender history and category accuracy all clear', () => {
+    const decision = decide({});
+    expect(decision).toMatchObject({ mode: 'hybrid', route: 'auto', holds: [] });
+    expect(decision.inputs).toMatchObject({ confidence: 0.95, sender: 'ap@acme.test', senderReviewed: 5, categoryPrecision: 0.976, categoryReviews: 41 });
+  });
+
+  it('holds on each failing signal', () => {
+    expect(decide({ confidence: 0.7 }).holds).toEqual(['low-confidence']);
+    expect(decide({ confidence: undefined }).holds).toEqual(['no-confidence']);
+    expect(decide({}, { sender: null }).holds).toEqual(['new-sender']);
+    expect(decide({}, { sender: { reviewed: 5, corrected: 2 } }).holds).toEqual(['sender-corrections']);
+    expect(decide({ category: 'property' }).holds).toEqual(['category-unproven']);
+    expect(decide({}, { metrics: metricsFor({ financial: [30, 10] }) }).holds).toEqual(['category-accuracy']);
+    expect(decide({}, { metrics: null }).holds).toEqual(['metrics-unavailable']);
+    expect(decide({}, { emailData: { privileged: true } }).holds).toEqual(['privileged']);
+  });
+
+  it('forces review for configured categories and case aliases', () => {
+    expect(decide({ category: 'legal' }).holds).toEqual(['always-review-category']);
+    expect(decide({}, { emailData: { to: 'Arias-v-Bianchi@chitty.cc' } }).holds).toEqual(['always-review-alias']);
+    const open = policy({ alwaysReview: { categories: [], caseAliases: false, aliases: ['ops@chitty.cc'] } });
+    expect(decide({ category: 'legal' }, { policy: open }).route).toBe('auto');
+    expect(decide({}, { policy: open, emailData: { to: 'ops@chitty.cc' } }).holds).toEqual(['always-review-alias']);
+  });
+
+  it('applies per-category thresholds', () => {
+    const strict = policy({ categories: { financial: { minConfidence: 0.99, minCategoryReviews: 50 } } });
+    expect(decide({}, { policy: strict }).holds).toEqual(['low-confidence', 'category-unproven']);
+  });
+
+  it('falls back to holding everything when measured accuracy drops', () => {
+    const degraded = { ...proven, accuracy: 0.8 };
+    expect(decide({}, { metrics: degraded }).holds).toEqual(['accuracy-fallback']);
+    expect(decide({}, { metrics: { ...degraded, reviewed: 10 } }).route).toBe('auto');
+  });
+});
+
+describe('hybrid routing: split', () => {
+  it('counts auto and held per mode and category', () => {
+    const split = routingSplit([
+      { mode: 'hybrid', route: 'auto', category: 'financial', status: 'auto_approved', n: 6 },
+      { mode: 'hybrid', route: 'hold', category: 'financial', status: 'approved', n: 3 },
+      { mode: 'hybrid', route: 'hold', category: 'legal', status: 'corrected', n: 1 },
+      { mode: null, route: null, category: 'spam', status: 'pending', n: 2 },
+    ], [{ hold: 'low-confidence', n: 3 }, { hold: 'always-review-category', n: 1 }]);
+    expect(split).toMatchObject({ total: 12, auto: 6, held: 4, undecided: 2, autoRate: 0.6 });
+    expect(split.byMode.hybrid).toEqual({ auto: 6, held: 4, undecided: 0 });
+    expect(split.byCategory.financial).toEqual({ auto: 6, held: 3, undecided: 0, heldApproved: 3, heldCorrected: 0 });
+    expect(split.holdReasons).toEqual({ 'low-confidence': 3, 'always-review-category': 1 });
+  });
+});
+
+describe('hybrid routing: handler', () => {
+  let env;
+  let handler;
+  let aiAnswer;
+
+  function message(from, subject) {
+    const raw = `From: ${from}\r\nTo: intake@chitty.cc\r\nSubject: ${subject}\r\n`
+      + `Message-ID: <m-${Math.random().toString(36).slice(2)}@acme.test>\r\n`
+      + 'Date: Thu, 12 Jun 2026 10:00:00 +0000\r\nContent-Type: text/plain\r\n\r\nPlease see attached.\r\n';
+    const bytes = new TextEncoder().encode(raw);
+    return {
+      from,
+      to: 'intake@chitty.cc',
+      rawSize: bytes.length,
+      headers: new Map([['subject', subject]]),
+      raw: new ReadableStream({ start(c) { c.enqueue(bytes); c.close(); } }),
+      forwards: [],
+      async forward(dest) { this.forwards.push(dest); },
+    };
+  }
+
+  function seedReviews(sender, category, { approved, corrected = 0 }) {
+    const reviewedAt = new Date().toISOString();
+    const total = approved + corrected;
+    for (let i = 0; i < total; i++) {
+      const id = `seed-${sender}-${category}-${i}`;
+      env.REVIEW_QUEUE_AGENT.items.set(id, {
+        id, kind: 'inbound', status: i < approved ? 'approved' : 'corrected', receivedAt: reviewedAt, reviewedAt,
+        email: { from: sender }, aiClassification: { category },
+        finalClassification: { category: i < approved ? category : 'spam' }, version: 2,
+      });
+    }
+  }
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    env = { AI_CACHE: makeKv(), REVIEW_QUEUE_AGENT: makeReviewQueueBinding() };
+    handler = new CloudflareEmailHandler(env);
+    aiAnswer = { category: 'financial', urgency: 'LOW', confidence: 0.96 };
+    handler.inference.complete = async () => ({
+      success: true, json: aiAnswer, model: 'm', taskType: 'email_triage',
+      prompt: { id: 'email.triage', source: 'inline', version: null },
+      attempts: [{}], usage: { inputTokens: 1, outputTokens: 1, costUsd: 0 },
+    });
+    await handler.setRoutingMode('hybrid');
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  const queued = (result) => env.REVIEW_QUEUE_AGENT.items.get(result.queueId);
+
+  it('auto-approves a proven sender and category, and holds the rest', async () => {
+    seedReviews('ap@acme.test', 'financial', { approved: 25 });
+
+    const trusted = await handler.handleEmail(message('AP <ap@acme.test>', 'Invoice 7'), env, {});
+    expect(trusted).toMatchObject({ success: true, mode: 'hybrid', route: 'auto' });
+    expect(queued(trusted)).toMatchObject({ status: 'auto_approved', routingDecision: { route: 'auto', holds: [] } });
+
+    const stranger = await handler.handleEmail(message('new@vendor.test', 'Invoice'), env, {});
+    expect(stranger.route).toBe('hold');
+    expect(queued(stranger)).toMatchObject({ status: 'pending', routingDecision: { holds: ['new-sender'] } });
+
+    aiAnswer = { ...aiAnswer, confidence: 0.5 };
+    const unsure = await handler.handleEmail(message('ap@acme.test', 'Invoice 8'), env, {});
+    expect(queued(unsure).routingDecision.holds).toEqual(['low-confidence']);
+  });
+
+  it('holds everything once measured accuracy falls below the floor', async () => {
+    seedReviews('ap@acme.test', 'financial', { approved: 25 });
+    seedReviews('ops@acme.test', 'ops', { approved: 2, corrected: 10 });
+
+    const result = await handler.handleEmail(message('ap@acme.test', 'Invoice 9'), env, {});
+    expect(queued(result).routingDecision.holds).toEqual(['accuracy-fallback']);
+
+    const dashboard = await handler.getRoutingDashboard();
+    expect(dashboard.fallback).toMatchObject({ active: true, accuracy: 0.73, reviewed: 37 });
+    expect(dashboard.categories.financial).toMatchObject({ precision: 1, reviews: 25, eligible: true });
+    expect(dashboard.categories.legal).toMatchObject({ alwaysReview: true, eligible: false });
+    expect(dashboard.split.holdReasons).toEqual({ 'accuracy-fallback': 1 });
+  });
+
+  it('records the mode on every decision outside hybrid', async () => {
+    await handler.setRoutingMode('onboarding');
+    const held = await handler.handleEmail(message('ap@acme.test', 'Invoice'), env, {});
+    expect(queued(held)).toMatchObject({ status: 'pending', routingDecision: { mode: 'onboarding', route: 'hold' } });
+
+    await handler.setRoutingMode('auto');
+    const auto = await handler.handleEmail(message('ap@acme.test', 'Invoice'), env, {});
+    expect(queued(auto)).toMatchObject({ status: 'auto_approved', routingDecision: { mode: 'auto', route: 'auto' } });
+
+    const { split } = await handler.getRoutingDashboard();
+    expect(split.byMode).toMatchObject({ onboarding: { held: 1 }, auto: { auto: 1 } });
+  });
+
+  it('stores a validated policy and ignores a stored one the profile rejects', async () => {
+    expect(await handler.setHybridPolicy({ minConfidence: 2 })).toEqual({ success: false, errors: ['minConfidence must be a number 0-1'] });
+    expect((await handler.setHybridPolicy({ minConfidence: 0.99 })).policy.minConfidence).toBe(0.99);
+    expect((await handler.getHybridPolicy()).minConfidence).toBe(0.99);
+
+    await env.AI_CACHE.put('email_hybrid_policy', JSON.stringify({ categories: { invoices: {} } }));
+    expect(await handler.getHybridPolicy()).toEqual(DEFAULT_HYBRID_POLICY);
+  });
+});
+
+describe('hybrid routing: /email/mode routes', () => {
+  const ctx = { waitUntil() {} };
+  let env;
+
+  const call = async (method, path, body) => {
+    const res = await worker.fetch(new Request(`https://router.test${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    }), env, ctx);
+    return { status: res.status, json: await res.json() };
+  };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    env = {
+      AI_CACHE: makeKv(),
+      REVIEW_QUEUE_AGENT: makeReviewQueueBinding(),
+      CHITTYAUTH: { validate: async () => ({ ok: true }) },
+    };
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it('switches to hybrid and manages its policy and dashboard', async () => {
+    expect(await call('POST', '/email/mode', { mode: 'hybrid' })).toEqual({ status: 200, json: { mode: 'hybrid' } });
+    expect((await call('GET', '/email/mode')).json).toEqual({ mode: 'hybrid' });
+    expect(await call('POST', '/email/mode', { mode: 'trusting' })).toEqual({
+      status: 400, json: { error: 'mode must be one of onboarding, hybrid, auto' },
+    });
+
+    const bad = await call('POST', '/email/mode/policy', { alwaysReview: { categories: ['court'] } });
+    expect(bad).toEqual({ status: 400, json: { error: 'invalid policy', errors: ['alwaysReview.categories: court is not a profile category'] } });
+    const saved = await call('POST', '/email/mode/policy', { categories: { spam: { minConfidence: 0.6 } } });
+    expect(saved.json.policy.categories).toEqual({ spam: { minConfidence: 0.6 } });
+    expect((await call('GET', '/email/mode/policy')).json.policy.categories.spam.minConfidence).toBe(0.6);
+
+    const dashboard = await call('GET', '/email/mode/dashboard');
+    expect(dashboard.status).toBe(200);
+    expect(dashboard.json).toMatchObject({ mode: 'hybrid', split: { total: 0, autoRate: null } });
+    expect(dashboard.json.categories.spam.minConfidence).toBe(0.6);
+    expect((await call('GET', '/email/mode/dashboard?since=yesterday')).status).toBe(400);
+    expect((await call('GET', '/email/mode/other')).status).toBe(404);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Unit tests for the shared inference client (src/ai/inference-client.js):
+ * fallback chain, cost-degrade override, schema-constrained output with
+ * repair, token/cost accounting, managed prompts, and its use by
+ * CloudflareEmailHandler.triageEmail.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  InferenceClient,
+  validateAgainstSchema,
+  extractJson,
+  summarizeInference,
+  resolveManagedPrompt,
+  _resetPromptBreaker,
+} from '../../src/ai/inference-client.js';
+import { AIProcessingError } from '../../src/utils/error-handling.js';
+import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
+
+const LEGACY = '@cf/meta/llama-3.1-8b-instruct-fast';
+const SCOUT = '@cf/meta/llama-4-scout-17b-16e-instruct';
+const GPT_OSS = '@cf/openai/gpt-oss-120b';
+
+const SCHEMA = {
+  type: 'object',
+  required: ['category'],
+  properties: { category: { type: 'string', enum: ['legal', 'spam'] }, score: { type: 'number' } },
+};
+
+function makeKv(initial = {}) {
+  const store = new Map(Object.entries(initial));
+  return {
+    async get(k, type) {
+      const v = store.get(k);
+      return v === undefined ? null : (type === 'json' ? JSON.parse(v) : v);
+    },
+    async put(k, v) { store.set(k, v); },
+  };
+}
+
+/** AI binding answering from a per-model queue of responses (or Errors). */
+function scriptedAI(script) {
+  const calls = [];
+  return {
+    calls,
+    async run(model, input) {
+      calls.push({ model, input });
+      const next = script[model]?.shift();
+      if (next instanceof Error) throw next;
+      if (next === undefined) throw new Error(`no script for ${model}`);
+      return next;
+    },
+  };
+}
+
+describe('inference-client: helpers', () => {
+  it('validates the supported schema subset', () => {
+    expect(validateAgainstSchema({ category: 'legal', score: 2 }, SCHEMA)).toEqual([]);
+    expect(validateAgainstSchema({ category: 'other' }, SCHEMA)).toEqual(['$.category must be one of "legal", "spam"']);
+    expect(validateAgainstSchema({ score: 'x' }, SCHEMA)).toEqual(['$.category is required', '$.score must be number']);
+    expect(validateAgainstSchema({ tags: [1] }, { properties: { tags: { type: 'array', items: { type: 'string' } } } }))
+      .toEqual(['$.tags[0] must be string']);
+  });
+
+  it('extracts JSON from fenced text and repairs trailing commas', () => {
+    expect(extractJson('```json\n{"category": "legal",}\n```')).toEqual({ category: 'legal' });
+    expect(extractJson({ category: 'spam' })).toEqual({ category: 'spam' });
+    expect(extractJson('no json here')).toBeNull();
+  });
+});
+
+describe('inference-client: complete', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => vi.restoreAllMocks());
+
+  it('falls back down the chain and records which model answered', async () => {
+    const ai = scriptedAI({ [SCOUT]: [new Error('capacity')], [GPT_OSS]: [{ response: 'hello' }] });
+    const client = new InferenceClient({}, { ai });
+
+    const result = await client.complete({ taskType: 'general', prompt: 'hi' });
+    expect(result.model).toBe(GPT_OSS);
+    expect(result.response).toBe('hello');
+    expect(result.attempts.map(a => [a.model, a.ok])).toEqual([[SCOUT, false], [GPT_OSS, true]]);
+    expect(result.attempts[0].error).toBe('capacity');
+  });
+
+  it('starts at the cheap tier while a cost-degrade override is active', async () => {
+    const env = {
+      AI_CACHE: makeKv({
+        'tier_override:chittyrouter': JSON.stringify({ to_tier: 'T0', expires_at: Date.now() + 60000 }),
+      }),
+    };
+    const ai = scriptedAI({ [LEGACY]: [{ response: 'cheap' }] });
+    const result = await new InferenceClient(env, { ai }).complete({ taskType: 'general', prompt: 'hi' });
+    expect(ai.calls.map(c => c.model)).toEqual([LEGACY]);
+    expect(result.override).toMatchObject({ toTier: 'T0' });
+  });
+
+  it('accepts a locally repairable answer without another round-trip', async () => {
+    const ai = scriptedAI({ [LEGACY]: [{ response: 'Sure! {"category": "legal", "score": 1,}' }] });
+    const result = await new InferenceClient({}, { ai }).complete({ models: [LEGACY], prompt: 'x', schema: SCHEMA });
+    expect(result.json).toEqual({ category: 'legal', score: 1 });
+    expect(ai.calls).toHaveLength(1);
+    expect(ai.calls[0].input.response_format).toEqual({ type: 'json_schema', json_schema: SCHEMA });
+  });
+
+  it('asks the same model to repair a schema violation, then moves on', async () => {
+    const ai = scriptedAI({
+      [LEGACY]: [{ response: '{"category":"news"}' }, { response: '{"category":"news"}' }],
+      [SCOUT]: [{ response: '{"category":"banana"}' }, { response: '{"category":"spam"}' }],
+    });
+    const result = await new InferenceClient({}, { ai }).complete({ models: [LEGACY, SCOUT], prompt: 'x', schema: SCHEMA });
+
+    expect(result.model).toBe(SCOUT);
+    expect(result.json).toEqual({ category: 'spam' });
+    expect(result.attempts.map(a => `${a.model === LEGACY ? 'legacy' : 'scout'}${a.repair ? '+repair' : ''}:${a.ok}`))
+      .toEqual(['legacy:false', 'legacy+repair:false', 'scout:false', 'scout+repair:true']);
+    const repairTurn = ai.calls[1].input.messages.at(-1);
+    expect(repairTurn.role).toBe('user');
+    expect(repairTurn.content).toMatch(/\$\.category must be one of/);
+  });
+
+  it('throws AIProcessingError with the attempt log when every model fails', async () => {
+    const ai = scriptedAI({ [LEGACY]: [new Error('down')] });
+    const err = await new InferenceClient({}, { ai }).complete({ models: [LEGACY], prompt: 'x' }).catch(e => e);
+    expect(err).toBeInstanceOf(AIProcessingError);
+    expect(err.context.attempts).toEqual([expect.objectContaining({ model: LEGACY, ok: false, error: 'down' })]);
+  });
+
+  it('accounts tokens and cost across attempts, estimating when usage is absent', async () => {
+    const ai = scriptedAI({
+      [LEGACY]: [{ response: '{"category":"x"}', usage: { prompt_tokens: 1000, completion_tokens: 500 } }, { response: '{"category":"legal"}' }],
+    });
+    const result = await new InferenceClient({}, { ai }).complete({ models: [LEGACY], prompt: 'abcd', schema: SCHEMA });
+    expect(result.attempts[0]).toMatchObject({ inputTokens: 1000, outputTokens: 500 });
+    expect(result.usage.estimated).toBe(true);
+    expect(result.usage.inputTokens).toBeGreaterThan(1000);
+    // legacy: $0.0001 / 1K input, $0.0002 / 1K output
+    expect(result.usage.costUsd).toBeGreaterThan(0.0002);
+
+    const summary = summarizeInference(result);
+    expect(summary).toMatchObject({ model: LEGACY, attempts: 2, repairs: 1, promptSource: 'inline' });
+    expect(JSON.stringify(summary)).not.toContain('abcd');
+  });
+});
+
+describe('inference-client: managed prompts', () => {
+  const env = { CHITTYCONNECT_URL: 'https://connect.test', CHITTYCONNECT_TOKEN: 't' };
+
+  beforeEach(() => {
+    _resetPromptBreaker();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('uses the registry system prompt and records its version', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ systemPrompt: 'Be terse.', aiEnabled: true, version: 7 })));
+    const ai = scriptedAI({ [LEGACY]: [{ response: 'ok' }] });
+    const result = await new InferenceClient(env, { ai }).complete({ models: [LEGACY], prompt: 'x', promptId: 'email.triage' });
+    expect(ai.calls[0].input.messages[0]).toEqual({ role: 'system', content: 'Be terse.' });
+    expect(result.prompt).toEqual({ id: 'email.triage', source: 'registry', version: 7 });
+  });
+
+  it('skips the model entirely when the registry disables AI', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ aiEnabled: false })));
+    const ai = scriptedAI({});
+    const result = await new InferenceClient(env, { ai }).complete({ prompt: 'x', promptId: 'email.triage' });
+    expect(result).toMatchObject({ success: false, skipped: 'ai_disabled' });
+    expect(ai.calls).toHaveLength(0);
+  });
+
+  it('stops calling a failing registry for a cooldown', async () => {
+    const fetchMock = vi.fn(async () => new Response('nope', { status: 503 }));
+    vi.stubGlobal('fetch', fetchMock);
+    for (let i = 0; i < 4; i++) expect(await resolveManagedPrompt(env, 'email.triage')).toBeNull();
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('CloudflareEmailHandler.triageEmail via the inference client', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => vi.restoreAllMocks());
+
+  const email = { from: 'x@y.test', to: 'intake@chitty.cc', subject: 'Invoice', date: '', content: 'pay me' };
+
+  it('repairs an off-profile category and records the inference', async () => {
+    const ai = scriptedAI({
+      [LEGACY]: [
+        { response: '{"category":"invoices","urgency":"LOW"}' },
+        { response: '{"category":"financial","urgency":"LOW","entity":"ARIBIA"}' },
+      ],
+    });
+    const handler = new CloudflareEmailHandler({ AI: ai, AI_CACHE: makeKv() });
+    const triage = await handler.triageEmail(email);
+
+    expect(triage.category).toBe('financial');
+    expect(triage.aiClassified).toBe(true);
+    expect(triage.inference).toMatchObject({ model: LEGACY, taskType: 'email_triage', attempts: 2, repairs: 1 });
+  });
+
+  it('falls back to rule-based triage when no model produces a valid answer', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const bad = () => Array.from({ length: 2 }, () => ({ response: 'I think this is an invoice.' }));
+    const ai = scriptedAI({ [LEGACY]: bad(), [SCOUT]: bad(), [GPT_OSS]: bad() });
+    const handler = new CloudflareEmailHandler({ AI: ai, AI_CACHE: makeKv() });
+    const triage = await handler.triageEmail(email);
+
+    expect(triage.aiClassified).toBe(false);
+    expect(ai.calls.map(c => c.model)).toEqual([LEGACY, LEGACY, GPT_OSS, GPT_OSS, SCOUT, SCOUT]);
+  });
+});
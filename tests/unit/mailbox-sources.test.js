@@ -0,0 +1,371 @@
+/**
+ * Unit tests for the multi-provider inbox monitor: mailbox account config
+ * (src/config/mailbox-accounts.js), the Gmail / Microsoft Graph / IMAP
+ * incremental sources and their cursors (src/email/mailbox-sources.js), and
+ * InboxMonitor feeding polled mail through CloudflareEmailHandler into the
+ * in-memory review queue, plus the /email/monitor account routes.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  MAILBOX_ACCOUNTS_KV_KEY,
+  loadMailboxAccounts,
+  normalizeMailboxAccount,
+  saveMailboxAccounts,
+  validateMailboxAccount,
+} from '../../src/config/mailbox-accounts.js';
+import {
+  GmailSource,
+  GraphSource,
+  ImapSource,
+  MAX_INGEST_ATTEMPTS,
+  mailboxMessage,
+  readCursor,
+  requeueFailed,
+} from '../../src/email/mailbox-sources.js';
+import { InboxMonitor } from '../../src/email/inbox-monitor.js';
+import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
+import worker from '../../src/unified-worker.js';
+import { makeReviewQueueBinding } from '../data/review-queue-binding.js';
+
+function makeKv() {
+  return {
+    _store: new Map(),
+    async get(k, type) {
+      const v = this._store.get(k);
+      return v === undefined ? null : (type === 'json' ? JSON.parse(v) : v);
+    },
+    async put(k, v) { this._store.set(k, v); },
+    async delete(k) { this._store.delete(k); },
+  };
+}
+
+const rawEmail = (id, { from = 'Billing <ap@acme.test>', subject = `Invoice ${id}` } = {}) =>
+  `From: ${from}\r\nTo: nick@aribia.llc\r\nSubject: ${subject}\r\nMessage-ID: <${id}@acme.test>\r\n`
+  + 'Date: Thu, 12 Jun 2026 10:00:00 +0000\r\nContent-Type: text/plain\r\n\r\nPlease see attached.\r\n';
+
+const b64url = (text) => Buffer.from(text).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+const gmailAccount = normalizeMailboxAccount({
+  id: 'nick-main', provider: 'gmail', address: 'Nick@Aribia.llc', clientId: 'cid', credentials: 'op://Private/gmail/credentials',
+});
+const graphAccount = normalizeMailboxAccount({
+  id: 'ops-365', provider: 'graph', address: 'ops@aribia.llc', clientId: 'cid', tenantId: 'tid', credentials: 'op://Private/graph/credentials',
+});
+const imapAccount = normalizeMailboxAccount({
+  id: 'legacy', provider: 'imap', address: 'admin@itcanbe.llc', host: 'imap.itcanbe.llc', credentials: 'op://Private/imap/credentials',
+});
+
+const tokens = { getToken: async () => 'tok' };
+
+/**
+ * In-memory IMAP server behind the `connect` hook: answers LOGIN, SELECT,
+ * UID SEARCH (UID ranges and SINCE) and UID FETCH from `mailbox`.
+ */
+function makeImapServer(mailbox) {
+  const commands = [];
+  const connect = async () => {
+    let controller;
+    const readable = new ReadableStream({ start(c) { controller = c; } });
+    const send = (s) => controller.enqueue(new TextEncoder().encode(s));
+    send('* OK IMAP4rev1 ready\r\n');
+    const writable = new WritableStream({
+      write(chunk) {
+        const line = new TextDecoder().decode(chunk).trim();
+        commands.push(line);
+        const [tag, ...rest] = line.split(' ');
+        const command = rest.join(' ');
+        if (command.startsWith('LOGIN')) {
+          if (!command.endsWith('"secret"')) return send(`${tag} NO [AUTHENTICATIONFAILED] Invalid credentials\r\n`);
+        } else if (command.startsWith('SELECT')) {
+          const uids = Object.keys(mailbox.messages).map(Number);
+          send(`* ${uids.length} EXISTS\r\n* OK [UIDVALIDITY ${mailbox.uidValidity}] UIDs valid\r\n`);
+          send(`* OK [UIDNEXT ${Math.max(0, ...uids) + 1}] Predicted next UID\r\n`);
+        } else if (command.startsWith('UID SEARCH')) {
+          const uids = Object.keys(mailbox.messages).map(Number).sort((a, b) => a - b);
+          const range = command.match(/UID (\d+):\*/);
+          // Like real servers, n:* always includes the highest UID.
+          const hits = range ? uids.filter((u) => u >= Number(range[1]) || u === uids[uids.length - 1]) : uids;
+          send(`* SEARCH${hits.map((u) => ` ${u}`).join('')}\r\n`);
+        } else if (command.startsWith('UID FETCH')) {
+          const uid = Number(command.split(' ')[2]);
+          const raw = mailbox.messages[uid];
+          if (raw) send(`* 1 FETCH (UID ${uid} BODY[] {${Buffer.byteLength(raw)}}\r\n${raw})\r\n`);
+        } else if (command === 'LOGOUT') {
+          send('* BYE\r\n');
+        }
+        send(`${tag} OK done\r\n`);
+      },
+    });
+    return { readable, writable, close: async () => controller.close() };
+  };
+  return { connect, commands };
+}
+
+describe('mailbox accounts: config', () => {
+  it('rejects secrets in the record and missing provider fields', () => {
+    expect(validateMailboxAccount({ ...gmailAccount }).valid).toBe(true);
+    expect(validateMailboxAccount({ ...gmailAccount, refresh_token: 'x' }).errors)
+      .toContain('nick-main: refresh_token belongs in the credentials store, not the account record');
+    expect(validateMailboxAccount({ ...graphAccount, tenantId: undefined }).errors).toContain('ops-365: tenantId is required');
+    expect(validateMailboxAccount({ ...imapAccount, port: 0 }).errors).toContain('legacy: port must be 1-65535');
+    expect(validateMailboxAccount({ id: 'X', provider: 'pop3', address: 'x', credentials: '' }).errors).toHaveLength(4);
+  });
+
+  it('fills provider defaults', () => {
+    expect(gmailAccount).toMatchObject({ address: 'nick@aribia.llc', enabled: true });
+    expect(graphAccount.folder).toBe('inbox');
+    expect(imapAccount).toMatchObject({ port: 993, tls: true, mailbox: 'INBOX', username: 'admin@itcanbe.llc' });
+  });
+
+  it('loads from KV or Neon, skipping invalid and duplicate records', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const env = { AI_CACHE: makeKv() };
+    await env.AI_CACHE.put(MAILBOX_ACCOUNTS_KV_KEY, JSON.stringify([gmailAccount, { id: 'bad' }, gmailAccount]));
+    expect((await loadMailboxAccounts(env)).map((a) => a.id)).toEqual(['nick-main']);
+
+    const neon = await loadMailboxAccounts({ MAILBOX_ACCOUNTS_SOURCE: 'neon' }, { neonQueryFn: async () => [graphAccount] });
+    expect(neon.map((a) => a.id)).toEqual(['ops-365']);
+    await expect(loadMailboxAccounts({ MAILBOX_ACCOUNTS_SOURCE: 'yaml' })).rejects.toThrow('unknown MAILBOX_ACCOUNTS_SOURCE');
+    vi.restoreAllMocks();
+  });
+
+  it('saves only valid lists, and only to KV', async () => {
+    const env = { AI_CACHE: makeKv() };
+    expect(await saveMailboxAccounts(env, [gmailAccount, gmailAccount])).toMatchObject({ success: false, errors: ['nick-main: duplicate id'] });
+    expect(await saveMailboxAccounts({ ...env, MAILBOX_ACCOUNTS_SOURCE: 'neon' }, [gmailAccount])).toMatchObject({ success: false });
+    expect(await saveMailboxAccounts(env, [gmailAccount, imapAccount])).toEqual({ success: true, count: 2 });
+  });
+});
+
+describe('mailbox sources', () => {
+  let routes;
+
+  beforeEach(() => {
+    routes = {};
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      const key = Object.keys(routes).find((prefix) => String(url).startsWith(prefix));
+      const answer = key ? routes[key] : { status: 404 };
+      const { status = 200, body = {} } = typeof answer === 'function' ? answer(String(url)) : answer;
+      return new Response(typeof body === 'string' ? body : JSON.stringify(body), { status });
+    }));
+  });
+
+  afterEach(() => vi.unstubAllGlobals());
+
+  const gmail = 'https://gmail.googleapis.com/gmail/v1/users/me';
+
+  it('gmail: first sync lists recent inbox mail oldest first and parks the overflow', async () => {
+    routes[`${gmail}/profile`] = { body: { historyId: '500' } };
+    routes[`${gmail}/messages?`] = { body: { messages: [{ id: 'c' }, { id: 'b' }, { id: 'a' }] } };
+    routes[`${gmail}/messages/`] = (url) => ({ body: { raw: b64url(rawEmail(url.split('/').pop().split('?')[0])) } });
+
+    const { messages, cursor, reset } = await new GmailSource(gmailAccount, {}, { tokens }).sync(null, { limit: 2 });
+    expect(messages.map((m) => m.id)).toEqual(['a', 'b']);
+    expect(text(messages[0].raw)).toContain('Message-ID: <a@acme.test>');
+    expect(cursor).toEqual({ historyId: '500', pending: ['c'], attempts: {} });
+    expect(reset).toBe(false);
+  });
+
+  it('gmail: incremental sync reads history and resets on an expired historyId', async () => {
+    routes[`${gmail}/history?`] = (url) => (url.includes('startHistoryId=500')
+      ? { body: { historyId: '510', history: [{ messagesAdded: [{ message: { id: 'd' } }] }] } }
+      : { status: 404 });
+    routes[`${gmail}/messages/`] = () => ({ body: { raw: b64url(rawEmail('d')) } });
+    routes[`${gmail}/profile`] = { body: { historyId: '900' } };
+    routes[`${gmail}/messages?`] = { body: {} };
+    const source = new GmailSource(gmailAccount, {}, { tokens });
+
+    const next = await source.sync({ historyId: '500', pending: ['c'] });
+    expect(next.messages.map((m) => m.id)).toEqual(['c', 'd']);
+    expect(next.cursor).toMatchObject({ historyId: '510', pending: [] });
+
+    const stale = await source.sync({ historyId: '1', pending: ['x'] });
+    expect(stale).toMatchObject({ reset: true, messages: [], cursor: { historyId: '900', pending: [] } });
+  });
+
+  it('graph: follows nextLinks to the delta link, skips removals, resets on 410', async () => {
+    const base = 'https://graph.microsoft.com/v1.0/users/ops%40aribia.llc';
+    routes[`${base}/mailFolders/inbox/messages/delta`] = {
+      body: { value: [{ id: 'm1' }, { id: 'gone', '@removed': { reason: 'deleted' } }], '@odata.nextLink': 'https://graph.test/page2' },
+    };
+    routes['https://graph.test/page2'] = { body: { value: [{ id: 'm2' }], '@odata.deltaLink': 'https://graph.test/delta?token=1' } };
+    routes[`${base}/messages/`] = (url) => ({ body: rawEmail(url.split('/').at(-2)) });
+    routes['https://graph.test/delta?token=1'] = { status: 410 };
+    const source = new GraphSource(graphAccount, {}, { tokens });
+
+    const first = await source.sync(null);
+    expect(first.messages.map((m) => m.id)).toEqual(['m1', 'm2']);
+    expect(text(first.messages[1].raw)).toContain('<m2@acme.test>');
+    expect(first.cursor).toMatchObject({ deltaLink: 'https://graph.test/delta?token=1', pending: [] });
+
+    const expired = await source.sync(first.cursor);
+    expect(expired.reset).toBe(true);
+    expect(expired.cursor.deltaLink).toBe('https://graph.test/delta?token=1');
+  });
+
+  it('imap: fetches UIDs above the cursor and resets when UIDVALIDITY changes', async () => {
+    const mailbox = { uidValidity: 7, messages: { 4: rawEmail('u4'), 5: rawEmail('u5') } };
+    const server = makeImapServer(mailbox);
+    const env = { AI_CACHE: makeKv() };
+    await env.AI_CACHE.put(`credentials_${imapAccount.credentials}`, JSON.stringify({ password: 'secret' }));
+    routes['https://connect.chitty.cc'] = { status: 404 };
+    const source = new ImapSource(imapAccount, env, { connect: server.connect });
+
+    const first = await source.sync({ uidValidity: 7, lastUid: 4, pending: [] });
+    expect(first.messages.map((m) => m.id)).toEqual(['5']);
+    expect(text(first.messages[0].raw)).toContain('<u5@acme.test>');
+    expect(first.cursor).toMatchObject({ uidValidity: 7, lastUid: 5, pending: [] });
+    expect(server.commands).toContain('A001 LOGIN "admin@itcanbe.llc" "secret"');
+    expect(server.commands.some((c) => c.endsWith('UID FETCH 5 (UID BODY.PEEK[])'))).toBe(true);
+
+    const idle = await source.sync(first.cursor);
+    expect(idle.messages).toEqual([]);
+    expect(idle.cursor.lastUid).toBe(5);
+
+    mailbox.uidValidity = 8;
+    const renumbered = await source.sync(first.cursor);
+    expect(renumbered.reset).toBe(true);
+    expect(renumbered.messages.map((m) => m.id)).toEqual(['4', '5']);
+    expect(renumbered.cursor.uidValidity).toBe(8);
+  });
+
+  it('imap: surfaces a refused login', async () => {
+    const env = { AI_CACHE: makeKv() };
+    await env.AI_CACHE.put(`credentials_${imapAccount.credentials}`, JSON.stringify({ password: 'wrong' }));
+    routes['https://connect.chitty.cc'] = { status: 404 };
+    const source = new ImapSource(imapAccount, env, { connect: makeImapServer({ uidValidity: 1, messages: {} }).connect });
+    await expect(source.sync(null)).rejects.toThrow('IMAP LOGIN failed: NO [AUTHENTICATIONFAILED] Invalid credentials');
+  });
+
+  it('requeues failed ingests and gives up after the attempt limit', () => {
+    // Each run fetches `a` out of pending before its ingest fails again.
+    const drained = (cursor) => ({ ...cursor, pending: cursor.pending.filter((id) => id !== 'a') });
+    let cursor = { historyId: '1', pending: ['z'] };
+    for (let i = 1; i < MAX_INGEST_ATTEMPTS; i++) {
+      ({ cursor } = requeueFailed(drained(cursor), ['a']));
+      expect(cursor).toMatchObject({ pending: ['a', 'z'], attempts: { a: i } });
+    }
+    const last = requeueFailed(drained(cursor), ['a']);
+    expect(last.dropped).toEqual(['a']);
+    expect(last.cursor).toMatchObject({ pending: ['z'], attempts: {} });
+  });
+
+  it('wraps a polled message in the EmailMessage shape', () => {
+    const message = mailboxMessage(new TextEncoder().encode(rawEmail('w')), gmailAccount, 'gm-1');
+    expect(message).toMatchObject({
+      from: 'ap@acme.test',
+      to: 'nick@aribia.llc',
+      mailbox: { account: 'nick-main', provider: 'gmail', sourceId: 'gm-1' },
+    });
+    expect(message.headers.get('Subject')).toBe('Invoice w');
+  });
+});
+
+describe('inbox monitor', () => {
+  let env;
+  let handler;
+  let mailbox;
+  let server;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('{}', { status: 404 })));
+    env = { AI_CACHE: makeKv(), REVIEW_QUEUE_AGENT: makeReviewQueueBinding() };
+    await env.AI_CACHE.put(MAILBOX_ACCOUNTS_KV_KEY, JSON.stringify([imapAccount, { ...gmailAccount, enabled: false }]));
+    await env.AI_CACHE.put(`credentials_${imapAccount.credentials}`, JSON.stringify({ password: 'secret' }));
+    handler = new CloudflareEmailHandler(env);
+    handler.inference.complete = async () => ({
+      success: true, json: { category: 'financial', urgency: 'HIGH', confidence: 0.9 }, model: 'm', taskType: 'email_triage',
+      prompt: { id: 'email.triage', source: 'inline', version: null },
+      attempts: [{}], usage: { inputTokens: 1, outputTokens: 1, costUsd: 0 },
+    });
+    mailbox = { uidValidity: 3, messages: { 1: rawEmail('first'), 2: rawEmail('second') } };
+    server = makeImapServer(mailbox);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  const monitor = () => new InboxMonitor(env, { handler, sourceDeps: { connect: server.connect } });
+  const queued = () => [...env.REVIEW_QUEUE_AGENT.items.values()];
+
+  it('feeds polled mail into the review queue and advances the cursor', async () => {
+    const results = await monitor().monitorAllInboxes();
+
+    expect(results.inboxes_scanned).toBe(1);
+    expect(results.errors).toEqual([]);
+    expect(results.summary.legacy).toMatchObject({ provider: 'imap', fetched: 2, ingested: 2, duplicates: 0, failed: 0, high: 2 });
+    expect(results.urgent_items.map((i) => i.subject).sort()).toEqual(['Invoice first', 'Invoice second']);
+    expect(queued()).toHaveLength(2);
+    expect(queued()[0]).toMatchObject({
+      status: 'pending',
+      email: { from: 'ap@acme.test', to: 'admin@itcanbe.llc' },
+      mailbox: { account: 'legacy', provider: 'imap' },
+    });
+    expect(await readCursor(env, 'legacy')).toMatchObject({ uidValidity: 3, lastUid: 2, pending: [] });
+    expect(await env.AI_CACHE.get('email_status', 'json')).toMatchObject({ inboxes_scanned: 1 });
+
+    mailbox.messages[3] = rawEmail('third');
+    const next = await monitor().monitorAllInboxes();
+    expect(next.summary.legacy).toMatchObject({ fetched: 1, ingested: 1 });
+    expect(queued()).toHaveLength(3);
+  });
+
+  it('skips mail already ingested through Email Routing', async () => {
+    const bytes = new TextEncoder().encode(rawEmail('first'));
+    await handler.handleEmail({
+      from: 'ap@acme.test',
+      to: 'intake@chitty.cc',
+      headers: new Map([['message-id', '<first@acme.test>'], ['subject', 'Invoice first']]),
+      raw: new ReadableStream({ start(c) { c.enqueue(bytes); c.close(); } }),
+      async forward() {},
+    }, env, {});
+
+    const results = await monitor().monitorAllInboxes();
+    expect(results.summary.legacy).toMatchObject({ fetched: 2, ingested: 1, duplicates: 1 });
+    expect(queued()).toHaveLength(2);
+  });
+
+  it('reports an account that fails to sync and keeps going', async () => {
+    await env.AI_CACHE.put(`credentials_${imapAccount.credentials}`, JSON.stringify({}));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const results = await monitor().monitorAllInboxes();
+    expect(results.inboxes_scanned).toBe(0);
+    expect(results.errors).toEqual([{ inbox: 'legacy', provider: 'imap', error: 'Missing credentials for legacy' }]);
+  });
+});
+
+describe('/email/monitor routes', () => {
+  let env;
+  const call = (path, init) => worker.fetch(new Request(`https://router.test${path}`, init), env, { waitUntil() {} });
+
+  beforeEach(() => {
+    env = { AI_CACHE: makeKv(), CHITTYAUTH: { validate: async () => ({ ok: true }) } };
+  });
+
+  it('stores accounts, lists them with cursors and resets a cursor', async () => {
+    const bad = await call('/email/monitor/accounts', {
+      method: 'POST', headers: { Authorization: 'Bearer t' }, body: JSON.stringify([{ ...imapAccount, password: 'x' }]),
+    });
+    expect(bad.status).toBe(400);
+
+    const saved = await call('/email/monitor/accounts', {
+      method: 'POST', headers: { Authorization: 'Bearer t' }, body: JSON.stringify({ accounts: [imapAccount] }),
+    });
+    expect(await saved.json()).toEqual({ success: true, count: 1 });
+    await env.AI_CACHE.put('mailbox_cursor:legacy', JSON.stringify({ uidValidity: 3, lastUid: 9, pending: [] }));
+
+    const listed = await (await call('/email/monitor/accounts', { headers: { Authorization: 'Bearer t' } })).json();
+    expect(listed).toMatchObject({ source: 'kv', accounts: [{ id: 'legacy', cursor: { lastUid: 9 } }] });
+
+    const reset = await call('/email/monitor/accounts/legacy/reset', { method: 'POST', headers: { Authorization: 'Bearer t' } });
+    expect(await reset.json()).toEqual({ success: true, account: 'legacy' });
+    expect(await readCursor(env, 'legacy')).toBeNull();
+    expect((await call('/email/monitor/accounts/nope/reset', { method: 'POST', headers: { Authorization: 'Bearer t' } })).status).toBe(404);
+  });
+});
@@ -31,16 +31,38 @@ vi.mock("@modelcontextprotocol/sdk/server/mcp.js", () => ({
       this.name = opts.name;
       this.version = opts.version;
       this._tools = new Map();
+      this._resources = new Map();
+      this._prompts = new Map();
+      this.server = {
+        handlers: new Map(),
+        setRequestHandler: (schema, handler) => this.server.handlers.set(schema.shape.method.value, handler),
+        sendResourceUpdated: vi.fn(async () => {}),
+      };
     }
     tool(name, description, schema, handler) {
       this._tools.set(name, { description, schema, handler });
     }
+    registerResource(name, uriOrTemplate, metadata, read) {
+      this._resources.set(name, { uriOrTemplate, metadata, read });
+    }
+    registerPrompt(name, config, handler) {
+      this._prompts.set(name, { config, handler });
+    }
+  },
+  ResourceTemplate: class MockResourceTemplate {
+    constructor(uriTemplate, callbacks) {
+      this.uriTemplate = uriTemplate;
+      this.callbacks = callbacks;
+    }
   },
 }));
 
 import { ALL_TOOL_SCHEMAS } from "../../src/mcp/tool-schemas.js";
 import { ChittyRouterMcpGateway } from "../../src/mcp/mcp-gateway.js";
-import { authenticateMcpRequest } from "../../src/mcp/mcp-auth.js";
+import { authenticateApiKey, authenticateMcpRequest } from "../../src/mcp/mcp-auth.js";
+import { ALL_RESOURCES, matchResource, resourceUri } from "../../src/mcp/resources.js";
+import { PROMPT_CATALOG, promptVariables } from "../../src/mcp/prompts.js";
+import { _resetPromptBreaker } from "../../src/ai/inference-client.js";
 
 // ── Auth Middleware Tests ────────────────────────────────────────────
 
@@ -65,9 +87,24 @@ describe("MCP Auth Middleware", () => {
     });
   }
 
-  it("should bypass auth when MCP_API_KEYS not bound (dev mode)", async () => {
+  it("should fail closed when MCP_API_KEYS not bound", async () => {
     const result = await authenticateMcpRequest(makeRequest(), {});
-    expect(result).toBeNull();
+    expect(result.status).toBe(503);
+  });
+
+  it("should bypass auth only with AUTH_DEV_BYPASS outside production", async () => {
+    expect(await authenticateMcpRequest(makeRequest(), { AUTH_DEV_BYPASS: "true" })).toBeNull();
+    const prod = await authenticateMcpRequest(makeRequest(), { AUTH_DEV_BYPASS: "true", ENVIRONMENT: "production" });
+    expect(prod.status).toBe(503);
+  });
+
+  it("should resolve the key's scopes and orgs as the principal", async () => {
+    const req = makeRequest({ "X-ChittyOS-API-Key": VALID_KEY });
+    const env = mockEnv({
+      [`key:${VALID_KEY}`]: JSON.stringify({ status: "active", name: "ops", scopes: ["finance:read", "bogus"], orgs: ["ChittyOS"] }),
+    });
+    const { principal } = await authenticateApiKey(req, env);
+    expect(principal).toMatchObject({ id: "ops", kind: "api_key", scopes: ["finance:read"], orgs: ["ChittyOS"] });
   });
 
   it("should return 401 when no API key provided", async () => {
@@ -127,15 +164,36 @@ describe("MCP Auth Middleware", () => {
 
 // ── Tool Schema Tests ────────────────────────────────────────────────
 
+const toolCountByAgent = {
+  TRIAGE_AGENT: 2,
+  PRIORITY_AGENT: 2,
+  RESPONSE_AGENT: 2,
+  DOCUMENT_AGENT: 2,
+  ENTITY_AGENT: 6,
+  EVIDENCE_AGENT: 8,
+  CALENDAR_AGENT: 5,
+  FINANCE_AGENT: 4,
+  NOTIFICATION_AGENT: 6,
+  INTELLIGENCE_AGENT: 4,
+  WEBHOOK_AGENT: 2,
+  MESSAGING_AGENT: 4,
+  SEARCH_AGENT: 2,
+  SECURITY_AGENT: 8,
+  SCRAPE_AGENT: 7,
+  DISPUTE_OUTBOX_AGENT: 3,
+};
+const TOTAL_TOOLS = Object.values(toolCountByAgent).reduce((sum, n) => sum + n, 0);
+
 describe("MCP Tool Schemas", () => {
-  it("should define exactly 39 tools", () => {
+  it(`should define exactly ${TOTAL_TOOLS} tools`, () => {
     const toolNames = Object.keys(ALL_TOOL_SCHEMAS);
-    expect(toolNames.length).toBe(39);
+    expect(toolNames.length).toBe(TOTAL_TOOLS);
   });
 
   it("should use agent__action naming convention for all tools", () => {
+    // Multi-word actions are snake_case (notification__registered_status)
     for (const name of Object.keys(ALL_TOOL_SCHEMAS)) {
-      expect(name).toMatch(/^[a-z]+__[a-z]+$/);
+      expect(name).toMatch(/^[a-z]+__[a-z]+(?:_[a-z]+)*$/);
     }
   });
 
@@ -170,7 +228,7 @@ describe("MCP Tool Schemas", () => {
 
   it("should accept empty objects for GET tools with all-optional schemas", () => {
     // GET tools with required fields are excluded
-    const hasRequiredFields = ["entity__get", "evidence__custody", "finance__ledger", "messaging__thread"];
+    const hasRequiredFields = ["entity__get", "evidence__custody", "evidence__export_status", "calendar__reminder_history", "finance__ledger", "notification__registered_status", "messaging__thread", "security__incident", "scrape__job"];
     const getToolsWithOptionalOnly = Object.entries(ALL_TOOL_SCHEMAS).filter(
       ([name, def]) => def.method === "GET" && !hasRequiredFields.includes(name),
     );
@@ -180,21 +238,6 @@ describe("MCP Tool Schemas", () => {
     }
   });
 
-  const toolCountByAgent = {
-    TRIAGE_AGENT: 2,
-    PRIORITY_AGENT: 2,
-    RESPONSE_AGENT: 2,
-    DOCUMENT_AGENT: 2,
-    ENTITY_AGENT: 6,
-    EVIDENCE_AGENT: 5,
-    CALENDAR_AGENT: 3,
-    FINANCE_AGENT: 4,
-    NOTIFICATION_AGENT: 3,
-    INTELLIGENCE_AGENT: 4,
-    WEBHOOK_AGENT: 2,
-    MESSAGING_AGENT: 4,
-  };
-
   for (const [binding, expectedCount] of Object.entries(toolCountByAgent)) {
     it(`should have ${expectedCount} tools for ${binding}`, () => {
       const count = Object.values(ALL_TOOL_SCHEMAS).filter((d) => d.binding === binding).length;
@@ -328,7 +371,81 @@ describe("MCP Gateway handleToolCall", () => {
     gateway.env = {
       ENTITY_AGENT: mockBinding,
       TRIAGE_AGENT: mockBinding,
+      SCRAPE_AGENT: mockBinding,
+      SECURITY_AGENT: mockBinding,
     };
+    gateway.props = { principal: { id: "test", kind: "api_key", scopes: ["*"], orgs: null, cases: [] } };
+  });
+
+  it("should refuse and audit calls outside the principal's scopes", async () => {
+    const put = vi.fn(async () => {});
+    gateway.env.MCP_API_KEYS = { put };
+    gateway.props.principal.scopes = ["entity:read"];
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const result = await gateway.handleToolCall("entity__create", ALL_TOOL_SCHEMAS.entity__create, { name: "X" });
+    warn.mockRestore();
+
+    expect(result.isError).toBe(true);
+    expect(JSON.parse(result.content[0].text)).toMatchObject({ error: "Forbidden", scope: "entity:write" });
+    expect(mockStub.fetch).not.toHaveBeenCalled();
+    const audit = JSON.parse(put.mock.calls[0][1]);
+    expect(audit).toMatchObject({ via: "mcp", principal: "test", tool: "entity__create", reason: "missing scope entity:write" });
+  });
+
+  it("should fill path parameters from the tool arguments", async () => {
+    mockStub.fetch.mockImplementation(() => Promise.resolve(new Response("{}", { status: 200 })));
+
+    await gateway.handleToolCall("scrape__retry", ALL_TOOL_SCHEMAS.scrape__retry, { id: 42 });
+    await gateway.handleToolCall("security__incident", ALL_TOOL_SCHEMAS.security__incident, { id: "sec-1 2" });
+
+    const calls = mockStub.fetch.mock.calls.map(([req]) => req).filter((req) => !req.url.includes("partyserver"));
+    expect(calls.map((req) => [req.method, new URL(req.url).pathname])).toEqual([
+      ["POST", "/jobs/42/retry"],
+      ["GET", "/incident/sec-1%202"],
+    ]);
+    expect(new URL(calls[1].url).search).toBe("");
+  });
+
+  it("should reject a templated tool call missing its path parameter", async () => {
+    const result = await gateway.handleToolCall("scrape__job", ALL_TOOL_SCHEMAS.scrape__job, {});
+    expect(result.isError).toBe(true);
+    expect(JSON.parse(result.content[0].text).error).toBe("Missing path parameter: id");
+    expect(mockStub.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should reject dot segments as path parameters", async () => {
+    for (const id of [".", ".."]) {
+      const result = await gateway.handleToolCall("scrape__job", ALL_TOOL_SCHEMAS.scrape__job, { id });
+      expect(result.isError).toBe(true);
+      expect(JSON.parse(result.content[0].text).error).toBe("Invalid path parameter: id");
+    }
+    expect(mockStub.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should gate security and scrape tools by their agent scopes", async () => {
+    mockStub.fetch.mockImplementation(() => Promise.resolve(new Response("{}", { status: 200 })));
+    gateway.props.principal.scopes = ["security:read", "scrape:write"];
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const open = await gateway.handleToolCall("security__open", ALL_TOOL_SCHEMAS.security__open, {});
+    const ack = await gateway.handleToolCall("security__acknowledge", ALL_TOOL_SCHEMAS.security__acknowledge, { id: "sec-1" });
+    const retry = await gateway.handleToolCall("scrape__retry", ALL_TOOL_SCHEMAS.scrape__retry, { id: 1 });
+    const process = await gateway.handleToolCall("scrape__process", ALL_TOOL_SCHEMAS.scrape__process, {});
+    warn.mockRestore();
+
+    expect(open.isError).toBeUndefined();
+    expect(JSON.parse(ack.content[0].text).scope).toBe("security:write");
+    expect(retry.isError).toBeUndefined();
+    expect(JSON.parse(process.content[0].text).scope).toBe("scrape:admin");
+  });
+
+  it("should refuse every call when the session has no principal", async () => {
+    gateway.props = undefined;
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const result = await gateway.handleToolCall("triage__classify", ALL_TOOL_SCHEMAS.triage__classify, { content: "x" });
+    warn.mockRestore();
+    expect(JSON.parse(result.content[0].text).reason).toBe("unauthenticated");
   });
 
   it("should return MCP content for successful responses", async () => {
@@ -400,10 +517,10 @@ describe("MCP Gateway Init", () => {
     expect(gateway.server.version).toBe("2.1.0");
   });
 
-  it("should register all 39 tools during init", async () => {
+  it(`should register all ${TOTAL_TOOLS} tools during init`, async () => {
     const gateway = new ChittyRouterMcpGateway();
     await gateway.init();
-    expect(gateway.server._tools.size).toBe(39);
+    expect(gateway.server._tools.size).toBe(TOTAL_TOOLS);
   });
 
   it("should register tools with correct names", async () => {
@@ -414,3 +531,140 @@ describe("MCP Gateway Init", () => {
     }
   });
 });
+
+// ── Resources, Subscriptions and Prompts ────────────────────────────
+
+describe("MCP Gateway resources and prompts", () => {
+  let gateway;
+  let stub;
+  let responses;
+
+  const FULL = { id: "test", kind: "api_key", scopes: ["*"], orgs: null, cases: [] };
+
+  beforeEach(() => {
+    responses = new Map();
+    stub = {
+      fetch: vi.fn(async (req) => {
+        const url = new URL(req.url);
+        if (url.pathname.includes("partyserver")) return new Response("ok");
+        const body = responses.get(url.pathname) ?? { path: url.pathname, query: url.search };
+        return new Response(JSON.stringify(body), { status: 200 });
+      }),
+    };
+    const binding = { idFromName: vi.fn((name) => name), get: vi.fn(() => stub) };
+    const storage = new Map();
+    gateway = new ChittyRouterMcpGateway();
+    gateway.env = { ENTITY_AGENT: binding, REVIEW_QUEUE_AGENT: binding, THREAD_AGENT: binding, CALENDAR_AGENT: binding };
+    gateway.props = { principal: { ...FULL } };
+    gateway.ctx = {
+      storage: { get: async (k) => storage.get(k), put: async (k, v) => { storage.set(k, v); } },
+      waitUntil: vi.fn(),
+    };
+    gateway.schedule = vi.fn(async () => ({}));
+    gateway.getSchedules = () => [];
+  });
+
+  it("should register every resource, prompt and the subscribe handlers", async () => {
+    await gateway.init();
+    expect([...gateway.server._resources.keys()].sort()).toEqual(Object.keys(ALL_RESOURCES).sort());
+    expect(typeof gateway.server._resources.get("receipts").uriOrTemplate).toBe("string");
+    expect(gateway.server._resources.get("entity").uriOrTemplate.uriTemplate).toBe("chittyrouter://entities/{id}");
+    expect([...gateway.server._prompts.keys()]).toEqual(Object.keys(PROMPT_CATALOG));
+    expect([...gateway.server.server.handlers.keys()]).toEqual(["resources/subscribe", "resources/unsubscribe"]);
+  });
+
+  it("should match URIs to resources with decoded variables", () => {
+    const uri = resourceUri("entity_shard", { shard: "org:chittyos", id: "12" });
+    expect(matchResource(uri)).toMatchObject({ name: "entity_shard", variables: { shard: "org:chittyos", id: "12" } });
+    expect(matchResource("chittyrouter://cases/arias%20v%20bianchi/timeline").variables).toEqual({ case: "arias v bianchi" });
+    expect(matchResource("chittyrouter://nowhere")).toBeNull();
+  });
+
+  it("should read agent-backed resources through the tool path", async () => {
+    const read = await gateway.readResource("chittyrouter://shards/org:chittyos/entities/12");
+    expect(read.contents[0]).toMatchObject({ uri: "chittyrouter://shards/org:chittyos/entities/12", mimeType: "application/json" });
+    expect(JSON.parse(read.contents[0].text)).toEqual({ path: "/get", query: "?id=12" });
+    expect(gateway.env.ENTITY_AGENT.idFromName).toHaveBeenCalledWith("ENTITY_AGENT~org:chittyos");
+
+    const queue = await gateway.readResource("chittyrouter://review-queue/pending");
+    expect(JSON.parse(queue.contents[0].text)).toEqual({ path: "/items", query: "?status=pending" });
+  });
+
+  it("should refuse resources outside the caller's scopes", async () => {
+    gateway.props.principal.scopes = ["calendar:read"];
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    await expect(gateway.readResource("chittyrouter://entities/1")).rejects.toThrow(/missing scope entity:read/);
+    gateway.props.principal = { ...FULL, orgs: ["ChittyOS"] };
+    await expect(gateway.readResource("chittyrouter://email/receipts")).rejects.toThrow(/cross-org/);
+    warn.mockRestore();
+  });
+
+  it("should read recent receipts from the receipts store", async () => {
+    gateway.env.AI_CACHE = { get: vi.fn(async () => [{ messageId: "<a@x>" }, { messageId: "<b@x>" }]) };
+    responses.set("/lookup", { threads: { "<a@x>": { threadId: "t-1", messageCount: 2, position: 1 } } });
+    const read = await gateway.readResource("chittyrouter://email/receipts");
+    const body = JSON.parse(read.contents[0].text);
+    expect(body.count).toBe(2);
+    expect(body.receipts[0].thread).toEqual({ threadId: "t-1", messageCount: 2, position: 1 });
+  });
+
+  it("should build prompts from the fallback text and context resources", async () => {
+    const result = await gateway.getPrompt("draft_queue_reply", PROMPT_CATALOG.draft_queue_reply, { item_id: "q-1", instructions: "Be brief" });
+    expect(result.messages[0].content.text).toMatch(/Additional guidance: Be brief/);
+    expect(result.messages[1].content).toMatchObject({ type: "resource", resource: { uri: "chittyrouter://review-queue/items/q-1" } });
+    expect(JSON.parse(result.messages[1].content.resource.text).path).toBe("/item/q-1");
+  });
+
+  it("should prefer the prompt registry's instructions", async () => {
+    _resetPromptBreaker();
+    gateway.env.CHITTYCONNECT_URL = "https://connect.test";
+    const fetchMock = vi.fn(async () => new Response(JSON.stringify({ systemPrompt: "REGISTRY", aiEnabled: true, version: 3 })));
+    vi.stubGlobal("fetch", fetchMock);
+    try {
+      const def = PROMPT_CATALOG.summarize_case_activity;
+      const result = await gateway.getPrompt("summarize_case_activity", def, { case: "arias-v-bianchi", days: "14" });
+      expect(result.messages[0].content.text).toBe("REGISTRY");
+      const sent = JSON.parse(fetchMock.mock.calls[0][1].body);
+      expect(sent).toMatchObject({ promptId: "mcp.case.activity_summary", variables: { case: "arias-v-bianchi", days: "14" } });
+      expect(result.messages.map((m) => m.content.resource?.uri)).toEqual([
+        undefined, "chittyrouter://cases/arias-v-bianchi/timeline", "chittyrouter://calendar/upcoming",
+      ]);
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it("should derive the look-back window for case summaries", () => {
+    const now = Date.parse("2026-03-15T00:00:00Z");
+    expect(promptVariables(PROMPT_CATALOG.summarize_case_activity, { case: "c" }, now))
+      .toEqual({ case: "c", days: "7", since: "2026-03-08T00:00:00.000Z" });
+  });
+
+  it("should notify subscribers only when a resource changes", async () => {
+    const uri = "chittyrouter://review-queue/pending";
+    responses.set("/items", { count: 1 });
+    await gateway.subscribeResource(uri);
+    expect(gateway.schedule).toHaveBeenCalledWith(60, "pollResourceSubscriptions");
+
+    await gateway.pollResourceSubscriptions();
+    expect(gateway.server.server.sendResourceUpdated).not.toHaveBeenCalled();
+
+    responses.set("/items", { count: 2 });
+    await gateway.pollResourceSubscriptions({ binding: "ENTITY_AGENT" });
+    expect(gateway.server.server.sendResourceUpdated).not.toHaveBeenCalled();
+    await gateway.pollResourceSubscriptions({ binding: "REVIEW_QUEUE_AGENT" });
+    expect(gateway.server.server.sendResourceUpdated).toHaveBeenCalledWith({ uri });
+
+    await gateway.unsubscribeResource(uri);
+    gateway.schedule.mockClear();
+    await gateway.pollResourceSubscriptions();
+    expect(gateway.schedule).not.toHaveBeenCalled();
+  });
+
+  it("should re-check subscriptions after a write tool succeeds", async () => {
+    await gateway.handleToolCall("entity__create", ALL_TOOL_SCHEMAS.entity__create, { entity_type: "P", name: "X" });
+    expect(gateway.ctx.waitUntil).toHaveBeenCalledTimes(1);
+    await gateway.handleToolCall("entity__search", ALL_TOOL_SCHEMAS.entity__search, {});
+    expect(gateway.ctx.waitUntil).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Unit tests for the streaming MIME parser (src/email/mime-parser.js), driven
+ * by the fixture corpus in tests/data/mime-fixtures.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseMime,
+  parseMimeStream,
+  MimeStreamParser,
+  decodeEncodedWords,
+  parseHeaderParams,
+  decodeQuotedPrintable,
+  htmlToText,
+} from '../../src/email/mime-parser.js';
+import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
+import { mimeFixtures } from '../data/mime-fixtures.js';
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+const bytesOf = (s) => new TextEncoder().encode(s);
+
+describe('mime-parser: header decoding', () => {
+  it('decodes RFC 2047 B and Q words and joins adjacent words', () => {
+    expect(decodeEncodedWords('=?UTF-8?Q?Caf=C3=A9_invoice?=')).toBe('Café invoice');
+    expect(decodeEncodedWords('=?UTF-8?B?UmVjaWJvIG7CujEucGRm?=')).toBe('Recibo nº1.pdf');
+    expect(decodeEncodedWords('=?UTF-8?Q?a?= =?UTF-8?Q?b?= c')).toBe('ab c');
+    expect(decodeEncodedWords('no words here')).toBe('no words here');
+  });
+
+  it('parses quoted parameters with semicolons and escapes', () => {
+    const { value, params } = parseHeaderParams('Attachment; filename="a;b \\"c\\".pdf"; size=10');
+    expect(value).toBe('attachment');
+    expect(params.filename).toBe('a;b "c".pdf');
+    expect(params.size).toBe('10');
+  });
+
+  it('joins RFC 2231 continuations and decodes the charset', () => {
+    const { params } = parseHeaderParams(
+      "attachment; filename*0*=UTF-8''%E2%82%AC; filename*1=rate.txt",
+    );
+    expect(params.filename).toBe('€rate.txt');
+  });
+
+  it('quoted-printable handles soft breaks and malformed escapes', () => {
+    expect(text(decodeQuotedPrintable(bytesOf('a=\r\nb=3Dc=ZZ')))).toBe('ab=c=ZZ');
+  });
+});
+
+describe('mime-parser: bodies', () => {
+  it('treats a non-MIME message as a text/plain body', () => {
+    const parsed = parseMime(mimeFixtures.plainText);
+    expect(parsed.text).toBe('Just a plain body.\r\nSecond line.');
+    expect(parsed.attachments).toEqual([]);
+    expect(parsed.headers['message-id']).toEqual(['<plain-1@example.test>']);
+  });
+
+  it('extracts both alternatives and decodes quoted-printable UTF-8', () => {
+    const parsed = parseMime(mimeFixtures.alternativeQuotedPrintable);
+    expect(parsed.text).toBe('Café total: €42. This line is soft-wrapped.');
+    expect(parsed.html).toContain('<b>€42</b>');
+    expect(parsed.root.contentType).toBe('multipart/alternative');
+    expect(parsed.root.children.map(p => p.partId)).toEqual(['1', '2']);
+  });
+
+  it('decodes a non-UTF-8 charset', () => {
+    expect(parseMime(mimeFixtures.latin1Body).text).toBe('Señor Núñez');
+  });
+
+  it('falls back to UTF-8 for unknown charsets and accepts bare LF', () => {
+    const parsed = parseMime(mimeFixtures.bareLfUnknownCharset);
+    expect(parsed.text).toBe('Body with bare LF.');
+    expect(parsed.attachments).toHaveLength(1);
+    expect(text(parsed.attachments[0].data)).toBe('a,b\r\n1,2');
+  });
+});
+
+describe('mime-parser: attachments', () => {
+  it('decodes RFC 2231 / 2047 filenames and keeps duplicate names', () => {
+    const parsed = parseMime(mimeFixtures.encodedFilenames);
+    expect(parsed.attachments.map(a => a.filename)).toEqual([
+      'Exhibit A — Señor.pdf',
+      'Recibo nº1.pdf',
+      'scan.pdf',
+      'scan.pdf',
+    ]);
+    expect(text(parsed.attachments[2].data)).toBe('%PDF-1.4 first scan');
+    expect(text(parsed.attachments[3].data)).toBe('%PDF-1.4 second scan');
+    expect(parsed.text).toBe('See attached.');
+  });
+
+  it('separates cid-referenced inline images from attachments', () => {
+    const parsed = parseMime(mimeFixtures.relatedInline);
+    expect(parsed.inline).toHaveLength(1);
+    expect(parsed.inline[0].contentId).toBe('logo@example.test');
+    expect(parsed.inline[0].partId).toBe('1.2');
+    // Inline PDF with a filename is a real document
+    expect(parsed.attachments.map(a => a.filename)).toEqual(['lease.pdf']);
+    expect(parsed.html).toContain('cid:logo@example.test');
+  });
+
+  it('synthesizes stable content ids for parts without Content-ID', () => {
+    const a = parseMime(mimeFixtures.encodedFilenames).attachments.map(x => x.contentId);
+    const b = parseMime(mimeFixtures.encodedFilenames).attachments.map(x => x.contentId);
+    expect(a).toEqual(b);
+    expect(new Set(a).size).toBe(a.length);
+  });
+
+  it('recurses into forwarded message/rfc822 parts', () => {
+    const parsed = parseMime(mimeFixtures.forwardedMessage);
+    expect(parsed.text).toBe('Forwarding the notice below.');
+    expect(parsed.forwarded).toHaveLength(1);
+    const fwd = parsed.forwarded[0];
+    expect(fwd.partId).toBe('2');
+    expect(fwd.headers.subject).toBe('Notice of hearing – room 5');
+    expect(fwd.headers.messageId).toBe('<inner-notice@example.test>');
+    expect(fwd.text).toBe('Hearing is set for June 10.');
+
+    const names = parsed.attachments.map(a => a.filename);
+    expect(names).toEqual(['order.pdf', 'notice.eml']);
+    const order = parsed.attachments[0];
+    expect(order.partId).toBe('2.2');
+    expect(order.forwardedFrom).toBe('2');
+    expect(text(order.data)).toBe('%PDF-1.4 court order');
+    expect(parsed.attachments[1].contentType).toBe('message/rfc822');
+  });
+
+  it('recovers parts from an unterminated multipart', () => {
+    const parsed = parseMime(mimeFixtures.truncated);
+    expect(parsed.text).toBe('Body before truncation.');
+    expect(parsed.attachments.map(a => a.filename)).toEqual(['partial.bin']);
+    expect(text(parsed.attachments[0].data)).toBe('partial-bytes-here');
+  });
+});
+
+describe('mime-parser: streaming', () => {
+  it('produces the same tree regardless of chunk boundaries', () => {
+    const raw = bytesOf(mimeFixtures.forwardedMessage);
+    const whole = parseMime(raw);
+    for (const size of [1, 7, 64]) {
+      const parser = new MimeStreamParser();
+      for (let i = 0; i < raw.length; i += size) parser.write(raw.subarray(i, i + size));
+      const chunked = parser.end();
+      expect(chunked.attachments.map(a => [a.filename, text(a.data)]))
+        .toEqual(whole.attachments.map(a => [a.filename, text(a.data)]));
+      expect(chunked.text).toBe(whole.text);
+    }
+  });
+
+  it('parses a ReadableStream and tees chunks', async () => {
+    const raw = bytesOf(mimeFixtures.encodedFilenames);
+    const seen = [];
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(raw.subarray(0, 100));
+        controller.enqueue(raw.subarray(100));
+        controller.close();
+      },
+    });
+    const parsed = await parseMimeStream(stream, { onChunk: (c) => seen.push(c.length) });
+    expect(seen.reduce((a, b) => a + b, 0)).toBe(raw.length);
+    expect(parsed.attachments).toHaveLength(4);
+  });
+
+  it('rejects writes after end()', () => {
+    const parser = new MimeStreamParser();
+    parser.end();
+    expect(() => parser.write(bytesOf('x'))).toThrow();
+  });
+});
+
+describe('mime-parser: htmlToText', () => {
+  it('strips markup, scripts and entities', () => {
+    expect(htmlToText('<style>p{}</style><p>Hi&nbsp;<b>there</b> &amp; you</p><script>x()</script>'))
+      .toBe('Hi there & you');
+  });
+
+  it('decodes escaped entities only once', () => {
+    expect(htmlToText('<p>use &amp;lt;b&amp;gt; tags</p>')).toBe('use &lt;b&gt; tags');
+    expect(htmlToText('&LT;a&gt; &amp;amp; &#39;x&#39;')).toBe("<a> &amp; 'x'");
+  });
+});
+
+describe('CloudflareEmailHandler on top of the MIME parser', () => {
+  function makeMessage(raw, { from = 'dana@example.test', to = 'evidence@chitty.cc' } = {}) {
+    const bytes = bytesOf(raw);
+    const headers = new Map();
+    for (const line of raw.split(/\r?\n\r?\n/)[0].split(/\r?\n/)) {
+      const i = line.indexOf(':');
+      if (i > 0) headers.set(line.slice(0, i).toLowerCase(), line.slice(i + 1).trim());
+    }
+    const forwards = [];
+    return {
+      from, to, headers, forwards,
+      raw: new ReadableStream({ start(c) { c.enqueue(bytes); c.close(); } }),
+      forward: async (dest) => { forwards.push(dest); },
+    };
+  }
+
+  function makeEnv() {
+    const puts = [];
+    return {
+      puts,
+      env: {
+        AI: { run: async () => ({ response: '{"category":"business","urgency":"LOW","case_relevant":false}' }) },
+        DOCUMENT_STORAGE: { put: async (key, data, opts) => { puts.push({ key, data, opts }); } },
+        AI_CACHE: {
+          _store: new Map(),
+          async get(k, type) {
+            const v = this._store.get(k);
+            return v === undefined ? null : (type === 'json' ? JSON.parse(v) : v);
+          },
+          async put(k, v) { this._store.set(k, v); },
+        },
+      },
+    };
+  }
+
+  it('stores every attachment, de-duplicating repeated filenames', async () => {
+    const { env, puts } = makeEnv();
+    const handler = new CloudflareEmailHandler(env);
+    const res = await handler.handleEmail(makeMessage(mimeFixtures.encodedFilenames), env, {});
+
+    expect(res.attachmentsStored).toBe(4);
+    const names = puts.map(p => p.key.split('/').pop());
+    expect(names).toEqual(['Exhibit A — Señor.pdf', 'Recibo nº1.pdf', 'scan.pdf', 'scan-2.pdf']);
+    expect(text(puts[3].data)).toBe('%PDF-1.4 second scan');
+    expect(puts[0].opts.customMetadata.originalFilename).toBe('Exhibit A — Señor.pdf');
+  });
+
+  it('stores attachments from forwarded messages with their provenance', async () => {
+    const { env, puts } = makeEnv();
+    const handler = new CloudflareEmailHandler(env);
+    await handler.handleEmail(makeMessage(mimeFixtures.forwardedMessage), env, {});
+
+    const order = puts.find(p => p.key.endsWith('/order.pdf'));
+    expect(order.opts.customMetadata.forwardedFrom).toBe('2');
+    expect(order.opts.customMetadata.mimePartId).toBe('2.2');
+    expect(puts.some(p => p.key.endsWith('/notice.eml'))).toBe(true);
+  });
+
+  it('feeds the decoded text body (not raw MIME) to extractEmailData', async () => {
+    const { env } = makeEnv();
+    const handler = new CloudflareEmailHandler(env);
+    const message = makeMessage(mimeFixtures.alternativeQuotedPrintable);
+    const data = handler.extractEmailData(message, parseMime(mimeFixtures.alternativeQuotedPrintable));
+    expect(data.subject).toBe('Café invoice');
+    expect(data.content).toBe('Café total: €42. This line is soft-wrapped.');
+  });
+});
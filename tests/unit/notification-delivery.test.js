@@ -0,0 +1,298 @@
+/**
+ * Unit tests for NotificationAgent delivery (src/notifications/): quiet-hour
+ * windows in the recipient's timezone, the critical bypass, retry policy,
+ * the Slack / SMS / Web Push drivers against a stubbed fetch, and the Web
+ * Push payload encryption and VAPID token read back with WebCrypto.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { parseClock, quietHoursDecision, quietHoursEnd } from '../../src/notifications/quiet-hours.js';
+import {
+  DELIVERY_BACKOFF_MAX_MS,
+  buildNotificationMime,
+  driverStatus,
+  nextDeliveryFailure,
+  pushPayload,
+  sendThroughDriver,
+} from '../../src/notifications/channel-drivers.js';
+import {
+  PUSH_MAX_PAYLOAD_BYTES,
+  base64UrlDecode,
+  base64UrlEncode,
+  encryptPushPayload,
+  parsePushSubscription,
+  vapidAuthorization,
+} from '../../src/notifications/web-push.js';
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+const message = (overrides = {}) => ({
+  id: 7,
+  recipient: 'nick',
+  address: null,
+  subject: 'Hearing moved',
+  body: 'The 10/22 hearing is now at 9:30.',
+  priority: 'high',
+  metadata: null,
+  ...overrides,
+});
+
+async function hkdf(salt, ikm, info, length) {
+  const key = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  return new Uint8Array(await crypto.subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info }, key, length * 8));
+}
+
+/** A browser-side subscription: its ECDH keypair and auth secret. */
+async function makeSubscriber(endpoint = 'https://push.example.net/send/abc123') {
+  const keys = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+  const p256dh = new Uint8Array(await crypto.subtle.exportKey('raw', keys.publicKey));
+  const auth = crypto.getRandomValues(new Uint8Array(16));
+  return {
+    keys,
+    p256dh,
+    auth,
+    subscription: { endpoint, keys: { p256dh: base64UrlEncode(p256dh), auth: base64UrlEncode(auth) } },
+  };
+}
+
+/** What the user agent does with an aes128gcm push body (RFC 8291 §3.4). */
+async function decryptPush(subscriber, body) {
+  const salt = body.slice(0, 16);
+  const idlen = body[20];
+  const asPublic = body.slice(21, 21 + idlen);
+  const ciphertext = body.slice(21 + idlen);
+  const serverKey = await crypto.subtle.importKey('raw', asPublic, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+  const ecdh = new Uint8Array(await crypto.subtle.deriveBits({ name: 'ECDH', public: serverKey }, subscriber.keys.privateKey, 256));
+  const info = new Uint8Array([...enc.encode('WebPush: info\0'), ...subscriber.p256dh, ...asPublic]);
+  const ikm = await hkdf(subscriber.auth, ecdh, info, 32);
+  const cek = await hkdf(salt, ikm, enc.encode('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = await hkdf(salt, ikm, enc.encode('Content-Encoding: nonce\0'), 12);
+  const key = await crypto.subtle.importKey('raw', cek, 'AES-GCM', false, ['decrypt']);
+  const padded = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: nonce }, key, ciphertext));
+  expect(padded[padded.length - 1]).toBe(2);
+  return dec.decode(padded.slice(0, -1));
+}
+
+async function makeVapidKeys() {
+  const keys = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  const raw = new Uint8Array(await crypto.subtle.exportKey('raw', keys.publicKey));
+  const jwk = await crypto.subtle.exportKey('jwk', keys.privateKey);
+  return { publicKey: base64UrlEncode(raw), privateKey: jwk.d, verifyKey: keys.publicKey };
+}
+
+describe('notification delivery: quiet hours', () => {
+  const overnight = { quiet_start: '22:00', quiet_end: '07:00', timezone: 'America/Chicago' };
+
+  it('parses HH:MM clock times', () => {
+    expect(parseClock('07:30')).toBe(450);
+    expect(parseClock('24:00')).toBeNull();
+    expect(parseClock('7:30')).toBeNull();
+  });
+
+  it('holds a notification until the window ends in the recipient timezone', () => {
+    // 23:15 in Chicago (CDT, UTC-5) → 07:00 local is 12:00Z next day.
+    expect(quietHoursEnd(overnight, new Date('2026-10-20T04:15:00Z'))).toEqual(new Date('2026-10-20T12:00:00Z'));
+    // 06:59:30 local → 30 seconds later.
+    expect(quietHoursEnd(overnight, new Date('2026-10-20T11:59:30Z'))).toEqual(new Date('2026-10-20T12:00:00Z'));
+    // 12:00 local is outside the window.
+    expect(quietHoursEnd(overnight, new Date('2026-10-20T17:00:00Z'))).toBeNull();
+  });
+
+  it('handles a same-day window and falls back to the default timezone', () => {
+    const lunch = { quiet_start: '12:00', quiet_end: '13:00' };
+    expect(quietHoursEnd(lunch, new Date('2026-10-20T12:30:00Z'))).toEqual(new Date('2026-10-20T13:00:00Z'));
+    expect(quietHoursEnd(lunch, new Date('2026-10-20T13:00:00Z'))).toBeNull();
+    expect(quietHoursEnd(lunch, new Date('2026-10-20T12:30:00Z'), 'Europe/London')).toBeNull();
+    expect(quietHoursEnd({ quiet_start: '12:00', quiet_end: '12:00' }, new Date())).toBeNull();
+  });
+
+  it('ends at the local clock time across a DST change', () => {
+    // Chicago falls back on 2026-11-01: 07:00 local that morning is CST (UTC-6).
+    expect(quietHoursEnd(overnight, new Date('2026-11-01T04:00:00Z'))).toEqual(new Date('2026-11-01T13:00:00Z'));
+  });
+
+  it('lets only critical notifications bypass, and only when asked', () => {
+    const now = new Date('2026-10-20T04:15:00Z');
+    expect(quietHoursDecision({ priority: 'critical', preference: overnight, now }).action).toBe('defer');
+    expect(quietHoursDecision({ priority: 'critical', bypassQuietHours: true, preference: overnight, now })).toEqual({ action: 'send' });
+    expect(quietHoursDecision({ priority: 'high', bypassQuietHours: true, preference: overnight, now }).action).toBe('defer');
+    expect(quietHoursDecision({ priority: 'normal', preference: null, now })).toEqual({ action: 'send' });
+  });
+});
+
+describe('notification delivery: retry policy and configuration', () => {
+  it('backs off per attempt and stops at the driver budget or a permanent error', () => {
+    const now = 1_000_000;
+    expect(nextDeliveryFailure(0, 5, { now })).toEqual({ attempts: 1, status: 'retrying', nextAttemptAt: now + 60_000 });
+    expect(nextDeliveryFailure(2, 5, { now }).nextAttemptAt).toBe(now + 240_000);
+    expect(nextDeliveryFailure(3, 20, { now: 0 }).nextAttemptAt).toBe(480_000);
+    expect(nextDeliveryFailure(12, 20, { now: 0 }).nextAttemptAt).toBe(DELIVERY_BACKOFF_MAX_MS);
+    expect(nextDeliveryFailure(4, 5, { now }).status).toBe('failed');
+    expect(nextDeliveryFailure(0, 5, { retryable: false, now })).toEqual({ attempts: 1, status: 'failed', nextAttemptAt: null });
+  });
+
+  it('reports which drivers are configured', () => {
+    const status = Object.fromEntries(driverStatus({ EMAIL_SENDER: {}, OUTBOUND_DEFAULT_FROM: 'ops@chitty.cc', TWILIO_ACCOUNT_SID: 'AC1' })
+      .map((d) => [d.channel, d.missing]));
+    expect(status).toEqual({
+      email: [],
+      slack: [],
+      push: ['VAPID_PUBLIC_KEY', 'VAPID_PRIVATE_KEY', 'VAPID_SUBJECT'],
+      sms: ['TWILIO_AUTH_TOKEN', 'TWILIO_FROM_NUMBER'],
+    });
+  });
+
+  it('fails without retry when the driver is unconfigured or has no destination', async () => {
+    expect(await sendThroughDriver({}, 'push', message())).toMatchObject({ ok: false, retryable: false, error: expect.stringContaining('VAPID_PUBLIC_KEY') });
+    expect(await sendThroughDriver({}, 'slack', message())).toEqual({ ok: false, error: 'no slack destination for nick', status: null, retryable: false });
+    expect(await sendThroughDriver({}, 'pager', message())).toMatchObject({ ok: false, retryable: false });
+  });
+
+  it('builds the email notification', () => {
+    const raw = buildNotificationMime({
+      from: 'alerts@chitty.cc', to: 'nick@aribia.test', subject: 'Hearing moved', body: 'Now 9:30.', priority: 'critical', messageId: '<n1@chitty.cc>',
+    });
+    expect(raw).toContain('Message-ID: <n1@chitty.cc>');
+    expect(raw).toContain('Importance: high');
+    expect(raw).toContain('Now 9:30.');
+  });
+});
+
+describe('notification delivery: HTTP drivers', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('posts to the Slack webhook from the preference, else the default', async () => {
+    fetchMock.mockResolvedValue(new Response('ok'));
+    const result = await sendThroughDriver({ SLACK_WEBHOOK_URL: 'https://hooks.slack.test/default' }, 'slack', message({ priority: 'critical' }));
+    expect(result).toEqual({ ok: true, providerId: null, providerStatus: 'ok' });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://hooks.slack.test/default');
+    expect(JSON.parse(init.body).text).toBe(':rotating_light: *Hearing moved*\nThe 10/22 hearing is now at 9:30.');
+
+    await sendThroughDriver({}, 'slack', message({ address: 'https://hooks.slack.test/nick' }));
+    expect(fetchMock.mock.calls[1][0]).toBe('https://hooks.slack.test/nick');
+  });
+
+  it('classifies Slack failures as retryable or not', async () => {
+    fetchMock.mockResolvedValueOnce(new Response('rate_limited', { status: 429 }));
+    expect(await sendThroughDriver({}, 'slack', message({ address: 'https://hooks.slack.test/x' })))
+      .toEqual({ ok: false, error: 'slack provider returned 429: rate_limited', status: 429, retryable: true });
+    fetchMock.mockResolvedValueOnce(new Response('no_service', { status: 404 }));
+    expect((await sendThroughDriver({}, 'slack', message({ address: 'https://hooks.slack.test/x' }))).retryable).toBe(false);
+    fetchMock.mockRejectedValueOnce(new TypeError('network down'));
+    expect(await sendThroughDriver({}, 'slack', message({ address: 'https://hooks.slack.test/x' })))
+      .toMatchObject({ ok: false, status: null, retryable: true });
+  });
+
+  it('sends SMS through the Twilio Messages API', async () => {
+    fetchMock.mockResolvedValue(new Response(JSON.stringify({ sid: 'SM123', status: 'queued' }), { status: 201 }));
+    const env = { TWILIO_ACCOUNT_SID: 'AC1', TWILIO_AUTH_TOKEN: 'tok', TWILIO_FROM_NUMBER: '+13125550100' };
+    const result = await sendThroughDriver(env, 'sms', message({ recipient: '+13125550199' }));
+    expect(result).toEqual({ ok: true, providerId: 'SM123', providerStatus: 'queued' });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://api.twilio.com/2010-04-01/Accounts/AC1/Messages.json');
+    expect(init.headers.Authorization).toBe(`Basic ${btoa('AC1:tok')}`);
+    expect(Object.fromEntries(new URLSearchParams(init.body))).toEqual({
+      To: '+13125550199',
+      From: '+13125550100',
+      Body: 'Hearing moved: The 10/22 hearing is now at 9:30.',
+    });
+
+    fetchMock.mockResolvedValueOnce(new Response(JSON.stringify({ code: 21211, message: "Invalid 'To' Phone Number" }), { status: 400 }));
+    expect(await sendThroughDriver(env, 'sms', message({ address: '+13125550199' })))
+      .toMatchObject({ ok: false, status: 400, retryable: false, error: "sms provider returned 400: Invalid 'To' Phone Number" });
+  });
+
+  it('sends an encrypted, VAPID-signed Web Push the subscriber can read', async () => {
+    const subscriber = await makeSubscriber();
+    const vapid = await makeVapidKeys();
+    const env = { VAPID_PUBLIC_KEY: vapid.publicKey, VAPID_PRIVATE_KEY: vapid.privateKey, VAPID_SUBJECT: 'mailto:ops@chitty.cc' };
+    fetchMock.mockResolvedValue(new Response(null, { status: 201, headers: { Location: 'https://push.example.net/m/1' } }));
+
+    const result = await sendThroughDriver(env, 'push', message({
+      address: JSON.stringify(subscriber.subscription), priority: 'critical', metadata: { url: '/cases/arias' },
+    }));
+    expect(result).toEqual({ ok: true, providerId: 'https://push.example.net/m/1', providerStatus: '201' });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(subscriber.subscription.endpoint);
+    expect(init.headers).toMatchObject({ 'Content-Encoding': 'aes128gcm', TTL: '86400', Urgency: 'high' });
+    expect(JSON.parse(await decryptPush(subscriber, init.body))).toEqual({
+      id: 7, title: 'Hearing moved', body: 'The 10/22 hearing is now at 9:30.', priority: 'critical', url: '/cases/arias',
+    });
+    expect(init.headers.Authorization).toMatch(new RegExp(`^vapid t=[^,]+, k=${vapid.publicKey}$`));
+  });
+
+  it('reports an expired push subscription as permanent', async () => {
+    const subscriber = await makeSubscriber();
+    const vapid = await makeVapidKeys();
+    fetchMock.mockResolvedValue(new Response('', { status: 410 }));
+    const result = await sendThroughDriver(
+      { VAPID_PUBLIC_KEY: vapid.publicKey, VAPID_PRIVATE_KEY: vapid.privateKey, VAPID_SUBJECT: 'mailto:ops@chitty.cc' },
+      'push',
+      message({ address: JSON.stringify(subscriber.subscription) }),
+    );
+    expect(result).toMatchObject({ ok: false, status: 410, retryable: false });
+    expect(result.error).toContain('subscription expired');
+  });
+});
+
+describe('notification delivery: Web Push primitives', () => {
+  it('signs a VAPID JWT for the endpoint origin', async () => {
+    const vapid = await makeVapidKeys();
+    const now = Date.UTC(2026, 9, 19, 12);
+    const header = await vapidAuthorization('https://fcm.googleapis.com/fcm/send/xyz', { ...vapid, subject: 'mailto:ops@chitty.cc' }, now);
+    const token = header.match(/^vapid t=([^,]+), k=/)[1];
+    const [h, c, sig] = token.split('.');
+    expect(JSON.parse(dec.decode(base64UrlDecode(h)))).toEqual({ typ: 'JWT', alg: 'ES256' });
+    expect(JSON.parse(dec.decode(base64UrlDecode(c)))).toEqual({
+      aud: 'https://fcm.googleapis.com', exp: now / 1000 + 12 * 3600, sub: 'mailto:ops@chitty.cc',
+    });
+    const valid = await crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, vapid.verifyKey, base64UrlDecode(sig), enc.encode(`${h}.${c}`));
+    expect(valid).toBe(true);
+  });
+
+  it('round-trips a payload and lays out the aes128gcm header', async () => {
+    const subscriber = await makeSubscriber();
+    const body = await encryptPushPayload(parsePushSubscription(subscriber.subscription), 'hello');
+    expect(new DataView(body.buffer).getUint32(16)).toBe(4096);
+    expect(body[20]).toBe(65);
+    expect(body.length).toBe(21 + 65 + 5 + 1 + 16);
+    expect(await decryptPush(subscriber, body)).toBe('hello');
+  });
+
+  it('rejects malformed subscriptions and trims long payloads to one record', async () => {
+    expect(() => parsePushSubscription({ endpoint: 'http://insecure.test', keys: {} })).toThrow('https endpoint');
+    expect(() => parsePushSubscription({ endpoint: 'https://p.test', keys: { p256dh: 'AAAA', auth: 'AAAA' } })).toThrow('p256dh');
+    const json = pushPayload(message({ body: 'x'.repeat(10_000) }));
+    expect(enc.encode(json).length).toBeLessThanOrEqual(PUSH_MAX_PAYLOAD_BYTES);
+    expect(JSON.parse(json).body.endsWith('…')).toBe(true);
+  });
+
+  it('keeps the whole encrypted body within 4096 bytes', async () => {
+    expect(PUSH_MAX_PAYLOAD_BYTES).toBe(3993);
+    const subscriber = await makeSubscriber();
+    const body = await encryptPushPayload(parsePushSubscription(subscriber.subscription), 'x'.repeat(PUSH_MAX_PAYLOAD_BYTES));
+    expect(body.length).toBe(4096);
+    await expect(encryptPushPayload(parsePushSubscription(subscriber.subscription), 'x'.repeat(PUSH_MAX_PAYLOAD_BYTES + 1)))
+      .rejects.toThrow('exceeds 3993 bytes');
+  });
+
+  it('cuts an oversized subject once the body is spent and drops the url', () => {
+    const json = pushPayload(message({ subject: 'x'.repeat(5000), body: 'hi', metadata: { url: `https://app.test/${'u'.repeat(500)}` } }));
+    const payload = JSON.parse(json);
+    expect(enc.encode(json).length).toBeLessThanOrEqual(PUSH_MAX_PAYLOAD_BYTES);
+    expect(payload.title.endsWith('…')).toBe(true);
+    expect(payload.body).toBe('…');
+    expect(payload).not.toHaveProperty('url');
+  });
+});
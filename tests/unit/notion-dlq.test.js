@@ -0,0 +1,236 @@
+/**
+ * Unit tests for the Notion sync dead-letter queue: backoff and quarantine
+ * rules (src/sync/notion-dlq.js), NotionAtomicFactsSync dead-lettering and
+ * replay across instances, and the /sync/notion/dlq routes, against the
+ * in-memory NOTION_DLQ_AGENT binding and a stubbed Notion client.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  DLQ_BACKOFF_BASE_MS,
+  DLQ_BACKOFF_MAX_MS,
+  dlqBackoffMs,
+  dlqMaxAttempts,
+  isRetryableStatus,
+  nextFailureState,
+  parseDlqFilters,
+} from '../../src/sync/notion-dlq.js';
+import { NotionAtomicFactsSync } from '../../src/sync/notion-atomic-facts-sync.js';
+import worker from '../../src/unified-worker.js';
+import { makeNotionDlqBinding } from '../data/notion-dlq-binding.js';
+
+const T0 = Date.UTC(2026, 9, 1, 12);
+const MIN = 60 * 1000;
+
+const NOTION_PROPERTIES = Object.fromEntries([
+  'Fact ID', 'Parent Document', 'Fact Text', 'Fact Type', 'Location in Document',
+  'Classification Level', 'Weight', 'Credibility Factors', 'ChittyChain Status',
+  'Verification Date', 'Verification Method', 'External ID',
+].map((name) => [name, { type: 'rich_text' }]));
+
+const fact = (factId, overrides = {}) => ({ factId, factText: `Text of ${factId}`, factType: 'DATE', ...overrides });
+
+function notionError(status) {
+  return Object.assign(new Error(`Notion ${status}`), { status });
+}
+
+/**
+ * Notion stand-in: `failures` maps factId → status; those creates throw.
+ */
+function makeNotion(failures = new Map()) {
+  return {
+    auth: 'secret',
+    failures,
+    databases: {
+      retrieve: async () => ({ properties: NOTION_PROPERTIES, title: [] }),
+      query: async () => ({ results: [] }),
+    },
+    pages: {
+      create: async ({ properties }) => {
+        const factId = properties['Fact ID'].title[0].text.content;
+        if (failures.has(factId)) throw notionError(failures.get(factId));
+        return { id: `page-${factId}` };
+      },
+      update: async () => ({}),
+    },
+  };
+}
+
+function makeSync(env, notion) {
+  const sync = new NotionAtomicFactsSync(env);
+  sync.notion = notion;
+  sync.delay = async () => {};
+  return sync;
+}
+
+describe('notion dlq: backoff and quarantine', () => {
+  it('doubles the delay per attempt up to a day', () => {
+    expect(dlqBackoffMs(1)).toBe(DLQ_BACKOFF_BASE_MS);
+    expect(dlqBackoffMs(2)).toBe(2 * DLQ_BACKOFF_BASE_MS);
+    expect(dlqBackoffMs(4)).toBe(8 * DLQ_BACKOFF_BASE_MS);
+    expect(dlqBackoffMs(20)).toBe(DLQ_BACKOFF_MAX_MS);
+  });
+
+  it('quarantines on the last allowed attempt', () => {
+    expect(nextFailureState(0, 3, T0)).toEqual({ attempts: 1, status: 'pending', nextAttemptAt: T0 + 30 * MIN });
+    expect(nextFailureState(1, 3, T0)).toEqual({ attempts: 2, status: 'pending', nextAttemptAt: T0 + 60 * MIN });
+    expect(nextFailureState(2, 3, T0)).toEqual({ attempts: 3, status: 'quarantined', nextAttemptAt: null });
+  });
+
+  it('reads the attempt limit from env and classifies retryable statuses', () => {
+    expect(dlqMaxAttempts({})).toBe(6);
+    expect(dlqMaxAttempts({ NOTION_DLQ_MAX_ATTEMPTS: '3' })).toBe(3);
+    expect(dlqMaxAttempts({ NOTION_DLQ_MAX_ATTEMPTS: 'x' })).toBe(6);
+    expect([429, 500, 503, undefined].every(isRetryableStatus)).toBe(true);
+    expect([400, 404, 409].some(isRetryableStatus)).toBe(false);
+  });
+
+  it('validates list filters', () => {
+    const parse = (q) => parseDlqFilters(new URLSearchParams(q));
+    expect(parse('status=quarantined&limit=10')).toEqual({ filters: { status: 'quarantined', limit: 10 }, errors: [] });
+    expect(parse('status=done').errors).toEqual(['status must be one of pending, quarantined']);
+    expect(parse('limit=0').errors).toEqual(['limit must be 1-200']);
+  });
+});
+
+describe('notion dlq: sync and replay', () => {
+  let env;
+  let notion;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(T0);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    env = { NOTION_TOKEN: 'secret', NOTION_DATABASE_ID_ATOMIC_FACTS: 'db', NOTION_DLQ_MAX_ATTEMPTS: '3' };
+    env.NOTION_DLQ_AGENT = makeNotionDlqBinding(env);
+    notion = makeNotion(new Map([['f-2', 503], ['f-3', 400]]));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('dead-letters retryable failures with their payload for a later instance', async () => {
+    const result = await makeSync(env, notion).sync([fact('f-1'), fact('f-2'), fact('f-3')]);
+    expect(result.created).toEqual(['f-1']);
+    expect(result.dlq).toEqual({ pushed: 1, quarantined: [] });
+
+    const item = env.NOTION_DLQ_AGENT.items.get('f-2');
+    expect(item).toMatchObject({ attempts: 1, status: 'pending', lastError: 'Notion 503', lastStatus: 503 });
+    expect(item.fact).toEqual(fact('f-2'));
+    expect(item.nextAttemptAt).toBe(new Date(T0 + 30 * MIN).toISOString());
+    expect(env.NOTION_DLQ_AGENT.items.has('f-3')).toBe(false);
+
+    // Not due yet: the cron's fresh instance claims nothing.
+    expect(await makeSync(env, notion).processDLQ()).toEqual({ processed: 0, failed: 0 });
+
+    notion.failures.delete('f-2');
+    vi.setSystemTime(T0 + 30 * MIN);
+    const replay = await makeSync(env, notion).processDLQ();
+    expect(replay).toMatchObject({ processed: 1, failed: 0 });
+    expect(env.NOTION_DLQ_AGENT.items.size).toBe(0);
+  });
+
+  it('backs off on repeated failures and quarantines at the limit', async () => {
+    await makeSync(env, notion).sync([fact('f-2')]);
+
+    vi.setSystemTime(T0 + 30 * MIN);
+    expect(await makeSync(env, notion).processDLQ()).toMatchObject({ processed: 0, failed: 1, quarantined: [] });
+    const item = env.NOTION_DLQ_AGENT.items.get('f-2');
+    expect(item.attempts).toBe(2);
+    expect(item.nextAttemptAt).toBe(new Date(T0 + 90 * MIN).toISOString());
+
+    vi.setSystemTime(T0 + 90 * MIN);
+    expect(await makeSync(env, notion).processDLQ()).toMatchObject({ failed: 1, quarantined: ['f-2'] });
+    expect(env.NOTION_DLQ_AGENT.items.get('f-2')).toMatchObject({ status: 'quarantined', attempts: 3, nextAttemptAt: null });
+
+    vi.setSystemTime(T0 + 48 * 60 * MIN);
+    expect(await makeSync(env, notion).processDLQ()).toEqual({ processed: 0, failed: 0 });
+  });
+
+  it('keeps items when Notion is unreachable, without spending an attempt', async () => {
+    await makeSync(env, notion).sync([fact('f-2')]);
+    vi.setSystemTime(T0 + 30 * MIN);
+    const down = makeSync(env, { ...notion, databases: { retrieve: async () => { throw notionError(502); } } });
+    expect(await down.processDLQ()).toMatchObject({ processed: 0, error: 'Cannot access Notion database' });
+    expect(env.NOTION_DLQ_AGENT.items.get('f-2').attempts).toBe(1);
+  });
+
+  it('returns failures unqueued when the DLQ binding is missing', async () => {
+    delete env.NOTION_DLQ_AGENT;
+    const result = await makeSync(env, notion).sync([fact('f-2')]);
+    expect(result.dlq.pushed).toBe(0);
+    expect(result.dlq.unqueued).toEqual([{ factId: 'f-2', fact: fact('f-2'), error: 'Notion 503', status: 503 }]);
+    expect(await makeSync(env, notion).processDLQ()).toMatchObject({ error: 'NOTION_DLQ_AGENT not bound' });
+  });
+});
+
+describe('notion dlq: /sync/notion/dlq routes', () => {
+  const ctx = { waitUntil() {} };
+  let env;
+
+  const call = async (method, path, body, { authorized = true } = {}) => {
+    env.CHITTYAUTH = {
+      validate: async () => (authorized
+        ? { ok: true }
+        : { ok: false, errorResponse: () => new Response('{"error":"Unauthorized"}', { status: 401 }) }),
+    };
+    const res = await worker.fetch(new Request(`https://router.test${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    }), env, ctx);
+    return { status: res.status, json: await res.json() };
+  };
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    env = { NOTION_TOKEN: 'secret', NOTION_DATABASE_ID_ATOMIC_FACTS: 'db' };
+    env.NOTION_DLQ_AGENT = makeNotionDlqBinding(env);
+    const seed = makeSync(env, makeNotion(new Map([['f/1', 503], ['f-2', 500]])));
+    await seed.sync([fact('f/1'), fact('f-2')]);
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it('requires auth to inspect, and lists and reads items', async () => {
+    expect((await call('GET', '/sync/notion/dlq', undefined, { authorized: false })).status).toBe(401);
+
+    const list = await call('GET', '/sync/notion/dlq?status=pending');
+    expect(list.json.count).toBe(2);
+    expect((await call('GET', '/sync/notion/dlq?status=nope')).status).toBe(400);
+
+    const one = await call('GET', `/sync/notion/dlq/${encodeURIComponent('f/1')}`);
+    expect(one.json.item).toMatchObject({ factId: 'f/1', attempts: 1, lastStatus: 503 });
+    expect((await call('GET', '/sync/notion/dlq/missing')).status).toBe(404);
+  });
+
+  it('requeues and discards items', async () => {
+    env.NOTION_DLQ_AGENT.items.get('f-2').status = 'quarantined';
+    const requeued = await call('POST', '/sync/notion/dlq/f-2/requeue');
+    expect(requeued.json.item).toMatchObject({ status: 'pending', attempts: 0 });
+
+    expect(await call('DELETE', '/sync/notion/dlq/f-2')).toEqual({ status: 200, json: { discarded: 'f-2' } });
+    expect(env.NOTION_DLQ_AGENT.items.has('f-2')).toBe(false);
+    expect((await call('PUT', '/sync/notion/dlq/f-2')).status).toBe(405);
+  });
+
+  it('edits a fact and retries it immediately', async () => {
+    vi.spyOn(NotionAtomicFactsSync.prototype, 'fetchDatabaseSchema').mockResolvedValue({ properties: NOTION_PROPERTIES });
+    const upsert = vi.spyOn(NotionAtomicFactsSync.prototype, 'upsertFact').mockResolvedValue({ created: true, id: 'p' });
+
+    const bad = await call('POST', '/sync/notion/dlq/f-2/retry', { fact: { factId: 'other' } });
+    expect(bad).toEqual({ status: 400, json: { error: 'fact.factId cannot change' } });
+
+    const retried = await call('POST', '/sync/notion/dlq/f-2/retry', { fact: { factText: 'Corrected', factType: 'AMOUNT' } });
+    expect(retried.status).toBe(200);
+    expect(retried.json).toMatchObject({ processed: 1, failed: 0 });
+    expect(upsert.mock.calls[0][1]).toBe('f-2');
+    expect(upsert.mock.calls[0][0].properties['Fact Text'].rich_text[0].text.content).toBe('Corrected');
+    expect(env.NOTION_DLQ_AGENT.items.has('f-2')).toBe(false);
+  });
+});
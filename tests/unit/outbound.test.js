@@ -0,0 +1,285 @@
+/**
+ * Unit tests for outbound replies: threading, from-alias selection and policy
+ * helpers (src/email/outbound.js), and CloudflareEmailHandler.stageReply /
+ * approval through the review queue / thread store on top of them.
+ *
+ * `cloudflare:email` has no node build, so EmailMessage is mocked; the
+ * EMAIL_SENDER binding records what would have gone out.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  threadHeaders,
+  replySubject,
+  isCaseMail,
+  replySuppressed,
+  selectFromAlias,
+  buildReplyMime,
+} from '../../src/email/outbound.js';
+import { parseMessageIds } from '../../src/email/threads.js';
+import { DEFAULT_ROUTING_PROFILE } from '../../src/config/routing-profile.js';
+import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
+import { makeReviewQueueBinding } from '../data/review-queue-binding.js';
+import { makeThreadBinding } from '../data/thread-binding.js';
+
+vi.mock('cloudflare:email', () => ({
+  EmailMessage: class {
+    constructor(from, to, raw) {
+      Object.assign(this, { from, to, raw });
+    }
+  },
+}));
+
+function makeKv() {
+  return {
+    _store: new Map(),
+    async get(k, type) {
+      const v = this._store.get(k);
+      return v === undefined ? null : (type === 'json' ? JSON.parse(v) : v);
+    },
+    async put(k, v) { this._store.set(k, v); },
+    async delete(k) { this._store.delete(k); },
+  };
+}
+
+function makeSender() {
+  const sent = [];
+  return { sent, async send(message) { sent.push(message); } };
+}
+
+const ROUTES = { 'intake@chitty.cc': {}, 'legal@chitty.cc': {} };
+
+const INBOUND = {
+  from: 'Dana Vendor <dana@vendor.test>', to: 'intake@chitty.cc', cc: '', replyTo: '',
+  subject: 'Invoice 42', date: 'now', content: 'Please confirm receipt.', attachmentNames: [],
+  id: '<m2@vendor.test>', inReplyTo: '<m1@chitty.cc>', references: '<m0@vendor.test> <m1@chitty.cc>',
+};
+const TRIAGE = {
+  category: 'financial', urgencyLevel: 'LOW', caseRelevant: false, entity: 'ARIBIA',
+  summary: 'invoice', reasons: [], aiClassified: true,
+};
+
+describe('outbound: threading', () => {
+  it('parses Message-ID lists, keeping bare fallback ids', () => {
+    expect(parseMessageIds('<a@x> \r\n <b@y>')).toEqual(['<a@x>', '<b@y>']);
+    expect(parseMessageIds('cf-123')).toEqual(['<cf-123>']);
+    expect(parseMessageIds('')).toEqual([]);
+  });
+
+  it('extends the parent References with the parent Message-ID', () => {
+    expect(threadHeaders({ messageId: INBOUND.id, references: INBOUND.references, inReplyTo: INBOUND.inReplyTo }))
+      .toEqual({ inReplyTo: '<m2@vendor.test>', references: '<m0@vendor.test> <m1@chitty.cc> <m2@vendor.test>' });
+    expect(threadHeaders({ messageId: '<m2@x>', inReplyTo: '<m1@x>' }))
+      .toEqual({ inReplyTo: '<m2@x>', references: '<m1@x> <m2@x>' });
+    expect(threadHeaders({ messageId: '<m1@x>' })).toEqual({ inReplyTo: '<m1@x>', references: '<m1@x>' });
+  });
+
+  it('prefixes Re: once', () => {
+    expect(replySubject('Invoice 42')).toBe('Re: Invoice 42');
+    expect(replySubject('RE: Invoice 42')).toBe('RE: Invoice 42');
+  });
+
+  it('builds a reply with threading headers', () => {
+    const raw = buildReplyMime({
+      from: { addr: 'intake@chitty.cc' }, to: 'dana@vendor.test', subject: 'Re: Invoice 42', text: 'Received, thanks.',
+      messageId: '<r1@chitty.cc>', inReplyTo: '<m2@vendor.test>', references: '<m1@chitty.cc> <m2@vendor.test>',
+    });
+    expect(raw).toMatch(/^Message-ID: <r1@chitty\.cc>$/m);
+    expect(raw).toMatch(/^In-Reply-To: <m2@vendor\.test>$/m);
+    expect(raw).toMatch(/^References: <m1@chitty\.cc> <m2@vendor\.test>$/m);
+    expect(raw).toContain('Received, thanks.');
+  });
+});
+
+describe('outbound: policy', () => {
+  const ctx = (env = {}, profile = DEFAULT_ROUTING_PROFILE) => ({ profile, routes: ROUTES, env });
+
+  it('picks the case alias, then the entity, then the routed recipient, then the default', () => {
+    expect(selectFromAlias({ caseSlug: 'arias-v-bianchi', entity: 'ARIBIA' }, 'legal@chitty.cc', ctx()))
+      .toEqual({ addr: 'arias-v-bianchi@chitty.cc', name: 'Arias v. Bianchi', source: 'case' });
+
+    const profile = {
+      ...DEFAULT_ROUTING_PROFILE,
+      entities: [{ id: 'ARIBIA', displayName: 'ARIBIA LLC', storagePath: 'x', replyFrom: 'Ops@Aribia.test' }],
+    };
+    expect(selectFromAlias({ entity: 'ARIBIA' }, 'intake@chitty.cc', ctx({}, profile)))
+      .toMatchObject({ addr: 'ops@aribia.test', source: 'entity' });
+
+    expect(selectFromAlias({ entity: 'ARIBIA' }, 'Someone <x@y.test>, Intake <intake@chitty.cc>', ctx()))
+      .toEqual({ addr: 'intake@chitty.cc', source: 'recipient' });
+    expect(selectFromAlias({}, 'nick@aribia.test', ctx({ OUTBOUND_DEFAULT_FROM: 'Desk <desk@chitty.cc>' })))
+      .toEqual({ addr: 'desk@chitty.cc', source: 'default' });
+    expect(selectFromAlias({}, 'nick@aribia.test', ctx())).toBeNull();
+  });
+
+  it('treats case slugs, case relevance and case aliases as case mail', () => {
+    expect(isCaseMail({ caseSlug: 'fox-hoa' }, 'intake@chitty.cc')).toBe(true);
+    expect(isCaseMail({ category: 'legal', caseRelevant: true }, 'legal@chitty.cc')).toBe(true);
+    expect(isCaseMail({ category: 'financial' }, 'arias-v-bianchi@chitty.cc')).toBe(true);
+    expect(isCaseMail({ category: 'financial', caseRelevant: false }, 'intake@chitty.cc')).toBe(false);
+  });
+
+  it('suppresses replies on privileged threads and to privileged domains', () => {
+    const env = { PRIVILEGED_SENDER_DOMAINS: 'counsel.test' };
+    expect(replySuppressed({ from: 'a@b.test', to: 'intake@chitty.cc' }, true, 'a@b.test', env)).toBe(true);
+    expect(replySuppressed({ from: 'p@counsel.test', to: 'intake@chitty.cc' }, false, 'p@counsel.test', env)).toBe(true);
+    expect(replySuppressed({ from: 'a@b.test', to: 'intake@chitty.cc' }, false, 'p@counsel.test', env)).toBe(true);
+    expect(replySuppressed({ from: 'a@b.test', to: 'intake@chitty.cc' }, false, 'a@b.test', env)).toBe(false);
+  });
+});
+
+describe('CloudflareEmailHandler: outbound replies', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  function setup(overrides = {}) {
+    const env = {
+      AI_CACHE: makeKv(),
+      REVIEW_QUEUE_AGENT: makeReviewQueueBinding(),
+      THREAD_AGENT: makeThreadBinding(),
+      EMAIL_SENDER: makeSender(),
+      PRIVILEGED_SENDER_DOMAINS: 'counsel.test',
+      ...overrides,
+    };
+    return { env, handler: new CloudflareEmailHandler(env) };
+  }
+
+  it('sends a non-case reply at once, threaded, and records it in the thread', async () => {
+    const { env, handler } = setup();
+    const inbound = await handler.enqueue(INBOUND, TRIAGE, []);
+
+    const result = await handler.stageReply({ queueId: inbound.id, body: 'Received, thanks.' });
+    expect(result).toMatchObject({ outcome: 'sent', from: 'intake@chitty.cc', fromSource: 'recipient', to: 'dana@vendor.test' });
+
+    const [message] = env.EMAIL_SENDER.sent;
+    expect(message.from).toBe('intake@chitty.cc');
+    expect(message.raw).toMatch(/^In-Reply-To: <m2@vendor\.test>$/m);
+    expect(message.raw).toMatch(/^References: <m0@vendor\.test> <m1@chitty\.cc> <m2@vendor\.test>$/m);
+
+    const thread = await handler.getThread(result.threadId);
+    expect(thread.messages).toEqual([
+      expect.objectContaining({ direction: 'outbound', messageId: result.messageId, inReplyTo: '<m2@vendor.test>', subject: 'Re: Invoice 42' }),
+    ]);
+  });
+
+  it('holds case-mail replies for approval, then sends on approve', async () => {
+    const { env, handler } = setup();
+    const inbound = await handler.enqueue(
+      { ...INBOUND, to: 'legal@chitty.cc' },
+      { ...TRIAGE, category: 'legal', caseRelevant: true, caseSlug: 'arias-v-bianchi' },
+      [],
+    );
+
+    const staged = await handler.stageReply({ queueId: inbound.id, body: 'We will respond by Friday.', actor: 'paralegal' });
+    expect(staged).toMatchObject({ outcome: 'pending_approval', from: 'arias-v-bianchi@chitty.cc', fromSource: 'case' });
+    expect(env.EMAIL_SENDER.sent).toHaveLength(0);
+
+    // Bulk approval never sends replies.
+    expect(await handler.approveAll()).toEqual({ approved: 1 });
+    expect(env.EMAIL_SENDER.sent).toHaveLength(0);
+
+    const approved = await handler.updateQueueItem(staged.queueId, 'approved', null, { actor: 'nick' });
+    expect(approved.delivery).toMatchObject({ outcome: 'sent', messageId: staged.messageId });
+    expect(env.EMAIL_SENDER.sent).toHaveLength(1);
+
+    const again = await handler.updateQueueItem(staged.queueId, 'approved');
+    expect(again.conflict).toBe(true);
+    expect(env.EMAIL_SENDER.sent).toHaveLength(1);
+
+    const thread = await handler.getThreadByMessage(staged.messageId);
+    expect(thread.messages.at(-1)).toMatchObject({
+      direction: 'outbound',
+      queueId: staged.queueId,
+      decision: expect.objectContaining({ approvedBy: 'nick', inReplyToQueueId: inbound.id }),
+    });
+  });
+
+  it('drops a rejected reply without sending', async () => {
+    const { env, handler } = setup();
+    const inbound = await handler.enqueue(INBOUND, { ...TRIAGE, caseRelevant: true }, []);
+    const staged = await handler.stageReply({ queueId: inbound.id, body: 'Draft' });
+
+    const rejected = await handler.updateQueueItem(staged.queueId, 'rejected');
+    expect(rejected.status).toBe('rejected');
+    expect(rejected.delivery).toBeUndefined();
+    expect(env.EMAIL_SENDER.sent).toHaveLength(0);
+  });
+
+  it('never replies on privileged threads, even when approved later', async () => {
+    const { env, handler } = setup();
+    const privileged = await handler.enqueue({ ...INBOUND, privileged: true }, TRIAGE, []);
+    expect(await handler.stageReply({ queueId: privileged.id, body: 'x' }))
+      .toEqual({ outcome: 'suppressed', reason: 'privileged' });
+
+    // Queued before the sender's domain joined the allowlist.
+    const inbound = await handler.enqueue(INBOUND, { ...TRIAGE, caseRelevant: true }, []);
+    const staged = await handler.stageReply({ queueId: inbound.id, body: 'x' });
+    env.PRIVILEGED_SENDER_DOMAINS = 'counsel.test,vendor.test';
+    const approved = await handler.updateQueueItem(staged.queueId, 'approved');
+    expect(approved.delivery).toEqual({ outcome: 'suppressed', reason: 'privileged' });
+    expect(env.EMAIL_SENDER.sent).toHaveLength(0);
+  });
+
+  it('sends a ResponseAgent draft and marks it sent', async () => {
+    const calls = [];
+    const drafts = {
+      idFromName: (name) => name,
+      get: () => ({
+        async fetch(request) {
+          const url = new URL(request.url);
+          if (url.pathname.includes('/cdn-cgi/partyserver/')) return new Response('ok');
+          calls.push({ method: request.method, path: url.pathname });
+          if (url.pathname === '/draft/7') {
+            return Response.json({ draft: { id: 7, queueId: inboundId, subject: 'Re: Invoice 42', body: 'Thanks — paid today.' } });
+          }
+          return Response.json({ id: 7, sent: true });
+        },
+      }),
+    };
+    const { env, handler } = setup({ RESPONSE_AGENT: drafts });
+    const inboundId = (await handler.enqueue(INBOUND, TRIAGE, [])).id;
+
+    const result = await handler.stageReply({ draftId: 7 });
+    expect(result.outcome).toBe('sent');
+    expect(env.EMAIL_SENDER.sent[0].raw).toContain('Thanks');
+    expect(calls.map((c) => `${c.method} ${c.path}`)).toEqual(['GET /draft/7', 'POST /draft/7/sent']);
+  });
+
+  it('reports unknown items, missing bodies and send failures', async () => {
+    const { handler } = setup({ EMAIL_SENDER: undefined });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect((await handler.stageReply({ queueId: 'q-missing', body: 'x' })).outcome).toBe('not_found');
+    expect((await handler.stageReply({ queueId: 'q-1' })).outcome).toBe('invalid');
+
+    const inbound = await handler.enqueue(INBOUND, TRIAGE, []);
+    expect(await handler.stageReply({ queueId: inbound.id, body: 'x' }))
+      .toEqual({ outcome: 'failed', error: 'EMAIL_SENDER binding not configured' });
+  });
+
+  it('records inbound mail in the thread store, redacted when privileged', async () => {
+    const { env, handler } = setup({ AI: { run: vi.fn(async () => { throw new Error('offline'); }) } });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const raw = [
+      'From: Counsel <p@counsel.test>', 'To: intake@chitty.cc', 'Subject: Settlement terms',
+      'Message-ID: <m5@counsel.test>', 'References: <m4@chitty.cc>', '', 'Privileged body.', '',
+    ].join('\r\n');
+    const bytes = new TextEncoder().encode(raw);
+    const message = {
+      from: 'p@counsel.test',
+      to: 'intake@chitty.cc',
+      headers: new Map([['subject', 'Settlement terms'], ['message-id', '<m5@counsel.test>'], ['references', '<m4@chitty.cc>']]),
+      raw: new ReadableStream({ start(c) { c.enqueue(bytes); c.close(); } }),
+      forward: async () => {},
+    };
+
+    await handler.handleEmail(message, env, {});
+    const thread = await handler.getThreadByMessage('<m5@counsel.test>');
+    expect(thread.thread.privileged).toBe(true);
+    expect(thread.messages).toEqual([
+      expect.objectContaining({ direction: 'inbound', messageId: '<m5@counsel.test>', metadataOnly: true }),
+    ]);
+    expect(JSON.stringify(thread)).not.toContain('Settlement terms');
+  });
+});
@@ -30,6 +30,7 @@ import {
   privilegedSenderDomains,
 } from '../../src/config/privilege-gate.js';
 import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
+import { makeReviewQueueBinding } from '../data/review-queue-binding.js';
 
 // The privileged firm domains are DEPLOY-SET (never committed). Tests pass them
 // the same way ops will — via env. These are the canonical three from
@@ -169,6 +170,8 @@ function makeGateEnv(overrides = {}) {
         },
         async put(k, v) { this._store.set(k, v); },
       },
+      // review queue is a metadata-only sink too; its requests join the dump
+      REVIEW_QUEUE_AGENT: makeReviewQueueBinding(),
       // routing mode 'auto' so logEmail runs (exercises the metadata-only sink)
       ...overrides,
     },
@@ -201,12 +204,12 @@ describe('handleEmail: pre-triage privilege GATE (F-L10 end-to-end)', () => {
     expect(res.success).toBe(true);
     expect(res.attachmentsStored).toBe(0);
 
-    // metadata-only: privileged body/subject NOT in any KV sink
-    const dump = JSON.stringify([...env.AI_CACHE._store.entries()]);
+    // metadata-only: privileged body/subject NOT in any KV or review-queue sink
+    const dump = JSON.stringify([...env.AI_CACHE._store.entries(), ...env.REVIEW_QUEUE_AGENT.requests]);
     expect(dump).not.toContain('attorney-client privileged body');
     expect(dump).not.toContain('settlement posture');
     expect(dump).toContain('[REDACTED — privileged_legal]');
-    // attachment FILENAMES are privileged too — must not persist to any KV sink
+    // attachment FILENAMES are privileged too — must not persist to any KV or review-queue sink
     expect(dump).not.toContain('exhibit.pdf');
     expect(dump).toContain('names redacted');
   });
@@ -227,10 +230,33 @@ describe('handleEmail: pre-triage privilege GATE (F-L10 end-to-end)', () => {
     expect(aiRun).not.toHaveBeenCalled();
     expect(r2Put).not.toHaveBeenCalled();
     expect(message.forwards.length).toBe(1);
-    const dump = JSON.stringify([...env.AI_CACHE._store.entries()]);
+    const dump = JSON.stringify([...env.AI_CACHE._store.entries(), ...env.REVIEW_QUEUE_AGENT.requests]);
     expect(dump).not.toContain('discovery work product');
   });
 
+  it('EVIDENCE_AUTO_INGEST on: privileged case mail NEVER reaches EvidenceAgent', async () => {
+    const evidenceFetch = vi.fn(async () => new Response('{}'));
+    const { env, r2Put } = makeGateEnv({
+      PRIVILEGED_SENDER_DOMAINS: PRIV_DOMAINS,
+      EVIDENCE_AUTO_INGEST: 'true',
+      EVIDENCE_AGENT: { idFromName: (name) => name, get: () => ({ fetch: evidenceFetch }) },
+    });
+    await setAutoMode(env);
+    const handler = new CloudflareEmailHandler(env);
+    const message = makeRawMessage({
+      from: 'opposing@some-firm.example',
+      to: 'arias-v-bianchi@chitty.cc',
+      subject: 'Arias v Bianchi — exhibits',
+      body: 'Privileged exhibit cover note.',
+    });
+
+    await handler.handleEmail(message, env, {});
+
+    expect(r2Put).not.toHaveBeenCalled();
+    expect(evidenceFetch).not.toHaveBeenCalled();    // no exhibit, no custody entry
+    expect(message.forwards.length).toBe(1);
+  });
+
   it('NON-privileged mail → AI IS called and R2 IS written (unchanged behavior)', async () => {
     const { env, aiRun, r2Put } = makeGateEnv({ PRIVILEGED_SENDER_DOMAINS: PRIV_DOMAINS });
     await setAutoMode(env);
@@ -0,0 +1,240 @@
+/**
+ * Unit tests for the registered-mail ledger (src/email/registered-ledger.js):
+ * RPost status normalization, forward-only state changes, the poll step
+ * (receipt archival to R2 and EvidenceAgent) and the timeline message, with
+ * a stubbed provider, an in-memory R2 bucket and a recording evidence binding.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  RECEIPT_READY_MS,
+  TRACKING_WINDOW_MS,
+  advanceDeliveryState,
+  deliveryStateOf,
+  nextPollDelayMs,
+  observedDeliveryState,
+  parseLedgerFilters,
+  pollRegisteredEntry,
+  receiptDue,
+  registeredThreadMessage,
+} from '../../src/email/registered-ledger.js';
+import { clearShardRegistrationCache } from '../../src/utils/agent-shards.js';
+import { makeThreadBinding } from '../data/thread-binding.js';
+
+const T0 = Date.UTC(2026, 9, 1, 12);
+const HOUR = 60 * 60 * 1000;
+
+const entry = (overrides = {}) => ({
+  idempotencyKey: 'notice-1',
+  provider: 'rpost',
+  accountId: 'legal',
+  externalId: 'TRACK-1',
+  to: 'tenant@example.com',
+  from: 'legal@chitty.cc',
+  subject: 'Notice to cure',
+  caseSlug: 'arias-v-bianchi',
+  org: null,
+  expectsSignature: false,
+  state: 'sent',
+  recipients: [],
+  events: [{ state: 'sent', at: new Date(T0).toISOString() }],
+  tracking: 'active',
+  receipt: null,
+  polls: 0,
+  sentAt: new Date(T0).toISOString(),
+  ...overrides,
+});
+
+function makeProvider(statuses, { receiptError = null } = {}) {
+  let call = 0;
+  return {
+    getDeliveryStatus: vi.fn(async () => statuses[Math.min(call++, statuses.length - 1)]),
+    getRegisteredReceipt: vi.fn(async () => {
+      if (receiptError) throw new Error(receiptError);
+      return { contentType: 'application/zip', body: new TextEncoder().encode('PK receipt').buffer };
+    }),
+  };
+}
+
+function makeBucket() {
+  const objects = new Map();
+  return { objects, put: async (key, body, opts) => objects.set(key, { body, ...opts }) };
+}
+
+function makeEvidenceBinding() {
+  const requests = [];
+  const exhibits = new Set();
+  return {
+    requests,
+    idFromName: (name) => name,
+    get: (name) => ({
+      fetch: async (request) => {
+        const url = new URL(request.url);
+        if (url.pathname.includes('/cdn-cgi/partyserver/')) return new Response('ok');
+        const body = request.method === 'POST' ? JSON.parse(await request.text()) : undefined;
+        requests.push({ instance: name, path: url.pathname, body });
+        if (url.pathname === '/ingest') {
+          const status = exhibits.has(body.exhibit_id) ? 409 : 200;
+          exhibits.add(body.exhibit_id);
+          return new Response(JSON.stringify({ exhibit_id: body.exhibit_id }), { status });
+        }
+        return new Response('{}');
+      },
+    }),
+  };
+}
+
+describe('registered ledger: delivery states', () => {
+  it('reads RPost status text', () => {
+    expect(deliveryStateOf('Delivered to Mailbox')).toBe('delivered');
+    expect(deliveryStateOf('All Delivered')).toBe('delivered');
+    expect(deliveryStateOf('Delivered and Opened')).toBe('opened');
+    expect(deliveryStateOf('Signed')).toBe('signed');
+    expect(deliveryStateOf('Undeliverable')).toBe('failed');
+    expect(deliveryStateOf('Bounced')).toBe('failed');
+    expect(deliveryStateOf('In Transit')).toBe('sent');
+  });
+
+  it('takes the slowest recipient that did not fail', () => {
+    expect(observedDeliveryState({
+      status: 'All Delivered',
+      recipients: [
+        { Address: 'a@x', DeliveryStatus: 'Delivered to Mailbox', OpenStatus: 'Opened' },
+        { Address: 'b@x', DeliveryStatus: 'Delivered to Mailbox' },
+        { Address: 'c@x', DeliveryStatus: 'Bounced' },
+      ],
+    })).toEqual({
+      state: 'delivered',
+      recipients: [{ address: 'a@x', state: 'opened' }, { address: 'b@x', state: 'delivered' }, { address: 'c@x', state: 'failed' }],
+    });
+    expect(observedDeliveryState({ recipients: [{ Address: 'c@x', DeliveryStatus: 'Bounced' }] }).state).toBe('failed');
+    expect(observedDeliveryState({ status: 'Opened' }).state).toBe('opened');
+  });
+
+  it('only moves forward, and fails only before the message is opened', () => {
+    expect(advanceDeliveryState('sent', 'delivered')).toBe('delivered');
+    expect(advanceDeliveryState('opened', 'delivered')).toBe('opened');
+    expect(advanceDeliveryState('delivered', 'failed')).toBe('failed');
+    expect(advanceDeliveryState('opened', 'failed')).toBe('opened');
+    expect(advanceDeliveryState('failed', 'signed')).toBe('failed');
+  });
+
+  it('polls less often as an entry ages and fetches the receipt after two hours', () => {
+    expect(nextPollDelayMs(HOUR)).toBe(0);
+    expect(nextPollDelayMs(2 * 24 * HOUR)).toBe(6 * HOUR);
+    expect(nextPollDelayMs(10 * 24 * HOUR)).toBe(24 * HOUR);
+
+    expect(receiptDue(entry({ state: 'delivered' }), T0 + HOUR)).toBe(false);
+    expect(receiptDue(entry({ state: 'delivered' }), T0 + RECEIPT_READY_MS)).toBe(true);
+    expect(receiptDue(entry(), T0 + RECEIPT_READY_MS)).toBe(false);
+  });
+
+  it('parses list filters', () => {
+    expect(parseLedgerFilters(new URLSearchParams('state=opened&case=a'))).toEqual({
+      filters: { state: 'opened', tracking: null, caseSlug: 'a', limit: 50 },
+      errors: [],
+    });
+    expect(parseLedgerFilters(new URLSearchParams('state=lost&tracking=x&limit=0')).errors).toHaveLength(3);
+  });
+});
+
+describe('registered ledger: polling and receipt archival', () => {
+  let env;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    clearShardRegistrationCache();
+    env = { DOCUMENT_STORAGE: makeBucket(), EVIDENCE_AGENT: makeEvidenceBinding() };
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it('advances the state and keeps polling until the receipt is due', async () => {
+    const provider = makeProvider([{ status: 'Delivered to Mailbox', recipients: [] }]);
+    const { entry: next, advanced, archived } = await pollRegisteredEntry(env, entry(), provider, { now: T0 + HOUR });
+
+    expect(advanced).toBe(true);
+    expect(archived).toBe(false);
+    expect(next).toMatchObject({ state: 'delivered', tracking: 'active', polls: 1, nextPollAt: new Date(T0 + HOUR).toISOString() });
+    expect(next.events.map((e) => e.state)).toEqual(['sent', 'delivered']);
+    expect(provider.getRegisteredReceipt).not.toHaveBeenCalled();
+  });
+
+  it('archives the receipt to R2 and evidence, then completes once opened', async () => {
+    const provider = makeProvider([{ status: 'Delivered and Opened', recipients: [] }]);
+    const now = T0 + 3 * HOUR;
+    const { entry: next, archived } = await pollRegisteredEntry(env, entry({ state: 'delivered' }), provider, { now });
+
+    expect(archived).toBe(true);
+    const r2Path = 'registered-receipts/arias-v-bianchi/2026-10-01/TRACK-1.zip';
+    expect(next.receipt).toMatchObject({ r2Path, exhibitId: 'RR-TRACK-1', shard: null, size: 10 });
+    expect(next.receipt.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(env.DOCUMENT_STORAGE.objects.get(r2Path).customMetadata).toMatchObject({
+      externalId: 'TRACK-1',
+      deliveryState: 'opened',
+      sha256: next.receipt.sha256,
+    });
+
+    const [ingest] = env.EVIDENCE_AGENT.requests;
+    expect(ingest).toMatchObject({
+      instance: 'EVIDENCE_AGENT',
+      path: '/ingest',
+      body: { exhibit_id: 'RR-TRACK-1', category: 'communication', case_id: 'arias-v-bianchi', r2_path: r2Path },
+    });
+    expect(next).toMatchObject({ state: 'opened', tracking: 'complete', nextPollAt: null, lastError: null });
+  });
+
+  it('keeps tracking a signature request until it is signed', async () => {
+    const provider = makeProvider([{ status: 'Opened' }]);
+    const { entry: next } = await pollRegisteredEntry(env, entry({ state: 'delivered', expectsSignature: true }), provider, { now: T0 + 3 * HOUR });
+    expect(next).toMatchObject({ state: 'opened', tracking: 'active' });
+  });
+
+  it('files the receipt in the case shard when sharding is on', async () => {
+    env.AGENT_SHARDING_ENABLED = 'true';
+    const provider = makeProvider([{ status: 'Delivered' }]);
+    const { entry: next } = await pollRegisteredEntry(env, entry({ state: 'delivered' }), provider, { now: T0 + 3 * HOUR });
+
+    expect(next.receipt.shard).toBe('case:arias-v-bianchi');
+    expect(env.EVIDENCE_AGENT.requests.map((r) => [r.instance, r.path])).toEqual([
+      ['EVIDENCE_AGENT', '/shard/register'],
+      ['EVIDENCE_AGENT~case:arias-v-bianchi', '/ingest'],
+    ]);
+  });
+
+  it('records a failed step and retries it on the next poll', async () => {
+    const failing = makeProvider([{ status: 'Delivered' }], { receiptError: 'RPost receipt failed (404)' });
+    const first = await pollRegisteredEntry(env, entry({ state: 'delivered' }), failing, { now: T0 + 3 * HOUR });
+    expect(first.entry).toMatchObject({ receipt: null, tracking: 'active', lastError: 'receipt: RPost receipt failed (404)' });
+
+    const second = await pollRegisteredEntry(env, first.entry, makeProvider([{ status: 'Delivered' }]), { now: T0 + 4 * HOUR });
+    expect(second.archived).toBe(true);
+    expect(second.entry.lastError).toBeNull();
+  });
+
+  it('stops tracking once the receipt window has passed', async () => {
+    const provider = makeProvider([{ status: 'Delivered' }], { receiptError: 'gone' });
+    const { entry: next } = await pollRegisteredEntry(env, entry({ state: 'delivered' }), provider, { now: T0 + TRACKING_WINDOW_MS });
+    expect(next).toMatchObject({ tracking: 'expired', nextPollAt: null });
+  });
+});
+
+describe('registered ledger: case timeline', () => {
+  it('records a registered send as an outbound message on its case timeline', async () => {
+    const threads = makeThreadBinding();
+    const message = registeredThreadMessage(entry({ attachmentCount: 2 }));
+    expect(message).toMatchObject({
+      messageId: '<registered.TRACK-1@rpost.chittyrouter>',
+      direction: 'outbound',
+      caseSlug: 'arias-v-bianchi',
+      decision: { type: 'registered', externalId: 'TRACK-1', idempotencyKey: 'notice-1' },
+    });
+
+    const stub = threads.get(threads.idFromName('THREAD_AGENT'));
+    await stub.fetch(new Request('https://agent/ingest', { method: 'POST', body: JSON.stringify({ message }) }));
+    const res = await stub.fetch(new Request('https://agent/timeline?case=arias-v-bianchi'));
+    const { entries } = await res.json();
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ direction: 'outbound', subject: 'Notice to cure', attachmentCount: 2 });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for the routing replay harness: record normalization and
+ * diffing (src/email/replay.js), CloudflareEmailHandler.replayRecords /
+ * replayRecent, and the fixture-corpus regression gate
+ * (tests/data/replay-harness.js).
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  recordFromQueueItem,
+  recordFromReceipt,
+  storageBase,
+  describeDestination,
+  diffOutcome,
+  createReplayAI,
+  recordedAIResponse,
+} from '../../src/email/replay.js';
+import { _clearRoutingRulesCache } from '../../src/email/routing-rules.js';
+import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
+import { makeReviewQueueBinding } from '../data/review-queue-binding.js';
+import { replayCorpusRecords } from '../data/replay-corpus.js';
+import { replayEnv, replayCorpus, describeChanges, expectNoRoutingChanges } from '../data/replay-harness.js';
+
+const byId = (report, id) => report.results.find(r => r.id === id);
+
+describe('replay: records', () => {
+  it('derives the storage base from an R2 key', () => {
+    expect(storageBase('business/aribia/financial/2026-06-01/abc123/invoice.pdf')).toBe('business/aribia/financial');
+    expect(storageBase('invoice.pdf')).toBeNull();
+  });
+
+  it('describes destinations comparably', () => {
+    expect(describeDestination({ type: 'multi-forward', to: ['A@x.test', 'b@y.test'] })).toBe('forward:a@x.test,b@y.test');
+    expect(describeDestination({ type: 'reject', reason: 'no' })).toBe('reject');
+    expect(describeDestination(undefined)).toBeUndefined();
+  });
+
+  it('reads queue items, keeping privileged ones content-free', () => {
+    const record = recordFromQueueItem({
+      id: 'q-1',
+      receivedAt: '2026-06-01T00:00:00.000Z',
+      metadataOnly: true,
+      email: { from: 'p@counsel.test', to: 'intake@chitty.cc', subject: '[REDACTED — privileged_legal]', bodyPreview: '', attachments: ['[1 attachment(s) — names redacted]'] },
+      aiClassification: { category: 'legal', urgency: 'HIGH', reasons: ['privileged_legal'] },
+      storedPaths: [],
+      routing: { decision: { type: 'forward', to: ['nick@aribia.cc'], source: 'address-route' } },
+      finalClassification: { category: 'case' },
+    });
+    expect(record.metadataOnly).toBe(true);
+    expect(record.email.attachmentNames).toEqual([]);
+    expect(record.recorded.destination).toBe('forward:nick@aribia.cc');
+    expect(record.recorded.storagePath).toBeNull();
+    expect(record.reviewedCategory).toBe('case');
+  });
+
+  it('recognizes privileged receipts and leaves unknown outcomes undefined', () => {
+    const privileged = recordFromReceipt({
+      id: 'rcpt-1', from: 'p@counsel.test', to: 'intake@chitty.cc',
+      subject: '[REDACTED — privileged_legal]', classification: { category: 'legal', urgency: 'HIGH', reasons: [] },
+    });
+    expect(privileged.metadataOnly).toBe(true);
+    expect(privileged.email.subject).toBe('');
+
+    const legacy = recordFromReceipt({
+      id: 'rcpt-2', from: 'a@b.test', to: 'intake@chitty.cc', subject: 'Hello',
+      classification: { category: 'business', urgency: 'LOW', reasons: [] },
+      attachments: [],
+    });
+    expect(legacy.recorded.destination).toBeUndefined();
+    expect(legacy.recorded.storagePath).toBeUndefined();
+  });
+
+  it('diffs only fields the record knows, and not urgency on metadata-only records', () => {
+    const recorded = { category: 'legal', urgency: 'HIGH', destination: undefined, storagePath: undefined };
+    const replayed = { category: 'legal', urgency: 'MEDIUM', destination: 'forward:x@y.test', storagePath: 'inbox' };
+    expect(diffOutcome(recorded, replayed)).toEqual(['urgency']);
+    expect(diffOutcome(recorded, replayed, { metadataOnly: true })).toEqual([]);
+  });
+
+  it('stubs the AI with a responder and never calls the live binding', async () => {
+    const ai = createReplayAI(() => ({ category: 'spam' }));
+    ai.record = { id: 'x' };
+    const res = await ai.run('@cf/model', { messages: [{ role: 'user', content: 'prompt text' }] });
+    expect(JSON.parse(res.response)).toEqual({ category: 'spam' });
+    expect(ai.prompts).toEqual(['prompt text']);
+    expect((await createReplayAI(() => null).run('m', {})).response).toBe('');
+  });
+});
+
+describe('replay: fixture corpus', () => {
+  beforeEach(() => _clearRoutingRulesCache());
+
+  it('replays the corpus without changes', async () => {
+    const report = await replayCorpus(replayCorpusRecords);
+    expect(report.evaluated).toBe(replayCorpusRecords.length);
+    expectNoRoutingChanges(report);
+    expect(byId(report, 'fx-vendor-invoice').triagePath).toBe('ai');
+    expect(byId(report, 'fx-hearing-notice').triagePath).toBe('rules');
+    expect(byId(report, 'fx-case-alias').triagePath).toBe('privileged');
+  });
+
+  it('reports a changed AI answer as category and storage-path changes', async () => {
+    const report = await replayCorpus(replayCorpusRecords, {
+      respond: (record) => (record.id === 'fx-vendor-invoice'
+        ? { ...recordedAIResponse(record), category: 'business', entity: null }
+        : recordedAIResponse(record)),
+    });
+    expect(describeChanges(report)).toEqual([
+      'fx-vendor-invoice category: financial → business',
+      'fx-vendor-invoice storagePath: business/aribia/financial → inbox/unsorted/business',
+    ]);
+    expect(report.byField).toMatchObject({ category: 1, storagePath: 1, destination: 0 });
+  });
+
+  it('reports a case-registry destination change', async () => {
+    const report = await replayCorpus(replayCorpusRecords, {
+      env: replayEnv({ CASE_FORWARD_ARIAS_V_BIANCHI: undefined }),
+    });
+    expect(describeChanges(report)).toEqual([
+      'fx-case-alias destination: forward:case-desk@acme.test → forward:nick@aribia.llc',
+    ]);
+  });
+
+  it('never sends privileged records to the model or reports their subject', async () => {
+    const env = replayEnv({ PRIVILEGED_SENDER_DOMAINS: 'counsel.test,vendor.test' });
+    const prompts = [];
+    const report = await replayCorpus(replayCorpusRecords, {
+      env,
+      respond: (record) => { prompts.push(record.id); return null; },
+    });
+    expect(prompts).not.toContain('fx-vendor-invoice');
+    const vendor = byId(report, 'fx-vendor-invoice');
+    expect(vendor.triagePath).toBe('privileged');
+    expect(vendor.changed).toEqual(['category', 'urgency', 'storagePath']);
+    expect(JSON.stringify(report)).not.toContain('Invoice 42');
+  });
+});
+
+describe('replay: stored mail', () => {
+  beforeEach(() => _clearRoutingRulesCache());
+
+  it('replays review-queue items and compares against the reviewer', async () => {
+    const queue = makeReviewQueueBinding();
+    queue.items.set('q-1', {
+      id: 'q-1',
+      status: 'corrected',
+      receivedAt: '2026-06-01T00:00:00.000Z',
+      metadataOnly: false,
+      email: { from: 'landlord@rent.test', to: 'intake@chitty.cc', subject: 'Rent past due', bodyPreview: 'Your rent is past due.', attachments: [] },
+      aiClassification: { category: 'property', urgency: 'HIGH', reasons: ['property'], aiClassified: false },
+      storedPaths: [],
+      routing: { decision: { type: 'forward', to: ['nick@aribia.cc'], source: 'address-route' } },
+      finalClassification: { category: 'financial' },
+    });
+    const handler = new CloudflareEmailHandler(replayEnv({ REVIEW_QUEUE_AGENT: queue }));
+
+    const report = await handler.replayRecent({ source: 'queue', limit: 10 });
+    expect(queue.requests.at(-1).search).toBe('limit=10');
+    const result = byId(report, 'q-1');
+    expect(result.triagePath).toBe('rules');
+    expect(result.replayed.destination).toBe('forward:nick@aribia.cc');
+    expect(result.changed).toEqual(['category']);
+    expect(report.review).toEqual({ reviewed: 1, agreedBefore: 0, agreedAfter: 1 });
+  });
+
+  it('replays receipts and filters to changed results on request', async () => {
+    const env = replayEnv();
+    await env.AI_CACHE.put('email_receipts_recent', JSON.stringify([
+      {
+        id: 'rcpt-1', receivedAt: '2026-06-01T00:00:00.000Z', from: 'news@list.test', to: 'hello@chitty.cc',
+        subject: 'Spring newsletter', classification: { category: 'personal', urgency: 'INFO', reasons: [] },
+        attachments: [], routing: { decision: { type: 'forward', to: ['nick@aribia.llc'], source: 'default' } },
+      },
+      {
+        id: 'rcpt-2', receivedAt: '2026-06-01T00:00:00.000Z', from: 'news@list.test', to: 'hello@chitty.cc',
+        subject: 'Spring newsletter', classification: { category: 'spam', urgency: 'INFO', reasons: [] },
+        attachments: [], routing: { decision: { type: 'store-only', source: 'rule', ruleId: 4 } },
+      },
+    ]));
+    const handler = new CloudflareEmailHandler(env);
+
+    const report = await handler.replayRecent({ source: 'receipts', changedOnly: true });
+    expect(report.evaluated).toBe(2);
+    expect(report.results.map(r => r.id)).toEqual(['rcpt-2']);
+    expect(report.results[0].changed).toEqual(['category', 'destination']);
+  });
+});
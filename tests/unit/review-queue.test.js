@@ -0,0 +1,208 @@
+/**
+ * Unit tests for the review queue contract (src/email/review-queue.js) and
+ * CloudflareEmailHandler's queue client on top of it.
+ *
+ * The SQL runs inside ReviewQueueAgent (no local Durable Object runtime under
+ * node), so the query builder is asserted on its SQL + params, and the handler
+ * is driven against the in-memory binding in tests/data/review-queue-binding.js.
+ * The agent itself is covered live in tests/integration/review-queue-agent.test.js.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  parseQueueFilters,
+  buildQueueQuery,
+  encodeCursor,
+  decodeCursor,
+  queueItemColumns,
+  filtersToSearch,
+  senderAddress,
+  QUEUE_PAGE_MAX,
+} from '../../src/email/review-queue.js';
+import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
+import { makeReviewQueueBinding } from '../data/review-queue-binding.js';
+
+function makeKv() {
+  return {
+    _store: new Map(),
+    async get(k, type) {
+      const v = this._store.get(k);
+      return v === undefined ? null : (type === 'json' ? JSON.parse(v) : v);
+    },
+    async put(k, v) { this._store.set(k, v); },
+    async delete(k) { this._store.delete(k); },
+  };
+}
+
+const EMAIL = {
+  from: 'Billing <Billing@Acme.test>', to: 'intake@chitty.cc', cc: '',
+  subject: 'Statement', date: 'now', content: 'Your statement', attachmentNames: [],
+};
+const TRIAGE = {
+  category: 'financial', urgencyLevel: 'MEDIUM', caseRelevant: false, entity: null,
+  summary: 'statement', reasons: [], aiClassified: true,
+};
+
+describe('review-queue: filters', () => {
+  it('normalizes list, sender, date and limit params', () => {
+    const { filters, errors } = parseQueueFilters(new URLSearchParams(
+      'status=pending,corrected&urgency=high&category=Legal&sender=Dana <Dana@X.test>&since=2026-06-01&limit=500',
+    ));
+    expect(errors).toEqual([]);
+    expect(filters).toEqual({
+      status: ['pending', 'corrected'],
+      urgency: ['HIGH'],
+      category: ['legal'],
+      sender: 'dana@x.test',
+      since: '2026-06-01T00:00:00.000Z',
+      limit: QUEUE_PAGE_MAX,
+    });
+  });
+
+  it('reports unknown statuses, bad dates and bad cursors', () => {
+    const { errors } = parseQueueFilters({ status: 'done', until: 'yesterday', cursor: '!!', limit: '0' });
+    expect(errors).toHaveLength(4);
+  });
+
+  it('filters by kind, defaulting unkinded items to inbound', () => {
+    const { filters, errors } = parseQueueFilters({ kind: 'outbound' });
+    expect(errors).toEqual([]);
+    expect(buildQueueQuery(filters).sql).toContain('kind IN (?)');
+    expect(parseQueueFilters({ kind: 'draft' }).errors).toEqual(['unknown kind: draft']);
+    expect(queueItemColumns({ id: 'q-1', status: 'pending', receivedAt: 't' }).kind).toBe('inbound');
+  });
+
+  it('round-trips cursors and rejects malformed ones', () => {
+    const pos = { receivedAt: '2026-06-01T10:00:00.000Z', id: 'q-1-abc' };
+    expect(decodeCursor(encodeCursor(pos))).toEqual(pos);
+    expect(decodeCursor(encodeCursor(pos)).id).toBe('q-1-abc');
+    expect(decodeCursor('bm9wZQ')).toBeNull();
+  });
+
+  it('filtersToSearch is the inverse of parseQueueFilters', () => {
+    const { filters } = parseQueueFilters({
+      status: 'pending', sender: '@acme.test', limit: '10',
+      cursor: encodeCursor({ receivedAt: '2026-06-01T00:00:00.000Z', id: 'q-9' }),
+    });
+    expect(parseQueueFilters(new URLSearchParams(filtersToSearch(filters))).filters).toEqual(filters);
+  });
+});
+
+describe('review-queue: query builder', () => {
+  it('builds keyset pagination over indexed columns', () => {
+    const { sql, params, limit } = buildQueueQuery({
+      status: ['pending'],
+      sender: '@acme.test',
+      until: '2026-07-01T00:00:00.000Z',
+      cursor: { receivedAt: '2026-06-10T00:00:00.000Z', id: 'q-5' },
+      limit: 20,
+    });
+    expect(sql).toContain('status IN (?)');
+    expect(sql).toContain('sender_domain = ?');
+    expect(sql).toContain('received_at < ?');
+    expect(sql).toContain('(received_at < ? OR (received_at = ? AND id < ?))');
+    expect(sql).toMatch(/ORDER BY received_at DESC, id DESC LIMIT \?$/);
+    expect(params).toEqual([
+      'pending', 'acme.test', '2026-07-01T00:00:00.000Z',
+      '2026-06-10T00:00:00.000Z', '2026-06-10T00:00:00.000Z', 'q-5', 21,
+    ]);
+    expect(limit).toBe(20);
+  });
+
+  it('has no WHERE clause without filters', () => {
+    const { sql, params } = buildQueueQuery();
+    expect(sql).not.toContain('WHERE');
+    expect(params).toEqual([51]);
+  });
+
+  it('indexes the reviewer classification once there is one', () => {
+    const cols = queueItemColumns({
+      id: 'q-1', status: 'corrected', receivedAt: 't',
+      email: { from: 'A <a@Acme.test>' },
+      aiClassification: { category: 'business', urgency: 'LOW' },
+      finalClassification: { category: 'legal' },
+    });
+    expect(cols).toMatchObject({ category: 'legal', urgency: 'LOW', sender: 'a@acme.test', sender_domain: 'acme.test' });
+    expect(senderAddress('plain@x.test')).toBe('plain@x.test');
+  });
+});
+
+describe('CloudflareEmailHandler: review queue client', () => {
+  function setup() {
+    const queue = makeReviewQueueBinding();
+    const env = { AI_CACHE: makeKv(), REVIEW_QUEUE_AGENT: queue };
+    return { queue, env, handler: new CloudflareEmailHandler(env) };
+  }
+
+  it('enqueue persists through the agent and returns the versioned item', async () => {
+    const { queue, handler } = setup();
+    const item = await handler.enqueue(EMAIL, TRIAGE, [{ key: 'x/y.pdf' }]);
+    expect(item.version).toBe(1);
+    expect(queue.items.get(item.id).storedPaths).toEqual(['x/y.pdf']);
+  });
+
+  it('getQueue keeps the (status, limit) signature', async () => {
+    const { queue, handler } = setup();
+    await handler.enqueue(EMAIL, TRIAGE, []);
+    const items = await handler.getQueue('pending', 5);
+    expect(items).toHaveLength(1);
+    expect(queue.requests.at(-1).search).toBe('status=pending&limit=5');
+  });
+
+  it('a stale expectedVersion conflicts and skips training + R2 side effects', async () => {
+    const { handler } = setup();
+    const item = await handler.enqueue(EMAIL, TRIAGE, []);
+    await handler.updateQueueItem(item.id, 'approved', null, { expectedVersion: 1 });
+
+    const submit = vi.spyOn(handler, 'submitCorrection');
+    const result = await handler.updateQueueItem(item.id, 'corrected', { category: 'legal' }, { expectedVersion: 1 });
+    expect(result.conflict).toBe(true);
+    expect(result.currentVersion).toBe(2);
+    expect(submit).not.toHaveBeenCalled();
+  });
+
+  it('corrections record the final classification and audit history', async () => {
+    const { handler } = setup();
+    const item = await handler.enqueue(EMAIL, TRIAGE, []);
+    const corrected = await handler.updateQueueItem(item.id, 'corrected', { category: 'legal', reason: 'court filing' });
+    expect(corrected.finalClassification.category).toBe('legal');
+    expect(corrected.version).toBe(2);
+
+    const history = await handler.getQueueItemHistory(item.id);
+    expect(history.map(h => h.action)).toEqual(['enqueued', 'corrected']);
+    expect(await handler.updateQueueItem('q-missing', 'approved')).toBeNull();
+  });
+
+  it('approveAll approves only pending items', async () => {
+    const { handler } = setup();
+    const a = await handler.enqueue(EMAIL, TRIAGE, []);
+    await handler.enqueue(EMAIL, TRIAGE, []);
+    await handler.updateQueueItem(a.id, 'approved');
+    expect(await handler.approveAll()).toEqual({ approved: 1 });
+  });
+
+  it('imports the legacy KV queue once, then drops the index', async () => {
+    const { queue, env, handler } = setup();
+    const legacy = { id: 'q-old', status: 'pending', receivedAt: '2026-01-01T00:00:00.000Z', email: { from: 'a@b.test' } };
+    await env.AI_CACHE.put('email_queue_index', JSON.stringify([{ id: 'q-old' }, { id: 'q-expired' }]));
+    await env.AI_CACHE.put('email_queue_q-old', JSON.stringify(legacy));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const items = await handler.getQueue();
+    expect(items.map(i => i.id)).toEqual(['q-old']);
+    expect(await env.AI_CACHE.get('email_queue_index')).toBeNull();
+
+    await handler.getQueue();
+    expect(queue.requests.filter(r => r.path === '/import')).toHaveLength(1);
+  });
+
+  it('degrades to an unpersisted item and an empty queue without the binding', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const handler = new CloudflareEmailHandler({ AI_CACHE: makeKv() });
+    const item = await handler.enqueue(EMAIL, TRIAGE, []);
+    expect(item.status).toBe('pending');
+    expect(warn).toHaveBeenCalled();
+    expect(await handler.getQueue()).toEqual([]);
+    expect(await handler.approveAll()).toEqual({ approved: 0 });
+  });
+});
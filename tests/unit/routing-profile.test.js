@@ -0,0 +1,438 @@
+/**
+ * Unit tests for the per-deployment routing profile
+ * (src/config/routing-profile.js) and its consumption by
+ * CloudflareEmailHandler (triage prompt, rule-based fallback, storage paths).
+ *
+ * Locks in:
+ *   - the built-in profile reproduces the pre-profile R2 paths byte-for-byte
+ *   - invalid documents are rejected and never replace the last-good profile
+ *   - a cold isolate whose source fails gets no profile, and the handler
+ *     stores mail without triage or forwarding
+ *   - KV/Neon sources load through the DI seam, and saves hot-reload
+ *   - a second principal's profile drives prompt + paths with no code change
+ *
+ * Synthetic *.test principals only — no real party PII beyond what the
+ * built-in profile already carries.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  DEFAULT_ROUTING_PROFILE,
+  ROUTING_PROFILE_KV_KEY,
+  validateRoutingProfile,
+  loadRoutingProfile,
+  routingProfileStatus,
+  saveRoutingProfile,
+  renderStorageTemplate,
+  matchEntity,
+  ruleCategory,
+  defaultCategory,
+  _clearRoutingProfileCache,
+} from '../../src/config/routing-profile.js';
+import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
+import worker from '../../src/unified-worker.js';
+import { makeReviewQueueBinding } from '../data/review-queue-binding.js';
+
+const OTHER_PROFILE = {
+  id: 'acme-test',
+  version: 3,
+  principal: { name: 'Dana Example', role: 'property manager' },
+  matters: [{ slug: 'acme-v-tenant', displayName: 'Acme v. Tenant', caseNumber: 'T-1' }],
+  parties: [{ name: 'Dana Example', role: 'plaintiff' }],
+  entities: [
+    { id: 'ACME', displayName: 'Acme Holdings', storagePath: 'orgs/acme/{category}', senderDomains: ['acme.test'] },
+    { id: 'OPS', displayName: 'Operations', storagePath: 'ops/{category}', keywords: ['work order'] },
+  ],
+  properties: ['1 Test Plaza'],
+  knownSenders: ['city inspector'],
+  categories: ['case', 'legal', 'financial', 'property', 'spam'],
+  defaultCaseSlug: 'acme-v-tenant',
+  storage: { case: 'matters/{caseSlug}/{category}', spam: 'junk', default: 'unsorted/{category}' },
+};
+
+function makeKv(initial = {}) {
+  return {
+    _store: new Map(Object.entries(initial)),
+    async get(k, type) {
+      const v = this._store.get(k);
+      return v === undefined ? null : (type === 'json' ? JSON.parse(v) : v);
+    },
+    async put(k, v) { this._store.set(k, v); },
+  };
+}
+
+beforeEach(() => {
+  _clearRoutingProfileCache();
+});
+
+describe('routing-profile: validation', () => {
+  it('accepts the built-in profile and a second principal', () => {
+    expect(validateRoutingProfile(DEFAULT_ROUTING_PROFILE)).toEqual({ valid: true, errors: [] });
+    expect(validateRoutingProfile(OTHER_PROFILE).valid).toBe(true);
+  });
+
+  it('rejects traversal and unknown placeholders in storage templates', () => {
+    const bad = {
+      ...OTHER_PROFILE,
+      storage: { ...OTHER_PROFILE.storage, case: '../escape/{caseSlug}', default: 'x/{year}' },
+    };
+    const { valid, errors } = validateRoutingProfile(bad);
+    expect(valid).toBe(false);
+    expect(errors.join(' ')).toMatch(/storage\.case/);
+    expect(errors.join(' ')).toMatch(/\{year\}/);
+  });
+
+  it('rejects duplicate entity ids and a defaultCaseSlug outside matters', () => {
+    const bad = {
+      ...OTHER_PROFILE,
+      entities: [OTHER_PROFILE.entities[0], OTHER_PROFILE.entities[0]],
+      defaultCaseSlug: 'nope',
+    };
+    const { errors } = validateRoutingProfile(bad);
+    expect(errors.some(e => e.includes('duplicated'))).toBe(true);
+    expect(errors.some(e => e.includes('defaultCaseSlug'))).toBe(true);
+  });
+
+  it('rejects rule categories, routes and forwards the profile cannot back', () => {
+    const { errors } = validateRoutingProfile({
+      ...OTHER_PROFILE,
+      ruleCategories: { court: 'compliance' },
+      defaultCategory: 'general',
+      routes: {
+        'desk@acme.test': { forward: 'not an address', priority: 'URGENT' },
+        'arias-v-bianchi@chitty.cc': { priority: 'HIGH' },
+      },
+      defaultForward: 'nobody',
+    });
+    expect(errors).toEqual([
+      'ruleCategories.court must be one of categories',
+      'defaultCategory must be one of categories',
+      'routes.desk@acme.test.priority must be one of CRITICAL, HIGH, MEDIUM, LOW',
+      'routes.desk@acme.test.forward must be an email address',
+      'routes.arias-v-bianchi@chitty.cc is a case-registry address',
+      'defaultForward must be an email address',
+    ]);
+  });
+
+  it('rejects non-objects without throwing', () => {
+    expect(validateRoutingProfile(null).valid).toBe(false);
+    expect(validateRoutingProfile([]).valid).toBe(false);
+  });
+});
+
+describe('routing-profile: loading', () => {
+  it('defaults to the built-in profile when no source is configured', async () => {
+    expect(await loadRoutingProfile({})).toBe(DEFAULT_ROUTING_PROFILE);
+  });
+
+  it('loads a valid KV profile', async () => {
+    const env = {
+      ROUTING_PROFILE_SOURCE: 'kv',
+      AI_CACHE: makeKv({ [ROUTING_PROFILE_KV_KEY]: JSON.stringify(OTHER_PROFILE) }),
+    };
+    const profile = await loadRoutingProfile(env);
+    expect(profile.id).toBe('acme-test');
+    expect(Object.isFrozen(profile)).toBe(true);
+  });
+
+  it('keeps the last-good profile when the source turns invalid', async () => {
+    const kv = makeKv({ [ROUTING_PROFILE_KV_KEY]: JSON.stringify(OTHER_PROFILE) });
+    const env = { ROUTING_PROFILE_SOURCE: 'kv', AI_CACHE: kv };
+    await loadRoutingProfile(env);
+
+    await kv.put(ROUTING_PROFILE_KV_KEY, JSON.stringify({ id: 'broken' }));
+    const errSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const profile = await loadRoutingProfile(env, { force: true });
+    expect(profile.id).toBe('acme-test');
+    expect(errSpy).toHaveBeenCalled();
+  });
+
+  it('yields no profile on a cold isolate with a failing Neon source', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const env = { ROUTING_PROFILE_SOURCE: 'neon', ROUTING_PROFILE_ID: 'acme-test' };
+    const profile = await loadRoutingProfile(env, {
+      neonQueryFn: async () => { throw new Error('Neon unreachable (simulated outage)'); },
+    });
+    expect(profile).toBeNull();
+    expect(routingProfileStatus(env)).toMatchObject({
+      configuredSource: 'neon',
+      source: null,
+      profileId: null,
+      error: 'Neon unreachable (simulated outage)',
+    });
+  });
+
+  it('reports the source of the last-good profile while the configured one fails', async () => {
+    const kv = makeKv({ [ROUTING_PROFILE_KV_KEY]: JSON.stringify(OTHER_PROFILE) });
+    const env = { ROUTING_PROFILE_SOURCE: 'kv', AI_CACHE: kv };
+    await loadRoutingProfile(env);
+    expect(routingProfileStatus(env)).toMatchObject({ source: 'kv', profileId: 'acme-test', error: null });
+
+    await kv.put(ROUTING_PROFILE_KV_KEY, JSON.stringify({ id: 'broken' }));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    await loadRoutingProfile(env, { force: true });
+    expect(routingProfileStatus(env)).toMatchObject({ source: 'kv', profileId: 'acme-test' });
+    expect(routingProfileStatus(env).error).toContain('invalid routing profile from "kv"');
+  });
+
+  it('loads from Neon through the injected query function', async () => {
+    const env = { ROUTING_PROFILE_SOURCE: 'neon', ROUTING_PROFILE_ID: 'acme-test' };
+    const profile = await loadRoutingProfile(env, { neonQueryFn: async () => OTHER_PROFILE });
+    expect(profile.principal.name).toBe('Dana Example');
+  });
+
+  it('saveRoutingProfile validates, writes KV and hot-reloads', async () => {
+    const env = { ROUTING_PROFILE_SOURCE: 'kv', AI_CACHE: makeKv() };
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(await loadRoutingProfile(env)).toBeNull(); // nothing stored yet
+
+    const rejected = await saveRoutingProfile(env, { id: 'x' });
+    expect(rejected.success).toBe(false);
+
+    const saved = await saveRoutingProfile(env, OTHER_PROFILE);
+    expect(saved).toEqual({ success: true, id: 'acme-test', version: 3 });
+    expect((await loadRoutingProfile(env)).id).toBe('acme-test');
+  });
+
+  it('refuses to save when the active source is not KV', async () => {
+    const result = await saveRoutingProfile({ AI_CACHE: makeKv() }, OTHER_PROFILE);
+    expect(result.success).toBe(false);
+  });
+});
+
+describe('routing-profile: helpers', () => {
+  it('renderStorageTemplate sanitizes each segment', () => {
+    expect(renderStorageTemplate('cases/{caseSlug}/{category}', { caseSlug: 'a/../b', category: 'legal' }))
+      .toBe('cases/a-..-b/legal');
+    expect(renderStorageTemplate('x/{entity}', {})).toBe('x/unknown');
+  });
+
+  it('maps rule-based hits onto profile categories', () => {
+    expect(ruleCategory(DEFAULT_ROUTING_PROFILE, 'compliance')).toBe('business');
+    expect(ruleCategory(DEFAULT_ROUTING_PROFILE, 'urgent')).toBeNull();
+    expect(defaultCategory(DEFAULT_ROUTING_PROFILE)).toBe('personal');
+    // No ruleCategories: a hit keeps its own name only when it is a category.
+    expect(ruleCategory(OTHER_PROFILE, 'property')).toBe('property');
+    expect(ruleCategory(OTHER_PROFILE, 'creditor')).toBeNull();
+    expect(defaultCategory(OTHER_PROFILE)).toBe('case');
+  });
+
+  it('matchEntity prefers sender domain over keywords', () => {
+    expect(matchEntity(OTHER_PROFILE, 'bob@acme.test', 'new work order')).toBe('ACME');
+    expect(matchEntity(OTHER_PROFILE, 'bob@else.test', 'new work order')).toBe('OPS');
+    expect(matchEntity(OTHER_PROFILE, 'bob@else.test', 'hello')).toBeNull();
+  });
+});
+
+describe('CloudflareEmailHandler: profile-driven storage paths', () => {
+  it('built-in profile reproduces the legacy taxonomy', () => {
+    const handler = new CloudflareEmailHandler({});
+    expect(handler.resolveStoragePath({ category: 'legal', caseRelevant: true })).toBe('cases/arias-v-bianchi/legal');
+    expect(handler.resolveStoragePath({ category: 'financial', entity: 'ARIBIA' })).toBe('business/aribia/financial');
+    expect(handler.resolveStoragePath({ category: 'business', entity: 'ITCANBE' })).toBe('business/itcanbe/business');
+    expect(handler.resolveStoragePath({ category: 'personal', entity: 'personal' })).toBe('inbox/nick/personal');
+    expect(handler.resolveStoragePath({ category: 'ops', entity: 'chittyos' })).toBe('ops/ops');
+    expect(handler.resolveStoragePath({ category: 'spam' })).toBe('spam');
+    expect(handler.resolveStoragePath({ category: 'property' })).toBe('inbox/unsorted/property');
+  });
+
+  it('a second principal routes storage without code changes', async () => {
+    const env = {
+      ROUTING_PROFILE_SOURCE: 'kv',
+      AI_CACHE: makeKv({ [ROUTING_PROFILE_KV_KEY]: JSON.stringify(OTHER_PROFILE) }),
+    };
+    const handler = new CloudflareEmailHandler(env);
+    await handler.getRoutingProfile();
+    expect(handler.resolveStoragePath({ category: 'legal', caseRelevant: true })).toBe('matters/acme-v-tenant/legal');
+    expect(handler.resolveStoragePath({ category: 'financial', entity: 'ACME' })).toBe('orgs/acme/financial');
+    expect(handler.resolveStoragePath({ category: 'spam' })).toBe('junk');
+  });
+});
+
+describe('CloudflareEmailHandler: profile-driven triage', () => {
+  it('builds the AI prompt from the active profile and drops unknown entities', async () => {
+    const aiRun = vi.fn(async () => ({
+      response: '{"category":"financial","urgency":"LOW","entity":"ARIBIA","case_relevant":false}',
+    }));
+    const env = {
+      AI: { run: aiRun },
+      ROUTING_PROFILE_SOURCE: 'kv',
+      AI_CACHE: makeKv({ [ROUTING_PROFILE_KV_KEY]: JSON.stringify(OTHER_PROFILE) }),
+    };
+    const handler = new CloudflareEmailHandler(env);
+    await handler.getRoutingProfile();
+
+    const triage = await handler.triageEmail({
+      from: 'x@y.test', to: 'intake@chitty.cc', subject: 'Invoice', date: '', content: 'pay me',
+    });
+
+    const prompt = aiRun.mock.calls[0][1].messages[0].content;
+    expect(prompt).toContain('Dana Example');
+    expect(prompt).toContain('Acme v. Tenant');
+    expect(prompt).toContain('"acme-v-tenant"');
+    expect(prompt).not.toContain('Arias');
+    // ARIBIA is not an entity in this profile — must not become a path segment
+    expect(triage.entity).toBeNull();
+  });
+
+  it('rule-based fallback attributes entities from the profile', async () => {
+    const env = {
+      ROUTING_PROFILE_SOURCE: 'kv',
+      AI_CACHE: makeKv({ [ROUTING_PROFILE_KV_KEY]: JSON.stringify(OTHER_PROFILE) }),
+    };
+    const handler = new CloudflareEmailHandler(env);
+    await handler.getRoutingProfile();
+    const triage = handler.ruleBasedTriage({
+      from: 'Billing <billing@acme.test>', to: 'intake@chitty.cc', subject: 'Statement', content: '',
+    });
+    expect(triage.entity).toBe('ACME');
+    expect(triage.reasons).toContain('entity:ACME');
+  });
+
+  it('rule-based fallback only emits profile categories', async () => {
+    const env = {
+      ROUTING_PROFILE_SOURCE: 'kv',
+      AI_CACHE: makeKv({
+        [ROUTING_PROFILE_KV_KEY]: JSON.stringify({ ...OTHER_PROFILE, ruleCategories: { compliance: 'legal' }, defaultCategory: 'property' }),
+      }),
+    };
+    const handler = new CloudflareEmailHandler(env);
+    await handler.getRoutingProfile();
+    const triage = (content) => handler.ruleBasedTriage({ from: 'x@y.test', to: 'hello@acme.test', subject: '', content });
+    expect(triage('annual report due').category).toBe('legal');
+    expect(triage('see you soon').category).toBe('property');
+    expect(new CloudflareEmailHandler({}).ruleBasedTriage({ from: 'x@y.test', to: 'hello@chitty.cc', subject: '', content: 'hi' }).category)
+      .toBe('personal');
+  });
+});
+
+describe('CloudflareEmailHandler: profile-driven forwarding', () => {
+  const plan = (handler, to) => handler.planRoute({ from: 'x@y.test', to, subject: '' }, {}, { ruleset: { version: 0, compiled: [] } });
+
+  it('forwards through the profile\'s routes and defaultForward', async () => {
+    const env = {
+      ROUTING_PROFILE_SOURCE: 'kv',
+      AI_CACHE: makeKv({
+        [ROUTING_PROFILE_KV_KEY]: JSON.stringify({
+          ...OTHER_PROFILE,
+          routes: { 'desk@acme.test': { forward: 'dana@acme.test', priority: 'HIGH' } },
+          defaultForward: 'inbox@acme.test',
+        }),
+      }),
+    };
+    const handler = new CloudflareEmailHandler(env);
+    expect((await plan(handler, 'legal@chitty.cc')).decision).toMatchObject({ to: ['nick@aribia.cc'], source: 'address-route' });
+
+    await handler.getRoutingProfile();
+    expect((await plan(handler, 'Desk@Acme.test')).decision).toMatchObject({ to: ['dana@acme.test'], source: 'address-route' });
+    expect((await plan(handler, 'legal@chitty.cc')).decision).toMatchObject({ to: ['inbox@acme.test'], source: 'default' });
+  });
+
+  it('stores undecided mail when the profile has no defaultForward', async () => {
+    const env = {
+      ROUTING_PROFILE_SOURCE: 'kv',
+      AI_CACHE: makeKv({ [ROUTING_PROFILE_KV_KEY]: JSON.stringify(OTHER_PROFILE) }),
+    };
+    const handler = new CloudflareEmailHandler(env);
+    await handler.getRoutingProfile();
+    expect((await plan(handler, 'hello@acme.test')).decision).toEqual({
+      type: 'store-only', reason: 'routing profile has no defaultForward', source: 'default',
+    });
+  });
+});
+
+describe('CloudflareEmailHandler: no routing profile', () => {
+  function message(extra = {}) {
+    const raw = 'From: ap@acme.test\r\nTo: hello@chitty.cc\r\nSubject: Invoice 12\r\n'
+      + 'Message-ID: <cold-1@acme.test>\r\nDate: Thu, 12 Jun 2026 10:00:00 +0000\r\n'
+      + 'MIME-Version: 1.0\r\nContent-Type: multipart/mixed; boundary="b"\r\n\r\n'
+      + '--b\r\nContent-Type: text/plain\r\n\r\nPlease see attached.\r\n'
+      + '--b\r\nContent-Type: application/pdf\r\nContent-Disposition: attachment; filename="invoice.pdf"\r\n\r\n%PDF-1.4\r\n'
+      + '--b--\r\n';
+    const bytes = new TextEncoder().encode(raw);
+    return {
+      from: 'ap@acme.test',
+      to: 'hello@chitty.cc',
+      rawSize: bytes.length,
+      headers: new Map([['subject', 'Invoice 12']]),
+      raw: new ReadableStream({ start(c) { c.enqueue(bytes); c.close(); } }),
+      forwards: [],
+      async forward(dest) { this.forwards.push(dest); },
+      ...extra,
+    };
+  }
+
+  let env;
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const puts = [];
+    env = {
+      ROUTING_PROFILE_SOURCE: 'kv',
+      AI_CACHE: makeKv({ [ROUTING_PROFILE_KV_KEY]: JSON.stringify({ id: 'broken' }) }),
+      REVIEW_QUEUE_AGENT: makeReviewQueueBinding(),
+      DOCUMENT_STORAGE: { puts, async put(key) { puts.push(key); } },
+    };
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it('stores mail without triage or forwarding on a cold isolate whose source is invalid', async () => {
+    const handler = new CloudflareEmailHandler(env);
+    handler.inference.complete = vi.fn();
+    const msg = message();
+    const result = await handler.handleEmail(msg, env, {});
+
+    expect(result).toMatchObject({ success: true, unrouted: true, route: 'hold', category: null, attachmentsStored: 1 });
+    expect(handler.inference.complete).not.toHaveBeenCalled();
+    expect(msg.forwards).toEqual([]);
+    expect(env.DOCUMENT_STORAGE.puts).toHaveLength(1);
+    expect(env.DOCUMENT_STORAGE.puts[0]).toMatch(/^unrouted\/\d{4}-\d{2}-\d{2}\/.+\/invoice\.pdf$/);
+    expect(env.REVIEW_QUEUE_AGENT.items.get(result.queueId)).toMatchObject({
+      status: 'pending',
+      aiClassification: { category: null, reasons: ['routing-profile-unavailable'] },
+      routing: { decision: { type: 'store-only', reason: 'routing profile unavailable' } },
+      routingDecision: { route: 'hold', holds: ['routing-profile-unavailable'] },
+    });
+  });
+
+  it('leaves polled mail for the monitor to retry', async () => {
+    const handler = new CloudflareEmailHandler(env);
+    const result = await handler.handleEmail(message({ mailbox: { account: 'ops', sourceId: '1' } }), env, {});
+    expect(result).toEqual({ success: false, error: 'routing profile unavailable' });
+    expect(env.REVIEW_QUEUE_AGENT.items.size).toBe(0);
+  });
+});
+
+describe('/email/profile', () => {
+  const ctx = { waitUntil() {} };
+  const call = async (env, method, body) => {
+    const res = await worker.fetch(new Request('https://router.test/email/profile', {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body,
+    }), env, ctx);
+    return { status: res.status, json: await res.json() };
+  };
+  const authed = (env) => ({ ...env, CHITTYAUTH: { validate: async () => ({ ok: true }) } });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it('rejects a malformed body with 400', async () => {
+    const env = authed({ ROUTING_PROFILE_SOURCE: 'kv', AI_CACHE: makeKv() });
+    expect(await call(env, 'POST', '{"id":')).toEqual({ status: 400, json: { error: 'Invalid JSON body' } });
+  });
+
+  it('reports the source the active profile actually came from', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const kv = makeKv({ [ROUTING_PROFILE_KV_KEY]: JSON.stringify(OTHER_PROFILE) });
+    const env = authed({ ROUTING_PROFILE_SOURCE: 'kv', AI_CACHE: kv });
+    expect((await call(env, 'GET')).json).toMatchObject({ source: 'kv', configuredSource: 'kv', error: null, profile: { id: 'acme-test' } });
+
+    const neon = authed({ ROUTING_PROFILE_SOURCE: 'neon' });
+    const fallback = (await call(neon, 'GET')).json;
+    expect(fallback).toMatchObject({ source: 'kv', configuredSource: 'neon', profile: { id: 'acme-test' } });
+    expect(fallback.error).toContain('HYPERDRIVE');
+  });
+});
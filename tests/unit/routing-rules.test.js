@@ -0,0 +1,280 @@
+/**
+ * Unit tests for the declarative routing-rules engine
+ * (src/email/routing-rules.js) and its consumption by CloudflareEmailHandler
+ * (planRoute precedence, routeEmail actions, dry-run against receipts).
+ *
+ * Rules reach the handler through a stand-in TRIAGE_AGENT binding that
+ * answers GET /rules — the SQLite store itself lives in TriageAgent and has
+ * no local runtime under node. Synthetic *.test addresses only.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  validateRule,
+  ruleFromRow,
+  compileRules,
+  evaluateRules,
+  routingFacts,
+  loadRoutingRules,
+  _clearRoutingRulesCache,
+} from '../../src/email/routing-rules.js';
+import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
+
+const VENDOR_RULE = {
+  id: 1, name: 'vendor invoices', priority: 10, enabled: true, version: 2,
+  match: { sender: '@vendor\\.test$', attachmentTypes: ['application/pdf'] },
+  actions: [{ type: 'forward', to: 'ap@acme.test' }, { type: 'tag', tags: ['vendor'] }],
+};
+const NEWSLETTER_RULE = {
+  id: 2, name: 'newsletters', priority: 5, enabled: true, version: 1,
+  match: { headers: { 'list-id': 'news' } },
+  actions: [{ type: 'store-only' }, { type: 'tag', tags: ['newsletter'] }],
+};
+const CATCH_ALL = {
+  id: 3, name: 'catch-all', priority: -100, enabled: true, version: 1,
+  match: {}, actions: [{ type: 'forward', to: 'inbox@acme.test' }],
+};
+
+function makeKv(initial = {}) {
+  return {
+    _store: new Map(Object.entries(initial)),
+    async get(k, type) {
+      const v = this._store.get(k);
+      return v === undefined ? null : (type === 'json' ? JSON.parse(v) : v);
+    },
+    async put(k, v) { this._store.set(k, v); },
+  };
+}
+
+/** Stand-in for an Agents SDK binding: routes `${METHOD} ${path}` to handlers. */
+function makeAgentBinding(routes) {
+  const calls = [];
+  return {
+    calls,
+    idFromName: (name) => name,
+    get: () => ({
+      async fetch(request) {
+        const url = new URL(request.url);
+        if (url.pathname.includes('/cdn-cgi/partyserver/')) return new Response('ok');
+        const body = request.method === 'POST' ? await request.json() : undefined;
+        calls.push({ method: request.method, path: url.pathname, search: url.search, body });
+        const handler = routes[`${request.method} ${url.pathname}`];
+        return handler
+          ? new Response(JSON.stringify(handler(body, url)), { headers: { 'Content-Type': 'application/json' } })
+          : new Response('{"error":"not found"}', { status: 404 });
+      },
+    }),
+  };
+}
+
+function makeMessage() {
+  const forwards = [];
+  const rejects = [];
+  return {
+    forwards,
+    rejects,
+    forward: async (dest) => { forwards.push(dest); },
+    setReject: (reason) => { rejects.push(reason); },
+  };
+}
+
+beforeEach(() => {
+  _clearRoutingRulesCache();
+});
+
+describe('routing-rules: validation', () => {
+  it('accepts well-formed rules', () => {
+    for (const rule of [VENDOR_RULE, NEWSLETTER_RULE, CATCH_ALL]) {
+      expect(validateRule(rule)).toEqual({ valid: true, errors: [] });
+    }
+  });
+
+  it('rejects bad regexes, unknown conditions and bad actions', () => {
+    const { valid, errors } = validateRule({
+      name: 'bad',
+      match: { subject: '(unclosed', colour: 'red' },
+      actions: [
+        { type: 'forward', to: 'not-an-address' },
+        { type: 'reject', reason: 'x' },
+        { type: 'dispatch', agent: 'MCP_GATEWAY', path: '/x' },
+      ],
+    });
+    expect(valid).toBe(false);
+    const all = errors.join(' | ');
+    expect(all).toMatch(/match\.subject is not a valid regex/);
+    expect(all).toMatch(/match\.colour is not a known condition/);
+    expect(all).toMatch(/at most one forward/);
+    expect(all).toMatch(/actions\[0\]\.to must be an email address/);
+    expect(all).toMatch(/actions\[2\]\.agent/);
+  });
+
+  it('reads legacy pattern → category rows as tag rules', () => {
+    const rule = ruleFromRow({ id: 9, org: 'ChittyOS', pattern: 'invoice', target_category: 'billing_matter', priority: 0, active: 1, conditions: null });
+    expect(rule.legacy).toBe(true);
+    const { tags, disposition } = evaluateRules([rule], routingFacts({ emailData: { from: 'x@y.test', subject: 'Invoice 12' } }));
+    expect(tags).toEqual(['category:billing_matter']);
+    expect(disposition).toBeNull();
+  });
+});
+
+describe('routing-rules: evaluation', () => {
+  const vendorFacts = routingFacts({
+    emailData: { from: 'Billing <billing@vendor.test>', to: 'intake@chitty.cc', subject: 'Invoice 42' },
+    triage: { category: 'financial', urgencyLevel: 'LOW' },
+    headers: { 'list-id': ['<news.vendor.test>'] },
+    attachmentTypes: ['application/pdf'],
+  });
+
+  it('runs rules by descending priority; first disposition wins, tags accumulate', () => {
+    const { disposition, tags, trace } = evaluateRules([CATCH_ALL, NEWSLETTER_RULE, VENDOR_RULE], vendorFacts);
+    expect(disposition).toEqual({ type: 'forward', to: ['ap@acme.test'], ruleId: 1 });
+    expect(tags).toEqual(['vendor', 'newsletter']);
+    expect(trace.map(t => t.ruleId)).toEqual([1, 2, 3]);
+    expect(trace[1].actions[0]).toEqual({ type: 'store-only', applied: false, shadowedBy: 1 });
+  });
+
+  it('stop halts evaluation and the trace records what was skipped', () => {
+    const { trace, tags } = evaluateRules([{ ...VENDOR_RULE, stop: true }, NEWSLETTER_RULE, CATCH_ALL], vendorFacts);
+    expect(tags).toEqual(['vendor']);
+    expect(trace.at(-1)).toEqual({ stoppedBy: 1, skipped: 2 });
+  });
+
+  it('reports the first failing condition without leaking field values', () => {
+    const facts = routingFacts({
+      emailData: { from: 'someone@other.test', subject: 'Secret settlement figures' },
+      attachmentTypes: ['image/png'],
+    });
+    const { trace, disposition } = evaluateRules(compileRules([VENDOR_RULE, NEWSLETTER_RULE]), facts);
+    expect(disposition).toBeNull();
+    expect(trace[0]).toMatchObject({ ruleId: 1, matched: false, failed: 'sender' });
+    expect(trace[1]).toMatchObject({ ruleId: 2, matched: false, failed: 'headers.list-id (unavailable)' });
+    expect(JSON.stringify(trace)).not.toContain('settlement');
+  });
+
+  it('matches attachment type wildcards and triage fields', () => {
+    const rule = {
+      id: 5, name: 'scanned legal', match: { attachmentTypes: ['image/*'], category: ['legal'], urgency: ['high'] },
+      actions: [{ type: 'dispatch', agent: 'EVIDENCE_AGENT', path: '/ingest' }],
+    };
+    const facts = routingFacts({ triage: { category: 'legal', urgencyLevel: 'HIGH' }, attachmentTypes: ['image/jpeg'] });
+    expect(evaluateRules([rule], facts).dispatches).toEqual([{ agent: 'EVIDENCE_AGENT', path: '/ingest', ruleId: 5 }]);
+  });
+
+  it('skips disabled rules', () => {
+    const { disposition } = evaluateRules([{ ...VENDOR_RULE, enabled: false }], vendorFacts);
+    expect(disposition).toBeNull();
+  });
+});
+
+describe('routing-rules: loading', () => {
+  it('caches per org and keeps the last-good ruleset on failure', async () => {
+    const fetchRules = vi.fn(async () => ({ version: 4, rules: [VENDOR_RULE] }));
+    const first = await loadRoutingRules({}, { org: 'acme', fetchRules });
+    await loadRoutingRules({}, { org: 'acme', fetchRules });
+    expect(fetchRules).toHaveBeenCalledTimes(1);
+    expect(first.version).toBe(4);
+    expect(first.compiled).toHaveLength(1);
+
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const failed = await loadRoutingRules({}, {
+      org: 'acme', force: true, fetchRules: async () => { throw new Error('agent down'); },
+    });
+    expect(failed.version).toBe(4);
+  });
+
+  it('is an empty ruleset when the TriageAgent binding is absent', async () => {
+    const rules = await loadRoutingRules({});
+    expect(rules.version).toBe(0);
+    expect(rules.compiled).toEqual([]);
+  });
+});
+
+describe('CloudflareEmailHandler: rules in the routing chain', () => {
+  function makeEnv(rules, extra = {}) {
+    return {
+      AI_CACHE: makeKv(),
+      TRIAGE_AGENT: makeAgentBinding({ 'GET /rules': () => ({ version: 7, rules }) }),
+      ...extra,
+    };
+  }
+
+  it('a matching rule overrides the non-case address route and explains itself', async () => {
+    const handler = new CloudflareEmailHandler(makeEnv([VENDOR_RULE, CATCH_ALL]));
+    const plan = await handler.planRoute(
+      { from: 'billing@vendor.test', to: 'intake@chitty.cc', subject: 'Invoice' },
+      { category: 'financial' },
+      { attachmentTypes: ['application/pdf'] },
+    );
+    expect(plan.decision).toEqual({ type: 'forward', to: ['ap@acme.test'], source: 'rule', ruleId: 1 });
+    expect(plan.trace.rulesetVersion).toBe(7);
+    expect(plan.trace.chain.map(c => c.step)).toEqual(['case-route', 'rules']);
+  });
+
+  it('case-registry routes cannot be overridden by rules', async () => {
+    const env = makeEnv([CATCH_ALL], { CASE_FORWARD_ARIAS_V_BIANCHI: 'counsel@firm.test' });
+    const handler = new CloudflareEmailHandler(env);
+    const message = makeMessage();
+    await handler.routeEmail(message, { from: 'x@y.test', to: 'arias-v-bianchi@chitty.cc', aliasDecision: null }, {});
+    expect(message.forwards).toEqual(['counsel@firm.test']);
+  });
+
+  it('reject, store-only and multi-forward act on the message', async () => {
+    const rules = [
+      { id: 1, name: 'block', priority: 3, match: { sender: 'spam\\.test' }, actions: [{ type: 'reject', reason: 'Blocked sender' }] },
+      { id: 2, name: 'archive', priority: 2, match: { subject: '^\\[digest\\]' }, actions: [{ type: 'store-only' }] },
+      { id: 3, name: 'both', priority: 1, match: { recipient: '^ops@' }, actions: [{ type: 'multi-forward', to: ['a@acme.test', 'b@acme.test'] }] },
+    ];
+    const handler = new CloudflareEmailHandler(makeEnv(rules));
+
+    const rejected = makeMessage();
+    await handler.routeEmail(rejected, { from: 'x@spam.test', to: 'ops@acme.test' }, {});
+    expect(rejected.rejects).toEqual(['Blocked sender']);
+    expect(rejected.forwards).toEqual([]);
+
+    const stored = makeMessage();
+    await handler.routeEmail(stored, { from: 'x@news.test', to: 'me@acme.test', subject: '[digest] weekly' }, {});
+    expect(stored.forwards).toEqual([]);
+
+    const multi = makeMessage();
+    await handler.routeEmail(multi, { from: 'x@ok.test', to: 'ops@acme.test', subject: 'hi' }, {});
+    expect(multi.forwards).toEqual(['a@acme.test', 'b@acme.test']);
+  });
+
+  it('dispatches to agents with the F-L10 redacted payload for privileged mail', async () => {
+    const evidence = makeAgentBinding({ 'POST /ingest': () => ({ ok: true }) });
+    const rule = { id: 4, name: 'evidence', match: {}, actions: [{ type: 'dispatch', agent: 'EVIDENCE_AGENT', path: '/ingest' }] };
+    const handler = new CloudflareEmailHandler(makeEnv([rule], { EVIDENCE_AGENT: evidence }));
+    await handler.routeEmail(makeMessage(), {
+      from: 'counsel@firm.test', to: 'me@acme.test', subject: 'Privileged strategy', content: 'body', privileged: true,
+    }, {});
+    expect(evidence.calls).toHaveLength(1);
+    expect(evidence.calls[0].body).toMatchObject({ subject: '[REDACTED — privileged_legal]', content: '', rule_id: 4 });
+  });
+
+  it('with no rules configured, unmatched mail still reaches the default forward', async () => {
+    const handler = new CloudflareEmailHandler({ AI_CACHE: makeKv() });
+    const plan = await handler.planRoute({ to: 'nobody@acme.test' }, {});
+    expect(plan.decision.source).toBe('default');
+    expect(plan.decision.to).toEqual(['nick@aribia.llc']);
+  });
+
+  it('dry-run replays receipts under current vs candidate rules', async () => {
+    const receipts = [
+      { id: 'r1', from: 'billing@vendor.test', to: 'me@acme.test', subject: 'Invoice', classification: { category: 'financial' }, attachments: [{ contentType: 'application/pdf' }] },
+      { id: 'r2', from: 'friend@else.test', to: 'me@acme.test', subject: 'Lunch', classification: { category: 'personal' }, attachments: [] },
+    ];
+    const env = makeEnv([]);
+    await env.AI_CACHE.put('email_receipts_recent', JSON.stringify(receipts));
+    const handler = new CloudflareEmailHandler(env);
+
+    const result = await handler.dryRunRules([VENDOR_RULE]);
+    expect(result.evaluated).toBe(2);
+    expect(result.changed).toBe(1);
+    expect(result.results[0].current.decision.source).toBe('default');
+    expect(result.results[0].candidate.decision).toMatchObject({ to: ['ap@acme.test'], source: 'rule' });
+    expect(result.results[1].changed).toBe(false);
+
+    const invalid = await handler.dryRunRules([{ name: 'x', actions: [] }]);
+    expect(invalid.valid).toBe(false);
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Unit tests for the search index: document builders, chunking, query
+ * parsing and rank fusion (src/search/search-index.js), and the feeds —
+ * inbound mail, extracted attachments — against the in-memory SEARCH_AGENT
+ * and THREAD_AGENT bindings, including the privileged-thread purge.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  CHUNK_CHARS,
+  MAX_CHUNKS_PER_DOC,
+  SEARCH_LIMIT_MAX,
+  emailSearchDocument,
+  attachmentSearchDocument,
+  evidenceSearchDocument,
+  timelineSearchDocument,
+  chunkText,
+  chunkDocument,
+  chunkId,
+  validateSearchDocument,
+  parseSearchRequest,
+  ftsMatchExpression,
+  filterClauses,
+  vectorFilter,
+  fuseRankings,
+  buildSearchResults,
+  embedTexts,
+  indexDocuments,
+} from '../../src/search/search-index.js';
+import { threadMessageFromInbound } from '../../src/email/threads.js';
+import { runExtractionJob } from '../../src/documents/extraction-pipeline.js';
+import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
+import { makeSearchBinding } from '../data/search-binding.js';
+import { makeThreadBinding } from '../data/thread-binding.js';
+import { makeR2Bucket, textPdf } from '../data/document-fixtures.js';
+
+const AT = '2026-09-01T12:00:00.000Z';
+
+function inbound(id, overrides = {}) {
+  return {
+    id,
+    from: 'Dana Vendor <dana@vendor.test>',
+    to: 'intake@chitty.cc',
+    subject: 'Invoice 42 overdue',
+    timestamp: AT,
+    inReplyTo: '',
+    references: '',
+    attachmentCount: 0,
+    ...overrides,
+  };
+}
+
+const TRIAGE = {
+  category: 'financial', urgencyLevel: 'LOW', caseRelevant: true, caseSlug: 'arias-v-bianchi',
+  entity: 'ARIBIA', summary: 'Vendor chasing invoice 42', aiClassified: true,
+};
+
+const search = async (env, body) => {
+  const res = await env.SEARCH_AGENT.get('x').fetch(new Request('https://agent/search', {
+    method: 'POST',
+    body: JSON.stringify(body),
+  }));
+  return res.json();
+};
+
+describe('search index: documents', () => {
+  it('builds an email document with tags and a queue/thread citation', () => {
+    const doc = emailSearchDocument(inbound('<a@x>'), TRIAGE, { body: 'Please pay the boiler repair.', queueId: 'q-1', threadId: 'th-1', org: 'aribia' });
+    expect(doc).toMatchObject({
+      id: 'email:<a@x>',
+      sourceType: 'email',
+      caseSlug: 'arias-v-bianchi',
+      org: 'aribia',
+      entity: 'ARIBIA',
+      at: AT,
+      citation: { queueId: 'q-1', messageId: '<a@x>', threadId: 'th-1' },
+      messageIds: ['<a@x>'],
+    });
+    expect(doc.text).toContain('boiler repair');
+  });
+
+  it('never builds documents from privileged or metadata-only sources', () => {
+    const body = { body: 'settlement strategy' };
+    expect(emailSearchDocument(inbound('<a@x>', { privileged: true }), TRIAGE, body)).toBeNull();
+    expect(emailSearchDocument(inbound('<a@x>', { aliasDecision: { metadataOnly: true } }), TRIAGE, body)).toBeNull();
+    expect(evidenceSearchDocument({ exhibit_id: 'EX-1', title: 'Memo', metadata: { privileged: true } })).toBeNull();
+    expect(timelineSearchDocument({ id: 1, name: 'Arias', metadata: {} }, { id: 2, event_type: 'call', metadata: { metadataOnly: true } })).toBeNull();
+    expect(attachmentSearchDocument({ key: 'k', status: 'ok' }, 'text', { privileged: true })).toBeNull();
+    expect(validateSearchDocument({ id: 'x', sourceType: 'email', text: 'x', privileged: true }))
+      .toBe('privileged material is never indexed');
+  });
+
+  it('cites attachments by R2 key and keeps the page map', () => {
+    const manifest = {
+      key: 'cases/arias/motion.pdf', status: 'ok', messageId: '<a@x>',
+      pages: [{ page: 1, label: 'page 1', start: 0, end: 5 }, { page: 2, label: 'page 2', start: 7, end: 12 }],
+    };
+    const doc = attachmentSearchDocument(manifest, 'alpha\n\nbravo', { filename: 'motion.pdf', caseSlug: 'arias-v-bianchi' });
+    expect(doc).toMatchObject({ id: 'r2:cases/arias/motion.pdf', title: 'motion.pdf', citation: { r2Key: 'cases/arias/motion.pdf', messageId: '<a@x>' } });
+    expect(chunkDocument(doc).chunks).toEqual([
+      { index: 0, text: 'alpha', page: 'page 1' },
+      { index: 1, text: 'bravo', page: 'page 2' },
+    ]);
+    expect(attachmentSearchDocument({ ...manifest, status: 'empty' }, '', {})).toBeNull();
+  });
+
+  it('converts SQLite datetimes to ISO for evidence and timelines', () => {
+    const evidence = evidenceSearchDocument({ exhibit_id: 'EX-7', title: 'Lease', category: 'contractual', case_id: 'arias-v-bianchi', r2_path: 'ev/lease.pdf', created_at: '2026-09-01 12:00:00', metadata: {} }, 'Term: 12 months');
+    expect(evidence).toMatchObject({ at: AT, caseSlug: 'arias-v-bianchi', citation: { exhibitId: 'EX-7', r2Key: 'ev/lease.pdf' } });
+    expect(evidence.text).toContain('Term: 12 months');
+    const event = timelineSearchDocument({ id: 3, name: 'Arias', org: 'aribia', metadata: {} }, { id: 9, event_type: 'hearing_set', description: 'Status hearing', occurred_at: '2026-09-01 12:00:00', metadata: {} });
+    expect(event).toMatchObject({ id: 'timeline:3:9', entity: 'Arias', at: AT, citation: { entityId: 3, timelineEventId: 9 } });
+  });
+
+  it('keys shard-local ids by shard', () => {
+    const event = timelineSearchDocument({ id: 3, name: 'Arias', metadata: {} }, { id: 9, event_type: 'note', metadata: {} }, { shard: 'org:aribia' });
+    expect(event).toMatchObject({ id: 'timeline:org:aribia:3:9', citation: { entityId: 3, timelineEventId: 9, shard: 'org:aribia' } });
+    const evidence = evidenceSearchDocument({ exhibit_id: 'EX-7', title: 'Lease', metadata: {} }, null, { shard: 'case:arias' });
+    expect(evidence).toMatchObject({ id: 'evidence:EX-7', citation: { exhibitId: 'EX-7', shard: 'case:arias' } });
+  });
+});
+
+describe('search index: chunking', () => {
+  it('covers the text in overlapping chunks that end on boundaries', () => {
+    const sentence = 'The tenant reported water damage in unit 4B. ';
+    const text = sentence.repeat(80);
+    const chunks = chunkText(text);
+    expect(chunks.length).toBeGreaterThan(2);
+    for (const c of chunks) {
+      expect(c.text.length).toBeLessThanOrEqual(CHUNK_CHARS);
+      expect(c.text.endsWith('.')).toBe(true);
+    }
+    for (let i = 1; i < chunks.length; i++) expect(chunks[i].start).toBeLessThan(chunks[i - 1].end);
+    expect(chunks.at(-1).end).toBe(text.length);
+  });
+
+  it('caps chunks per document', () => {
+    const doc = { id: 'big', sourceType: 'attachment', text: 'word '.repeat(CHUNK_CHARS * MAX_CHUNKS_PER_DOC) };
+    const { chunks, truncated } = chunkDocument(doc);
+    expect(chunks).toHaveLength(MAX_CHUNKS_PER_DOC);
+    expect(truncated).toBe(true);
+  });
+
+  it('derives short, stable chunk ids', async () => {
+    const id = await chunkId('r2:'.padEnd(500, 'x'), 12);
+    expect(id).toMatch(/^[0-9a-f]{32}:12$/);
+    expect(await chunkId('r2:'.padEnd(500, 'x'), 12)).toBe(id);
+  });
+});
+
+describe('search index: queries', () => {
+  it('parses GET params and JSON bodies alike', () => {
+    const params = new URLSearchParams('q=boiler+repair&case=arias-v-bianchi&sourceTypes=email,attachment&since=2026-09-01&limit=5');
+    expect(parseSearchRequest(params)).toEqual({
+      query: {
+        q: 'boiler repair',
+        limit: 5,
+        mode: 'hybrid',
+        filters: { caseSlug: 'arias-v-bianchi', since: '2026-09-01T00:00:00.000Z', sourceTypes: ['email', 'attachment'] },
+      },
+    });
+    expect(parseSearchRequest({ q: 'x', org: 'aribia', mode: 'keyword' }).query).toMatchObject({ mode: 'keyword', filters: { org: 'aribia' } });
+  });
+
+  it('rejects bad input', () => {
+    expect(parseSearchRequest({}).error).toBe('q is required');
+    expect(parseSearchRequest({ q: 'x', limit: SEARCH_LIMIT_MAX + 1 }).error).toMatch(/limit/);
+    expect(parseSearchRequest({ q: 'x', mode: 'fuzzy' }).error).toMatch(/mode/);
+    expect(parseSearchRequest({ q: 'x', sourceTypes: ['privileged'] }).error).toMatch(/sourceTypes/);
+    expect(parseSearchRequest({ q: 'x', until: 'soon' }).error).toBe('until must be an ISO date');
+  });
+
+  it('quotes FTS terms so query syntax is inert', () => {
+    expect(ftsMatchExpression('NEAR(boiler) OR "unit 4B" -leak*')).toBe('"near" OR "boiler" OR "or" OR "unit" OR "4b" OR "leak"');
+    expect(ftsMatchExpression('!!')).toBeNull();
+  });
+
+  it('turns filters into SQL and Vectorize filters', () => {
+    const filters = { caseSlug: 'a', entity: 'E', sourceTypes: ['email', 'timeline'], until: AT };
+    expect(filterClauses(filters)).toEqual({
+      where: ['c.case_slug = ?', 'c.entity = ?', 'c.source_type IN (?, ?)', 'c.at <= ?'],
+      params: ['a', 'E', 'email', 'timeline', AT],
+    });
+    expect(vectorFilter(filters)).toEqual({ caseSlug: { $eq: 'a' }, entity: { $eq: 'E' }, sourceType: { $in: ['email', 'timeline'] } });
+  });
+
+  it('fuses keyword and vector rankings', () => {
+    const fused = fuseRankings({ keyword: ['a', 'b', 'c'], vector: ['c', 'd', 'a'] });
+    expect(fused.map((f) => f.id)).toEqual(['a', 'c', 'b', 'd']);
+    expect(fused[0]).toMatchObject({ keywordRank: 1, vectorRank: 3 });
+  });
+
+  it('returns one result per document, only for hydrated chunks', () => {
+    const row = (id, doc, extra = {}) => ({ id, doc_id: doc, source_type: 'attachment', title: doc, text: 'text', at: AT, citation: '{"r2Key":"k"}', ...extra });
+    const fused = fuseRankings({ keyword: ['gone', 'a1', 'a2', 'b1'] });
+    const results = buildSearchResults(fused, [row('a1', 'A', { page: 'page 3' }), row('a2', 'A'), row('b1', 'B')], { limit: 10 });
+    expect(results.map((r) => r.chunkId)).toEqual(['a1', 'b1']);
+    expect(results[0]).toMatchObject({ matchedBy: ['keyword'], citation: { r2Key: 'k', page: 'page 3' } });
+  });
+
+  it('embeds in batches', async () => {
+    const run = vi.fn(async (_model, { text }) => ({ data: text.map(() => [0.1]) }));
+    const vectors = await embedTexts({ run }, Array.from({ length: 120 }, (_, i) => `t${i}`));
+    expect(vectors).toHaveLength(120);
+    expect(run).toHaveBeenCalledTimes(3);
+    await expect(embedTexts({ run: async () => ({}) }, ['x'])).rejects.toThrow(/no vectors/);
+  });
+});
+
+describe('search index: feeds', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  function setup() {
+    const env = { SEARCH_AGENT: makeSearchBinding(), THREAD_AGENT: makeThreadBinding(), DOCUMENT_STORAGE: makeR2Bucket() };
+    return { env, handler: new CloudflareEmailHandler(env) };
+  }
+
+  async function receive(handler, email, { body = '', queueId = 'q-1', triage = TRIAGE } = {}) {
+    const recorded = await handler.recordThreadMessage(threadMessageFromInbound(email, triage, { queueId }));
+    await handler.indexInbound(email, triage, { body: email.privileged ? '' : body, queueId, thread: recorded?.thread ?? null });
+  }
+
+  it('indexes inbound mail and finds it with citations', async () => {
+    const { env, handler } = setup();
+    await receive(handler, inbound('<a@x>'), { body: 'The boiler in unit 4B failed again.' });
+
+    const found = await search(env, { q: 'boiler failure', caseSlug: 'arias-v-bianchi' });
+    expect(found.results).toHaveLength(1);
+    expect(found.results[0]).toMatchObject({
+      sourceType: 'email',
+      org: handler.routingProfile.id,
+      citation: { queueId: 'q-1', messageId: '<a@x>' },
+    });
+    expect((await search(env, { q: 'boiler', caseSlug: 'other-case' })).results).toHaveLength(0);
+  });
+
+  it('purges and blocks a thread once a privileged message joins it', async () => {
+    const { env, handler } = setup();
+    await receive(handler, inbound('<a@x>'), { body: 'Boiler invoice attached.' });
+    const job = { key: 'cases/arias/invoice.pdf', filename: 'invoice.pdf', contentType: 'application/pdf', sha256: 'feed', messageId: '<a@x>', queuedAt: AT, tags: { caseSlug: 'arias-v-bianchi' } };
+    await env.DOCUMENT_STORAGE.put(job.key, await textPdf([['Boiler replacement quote']]), { customMetadata: { sha256: 'feed' } });
+    await runExtractionJob(env, job, { ocr: null });
+    expect((await search(env, { q: 'boiler' })).results.map((r) => r.sourceType).sort()).toEqual(['attachment', 'email']);
+
+    await receive(handler, inbound('<b@x>', { privileged: true, references: '<a@x>' }));
+    expect((await search(env, { q: 'boiler' })).results).toHaveLength(0);
+    expect([...env.SEARCH_AGENT.blocked.keys()].sort()).toEqual(['<a@x>', '<b@x>']);
+
+    // A late extraction of the same message is refused.
+    await env.DOCUMENT_STORAGE.delete(`${job.key}.extracted.json`);
+    await runExtractionJob(env, job, { ocr: null });
+    expect(env.SEARCH_AGENT.docs.size).toBe(0);
+  });
+
+  it('indexes extracted attachment text with its tags', async () => {
+    const { env } = setup();
+    const key = 'cases/arias/motion.pdf';
+    await env.DOCUMENT_STORAGE.put(key, await textPdf([['Motion to compel discovery']]), { customMetadata: { sha256: 'cafe' } });
+    await runExtractionJob(env, { key, filename: 'motion.pdf', contentType: 'application/pdf', sha256: 'cafe', messageId: '<m@x>', queuedAt: AT, tags: { caseSlug: 'arias-v-bianchi', org: 'aribia' } }, { ocr: null });
+
+    const [hit] = (await search(env, { q: 'compel', org: 'aribia', sourceTypes: ['attachment'] })).results;
+    expect(hit).toMatchObject({ title: 'motion.pdf', caseSlug: 'arias-v-bianchi', page: 'page 1', citation: { r2Key: key, messageId: '<m@x>', page: 'page 1' } });
+  });
+
+  it('follows an attachment when a correction moves it', async () => {
+    const { env, handler } = setup();
+    const oldKey = 'general/2026-09-01/abc/lease.pdf';
+    await env.DOCUMENT_STORAGE.put(oldKey, await textPdf([['Lease renewal for unit 4B']]), { customMetadata: { sha256: 'beef' } });
+    await runExtractionJob(env, { key: oldKey, filename: 'lease.pdf', contentType: 'application/pdf', sha256: 'beef', messageId: '<l@x>', queuedAt: AT }, { ocr: null });
+
+    const item = { storedPaths: [oldKey], receivedAt: AT, metadataOnly: false, aiClassification: { category: 'general', entity: 'ARIBIA' } };
+    await handler.reclassifyStoredFiles(item, { category: 'legal', caseSlug: 'arias-v-bianchi' });
+
+    const [hit, ...rest] = (await search(env, { q: 'lease renewal' })).results;
+    expect(rest).toHaveLength(0);
+    expect(hit.citation.r2Key).not.toBe(oldKey);
+    expect(hit).toMatchObject({ caseSlug: 'arias-v-bianchi', entity: 'ARIBIA', citation: { messageId: '<l@x>' } });
+  });
+
+  it('never throws when the index is unbound', async () => {
+    expect(await indexDocuments({}, [{ id: 'x' }])).toBeNull();
+    const handler = new CloudflareEmailHandler({});
+    await expect(handler.indexInbound(inbound('<a@x>'), TRIAGE, { body: 'x', queueId: 'q', thread: null })).resolves.toBeUndefined();
+  });
+});
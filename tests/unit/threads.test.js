@@ -0,0 +1,195 @@
+/**
+ * Unit tests for the thread store: grouping and redaction helpers
+ * (src/email/threads.js), and the handler's thread recording, timelines and
+ * "thread of N" context on top of the in-memory THREAD_AGENT binding.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  REDACTED_SUBJECT,
+  SUBJECT_WINDOW_MS,
+  normalizeSubject,
+  subjectKey,
+  messageRefs,
+  parseThreadFilters,
+  chooseThread,
+  subjectCandidateMatches,
+  summarizeThread,
+  threadMessageFromInbound,
+} from '../../src/email/threads.js';
+import { CloudflareEmailHandler } from '../../src/email/cloudflare-email-handler.js';
+import { makeThreadBinding } from '../data/thread-binding.js';
+
+const T0 = Date.UTC(2026, 8, 1, 12);
+const at = (minutes) => new Date(T0 + minutes * 60000).toISOString();
+
+function inbound(id, overrides = {}) {
+  return {
+    id,
+    from: 'Dana Vendor <dana@vendor.test>',
+    to: 'intake@chitty.cc',
+    subject: 'Invoice 42 overdue',
+    timestamp: at(0),
+    inReplyTo: '',
+    references: '',
+    attachmentCount: 0,
+    ...overrides,
+  };
+}
+
+const TRIAGE = {
+  category: 'financial', urgencyLevel: 'LOW', caseRelevant: false, entity: 'ARIBIA',
+  summary: 'Vendor chasing invoice 42', reasons: ['invoice'], aiClassified: true,
+};
+
+describe('threads: helpers', () => {
+  it('normalizes reply prefixes and list tags out of subjects', () => {
+    expect(normalizeSubject('RE: Fwd: [EXT] Re[2]:  Invoice   42')).toBe('invoice 42');
+    expect(subjectKey('Re: Invoice 42 overdue')).toBe('invoice 42 overdue');
+    expect(subjectKey('Re: hello')).toBeNull();
+    expect(subjectKey('Re: ')).toBeNull();
+  });
+
+  it('collects own, References and In-Reply-To ids once', () => {
+    expect(messageRefs({ messageId: '<c@x>', references: ['<a@x>', '<b@x>'], inReplyTo: '<b@x>' }))
+      .toEqual(['<c@x>', '<a@x>', '<b@x>']);
+  });
+
+  it('prefers the graph, merging into the oldest thread, over the subject', () => {
+    expect(chooseThread(['th-old', 'th-new', 'th-old'], [{ id: 'th-subj' }]))
+      .toEqual({ threadId: 'th-old', merge: ['th-new'], matchedBy: 'graph' });
+    expect(chooseThread([], [{ id: 'th-subj' }])).toEqual({ threadId: 'th-subj', merge: [], matchedBy: 'subject' });
+    expect(chooseThread([], [])).toEqual({ threadId: null, merge: [], matchedBy: 'new' });
+  });
+
+  it('only joins by subject on the same counterparty, inside the window, outside privilege', () => {
+    const thread = { privileged: false, participants: ['dana@vendor.test'], lastAt: at(0) };
+    const message = threadMessageFromInbound(inbound('<b@x>', { timestamp: at(60) }), TRIAGE);
+    expect(subjectCandidateMatches(thread, message)).toBe(true);
+    expect(subjectCandidateMatches({ ...thread, participants: ['eve@other.test'] }, message)).toBe(false);
+    expect(subjectCandidateMatches({ ...thread, privileged: true }, message)).toBe(false);
+    expect(subjectCandidateMatches(thread, { ...message, at: new Date(T0 + SUBJECT_WINDOW_MS + 1).toISOString() })).toBe(false);
+  });
+
+  it('builds metadata-only messages for privileged mail', () => {
+    const message = threadMessageFromInbound(
+      inbound('<p@counsel.test>', { privileged: true }),
+      TRIAGE,
+      { storedAttachments: [{ filename: 'settlement.pdf', key: 'k' }] },
+    );
+    expect(message).toMatchObject({ subject: REDACTED_SUBJECT, subjectKey: null, summary: '', attachments: [], metadataOnly: true });
+    expect(JSON.stringify(message)).not.toContain('settlement');
+  });
+
+  it('attributes a thread to its first case and entity and redacts it once privileged', () => {
+    const a = threadMessageFromInbound(inbound('<a@x>'), TRIAGE);
+    const b = threadMessageFromInbound(inbound('<b@x>', { timestamp: at(5) }), { ...TRIAGE, caseSlug: 'arias-v-bianchi' });
+    expect(summarizeThread([b, a])).toMatchObject({
+      subject: 'Invoice 42 overdue', caseSlug: 'arias-v-bianchi', entity: 'ARIBIA',
+      participants: ['dana@vendor.test'], messageCount: 2, firstAt: at(0), lastAt: at(5), privileged: false,
+    });
+    const c = threadMessageFromInbound(inbound('<c@x>', { aliasDecision: { metadataOnly: true } }), TRIAGE);
+    expect(summarizeThread([a, c])).toMatchObject({ subject: REDACTED_SUBJECT, subjectKey: null, privileged: true });
+  });
+
+  it('validates timeline filters', () => {
+    expect(parseThreadFilters(new URLSearchParams('case=arias-v-bianchi&since=2026-09-01&limit=5000')))
+      .toEqual({ filters: { caseSlug: 'arias-v-bianchi', since: '2026-09-01T00:00:00.000Z', limit: 1000 }, errors: [] });
+    expect(parseThreadFilters(new URLSearchParams('case=a&entity=b&until=soon')).errors)
+      .toEqual(['pass case or entity, not both', 'until must be an ISO date']);
+  });
+});
+
+describe('CloudflareEmailHandler: thread store', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  function setup() {
+    const env = { THREAD_AGENT: makeThreadBinding() };
+    return { env, handler: new CloudflareEmailHandler(env) };
+  }
+
+  const record = (handler, email, triage = TRIAGE, extra) =>
+    handler.recordThreadMessage(threadMessageFromInbound(email, triage, extra));
+
+  it('groups by Message-ID even when a reply arrives before its parent', async () => {
+    const { handler } = setup();
+    const child = await record(handler, inbound('<c@x>', { timestamp: at(10), inReplyTo: '<b@x>', references: '<a@x> <b@x>' }));
+    const root = await record(handler, inbound('<a@x>', { subject: 'Totally different', from: 'eve@other.test' }));
+    expect(root).toMatchObject({ matchedBy: 'graph', thread: { id: child.thread.id, messageCount: 2 } });
+    expect((await handler.recordThreadMessage(threadMessageFromInbound(inbound('<a@x>'), TRIAGE))).matchedBy)
+      .toBe('duplicate');
+  });
+
+  it('merges two threads joined by a later message', async () => {
+    const { handler } = setup();
+    const first = await record(handler, inbound('<a@x>'));
+    const second = await record(handler, inbound('<b@y>', { subject: 'Separate topic', timestamp: at(1) }));
+    const bridge = await record(handler, inbound('<c@x>', { timestamp: at(2), references: '<a@x> <b@y>' }));
+    expect(bridge).toMatchObject({ matchedBy: 'graph', merged: [second.thread.id], thread: { id: first.thread.id, messageCount: 3 } });
+  });
+
+  it('falls back to the subject for clients that drop References', async () => {
+    const { handler } = setup();
+    const first = await record(handler, inbound('<a@x>'));
+    const again = await record(handler, inbound('<b@x>', { subject: 'RE: Invoice 42 overdue', timestamp: at(30) }));
+    const stranger = await record(handler, inbound('<c@x>', { from: 'eve@other.test', timestamp: at(40) }));
+    expect(again).toMatchObject({ matchedBy: 'subject', thread: { id: first.thread.id } });
+    expect(stranger.matchedBy).toBe('new');
+  });
+
+  it('scrubs a whole thread to metadata once a privileged message joins', async () => {
+    const { handler } = setup();
+    await record(handler, inbound('<a@x>', { attachmentCount: 1 }), TRIAGE, { storedAttachments: [{ filename: 'invoice-42.pdf', key: 'k1' }] });
+    const joined = await record(handler, inbound('<b@x>', { privileged: true, references: '<a@x>', timestamp: at(5) }));
+
+    const { thread, messages } = await handler.getThread(joined.thread.id);
+    expect(thread).toMatchObject({ privileged: true, subject: REDACTED_SUBJECT, messageCount: 2 });
+    expect(messages.every(m => m.metadataOnly)).toBe(true);
+    expect(messages[0].attachmentCount).toBe(1);
+    expect(JSON.stringify(messages)).not.toMatch(/Invoice 42|invoice-42|chasing/);
+  });
+
+  it('builds a per-case timeline of messages, attachments and decisions', async () => {
+    const { handler } = setup();
+    const caseTriage = { ...TRIAGE, category: 'legal', caseRelevant: true, caseSlug: 'arias-v-bianchi' };
+    await record(handler, { ...inbound('<a@x>'), routing: { decision: { source: 'rule', ruleId: 'r1' } } }, caseTriage, {
+      queueId: 'q-1', storedAttachments: [{ filename: 'notice.pdf', key: 'k1', size: 10, contentType: 'application/pdf' }],
+    });
+    await record(handler, inbound('<b@x>', { references: '<a@x>', timestamp: at(60) }));
+    await record(handler, inbound('<z@x>', { subject: 'Unrelated vendor thing', from: 'eve@other.test' }));
+
+    const { entries, threads } = await handler.getTimeline({ caseSlug: 'arias-v-bianchi' });
+    expect(threads).toHaveLength(1);
+    expect(entries.map(e => e.messageId)).toEqual(['<a@x>', '<b@x>']);
+    expect(entries[0]).toMatchObject({
+      queueId: 'q-1',
+      attachments: [{ filename: 'notice.pdf', path: 'k1', size: 10, contentType: 'application/pdf' }],
+      triage: { category: 'legal', urgency: 'LOW' },
+      decision: { source: 'rule', ruleId: 'r1' },
+    });
+    expect(await handler.listThreads({ entity: 'ARIBIA' })).toHaveLength(2);
+  });
+
+  it('adds "thread of N" context to queue items and receipts', async () => {
+    const { handler } = setup();
+    await record(handler, inbound('<a@x>'));
+    await record(handler, inbound('<b@x>', { references: '<a@x>', timestamp: at(1) }));
+
+    const [first, second, unknown] = await handler.withThreadContext(
+      [{ email: { messageId: 'a@x' } }, { messageId: '<b@x>' }, { messageId: '<nope@x>' }],
+      r => r.email?.messageId || r.messageId,
+    );
+    expect(first.thread).toMatchObject({ messageCount: 2, position: 1 });
+    expect(second.thread).toMatchObject({ messageCount: 2, position: 2, threadId: first.thread.threadId });
+    expect(unknown.thread).toBeUndefined();
+  });
+
+  it('keeps mail flowing when the thread store is not bound', async () => {
+    const handler = new CloudflareEmailHandler({});
+    expect(await record(handler, inbound('<a@x>'))).toBeNull();
+    expect(await handler.withThreadContext([{ messageId: '<a@x>' }], r => r.messageId)).toEqual([{ messageId: '<a@x>' }]);
+    expect(await handler.getTimeline({ caseSlug: 'x' })).toBeNull();
+  });
+});